@@ -0,0 +1,125 @@
+/**
+ * Keno RTP simulator: valida una tabla de pagos antes de publicarla
+ * (DB o contrato via contracts/scripts/setup-payout-table.js).
+ *
+ * Usage:
+ *   node scripts/simulate-keno-rtp.js                          (tabla estatica 'classic' v0)
+ *   node scripts/simulate-keno-rtp.js --contract               (PAYOUT_TABLE del contrato, escala 1e2)
+ *   node scripts/simulate-keno-rtp.js --file table.json [--scale 100]
+ *   node scripts/simulate-keno-rtp.js --table classic [--version 2]   (requiere DATABASE_URL)
+ *
+ * Monte Carlo (fee + cap a un pool fijo):
+ *   --rounds 100000 [--spots 5] [--pool 500] [--bet 1] [--seed abc]
+ *
+ * Otros: --fee-bps 1200 --ratio 0.10 --max-payout 10000 --json
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) continue;
+    const key = argv[i].slice(2);
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      args[key] = true;
+    } else {
+      args[key] = next;
+      i++;
+    }
+  }
+  return args;
+}
+
+async function loadTable(args) {
+  if (args.contract) {
+    const { PAYOUT_TABLE } = require('../contracts/scripts/setup-payout-table');
+    return { label: 'contract PAYOUT_TABLE', rows: PAYOUT_TABLE, scale: 100 };
+  }
+
+  if (args.file) {
+    const rows = JSON.parse(fs.readFileSync(path.resolve(args.file), 'utf8'));
+    return { label: args.file, rows, scale: args.scale ? parseFloat(args.scale) : 1 };
+  }
+
+  const kenoService = require('../src/services/kenoService');
+  if (args.table) {
+    const version = args.version !== undefined ? parseInt(args.version) : null;
+    const table = await kenoService.resolvePayoutTable(args.table, version);
+    if (!table) {
+      throw new Error(`Tabla '${args.table}' no encontrada`);
+    }
+    return { label: `${table.name} v${table.version}`, rows: table.rows, scale: 1 };
+  }
+
+  return { label: 'classic v0 (static)', rows: kenoService.PAYOUT_TABLE, scale: 1 };
+}
+
+function pct(value) {
+  return `${(value * 100).toFixed(3)}%`;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const kenoSimulatorService = require('../src/services/kenoSimulatorService');
+  const { SIM_DEFAULTS } = kenoSimulatorService;
+
+  const { label, rows, scale } = await loadTable(args);
+  const feeBps = args['fee-bps'] !== undefined ? parseInt(args['fee-bps']) : SIM_DEFAULTS.FEE_BPS;
+
+  let monteCarlo = null;
+  if (args.rounds) {
+    monteCarlo = {
+      rounds: parseInt(args.rounds),
+      spots: args.spots ? parseInt(args.spots) : undefined,
+      betAmount: args.bet ? parseFloat(args.bet) : SIM_DEFAULTS.BET_AMOUNT,
+      poolBalance: args.pool !== undefined ? parseFloat(args.pool) : undefined,
+      maxPayoutRatio: args.ratio ? parseFloat(args.ratio) : SIM_DEFAULTS.MAX_PAYOUT_RATIO,
+      absoluteMaxPayout: args['max-payout'] ? parseFloat(args['max-payout']) : SIM_DEFAULTS.ABSOLUTE_MAX_PAYOUT,
+      seed: typeof args.seed === 'string' ? args.seed : undefined
+    };
+  }
+
+  const result = kenoSimulatorService.simulateTable(rows, { feeBps, scale, monteCarlo });
+
+  if (args.json) {
+    console.log(JSON.stringify({ table: label, feeBps, ...result }, null, 2));
+    return;
+  }
+
+  console.log(`Tabla: ${label} | fee ${feeBps} bps`);
+  console.log('\nExacto (hipergeometrico, sin cap):');
+  console.table(result.exact.map(r => ({
+    spots: r.spots,
+    rtp: pct(r.rtp),
+    'rtp sin fee': pct(r.rtpBeforeFee),
+    'hit freq': pct(r.hitFrequency),
+    stdDev: r.stdDev.toFixed(4),
+    'max x': r.maxMultiplier
+  })));
+
+  if (result.monteCarlo) {
+    console.log(`\nMonte Carlo (seed ${result.seed}):`);
+    console.table(result.monteCarlo.map(r => ({
+      spots: r.spots,
+      rounds: r.rounds,
+      rtp: pct(r.rtp),
+      'rtp exacto': pct(r.exactRtp),
+      'hit freq': pct(r.hitFrequency),
+      stdDev: r.stdDev.toFixed(4),
+      'max payout': r.maxPayout === null ? '-' : r.maxPayout,
+      capped: r.cappedRounds,
+      'cap loss': r.capLoss.toFixed(2)
+    })));
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(err => {
+    console.error('Simulation failed:', err.message);
+    process.exit(1);
+  });
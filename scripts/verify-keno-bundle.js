@@ -0,0 +1,145 @@
+/**
+ * Verificador offline de paquetes de prueba de Keno.
+ * Independiente del backend: solo usa crypto y fs de Node.
+ *
+ * Descargar el paquete:
+ *   GET /api/keno/verify/session/:sessionId/bundle
+ *
+ * Usage:
+ *   node scripts/verify-keno-bundle.js keno-session-12-proof.json
+ *   node scripts/verify-keno-bundle.js keno-session-12-proof.json --verbose
+ *
+ * Sale con codigo 0 si todos los juegos verifican, 1 si alguno falla.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function sha256Times(value, times) {
+  let result = value;
+  for (let i = 0; i < times; i++) result = sha256(result);
+  return result;
+}
+
+// Mismo algoritmo que kenoVrfService.generateCombinedSeed
+function combinedSeed(serverSeed, clientSeed, nonce) {
+  return sha256(`${serverSeed}:${clientSeed}:${nonce}`);
+}
+
+// Mismo algoritmo que kenoService.generateRandomNumbers
+function drawNumbers(count, max, seed) {
+  const numbers = new Set();
+  let counter = 0;
+  while (numbers.size < count) {
+    const hash = sha256(`${seed}-${counter}`);
+    numbers.add((parseInt(hash.substring(0, 8), 16) % max) + 1);
+    counter++;
+  }
+  return Array.from(numbers).sort((a, b) => a - b);
+}
+
+function sameNumbers(a, b) {
+  if (!Array.isArray(a) || !Array.isArray(b) || a.length !== b.length) return false;
+  const sortedA = [...a].sort((x, y) => x - y);
+  const sortedB = [...b].sort((x, y) => x - y);
+  return sortedA.every((n, i) => n === sortedB[i]);
+}
+
+function verifyBundle(bundle) {
+  const errors = [];
+  const { bundleHash, ...content } = bundle;
+
+  if (bundleHash !== sha256(JSON.stringify(content))) {
+    errors.push('bundleHash no coincide (el archivo fue modificado)');
+  }
+
+  const { totalNumbers, drawnNumbers } = bundle.config;
+  const chains = {};
+  for (const chain of bundle.chains || []) {
+    chains[chain.chainId] = chain;
+    // Cadena revelada: el terminalSeed debe generar el anchor publicado
+    if (chain.terminalSeed && sha256Times(chain.terminalSeed, chain.chainLength) !== chain.anchorHash) {
+      errors.push(`Cadena #${chain.chainId}: terminalSeed no genera anchorHash`);
+    }
+  }
+
+  const results = bundle.games.map(game => {
+    const failed = [];
+    const seed = combinedSeed(game.serverSeed, game.clientSeed || '', game.nonce || 0);
+    if (seed !== game.combinedSeed) failed.push('combinedSeed');
+
+    const draw = drawNumbers(drawnNumbers, totalNumbers, seed);
+    if (!sameNumbers(draw, game.drawnNumbers)) failed.push('drawnNumbers');
+
+    const drawSet = new Set(draw);
+    const hits = game.selectedNumbers.filter(n => drawSet.has(n)).length;
+    if (hits !== game.hits) failed.push('hits');
+
+    const table = bundle.payoutTables[game.payoutTable];
+    if (table) {
+      const expected = Number(table[game.spots]?.[hits]) || 0;
+      if (expected !== game.multiplier) failed.push('multiplier');
+      // El pago nunca excede apuesta * multiplicador (fee y cap solo lo reducen)
+      if (game.payout > game.betAmount * expected + 1e-6) failed.push('payout');
+    } else {
+      failed.push('payoutTable (no incluida)');
+    }
+
+    if (game.chainId != null) {
+      const chain = chains[game.chainId];
+      if (!chain) {
+        failed.push('chain (no incluida)');
+      } else {
+        if (sha256Times(game.serverSeed, game.chainIndex + 1) !== chain.anchorHash) failed.push('chainLink');
+        if (chain.terminalSeed &&
+            sha256Times(chain.terminalSeed, chain.chainLength - 1 - game.chainIndex) !== game.serverSeed) {
+          failed.push('chainPosition');
+        }
+      }
+    }
+
+    return { gameId: game.gameId, nonce: game.nonce, failed };
+  });
+
+  return { errors, results };
+}
+
+function main() {
+  const file = process.argv[2];
+  const verbose = process.argv.includes('--verbose');
+  if (!file) {
+    console.log('Usage: node scripts/verify-keno-bundle.js <bundle.json> [--verbose]');
+    process.exit(1);
+  }
+
+  const bundle = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const { errors, results } = verifyBundle(bundle);
+  const failedGames = results.filter(r => r.failed.length > 0);
+
+  console.log(`Sesion #${bundle.session.sessionId} (${bundle.session.walletAddress}) — ${results.length} juegos`);
+  for (const r of results) {
+    if (verbose || r.failed.length > 0) {
+      console.log(`  ${r.failed.length === 0 ? 'OK  ' : 'FAIL'} ${r.gameId} (nonce ${r.nonce})${r.failed.length ? ': ' + r.failed.join(', ') : ''}`);
+    }
+  }
+  for (const e of errors) {
+    console.log(`  FAIL ${e}`);
+  }
+
+  if (errors.length === 0 && failedGames.length === 0) {
+    console.log('Todos los juegos verificados correctamente');
+    process.exit(0);
+  }
+  console.log(`${failedGames.length} juego(s) y ${errors.length} error(es) de paquete fallaron la verificacion`);
+  process.exit(1);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { verifyBundle };
@@ -52,6 +52,12 @@ const referralsRoutes = require('./routes/referrals');
 const publicConfigRoutes = require('./routes/publicConfig');
 const adminFlagsRoutes = require('./routes/adminFlags');
 const adminOpsRoutes = require('./routes/adminOps');
+const adminAlertsRoutes = require('./routes/adminAlerts');
+const streamRoutes = require('./routes/stream');
+const responsibleGamingRoutes = require('./routes/responsibleGaming');
+const prometheusService = require('./services/prometheusService');
+const DrawStateMachine = require('./workers/drawStateMachine');
+const { requireMetricsAccess } = require('./middleware/metricsAuth');
 // const userRoutes = require('./routes/user');
 
 // =================================
@@ -87,6 +93,9 @@ app.use(cors({
 // Helmet - security headers
 app.use(helmet());
 
+// Latencia por ruta para /metrics
+app.use(prometheusService.httpMetricsMiddleware);
+
 // Body parsers
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
@@ -148,6 +157,18 @@ app.get('/health', (req, res) => {
     });
 });
 
+// Metricas Prometheus (METRICS_TOKEN o METRICS_ALLOWED_IPS)
+app.get('/metrics', requireMetricsAccess, async (req, res) => {
+    try {
+        const body = await prometheusService.getMetrics();
+        res.set('Content-Type', prometheusService.contentType);
+        res.send(body);
+    } catch (error) {
+        console.error('[Metrics] Scrape error:', error);
+        res.status(500).send(`# scrape error: ${error.message}\n`);
+    }
+});
+
 // =================================
 // GEOBLOCKING (Produccion)
 // =================================
@@ -314,6 +335,10 @@ if (process.env.NODE_ENV === 'development') {
                     );
 
                     if (result.rows.length > 0) {
+                        await DrawStateMachine.recordCreated(draw.type, result.rows[0].id, 'open', {
+                            db: client,
+                            actor: 'dev'
+                        });
                         created.push(result.rows[0]);
                     }
                 } catch (insertError) {
@@ -526,6 +551,7 @@ app.use('/api/admin/audit', adminAuditRoutes);
 app.use('/api/admin/cleanup', adminCleanupRoutes);
 app.use('/api/admin/flags', adminFlagsRoutes);
 app.use('/api/admin/ops', adminOpsRoutes);
+app.use('/api/admin/alerts', adminAlertsRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/payments', paymentRoutes);
 app.use('/api/scheduler', schedulerRoutes);
@@ -536,6 +562,9 @@ app.use('/api/keno', kenoRoutes);
 app.use('/api/admin/bolita', adminBolitaRoutes);
 app.use('/api/bingo', bingoRoutes);
 app.use('/api/referrals', referralsRoutes);
+app.use('/api/responsible-gaming', responsibleGamingRoutes);
+// Tiempo real (SSE): salas de Bingo, sorteos de Bolita y resultados de Keno
+app.use('/api/stream', streamRoutes);
 // app.use('/api/user', userRoutes);
 
 // =================================
@@ -0,0 +1,211 @@
+// Tests for the RPC provider pool (HTTP layer stubbed per endpoint)
+const { RpcProviderPool, isRangeError, isRateLimitError, endpointLabel } = require('../providerPool');
+
+const URLS = ['https://primary.example/v2/secret-key', 'https://backup.example/rpc'];
+
+function makePool(urls = URLS) {
+  const pool = new RpcProviderPool(urls);
+  pool._post = jest.fn();
+  return pool;
+}
+
+function rpcResult(result) {
+  return [{ jsonrpc: '2.0', id: 1, result }];
+}
+
+function serverError(statusCode, message = `server response ${statusCode}`) {
+  const err = new Error(message);
+  err.response = { statusCode };
+  return err;
+}
+
+const PAYLOAD = { jsonrpc: '2.0', id: 1, method: 'eth_chainId', params: [] };
+
+describe('RpcProviderPool', () => {
+  let warnSpy;
+
+  beforeEach(() => {
+    warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('_send', () => {
+    it('uses the first healthy endpoint', async () => {
+      const pool = makePool();
+      pool._post.mockResolvedValueOnce(rpcResult('0x89'));
+
+      const response = await pool._send(PAYLOAD);
+
+      expect(response[0].result).toBe('0x89');
+      expect(pool._post.mock.calls[0][0].url).toBe('primary.example');
+    });
+
+    it('fails over on a network error and cools the endpoint down', async () => {
+      const pool = makePool();
+      pool._post
+        .mockRejectedValueOnce(new Error('connect ECONNREFUSED'))
+        .mockResolvedValueOnce(rpcResult('0x89'));
+
+      const response = await pool._send(PAYLOAD);
+
+      expect(response[0].result).toBe('0x89');
+      const [primary, backup] = pool.endpoints;
+      expect(primary.failures).toBe(1);
+      expect(primary.cooldownUntil).toBeGreaterThan(Date.now());
+      expect(pool._candidates()[0]).toBe(backup);
+    });
+
+    it('backs off exponentially on HTTP 429', async () => {
+      const pool = makePool();
+      pool._post
+        .mockRejectedValueOnce(serverError(429))
+        .mockResolvedValueOnce(rpcResult('0x1'));
+
+      await pool._send(PAYLOAD);
+      const primary = pool.endpoints[0];
+      expect(primary.rateLimited).toBe(1);
+      expect(primary.backoffMs).toBe(1000);
+
+      pool._markRateLimited(primary, 'again');
+      expect(primary.backoffMs).toBe(2000);
+      // Rate limits don't count against the error rate
+      expect(primary.failures).toBe(0);
+    });
+
+    it('fails over on a JSON-RPC rate limit error', async () => {
+      const pool = makePool();
+      pool._post
+        .mockResolvedValueOnce([{ jsonrpc: '2.0', id: 1, error: { code: -32005, message: 'request rate exceeded' } }])
+        .mockResolvedValueOnce(rpcResult('0x89'));
+
+      const response = await pool._send(PAYLOAD);
+
+      expect(response[0].result).toBe('0x89');
+      expect(pool.endpoints[0].rateLimited).toBe(1);
+    });
+
+    it('returns execution errors without failing over', async () => {
+      const pool = makePool();
+      const reverted = [{ jsonrpc: '2.0', id: 1, error: { code: 3, message: 'execution reverted' } }];
+      pool._post.mockResolvedValueOnce(reverted);
+
+      const response = await pool._send(PAYLOAD);
+
+      expect(response).toBe(reverted);
+      expect(pool._post).toHaveBeenCalledTimes(1);
+      expect(pool.endpoints[0].failures).toBe(0);
+    });
+
+    it('throws the last error when every endpoint fails', async () => {
+      const pool = makePool();
+      pool._post
+        .mockRejectedValueOnce(new Error('timeout'))
+        .mockRejectedValueOnce(new Error('bad gateway'));
+
+      await expect(pool._send(PAYLOAD)).rejects.toThrow('bad gateway');
+    });
+
+    it('marks an endpoint unhealthy once its error rate is too high', async () => {
+      const pool = makePool();
+      const primary = pool.endpoints[0];
+
+      for (let i = 0; i < 5; i++) pool._markFailure(primary, 'timeout');
+
+      expect(primary.healthy).toBe(false);
+    });
+  });
+
+  describe('checkHealth', () => {
+    it('marks endpoints lagging the best head as unhealthy', async () => {
+      const pool = makePool();
+      pool._post.mockImplementation(async (endpoint) =>
+        rpcResult(endpoint.url === 'primary.example' ? '0x64' : '0x78')
+      );
+
+      const health = await pool.checkHealth();
+
+      expect(health.healthy).toBe(1);
+      expect(health.endpoints[0]).toMatchObject({ url: 'primary.example', healthy: false, lag: 20, blockNumber: 100 });
+      expect(health.endpoints[1]).toMatchObject({ url: 'backup.example', healthy: true, lag: 0 });
+      expect(pool._candidates()[0].url).toBe('backup.example');
+    });
+
+    it('restores an endpoint once it catches up', async () => {
+      const pool = makePool();
+      pool.endpoints[0].healthy = false;
+      pool._post.mockResolvedValue(rpcResult('0x78'));
+
+      const health = await pool.checkHealth();
+
+      expect(health.healthy).toBe(2);
+    });
+
+    it('never exposes the URL path', () => {
+      const pool = makePool();
+      expect(JSON.stringify(pool.getHealth())).not.toContain('secret-key');
+    });
+  });
+
+  describe('getLogs', () => {
+    it('splits numeric ranges into chunks of logsRange blocks', async () => {
+      const pool = makePool();
+      pool.logsRange = 100;
+      pool._getLogsChunk = jest.fn(async ({ fromBlock }) => [{ blockNumber: fromBlock }]);
+
+      const logs = await pool.getLogs({ address: '0xabc', fromBlock: 1, toBlock: 250 });
+
+      expect(pool._getLogsChunk.mock.calls.map(([f]) => [f.fromBlock, f.toBlock]))
+        .toEqual([[1, 100], [101, 200], [201, 250]]);
+      expect(logs).toHaveLength(3);
+    });
+
+    it('halves the range when a node rejects it and keeps the cap', async () => {
+      const pool = makePool();
+      pool.logsRange = 2000;
+      pool._getLogsChunk = jest.fn()
+        .mockRejectedValueOnce(new Error('exceed maximum block range: 1000'))
+        .mockResolvedValue([]);
+
+      await pool.getLogs({ fromBlock: 1, toBlock: 2000 });
+
+      expect(pool._getLogsChunk.mock.calls.map(([f]) => [f.fromBlock, f.toBlock]))
+        .toEqual([[1, 2000], [1, 1000], [1001, 2000]]);
+      expect(pool.logsRange).toBe(1000);
+      expect(warnSpy).toHaveBeenCalled();
+    });
+
+    it('passes block tags through untouched', async () => {
+      const pool = makePool();
+      pool._getLogsChunk = jest.fn().mockResolvedValue([]);
+
+      await pool.getLogs({ fromBlock: 10, toBlock: 'latest' });
+
+      expect(pool._getLogsChunk).toHaveBeenCalledWith({ fromBlock: 10, toBlock: 'latest' });
+    });
+
+    it('rethrows errors that are not about the range', async () => {
+      const pool = makePool();
+      pool._getLogsChunk = jest.fn().mockRejectedValue(new Error('invalid address'));
+
+      await expect(pool.getLogs({ fromBlock: 1, toBlock: 10 })).rejects.toThrow('invalid address');
+    });
+  });
+
+  describe('error classification', () => {
+    it('tells range errors from rate limits', () => {
+      expect(isRangeError(new Error('query returned more than 10000 results'))).toBe(true);
+      expect(isRateLimitError({ code: -32005, message: 'query returned more than 10000 results' })).toBe(false);
+      expect(isRateLimitError({ code: -32005, message: 'project ID request rate exceeded' })).toBe(true);
+      expect(isRateLimitError(serverError(429))).toBe(true);
+      expect(isRateLimitError(new Error('execution reverted'))).toBe(false);
+    });
+
+    it('labels endpoints by host only', () => {
+      expect(endpointLabel('https://polygon-mainnet.g.alchemy.com/v2/key')).toBe('polygon-mainnet.g.alchemy.com');
+    });
+  });
+});
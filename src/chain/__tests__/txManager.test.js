@@ -0,0 +1,336 @@
+// Tests for the operator transaction manager (DB and chain mocked)
+jest.mock('../../config/database', () => ({ query: jest.fn() }));
+
+const mockProvider = {
+  getTransactionCount: jest.fn(),
+  getFeeData: jest.fn(),
+  getTransactionReceipt: jest.fn()
+};
+const mockSigner = {
+  getAddress: jest.fn(),
+  estimateGas: jest.fn(),
+  sendTransaction: jest.fn()
+};
+
+jest.mock('../provider', () => ({
+  getProvider: () => mockProvider,
+  getSigner: () => mockSigner,
+  isNonceError: (err) => err.message.includes('nonce too low'),
+  GAS_OVERRIDES: { maxPriorityFeePerGas: 30000000000n, maxFeePerGas: 35000000000n }
+}));
+
+const { query } = require('../../config/database');
+const { OperatorTxManager, TX_STATUS } = require('../txManager');
+
+const OPERATOR = '0x' + 'a'.repeat(40);
+const TARGET = '0x' + 'b'.repeat(40);
+
+/**
+ * Minimal in-memory operator_transactions for the statements used by send()
+ */
+function useFakeTable() {
+  const rows = [];
+  query.mockImplementation(async (sql, params) => {
+    if (sql.includes('INSERT INTO operator_transactions')) {
+      rows.push({ id: rows.length + 1, status: 'queued', nonce: null });
+      return { rows: [{ id: rows.length }] };
+    }
+    if (sql.includes('MAX(nonce)')) {
+      const nonces = rows.filter(row => row.status === 'submitted').map(row => row.nonce);
+      return { rows: [{ nonce: nonces.length ? Math.max(...nonces) : null }] };
+    }
+    if (sql.includes("status = 'submitted'")) {
+      Object.assign(rows[params[0] - 1], { status: 'submitted', nonce: params[1], tx_hash: params[5] });
+      return { rows: [] };
+    }
+    if (sql.includes("status = 'failed'")) {
+      Object.assign(rows[params[0] - 1], { status: 'failed', error: params[1] });
+      return { rows: [] };
+    }
+    return { rows: [] };
+  });
+  return rows;
+}
+
+function submittedRow(overrides = {}) {
+  return {
+    id: 7,
+    purpose: 'bolita.closeDraw',
+    from_address: OPERATOR,
+    to_address: TARGET,
+    nonce: 12,
+    data: '0xabcdef',
+    value: '0',
+    gas_limit: '120000',
+    max_fee_per_gas: '40000000000',
+    max_priority_fee_per_gas: '30000000000',
+    status: 'submitted',
+    cancel_requested: false,
+    attempts: 1,
+    tx_hash: '0xorig',
+    hashes: [{ hash: '0xorig', kind: 'original', sentAt: new Date(Date.now() - 5 * 60 * 1000).toISOString() }],
+    ...overrides
+  };
+}
+
+describe('OperatorTxManager', () => {
+  let manager;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    manager = new OperatorTxManager();
+    manager.start = jest.fn();
+
+    mockSigner.getAddress.mockResolvedValue(OPERATOR);
+    mockSigner.estimateGas.mockResolvedValue(100000n);
+    mockProvider.getFeeData.mockResolvedValue({ maxFeePerGas: 50000000000n, maxPriorityFeePerGas: 25000000000n });
+    mockProvider.getTransactionCount.mockResolvedValue(5);
+    mockProvider.getTransactionReceipt.mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('send', () => {
+    it('signs with an explicit nonce, fees above the floor and a gas margin', async () => {
+      useFakeTable();
+      mockSigner.sendTransaction.mockResolvedValueOnce({ hash: '0x1' });
+
+      const tx = await manager.send({ purpose: 'withdrawal', to: TARGET, data: '0x12' });
+
+      expect(tx).toMatchObject({ id: 1, hash: '0x1', nonce: 5 });
+      expect(mockSigner.sendTransaction).toHaveBeenCalledWith(expect.objectContaining({
+        to: TARGET,
+        nonce: 5,
+        gasLimit: 120000n,
+        maxFeePerGas: 50000000000n,
+        maxPriorityFeePerGas: 30000000000n
+      }));
+    });
+
+    it('gives concurrent sends consecutive nonces even if the node lags', async () => {
+      const rows = useFakeTable();
+      mockSigner.sendTransaction
+        .mockResolvedValueOnce({ hash: '0x1' })
+        .mockResolvedValueOnce({ hash: '0x2' });
+
+      const [closeDraw, withdrawal] = await Promise.all([
+        manager.send({ purpose: 'bolita.closeDraw', to: TARGET }),
+        manager.send({ purpose: 'withdrawal', to: TARGET })
+      ]);
+
+      expect([closeDraw.nonce, withdrawal.nonce]).toEqual([5, 6]);
+      expect(rows.map(row => row.status)).toEqual(['submitted', 'submitted']);
+    });
+
+    it('records the failure without using a nonce when the call reverts on estimate', async () => {
+      const rows = useFakeTable();
+      const revert = Object.assign(new Error('execution reverted'), { data: '0xdeadbeef' });
+      mockSigner.estimateGas.mockRejectedValueOnce(revert);
+
+      await expect(manager.send({ purpose: 'bolita.closeDraw', to: TARGET })).rejects.toBe(revert);
+
+      expect(mockSigner.sendTransaction).not.toHaveBeenCalled();
+      expect(rows[0]).toMatchObject({ status: 'failed', error: 'execution reverted' });
+    });
+
+    it('retries once with a fresh nonce when the node rejects it', async () => {
+      useFakeTable();
+      mockProvider.getTransactionCount.mockResolvedValueOnce(5).mockResolvedValueOnce(6);
+      mockSigner.sendTransaction
+        .mockRejectedValueOnce(new Error('nonce too low'))
+        .mockResolvedValueOnce({ hash: '0x2' });
+
+      const tx = await manager.send({ purpose: 'withdrawal', to: TARGET });
+
+      expect(tx.nonce).toBe(6);
+      expect(mockSigner.sendTransaction).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('refresh', () => {
+    it('confirms with whichever broadcast was mined', async () => {
+      const row = submittedRow({
+        hashes: [
+          { hash: '0xorig', kind: 'original', sentAt: new Date().toISOString() },
+          { hash: '0xbump', kind: 'bump', sentAt: new Date().toISOString() }
+        ]
+      });
+      query
+        .mockResolvedValueOnce({ rows: [row] })
+        .mockResolvedValueOnce({ rows: [{ ...row, status: 'confirmed', tx_hash: '0xbump' }] });
+      mockProvider.getTransactionReceipt.mockImplementation(async (hash) =>
+        hash === '0xbump' ? { hash, status: 1, blockNumber: 900, gasUsed: 80000n, logs: [] } : null
+      );
+
+      const { row: updated, receipt } = await manager.refresh(7);
+
+      expect(receipt.hash).toBe('0xbump');
+      expect(updated.status).toBe(TX_STATUS.CONFIRMED);
+      expect(query.mock.calls[1][1].slice(0, 4)).toEqual([7, 'confirmed', '0xbump', 900]);
+    });
+
+    it('re-sends a stuck transaction at the same nonce with bumped fees', async () => {
+      const row = submittedRow();
+      query
+        .mockResolvedValueOnce({ rows: [row] })
+        .mockResolvedValueOnce({ rows: [{ ...row, attempts: 2 }] });
+      mockSigner.sendTransaction.mockResolvedValueOnce({ hash: '0xbump' });
+
+      await manager.refresh(7);
+
+      expect(mockSigner.sendTransaction).toHaveBeenCalledWith({
+        to: TARGET,
+        data: '0xabcdef',
+        value: 0n,
+        gasLimit: 120000n,
+        nonce: 12,
+        maxFeePerGas: 50000000000n,
+        maxPriorityFeePerGas: 34500000000n
+      });
+      const sent = JSON.parse(query.mock.calls[1][1][2]);
+      expect(sent[0]).toMatchObject({ hash: '0xbump', kind: 'bump' });
+    });
+
+    it('leaves a recent transaction alone', async () => {
+      query.mockResolvedValueOnce({ rows: [submittedRow({
+        hashes: [{ hash: '0xorig', kind: 'original', sentAt: new Date().toISOString() }]
+      })] });
+
+      const { row } = await manager.refresh(7);
+
+      expect(row.status).toBe('submitted');
+      expect(mockSigner.sendTransaction).not.toHaveBeenCalled();
+    });
+
+    it('marks the transaction dropped when its nonce was used by another one', async () => {
+      const row = submittedRow();
+      query
+        .mockResolvedValueOnce({ rows: [row] })
+        .mockResolvedValueOnce({ rows: [{ ...row, status: 'dropped' }] });
+      mockProvider.getTransactionCount.mockResolvedValueOnce(13);
+
+      const { row: updated } = await manager.refresh(7);
+
+      expect(updated.status).toBe(TX_STATUS.DROPPED);
+      expect(mockSigner.sendTransaction).not.toHaveBeenCalled();
+    });
+
+    it('confirms instead of dropping when one of its hashes was mined in the meantime', async () => {
+      const row = submittedRow();
+      query
+        .mockResolvedValueOnce({ rows: [row] })
+        .mockResolvedValueOnce({ rows: [{ ...row, status: 'confirmed' }] });
+      mockProvider.getTransactionCount.mockResolvedValueOnce(13);
+      mockProvider.getTransactionReceipt
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce({ hash: '0xorig', status: 1, blockNumber: 902, gasUsed: 80000n, logs: [] });
+
+      const { row: updated } = await manager.refresh(7);
+
+      expect(updated.status).toBe(TX_STATUS.CONFIRMED);
+      expect(query.mock.calls[1][1][1]).toBe(TX_STATUS.CONFIRMED);
+    });
+
+    it('shares one check between concurrent callers', async () => {
+      query.mockResolvedValue({ rows: [submittedRow({ status: 'confirmed' })] });
+
+      await Promise.all([manager.refresh(7), manager.refresh(7)]);
+
+      expect(query).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('cancel', () => {
+    it('replaces the transaction with a zero-value self transfer', async () => {
+      const row = submittedRow();
+      query
+        .mockResolvedValueOnce({ rows: [row] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ ...row, cancel_requested: true, tx_hash: '0xcancel', attempts: 2 }] });
+      mockSigner.sendTransaction.mockResolvedValueOnce({ hash: '0xcancel' });
+
+      const result = await manager.cancel(7);
+
+      expect(mockSigner.sendTransaction).toHaveBeenCalledWith(expect.objectContaining({
+        to: OPERATOR, data: '0x', value: 0n, gasLimit: 21000n, nonce: 12
+      }));
+      expect(result).toMatchObject({ txHash: '0xcancel', cancelRequested: true });
+    });
+
+    it('marks the transaction cancelled once the cancel is mined', async () => {
+      const row = submittedRow({
+        cancel_requested: true,
+        hashes: [
+          { hash: '0xorig', kind: 'original', sentAt: new Date().toISOString() },
+          { hash: '0xcancel', kind: 'cancel', sentAt: new Date().toISOString() }
+        ]
+      });
+      query
+        .mockResolvedValueOnce({ rows: [row] })
+        .mockResolvedValueOnce({ rows: [{ ...row, status: 'cancelled' }] });
+      mockProvider.getTransactionReceipt.mockImplementation(async (hash) =>
+        hash === '0xcancel' ? { hash, status: 1, blockNumber: 901, gasUsed: 21000n, logs: [] } : null
+      );
+
+      await manager.refresh(7);
+
+      expect(query.mock.calls[1][1][1]).toBe(TX_STATUS.CANCELLED);
+    });
+
+    it('rejects transactions that are no longer pending', async () => {
+      query.mockResolvedValueOnce({ rows: [submittedRow({ status: 'confirmed' })] });
+
+      await expect(manager.cancel(7)).rejects.toThrow('La transaccion esta en estado confirmed');
+    });
+
+    it('throws when the cancel could not be broadcast', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [submittedRow()] })
+        .mockResolvedValueOnce({ rows: [] });
+      mockSigner.sendTransaction.mockRejectedValueOnce(new Error('nonce too low'));
+
+      await expect(manager.cancel(7)).rejects.toMatchObject({
+        code: 'REPLACEMENT_NOT_SENT',
+        message: expect.stringContaining('nonce too low')
+      });
+      expect(query).toHaveBeenCalledTimes(2);
+    });
+
+    it('throws when the replacement would exceed the fee cap', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [submittedRow({ max_fee_per_gas: '600000000000' })] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      await expect(manager.cancel(7)).rejects.toMatchObject({ code: 'REPLACEMENT_NOT_SENT' });
+      expect(mockSigner.sendTransaction).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('wait', () => {
+    it('throws when the transaction reverted', async () => {
+      query.mockResolvedValueOnce({ rows: [submittedRow({ status: 'reverted' })] });
+
+      await expect(manager.wait(7)).rejects.toThrow('reverted on-chain: 0xorig');
+    });
+  });
+
+  describe('listTransactions', () => {
+    it('lists queued and submitted transactions by default', async () => {
+      query.mockResolvedValueOnce({ rows: [submittedRow()] });
+
+      const list = await manager.listTransactions();
+
+      expect(query.mock.calls[0][1]).toEqual([['queued', 'submitted'], 100]);
+      expect(list[0]).toMatchObject({ id: 7, nonce: 12, status: 'submitted', maxFeeGwei: 40 });
+    });
+
+    it('rejects an unknown status', async () => {
+      await expect(manager.listTransactions({ status: 'lost' })).rejects.toThrow('Estado de transaccion invalido');
+    });
+  });
+});
@@ -1,8 +1,21 @@
 const ethers = require('ethers');
 const LA_BOLITA_ABI = require('./abi/LaBolita.abi.json');
-
-// RPC_URL es la variable canonica; POLYGON_RPC_URL es fallback
-const RPC_URL = process.env.RPC_URL || process.env.POLYGON_RPC_URL;
+const { RpcProviderPool } = require('./providerPool');
+
+// RPC_URLS (separadas por coma) tiene prioridad; si no, RPC_URL (canonica),
+// POLYGON_RPC_URL y los RPC_URL_FALLBACK_* en ese orden
+const RPC_URLS = [...new Set(
+    (process.env.RPC_URLS
+        ? process.env.RPC_URLS.split(',')
+        : [
+            process.env.RPC_URL,
+            process.env.POLYGON_RPC_URL,
+            process.env.RPC_URL_FALLBACK_1,
+            process.env.RPC_URL_FALLBACK_2
+        ])
+        .map(url => (url || '').trim())
+        .filter(Boolean)
+)];
 const CONTRACT_ADDRESS = process.env.CONTRACT_ADDRESS;
 const OPERATOR_PRIVATE_KEY = process.env.OPERATOR_PRIVATE_KEY;
 // TOKEN_ADDRESS: USDT contract on the active network (6 decimals on Polygon mainnet + Amoy)
@@ -67,21 +80,30 @@ const GAS_OVERRIDES = {
 };
 
 /**
- * Obtener provider JSON-RPC.
- * Lanza error si no hay RPC_URL configurada.
+ * Obtener provider JSON-RPC compartido (pool con failover entre RPC_URLS).
+ * Lanza error si no hay ninguna URL configurada.
  */
 function getProvider() {
     if (!_provider) {
-        if (!RPC_URL) {
+        if (RPC_URLS.length === 0) {
             throw new Error(
-                '[Chain] RPC_URL not configured. Set RPC_URL or POLYGON_RPC_URL env variable.'
+                '[Chain] RPC_URL not configured. Set RPC_URL, POLYGON_RPC_URL or RPC_URLS env variable.'
             );
         }
-        _provider = new ethers.JsonRpcProvider(RPC_URL);
+        _provider = new RpcProviderPool(RPC_URLS);
+        _provider.startHealthChecks();
+        console.log(`[Chain] RPC pool initialized with ${RPC_URLS.length} endpoint(s)`);
     }
     return _provider;
 }
 
+/**
+ * Salud del pool RPC (null si aun no se creo el provider)
+ */
+function getRpcHealth() {
+    return _provider ? _provider.getHealth() : null;
+}
+
 /**
  * Obtener signer (wallet del operador).
  * Lanza error si OPERATOR_PRIVATE_KEY no esta configurada.
@@ -120,47 +142,70 @@ function getLaBolitaContract() {
  * Transfer USDT from the operator wallet to a recipient address.
  *
  * Pattern (H-04 fix):
- *   1. Submit ERC-20 transfer transaction
+ *   1. Submit ERC-20 transfer through the operator tx manager
+ *      (shared nonce with the schedulers, recorded in operator_transactions)
  *   2. Wait for 1 on-chain confirmation (60s timeout)
  *   3. Return txHash on success; throw on revert or timeout
  *
+ * If the transfer is still pending after the timeout a cancel is requested
+ * and the error carries code 'TX_PENDING' (plus txId / txHash). The outcome
+ * is then unknown: the original or the cancel may still be mined, so the
+ * caller must resolve it later from the operator_transactions record
+ * instead of assuming the transfer failed.
+ *
  * @param {string} toAddress  - Recipient wallet address
  * @param {string|number} amountUsdt - Amount in USDT (e.g. "10.50")
+ * @param {Object} [reference] - { referenceType, referenceId } stored with the tx
  * @returns {Promise<string>} Transaction hash
  */
-async function sendUsdtTransfer(toAddress, amountUsdt) {
+async function sendUsdtTransfer(toAddress, amountUsdt, reference = {}) {
     if (!TOKEN_ADDRESS) {
         throw new Error(
             '[Chain] TOKEN_ADDRESS not configured. Set TOKEN_ADDRESS env variable.'
         );
     }
 
-    const signer = getSigner(); // throws if OPERATOR_PRIVATE_KEY missing
-    const token = new ethers.Contract(TOKEN_ADDRESS, ERC20_TRANSFER_ABI, signer);
+    const { txManager } = require('./txManager');
+    const token = new ethers.Contract(TOKEN_ADDRESS, ERC20_TRANSFER_ABI, getProvider());
     const amountUnits = ethers.parseUnits(String(amountUsdt), USDT_DECIMALS);
 
-    const tx = await token.transfer(toAddress, amountUnits);
+    const tx = await txManager.sendContract(token, 'transfer', [toAddress, amountUnits], {
+        purpose: 'usdt.transfer',
+        referenceType: reference.referenceType,
+        referenceId: reference.referenceId
+    });
     console.log(`[Chain] USDT transfer submitted: ${tx.hash} → ${toAddress} (${amountUsdt} USDT)`);
 
-    // Wait for 1 confirmation with 60s timeout
     const TIMEOUT_MS = 60_000;
-    const receipt = await Promise.race([
-        tx.wait(1),
-        new Promise((_, reject) =>
-            setTimeout(() => reject(new Error(`Transfer timed out after ${TIMEOUT_MS / 1000}s: ${tx.hash}`)), TIMEOUT_MS)
-        ),
-    ]);
-
-    if (!receipt || receipt.status !== 1) {
-        throw new Error(`[Chain] Transfer reverted on-chain: ${tx.hash}`);
+    let receipt;
+    try {
+        receipt = await tx.wait(TIMEOUT_MS);
+    } catch (err) {
+        // Revertida, cancelada o perdida: fallo definitivo
+        const record = await txManager.getTransaction(tx.id).catch(() => null);
+        if (record?.status === 'confirmed') return record.txHash;
+        if (record && !['queued', 'submitted'].includes(record.status)) throw err;
+
+        // Sigue pendiente (timeout o error del RPC): el resultado se conoce despues
+        try {
+            await txManager.cancel(tx.id);
+        } catch (cancelErr) {
+            console.error(`[Chain] Could not cancel pending transfer ${tx.hash}:`, cancelErr.message);
+        }
+        const pending = new Error(`Transfer not confirmed after ${TIMEOUT_MS / 1000}s: ${tx.hash}`);
+        pending.code = 'TX_PENDING';
+        pending.txId = tx.id;
+        pending.txHash = tx.hash;
+        throw pending;
     }
 
-    console.log(`[Chain] USDT transfer confirmed: ${tx.hash} (block ${receipt.blockNumber})`);
-    return tx.hash;
+    console.log(`[Chain] USDT transfer confirmed: ${receipt.hash} (block ${receipt.blockNumber})`);
+    return receipt.hash;
 }
 
 module.exports = {
     getProvider,
+    getRpcHealth,
     getSigner,
     getNonceManagedSigner,
     resetNonceManagedSigner,
@@ -0,0 +1,354 @@
+/**
+ * RPC Provider Pool
+ *
+ * Drop-in JsonRpcProvider that spreads requests over several RPC URLs:
+ *   - Requests go to the first healthy endpoint (in configured order) and
+ *     fail over to the next one on network errors, timeouts or HTTP 429.
+ *   - Rate-limited / failing endpoints cool down with exponential backoff.
+ *   - A periodic eth_blockNumber health check marks endpoints unhealthy when
+ *     they lag the best head by more than RPC_MAX_BLOCK_LAG blocks or their
+ *     recent error rate exceeds RPC_MAX_ERROR_RATE.
+ *   - getLogs ranges are capped adaptively: halved when a node rejects the
+ *     range, grown back after a run of successes.
+ *
+ * JSON-RPC errors (reverts, bad params) are returned as-is — they are the
+ * request's fault, not the endpoint's.
+ */
+
+const ethers = require('ethers');
+
+const REQUEST_TIMEOUT_MS = parseInt(process.env.RPC_TIMEOUT_MS) || 10_000;
+const HEALTH_INTERVAL_MS = parseInt(process.env.RPC_HEALTH_INTERVAL_MS) || 30_000;
+const MAX_BLOCK_LAG = parseInt(process.env.RPC_MAX_BLOCK_LAG) || 5;
+const MAX_ERROR_RATE = parseFloat(process.env.RPC_MAX_ERROR_RATE) || 0.5;
+const LOGS_MAX_RANGE = parseInt(process.env.RPC_LOGS_MAX_RANGE) || 2000;
+const LOGS_MIN_RANGE = 10;
+const LOGS_GROW_AFTER = 10; // successful chunks before widening the range
+
+const BASE_BACKOFF_MS = 1_000;
+const MAX_BACKOFF_MS = 60_000;
+const OUTCOME_WINDOW = 50;
+const MIN_OUTCOMES = 5; // samples needed before the error rate counts
+
+const RATE_LIMIT_RE = /\b429\b|rate.?limit|too many requests|exceeded maximum retry limit|request rate exceeded|capacity exceeded|compute units/i;
+const RANGE_ERROR_RE = /block range|range (is )?too (large|wide)|more than \d+ (results|logs)|response size|too many (logs|results)/i;
+
+function errorText(err) {
+    if (!err) return '';
+    return [err.message, err.shortMessage, err.info?.error?.message, err.error?.message]
+        .filter(Boolean)
+        .join(' ');
+}
+
+/**
+ * True if a getLogs error means "ask for fewer blocks"
+ */
+function isRangeError(err) {
+    return RANGE_ERROR_RE.test(errorText(err));
+}
+
+/**
+ * True if an HTTP/JSON-RPC error means the endpoint is throttling us
+ */
+function isRateLimitError(err) {
+    if (!err || isRangeError(err)) return false;
+    return err.response?.statusCode === 429 || err.code === 429 || RATE_LIMIT_RE.test(errorText(err));
+}
+
+/**
+ * URL without path or query — API keys live there
+ */
+function endpointLabel(url) {
+    try {
+        return new URL(url).host;
+    } catch (_) {
+        return 'invalid-url';
+    }
+}
+
+class RpcProviderPool extends ethers.JsonRpcProvider {
+    /**
+     * @param {string[]} urls - RPC URLs in order of preference
+     */
+    constructor(urls, network, options) {
+        if (!urls || urls.length === 0) {
+            throw new Error('[RpcPool] At least one RPC URL is required');
+        }
+        super(urls[0], network, options);
+
+        this.endpoints = urls.map((url) => {
+            const connection = new ethers.FetchRequest(url);
+            connection.timeout = REQUEST_TIMEOUT_MS;
+            // Failover handles 429 — don't let FetchRequest stall retrying
+            connection.setThrottleParams({ maxAttempts: 1 });
+            return {
+                url: endpointLabel(url),
+                connection,
+                healthy: true,
+                blockNumber: null,
+                lag: null,
+                latencyMs: null,
+                outcomes: [],
+                requests: 0,
+                failures: 0,
+                rateLimited: 0,
+                backoffMs: 0,
+                cooldownUntil: 0,
+                lastError: null,
+                lastErrorAt: null,
+                checkedAt: null
+            };
+        });
+
+        this.logsRange = LOGS_MAX_RANGE;
+        this._logsSuccesses = 0;
+        this._healthTimer = null;
+        this.lastHealthCheck = null;
+    }
+
+    // ── Routing ──────────────────────────────────────────────────────────
+
+    /**
+     * Healthy endpoints not cooling down (configured order), then the rest
+     * as a last resort, soonest available first.
+     */
+    _candidates() {
+        const now = Date.now();
+        const ready = this.endpoints.filter(e => e.healthy && e.cooldownUntil <= now);
+        const rest = this.endpoints
+            .filter(e => !ready.includes(e))
+            .sort((a, b) => a.cooldownUntil - b.cooldownUntil);
+        return [...ready, ...rest];
+    }
+
+    async _post(endpoint, body) {
+        const request = endpoint.connection.clone();
+        request.body = body;
+        request.setHeader('content-type', 'application/json');
+        const response = await request.send();
+        response.assertOk();
+        const json = response.bodyJson;
+        return Array.isArray(json) ? json : [json];
+    }
+
+    async _send(payload) {
+        const body = JSON.stringify(payload);
+        let lastError = null;
+        let lastResponse = null;
+
+        for (const endpoint of this._candidates()) {
+            const started = Date.now();
+            endpoint.requests++;
+            try {
+                const response = await this._post(endpoint, body);
+                const rpcError = response.find(item => item.error)?.error;
+                if (rpcError && isRateLimitError(rpcError)) {
+                    this._markRateLimited(endpoint, rpcError.message);
+                    lastResponse = response;
+                    continue;
+                }
+                this._markSuccess(endpoint, Date.now() - started);
+                return response;
+            } catch (err) {
+                if (isRateLimitError(err)) {
+                    this._markRateLimited(endpoint, errorText(err));
+                } else {
+                    this._markFailure(endpoint, errorText(err));
+                }
+                lastError = err;
+            }
+        }
+
+        if (lastResponse) return lastResponse;
+        throw lastError;
+    }
+
+    // ── Endpoint bookkeeping ─────────────────────────────────────────────
+
+    _record(endpoint, ok) {
+        endpoint.outcomes.push(ok);
+        if (endpoint.outcomes.length > OUTCOME_WINDOW) endpoint.outcomes.shift();
+    }
+
+    _errorRate(endpoint) {
+        if (endpoint.outcomes.length === 0) return 0;
+        return endpoint.outcomes.filter(ok => !ok).length / endpoint.outcomes.length;
+    }
+
+    _markSuccess(endpoint, latencyMs) {
+        this._record(endpoint, true);
+        endpoint.latencyMs = latencyMs;
+        endpoint.backoffMs = 0;
+        endpoint.cooldownUntil = 0;
+    }
+
+    _backoff(endpoint, message) {
+        endpoint.backoffMs = Math.min(MAX_BACKOFF_MS, endpoint.backoffMs ? endpoint.backoffMs * 2 : BASE_BACKOFF_MS);
+        endpoint.cooldownUntil = Date.now() + endpoint.backoffMs;
+        endpoint.lastError = (message || '').slice(0, 200);
+        endpoint.lastErrorAt = new Date();
+    }
+
+    _markRateLimited(endpoint, message) {
+        endpoint.rateLimited++;
+        this._backoff(endpoint, message);
+        console.warn(`[RpcPool] ${endpoint.url} rate limited, backing off ${endpoint.backoffMs}ms`);
+    }
+
+    _markFailure(endpoint, message) {
+        endpoint.failures++;
+        this._record(endpoint, false);
+        this._backoff(endpoint, message);
+
+        if (endpoint.healthy && endpoint.outcomes.length >= MIN_OUTCOMES && this._errorRate(endpoint) > MAX_ERROR_RATE) {
+            endpoint.healthy = false;
+            console.warn(`[RpcPool] ${endpoint.url} marked unhealthy: error rate ${Math.round(this._errorRate(endpoint) * 100)}%`);
+        }
+    }
+
+    // ── Health checks ────────────────────────────────────────────────────
+
+    /**
+     * Poll eth_blockNumber on every endpoint and recompute lag/health
+     */
+    async checkHealth() {
+        const body = JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'eth_blockNumber', params: [] });
+
+        const results = await Promise.all(this.endpoints.map(async (endpoint) => {
+            const started = Date.now();
+            try {
+                const [response] = await this._post(endpoint, body);
+                if (response.error) throw new Error(response.error.message);
+                endpoint.blockNumber = Number(response.result);
+                this._markSuccess(endpoint, Date.now() - started);
+                return true;
+            } catch (err) {
+                if (isRateLimitError(err)) {
+                    this._markRateLimited(endpoint, errorText(err));
+                } else {
+                    this._markFailure(endpoint, errorText(err));
+                }
+                return false;
+            } finally {
+                endpoint.checkedAt = new Date();
+            }
+        }));
+
+        const heads = this.endpoints.filter((_, i) => results[i]).map(e => e.blockNumber);
+        const head = heads.length > 0 ? Math.max(...heads) : null;
+
+        this.endpoints.forEach((endpoint, i) => {
+            endpoint.lag = results[i] && head !== null ? head - endpoint.blockNumber : null;
+
+            const healthy = results[i]
+                && endpoint.lag <= MAX_BLOCK_LAG
+                && this._errorRate(endpoint) <= MAX_ERROR_RATE;
+
+            if (healthy !== endpoint.healthy) {
+                if (healthy) {
+                    console.log(`[RpcPool] ${endpoint.url} healthy again`);
+                } else {
+                    const reason = !results[i]
+                        ? endpoint.lastError
+                        : `lag ${endpoint.lag} blocks, error rate ${Math.round(this._errorRate(endpoint) * 100)}%`;
+                    console.warn(`[RpcPool] ${endpoint.url} marked unhealthy: ${reason}`);
+                }
+            }
+            endpoint.healthy = healthy;
+        });
+
+        this.lastHealthCheck = new Date();
+        return this.getHealth();
+    }
+
+    startHealthChecks(intervalMs = HEALTH_INTERVAL_MS) {
+        if (this._healthTimer) return;
+        this.checkHealth().catch(err => console.error('[RpcPool] Health check error:', err.message));
+        this._healthTimer = setInterval(() => {
+            this.checkHealth().catch(err => console.error('[RpcPool] Health check error:', err.message));
+        }, intervalMs);
+        this._healthTimer.unref?.();
+    }
+
+    stopHealthChecks() {
+        if (this._healthTimer) {
+            clearInterval(this._healthTimer);
+            this._healthTimer = null;
+        }
+    }
+
+    destroy() {
+        this.stopHealthChecks();
+        super.destroy();
+    }
+
+    /**
+     * Snapshot for /api/admin/ops/summary
+     */
+    getHealth() {
+        const now = Date.now();
+        return {
+            healthy: this.endpoints.filter(e => e.healthy).length,
+            total: this.endpoints.length,
+            logsRange: this.logsRange,
+            lastHealthCheck: this.lastHealthCheck,
+            endpoints: this.endpoints.map(e => ({
+                url: e.url,
+                healthy: e.healthy,
+                coolingDown: e.cooldownUntil > now,
+                blockNumber: e.blockNumber,
+                lag: e.lag,
+                latencyMs: e.latencyMs,
+                errorRate: Math.round(this._errorRate(e) * 100) / 100,
+                requests: e.requests,
+                failures: e.failures,
+                rateLimited: e.rateLimited,
+                lastError: e.lastError,
+                lastErrorAt: e.lastErrorAt,
+                checkedAt: e.checkedAt
+            }))
+        };
+    }
+
+    // ── getLogs ──────────────────────────────────────────────────────────
+
+    async _getLogsChunk(filter) {
+        return super.getLogs(filter);
+    }
+
+    /**
+     * getLogs split into chunks of at most `logsRange` blocks. Only numeric
+     * ranges are split; tags like 'latest' pass through.
+     */
+    async getLogs(filter) {
+        const { fromBlock, toBlock } = filter || {};
+        if (typeof fromBlock !== 'number' || typeof toBlock !== 'number') {
+            return this._getLogsChunk(filter);
+        }
+
+        const logs = [];
+        let start = fromBlock;
+        while (start <= toBlock) {
+            const end = Math.min(toBlock, start + this.logsRange - 1);
+            try {
+                logs.push(...await this._getLogsChunk({ ...filter, fromBlock: start, toBlock: end }));
+                start = end + 1;
+
+                if (++this._logsSuccesses >= LOGS_GROW_AFTER && this.logsRange < LOGS_MAX_RANGE) {
+                    this.logsRange = Math.min(LOGS_MAX_RANGE, Math.ceil(this.logsRange * 1.5));
+                    this._logsSuccesses = 0;
+                }
+            } catch (err) {
+                const span = end - start + 1;
+                if (!isRangeError(err) || span <= LOGS_MIN_RANGE) throw err;
+
+                this.logsRange = Math.max(LOGS_MIN_RANGE, Math.floor(span / 2));
+                this._logsSuccesses = 0;
+                console.warn(`[RpcPool] getLogs range rejected, capping at ${this.logsRange} blocks`);
+            }
+        }
+        return logs;
+    }
+}
+
+module.exports = { RpcProviderPool, isRangeError, isRateLimitError, endpointLabel };
@@ -0,0 +1,525 @@
+/**
+ * Operator Transaction Manager
+ *
+ * Punto unico de envio de transacciones desde la wallet del operador
+ * (schedulers de Bolita/Bingo, resolver de Bingo, liquidaciones y VRF de
+ * Keno, VRF de Bolita y retiros USDT).
+ *
+ *   - Cola en proceso: las transacciones se firman una a una, nunca dos con
+ *     el mismo nonce aunque un cierre de sorteo y un retiro coincidan.
+ *   - Nonce persistente: max(nonce 'pending' de la cadena, mayor nonce en
+ *     estado 'submitted' en operator_transactions + 1). Sobrevive reinicios
+ *     y nodos RPC que todavia no ven la tx anterior en su mempool.
+ *   - estimateGas antes de reservar nonce: una llamada que revierte falla
+ *     sin consumir nonce (y conserva err.data para los callers).
+ *   - Monitor: confirma por recibo, sube el gas (TX_GAS_BUMP_PERCENT) a las
+ *     tx atascadas mas de TX_STUCK_AFTER_SEC y marca 'dropped' las que
+ *     perdieron su nonce frente a otra tx desconocida.
+ *   - Reemplazo/cancelacion: speedUp(id) reenvia con mas gas; cancel(id)
+ *     manda una transferencia de 0 a si mismo con el mismo nonce.
+ *
+ * Cada tx queda registrada en operator_transactions (proposito, referencia,
+ * hashes enviados, estado y resumen del recibo).
+ */
+
+const ethers = require('ethers');
+const { query } = require('../config/database');
+const { getProvider, getSigner, isNonceError, GAS_OVERRIDES } = require('./provider');
+
+const TX_STATUS = {
+    QUEUED: 'queued',
+    SUBMITTED: 'submitted',
+    CONFIRMED: 'confirmed',
+    REVERTED: 'reverted',
+    FAILED: 'failed',
+    CANCELLED: 'cancelled',
+    DROPPED: 'dropped'
+};
+const PENDING_STATUSES = [TX_STATUS.QUEUED, TX_STATUS.SUBMITTED];
+
+const STUCK_AFTER_MS = (parseInt(process.env.TX_STUCK_AFTER_SEC) || 90) * 1000;
+// Los nodos exigen al menos +10% para aceptar un reemplazo
+const BUMP_PERCENT = Math.max(10, parseInt(process.env.TX_GAS_BUMP_PERCENT) || 15);
+const MAX_FEE_CAP = ethers.parseUnits(process.env.TX_MAX_FEE_CAP_GWEI || '500', 'gwei');
+const MAX_ATTEMPTS = parseInt(process.env.TX_MAX_ATTEMPTS) || 6;
+const MONITOR_INTERVAL_MS = parseInt(process.env.TX_MONITOR_INTERVAL_MS) || 15000;
+const WAIT_POLL_MS = 3000;
+const DEFAULT_WAIT_MS = 10 * 60 * 1000;
+const GAS_LIMIT_MARGIN = 120n; // % sobre estimateGas
+const CANCEL_GAS_LIMIT = 21000n;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function bumped(value) {
+    return BigInt(value) * BigInt(100 + BUMP_PERCENT) / 100n;
+}
+
+function maxBigInt(...values) {
+    return values.reduce((max, value) => (value > max ? value : max));
+}
+
+function gwei(value) {
+    return value === null || value === undefined ? null : Number(ethers.formatUnits(BigInt(value), 'gwei'));
+}
+
+function replacementNotSent(row, kind, reason) {
+    const action = kind === 'cancel' ? 'cancelacion' : 'reemplazo';
+    const err = new Error(`La transaccion #${row.id} no se reemplazo (${action} no enviado): ${reason}`);
+    err.code = 'REPLACEMENT_NOT_SENT';
+    return err;
+}
+
+/**
+ * Fila de operator_transactions → objeto para la API de admin
+ */
+function formatTransaction(row) {
+    return {
+        id: Number(row.id),
+        purpose: row.purpose,
+        referenceType: row.reference_type,
+        referenceId: row.reference_id,
+        from: row.from_address,
+        to: row.to_address,
+        nonce: row.nonce,
+        status: row.status,
+        txHash: row.tx_hash,
+        hashes: row.hashes || [],
+        attempts: row.attempts,
+        cancelRequested: row.cancel_requested,
+        maxFeeGwei: gwei(row.max_fee_per_gas),
+        maxPriorityFeeGwei: gwei(row.max_priority_fee_per_gas),
+        blockNumber: row.block_number === null ? null : Number(row.block_number),
+        gasUsed: row.gas_used,
+        error: row.error,
+        submittedAt: row.submitted_at,
+        confirmedAt: row.confirmed_at,
+        createdAt: row.created_at
+    };
+}
+
+class OperatorTxManager {
+    constructor() {
+        this._queue = Promise.resolve();
+        this._refreshing = new Map();
+        this._monitor = null;
+        this._checking = false;
+    }
+
+    // ── Envio ────────────────────────────────────────────────────────────
+
+    /**
+     * Encola y envia una transaccion del operador.
+     *
+     * @param {Object} tx
+     * @param {string} tx.purpose - p.ej. 'bolita.closeDraw', 'withdrawal'
+     * @param {string} tx.to
+     * @param {string} [tx.data]
+     * @param {bigint} [tx.value]
+     * @param {bigint} [tx.gasLimit] - si falta se estima (+20%)
+     * @param {string} [tx.referenceType]
+     * @param {string|number} [tx.referenceId]
+     * @returns {Promise<{id, hash, nonce, wait: (timeoutMs?) => Promise<TransactionReceipt>}>}
+     */
+    async send({ purpose, to, data = '0x', value = 0n, gasLimit = null, referenceType = null, referenceId = null }) {
+        const signer = getSigner();
+        const from = (await signer.getAddress()).toLowerCase();
+
+        const inserted = await query(
+            `INSERT INTO operator_transactions
+               (purpose, reference_type, reference_id, from_address, to_address, data, value, status)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, 'queued')
+             RETURNING id`,
+            [purpose, referenceType, referenceId === null ? null : String(referenceId),
+                from, to.toLowerCase(), data, BigInt(value).toString()]
+        );
+        const id = Number(inserted.rows[0].id);
+
+        let sent;
+        try {
+            sent = await this._enqueue(() => this._submit(id, signer, from, { to, data, value: BigInt(value), gasLimit }));
+        } catch (err) {
+            await query(
+                `UPDATE operator_transactions SET status = 'failed', error = $2, updated_at = NOW() WHERE id = $1`,
+                [id, String(err.shortMessage || err.message).slice(0, 1000)]
+            );
+            throw err;
+        }
+
+        this.start();
+        return { id, hash: sent.hash, nonce: sent.nonce, wait: (timeoutMs) => this.wait(id, timeoutMs) };
+    }
+
+    /**
+     * Llamada a un metodo de contrato via send(). El contrato solo se usa
+     * para codificar la llamada; firma siempre el operador.
+     */
+    async sendContract(contract, method, args = [], options = {}) {
+        const request = await contract[method].populateTransaction(...args);
+        return this.send({
+            purpose: options.purpose || method,
+            to: request.to,
+            data: request.data,
+            value: request.value || 0n,
+            gasLimit: options.gasLimit || null,
+            referenceType: options.referenceType || null,
+            referenceId: options.referenceId ?? null
+        });
+    }
+
+    _enqueue(fn) {
+        const run = this._queue.then(fn, fn);
+        this._queue = run.catch(() => {});
+        return run;
+    }
+
+    async _submit(id, signer, from, { to, data, value, gasLimit }) {
+        const limit = gasLimit
+            ? BigInt(gasLimit)
+            : (await signer.estimateGas({ from, to, data, value })) * GAS_LIMIT_MARGIN / 100n;
+        const fees = await this._fees();
+
+        let response = null;
+        let nonce = null;
+        for (let attempt = 0; !response; attempt++) {
+            nonce = await this._nextNonce(from);
+            try {
+                response = await signer.sendTransaction({ to, data, value, nonce, gasLimit: limit, ...fees });
+            } catch (err) {
+                // Nonce usado por fuera del manager (otra wallet/proceso): releer y reintentar
+                if (attempt === 0 && isNonceError(err)) {
+                    console.warn(`[TxManager] #${id} nonce ${nonce} already used — retrying with a fresh nonce`);
+                    continue;
+                }
+                throw err;
+            }
+        }
+
+        const sent = [{ hash: response.hash, kind: 'original', maxFeePerGas: fees.maxFeePerGas.toString(), sentAt: new Date().toISOString() }];
+        await query(
+            `UPDATE operator_transactions
+             SET status = 'submitted', nonce = $2, gas_limit = $3, max_fee_per_gas = $4,
+                 max_priority_fee_per_gas = $5, tx_hash = $6, hashes = $7, attempts = 1,
+                 submitted_at = NOW(), updated_at = NOW()
+             WHERE id = $1`,
+            [id, nonce, limit.toString(), fees.maxFeePerGas.toString(),
+                fees.maxPriorityFeePerGas.toString(), response.hash, JSON.stringify(sent)]
+        );
+
+        console.log(`[TxManager] #${id} submitted nonce ${nonce}: ${response.hash}`);
+        return { hash: response.hash, nonce };
+    }
+
+    /**
+     * Siguiente nonce: nunca por debajo de lo que ya enviamos y sigue pendiente
+     */
+    async _nextNonce(from) {
+        const chainNext = await getProvider().getTransactionCount(from, 'pending');
+        const tracked = await query(
+            `SELECT MAX(nonce) AS nonce FROM operator_transactions
+             WHERE from_address = $1 AND status = 'submitted'`,
+            [from]
+        );
+        const trackedNonce = tracked.rows[0]?.nonce;
+        const trackedNext = trackedNonce === null || trackedNonce === undefined ? 0 : Number(trackedNonce) + 1;
+        return Math.max(chainNext, trackedNext);
+    }
+
+    /**
+     * Fees EIP-1559: los de la red, nunca por debajo de GAS_OVERRIDES
+     * (Polygon rechaza priority fees bajos).
+     */
+    async _fees() {
+        let feeData = null;
+        try {
+            feeData = await getProvider().getFeeData();
+        } catch (err) {
+            console.warn('[TxManager] getFeeData failed, using GAS_OVERRIDES:', err.message);
+        }
+        const maxPriorityFeePerGas = maxBigInt(
+            GAS_OVERRIDES.maxPriorityFeePerGas, feeData?.maxPriorityFeePerGas ?? 0n
+        );
+        const maxFeePerGas = maxBigInt(
+            GAS_OVERRIDES.maxFeePerGas, feeData?.maxFeePerGas ?? 0n, maxPriorityFeePerGas
+        );
+        return { maxFeePerGas, maxPriorityFeePerGas };
+    }
+
+    // ── Seguimiento ──────────────────────────────────────────────────────
+
+    /**
+     * Espera el recibo (de cualquiera de los hashes enviados).
+     * Lanza si revierte, se cancela, se pierde o vence el timeout.
+     */
+    async wait(id, timeoutMs = DEFAULT_WAIT_MS) {
+        const deadline = Date.now() + timeoutMs;
+
+        for (;;) {
+            const { row, receipt } = await this.refresh(id);
+
+            if (row.status === TX_STATUS.CONFIRMED) {
+                return receipt || await getProvider().getTransactionReceipt(row.tx_hash);
+            }
+            if (row.status === TX_STATUS.REVERTED) {
+                throw new Error(`[TxManager] Transaction reverted on-chain: ${row.tx_hash}`);
+            }
+            if (row.status !== TX_STATUS.SUBMITTED) {
+                throw new Error(`[TxManager] Transaction #${id} ${row.status}${row.error ? `: ${row.error}` : ''}`);
+            }
+            if (Date.now() >= deadline) {
+                throw new Error(`[TxManager] Transaction #${id} not confirmed after ${Math.round(timeoutMs / 1000)}s: ${row.tx_hash}`);
+            }
+            await sleep(Math.min(WAIT_POLL_MS, Math.max(0, deadline - Date.now())));
+        }
+    }
+
+    /**
+     * Revisa una tx enviada (recibo, nonce perdido, gas). Las llamadas
+     * concurrentes (wait + monitor) comparten la misma revision.
+     */
+    async refresh(id) {
+        if (!this._refreshing.has(id)) {
+            const run = this._refresh(id).finally(() => this._refreshing.delete(id));
+            this._refreshing.set(id, run);
+        }
+        return this._refreshing.get(id);
+    }
+
+    async _refresh(id) {
+        const row = await this._load(id);
+        if (row.status !== TX_STATUS.SUBMITTED) return { row };
+
+        const provider = getProvider();
+        const mined = await this._findReceipt(row);
+        if (mined) return mined;
+
+        const lastSentAt = new Date(row.hashes[row.hashes.length - 1]?.sentAt || row.submitted_at).getTime();
+        if (Date.now() - lastSentAt < STUCK_AFTER_MS) return { row };
+
+        // Nonce ya consumido por una tx que no es nuestra → perdida.
+        // Se releen los recibos: uno de nuestros hashes pudo minarse entre
+        // la primera lectura y getTransactionCount.
+        const minedNonce = await provider.getTransactionCount(row.from_address, 'latest');
+        if (minedNonce > row.nonce) {
+            const late = await this._findReceipt(row);
+            if (late) return late;
+
+            const dropped = await this._setStatus(row.id, TX_STATUS.DROPPED, `Nonce ${row.nonce} used by another transaction`);
+            console.error(`[TxManager] #${row.id} ${row.purpose} dropped — nonce ${row.nonce} used by another transaction`);
+            return { row: dropped };
+        }
+
+        try {
+            return { row: await this._replace(row, row.cancel_requested ? 'cancel' : 'bump') };
+        } catch (err) {
+            // El monitor lo reintenta en la siguiente revision
+            if (err.code === 'REPLACEMENT_NOT_SENT') return { row };
+            throw err;
+        }
+    }
+
+    /**
+     * Recibo de cualquiera de los hashes enviados → fila finalizada
+     */
+    async _findReceipt(row) {
+        const provider = getProvider();
+        for (const sent of row.hashes) {
+            const receipt = await provider.getTransactionReceipt(sent.hash);
+            if (receipt) return { row: await this._finalize(row, sent, receipt), receipt };
+        }
+        return null;
+    }
+
+    async _finalize(row, sent, receipt) {
+        const ok = receipt.status === 1;
+        const status = sent.kind === 'cancel'
+            ? TX_STATUS.CANCELLED
+            : (ok ? TX_STATUS.CONFIRMED : TX_STATUS.REVERTED);
+        const summary = {
+            hash: receipt.hash,
+            blockNumber: receipt.blockNumber,
+            status: receipt.status,
+            gasUsed: receipt.gasUsed?.toString(),
+            logs: receipt.logs?.length || 0
+        };
+
+        const result = await query(
+            `UPDATE operator_transactions
+             SET status = $2, tx_hash = $3, block_number = $4, gas_used = $5,
+                 effective_gas_price = $6, receipt = $7, confirmed_at = NOW(), updated_at = NOW()
+             WHERE id = $1
+             RETURNING *`,
+            [row.id, status, receipt.hash, receipt.blockNumber, receipt.gasUsed?.toString() ?? null,
+                (receipt.gasPrice ?? receipt.effectiveGasPrice)?.toString() ?? null, JSON.stringify(summary)]
+        );
+
+        const log = status === TX_STATUS.CONFIRMED ? console.log : console.warn;
+        log(`[TxManager] #${row.id} ${row.purpose} ${status} in block ${receipt.blockNumber}: ${receipt.hash}`);
+        return result.rows[0];
+    }
+
+    /**
+     * Reenvia con el mismo nonce y mas gas: la misma llamada ('bump') o una
+     * transferencia de 0 a si mismo ('cancel'). Lanza REPLACEMENT_NOT_SENT
+     * si no llega a difundir nada (limite de intentos, tope de fee o envio
+     * rechazado).
+     */
+    async _replace(row, kind) {
+        if (row.attempts >= MAX_ATTEMPTS) {
+            console.warn(`[TxManager] #${row.id} still pending after ${row.attempts} attempts — not bumping further`);
+            throw replacementNotSent(row, kind, `${row.attempts} intentos enviados (TX_MAX_ATTEMPTS)`);
+        }
+
+        const current = await this._fees();
+        const maxPriorityFeePerGas = maxBigInt(bumped(row.max_priority_fee_per_gas), current.maxPriorityFeePerGas);
+        const maxFeePerGas = maxBigInt(bumped(row.max_fee_per_gas), current.maxFeePerGas, maxPriorityFeePerGas);
+        if (maxFeePerGas > MAX_FEE_CAP) {
+            console.warn(`[TxManager] #${row.id} replacement would exceed TX_MAX_FEE_CAP_GWEI (${gwei(maxFeePerGas)} gwei)`);
+            throw replacementNotSent(row, kind, `superaria TX_MAX_FEE_CAP_GWEI (${gwei(maxFeePerGas)} gwei)`);
+        }
+
+        const signer = getSigner();
+        const tx = kind === 'cancel'
+            ? { to: row.from_address, data: '0x', value: 0n, gasLimit: CANCEL_GAS_LIMIT }
+            : { to: row.to_address, data: row.data, value: BigInt(row.value), gasLimit: BigInt(row.gas_limit) };
+
+        let response;
+        try {
+            response = await signer.sendTransaction({ ...tx, nonce: row.nonce, maxFeePerGas, maxPriorityFeePerGas });
+        } catch (err) {
+            // 'nonce too low': la original ya se mino, el recibo aparece en la siguiente revision
+            console.warn(`[TxManager] #${row.id} ${kind} not sent: ${err.shortMessage || err.message}`);
+            throw replacementNotSent(row, kind, err.shortMessage || err.message);
+        }
+
+        const sent = { hash: response.hash, kind, maxFeePerGas: maxFeePerGas.toString(), sentAt: new Date().toISOString() };
+        const result = await query(
+            `UPDATE operator_transactions
+             SET tx_hash = $2, hashes = hashes || $3::jsonb, max_fee_per_gas = $4,
+                 max_priority_fee_per_gas = $5, attempts = attempts + 1, updated_at = NOW()
+             WHERE id = $1
+             RETURNING *`,
+            [row.id, response.hash, JSON.stringify([sent]), maxFeePerGas.toString(), maxPriorityFeePerGas.toString()]
+        );
+
+        console.warn(
+            `[TxManager] #${row.id} ${row.purpose} ${kind === 'cancel' ? 'cancel sent' : 'gas bumped'} ` +
+            `(nonce ${row.nonce}, max fee ${gwei(maxFeePerGas)} gwei): ${response.hash}`
+        );
+        return result.rows[0];
+    }
+
+    async _load(id) {
+        const result = await query('SELECT * FROM operator_transactions WHERE id = $1', [id]);
+        if (result.rows.length === 0) throw new Error('Transaccion no encontrada');
+        return result.rows[0];
+    }
+
+    async _setStatus(id, status, error = null) {
+        const result = await query(
+            `UPDATE operator_transactions SET status = $2, error = COALESCE($3, error), updated_at = NOW()
+             WHERE id = $1 RETURNING *`,
+            [id, status, error]
+        );
+        return result.rows[0];
+    }
+
+    // ── Monitor ──────────────────────────────────────────────────────────
+
+    /**
+     * Revisa todas las tx 'submitted' (tambien las de antes de un reinicio)
+     */
+    async checkPending() {
+        if (this._checking) return;
+        this._checking = true;
+        try {
+            const result = await query(
+                `SELECT id FROM operator_transactions WHERE status = 'submitted' ORDER BY nonce ASC`
+            );
+            for (const { id } of result.rows) {
+                try {
+                    await this.refresh(Number(id));
+                } catch (err) {
+                    console.error(`[TxManager] Error checking #${id}:`, err.message);
+                }
+            }
+        } finally {
+            this._checking = false;
+        }
+    }
+
+    start() {
+        if (this._monitor) return;
+        this._monitor = setInterval(() => {
+            this.checkPending().catch(err => console.error('[TxManager] Monitor error:', err.message));
+        }, MONITOR_INTERVAL_MS);
+        this._monitor.unref?.();
+        console.log(`[TxManager] Monitor started (every ${MONITOR_INTERVAL_MS / 1000}s, stuck after ${STUCK_AFTER_MS / 1000}s)`);
+    }
+
+    stop() {
+        if (this._monitor) {
+            clearInterval(this._monitor);
+            this._monitor = null;
+        }
+    }
+
+    // ── Admin ────────────────────────────────────────────────────────────
+
+    /**
+     * @param {Object} [filters]
+     * @param {string} [filters.status] - 'pending' (default), 'all' o un estado
+     */
+    async listTransactions({ status = 'pending', limit = 100 } = {}) {
+        const params = [];
+        let where = '';
+        if (status === 'pending') {
+            params.push(PENDING_STATUSES);
+            where = 'WHERE status = ANY($1)';
+        } else if (status !== 'all') {
+            if (!Object.values(TX_STATUS).includes(status)) throw new Error('Estado de transaccion invalido');
+            params.push(status);
+            where = 'WHERE status = $1';
+        }
+        params.push(Math.min(Math.max(parseInt(limit) || 100, 1), 500));
+
+        const result = await query(
+            `SELECT * FROM operator_transactions ${where} ORDER BY id DESC LIMIT $${params.length}`,
+            params
+        );
+        return result.rows.map(formatTransaction);
+    }
+
+    async getTransaction(id) {
+        return formatTransaction(await this._load(id));
+    }
+
+    /**
+     * Reenvia ya con mas gas, sin esperar a que se considere atascada
+     */
+    async speedUp(id) {
+        const row = await this._load(id);
+        if (row.status !== TX_STATUS.SUBMITTED) throw new Error(`La transaccion esta en estado ${row.status}`);
+        if (row.cancel_requested) throw new Error('La transaccion tiene una cancelacion pendiente');
+        return formatTransaction(await this._replace(row, 'bump'));
+    }
+
+    /**
+     * Reemplaza la tx por una transferencia de 0 a si mismo con el mismo
+     * nonce. Si la original se mina antes, queda confirmada igualmente.
+     * Lanza si la cancelacion no se pudo difundir; queda pedida y el
+     * monitor la reintenta.
+     */
+    async cancel(id) {
+        const row = await this._load(id);
+        if (row.status !== TX_STATUS.SUBMITTED) throw new Error(`La transaccion esta en estado ${row.status}`);
+        await query(
+            'UPDATE operator_transactions SET cancel_requested = true, updated_at = NOW() WHERE id = $1',
+            [id]
+        );
+        return formatTransaction(await this._replace({ ...row, cancel_requested: true }, 'cancel'));
+    }
+}
+
+const txManager = new OperatorTxManager();
+
+module.exports = { txManager, OperatorTxManager, TX_STATUS, formatTransaction };
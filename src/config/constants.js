@@ -516,6 +516,7 @@ const AUDIT_ACTIONS = {
     SCHEDULER_STOPPED: 'scheduler_stopped',
     VRF_ERROR: 'vrf_error',
     SYSTEM_ERROR: 'system_error',
+    LEDGER_DRIFT: 'ledger_drift',
 
     // Keno
     KENO_SESSION_SETTLED: 'keno_session_settled',
@@ -524,7 +525,9 @@ const AUDIT_ACTIONS = {
     KENO_POOL_CRITICAL: 'keno_pool_critical',
     KENO_VRF_BATCH_CREATED: 'keno_vrf_batch_created',
     KENO_VRF_BATCH_VERIFIED: 'keno_vrf_batch_verified',
-    KENO_VRF_BATCH_FAILED: 'keno_vrf_batch_failed'
+    KENO_VRF_BATCH_FAILED: 'keno_vrf_batch_failed',
+    KENO_SETTLEMENT_FAILED: 'keno_settlement_failed',
+    KENO_SETTLEMENT_MISMATCH: 'keno_settlement_mismatch'
 };
 
 // =================================
@@ -627,16 +630,20 @@ function formatBetNumber(number) {
 const DRAW_STATE_MACHINE = {
     // La Bolita draw states
     bolita: {
+        SCHEDULED: 'scheduled',          // Created, not open yet
         OPEN: 'open',                    // Accepting bets
         CLOSED: 'closed',                // Betting closed, awaiting VRF
+        VRF_PENDING: 'vrf_pending',      // Closed on-chain, awaiting the VRF callback
         VRF_REQUESTED: 'vrf_requested',  // VRF request sent
         VRF_FULFILLED: 'vrf_fulfilled',  // VRF received, results available
         SETTLED: 'settled',              // Winners calculated
-        COMPLETED: 'completed'           // All done
+        COMPLETED: 'completed',          // All done
+        CANCELLED: 'cancelled'           // Cancelled, bets refunded
     },
 
     // La Fortuna lottery states
     lottery: {
+        SCHEDULED: 'scheduled',                // Created, not open yet
         OPEN: 'open',                          // Selling tickets
         CLOSED: 'closed',                      // Sales closed, awaiting VRF
         VRF_REQUESTED: 'vrf_requested',        // VRF request sent
@@ -644,18 +651,51 @@ const DRAW_STATE_MACHINE = {
         SETTLED: 'settled',                    // Winners calculated
         ROOTS_PUBLISHED: 'roots_published',    // Merkle roots published
         CLAIMS_OPEN: 'claims_open',            // Claims period started
-        COMPLETED: 'completed'                 // All done, claims period ended
+        COMPLETED: 'completed',                // All done, claims period ended
+        CANCELLED: 'cancelled'                 // Cancelled
     },
 
-    // Allowed transitions
+    // Bingo round states
+    bingo: {
+        OPEN: 'open',                    // Selling cards
+        CLOSED: 'closed',                // Sales closed (off-chain rounds)
+        VRF_REQUESTED: 'vrf_requested',  // Closed on-chain, VRF request sent
+        VRF_FULFILLED: 'vrf_fulfilled',  // VRF received, waiting for the resolver
+        RESOLVING: 'resolving',          // Claimed by a resolver instance
+        DRAWING: 'drawing',              // Resolved, balls being animated
+        RESOLVED: 'resolved',            // All done
+        CANCELLED: 'cancelled'           // Cancelled, cards refunded
+    },
+
+    // Allowed transitions per game
     transitions: {
-        open: ['closed'],
-        closed: ['vrf_requested'],
-        vrf_requested: ['vrf_fulfilled'],
-        vrf_fulfilled: ['settled'],
-        settled: ['roots_published', 'completed'],
-        roots_published: ['claims_open'],
-        claims_open: ['completed']
+        bolita: {
+            scheduled: ['open', 'cancelled'],
+            open: ['closed', 'vrf_pending', 'cancelled'],
+            closed: ['vrf_requested', 'vrf_pending', 'completed', 'cancelled'],
+            vrf_pending: ['completed', 'cancelled'],
+            vrf_requested: ['vrf_fulfilled', 'cancelled'],
+            vrf_fulfilled: ['settled'],
+            settled: ['completed']
+        },
+        lottery: {
+            scheduled: ['open', 'cancelled'],
+            open: ['closed', 'cancelled'],
+            closed: ['vrf_requested', 'completed', 'cancelled'],
+            vrf_requested: ['vrf_fulfilled', 'cancelled'],
+            vrf_fulfilled: ['settled'],
+            settled: ['roots_published', 'completed'],
+            roots_published: ['claims_open'],
+            claims_open: ['completed']
+        },
+        bingo: {
+            open: ['closed', 'vrf_requested', 'cancelled'],
+            closed: ['drawing', 'cancelled'],
+            vrf_requested: ['vrf_fulfilled', 'resolved', 'cancelled'],
+            vrf_fulfilled: ['resolving', 'resolved', 'cancelled'],
+            resolving: ['vrf_fulfilled', 'drawing', 'resolved'],
+            drawing: ['resolved']
+        }
     }
 };
 
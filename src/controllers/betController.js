@@ -1,4 +1,5 @@
 const betService = require('../services/betService');
+const playSessionService = require('../services/playSessionService');
 const { ERROR_MESSAGES, SUCCESS_MESSAGES } = require('../config/constants');
 
 // =================================
@@ -40,10 +41,30 @@ async function placeBets(req, res) {
                 new_balance: result.new_balance,
                 total_cost: result.total_cost,
                 bets_count: result.bets.length
-            }
+            },
+            realityCheck: await playSessionService.pendingRealityCheck(req.user.address)
         });
 
     } catch (error) {
+        // Aviso de sesion sin confirmar
+        if (error.code === 'REALITY_CHECK_REQUIRED') {
+            return res.status(409).json({
+                success: false,
+                code: error.code,
+                message: error.message,
+                realityCheck: error.realityCheck
+            });
+        }
+
+        // Limites, enfriamiento o autoexclusion del jugador
+        if (error.code === 'RESPONSIBLE_GAMING') {
+            return res.status(403).json({
+                success: false,
+                code: error.code,
+                message: error.message
+            });
+        }
+
         console.error('Error realizando apuestas:', error);
 
         // Manejar errores específicos
@@ -73,6 +94,54 @@ async function placeBets(req, res) {
     }
 }
 
+/**
+ * Cotizar una combinación (parlés o centenas) sin apostar
+ * POST /api/bets/quote
+ */
+async function quoteCombination(req, res) {
+    try {
+        const { draw_id, type, numbers, amount, reversed, trim } = req.body;
+
+        const quote = await betService.quoteCombination(draw_id, {
+            type,
+            numbers,
+            amount,
+            reversed: reversed === true || reversed === 'true',
+            trim: !(trim === false || trim === 'false')
+        });
+
+        res.json({
+            success: true,
+            data: quote
+        });
+
+    } catch (error) {
+        console.error('Error cotizando combinación:', error);
+
+        if (/combinación/i.test(error.message) ||
+            error.message.includes('inválido') ||
+            error.message.includes('no está abierto') ||
+            error.message.includes('Máximo')) {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        if (error.message === ERROR_MESSAGES.DRAW_NOT_FOUND) {
+            return res.status(404).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: ERROR_MESSAGES.SERVER_ERROR
+        });
+    }
+}
+
 /**
  * Obtener apuestas del usuario
  * GET /api/bets/my-bets
@@ -174,6 +243,7 @@ async function getBetStats(req, res) {
 
 module.exports = {
     placeBets,
+    quoteCombination,
     getMyBets,
     getBetById,
     getBetStats
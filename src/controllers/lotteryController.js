@@ -1,4 +1,5 @@
 const lotteryService = require('../services/lotteryService');
+const playSessionService = require('../services/playSessionService');
 const { ERROR_MESSAGES, validateLotteryNumbers } = require('../config/constants');
 const Draw = require('../models/Draw');
 const WinnerCalculator = require('../indexer/winnerCalculator');
@@ -50,10 +51,30 @@ async function purchaseTickets(req, res) {
         res.status(201).json({
             success: true,
             message: `${result.tickets.length} ticket(s) comprado(s) exitosamente`,
-            data: result
+            data: result,
+            realityCheck: await playSessionService.pendingRealityCheck(req.user.address)
         });
 
     } catch (error) {
+        // Unacknowledged reality check
+        if (error.code === 'REALITY_CHECK_REQUIRED') {
+            return res.status(409).json({
+                success: false,
+                code: error.code,
+                message: error.message,
+                realityCheck: error.realityCheck
+            });
+        }
+
+        // Player limits, cooling-off or self-exclusion
+        if (error.code === 'RESPONSIBLE_GAMING') {
+            return res.status(403).json({
+                success: false,
+                code: error.code,
+                message: error.message
+            });
+        }
+
         console.error('Error purchasing tickets:', error);
 
         // Handle specific errors
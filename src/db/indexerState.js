@@ -7,9 +7,14 @@
  * a gap where BetResolved / DrawResolved events are missed.
  *
  * Table: indexer_state (created in init.js runBaseSchema)
+ *
+ * Reorg tracking (migration add-indexer-reorg.js):
+ *   indexer_blocks — block hashes checkpointed after each poll
+ *   indexer_events — journal of applied events, used to revert on reorg,
+ *                    plus the events whose apply failed ('retrying'/'failed')
  */
 
-const { query } = require('../config/database');
+const { query, getClient } = require('../config/database');
 
 /**
  * Load the last processed block for a named indexer.
@@ -49,4 +54,185 @@ async function saveIndexerBlock(name, block) {
     }
 }
 
-module.exports = { loadIndexerBlock, saveIndexerBlock };
+/**
+ * Load the most recent block hash checkpoints, newest first.
+ */
+async function loadBlockHashes(name, limit = 100) {
+    const res = await query(
+        `SELECT block_number, block_hash FROM indexer_blocks
+         WHERE indexer = $1
+         ORDER BY block_number DESC
+         LIMIT $2`,
+        [name, limit]
+    );
+    return res.rows.map(row => ({
+        blockNumber: Number(row.block_number),
+        blockHash: row.block_hash
+    }));
+}
+
+/**
+ * Checkpoint a block hash and prune everything older than the last `keep`.
+ */
+async function saveBlockHash(name, blockNumber, blockHash, keep = 100) {
+    await query(
+        `INSERT INTO indexer_blocks (indexer, block_number, block_hash)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (indexer, block_number) DO UPDATE SET block_hash = $3, created_at = NOW()`,
+        [name, blockNumber, blockHash]
+    );
+    await query(
+        `DELETE FROM indexer_blocks
+         WHERE indexer = $1 AND block_number < (
+             SELECT MIN(block_number) FROM (
+                 SELECT block_number FROM indexer_blocks
+                 WHERE indexer = $1
+                 ORDER BY block_number DESC
+                 LIMIT $2
+             ) recent
+         )`,
+        [name, keep]
+    );
+}
+
+/**
+ * Journal an event inside the transaction (client) that applies it.
+ * Returns false if (tx_hash, log_index) was already applied. A row left by
+ * failed attempts is taken over and marked applied.
+ */
+async function recordIndexerEvent(client, name, event) {
+    const res = await client.query(
+        `INSERT INTO indexer_events (
+            indexer, block_number, block_hash, tx_hash, log_index, event_name, args
+         ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+         ON CONFLICT (indexer, tx_hash, log_index) DO UPDATE
+         SET status = 'applied', last_error = NULL, updated_at = NOW()
+         WHERE indexer_events.status <> 'applied'
+         RETURNING id`,
+        [
+            name, event.blockNumber, event.blockHash, event.txHash,
+            event.logIndex, event.eventName, JSON.stringify(event.args)
+        ]
+    );
+    return res.rows.length > 0;
+}
+
+/**
+ * Count a failed apply of an event (outside its rolled back transaction).
+ * The event is 'retrying' until `maxAttempts`, then 'failed'. Returns
+ * { status, attempts }, or null if it was applied in the meantime.
+ */
+async function recordIndexerFailure(name, event, error, maxAttempts) {
+    const res = await query(
+        `INSERT INTO indexer_events (
+            indexer, block_number, block_hash, tx_hash, log_index, event_name, args,
+            status, attempts, last_error
+         ) VALUES ($1, $2, $3, $4, $5, $6, $7,
+            CASE WHEN $9 <= 1 THEN 'failed' ELSE 'retrying' END, 1, $8)
+         ON CONFLICT (indexer, tx_hash, log_index) DO UPDATE
+         SET attempts = indexer_events.attempts + 1,
+             status = CASE WHEN indexer_events.attempts + 1 >= $9 THEN 'failed' ELSE 'retrying' END,
+             last_error = $8,
+             updated_at = NOW()
+         WHERE indexer_events.status <> 'applied'
+         RETURNING status, attempts`,
+        [
+            name, event.blockNumber, event.blockHash, event.txHash,
+            event.logIndex, event.eventName, JSON.stringify(event.args),
+            error, maxAttempts
+        ]
+    );
+    return res.rows[0] || null;
+}
+
+/**
+ * Events every indexer gave up on, newest first
+ */
+async function loadFailedIndexerEvents(limit = 50) {
+    const res = await query(
+        `SELECT id, indexer, block_number, tx_hash, log_index, event_name, attempts, last_error, updated_at
+         FROM indexer_events
+         WHERE status = 'failed'
+         ORDER BY updated_at DESC
+         LIMIT $1`,
+        [limit]
+    );
+    return res.rows.map(row => ({
+        id: row.id,
+        indexer: row.indexer,
+        blockNumber: Number(row.block_number),
+        txHash: row.tx_hash,
+        logIndex: row.log_index,
+        eventName: row.event_name,
+        attempts: row.attempts,
+        lastError: row.last_error,
+        updatedAt: row.updated_at
+    }));
+}
+
+/**
+ * Journaled events past `block`, newest first (the order to revert them in).
+ * Events that were never applied have nothing to revert.
+ */
+async function loadIndexerEventsAfter(name, block) {
+    const res = await query(
+        `SELECT id, block_number, block_hash, tx_hash, log_index, event_name, args
+         FROM indexer_events
+         WHERE indexer = $1 AND block_number > $2 AND status = 'applied'
+         ORDER BY block_number DESC, log_index DESC`,
+        [name, block]
+    );
+    return res.rows.map(row => ({
+        id: row.id,
+        blockNumber: Number(row.block_number),
+        blockHash: row.block_hash,
+        txHash: row.tx_hash,
+        logIndex: row.log_index,
+        eventName: row.event_name,
+        args: row.args
+    }));
+}
+
+/**
+ * Move an indexer back to `block`: drop journaled events and checkpoints
+ * past it and reset last_block, atomically.
+ */
+async function rewindIndexer(name, block) {
+    const client = await getClient();
+
+    try {
+        await client.query('BEGIN');
+        await client.query(
+            'DELETE FROM indexer_events WHERE indexer = $1 AND block_number > $2',
+            [name, block]
+        );
+        await client.query(
+            'DELETE FROM indexer_blocks WHERE indexer = $1 AND block_number > $2',
+            [name, block]
+        );
+        await client.query(
+            `INSERT INTO indexer_state (name, last_block, updated_at)
+             VALUES ($1, $2, NOW())
+             ON CONFLICT (name) DO UPDATE SET last_block = $2, updated_at = NOW()`,
+            [name, block]
+        );
+        await client.query('COMMIT');
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    } finally {
+        client.release();
+    }
+}
+
+module.exports = {
+    loadIndexerBlock,
+    saveIndexerBlock,
+    loadBlockHashes,
+    saveBlockHash,
+    recordIndexerEvent,
+    recordIndexerFailure,
+    loadFailedIndexerEvents,
+    loadIndexerEventsAfter,
+    rewindIndexer
+};
@@ -48,6 +48,26 @@ const JS_MIGRATIONS = [
   'add-bingo-feature-flag.js',
   'add-bingo-winner-balls.js',
   'fix-bingo-winner-varchar.js',
+  'add-keno-payout-tables.js',
+  'add-keno-autoplay.js',
+  'add-keno-seed-chains.js',
+  'add-keno-settlement-queue.js',
+  'add-bingo-patterns.js',
+  'add-bingo-rooms.js',
+  'add-bingo-subscriptions.js',
+  'add-bolita-schedule.js',
+  'add-bolita-exposure-history.js',
+  'add-ledger.js',
+  'add-indexer-reorg.js',
+  'add-operator-transactions.js',
+  'add-alerting.js',
+  'add-responsible-gaming.js',
+  'add-play-sessions.js',
+  'add-referral-plans.js',
+  'add-referral-claims.js',
+  'add-referral-campaigns.js',
+  'add-referral-fraud.js',
+  'add-draw-state-transitions.js',
 ];
 
 async function runBaseSchema() {
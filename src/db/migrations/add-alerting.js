@@ -0,0 +1,144 @@
+/**
+ * Migration: Alerting rules and history
+ *
+ * - alert_rules: thresholds evaluated by monitoringService on every tick.
+ *   `metric` names a collector in alertService; rules on the same metric
+ *   escalate (only the most severe breached rule fires). cooldown_min
+ *   overrides ALERT_COOLDOWN_MIN, channels restricts delivery (NULL = all
+ *   configured channels) and silenced_until mutes notifications.
+ * - alerts: one row per incident. Stays open (firing → acknowledged) while
+ *   the rule is breached and is resolved automatically when it clears or
+ *   manually by an operator.
+ *
+ * Seeds the checks monitoringService used to hard-code (the Bolita warning
+ * threshold keeps BOLITA_POOL_WARN_THRESHOLD if it was set).
+ */
+
+const pool = require('../../db');
+
+async function up() {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS alert_rules (
+        id SERIAL PRIMARY KEY,
+        key VARCHAR(64) UNIQUE NOT NULL,
+        metric VARCHAR(64) NOT NULL,
+        operator VARCHAR(2) NOT NULL CHECK (operator IN ('<', '<=', '>', '>=', '=')),
+        threshold NUMERIC(20, 6) NOT NULL,
+        severity VARCHAR(10) NOT NULL DEFAULT 'warning'
+          CHECK (severity IN ('info', 'warning', 'critical')),
+        cooldown_min INTEGER CHECK (cooldown_min IS NULL OR cooldown_min >= 0),
+        channels TEXT[],
+        title VARCHAR(120) NOT NULL,
+        description TEXT,
+        enabled BOOLEAN NOT NULL DEFAULT true,
+        silenced_until TIMESTAMP,
+        silenced_by VARCHAR(42),
+        created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS alerts (
+        id BIGSERIAL PRIMARY KEY,
+        rule_id INTEGER NOT NULL REFERENCES alert_rules(id) ON DELETE CASCADE,
+        rule_key VARCHAR(64) NOT NULL,
+        metric VARCHAR(64) NOT NULL,
+        severity VARCHAR(10) NOT NULL,
+        value NUMERIC(20, 6),
+        threshold NUMERIC(20, 6),
+        message TEXT NOT NULL,
+        details JSONB NOT NULL DEFAULT '{}',
+        status VARCHAR(15) NOT NULL DEFAULT 'firing'
+          CHECK (status IN ('firing', 'acknowledged', 'resolved')),
+        notify_count INTEGER NOT NULL DEFAULT 0,
+        last_notified_at TIMESTAMP,
+        channels_notified JSONB NOT NULL DEFAULT '[]',
+        acknowledged_at TIMESTAMP,
+        acknowledged_by VARCHAR(42),
+        resolved_at TIMESTAMP,
+        resolved_by VARCHAR(42),
+        fired_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+      )
+    `);
+    // Un solo incidente abierto por regla
+    await client.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_alerts_open_rule ON alerts(rule_id) WHERE status <> 'resolved'
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_alerts_status ON alerts(status, fired_at DESC)
+    `);
+
+    await client.query(`
+      INSERT INTO alert_rules (key, metric, operator, threshold, severity, title, description) VALUES
+        ('keno_depleted', 'keno_pool_min_ratio', '<=', 0, 'critical',
+         'KENO POOL AGOTADO', 'El pool no puede cubrir pagos. Fondear urgente.'),
+        ('keno_critical', 'keno_pool_min_ratio', '<', 0.15, 'critical',
+         'Keno Pool CRÍTICO', 'Balance del pool sobre el minimo requerido. Fondear pronto.'),
+        ('keno_warning', 'keno_pool_min_ratio', '<', 0.30, 'warning',
+         'Keno Pool bajo', 'Balance del pool sobre el minimo requerido.'),
+        ('bolita_depleted', 'bolita_pool_balance', '<=', 0, 'critical',
+         'LA BOLITA POOL AGOTADO', 'Las apuestas serán rechazadas. Fondear urgente.'),
+        ('bolita_warning', 'bolita_pool_balance', '<', $1, 'warning',
+         'La Bolita Pool bajo', 'availablePool() del contrato en USDT.'),
+        ('bolita_vrf_stale', 'bolita_stale_vrf_draws', '>', 0, 'warning',
+         'VRF Bolita atascado', 'Draws en vrf_pending >2.5h sin resolver. Revisar suscripción Chainlink VRF.'),
+        ('operator_tx_stuck', 'operator_tx_stuck', '>', 0, 'warning',
+         'Transacciones del operador atascadas', 'Tx del operador sin confirmar hace mas de 15 minutos.'),
+        ('indexer_failed_events', 'indexer_failed_events', '>', 0, 'critical',
+         'Eventos on-chain sin indexar', 'El indexer agoto los reintentos y salto estos eventos. Corregir y hacer backfill del bloque.')
+      ON CONFLICT (key) DO NOTHING
+    `, [parseFloat(process.env.BOLITA_POOL_WARN_THRESHOLD || '100')]);
+
+    await client.query('COMMIT');
+    console.log('[Migration] Alerting migration applied successfully');
+
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('[Migration] Error applying alerting migration:', err);
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+async function down() {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    await client.query('DROP TABLE IF EXISTS alerts');
+    await client.query('DROP TABLE IF EXISTS alert_rules');
+
+    await client.query('COMMIT');
+    console.log('[Migration] Alerting migration rolled back successfully');
+
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('[Migration] Error rolling back alerting migration:', err);
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+if (require.main === module) {
+  const action = process.argv[2];
+  if (action === 'up') {
+    up().then(() => process.exit(0)).catch(() => process.exit(1));
+  } else if (action === 'down') {
+    down().then(() => process.exit(0)).catch(() => process.exit(1));
+  } else {
+    console.log('Usage: node add-alerting.js [up|down]');
+    process.exit(1);
+  }
+}
+
+module.exports = { up, down };
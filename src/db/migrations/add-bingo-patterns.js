@@ -0,0 +1,80 @@
+/**
+ * Migration: Bingo win patterns
+ *
+ * - bingo_cards.pattern_hits: { [patternId]: bola en que la carta completo el patron }
+ * - bingo_results.pattern_winners: ganadores por patron
+ *   [{ patternId, type, ball, prizeBps, prize, winners: [{ owner, cardId }] }]
+ * - New game_config entry: bingo_room_patterns (patrones extra por sala)
+ */
+
+const pool = require('../../db');
+
+async function up() {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    await client.query(`
+      ALTER TABLE bingo_cards
+      ADD COLUMN IF NOT EXISTS pattern_hits JSONB
+    `);
+
+    await client.query(`
+      ALTER TABLE bingo_results
+      ADD COLUMN IF NOT EXISTS pattern_winners JSONB
+    `);
+
+    await client.query(
+      `INSERT INTO game_config (key, value, value_type)
+       VALUES ('bingo_room_patterns', '{}', 'json')
+       ON CONFLICT (key) DO NOTHING`
+    );
+
+    await client.query('COMMIT');
+    console.log('[Migration] Bingo patterns migration applied successfully');
+
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('[Migration] Error applying Bingo patterns migration:', err);
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+async function down() {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    await client.query(`DELETE FROM game_config WHERE key = 'bingo_room_patterns'`);
+    await client.query('ALTER TABLE bingo_results DROP COLUMN IF EXISTS pattern_winners');
+    await client.query('ALTER TABLE bingo_cards DROP COLUMN IF EXISTS pattern_hits');
+
+    await client.query('COMMIT');
+    console.log('[Migration] Bingo patterns migration rolled back successfully');
+
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('[Migration] Error rolling back Bingo patterns migration:', err);
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+if (require.main === module) {
+  const action = process.argv[2];
+  if (action === 'up') {
+    up().then(() => process.exit(0)).catch(() => process.exit(1));
+  } else if (action === 'down') {
+    down().then(() => process.exit(0)).catch(() => process.exit(1));
+  } else {
+    console.log('Usage: node add-bingo-patterns.js [up|down]');
+    process.exit(1);
+  }
+}
+
+module.exports = { up, down };
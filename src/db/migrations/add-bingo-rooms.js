@@ -0,0 +1,95 @@
+/**
+ * Migration: Per-room Bingo configuration
+ *
+ * - New table: bingo_rooms (precio de carton, ventana de compra, max cartones,
+ *   min jugadores y horario por sala). NULL = usar el valor global.
+ * - bingo_rounds.card_price: precio vigente al crear la ronda (para compras y reembolsos)
+ */
+
+const pool = require('../../db');
+
+const NUM_ROOMS = 4;
+
+async function up() {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    // 1. Configuracion por sala
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS bingo_rooms (
+        room_number INTEGER PRIMARY KEY,
+        name VARCHAR(50) NOT NULL,
+        enabled BOOLEAN NOT NULL DEFAULT true,
+        card_price NUMERIC(20, 6),
+        buy_window_seconds INTEGER,
+        max_cards_per_user INTEGER,
+        min_players INTEGER NOT NULL DEFAULT 1,
+        schedule JSONB,
+        created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+      )
+    `);
+
+    for (let room = 1; room <= NUM_ROOMS; room++) {
+      await client.query(
+        `INSERT INTO bingo_rooms (room_number, name)
+         VALUES ($1, $2)
+         ON CONFLICT (room_number) DO NOTHING`,
+        [room, `Sala ${room}`]
+      );
+    }
+
+    // 2. Precio snapshot por ronda
+    await client.query(`
+      ALTER TABLE bingo_rounds
+      ADD COLUMN IF NOT EXISTS card_price NUMERIC(20, 6)
+    `);
+
+    await client.query('COMMIT');
+    console.log('[Migration] Bingo rooms migration applied successfully');
+
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('[Migration] Error applying Bingo rooms migration:', err);
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+async function down() {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    await client.query('ALTER TABLE bingo_rounds DROP COLUMN IF EXISTS card_price');
+    await client.query('DROP TABLE IF EXISTS bingo_rooms');
+
+    await client.query('COMMIT');
+    console.log('[Migration] Bingo rooms migration rolled back successfully');
+
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('[Migration] Error rolling back Bingo rooms migration:', err);
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+if (require.main === module) {
+  const action = process.argv[2];
+  if (action === 'up') {
+    up().then(() => process.exit(0)).catch(() => process.exit(1));
+  } else if (action === 'down') {
+    down().then(() => process.exit(0)).catch(() => process.exit(1));
+  } else {
+    console.log('Usage: node add-bingo-rooms.js [up|down]');
+    process.exit(1);
+  }
+}
+
+module.exports = { up, down };
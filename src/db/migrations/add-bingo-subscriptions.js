@@ -0,0 +1,110 @@
+/**
+ * Migration: Bingo pre-purchase and subscriptions
+ *
+ * - New table: bingo_subscriptions (N cartones por ronda en una sala, durante
+ *   K rondas o hasta cancelar / agotar el presupuesto reservado)
+ * - New column on bingo_cards: subscription_id
+ * - New game_config entry: bingo_subscription_max_rounds
+ */
+
+const pool = require('../../db');
+
+async function up() {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    // 1. Suscripciones
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS bingo_subscriptions (
+        id SERIAL PRIMARY KEY,
+        wallet_address VARCHAR(42) NOT NULL,
+        room_number INTEGER NOT NULL,
+        cards_per_round INTEGER NOT NULL CHECK (cards_per_round > 0),
+        total_rounds INTEGER CHECK (total_rounds IS NULL OR total_rounds > 0),
+        rounds_played INTEGER NOT NULL DEFAULT 0,
+        budget DECIMAL(14, 6) NOT NULL CHECK (budget > 0),
+        spent DECIMAL(14, 6) NOT NULL DEFAULT 0,
+        refunded DECIMAL(14, 6) NOT NULL DEFAULT 0,
+        status VARCHAR(16) NOT NULL DEFAULT 'active'
+          CHECK (status IN ('active', 'completed', 'exhausted', 'cancelled')),
+        stop_reason VARCHAR(32),
+        last_round_id INTEGER,
+        created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        finished_at TIMESTAMP
+      )
+    `);
+
+    // Solo 1 suscripcion activa por wallet y sala
+    await client.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_bingo_subscriptions_unique_active
+      ON bingo_subscriptions (wallet_address, room_number) WHERE status = 'active'
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_bingo_subscriptions_room_active
+      ON bingo_subscriptions (room_number) WHERE status = 'active'
+    `);
+
+    // 2. Cartones emitidos por una suscripcion
+    await client.query(`
+      ALTER TABLE bingo_cards
+      ADD COLUMN IF NOT EXISTS subscription_id INTEGER REFERENCES bingo_subscriptions(id)
+    `);
+
+    // 3. game_config entries
+    await client.query(
+      `INSERT INTO game_config (key, value, value_type)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (key) DO NOTHING`,
+      ['bingo_subscription_max_rounds', '100', 'number']
+    );
+
+    await client.query('COMMIT');
+    console.log('[Migration] Bingo subscriptions migration applied successfully');
+
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('[Migration] Error applying Bingo subscriptions migration:', err);
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+async function down() {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    await client.query(`DELETE FROM game_config WHERE key = 'bingo_subscription_max_rounds'`);
+    await client.query('ALTER TABLE bingo_cards DROP COLUMN IF EXISTS subscription_id');
+    await client.query('DROP TABLE IF EXISTS bingo_subscriptions');
+
+    await client.query('COMMIT');
+    console.log('[Migration] Bingo subscriptions migration rolled back successfully');
+
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('[Migration] Error rolling back Bingo subscriptions migration:', err);
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+if (require.main === module) {
+  const action = process.argv[2];
+  if (action === 'up') {
+    up().then(() => process.exit(0)).catch(() => process.exit(1));
+  } else if (action === 'down') {
+    down().then(() => process.exit(0)).catch(() => process.exit(1));
+  } else {
+    console.log('Usage: node add-bingo-subscriptions.js [up|down]');
+    process.exit(1);
+  }
+}
+
+module.exports = { up, down };
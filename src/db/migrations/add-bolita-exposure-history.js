@@ -0,0 +1,87 @@
+/**
+ * Migration: Bolita exposure history
+ *
+ * Cada apuesta registrada en number_exposure deja una fila con el estado del
+ * numero despues de la apuesta: monto acumulado, pago potencial, limite
+ * dinamico vigente y multiplicador efectivo. GET /api/bankroll/exposure/:drawId
+ * la usa para mostrar la curva del limite durante el sorteo.
+ */
+
+const pool = require('../../db');
+
+async function up() {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS number_exposure_history (
+        id BIGSERIAL PRIMARY KEY,
+        draw_id INTEGER NOT NULL REFERENCES draws(id) ON DELETE CASCADE,
+        game_type VARCHAR(20) NOT NULL,
+        bet_number VARCHAR(4) NOT NULL,
+        bet_amount DECIMAL(10, 2) NOT NULL,
+        total_amount DECIMAL(10, 2) NOT NULL,
+        potential_payout DECIMAL(14, 2) NOT NULL,
+        exposure_limit DECIMAL(10, 2) NOT NULL,
+        effective_multiplier INTEGER NOT NULL,
+        liability_ratio DECIMAL(8, 4),
+        created_at TIMESTAMP NOT NULL DEFAULT NOW()
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_exposure_history_draw
+      ON number_exposure_history(draw_id, created_at)
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_exposure_history_number
+      ON number_exposure_history(draw_id, game_type, bet_number)
+    `);
+
+    await client.query('COMMIT');
+    console.log('[Migration] Bolita exposure history migration applied successfully');
+
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('[Migration] Error applying Bolita exposure history migration:', err);
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+async function down() {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    await client.query('DROP TABLE IF EXISTS number_exposure_history');
+
+    await client.query('COMMIT');
+    console.log('[Migration] Bolita exposure history migration rolled back successfully');
+
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('[Migration] Error rolling back Bolita exposure history migration:', err);
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+if (require.main === module) {
+  const action = process.argv[2];
+  if (action === 'up') {
+    up().then(() => process.exit(0)).catch(() => process.exit(1));
+  } else if (action === 'down') {
+    down().then(() => process.exit(0)).catch(() => process.exit(1));
+  } else {
+    console.log('Usage: node add-bolita-exposure-history.js [up|down]');
+    process.exit(1);
+  }
+}
+
+module.exports = { up, down };
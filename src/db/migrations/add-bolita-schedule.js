@@ -0,0 +1,121 @@
+/**
+ * Migration: Bolita draw schedule store
+ *
+ * Reemplaza BOLITA_DRAW_TIMES por un calendario editable desde el admin:
+ * - bolita_schedule_rules: horas fijas (UTC) por dia de la semana
+ * - bolita_schedule_extra_draws: sorteos puntuales (festivos, especiales)
+ * - bolita_schedule_blackouts: fechas (UTC) sin sorteos de las reglas
+ * open_before_minutes NULL = BOLITA_OPEN_BEFORE_MIN.
+ *
+ * Las reglas iniciales salen de BOLITA_DRAW_TIMES (todos los dias), asi un
+ * despliegue existente mantiene su horario.
+ */
+
+const pool = require('../../db');
+
+const DEFAULT_DRAW_TIMES = '10:00,15:00,21:00';
+
+async function up() {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    // 1. Reglas recurrentes
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS bolita_schedule_rules (
+        id SERIAL PRIMARY KEY,
+        weekdays SMALLINT[] NOT NULL,
+        draw_time VARCHAR(5) NOT NULL,
+        open_before_minutes INTEGER,
+        enabled BOOLEAN NOT NULL DEFAULT true,
+        label VARCHAR(100),
+        created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+      )
+    `);
+
+    // 2. Sorteos puntuales
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS bolita_schedule_extra_draws (
+        id SERIAL PRIMARY KEY,
+        draw_at TIMESTAMPTZ NOT NULL UNIQUE,
+        open_before_minutes INTEGER,
+        label VARCHAR(100),
+        created_at TIMESTAMP NOT NULL DEFAULT NOW()
+      )
+    `);
+
+    // 3. Fechas bloqueadas
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS bolita_schedule_blackouts (
+        id SERIAL PRIMARY KEY,
+        blackout_date DATE NOT NULL UNIQUE,
+        reason VARCHAR(200),
+        created_at TIMESTAMP NOT NULL DEFAULT NOW()
+      )
+    `);
+
+    // 4. Seed desde el env solo si no hay reglas
+    const { rows } = await client.query('SELECT COUNT(*)::int AS count FROM bolita_schedule_rules');
+    if (rows[0].count === 0) {
+      const times = (process.env.BOLITA_DRAW_TIMES || DEFAULT_DRAW_TIMES)
+        .split(',')
+        .map(t => t.trim())
+        .filter(t => /^([01]\d|2[0-3]):[0-5]\d$/.test(t));
+      for (const time of times) {
+        await client.query(
+          `INSERT INTO bolita_schedule_rules (weekdays, draw_time, label)
+           VALUES ($1, $2, $3)`,
+          [[0, 1, 2, 3, 4, 5, 6], time, `Diario ${time}`]
+        );
+      }
+    }
+
+    await client.query('COMMIT');
+    console.log('[Migration] Bolita schedule migration applied successfully');
+
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('[Migration] Error applying Bolita schedule migration:', err);
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+async function down() {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    await client.query('DROP TABLE IF EXISTS bolita_schedule_blackouts');
+    await client.query('DROP TABLE IF EXISTS bolita_schedule_extra_draws');
+    await client.query('DROP TABLE IF EXISTS bolita_schedule_rules');
+
+    await client.query('COMMIT');
+    console.log('[Migration] Bolita schedule migration rolled back successfully');
+
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('[Migration] Error rolling back Bolita schedule migration:', err);
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+if (require.main === module) {
+  const action = process.argv[2];
+  if (action === 'up') {
+    up().then(() => process.exit(0)).catch(() => process.exit(1));
+  } else if (action === 'down') {
+    down().then(() => process.exit(0)).catch(() => process.exit(1));
+  } else {
+    console.log('Usage: node add-bolita-schedule.js [up|down]');
+    process.exit(1);
+  }
+}
+
+module.exports = { up, down };
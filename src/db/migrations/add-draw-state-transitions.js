@@ -0,0 +1,102 @@
+/**
+ * Migration: Draw state transitions
+ *
+ * - draw_state_transitions: one row per status change of a draw (La Bolita,
+ *   La Fortuna) or bingo round, written by DrawStateMachine in the same
+ *   statement as the status update. from_status is NULL for the creation row.
+ * - draws.status gains 'vrf_pending' (on-chain Bolita draw closed, waiting
+ *   for the VRF callback), already written by bolitaDrawScheduler.
+ */
+
+const pool = require('../../db');
+
+const DRAW_STATUSES = [
+  'scheduled', 'open', 'closed', 'vrf_requested', 'vrf_fulfilled', 'settled',
+  'roots_published', 'claims_open', 'completed', 'cancelled'
+];
+
+function statusCheck(statuses) {
+  return `
+    ALTER TABLE draws ADD CONSTRAINT draws_status_check
+    CHECK (status IN (${statuses.map(status => `'${status}'`).join(', ')}))
+  `;
+}
+
+async function up() {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS draw_state_transitions (
+        id BIGSERIAL PRIMARY KEY,
+        game VARCHAR(16) NOT NULL,
+        entity_type VARCHAR(20) NOT NULL,
+        entity_id BIGINT NOT NULL,
+        from_status VARCHAR(20),
+        to_status VARCHAR(20) NOT NULL,
+        actor VARCHAR(64) NOT NULL DEFAULT 'system',
+        reason TEXT,
+        tx_hash VARCHAR(66),
+        details JSONB,
+        created_at TIMESTAMP NOT NULL DEFAULT NOW()
+      )
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_draw_state_transitions_entity
+      ON draw_state_transitions(entity_type, entity_id, id)
+    `);
+
+    await client.query('ALTER TABLE draws DROP CONSTRAINT IF EXISTS draws_status_check');
+    await client.query(statusCheck([...DRAW_STATUSES, 'vrf_pending']));
+
+    await client.query('COMMIT');
+    console.log('[Migration] Draw state transitions table created successfully');
+
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('[Migration] Error creating draw state transitions table:', err);
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+async function down() {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    // Draws waiting for VRF go back to the legacy 'closed' before the status is removed
+    await client.query("UPDATE draws SET status = 'closed' WHERE status = 'vrf_pending'");
+    await client.query('ALTER TABLE draws DROP CONSTRAINT IF EXISTS draws_status_check');
+    await client.query(statusCheck(DRAW_STATUSES));
+    await client.query('DROP TABLE IF EXISTS draw_state_transitions');
+
+    await client.query('COMMIT');
+    console.log('[Migration] Draw state transitions migration rolled back successfully');
+
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('[Migration] Error rolling back draw state transitions migration:', err);
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+if (require.main === module) {
+  const action = process.argv[2];
+  if (action === 'up') {
+    up().then(() => process.exit(0)).catch(() => process.exit(1));
+  } else if (action === 'down') {
+    down().then(() => process.exit(0)).catch(() => process.exit(1));
+  } else {
+    console.log('Usage: node add-draw-state-transitions.js [up|down]');
+    process.exit(1);
+  }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,107 @@
+/**
+ * Migration: Indexer reorg tracking
+ *
+ * - indexer_blocks: hash of the last block processed on each poll, per
+ *   indexer. The shared indexer core compares them against the chain to
+ *   detect reorgs and find the common ancestor.
+ * - indexer_events: journal of every contract event an indexer applied.
+ *   Unique on (indexer, tx_hash, log_index) so replays are idempotent; on a
+ *   reorg the events past the common ancestor are reverted newest-first and
+ *   removed before the canonical blocks are replayed.
+ *   status/attempts/last_error track events whose apply failed: 'retrying'
+ *   until INDEXER_MAX_EVENT_ATTEMPTS, then 'failed' so the indexer moves on.
+ */
+
+const pool = require('../../db');
+
+async function up() {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS indexer_blocks (
+        indexer VARCHAR(64) NOT NULL,
+        block_number BIGINT NOT NULL,
+        block_hash VARCHAR(66) NOT NULL,
+        created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        PRIMARY KEY (indexer, block_number)
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS indexer_events (
+        id BIGSERIAL PRIMARY KEY,
+        indexer VARCHAR(64) NOT NULL,
+        block_number BIGINT NOT NULL,
+        block_hash VARCHAR(66) NOT NULL,
+        tx_hash VARCHAR(66) NOT NULL,
+        log_index INTEGER NOT NULL,
+        event_name VARCHAR(64) NOT NULL,
+        args JSONB NOT NULL DEFAULT '[]',
+        created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        UNIQUE (indexer, tx_hash, log_index)
+      )
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_indexer_events_block ON indexer_events(indexer, block_number)
+    `);
+    await client.query(`
+      ALTER TABLE indexer_events
+      ADD COLUMN IF NOT EXISTS status VARCHAR(10) NOT NULL DEFAULT 'applied',
+      ADD COLUMN IF NOT EXISTS attempts INTEGER NOT NULL DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS last_error TEXT,
+      ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_indexer_events_unapplied ON indexer_events(indexer, status)
+      WHERE status <> 'applied'
+    `);
+
+    await client.query('COMMIT');
+    console.log('[Migration] Indexer reorg migration applied successfully');
+
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('[Migration] Error applying indexer reorg migration:', err);
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+async function down() {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    await client.query('DROP TABLE IF EXISTS indexer_events');
+    await client.query('DROP TABLE IF EXISTS indexer_blocks');
+
+    await client.query('COMMIT');
+    console.log('[Migration] Indexer reorg migration rolled back successfully');
+
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('[Migration] Error rolling back indexer reorg migration:', err);
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+if (require.main === module) {
+  const action = process.argv[2];
+  if (action === 'up') {
+    up().then(() => process.exit(0)).catch(() => process.exit(1));
+  } else if (action === 'down') {
+    down().then(() => process.exit(0)).catch(() => process.exit(1));
+  } else {
+    console.log('Usage: node add-indexer-reorg.js [up|down]');
+    process.exit(1);
+  }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,132 @@
+/**
+ * Migration: Keno Autoplay
+ *
+ * - New table: keno_autoplay_runs (N jugadas consecutivas con los mismos
+ *   numeros, ligadas a la sesion keno_sessions activa)
+ * - New column on keno_games: autoplay_id
+ * - New game_config entries: keno_autoplay_max_draws, keno_autoplay_interval_ms
+ */
+
+const pool = require('../../db');
+
+async function up() {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    // 1. Ejecuciones de autoplay
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS keno_autoplay_runs (
+        id SERIAL PRIMARY KEY,
+        session_id INTEGER NOT NULL REFERENCES keno_sessions(id),
+        wallet_address VARCHAR(42) NOT NULL,
+        selected_numbers JSONB NOT NULL,
+        bet_amount DECIMAL(14, 6) NOT NULL,
+        payout_table VARCHAR(32),
+        client_seed VARCHAR(64) DEFAULT '',
+        total_draws INTEGER NOT NULL CHECK (total_draws > 0),
+        draws_completed INTEGER NOT NULL DEFAULT 0,
+        total_wagered DECIMAL(14, 6) NOT NULL DEFAULT 0,
+        total_won DECIMAL(14, 6) NOT NULL DEFAULT 0,
+        stop_on_net_loss DECIMAL(14, 6),
+        stop_on_single_win DECIMAL(14, 6),
+        status VARCHAR(16) NOT NULL DEFAULT 'running'
+          CHECK (status IN ('running', 'completed', 'stopped', 'cancelled', 'failed')),
+        stop_reason VARCHAR(32),
+        error_message TEXT,
+        last_game_id VARCHAR(50),
+        created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        finished_at TIMESTAMP
+      )
+    `);
+
+    // Solo 1 autoplay en curso por wallet
+    await client.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_keno_autoplay_unique_running
+      ON keno_autoplay_runs (wallet_address) WHERE status = 'running'
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_keno_autoplay_session
+      ON keno_autoplay_runs (session_id)
+    `);
+
+    // 2. Vincular juegos al autoplay
+    await client.query(`
+      ALTER TABLE keno_games
+      ADD COLUMN IF NOT EXISTS autoplay_id INTEGER REFERENCES keno_autoplay_runs(id)
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_keno_games_autoplay
+      ON keno_games (autoplay_id) WHERE autoplay_id IS NOT NULL
+    `);
+
+    // 3. game_config entries
+    const configEntries = [
+      ['keno_autoplay_max_draws', '100', 'number'],
+      ['keno_autoplay_interval_ms', '3000', 'number']
+    ];
+
+    for (const [key, value, valueType] of configEntries) {
+      await client.query(
+        `INSERT INTO game_config (key, value, value_type)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (key) DO NOTHING`,
+        [key, value, valueType]
+      );
+    }
+
+    await client.query('COMMIT');
+    console.log('[Migration] Keno autoplay migration applied successfully');
+
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('[Migration] Error applying Keno autoplay migration:', err);
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+async function down() {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    await client.query(`
+      DELETE FROM game_config WHERE key IN (
+        'keno_autoplay_max_draws',
+        'keno_autoplay_interval_ms'
+      )
+    `);
+
+    await client.query('ALTER TABLE keno_games DROP COLUMN IF EXISTS autoplay_id');
+    await client.query('DROP TABLE IF EXISTS keno_autoplay_runs');
+
+    await client.query('COMMIT');
+    console.log('[Migration] Keno autoplay migration rolled back successfully');
+
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('[Migration] Error rolling back Keno autoplay migration:', err);
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+if (require.main === module) {
+  const action = process.argv[2];
+  if (action === 'up') {
+    up().then(() => process.exit(0)).catch(() => process.exit(1));
+  } else if (action === 'down') {
+    down().then(() => process.exit(0)).catch(() => process.exit(1));
+  } else {
+    console.log('Usage: node add-keno-autoplay.js [up|down]');
+    process.exit(1);
+  }
+}
+
+module.exports = { up, down };
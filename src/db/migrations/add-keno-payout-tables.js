@@ -0,0 +1,124 @@
+/**
+ * Migration: Keno Payout Tables + Bet Denominations
+ *
+ * - New table: keno_payout_tables (tablas de pago con nombre y version,
+ *   mismo esquema que KenoGame.sol: updatePayoutRow -> commitPayoutUpdate)
+ * - New columns on keno_games: payout_table, payout_table_version
+ * - New game_config entries: keno_bet_amounts, keno_default_payout_table
+ */
+
+const pool = require('../../db');
+
+async function up() {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    // 1. Tablas de pago versionadas
+    // rows: { "1": [0, 3], "2": [0, 1, 9], ... } (multiplicador por aciertos)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS keno_payout_tables (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(32) NOT NULL,
+        version INTEGER NOT NULL,
+        rows JSONB NOT NULL DEFAULT '{}'::jsonb,
+        status VARCHAR(16) NOT NULL DEFAULT 'pending'
+          CHECK (status IN ('pending', 'active', 'retired')),
+        created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        committed_at TIMESTAMP,
+        UNIQUE (name, version)
+      )
+    `);
+
+    // Solo una version activa y una pendiente por tabla
+    await client.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_keno_payout_tables_active
+      ON keno_payout_tables (name) WHERE status = 'active'
+    `);
+    await client.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_keno_payout_tables_pending
+      ON keno_payout_tables (name) WHERE status = 'pending'
+    `);
+
+    // 2. Columnas en keno_games para reproducibilidad
+    await client.query(`
+      ALTER TABLE keno_games
+      ADD COLUMN IF NOT EXISTS payout_table VARCHAR(32) DEFAULT 'classic'
+    `);
+    await client.query(`
+      ALTER TABLE keno_games
+      ADD COLUMN IF NOT EXISTS payout_table_version INTEGER DEFAULT 0
+    `);
+
+    // 3. game_config entries
+    const configEntries = [
+      ['keno_bet_amounts', '[1]', 'json'],
+      ['keno_default_payout_table', 'classic', 'string']
+    ];
+
+    for (const [key, value, valueType] of configEntries) {
+      await client.query(
+        `INSERT INTO game_config (key, value, value_type)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (key) DO NOTHING`,
+        [key, value, valueType]
+      );
+    }
+
+    await client.query('COMMIT');
+    console.log('[Migration] Keno payout tables migration applied successfully');
+
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('[Migration] Error applying Keno payout tables migration:', err);
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+async function down() {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    await client.query(`
+      DELETE FROM game_config WHERE key IN (
+        'keno_bet_amounts',
+        'keno_default_payout_table'
+      )
+    `);
+
+    await client.query('ALTER TABLE keno_games DROP COLUMN IF EXISTS payout_table');
+    await client.query('ALTER TABLE keno_games DROP COLUMN IF EXISTS payout_table_version');
+
+    await client.query('DROP TABLE IF EXISTS keno_payout_tables');
+
+    await client.query('COMMIT');
+    console.log('[Migration] Keno payout tables migration rolled back successfully');
+
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('[Migration] Error rolling back Keno payout tables migration:', err);
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+if (require.main === module) {
+  const action = process.argv[2];
+  if (action === 'up') {
+    up().then(() => process.exit(0)).catch(() => process.exit(1));
+  } else if (action === 'down') {
+    down().then(() => process.exit(0)).catch(() => process.exit(1));
+  } else {
+    console.log('Usage: node add-keno-payout-tables.js [up|down]');
+    process.exit(1);
+  }
+}
+
+module.exports = { up, down };
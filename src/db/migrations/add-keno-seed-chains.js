@@ -0,0 +1,122 @@
+/**
+ * Migration: Keno seed hash chains
+ *
+ * - New table: keno_seed_chains (cadena de N server seeds pre-comprometida
+ *   por wallet; se publica anchor_hash y se revela terminal_seed al rotar)
+ * - New columns on keno_games: seed_chain_id, seed_chain_index
+ * - New game_config entries: keno_seed_chain_enabled, keno_seed_chain_length
+ *
+ * Cadena: seed[N-1] = terminal_seed, seed[i-1] = sha256(seed[i]),
+ *         anchor_hash = sha256(seed[0]). El juego k usa seed[k].
+ */
+
+const pool = require('../../db');
+
+async function up() {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    // 1. Cadenas de seeds
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS keno_seed_chains (
+        id SERIAL PRIMARY KEY,
+        wallet_address VARCHAR(42) NOT NULL,
+        chain_length INTEGER NOT NULL CHECK (chain_length > 0),
+        anchor_hash VARCHAR(64) NOT NULL,
+        terminal_seed VARCHAR(64) NOT NULL,
+        next_index INTEGER NOT NULL DEFAULT 0,
+        status VARCHAR(16) NOT NULL DEFAULT 'active'
+          CHECK (status IN ('active', 'rotated')),
+        created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        rotated_at TIMESTAMP
+      )
+    `);
+
+    // Solo 1 cadena activa por wallet
+    await client.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_keno_seed_chains_unique_active
+      ON keno_seed_chains (wallet_address) WHERE status = 'active'
+    `);
+
+    // 2. Posicion del seed en la cadena
+    await client.query(`
+      ALTER TABLE keno_games
+      ADD COLUMN IF NOT EXISTS seed_chain_id INTEGER REFERENCES keno_seed_chains(id),
+      ADD COLUMN IF NOT EXISTS seed_chain_index INTEGER
+    `);
+
+    // 3. game_config entries
+    const configEntries = [
+      ['keno_seed_chain_enabled', 'false', 'boolean'],
+      ['keno_seed_chain_length', '1000', 'number']
+    ];
+
+    for (const [key, value, valueType] of configEntries) {
+      await client.query(
+        `INSERT INTO game_config (key, value, value_type)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (key) DO NOTHING`,
+        [key, value, valueType]
+      );
+    }
+
+    await client.query('COMMIT');
+    console.log('[Migration] Keno seed chains migration applied successfully');
+
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('[Migration] Error applying Keno seed chains migration:', err);
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+async function down() {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    await client.query(`
+      DELETE FROM game_config WHERE key IN (
+        'keno_seed_chain_enabled',
+        'keno_seed_chain_length'
+      )
+    `);
+
+    await client.query(`
+      ALTER TABLE keno_games
+      DROP COLUMN IF EXISTS seed_chain_index,
+      DROP COLUMN IF EXISTS seed_chain_id
+    `);
+    await client.query('DROP TABLE IF EXISTS keno_seed_chains');
+
+    await client.query('COMMIT');
+    console.log('[Migration] Keno seed chains migration rolled back successfully');
+
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('[Migration] Error rolling back Keno seed chains migration:', err);
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+if (require.main === module) {
+  const action = process.argv[2];
+  if (action === 'up') {
+    up().then(() => process.exit(0)).catch(() => process.exit(1));
+  } else if (action === 'down') {
+    down().then(() => process.exit(0)).catch(() => process.exit(1));
+  } else {
+    console.log('Usage: node add-keno-seed-chains.js [up|down]');
+    process.exit(1);
+  }
+}
+
+module.exports = { up, down };
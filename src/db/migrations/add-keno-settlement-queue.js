@@ -0,0 +1,160 @@
+/**
+ * Migration: Keno settlement queue
+ *
+ * - keno_settlements pasa a ser la cola persistente de liquidaciones on-chain
+ *   (pending -> signed -> submitted -> confirmed | failed) con reintentos y
+ *   backoff exponencial. session_id_bytes32 es UNIQUE: una liquidacion por sesion.
+ * - New table: keno_settlement_events (eventos KenoSessionSettled del indexer,
+ *   usados por el reconciliador)
+ * - New game_config entries: keno_settlement_max_attempts, keno_settlement_backoff_seconds
+ */
+
+const pool = require('../../db');
+
+async function up() {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    // 1. Columnas de la cola
+    await client.query(`
+      ALTER TABLE keno_settlements
+      ADD COLUMN IF NOT EXISTS session_id INTEGER REFERENCES keno_sessions(id),
+      ADD COLUMN IF NOT EXISTS session_id_bytes32 VARCHAR(66),
+      ADD COLUMN IF NOT EXISTS amount_wei VARCHAR(78),
+      ADD COLUMN IF NOT EXISTS is_profit BOOLEAN,
+      ADD COLUMN IF NOT EXISTS signature TEXT,
+      ADD COLUMN IF NOT EXISTS attempts INTEGER NOT NULL DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS next_attempt_at TIMESTAMP DEFAULT NOW(),
+      ADD COLUMN IF NOT EXISTS last_error TEXT,
+      ADD COLUMN IF NOT EXISTS submitted_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS confirmed_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS block_number BIGINT,
+      ADD COLUMN IF NOT EXISTS reconcile_status VARCHAR(20),
+      ADD COLUMN IF NOT EXISTS reconciled_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT NOW()
+    `);
+
+    // Idempotencia: el contrato rechaza un sessionId repetido (SessionAlreadySettled)
+    await client.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_keno_settlements_session_bytes32
+      ON keno_settlements (session_id_bytes32)
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_keno_settlements_queue
+      ON keno_settlements (next_attempt_at)
+      WHERE status IN ('pending', 'signed', 'submitted')
+    `);
+
+    // 2. Eventos KenoSessionSettled indexados
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS keno_settlement_events (
+        id SERIAL PRIMARY KEY,
+        session_id_bytes32 VARCHAR(66) NOT NULL,
+        wallet_address VARCHAR(42) NOT NULL,
+        net_amount_wei VARCHAR(78) NOT NULL,
+        is_profit BOOLEAN NOT NULL,
+        tx_hash VARCHAR(66) NOT NULL,
+        block_number BIGINT NOT NULL,
+        log_index INTEGER NOT NULL,
+        settlement_id INTEGER REFERENCES keno_settlements(id),
+        created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        UNIQUE (tx_hash, log_index)
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_keno_settlement_events_session
+      ON keno_settlement_events (session_id_bytes32);
+      CREATE INDEX IF NOT EXISTS idx_keno_settlement_events_unmatched
+      ON keno_settlement_events (id) WHERE settlement_id IS NULL;
+    `);
+
+    // 3. game_config entries
+    const configEntries = [
+      ['keno_settlement_max_attempts', '8', 'number'],
+      ['keno_settlement_backoff_seconds', '30', 'number']
+    ];
+
+    for (const [key, value, valueType] of configEntries) {
+      await client.query(
+        `INSERT INTO game_config (key, value, value_type)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (key) DO NOTHING`,
+        [key, value, valueType]
+      );
+    }
+
+    await client.query('COMMIT');
+    console.log('[Migration] Keno settlement queue migration applied successfully');
+
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('[Migration] Error applying Keno settlement queue migration:', err);
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+async function down() {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    await client.query(`
+      DELETE FROM game_config WHERE key IN (
+        'keno_settlement_max_attempts',
+        'keno_settlement_backoff_seconds'
+      )
+    `);
+
+    await client.query('DROP TABLE IF EXISTS keno_settlement_events');
+    await client.query('DROP INDEX IF EXISTS idx_keno_settlements_queue');
+    await client.query('DROP INDEX IF EXISTS idx_keno_settlements_session_bytes32');
+    await client.query(`
+      ALTER TABLE keno_settlements
+      DROP COLUMN IF EXISTS updated_at,
+      DROP COLUMN IF EXISTS reconciled_at,
+      DROP COLUMN IF EXISTS reconcile_status,
+      DROP COLUMN IF EXISTS block_number,
+      DROP COLUMN IF EXISTS confirmed_at,
+      DROP COLUMN IF EXISTS submitted_at,
+      DROP COLUMN IF EXISTS last_error,
+      DROP COLUMN IF EXISTS next_attempt_at,
+      DROP COLUMN IF EXISTS attempts,
+      DROP COLUMN IF EXISTS signature,
+      DROP COLUMN IF EXISTS is_profit,
+      DROP COLUMN IF EXISTS amount_wei,
+      DROP COLUMN IF EXISTS session_id_bytes32,
+      DROP COLUMN IF EXISTS session_id
+    `);
+
+    await client.query('COMMIT');
+    console.log('[Migration] Keno settlement queue migration rolled back successfully');
+
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('[Migration] Error rolling back Keno settlement queue migration:', err);
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+if (require.main === module) {
+  const action = process.argv[2];
+  if (action === 'up') {
+    up().then(() => process.exit(0)).catch(() => process.exit(1));
+  } else if (action === 'down') {
+    down().then(() => process.exit(0)).catch(() => process.exit(1));
+  } else {
+    console.log('Usage: node add-keno-settlement-queue.js [up|down]');
+    process.exit(1);
+  }
+}
+
+module.exports = { up, down };
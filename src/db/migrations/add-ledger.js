@@ -0,0 +1,225 @@
+/**
+ * Migration: Double-entry ledger
+ *
+ * Diario contable debajo de los saldos:
+ * - ledger_accounts: una cuenta por usuario (user:<id>), pool de juego, reserva,
+ *   fees del operador, comisiones de referidos por pagar y cuentas puente
+ * - ledger_entries: un asiento por movimiento de dinero
+ * - ledger_postings: lineas del asiento (amount > 0 debe, amount < 0 haber);
+ *   las lineas de un asiento siempre suman 0
+ * - ledger_reconciliations: resultado de cada balance de comprobacion nocturno
+ *
+ * Al aplicarse abre el diario con los saldos actuales (users.balance,
+ * bankroll_status, keno_pool, bingo_pool, apuestas pendientes y reservas de
+ * suscripciones) contra la cuenta external, para que el primer balance de
+ * comprobacion cuadre.
+ */
+
+const pool = require('../../db');
+
+/**
+ * Linea de apertura: abona `amount` (haber) a la cuenta si no es 0
+ */
+async function openAccount(client, entryId, code, accountType, name, amount) {
+  const value = parseFloat(amount) || 0;
+  if (value === 0) return;
+
+  const account = await client.query(
+    `INSERT INTO ledger_accounts (code, account_type, name)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (code) DO UPDATE SET code = EXCLUDED.code
+     RETURNING id`,
+    [code, accountType, name]
+  );
+  await client.query(
+    'INSERT INTO ledger_postings (entry_id, account_id, amount) VALUES ($1, $2, $3)',
+    [entryId, account.rows[0].id, -value]
+  );
+}
+
+async function up() {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS ledger_accounts (
+        id SERIAL PRIMARY KEY,
+        code VARCHAR(64) NOT NULL UNIQUE,
+        account_type VARCHAR(16) NOT NULL
+          CHECK (account_type IN ('asset', 'liability', 'equity', 'revenue')),
+        name VARCHAR(100),
+        user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP NOT NULL DEFAULT NOW()
+      )
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_ledger_accounts_user ON ledger_accounts(user_id)
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS ledger_entries (
+        id BIGSERIAL PRIMARY KEY,
+        entry_type VARCHAR(40) NOT NULL,
+        amount DECIMAL(18, 6) NOT NULL DEFAULT 0,
+        reference_type VARCHAR(40),
+        reference_id VARCHAR(100),
+        description TEXT,
+        created_at TIMESTAMP NOT NULL DEFAULT NOW()
+      )
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_ledger_entries_type ON ledger_entries(entry_type, created_at)
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_ledger_entries_reference ON ledger_entries(reference_type, reference_id)
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS ledger_postings (
+        id BIGSERIAL PRIMARY KEY,
+        entry_id BIGINT NOT NULL REFERENCES ledger_entries(id) ON DELETE CASCADE,
+        account_id INTEGER NOT NULL REFERENCES ledger_accounts(id),
+        amount DECIMAL(18, 6) NOT NULL CHECK (amount <> 0)
+      )
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_ledger_postings_account ON ledger_postings(account_id)
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_ledger_postings_entry ON ledger_postings(entry_id)
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS ledger_reconciliations (
+        id SERIAL PRIMARY KEY,
+        status VARCHAR(10) NOT NULL,
+        drift_count INTEGER NOT NULL DEFAULT 0,
+        checks JSONB NOT NULL,
+        created_at TIMESTAMP NOT NULL DEFAULT NOW()
+      )
+    `);
+
+    // Asiento de apertura (solo la primera vez)
+    const existing = await client.query('SELECT 1 FROM ledger_entries LIMIT 1');
+    if (existing.rows.length === 0) {
+      const entry = await client.query(
+        `INSERT INTO ledger_entries (entry_type, description)
+         VALUES ('opening', 'Saldos de apertura del diario')
+         RETURNING id`
+      );
+      const entryId = entry.rows[0].id;
+
+      await client.query(`
+        INSERT INTO ledger_accounts (code, account_type, name, user_id)
+        SELECT 'user:' || id, 'liability', 'Saldo usuario ' || id, id
+        FROM users WHERE balance <> 0
+        ON CONFLICT (code) DO NOTHING
+      `);
+      await client.query(`
+        INSERT INTO ledger_postings (entry_id, account_id, amount)
+        SELECT $1, a.id, -u.balance
+        FROM users u
+        JOIN ledger_accounts a ON a.code = 'user:' || u.id
+        WHERE u.balance <> 0
+      `, [entryId]);
+
+      const bankroll = await client.query(
+        'SELECT prize_reserve, bankroll_balance FROM bankroll_status LIMIT 1'
+      );
+      const pendingBets = await client.query(
+        "SELECT COALESCE(SUM(amount), 0) AS total FROM bets WHERE status = 'pending'"
+      );
+      const kenoPool = await client.query('SELECT balance FROM keno_pool WHERE id = 1');
+      const bingoPool = await client.query('SELECT jackpot_balance FROM bingo_pool WHERE id = 1');
+      const subscriptions = await client.query(`
+        SELECT COALESCE(SUM(budget - spent), 0) AS total
+        FROM bingo_subscriptions WHERE status = 'active'
+      `);
+
+      await openAccount(client, entryId, 'pool:bolita_reserve', 'equity', 'Reserva de premios La Bolita',
+        bankroll.rows[0]?.prize_reserve);
+      await openAccount(client, entryId, 'pool:bolita_bankroll', 'equity', 'Bankroll La Bolita',
+        bankroll.rows[0]?.bankroll_balance);
+      await openAccount(client, entryId, 'clearing:bolita_stakes', 'liability', 'Apuestas La Bolita pendientes',
+        pendingBets.rows[0].total);
+      await openAccount(client, entryId, 'pool:keno', 'equity', 'Pool Keno',
+        kenoPool.rows[0]?.balance);
+      await openAccount(client, entryId, 'pool:bingo_jackpot', 'equity', 'Jackpot Bingo',
+        bingoPool.rows[0]?.jackpot_balance);
+      await openAccount(client, entryId, 'clearing:bingo_stakes', 'liability', 'Cartones y suscripciones Bingo',
+        subscriptions.rows[0].total);
+
+      // Contrapartida: fondos en custodia
+      const total = await client.query(
+        'SELECT COALESCE(SUM(amount), 0) AS total FROM ledger_postings WHERE entry_id = $1',
+        [entryId]
+      );
+      const opening = -parseFloat(total.rows[0].total);
+      if (opening !== 0) {
+        const external = await client.query(
+          `INSERT INTO ledger_accounts (code, account_type, name)
+           VALUES ('external', 'asset', 'Fondos en custodia')
+           ON CONFLICT (code) DO UPDATE SET code = EXCLUDED.code
+           RETURNING id`
+        );
+        await client.query(
+          'INSERT INTO ledger_postings (entry_id, account_id, amount) VALUES ($1, $2, $3)',
+          [entryId, external.rows[0].id, opening]
+        );
+      }
+      await client.query(
+        'UPDATE ledger_entries SET amount = $2 WHERE id = $1',
+        [entryId, Math.abs(opening)]
+      );
+    }
+
+    await client.query('COMMIT');
+    console.log('[Migration] Ledger migration applied successfully');
+
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('[Migration] Error applying ledger migration:', err);
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+async function down() {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    await client.query('DROP TABLE IF EXISTS ledger_reconciliations');
+    await client.query('DROP TABLE IF EXISTS ledger_postings');
+    await client.query('DROP TABLE IF EXISTS ledger_entries');
+    await client.query('DROP TABLE IF EXISTS ledger_accounts');
+
+    await client.query('COMMIT');
+    console.log('[Migration] Ledger migration rolled back successfully');
+
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('[Migration] Error rolling back ledger migration:', err);
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+if (require.main === module) {
+  const action = process.argv[2];
+  if (action === 'up') {
+    up().then(() => process.exit(0)).catch(() => process.exit(1));
+  } else if (action === 'down') {
+    down().then(() => process.exit(0)).catch(() => process.exit(1));
+  } else {
+    console.log('Usage: node add-ledger.js [up|down]');
+    process.exit(1);
+  }
+}
+
+module.exports = { up, down };
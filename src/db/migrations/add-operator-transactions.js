@@ -0,0 +1,106 @@
+/**
+ * Migration: Operator transactions
+ *
+ * - operator_transactions: every transaction sent from the operator wallet
+ *   through the tx manager (src/chain/txManager.js). Doubles as the
+ *   persistent nonce tracker: the next nonce is never below the highest
+ *   nonce still in 'submitted'.
+ *   `hashes` keeps every broadcast for the nonce (original, gas bumps and
+ *   cancels) so the receipt is found whichever one was mined.
+ */
+
+const pool = require('../../db');
+
+async function up() {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS operator_transactions (
+        id BIGSERIAL PRIMARY KEY,
+        purpose VARCHAR(64) NOT NULL,
+        reference_type VARCHAR(32),
+        reference_id VARCHAR(64),
+        from_address VARCHAR(42) NOT NULL,
+        to_address VARCHAR(42) NOT NULL,
+        nonce INTEGER,
+        data TEXT NOT NULL DEFAULT '0x',
+        value NUMERIC(78, 0) NOT NULL DEFAULT 0,
+        gas_limit NUMERIC(78, 0),
+        max_fee_per_gas NUMERIC(78, 0),
+        max_priority_fee_per_gas NUMERIC(78, 0),
+        tx_hash VARCHAR(66),
+        hashes JSONB NOT NULL DEFAULT '[]',
+        status VARCHAR(20) NOT NULL DEFAULT 'queued'
+          CHECK (status IN ('queued', 'submitted', 'confirmed', 'reverted', 'failed', 'cancelled', 'dropped')),
+        cancel_requested BOOLEAN NOT NULL DEFAULT false,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        error TEXT,
+        block_number BIGINT,
+        gas_used NUMERIC(78, 0),
+        effective_gas_price NUMERIC(78, 0),
+        receipt JSONB,
+        submitted_at TIMESTAMP,
+        confirmed_at TIMESTAMP,
+        created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+      )
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_operator_transactions_status ON operator_transactions(status)
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_operator_transactions_nonce ON operator_transactions(from_address, nonce)
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_operator_transactions_reference
+        ON operator_transactions(reference_type, reference_id)
+    `);
+
+    await client.query('COMMIT');
+    console.log('[Migration] Operator transactions migration applied successfully');
+
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('[Migration] Error applying operator transactions migration:', err);
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+async function down() {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    await client.query('DROP TABLE IF EXISTS operator_transactions');
+
+    await client.query('COMMIT');
+    console.log('[Migration] Operator transactions migration rolled back successfully');
+
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('[Migration] Error rolling back operator transactions migration:', err);
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+if (require.main === module) {
+  const action = process.argv[2];
+  if (action === 'up') {
+    up().then(() => process.exit(0)).catch(() => process.exit(1));
+  } else if (action === 'down') {
+    down().then(() => process.exit(0)).catch(() => process.exit(1));
+  } else {
+    console.log('Usage: node add-operator-transactions.js [up|down]');
+    process.exit(1);
+  }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,98 @@
+/**
+ * Migration: Cross-game play sessions and reality checks
+ *
+ * - play_sessions: one open session per wallet across every game. Starts on
+ *   the first wager and ends after PLAY_SESSION_IDLE_MINUTES without play (or
+ *   when the player ends it). Keeps total wagered, total returned (prizes
+ *   and refunds) and the reality-check state.
+ * - reality_check_settings: per-wallet reality-check interval. Wallets
+ *   without a row use REALITY_CHECK_INTERVAL_MINUTES.
+ */
+
+const pool = require('../../db');
+
+async function up() {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS play_sessions (
+        id SERIAL PRIMARY KEY,
+        wallet_address VARCHAR(42) NOT NULL,
+        started_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        last_activity_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        ended_at TIMESTAMP,
+        end_reason VARCHAR(16) CHECK (end_reason IN ('idle', 'player')),
+        total_wagered NUMERIC(14, 2) NOT NULL DEFAULT 0,
+        total_returned NUMERIC(14, 2) NOT NULL DEFAULT 0,
+        plays INTEGER NOT NULL DEFAULT 0,
+        last_reality_check_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        reality_check_pending_since TIMESTAMP,
+        reality_checks_acknowledged INTEGER NOT NULL DEFAULT 0
+      )
+    `);
+    await client.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_play_sessions_open_wallet
+      ON play_sessions(wallet_address) WHERE ended_at IS NULL
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_play_sessions_wallet_started
+      ON play_sessions(wallet_address, started_at DESC)
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS reality_check_settings (
+        wallet_address VARCHAR(42) PRIMARY KEY,
+        interval_minutes INTEGER NOT NULL CHECK (interval_minutes > 0),
+        updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+      )
+    `);
+
+    await client.query('COMMIT');
+    console.log('[Migration] Play session tables created successfully');
+
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('[Migration] Error creating play session tables:', err);
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+async function down() {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    await client.query('DROP TABLE IF EXISTS reality_check_settings');
+    await client.query('DROP TABLE IF EXISTS play_sessions');
+
+    await client.query('COMMIT');
+    console.log('[Migration] Play session migration rolled back successfully');
+
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('[Migration] Error rolling back play session migration:', err);
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+if (require.main === module) {
+  const action = process.argv[2];
+  if (action === 'up') {
+    up().then(() => process.exit(0)).catch(() => process.exit(1));
+  } else if (action === 'down') {
+    down().then(() => process.exit(0)).catch(() => process.exit(1));
+  } else {
+    console.log('Usage: node add-play-sessions.js [up|down]');
+    process.exit(1);
+  }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,127 @@
+/**
+ * Migration: Referral campaigns and attribution
+ *
+ * - referral_campaigns: named, reusable codes per referrer ("twitter",
+ *   "telegram-group"). Campaign codes are 8 characters so they never clash
+ *   with the 6-character single-use codes in referrals.
+ * - referral_visits: link visits before the wallet connects, one row per
+ *   code and anonymous visitor (hits counts repeat visits).
+ * - referrals: campaign_id for registrations through a campaign (those rows
+ *   have no referral_code of their own), plus first/last bet timestamps for
+ *   the conversion funnel. registered_at is the code creation time on rows
+ *   registered before this migration.
+ */
+
+const pool = require('../../db');
+
+async function up() {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS referral_campaigns (
+        id SERIAL PRIMARY KEY,
+        referrer_wallet VARCHAR(42) NOT NULL,
+        name VARCHAR(32) NOT NULL,
+        code VARCHAR(10) NOT NULL UNIQUE,
+        is_active BOOLEAN NOT NULL DEFAULT true,
+        created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        UNIQUE (referrer_wallet, name)
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS referral_visits (
+        id SERIAL PRIMARY KEY,
+        code VARCHAR(10) NOT NULL,
+        referrer_wallet VARCHAR(42) NOT NULL,
+        campaign_id INTEGER REFERENCES referral_campaigns(id) ON DELETE SET NULL,
+        visitor_id VARCHAR(64) NOT NULL,
+        landing_page VARCHAR(255),
+        source VARCHAR(255),
+        hits INTEGER NOT NULL DEFAULT 1,
+        first_seen_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        last_seen_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        UNIQUE (code, visitor_id)
+      )
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS idx_ref_visits_referrer ON referral_visits(referrer_wallet, campaign_id)');
+
+    await client.query('ALTER TABLE referrals ALTER COLUMN referral_code DROP NOT NULL');
+    await client.query(`
+      ALTER TABLE referrals
+        ADD COLUMN IF NOT EXISTS campaign_id INTEGER REFERENCES referral_campaigns(id) ON DELETE SET NULL,
+        ADD COLUMN IF NOT EXISTS first_bet_at TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS last_bet_at TIMESTAMP
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS idx_referrals_campaign ON referrals(campaign_id) WHERE campaign_id IS NOT NULL');
+
+    // Best available history: first and last level-1 commission per referral
+    await client.query(`
+      UPDATE referrals r
+      SET first_bet_at = c.first_at, last_bet_at = c.last_at
+      FROM (
+        SELECT referral_id, MIN(created_at) AS first_at, MAX(created_at) AS last_at
+        FROM referral_commissions
+        WHERE level = 1 AND basis = 'turnover'
+        GROUP BY referral_id
+      ) c
+      WHERE c.referral_id = r.id AND r.first_bet_at IS NULL
+    `);
+
+    await client.query('COMMIT');
+    console.log('[Migration] Referral campaign tables created successfully');
+
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('[Migration] Error creating referral campaign tables:', err);
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+async function down() {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    // referral_code stays nullable: campaign registrations have no code
+    await client.query('DROP INDEX IF EXISTS idx_referrals_campaign');
+    await client.query(`
+      ALTER TABLE referrals
+        DROP COLUMN IF EXISTS last_bet_at,
+        DROP COLUMN IF EXISTS first_bet_at,
+        DROP COLUMN IF EXISTS campaign_id
+    `);
+    await client.query('DROP TABLE IF EXISTS referral_visits');
+    await client.query('DROP TABLE IF EXISTS referral_campaigns');
+
+    await client.query('COMMIT');
+    console.log('[Migration] Referral campaign migration rolled back successfully');
+
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('[Migration] Error rolling back referral campaign migration:', err);
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+if (require.main === module) {
+  const action = process.argv[2];
+  if (action === 'up') {
+    up().then(() => process.exit(0)).catch(() => process.exit(1));
+  } else if (action === 'down') {
+    down().then(() => process.exit(0)).catch(() => process.exit(1));
+  } else {
+    console.log('Usage: node add-referral-campaigns.js [up|down]');
+    process.exit(1);
+  }
+}
+
+module.exports = { up, down };
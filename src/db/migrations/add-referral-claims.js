@@ -0,0 +1,95 @@
+/**
+ * Migration: Self-service referral commission claims
+ *
+ * - referral_commission_claims: one row per claim made by a referrer. The
+ *   claimed amount is credited to the referrer's balance (transaction_id);
+ *   with method 'withdrawal' it is then sent through the regular withdrawal
+ *   flow (withdrawal_id, or withdrawal_error if that request failed and the
+ *   amount stayed in the balance).
+ * - referral_commissions.claim_id: the exact commission rows a claim covers.
+ *   Rows paid by an admin keep claim_id NULL.
+ */
+
+const pool = require('../../db');
+
+async function up() {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS referral_commission_claims (
+        id SERIAL PRIMARY KEY,
+        referrer_wallet VARCHAR(42) NOT NULL,
+        user_id INTEGER NOT NULL REFERENCES users(id),
+        amount DECIMAL(14, 2) NOT NULL CHECK (amount > 0),
+        commission_count INTEGER NOT NULL,
+        method VARCHAR(16) NOT NULL CHECK (method IN ('balance', 'withdrawal')),
+        transaction_id INTEGER,
+        withdrawal_id INTEGER REFERENCES withdrawals(id) ON DELETE SET NULL,
+        withdrawal_error TEXT,
+        created_at TIMESTAMP NOT NULL DEFAULT NOW()
+      )
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_ref_claims_referrer
+      ON referral_commission_claims(referrer_wallet, created_at DESC)
+    `);
+
+    await client.query(`
+      ALTER TABLE referral_commissions
+        ADD COLUMN IF NOT EXISTS claim_id INTEGER REFERENCES referral_commission_claims(id)
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_ref_comm_claim
+      ON referral_commissions(claim_id) WHERE claim_id IS NOT NULL
+    `);
+
+    await client.query('COMMIT');
+    console.log('[Migration] Referral claim tables created successfully');
+
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('[Migration] Error creating referral claim tables:', err);
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+async function down() {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    await client.query('DROP INDEX IF EXISTS idx_ref_comm_claim');
+    await client.query('ALTER TABLE referral_commissions DROP COLUMN IF EXISTS claim_id');
+    await client.query('DROP TABLE IF EXISTS referral_commission_claims');
+
+    await client.query('COMMIT');
+    console.log('[Migration] Referral claim migration rolled back successfully');
+
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('[Migration] Error rolling back referral claim migration:', err);
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+if (require.main === module) {
+  const action = process.argv[2];
+  if (action === 'up') {
+    up().then(() => process.exit(0)).catch(() => process.exit(1));
+  } else if (action === 'down') {
+    down().then(() => process.exit(0)).catch(() => process.exit(1));
+  } else {
+    console.log('Usage: node add-referral-claims.js [up|down]');
+    process.exit(1);
+  }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,155 @@
+/**
+ * Migration: Referral anti-abuse
+ *
+ * - wallet_fingerprints: salted hashes of the IP and user agent seen when a
+ *   wallet authenticates (one row per wallet/IP/user agent).
+ * - wallet_funders / wallet_funding_scans: cache of the wallets that sent
+ *   USDT to each scored wallet and the last block scanned for it, so a
+ *   rescan only reads the blocks since the previous one.
+ * - referral_fraud_flags: referral pairs whose fraud score reached the hold
+ *   threshold, with the signals behind it and the admin review outcome.
+ *   Only one flag per referral can be pending review.
+ * - referrals: last fraud score and review state. 'flagged' holds new
+ *   commissions; 'cleared' keeps the approved score so only a higher score
+ *   flags the pair again; 'rejected' referrals are also banned.
+ * - referral_commissions.status gains 'held' (not claimable or payable until
+ *   an admin approves the pair).
+ */
+
+const pool = require('../../db');
+
+async function up() {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS wallet_fingerprints (
+        wallet_address VARCHAR(42) NOT NULL,
+        ip_hash VARCHAR(64) NOT NULL,
+        ua_hash VARCHAR(64) NOT NULL,
+        hits INTEGER NOT NULL DEFAULT 1,
+        first_seen_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        last_seen_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        PRIMARY KEY (wallet_address, ip_hash, ua_hash)
+      )
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS idx_wallet_fingerprints_ip ON wallet_fingerprints(ip_hash)');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS wallet_funding_scans (
+        token_address VARCHAR(42) NOT NULL,
+        wallet_address VARCHAR(42) NOT NULL,
+        last_block BIGINT NOT NULL,
+        scanned_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        PRIMARY KEY (token_address, wallet_address)
+      )
+    `);
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS wallet_funders (
+        token_address VARCHAR(42) NOT NULL,
+        wallet_address VARCHAR(42) NOT NULL,
+        funder VARCHAR(42) NOT NULL,
+        first_seen_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        PRIMARY KEY (token_address, wallet_address, funder)
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS referral_fraud_flags (
+        id SERIAL PRIMARY KEY,
+        referral_id INTEGER NOT NULL REFERENCES referrals(id) ON DELETE CASCADE,
+        referrer_wallet VARCHAR(42) NOT NULL,
+        referred_wallet VARCHAR(42) NOT NULL,
+        score SMALLINT NOT NULL,
+        signals JSONB NOT NULL DEFAULT '[]',
+        status VARCHAR(16) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+        reviewed_by VARCHAR(64),
+        reviewed_at TIMESTAMP,
+        review_notes TEXT,
+        created_at TIMESTAMP NOT NULL DEFAULT NOW()
+      )
+    `);
+    await client.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_referral_fraud_flags_pending
+      ON referral_fraud_flags(referral_id) WHERE status = 'pending'
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS idx_referral_fraud_flags_status ON referral_fraud_flags(status, created_at DESC)');
+
+    await client.query(`
+      ALTER TABLE referrals
+        ADD COLUMN IF NOT EXISTS fraud_status VARCHAR(16) NOT NULL DEFAULT 'clear',
+        ADD COLUMN IF NOT EXISTS fraud_score SMALLINT,
+        ADD COLUMN IF NOT EXISTS fraud_cleared_score SMALLINT,
+        ADD COLUMN IF NOT EXISTS fraud_checked_at TIMESTAMP
+    `);
+
+    await client.query('ALTER TABLE referral_commissions DROP CONSTRAINT IF EXISTS referral_commissions_status_check');
+    await client.query(`
+      ALTER TABLE referral_commissions ADD CONSTRAINT referral_commissions_status_check
+      CHECK (status IN ('pending', 'held', 'paid', 'cancelled'))
+    `);
+
+    await client.query('COMMIT');
+    console.log('[Migration] Referral fraud tables created successfully');
+
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('[Migration] Error creating referral fraud tables:', err);
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+async function down() {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    // Held commissions go back to pending before the status is removed
+    await client.query("UPDATE referral_commissions SET status = 'pending' WHERE status = 'held'");
+    await client.query('ALTER TABLE referral_commissions DROP CONSTRAINT IF EXISTS referral_commissions_status_check');
+    await client.query(`
+      ALTER TABLE referral_commissions ADD CONSTRAINT referral_commissions_status_check
+      CHECK (status IN ('pending', 'paid', 'cancelled'))
+    `);
+    await client.query(`
+      ALTER TABLE referrals
+        DROP COLUMN IF EXISTS fraud_checked_at,
+        DROP COLUMN IF EXISTS fraud_cleared_score,
+        DROP COLUMN IF EXISTS fraud_score,
+        DROP COLUMN IF EXISTS fraud_status
+    `);
+    await client.query('DROP TABLE IF EXISTS referral_fraud_flags');
+    await client.query('DROP TABLE IF EXISTS wallet_funders');
+    await client.query('DROP TABLE IF EXISTS wallet_funding_scans');
+    await client.query('DROP TABLE IF EXISTS wallet_fingerprints');
+
+    await client.query('COMMIT');
+    console.log('[Migration] Referral fraud migration rolled back successfully');
+
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('[Migration] Error rolling back referral fraud migration:', err);
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+if (require.main === module) {
+  const action = process.argv[2];
+  if (action === 'up') {
+    up().then(() => process.exit(0)).catch(() => process.exit(1));
+  } else if (action === 'down') {
+    down().then(() => process.exit(0)).catch(() => process.exit(1));
+  } else {
+    console.log('Usage: node add-referral-fraud.js [up|down]');
+    process.exit(1);
+  }
+}
+
+module.exports = { up, down };
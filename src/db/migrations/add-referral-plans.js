@@ -0,0 +1,147 @@
+/**
+ * Migration: Referral commission plans
+ *
+ * - referral_commission_plans: commission rules per plan. Per-game rates
+ *   (game_rates, falling back to default_rate), volume tiers that add a
+ *   bonus rate, an optional second-level rate, turnover or NGR basis and a
+ *   welcome bonus for the referred player. One plan is the default; it is
+ *   seeded with the previous flat 3% of turnover.
+ * - referral_plan_assignments: plan assigned by an admin to a referrer.
+ * - referral_commissions: bet_id becomes text (Keno and Bingo ids are not
+ *   bets.id) and rows record game, level, plan, basis and, for NGR
+ *   commissions, the settled period.
+ * - referrals: welcome bonus paid to the referred wallet.
+ */
+
+const pool = require('../../db');
+
+async function up() {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS referral_commission_plans (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(64) NOT NULL UNIQUE,
+        description TEXT,
+        basis VARCHAR(16) NOT NULL DEFAULT 'turnover' CHECK (basis IN ('turnover', 'ngr')),
+        default_rate NUMERIC(6, 4) NOT NULL CHECK (default_rate >= 0 AND default_rate <= 1),
+        game_rates JSONB NOT NULL DEFAULT '{}',
+        tiers JSONB NOT NULL DEFAULT '[]',
+        second_level_rate NUMERIC(6, 4) NOT NULL DEFAULT 0 CHECK (second_level_rate >= 0 AND second_level_rate <= 1),
+        welcome_bonus NUMERIC(10, 2) NOT NULL DEFAULT 0 CHECK (welcome_bonus >= 0),
+        is_default BOOLEAN NOT NULL DEFAULT false,
+        created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+      )
+    `);
+    await client.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_referral_plans_default
+      ON referral_commission_plans(is_default) WHERE is_default
+    `);
+    await client.query(`
+      INSERT INTO referral_commission_plans (name, description, default_rate, is_default)
+      VALUES ('Estandar', '3% del importe apostado', 0.03, true)
+      ON CONFLICT (name) DO NOTHING
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS referral_plan_assignments (
+        referrer_wallet VARCHAR(42) PRIMARY KEY,
+        plan_id INTEGER NOT NULL REFERENCES referral_commission_plans(id),
+        assigned_by VARCHAR(64),
+        assigned_at TIMESTAMP NOT NULL DEFAULT NOW()
+      )
+    `);
+
+    await client.query('ALTER TABLE referral_commissions DROP CONSTRAINT IF EXISTS referral_commissions_bet_id_fkey');
+    await client.query('ALTER TABLE referral_commissions ALTER COLUMN bet_id TYPE VARCHAR(64) USING bet_id::text');
+    await client.query(`
+      ALTER TABLE referral_commissions
+        ADD COLUMN IF NOT EXISTS game VARCHAR(16),
+        ADD COLUMN IF NOT EXISTS level SMALLINT NOT NULL DEFAULT 1,
+        ADD COLUMN IF NOT EXISTS plan_id INTEGER REFERENCES referral_commission_plans(id) ON DELETE SET NULL,
+        ADD COLUMN IF NOT EXISTS basis VARCHAR(16) NOT NULL DEFAULT 'turnover',
+        ADD COLUMN IF NOT EXISTS period_start DATE,
+        ADD COLUMN IF NOT EXISTS period_end DATE
+    `);
+    // Until now only Bolita bets (integer bets.id) could record a commission
+    await client.query("UPDATE referral_commissions SET game = 'bolita' WHERE game IS NULL AND bet_id IS NOT NULL");
+    await client.query('CREATE INDEX IF NOT EXISTS idx_ref_comm_bet ON referral_commissions(bet_id)');
+    // Un periodo NGR se liquida una sola vez por referido y nivel
+    await client.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_ref_comm_ngr_period
+      ON referral_commissions(referred_wallet, level, period_start) WHERE basis = 'ngr'
+    `);
+
+    await client.query(`
+      ALTER TABLE referrals
+        ADD COLUMN IF NOT EXISTS welcome_bonus_amount DECIMAL(10, 2),
+        ADD COLUMN IF NOT EXISTS welcome_bonus_paid_at TIMESTAMP
+    `);
+
+    await client.query('COMMIT');
+    console.log('[Migration] Referral plan tables created successfully');
+
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('[Migration] Error creating referral plan tables:', err);
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+async function down() {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    // bet_id stays text: Keno/Bingo ids cannot go back to integer
+    await client.query(`
+      ALTER TABLE referrals
+        DROP COLUMN IF EXISTS welcome_bonus_paid_at,
+        DROP COLUMN IF EXISTS welcome_bonus_amount
+    `);
+    await client.query('DROP INDEX IF EXISTS idx_ref_comm_ngr_period');
+    await client.query('DROP INDEX IF EXISTS idx_ref_comm_bet');
+    await client.query(`
+      ALTER TABLE referral_commissions
+        DROP COLUMN IF EXISTS period_end,
+        DROP COLUMN IF EXISTS period_start,
+        DROP COLUMN IF EXISTS basis,
+        DROP COLUMN IF EXISTS plan_id,
+        DROP COLUMN IF EXISTS level,
+        DROP COLUMN IF EXISTS game
+    `);
+    await client.query('DROP TABLE IF EXISTS referral_plan_assignments');
+    await client.query('DROP TABLE IF EXISTS referral_commission_plans');
+
+    await client.query('COMMIT');
+    console.log('[Migration] Referral plan migration rolled back successfully');
+
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('[Migration] Error rolling back referral plan migration:', err);
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+if (require.main === module) {
+  const action = process.argv[2];
+  if (action === 'up') {
+    up().then(() => process.exit(0)).catch(() => process.exit(1));
+  } else if (action === 'down') {
+    down().then(() => process.exit(0)).catch(() => process.exit(1));
+  } else {
+    console.log('Usage: node add-referral-plans.js [up|down]');
+    process.exit(1);
+  }
+}
+
+module.exports = { up, down };
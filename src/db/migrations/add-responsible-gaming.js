@@ -0,0 +1,128 @@
+/**
+ * Migration: Responsible gaming (per-wallet controls)
+ *
+ * - responsible_gaming_limits: deposit / wager / loss limits per wallet and
+ *   period (daily, weekly, monthly). Decreases apply at once; increases and
+ *   removals wait in pending_amount until pending_effective_at
+ *   (pending_amount NULL with a date = removal).
+ * - responsible_gaming_exclusions: cooling-off and self-exclusion. Neither
+ *   can be shortened by the player.
+ * - responsible_gaming_activity: deposits, wagers, payouts and refunds of
+ *   every game, written inside the game transaction. Limits are checked
+ *   against it.
+ * - responsible_gaming_log: every change a player makes (and pending
+ *   increases once they apply).
+ */
+
+const pool = require('../../db');
+
+async function up() {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS responsible_gaming_limits (
+        id SERIAL PRIMARY KEY,
+        wallet_address VARCHAR(42) NOT NULL,
+        limit_type VARCHAR(16) NOT NULL CHECK (limit_type IN ('deposit', 'wager', 'loss')),
+        period VARCHAR(16) NOT NULL CHECK (period IN ('daily', 'weekly', 'monthly')),
+        amount NUMERIC(14, 2) NOT NULL CHECK (amount > 0),
+        pending_amount NUMERIC(14, 2) CHECK (pending_amount > 0),
+        pending_effective_at TIMESTAMP,
+        created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        UNIQUE (wallet_address, limit_type, period)
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS responsible_gaming_exclusions (
+        wallet_address VARCHAR(42) PRIMARY KEY,
+        cooling_off_until TIMESTAMP,
+        self_excluded_until TIMESTAMP,
+        self_excluded_permanent BOOLEAN NOT NULL DEFAULT false,
+        updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS responsible_gaming_activity (
+        id BIGSERIAL PRIMARY KEY,
+        wallet_address VARCHAR(42) NOT NULL,
+        activity_type VARCHAR(16) NOT NULL CHECK (activity_type IN ('deposit', 'wager', 'payout', 'refund')),
+        game VARCHAR(16),
+        amount NUMERIC(14, 2) NOT NULL CHECK (amount > 0),
+        reference_type VARCHAR(32),
+        reference_id VARCHAR(64),
+        created_at TIMESTAMP NOT NULL DEFAULT NOW()
+      )
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_rg_activity_wallet_created
+      ON responsible_gaming_activity(wallet_address, created_at DESC)
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS responsible_gaming_log (
+        id SERIAL PRIMARY KEY,
+        wallet_address VARCHAR(42) NOT NULL,
+        action VARCHAR(32) NOT NULL,
+        details JSONB,
+        created_at TIMESTAMP NOT NULL DEFAULT NOW()
+      )
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_rg_log_wallet_created
+      ON responsible_gaming_log(wallet_address, created_at DESC)
+    `);
+
+    await client.query('COMMIT');
+    console.log('[Migration] Responsible gaming tables created successfully');
+
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('[Migration] Error creating responsible gaming tables:', err);
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+async function down() {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    await client.query('DROP TABLE IF EXISTS responsible_gaming_log');
+    await client.query('DROP TABLE IF EXISTS responsible_gaming_activity');
+    await client.query('DROP TABLE IF EXISTS responsible_gaming_exclusions');
+    await client.query('DROP TABLE IF EXISTS responsible_gaming_limits');
+
+    await client.query('COMMIT');
+    console.log('[Migration] Responsible gaming migration rolled back successfully');
+
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('[Migration] Error rolling back responsible gaming migration:', err);
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+if (require.main === module) {
+  const action = process.argv[2];
+  if (action === 'up') {
+    up().then(() => process.exit(0)).catch(() => process.exit(1));
+  } else if (action === 'down') {
+    down().then(() => process.exit(0)).catch(() => process.exit(1));
+  } else {
+    console.log('Usage: node add-responsible-gaming.js [up|down]');
+    process.exit(1);
+  }
+}
+
+module.exports = { up, down };
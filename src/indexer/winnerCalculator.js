@@ -4,6 +4,9 @@ const {
     getLotteryPrize,
     LOTTERY_PRIZES
 } = require('../config/constants');
+const responsibleGamingService = require('../services/responsibleGamingService');
+const ledgerService = require('../services/ledgerService');
+const DrawStateMachine = require('../workers/drawStateMachine');
 
 // =================================
 // CALCULADOR DE GANADORES
@@ -64,10 +67,10 @@ class WinnerCalculator {
 
             if (tickets.length === 0) {
                 // No tickets — mark draw as completed and return
-                await client.query(
-                    "UPDATE draws SET status = 'completed', updated_at = NOW() WHERE id = $1",
-                    [drawId]
-                );
+                await DrawStateMachine.apply('lottery', drawId, 'completed', {
+                    db: client,
+                    reason: 'Sorteo sin tickets'
+                });
                 await client.query('COMMIT');
                 return {
                     drawId,
@@ -184,10 +187,24 @@ class WinnerCalculator {
             // Disbursement: acreditar premios al balance de los ganadores
             for (const winner of winners) {
                 if (winner.prize_amount > 0) {
-                    await client.query(
-                        'UPDATE users SET balance = balance + $1 WHERE wallet_address = $2',
+                    const credited = await client.query(
+                        'UPDATE users SET balance = balance + $1 WHERE wallet_address = $2 RETURNING id',
                         [winner.prize_amount, winner.user_address.toLowerCase()]
                     );
+                    if (credited.rows.length > 0) {
+                        await ledgerService.transfer(client, {
+                            type: ledgerService.ENTRY_TYPES.PRIZE,
+                            from: ledgerService.ACCOUNTS.FORTUNA_POOL,
+                            to: ledgerService.userAccount(credited.rows[0].id),
+                            amount: winner.prize_amount,
+                            referenceType: 'lottery_ticket',
+                            referenceId: winner.ticket_id
+                        });
+                    }
+                    await responsibleGamingService.recordPayout(client, winner.user_address, 'fortuna', winner.prize_amount, {
+                        referenceType: 'lottery_ticket',
+                        referenceId: winner.ticket_id
+                    });
                 }
             }
 
@@ -200,14 +217,14 @@ class WinnerCalculator {
             }
 
             // Marcar draw como completado
-            await client.query(`
-                UPDATE draws
-                SET status = 'completed',
-                    winners_count = $1,
-                    total_payouts_amount = $2,
-                    updated_at = NOW()
-                WHERE id = $3
-            `, [winners.length, totalPrize, drawId]);
+            await DrawStateMachine.apply('lottery', drawId, 'completed', {
+                db: client,
+                reason: 'Ganadores calculados',
+                set: {
+                    winners_count: winners.length,
+                    total_payouts_amount: totalPrize
+                }
+            });
 
             await client.query('COMMIT');
 
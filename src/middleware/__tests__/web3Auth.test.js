@@ -19,6 +19,11 @@ jest.mock('../../config/database', () => ({
 
 jest.mock('../../db', () => ({ query: jest.fn() }));
 
+const mockRecordFingerprint = jest.fn(async () => true);
+jest.mock('../../services/referralFraudService', () => ({
+  recordFingerprint: (...args) => mockRecordFingerprint(...args)
+}));
+
 // Import after mocks
 const { authenticateWallet } = require('../web3Auth');
 
@@ -157,6 +162,28 @@ describe('web3Auth middleware', () => {
     expect(req.user.address).toBe(addr.toLowerCase());
   });
 
+  it('records the IP/user agent fingerprint of an authenticated wallet', async () => {
+    const addr = '0x1234567890abcdef1234567890abcdef12345678';
+    const ts = Math.floor(Date.now() / 1000);
+
+    mockVerifyMessage.mockReturnValue(addr);
+    mockClientQuery.mockResolvedValueOnce({ rows: [{ id: 42 }] });
+    mockRecordFingerprint.mockRejectedValueOnce(new Error('db down'));
+
+    const { req, res, next } = createMockReqRes({
+      address: addr,
+      signature: '0xvalidsig',
+      message: `Bolcoin Auth: ${addr} at ${ts}`
+    });
+    req.ip = '203.0.113.7';
+    req.get = jest.fn(() => 'Mozilla/5.0');
+    await authenticateWallet(req, res, next);
+
+    expect(mockRecordFingerprint).toHaveBeenCalledWith(addr.toLowerCase(), '203.0.113.7', 'Mozilla/5.0');
+    // A failed fingerprint write never blocks the request
+    expect(next).toHaveBeenCalled();
+  });
+
   it('assigns USER role even when ADMIN_WALLETS is empty', async () => {
     const addr = '0x1234567890abcdef1234567890abcdef12345678';
     const ts = Math.floor(Date.now() / 1000);
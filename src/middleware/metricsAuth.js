@@ -0,0 +1,78 @@
+/**
+ * Middleware de acceso a /metrics
+ *
+ * Permite el scrape si se cumple cualquiera de:
+ *   METRICS_TOKEN        — header "Authorization: Bearer <token>"
+ *   METRICS_ALLOWED_IPS  — IPs o rangos IPv4 CIDR separados por coma
+ *                          (ej. "10.0.0.0/8,127.0.0.1")
+ *
+ * Sin ninguno configurado la ruta no existe (cae en el 404 general).
+ * La IP es req.ip, que ya respeta 'trust proxy' (no se lee X-Forwarded-For
+ * a mano).
+ */
+
+const crypto = require('crypto');
+
+function _parseList(value) {
+  return (value || '').split(',').map(s => s.trim()).filter(Boolean);
+}
+
+function _normalizeIp(ip) {
+  if (!ip) return '';
+  return ip.startsWith('::ffff:') ? ip.slice(7) : ip;
+}
+
+function _ipv4ToInt(ip) {
+  const parts = ip.split('.');
+  if (parts.length !== 4) return null;
+  let value = 0;
+  for (const part of parts) {
+    const n = Number(part);
+    if (!/^\d{1,3}$/.test(part) || n > 255) return null;
+    value = value * 256 + n;
+  }
+  return value;
+}
+
+/**
+ * IP dentro de una entrada de la allow-list (IP exacta o IPv4 CIDR)
+ */
+function ipMatches(ip, entry) {
+  const address = _normalizeIp(ip);
+  if (!entry.includes('/')) return address === _normalizeIp(entry);
+
+  const [range, bitsStr] = entry.split('/');
+  const bits = Number(bitsStr);
+  const ipInt = _ipv4ToInt(address);
+  const rangeInt = _ipv4ToInt(range);
+  if (ipInt === null || rangeInt === null || !Number.isInteger(bits) || bits < 0 || bits > 32) {
+    return false;
+  }
+  if (bits === 0) return true;
+  const size = 2 ** (32 - bits);
+  return Math.floor(ipInt / size) === Math.floor(rangeInt / size);
+}
+
+function _tokenMatches(req, token) {
+  const header = req.headers.authorization || '';
+  if (!header.startsWith('Bearer ')) return false;
+  const given = Buffer.from(header.slice(7));
+  const expected = Buffer.from(token);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+function requireMetricsAccess(req, res, next) {
+  const token = process.env.METRICS_TOKEN;
+  const allowedIps = _parseList(process.env.METRICS_ALLOWED_IPS);
+
+  if (!token && allowedIps.length === 0) {
+    return next('route');
+  }
+
+  if (token && _tokenMatches(req, token)) return next();
+  if (allowedIps.some(entry => ipMatches(req.ip, entry))) return next();
+
+  return res.status(403).json({ success: false, message: 'Acceso denegado' });
+}
+
+module.exports = { requireMetricsAccess, ipMatches };
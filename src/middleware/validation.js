@@ -80,6 +80,33 @@ const validatePlaceBet = [
     handleValidationErrors
 ];
 
+const validateCombinationQuote = [
+    body('draw_id')
+        .isInt({ min: 1 })
+        .withMessage('ID de sorteo inválido'),
+    body('type')
+        .isIn(['parles', 'centenas'])
+        .withMessage('Tipo de combinación inválido'),
+    body('numbers')
+        .isArray({ min: 1, max: 100 })
+        .withMessage('Debe proporcionar los números de la combinación'),
+    body('numbers.*')
+        .matches(/^\d{1,2}$/)
+        .withMessage('Los números de la combinación deben ser fijos (00-99)'),
+    body('amount')
+        .isFloat({ min: LIMITS.MIN_BET_AMOUNT, max: LIMITS.MAX_BET_AMOUNT })
+        .withMessage(`El monto debe estar entre ${LIMITS.MIN_BET_AMOUNT} y ${LIMITS.MAX_BET_AMOUNT} USDT`),
+    body('reversed')
+        .optional()
+        .isBoolean()
+        .withMessage('reversed debe ser booleano'),
+    body('trim')
+        .optional()
+        .isBoolean()
+        .withMessage('trim debe ser booleano'),
+    handleValidationErrors
+];
+
 // =================================
 // VALIDACIONES PARA WALLET
 // =================================
@@ -182,6 +209,7 @@ module.exports = {
     validateRegister,
     validateLogin,
     validatePlaceBet,
+    validateCombinationQuote,
     validateRecharge,
     validateCreateDraw,
     validateEnterResults,
@@ -1,6 +1,7 @@
 const { ethers } = require('ethers');
 const { ERROR_MESSAGES, USER_ROLES } = require('../config/constants');
 const { getClient } = require('../config/database');
+const referralFraudService = require('../services/referralFraudService');
 
 // =================================
 // MIDDLEWARE DE AUTENTICACIÓN WEB3
@@ -189,6 +190,10 @@ async function authenticateWallet(req, res, next) {
             role: isAdmin ? USER_ROLES.ADMIN : USER_ROLES.USER
         };
 
+        // Huella IP/user agent para la deteccion de multi-wallets
+        referralFraudService.recordFingerprint(normalizedAddress, req.ip, req.get && req.get('user-agent'))
+            .catch(error => console.error('Error guardando huella de wallet:', error.message));
+
         next();
 
     } catch (error) {
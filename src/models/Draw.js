@@ -1,5 +1,6 @@
 const { query, getClient } = require('../config/database');
-const { DRAW_STATUS, DRAW_STATE_MACHINE } = require('../config/constants');
+const { DRAW_STATUS } = require('../config/constants');
+const DrawStateMachine = require('../workers/drawStateMachine');
 
 // =================================
 // MODELO DE SORTEO
@@ -19,6 +20,7 @@ class Draw {
 
         try {
             const result = await query(text, values);
+            await DrawStateMachine.recordCreated('bolita', result.rows[0].id, status);
             return result.rows[0];
         } catch (error) {
             // Manejar error de número de sorteo duplicado
@@ -110,39 +112,26 @@ class Draw {
     }
 
     /**
-     * Actualizar estado del sorteo
+     * Actualizar estado del sorteo (pasa por la maquina de estados)
+     * @param {Object} options - actor, reason, txHash, details y columnas extra (set)
      */
-    static async updateStatus(id, status) {
-        const text = `
-            UPDATE draws
-            SET status = $1
-            WHERE id = $2
-            RETURNING *
-        `;
-        const result = await query(text, [status, id]);
-        return result.rows[0];
+    static async updateStatus(id, status, options = {}) {
+        const draw = await DrawStateMachine.applyToDraw(id, status, options);
+        return draw || Draw.findById(id);
     }
 
     /**
      * Ingresar número ganador
      */
     static async enterWinningNumber(id, winningNumber, enteredBy) {
-        const text = `
-            UPDATE draws
-            SET winning_number = $1,
-                result_entered_at = NOW(),
-                result_entered_by = $2,
-                status = $3
-            WHERE id = $4
-            RETURNING *
-        `;
-        const result = await query(text, [
-            winningNumber,
-            enteredBy,
-            DRAW_STATUS.COMPLETED,
-            id
-        ]);
-        return result.rows[0];
+        return await Draw.updateStatus(id, DRAW_STATUS.COMPLETED, {
+            reason: 'Número ganador ingresado',
+            set: {
+                winning_number: winningNumber,
+                result_entered_at: new Date(),
+                result_entered_by: enteredBy
+            }
+        });
     }
 
     /**
@@ -172,7 +161,7 @@ class Draw {
      * Actualizar sorteo
      */
     static async update(id, updates) {
-        const allowedFields = ['draw_number', 'scheduled_time', 'status'];
+        const allowedFields = ['draw_number', 'scheduled_time'];
         const fields = [];
         const values = [];
         let paramIndex = 1;
@@ -185,6 +174,14 @@ class Draw {
             }
         }
 
+        // El estado solo cambia a traves de la maquina de estados
+        if (updates.status) {
+            const draw = await Draw.updateStatus(id, updates.status);
+            if (fields.length === 0) {
+                return draw;
+            }
+        }
+
         if (fields.length === 0) {
             throw new Error('No hay campos para actualizar');
         }
@@ -341,22 +338,22 @@ class Draw {
     /**
      * Abrir sorteo para apuestas (cambiar a estado OPEN)
      */
-    static async open(id) {
-        return await Draw.updateStatus(id, DRAW_STATUS.OPEN);
+    static async open(id, options = {}) {
+        return await Draw.updateStatus(id, DRAW_STATUS.OPEN, options);
     }
 
     /**
      * Cerrar sorteo para apuestas (cambiar a estado CLOSED)
      */
-    static async close(id) {
-        return await Draw.updateStatus(id, DRAW_STATUS.CLOSED);
+    static async close(id, options = {}) {
+        return await Draw.updateStatus(id, DRAW_STATUS.CLOSED, options);
     }
 
     /**
      * Cancelar sorteo
      */
-    static async cancel(id) {
-        return await Draw.updateStatus(id, DRAW_STATUS.CANCELLED);
+    static async cancel(id, options = {}) {
+        return await Draw.updateStatus(id, DRAW_STATUS.CANCELLED, options);
     }
 
     // =================================
@@ -366,111 +363,74 @@ class Draw {
     /**
      * Registrar solicitud VRF
      */
-    static async setVrfRequested(id, requestId) {
-        const text = `
-            UPDATE draws
-            SET status = 'vrf_requested',
-                vrf_request_id = $1,
-                vrf_requested_at = NOW()
-            WHERE id = $2
-            RETURNING *
-        `;
-        const result = await query(text, [requestId, id]);
-        return result.rows[0];
+    static async setVrfRequested(id, requestId, options = {}) {
+        return await Draw.updateStatus(id, 'vrf_requested', {
+            ...options,
+            set: { vrf_request_id: requestId, vrf_requested_at: new Date() }
+        });
     }
 
     /**
      * Registrar respuesta VRF
      */
-    static async setVrfFulfilled(id, randomWord, winningNumber = null) {
-        const text = `
-            UPDATE draws
-            SET status = 'vrf_fulfilled',
-                vrf_random_word = $1,
-                vrf_fulfilled_at = NOW(),
-                winning_number = COALESCE($2, winning_number)
-            WHERE id = $3
-            RETURNING *
-        `;
-        const result = await query(text, [randomWord, winningNumber, id]);
-        return result.rows[0];
+    static async setVrfFulfilled(id, randomWord, winningNumber = null, options = {}) {
+        const set = { vrf_random_word: randomWord, vrf_fulfilled_at: new Date() };
+        if (winningNumber !== null && winningNumber !== undefined) {
+            set.winning_number = winningNumber;
+        }
+        return await Draw.updateStatus(id, 'vrf_fulfilled', { ...options, set });
     }
 
     /**
      * Marcar sorteo como liquidado (winners calculados)
      */
-    static async setSettled(id, stats = {}) {
-        const text = `
-            UPDATE draws
-            SET status = 'settled',
-                total_bets_amount = COALESCE($1, total_bets_amount),
-                total_payouts_amount = COALESCE($2, total_payouts_amount),
-                bets_count = COALESCE($3, bets_count),
-                winners_count = COALESCE($4, winners_count)
-            WHERE id = $5
-            RETURNING *
-        `;
-        const result = await query(text, [
-            stats.total_bets_amount,
-            stats.total_payouts_amount,
-            stats.bets_count,
-            stats.winners_count,
-            id
-        ]);
-        return result.rows[0];
+    static async setSettled(id, stats = {}, options = {}) {
+        const set = {};
+        for (const column of ['total_bets_amount', 'total_payouts_amount', 'bets_count', 'winners_count']) {
+            if (stats[column] !== null && stats[column] !== undefined) {
+                set[column] = stats[column];
+            }
+        }
+        return await Draw.updateStatus(id, 'settled', { ...options, set });
     }
 
     /**
      * Publicar Merkle root (para La Fortuna)
      */
-    static async publishMerkleRoot(id, merkleRoot, claimsDeadline) {
-        const text = `
-            UPDATE draws
-            SET status = 'roots_published',
-                merkle_root = $1,
-                claims_deadline = $2
-            WHERE id = $3
-            RETURNING *
-        `;
-        const result = await query(text, [merkleRoot, claimsDeadline, id]);
-        return result.rows[0];
+    static async publishMerkleRoot(id, merkleRoot, claimsDeadline, options = {}) {
+        return await Draw.updateStatus(id, 'roots_published', {
+            ...options,
+            set: { merkle_root: merkleRoot, claims_deadline: claimsDeadline }
+        });
     }
 
     /**
      * Abrir período de claims
      */
-    static async openClaims(id) {
-        const text = `
-            UPDATE draws
-            SET status = 'claims_open'
-            WHERE id = $1
-            RETURNING *
-        `;
-        const result = await query(text, [id]);
-        return result.rows[0];
+    static async openClaims(id, options = {}) {
+        return await Draw.updateStatus(id, 'claims_open', options);
     }
 
     /**
      * Completar sorteo
      */
-    static async complete(id) {
-        const text = `
-            UPDATE draws
-            SET status = 'completed',
-                result_entered_at = COALESCE(result_entered_at, NOW())
-            WHERE id = $1
-            RETURNING *
-        `;
-        const result = await query(text, [id]);
-        return result.rows[0];
+    static async complete(id, options = {}) {
+        const draw = await Draw.updateStatus(id, 'completed', options);
+        if (draw && !draw.result_entered_at) {
+            const result = await query(
+                'UPDATE draws SET result_entered_at = NOW() WHERE id = $1 RETURNING *',
+                [id]
+            );
+            return result.rows[0];
+        }
+        return draw;
     }
 
     /**
      * Verificar si una transición de estado es válida
      */
-    static isValidTransition(currentStatus, newStatus) {
-        const allowedTransitions = DRAW_STATE_MACHINE.transitions[currentStatus];
-        return allowedTransitions && allowedTransitions.includes(newStatus);
+    static isValidTransition(currentStatus, newStatus, game = 'bolita') {
+        return DrawStateMachine.isValidTransition(currentStatus, newStatus, game);
     }
 
     /**
@@ -554,6 +514,7 @@ class Draw {
 
         try {
             const result = await query(text, values);
+            await DrawStateMachine.recordCreated('lottery', result.rows[0].id, status);
             return result.rows[0];
         } catch (error) {
             if (error.code === '23505' && error.constraint === 'draws_draw_number_key') {
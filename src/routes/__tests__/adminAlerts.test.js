@@ -0,0 +1,168 @@
+/**
+ * Integration tests: Admin Alerts endpoints
+ * All routes require admin JWT auth via adminAuth middleware.
+ *
+ * GET  /api/admin/alerts
+ * POST /api/admin/alerts/:id/acknowledge
+ * POST /api/admin/alerts/:id/resolve
+ * GET  /api/admin/alerts/rules
+ * POST /api/admin/alerts/rules/:id/silence
+ * GET  /api/admin/alerts/channels
+ * POST /api/admin/alerts/channels/:name/test
+ */
+const request = require('supertest');
+const { app, resetMocks } = require('./helpers/testApp');
+const AuditLog = require('../../models/AuditLog');
+const alertService = require('../../services/alertService');
+
+const ADMIN_HDR = { Authorization: 'Bearer test-admin-jwt' };
+const ADMIN_ADDRESS = '0x' + 'a'.repeat(40);
+
+beforeEach(() => {
+  resetMocks();
+});
+
+describe('Admin alerts auth guard', () => {
+  it('GET /api/admin/alerts returns 401 without token', async () => {
+    const res = await request(app).get('/api/admin/alerts');
+    expect(res.status).toBe(401);
+  });
+
+  it('POST /api/admin/alerts/channels/telegram/test returns 401 without token', async () => {
+    const res = await request(app).post('/api/admin/alerts/channels/telegram/test');
+    expect(res.status).toBe(401);
+  });
+});
+
+describe('GET /api/admin/alerts', () => {
+  it('lists active alerts by default', async () => {
+    alertService.listAlerts.mockResolvedValueOnce([
+      { id: 4, rule_key: 'keno_critical', severity: 'critical', status: 'firing' }
+    ]);
+
+    const res = await request(app).get('/api/admin/alerts').set(ADMIN_HDR);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data[0]).toMatchObject({ id: 4, status: 'firing' });
+    expect(alertService.listAlerts).toHaveBeenCalledWith({ status: 'active', limit: undefined });
+  });
+
+  it('returns 400 for an unknown status', async () => {
+    alertService.listAlerts.mockRejectedValueOnce(new Error('Estado de alerta invalido'));
+
+    const res = await request(app).get('/api/admin/alerts?status=open').set(ADMIN_HDR);
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('POST /api/admin/alerts/:id/acknowledge and /resolve', () => {
+  it('acknowledges an alert and audits it', async () => {
+    alertService.acknowledgeAlert.mockResolvedValueOnce({ id: 4, rule_key: 'keno_critical', status: 'acknowledged' });
+
+    const res = await request(app).post('/api/admin/alerts/4/acknowledge').set(ADMIN_HDR);
+
+    expect(res.status).toBe(200);
+    expect(alertService.acknowledgeAlert).toHaveBeenCalledWith(4, ADMIN_ADDRESS);
+    expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'alert_acknowledged', entity_type: 'alert', entity_id: '4'
+    }));
+  });
+
+  it('returns 404 for an unknown alert', async () => {
+    alertService.resolveAlert.mockRejectedValueOnce(new Error('Alerta no encontrada'));
+
+    const res = await request(app).post('/api/admin/alerts/99/resolve').set(ADMIN_HDR);
+
+    expect(res.status).toBe(404);
+  });
+
+  it('returns 400 when the alert is already resolved', async () => {
+    alertService.resolveAlert.mockRejectedValueOnce(new Error('La alerta ya esta resuelta'));
+
+    const res = await request(app).post('/api/admin/alerts/4/resolve').set(ADMIN_HDR);
+
+    expect(res.status).toBe(400);
+    expect(AuditLog.create).not.toHaveBeenCalled();
+  });
+
+  it('returns 400 for a non-numeric id', async () => {
+    const res = await request(app).post('/api/admin/alerts/abc/resolve').set(ADMIN_HDR);
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('Alert rules', () => {
+  it('lists rules', async () => {
+    alertService.listRules.mockResolvedValueOnce([{ id: 1, key: 'keno_depleted', silenced: false }]);
+
+    const res = await request(app).get('/api/admin/alerts/rules').set(ADMIN_HDR);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toHaveLength(1);
+  });
+
+  it('silences a rule for a period', async () => {
+    alertService.silenceRule.mockResolvedValueOnce({ id: 2, key: 'bolita_warning', silenced: true });
+
+    const res = await request(app)
+      .post('/api/admin/alerts/rules/2/silence')
+      .set(ADMIN_HDR)
+      .send({ minutes: 60 });
+
+    expect(res.status).toBe(200);
+    expect(alertService.silenceRule).toHaveBeenCalledWith(2, 60, ADMIN_ADDRESS);
+    expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({ action: 'alert_rule_silenced' }));
+  });
+
+  it('returns 400 for an invalid duration', async () => {
+    alertService.silenceRule.mockRejectedValueOnce(new Error('minutes debe ser un entero entre 0 y 10080'));
+
+    const res = await request(app)
+      .post('/api/admin/alerts/rules/2/silence')
+      .set(ADMIN_HDR)
+      .send({ minutes: -5 });
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('Alert channels', () => {
+  it('lists channels with their configuration state', async () => {
+    const res = await request(app).get('/api/admin/alerts/channels').set(ADMIN_HDR);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.map(c => c.name)).toEqual(['telegram', 'webhook', 'slack', 'email']);
+  });
+
+  it('test-fires a channel', async () => {
+    alertService.testChannel.mockResolvedValueOnce({ channel: 'telegram', ok: true });
+
+    const res = await request(app).post('/api/admin/alerts/channels/telegram/test').set(ADMIN_HDR);
+
+    expect(res.status).toBe(200);
+    expect(alertService.testChannel).toHaveBeenCalledWith('telegram', ADMIN_ADDRESS);
+    expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({ action: 'alert_channel_tested' }));
+  });
+
+  it('returns 502 when the channel fails to deliver', async () => {
+    alertService.testChannel.mockResolvedValueOnce({ channel: 'slack', ok: false, error: 'Request failed with status code 404' });
+
+    const res = await request(app).post('/api/admin/alerts/channels/slack/test').set(ADMIN_HDR);
+
+    expect(res.status).toBe(502);
+    expect(res.body.message).toContain('404');
+  });
+
+  it('returns 404 for an unknown channel and 400 for one not configured', async () => {
+    alertService.testChannel
+      .mockRejectedValueOnce(new Error('Canal desconocido'))
+      .mockRejectedValueOnce(new Error('Canal no configurado'));
+
+    const unknown = await request(app).post('/api/admin/alerts/channels/pager/test').set(ADMIN_HDR);
+    const missing = await request(app).post('/api/admin/alerts/channels/email/test').set(ADMIN_HDR);
+
+    expect(unknown.status).toBe(404);
+    expect(missing.status).toBe(400);
+  });
+});
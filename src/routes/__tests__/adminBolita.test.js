@@ -0,0 +1,53 @@
+/**
+ * Integration tests: Admin Bolita draw schedule
+ */
+const request = require('supertest');
+const { app, resetMocks } = require('./helpers/testApp');
+const bolitaScheduleService = require('../../services/bolitaScheduleService');
+
+const ADMIN_AUTH = { Authorization: 'Bearer test-admin-jwt' };
+
+beforeEach(() => resetMocks());
+
+describe('Admin Bolita schedule', () => {
+  it('GET /api/admin/bolita/schedule requires admin auth', async () => {
+    const res = await request(app).get('/api/admin/bolita/schedule');
+    expect(res.status).toBe(401);
+  });
+
+  it('GET /api/admin/bolita/schedule/preview defaults to 14 days', async () => {
+    bolitaScheduleService.previewSlots.mockResolvedValueOnce({ days: 14, slots: [] });
+
+    const res = await request(app).get('/api/admin/bolita/schedule/preview').set(ADMIN_AUTH);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.days).toBe(14);
+    expect(bolitaScheduleService.previewSlots).toHaveBeenCalledWith(14);
+  });
+
+  it('POST /api/admin/bolita/schedule/rules passes only the known fields', async () => {
+    bolitaScheduleService.createRule.mockResolvedValueOnce({ id: 4, drawTime: '18:30' });
+
+    const res = await request(app)
+      .post('/api/admin/bolita/schedule/rules')
+      .set(ADMIN_AUTH)
+      .send({ weekdays: [5, 6], drawTime: '18:30', openBeforeMinutes: 120, foo: 'bar' });
+
+    expect(res.status).toBe(201);
+    const [rule] = bolitaScheduleService.createRule.mock.calls[0];
+    expect(rule).toMatchObject({ weekdays: [5, 6], drawTime: '18:30', openBeforeMinutes: 120 });
+    expect(rule.foo).toBeUndefined();
+  });
+
+  it('POST /api/admin/bolita/schedule/blackouts returns 400 on invalid input', async () => {
+    bolitaScheduleService.addBlackout.mockRejectedValueOnce(new Error('date invalida (YYYY-MM-DD, UTC)'));
+
+    const res = await request(app)
+      .post('/api/admin/bolita/schedule/blackouts')
+      .set(ADMIN_AUTH)
+      .send({ date: '25/12/2026' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('date invalida (YYYY-MM-DD, UTC)');
+  });
+});
@@ -5,10 +5,14 @@
  * GET  /api/admin/ops/summary
  * GET  /api/admin/ops/toggles
  * POST /api/admin/ops/toggles
+ * GET  /api/admin/ops/transactions
+ * POST /api/admin/ops/transactions/:id/speed-up
+ * POST /api/admin/ops/transactions/:id/cancel
  */
 const request = require('supertest');
 const { app, resetMocks, mockDb, mockFeatureFlags } = require('./helpers/testApp');
 const AuditLog = require('../../models/AuditLog');
+const { txManager } = require('../../chain/txManager');
 
 const ADMIN_HDR = { Authorization: 'Bearer test-admin-jwt' };
 
@@ -60,6 +64,26 @@ describe('GET /api/admin/ops/summary', () => {
     expect(res.body).toHaveProperty('dbAvailable');
   });
 
+  it('includes RPC pool health', async () => {
+    const { getRpcHealth } = require('../../chain/provider');
+    getRpcHealth.mockReturnValueOnce({
+      healthy: 1,
+      total: 2,
+      logsRange: 500,
+      endpoints: [
+        { url: 'polygon-rpc.com', healthy: true, lag: 0 },
+        { url: 'polygon-mainnet.g.alchemy.com', healthy: false, lag: 40 }
+      ]
+    });
+
+    const res = await request(app)
+      .get('/api/admin/ops/summary')
+      .set(ADMIN_HDR);
+    expect(res.status).toBe(200);
+    expect(res.body.rpc).toMatchObject({ healthy: 1, total: 2 });
+    expect(res.body.rpc.endpoints[1]).toMatchObject({ healthy: false, lag: 40 });
+  });
+
   it('returns 500 on unexpected error', async () => {
     // Force getFlagsSimple to throw in a way that breaks the top-level try
     mockDb.query.mockRejectedValue(new Error('connection lost'));
@@ -166,3 +190,72 @@ describe('POST /api/admin/ops/toggles', () => {
     expect(res.status).toBe(500);
   });
 });
+
+// ─── Operator transactions ─────────────────────────────────────────────
+describe('GET /api/admin/ops/transactions', () => {
+  it('returns 401 without token', async () => {
+    const res = await request(app).get('/api/admin/ops/transactions');
+    expect(res.status).toBe(401);
+  });
+
+  it('lists pending transactions by default', async () => {
+    txManager.listTransactions.mockResolvedValueOnce([
+      { id: 3, purpose: 'bolita.closeDraw', nonce: 41, status: 'submitted' }
+    ]);
+
+    const res = await request(app)
+      .get('/api/admin/ops/transactions')
+      .set(ADMIN_HDR);
+    expect(res.status).toBe(200);
+    expect(res.body.data[0]).toMatchObject({ id: 3, nonce: 41, status: 'submitted' });
+    expect(txManager.listTransactions).toHaveBeenCalledWith({ status: 'pending', limit: undefined });
+  });
+
+  it('returns 400 for an unknown status', async () => {
+    txManager.listTransactions.mockRejectedValueOnce(new Error('Estado de transaccion invalido'));
+
+    const res = await request(app)
+      .get('/api/admin/ops/transactions?status=lost')
+      .set(ADMIN_HDR);
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('POST /api/admin/ops/transactions/:id/speed-up and /cancel', () => {
+  it('bumps gas and writes an audit entry', async () => {
+    txManager.speedUp.mockResolvedValueOnce({ id: 3, nonce: 41, txHash: '0xbump', purpose: 'withdrawal' });
+
+    const res = await request(app)
+      .post('/api/admin/ops/transactions/3/speed-up')
+      .set(ADMIN_HDR);
+    expect(res.status).toBe(200);
+    expect(txManager.speedUp).toHaveBeenCalledWith(3);
+    expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'operator_tx_speed_up',
+      entity_type: 'operator_transaction',
+      entity_id: '3'
+    }));
+  });
+
+  it('cancels a pending transaction', async () => {
+    txManager.cancel.mockResolvedValueOnce({ id: 3, nonce: 41, txHash: '0xcancel', cancelRequested: true });
+
+    const res = await request(app)
+      .post('/api/admin/ops/transactions/3/cancel')
+      .set(ADMIN_HDR);
+    expect(res.status).toBe(200);
+    expect(res.body.data.cancelRequested).toBe(true);
+  });
+
+  it('returns 404 for an unknown transaction and 400 when it is no longer pending', async () => {
+    txManager.cancel.mockRejectedValueOnce(new Error('Transaccion no encontrada'));
+    txManager.speedUp.mockRejectedValueOnce(new Error('La transaccion esta en estado confirmed'));
+
+    const missing = await request(app).post('/api/admin/ops/transactions/9/cancel').set(ADMIN_HDR);
+    const done = await request(app).post('/api/admin/ops/transactions/3/speed-up').set(ADMIN_HDR);
+
+    expect(missing.status).toBe(404);
+    expect(done.status).toBe(400);
+    expect(AuditLog.create).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,237 @@
+/**
+ * Integration tests: Admin referral plan endpoints
+ *
+ * GET  /api/admin/referrals/stats
+ * GET  /api/admin/referrals/plans
+ * POST /api/admin/referrals/plans
+ * PUT  /api/admin/referrals/plans/:id
+ * PUT  /api/admin/referrals/referrers/:wallet/plan
+ * POST /api/admin/referrals/commissions/ngr/settle
+ * GET  /api/admin/referrals/claims/:id
+ * GET  /api/admin/referrals/fraud/flags
+ * POST /api/admin/referrals/fraud/flags/:id/review
+ */
+const request = require('supertest');
+const { app, resetMocks } = require('./helpers/testApp');
+const AuditLog = require('../../models/AuditLog');
+const referralPlanService = require('../../services/referralPlanService');
+const referralAdminService = require('../../services/referralAdminService');
+const referralClaimService = require('../../services/referralClaimService');
+const referralFraudService = require('../../services/referralFraudService');
+
+const ADMIN_HDR = { Authorization: 'Bearer test-admin-jwt' };
+const ADMIN_ADDRESS = '0x' + 'a'.repeat(40);
+const REFERRER = '0x' + 'b'.repeat(40);
+
+const PLAN = { id: 2, name: 'Keno VIP', basis: 'turnover', default_rate: 0.03, game_rates: { keno: 0.05 } };
+
+beforeEach(() => {
+  resetMocks();
+});
+
+describe('Admin referral plans auth guard', () => {
+  it('GET /api/admin/referrals/plans returns 401 without token', async () => {
+    const res = await request(app).get('/api/admin/referrals/plans');
+    expect(res.status).toBe(401);
+  });
+});
+
+describe('GET /api/admin/referrals/stats', () => {
+  it('passes the referrer filter for the campaign breakdown', async () => {
+    referralAdminService.getReferralStats.mockResolvedValueOnce({ referrers: 3, funnel: { visitors: 10 }, campaigns: [] });
+
+    const res = await request(app).get(`/api/admin/referrals/stats?referrer_wallet=${REFERRER}`).set(ADMIN_HDR);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.funnel.visitors).toBe(10);
+    expect(referralAdminService.getReferralStats).toHaveBeenCalledWith({ referrerWallet: REFERRER });
+  });
+});
+
+describe('POST /api/admin/referrals/plans', () => {
+  it('creates a plan and audits it', async () => {
+    referralPlanService.createPlan.mockResolvedValueOnce(PLAN);
+
+    const res = await request(app)
+      .post('/api/admin/referrals/plans')
+      .set(ADMIN_HDR)
+      .send({ name: 'Keno VIP', default_rate: 0.03, game_rates: { keno: 0.05 } });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data).toMatchObject({ id: 2, name: 'Keno VIP' });
+    expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'referral_plan_created',
+      entity_id: '2',
+      actor_address: ADMIN_ADDRESS
+    }));
+  });
+
+  it('returns 400 for an invalid plan', async () => {
+    referralPlanService.createPlan.mockRejectedValueOnce(new Error('default_rate debe ser un numero entre 0 y 0.5'));
+
+    const res = await request(app).post('/api/admin/referrals/plans').set(ADMIN_HDR).send({ name: 'x' });
+
+    expect(res.status).toBe(400);
+    expect(AuditLog.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('PUT /api/admin/referrals/plans/:id', () => {
+  it('returns 404 for an unknown plan', async () => {
+    referralPlanService.updatePlan.mockRejectedValueOnce(new Error('Plan no encontrado'));
+
+    const res = await request(app).put('/api/admin/referrals/plans/99').set(ADMIN_HDR).send({ default_rate: 0.04 });
+
+    expect(res.status).toBe(404);
+    expect(referralPlanService.updatePlan).toHaveBeenCalledWith(99, { default_rate: 0.04 });
+  });
+});
+
+describe('PUT /api/admin/referrals/referrers/:wallet/plan', () => {
+  it('assigns a plan to a referrer', async () => {
+    referralPlanService.assignPlan.mockResolvedValueOnce({ referrer_wallet: REFERRER, assigned: true, plan: PLAN });
+
+    const res = await request(app)
+      .put(`/api/admin/referrals/referrers/${REFERRER}/plan`)
+      .set(ADMIN_HDR)
+      .send({ plan_id: 2 });
+
+    expect(res.status).toBe(200);
+    expect(referralPlanService.assignPlan).toHaveBeenCalledWith(REFERRER, 2, ADMIN_ADDRESS);
+    expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'referral_plan_assigned',
+      details: { referrerWallet: REFERRER, planId: 2 }
+    }));
+  });
+
+  it('sends the referrer back to the default plan with plan_id null', async () => {
+    referralPlanService.assignPlan.mockResolvedValueOnce({ referrer_wallet: REFERRER, assigned: false, plan: PLAN });
+
+    const res = await request(app)
+      .put(`/api/admin/referrals/referrers/${REFERRER}/plan`)
+      .set(ADMIN_HDR)
+      .send({ plan_id: null });
+
+    expect(res.status).toBe(200);
+    expect(referralPlanService.assignPlan).toHaveBeenCalledWith(REFERRER, null, ADMIN_ADDRESS);
+  });
+
+  it('returns 400 without plan_id', async () => {
+    const res = await request(app).put(`/api/admin/referrals/referrers/${REFERRER}/plan`).set(ADMIN_HDR).send({});
+
+    expect(res.status).toBe(400);
+    expect(referralPlanService.assignPlan).not.toHaveBeenCalled();
+  });
+});
+
+describe('POST /api/admin/referrals/commissions/ngr/settle', () => {
+  it('settles the requested period', async () => {
+    referralAdminService.settleNgrCommissions.mockResolvedValueOnce({
+      periodStart: '2026-09-01', periodEnd: '2026-10-01', referrals: 3, commissions: 2, totalAmount: 14.5, errors: 0
+    });
+
+    const res = await request(app)
+      .post('/api/admin/referrals/commissions/ngr/settle')
+      .set(ADMIN_HDR)
+      .send({ period_start: '2026-09-01', period_end: '2026-10-01' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.commissions).toBe(2);
+    expect(referralAdminService.settleNgrCommissions).toHaveBeenCalledWith({
+      periodStart: '2026-09-01',
+      periodEnd: '2026-10-01'
+    });
+  });
+
+  it('returns 400 for an invalid period', async () => {
+    referralAdminService.settleNgrCommissions.mockRejectedValueOnce(
+      new Error('Periodo invalido: el periodo aun no ha terminado')
+    );
+
+    const res = await request(app).post('/api/admin/referrals/commissions/ngr/settle').set(ADMIN_HDR).send({});
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('GET /api/admin/referrals/claims/:id', () => {
+  it('returns the claim with the commissions it covers', async () => {
+    referralClaimService.getClaim.mockResolvedValueOnce({ id: 9, amount: 10, commissions: [{ id: 1 }, { id: 2 }] });
+
+    const res = await request(app).get('/api/admin/referrals/claims/9').set(ADMIN_HDR);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.commissions).toHaveLength(2);
+    expect(referralClaimService.getClaim).toHaveBeenCalledWith(9);
+  });
+
+  it('returns 400 for a non-numeric id', async () => {
+    const res = await request(app).get('/api/admin/referrals/claims/abc').set(ADMIN_HDR);
+
+    expect(res.status).toBe(400);
+    expect(referralClaimService.getClaim).not.toHaveBeenCalled();
+  });
+});
+
+describe('GET /api/admin/referrals/fraud/flags', () => {
+  it('lists the pending review queue by default', async () => {
+    referralFraudService.listFlags.mockResolvedValueOnce({ flags: [{ id: 3, score: 90, held_amount: 2.1 }], pagination: { total: 1 } });
+
+    const res = await request(app).get('/api/admin/referrals/fraud/flags').set(ADMIN_HDR);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.flags[0].held_amount).toBe(2.1);
+    expect(referralFraudService.listFlags).toHaveBeenCalledWith({ status: 'pending', page: 1, limit: 50 });
+  });
+
+  it('returns 400 for an unknown status', async () => {
+    referralFraudService.listFlags.mockRejectedValueOnce(new Error('Estado de revision invalido'));
+
+    const res = await request(app).get('/api/admin/referrals/fraud/flags?status=open').set(ADMIN_HDR);
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('POST /api/admin/referrals/fraud/flags/:id/review', () => {
+  it('rejects a flag and records it in the audit log', async () => {
+    referralFraudService.reviewFlag.mockResolvedValueOnce({ id: 3, referral_id: 10, status: 'rejected', commissions: 2, amount: 2.1 });
+
+    const res = await request(app)
+      .post('/api/admin/referrals/fraud/flags/3/review')
+      .set(ADMIN_HDR)
+      .send({ decision: 'reject', notes: 'misma persona' });
+
+    expect(res.status).toBe(200);
+    expect(referralFraudService.reviewFlag).toHaveBeenCalledWith(3, { decision: 'reject', notes: 'misma persona' }, ADMIN_ADDRESS);
+    expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'referral_fraud_reviewed',
+      entity_id: '3',
+      actor_address: ADMIN_ADDRESS,
+      details: expect.objectContaining({ decision: 'reject', amount: 2.1 })
+    }));
+  });
+
+  it('returns 400 for a flag that was already reviewed', async () => {
+    referralFraudService.reviewFlag.mockRejectedValueOnce(new Error('El caso ya fue revisado'));
+
+    const res = await request(app)
+      .post('/api/admin/referrals/fraud/flags/3/review')
+      .set(ADMIN_HDR)
+      .send({ decision: 'approve' });
+
+    expect(res.status).toBe(400);
+    expect(AuditLog.create).not.toHaveBeenCalled();
+  });
+
+  it('returns 404 for an unknown flag', async () => {
+    referralFraudService.reviewFlag.mockRejectedValueOnce(new Error('Caso no encontrado'));
+
+    const res = await request(app)
+      .post('/api/admin/referrals/fraud/flags/99/review')
+      .set(ADMIN_HDR)
+      .send({ decision: 'approve' });
+
+    expect(res.status).toBe(404);
+  });
+});
@@ -105,6 +105,23 @@ describe('GET /api/bankroll/exposure/:drawId', () => {
     expect(bankrollService.getDrawExposure).toHaveBeenCalledWith(3);
   });
 
+  it('includes the limit curve filtered by number', async () => {
+    bankrollService.getExposureHistory.mockResolvedValueOnce([
+      { game_type: 'fijos', bet_number: '34', total_amount: 5, exposure_limit: 8.5, multiplier: 65 }
+    ]);
+    const res = await request(app).get('/api/bankroll/exposure/3?game_type=fijos&number=34');
+    expect(res.status).toBe(200);
+    expect(res.body.data.curve).toHaveLength(1);
+    expect(bankrollService.getExposureHistory).toHaveBeenCalledWith(3, {
+      gameType: 'fijos', betNumber: '34', limit: undefined
+    });
+  });
+
+  it('rejects an unknown game_type', async () => {
+    const res = await request(app).get('/api/bankroll/exposure/3?game_type=corrido');
+    expect(res.status).toBe(400);
+  });
+
   it('returns 500 when service throws', async () => {
     bankrollService.getDrawExposure.mockRejectedValueOnce(new Error('fail'));
     const res = await request(app).get('/api/bankroll/exposure/1');
@@ -66,6 +66,35 @@ describe('POST /api/bets/place', () => {
   });
 });
 
+// ─── POST /api/bets/quote ───────────────────────────────────────────────
+describe('POST /api/bets/quote', () => {
+  it('reaches the controller with a valid combination', async () => {
+    const res = await request(app)
+      .post('/api/bets/quote')
+      .set(walletHeaders())
+      .send({ draw_id: 1, type: 'parles', numbers: ['12', '34', '56'], amount: 1, reversed: true });
+    expect(res.status).toBe(200);
+    expect(betController.quoteCombination).toHaveBeenCalled();
+  });
+
+  it('rejects an unknown combination type', async () => {
+    const res = await request(app)
+      .post('/api/bets/quote')
+      .set(walletHeaders())
+      .send({ draw_id: 1, type: 'fijos', numbers: ['12'], amount: 1 });
+    expect(res.status).toBe(400);
+    expect(betController.quoteCombination).not.toHaveBeenCalled();
+  });
+
+  it('rejects numbers that are not fijos', async () => {
+    const res = await request(app)
+      .post('/api/bets/quote')
+      .set(walletHeaders())
+      .send({ draw_id: 1, type: 'centenas', numbers: ['123'], amount: 1 });
+    expect(res.status).toBe(400);
+  });
+});
+
 // ─── GET /api/bets/my-bets ──────────────────────────────────────────────
 describe('GET /api/bets/my-bets', () => {
   it('returns 200 for authenticated user', async () => {
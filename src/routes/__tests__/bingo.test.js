@@ -4,10 +4,13 @@
 const request = require('supertest');
 const {
   app, setupAuthForWallet, walletHeaders, resetMocks,
-  mockFeatureFlags, TEST_WALLET,
+  mockFeatureFlags, mockGameConfig, TEST_WALLET,
 } = require('./helpers/testApp');
 
 const bingoService = require('../../services/bingoService');
+const bingoSubscriptionService = require('../../services/bingoSubscriptionService');
+
+const ADMIN_AUTH = { Authorization: 'Bearer test-admin-jwt' };
 
 beforeEach(() => {
   resetMocks();
@@ -34,6 +37,139 @@ describe('GET /api/bingo/rooms', () => {
     expect(res.status).toBe(200);
     expect(res.body.success).toBe(true);
   });
+
+  it('exposes per-room price, max cards and schedule', async () => {
+    const schedule = { timezone: 'UTC', windows: [{ days: [5, 6], start: '18:00', end: '23:00' }] };
+    bingoService.getRoomSettings.mockResolvedValueOnce({
+      3: {
+        roomNumber: 3, name: 'Noche', enabled: true, cardPrice: 5, buyWindowSeconds: 90,
+        maxCardsPerUser: 10, minPlayers: 3, schedule, open: false, nextOpening: '2026-10-23T18:00:00.000Z',
+      },
+    });
+
+    const res = await request(app).get('/api/bingo/rooms');
+
+    const [room1, , room3] = res.body.data.rooms;
+    expect(room1.cardPrice).toBe('1.00');
+    expect(room1.settings).toBeNull();
+    expect(room3).toMatchObject({ cardPrice: 5, maxCardsPerUser: 10 });
+    expect(room3.settings).toEqual({
+      name: 'Noche', enabled: true, open: false, nextOpening: '2026-10-23T18:00:00.000Z',
+      buyWindowSeconds: 90, minPlayers: 3, schedule,
+    });
+  });
+});
+
+describe('GET /api/bingo/rooms on-chain', () => {
+  afterEach(() => {
+    delete process.env.BINGO_CONTRACT_ADDRESS;
+    bingoService.getRoomPatterns.mockResolvedValue([]);
+  });
+
+  it('shows the contract prize split and flags patterns the contract does not pay', async () => {
+    process.env.BINGO_CONTRACT_ADDRESS = '0x' + '5'.repeat(40);
+    const contractConfig = { cardPrice: 1, feeBps: 1000, reserveBps: 1000, linePrizeBps: 1500, bingoPrizeBps: 8500 };
+    bingoService.getConfig.mockResolvedValueOnce(contractConfig);
+    bingoService.getRoomPatterns.mockResolvedValue([
+      { id: 'line', type: 'line', prizeBps: 1500, paid: true },
+      { id: 'bingo', type: 'bingo', prizeBps: 8500, paid: true },
+      { id: 'corners', type: 'four_corners', prizeBps: 500, paid: false },
+    ]);
+
+    const res = await request(app).get('/api/bingo/rooms');
+
+    expect(res.status).toBe(200);
+    expect(bingoService.getRoomPatterns).toHaveBeenCalledWith(1, contractConfig);
+    const [room1] = res.body.data.rooms;
+    expect(room1).toMatchObject({ linePrizeBps: 1500, bingoPrizeBps: 8500, feeBps: 1000 });
+    expect(room1.patterns.find(p => p.id === 'corners').paid).toBe(false);
+  });
+
+  it('keeps room patterns as configured off-chain', async () => {
+    await request(app).get('/api/bingo/rooms');
+
+    expect(bingoService.getRoomPatterns).toHaveBeenCalledWith(1, null);
+  });
+});
+
+// ─── Subscriptions (pre-purchase) ────────────────────────────────────────
+describe('Bingo subscriptions', () => {
+  it('POST /api/bingo/subscriptions requires auth', async () => {
+    const res = await request(app).post('/api/bingo/subscriptions').send({});
+    expect(res.status).toBe(401);
+  });
+
+  it('POST /api/bingo/subscriptions creates a subscription for the caller', async () => {
+    bingoSubscriptionService.createSubscription.mockResolvedValueOnce({ id: 3, reserved: 6 });
+
+    const res = await request(app)
+      .post('/api/bingo/subscriptions')
+      .set(walletHeaders())
+      .send({ roomNumber: 1, cardsPerRound: 2, rounds: 3 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual({ id: 3, reserved: 6 });
+    expect(bingoSubscriptionService.createSubscription).toHaveBeenCalledWith(
+      TEST_WALLET.toLowerCase(),
+      { roomNumber: 1, cardsPerRound: 2, rounds: 3, budget: undefined }
+    );
+  });
+
+  it('POST /api/bingo/subscriptions returns 402 when funds cannot be reserved', async () => {
+    bingoSubscriptionService.createSubscription.mockRejectedValueOnce(new Error('Insufficient balance'));
+
+    const res = await request(app)
+      .post('/api/bingo/subscriptions')
+      .set(walletHeaders())
+      .send({ roomNumber: 1, cardsPerRound: 2, budget: 500 });
+
+    expect(res.status).toBe(402);
+  });
+
+  it('POST /api/bingo/subscriptions/:id/cancel validates the id', async () => {
+    const res = await request(app)
+      .post('/api/bingo/subscriptions/abc/cancel')
+      .set(walletHeaders());
+
+    expect(res.status).toBe(400);
+    expect(bingoSubscriptionService.cancelSubscription).not.toHaveBeenCalled();
+  });
+});
+
+// ─── Admin room settings ─────────────────────────────────────────────────
+describe('Admin room settings', () => {
+  it('GET /api/bingo/admin/rooms requires admin auth', async () => {
+    const res = await request(app).get('/api/bingo/admin/rooms');
+    expect(res.status).toBe(401);
+  });
+
+  it('PUT /api/bingo/admin/rooms/:roomNumber passes only the known fields', async () => {
+    mockGameConfig.updateBingoRoom.mockResolvedValueOnce({ roomNumber: 3, minPlayers: 3 });
+
+    const res = await request(app)
+      .put('/api/bingo/admin/rooms/3')
+      .set(ADMIN_AUTH)
+      .send({ minPlayers: 3, cardPrice: null, foo: 'bar' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual({ roomNumber: 3, minPlayers: 3 });
+    const [roomNumber, changes] = mockGameConfig.updateBingoRoom.mock.calls[0];
+    expect(roomNumber).toBe(3);
+    expect(changes).toMatchObject({ minPlayers: 3, cardPrice: null });
+    expect(changes.foo).toBeUndefined();
+  });
+
+  it('PUT /api/bingo/admin/rooms/:roomNumber returns 400 on invalid settings', async () => {
+    mockGameConfig.updateBingoRoom.mockRejectedValueOnce(new Error('Min jugadores invalido (1-100)'));
+
+    const res = await request(app)
+      .put('/api/bingo/admin/rooms/2')
+      .set(ADMIN_AUTH)
+      .send({ minPlayers: 0 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Min jugadores invalido (1-100)');
+  });
 });
 
 // ─── GET /api/bingo/rounds (public) ──────────────────────────────────────
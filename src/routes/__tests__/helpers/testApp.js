@@ -96,6 +96,12 @@ const mockGameConfig = {
   getAllConfig: jest.fn().mockResolvedValue({ keno_bet_amount: 1, bingo_enabled: true }),
   setConfigValue: jest.fn().mockResolvedValue({ key: 'test', value: 'val' }),
   calculateBetFee: jest.fn().mockReturnValue(0.12),
+  getKenoPayoutTables: jest.fn().mockResolvedValue({}),
+  getKenoPayoutTable: jest.fn().mockResolvedValue(null),
+  listKenoPayoutTables: jest.fn().mockResolvedValue([]),
+  updateKenoPayoutRow: jest.fn(),
+  commitKenoPayoutUpdate: jest.fn(),
+  updateBingoRoom: jest.fn(),
   MVP_DEFAULTS: {
     keno_bet_amount: 1,
     keno_fee_bps: 1200,
@@ -117,6 +123,7 @@ jest.mock('../../../services/kenoService', () => ({
     maxSpots: 10,
   }),
   playKeno: jest.fn(),
+  resolvePayoutTable: jest.fn().mockResolvedValue(null),
 }));
 
 // ── Mock: kenoSessionService ─────────────────────────────────────────────
@@ -131,6 +138,30 @@ jest.mock('../../../services/kenoSessionService', () => ({
 jest.mock('../../../services/kenoVrfService', () => ({
   createCommit: jest.fn(),
   verifyAndReveal: jest.fn(),
+  getSeedChains: jest.fn(),
+  rotateSeedChain: jest.fn(),
+  getSessionVerification: jest.fn(),
+  buildSessionProofBundle: jest.fn(),
+}));
+
+// ── Mock: kenoAutoplayService ────────────────────────────────────────────
+jest.mock('../../../services/kenoAutoplayService', () => ({
+  startAutoplay: jest.fn(),
+  getActiveAutoplay: jest.fn().mockResolvedValue(null),
+  getAutoplay: jest.fn(),
+  cancelAutoplay: jest.fn(),
+}));
+
+// ── Mock: kenoSimulatorService ───────────────────────────────────────────
+jest.mock('../../../services/kenoSimulatorService', () => ({
+  MAX_API_ROUNDS: 50000,
+  simulateTable: jest.fn().mockReturnValue({ exact: [], monteCarlo: null, seed: null }),
+}));
+
+// ── Mock: kenoSettlementService ──────────────────────────────────────────
+jest.mock('../../../services/kenoSettlementService', () => ({
+  retrySessionSettlement: jest.fn(),
+  reconcileSettlements: jest.fn(),
 }));
 
 // ── Mock: kenoPoolHealthService ──────────────────────────────────────────
@@ -172,6 +203,8 @@ jest.mock('../../../services/bingoService', () => ({
     jackpot: '2500.00',
   }),
   getRooms: jest.fn().mockResolvedValue([]),
+  getRoomPatterns: jest.fn().mockResolvedValue([]),
+  getRoomSettings: jest.fn().mockResolvedValue({}),
   getRounds: jest.fn().mockResolvedValue([]),
   getRoundDetail: jest.fn().mockResolvedValue(null),
   buyCards: jest.fn(),
@@ -189,6 +222,26 @@ jest.mock('../../../services/bingoService', () => ({
   getUserActiveRooms: jest.fn().mockResolvedValue([]),
 }));
 
+// ── Mock: bingoSubscriptionService (used by bingo routes) ────────────────
+jest.mock('../../../services/bingoSubscriptionService', () => ({
+  createSubscription: jest.fn(),
+  getUserSubscriptions: jest.fn().mockResolvedValue([]),
+  cancelSubscription: jest.fn(),
+}));
+
+// ── Mock: bolitaScheduleService (used by admin bolita routes) ───────────
+jest.mock('../../../services/bolitaScheduleService', () => ({
+  getSchedule: jest.fn().mockResolvedValue({ rules: [], extraDraws: [], blackouts: [], source: 'db' }),
+  previewSlots: jest.fn(),
+  createRule: jest.fn(),
+  updateRule: jest.fn(),
+  deleteRule: jest.fn(),
+  addExtraDraw: jest.fn(),
+  deleteExtraDraw: jest.fn(),
+  addBlackout: jest.fn(),
+  deleteBlackout: jest.fn(),
+}));
+
 // ── Mock: walletService (used by walletController) ───────────────────────
 jest.mock('../../../services/walletService', () => ({
   recharge: jest.fn().mockResolvedValue({ balance: 110, transaction: { id: 1 } }),
@@ -209,9 +262,62 @@ jest.mock('../../../chain/provider', () => ({
   getKenoContract: jest.fn(),
   getBingoContract: jest.fn(),
   getSigner: jest.fn(),
+  getRpcHealth: jest.fn(() => null),
   sendUsdtTransfer: jest.fn().mockResolvedValue('0x' + 'a'.repeat(64)),
 }));
 
+// ── Mock: alerting ───────────────────────────────────────────────────────
+jest.mock('../../../services/alertService', () => ({
+  evaluate: jest.fn(),
+  listAlerts: jest.fn().mockResolvedValue([]),
+  acknowledgeAlert: jest.fn(),
+  resolveAlert: jest.fn(),
+  listRules: jest.fn().mockResolvedValue([]),
+  silenceRule: jest.fn(),
+  testChannel: jest.fn(),
+}));
+jest.mock('../../../services/alertChannels', () => ({
+  getChannels: jest.fn(() => [
+    { name: 'telegram', configured: true },
+    { name: 'webhook', configured: false },
+    { name: 'slack', configured: false },
+    { name: 'email', configured: false },
+  ]),
+  getConfiguredChannels: jest.fn(() => ['telegram']),
+  broadcast: jest.fn().mockResolvedValue([]),
+  sendToChannel: jest.fn(),
+}));
+
+// ── Mock: responsible gaming ─────────────────────────────────────────────
+jest.mock('../../../services/responsibleGamingService', () => ({
+  getSettings: jest.fn().mockResolvedValue({ limits: [], blocked: false }),
+  setLimit: jest.fn(),
+  startCoolingOff: jest.fn(),
+  selfExclude: jest.fn(),
+  getLog: jest.fn().mockResolvedValue([]),
+  checkPlay: jest.fn(),
+  checkDeposit: jest.fn(),
+}));
+
+// ── Mock: play sessions / reality checks ─────────────────────────────────
+jest.mock('../../../services/playSessionService', () => ({
+  pendingRealityCheck: jest.fn().mockResolvedValue(null),
+  getSession: jest.fn(),
+  setRealityCheckInterval: jest.fn(),
+  acknowledgeRealityCheck: jest.fn(),
+}));
+
+// ── Mock: chain/txManager ────────────────────────────────────────────────
+jest.mock('../../../chain/txManager', () => ({
+  txManager: {
+    start: jest.fn(),
+    stop: jest.fn(),
+    listTransactions: jest.fn().mockResolvedValue([]),
+    speedUp: jest.fn(),
+    cancel: jest.fn(),
+  },
+}));
+
 // ── Mock: auth middleware (JWT-based admin auth) ─────────────────────────
 jest.mock('../../../middleware/auth', () => ({
   authenticate: jest.fn((req, res, next) => {
@@ -249,6 +355,7 @@ jest.mock('../../../controllers/walletController', () => ({
 
 jest.mock('../../../controllers/betController', () => ({
   placeBets: mockJsonHandler(),
+  quoteCombination: mockJsonHandler({}),
   getMyBets: mockJsonHandler([]),
   getBetById: mockJsonHandler(null),
   getBetStats: mockJsonHandler({}),
@@ -327,6 +434,8 @@ jest.mock('../../../services/bankrollService', () => ({
   getFullStatus: jest.fn().mockResolvedValue({}),
   getSoldOutNumbers: jest.fn().mockResolvedValue([]),
   getDrawExposure: jest.fn().mockResolvedValue({ total: 0, by_game_type: {} }),
+  getExposureHistory: jest.fn().mockResolvedValue([]),
+  EXPOSURE_GAME_TYPES: ['fijos', 'centenas', 'parles'],
   getSettlementHistory: jest.fn().mockResolvedValue([]),
   initializeCapital: jest.fn().mockResolvedValue({ success: true }),
   adjustCapital: jest.fn().mockResolvedValue({ success: true }),
@@ -361,6 +470,39 @@ jest.mock('../../../services/referralAdminService', () => ({
   getList: jest.fn().mockResolvedValue([]),
   getCommissions: jest.fn().mockResolvedValue([]),
   getTotals: jest.fn().mockResolvedValue({}),
+  getReferralStats: jest.fn(),
+  settleNgrCommissions: jest.fn(),
+}));
+jest.mock('../../../services/referralClaimService', () => ({
+  METHODS: ['balance', 'withdrawal'],
+  getClaimable: jest.fn(),
+  claimCommissions: jest.fn(),
+  listClaims: jest.fn().mockResolvedValue([]),
+  listAllClaims: jest.fn(),
+  getClaim: jest.fn(),
+}));
+jest.mock('../../../services/referralCampaignService', () => ({
+  createCampaign: jest.fn(),
+  setCampaignActive: jest.fn(),
+  trackVisit: jest.fn(),
+  getFunnel: jest.fn(),
+}));
+jest.mock('../../../services/referralFraudService', () => ({
+  recordFingerprint: jest.fn().mockResolvedValue(false),
+  scoreReferral: jest.fn(),
+  listFlags: jest.fn(),
+  getFlag: jest.fn(),
+  reviewFlag: jest.fn(),
+}));
+jest.mock('../../../services/referralPlanService', () => ({
+  GAMES: ['keno', 'bolita', 'bingo', 'fortuna'],
+  listPlans: jest.fn().mockResolvedValue([]),
+  createPlan: jest.fn(),
+  updatePlan: jest.fn(),
+  getPlanForReferrer: jest.fn(),
+  assignPlan: jest.fn(),
+  getReferredVolume: jest.fn().mockResolvedValue(0),
+  resolveRate: jest.fn(),
 }));
 jest.mock('../../../chain/kenoProvider', () => ({
   getKenoContract: jest.fn(),
@@ -371,6 +513,11 @@ jest.mock('../../../config/adminWallets', () => ({
 }));
 jest.mock('../../../models/AuditLog', () => ({
   create: jest.fn().mockResolvedValue({}),
+  findByEntity: jest.fn().mockResolvedValue([]),
+}));
+jest.mock('../../../workers/drawStateMachine', () => ({
+  getLifecycle: jest.fn().mockResolvedValue([]),
+  recordCreated: jest.fn().mockResolvedValue(),
 }));
 
 // ── Mock: adminAuth middleware (JWT-based) ──────────────────────────────
@@ -4,8 +4,16 @@
 const request = require('supertest');
 const {
   app, setupAuthForWallet, walletHeaders, resetMocks,
-  mockFeatureFlags, mockClient, TEST_WALLET,
+  mockFeatureFlags, mockClient, mockGameConfig, TEST_WALLET,
 } = require('./helpers/testApp');
+const kenoService = require('../../services/kenoService');
+const kenoAutoplayService = require('../../services/kenoAutoplayService');
+const kenoSimulatorService = require('../../services/kenoSimulatorService');
+const kenoVrfService = require('../../services/kenoVrfService');
+const kenoSettlementService = require('../../services/kenoSettlementService');
+const pool = require('../../db');
+
+const ADMIN_AUTH = { Authorization: 'Bearer test-admin-jwt' };
 
 beforeEach(() => {
   resetMocks();
@@ -72,6 +80,16 @@ describe('Auth enforcement on protected keno routes', () => {
     const res = await request(app).post('/api/keno/session/settle').send({});
     expect(res.status).toBe(401);
   });
+
+  it('POST /api/keno/autoplay requires auth', async () => {
+    const res = await request(app).post('/api/keno/autoplay').send({});
+    expect(res.status).toBe(401);
+  });
+
+  it('POST /api/keno/autoplay/:id/cancel requires auth', async () => {
+    const res = await request(app).post('/api/keno/autoplay/1/cancel').send({});
+    expect(res.status).toBe(401);
+  });
 });
 
 // ─── GET /api/keno/balance (authenticated) ───────────────────────────────
@@ -99,7 +117,229 @@ describe('GET /api/keno/balance (authenticated)', () => {
   });
 });
 
+// ─── Autoplay ────────────────────────────────────────────────────────────
+describe('Keno autoplay routes', () => {
+  it('POST /api/keno/autoplay rejects missing numbers', async () => {
+    const res = await request(app)
+      .post('/api/keno/autoplay')
+      .set(walletHeaders())
+      .send({ amount: 1, draws: 10 });
+    expect(res.status).toBe(400);
+    expect(kenoAutoplayService.startAutoplay).not.toHaveBeenCalled();
+  });
+
+  it('POST /api/keno/autoplay starts a run for the caller', async () => {
+    kenoAutoplayService.startAutoplay.mockResolvedValue({ id: 7, status: 'running', totalDraws: 10 });
+
+    const res = await request(app)
+      .post('/api/keno/autoplay')
+      .set(walletHeaders())
+      .send({ numbers: [1, 2, 3], amount: 1, draws: 10, stopLoss: 5 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.id).toBe(7);
+    const [wallet, params] = kenoAutoplayService.startAutoplay.mock.calls[0];
+    expect(wallet.toLowerCase()).toBe(TEST_WALLET.toLowerCase());
+    expect(params).toMatchObject({ numbers: [1, 2, 3], amount: 1, draws: 10, stopLoss: 5 });
+  });
+
+  it('POST /api/keno/autoplay returns 400 on service error', async () => {
+    kenoAutoplayService.startAutoplay.mockRejectedValue(new Error('Ya tienes un autoplay activo'));
+
+    const res = await request(app)
+      .post('/api/keno/autoplay')
+      .set(walletHeaders())
+      .send({ numbers: [1, 2, 3], amount: 1, draws: 10 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/autoplay activo/);
+  });
+
+  it('GET /api/keno/autoplay/:id returns 404 for unknown run', async () => {
+    kenoAutoplayService.getAutoplay.mockResolvedValue(null);
+
+    const res = await request(app)
+      .get('/api/keno/autoplay/99')
+      .set(walletHeaders());
+
+    expect(res.status).toBe(404);
+  });
+
+  it('POST /api/keno/autoplay/:id/cancel cancels the run', async () => {
+    kenoAutoplayService.cancelAutoplay.mockResolvedValue({ id: 7, status: 'cancelled', stopReason: 'cancelled_by_player' });
+
+    const res = await request(app)
+      .post('/api/keno/autoplay/7/cancel')
+      .set(walletHeaders());
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.status).toBe('cancelled');
+    expect(kenoAutoplayService.cancelAutoplay.mock.calls[0][1]).toBe(7);
+  });
+});
+
+// ─── Session verification ────────────────────────────────────────────────
+describe('Keno session verification routes', () => {
+  it('GET /api/keno/verify/session/:id requires auth', async () => {
+    const res = await request(app).get('/api/keno/verify/session/12');
+    expect(res.status).toBe(401);
+  });
+
+  it('returns 404 when the session is not owned by the caller', async () => {
+    kenoVrfService.getSessionVerification.mockResolvedValue(null);
+
+    const res = await request(app)
+      .get('/api/keno/verify/session/12')
+      .set(walletHeaders());
+
+    expect(res.status).toBe(404);
+    expect(kenoVrfService.getSessionVerification.mock.calls[0][0]).toBe(12);
+  });
+
+  it('serves the proof bundle as a download', async () => {
+    kenoVrfService.buildSessionProofBundle.mockResolvedValue({ version: 1, games: [], bundleHash: 'abc' });
+
+    const res = await request(app)
+      .get('/api/keno/verify/session/12/bundle')
+      .set(walletHeaders());
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-disposition']).toContain('keno-session-12-proof.json');
+    expect(res.body.bundleHash).toBe('abc');
+  });
+
+  it('POST /api/keno/seed-chain/rotate is rejected when chains are disabled', async () => {
+    mockGameConfig.getConfigValue.mockResolvedValueOnce(false);
+
+    const res = await request(app)
+      .post('/api/keno/seed-chain/rotate')
+      .set(walletHeaders());
+
+    expect(res.status).toBe(400);
+    expect(kenoVrfService.rotateSeedChain).not.toHaveBeenCalled();
+  });
+});
+
+// ─── Simulator (admin) ───────────────────────────────────────────────────
+describe('POST /api/keno/admin/simulate', () => {
+  beforeEach(() => {
+    mockGameConfig.getKenoConfig.mockResolvedValue({
+      betAmount: 1, feeBps: 1200, poolBalance: 500, maxPayoutRatio: 0.1,
+      absoluteMaxPayout: 10000, defaultPayoutTable: 'classic',
+    });
+  });
+
+  it('requires admin auth', async () => {
+    const res = await request(app).post('/api/keno/admin/simulate').send({});
+    expect(res.status).toBe(401);
+  });
+
+  it('simulates the default table with config fee and pool size', async () => {
+    kenoService.resolvePayoutTable.mockResolvedValue({ name: 'classic', version: 0, rows: { 1: [0, 3] } });
+
+    const res = await request(app)
+      .post('/api/keno/admin/simulate')
+      .set(ADMIN_AUTH)
+      .send({ monteCarlo: { rounds: 1000, spots: 1 } });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.table).toEqual({ name: 'classic', version: 0 });
+    const [rows, options] = kenoSimulatorService.simulateTable.mock.calls[0];
+    expect(rows).toEqual({ 1: [0, 3] });
+    expect(options.feeBps).toBe(1200);
+    expect(options.monteCarlo).toMatchObject({ rounds: 1000, spots: 1, poolBalance: 500, betAmount: 1 });
+  });
+
+  it('rejects too many Monte Carlo rounds', async () => {
+    const res = await request(app)
+      .post('/api/keno/admin/simulate')
+      .set(ADMIN_AUTH)
+      .send({ rows: { 1: [0, 3], 2: [0, 1, 9] }, monteCarlo: { rounds: 30000 } });
+
+    expect(res.status).toBe(400);
+    expect(kenoSimulatorService.simulateTable).not.toHaveBeenCalled();
+  });
+
+  it('returns 404 for an unknown table', async () => {
+    kenoService.resolvePayoutTable.mockResolvedValue(null);
+
+    const res = await request(app)
+      .post('/api/keno/admin/simulate')
+      .set(ADMIN_AUTH)
+      .send({ payoutTable: 'missing' });
+
+    expect(res.status).toBe(404);
+  });
+});
+
 // ─── GET /api/keno/verify/:gameId (public) ───────────────────────────────
+describe('Keno admin session settlement routes', () => {
+  it('lists stuck sessions with their settlement state', async () => {
+    pool.query.mockResolvedValueOnce({
+      rows: [{
+        id: 12, wallet_address: '0xabc', status: 'settlement_failed', games_played: 3,
+        total_wagered: '30', total_won: '5', net_result: '-25',
+        settlement_error: 'on-chain failed: rpc down',
+        settlement_id: 4, settlement_status: 'failed', attempts: 8, last_error: 'rpc down',
+        tx_hash: null, reconcile_status: null,
+      }],
+    });
+
+    const res = await request(app)
+      .get('/api/keno/admin/sessions?settlement=stuck')
+      .set(ADMIN_AUTH);
+
+    expect(res.status).toBe(200);
+    const [sql, params] = pool.query.mock.calls[0];
+    expect(sql).toContain("ks.status = 'failed'");
+    expect(params).toEqual([50]);
+    expect(res.body.data.sessions[0].settlement).toMatchObject({ id: 4, status: 'failed', attempts: 8 });
+  });
+
+  it('keeps filtering by session status by default', async () => {
+    pool.query.mockResolvedValueOnce({ rows: [] });
+
+    const res = await request(app).get('/api/keno/admin/sessions').set(ADMIN_AUTH);
+
+    expect(res.status).toBe(200);
+    expect(pool.query.mock.calls[0][1]).toEqual(['active', 50]);
+  });
+
+  it('retries a session settlement', async () => {
+    kenoSettlementService.retrySessionSettlement.mockResolvedValueOnce({ id: 4, status: 'signed', attempts: 0 });
+
+    const res = await request(app)
+      .post('/api/keno/admin/sessions/12/settlement/retry')
+      .set(ADMIN_AUTH);
+
+    expect(res.status).toBe(200);
+    expect(kenoSettlementService.retrySessionSettlement).toHaveBeenCalledWith(12);
+    expect(res.body.data.status).toBe('signed');
+  });
+
+  it('returns 400 when the settlement cannot be retried', async () => {
+    kenoSettlementService.retrySessionSettlement.mockRejectedValueOnce(new Error('La liquidacion ya esta confirmada'));
+
+    const res = await request(app)
+      .post('/api/keno/admin/sessions/12/settlement/retry')
+      .set(ADMIN_AUTH);
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('La liquidacion ya esta confirmada');
+  });
+
+  it('runs the reconciler on demand', async () => {
+    kenoSettlementService.reconcileSettlements.mockResolvedValueOnce({
+      matched: 2, healed: 0, mismatched: 0, missingEvents: 1, unknownEvents: 0,
+    });
+
+    const res = await request(app).post('/api/keno/admin/sessions/reconcile').set(ADMIN_AUTH);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.missingEvents).toBe(1);
+  });
+});
+
 describe('GET /api/keno/verify/:gameId', () => {
   it('returns verification data or 404 for non-existent game', async () => {
     mockClient.query.mockResolvedValue({ rows: [], rowCount: 0 });
@@ -109,3 +349,155 @@ describe('GET /api/keno/verify/:gameId', () => {
     expect([200, 404, 500]).toContain(res.status);
   });
 });
+
+// ─── Payout tables (admin) ───────────────────────────────────────────────
+describe('Keno payout tables admin routes', () => {
+  it('GET /api/keno/admin/payout-tables requires admin auth', async () => {
+    const res = await request(app).get('/api/keno/admin/payout-tables');
+    expect(res.status).toBe(401);
+  });
+
+  it('PUT row writes to the pending version', async () => {
+    mockGameConfig.updateKenoPayoutRow.mockResolvedValue({
+      name: 'high-volatility', version: 1, status: 'pending', rows: { 3: [0, 0, 1, 40] },
+    });
+
+    const res = await request(app)
+      .put('/api/keno/admin/payout-tables/high-volatility/rows/3')
+      .set(ADMIN_AUTH)
+      .send({ multipliers: [0, 0, 1, 40] });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.version).toBe(1);
+    expect(mockGameConfig.updateKenoPayoutRow).toHaveBeenCalledWith('high-volatility', 3, [0, 0, 1, 40]);
+  });
+
+  it('PUT row returns 400 on validation error', async () => {
+    mockGameConfig.updateKenoPayoutRow.mockRejectedValue(new Error('Se requieren 4 multiplicadores (0..3 aciertos)'));
+
+    const res = await request(app)
+      .put('/api/keno/admin/payout-tables/classic/rows/3')
+      .set(ADMIN_AUTH)
+      .send({ multipliers: [0, 1] });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch('multiplicadores');
+  });
+
+  it('POST commit activates the pending version', async () => {
+    mockGameConfig.commitKenoPayoutUpdate.mockResolvedValue({ name: 'classic', version: 2 });
+
+    const res = await request(app)
+      .post('/api/keno/admin/payout-tables/classic/commit')
+      .set(ADMIN_AUTH);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual({ name: 'classic', version: 2 });
+  });
+
+  it('PUT bet-config rejects invalid denominations', async () => {
+    const res = await request(app)
+      .put('/api/keno/admin/bet-config')
+      .set(ADMIN_AUTH)
+      .send({ betAmounts: [1, -2] });
+
+    expect(res.status).toBe(400);
+    expect(mockGameConfig.setConfigValue).not.toHaveBeenCalled();
+  });
+
+  it('PUT bet-config rejects a default table without active version', async () => {
+    kenoService.resolvePayoutTable.mockResolvedValue(null);
+
+    const res = await request(app)
+      .put('/api/keno/admin/bet-config')
+      .set(ADMIN_AUTH)
+      .send({ defaultPayoutTable: 'missing' });
+
+    expect(res.status).toBe(400);
+    expect(mockGameConfig.setConfigValue).not.toHaveBeenCalled();
+  });
+
+  it('PUT bet-config stores allowed denominations', async () => {
+    mockGameConfig.getKenoConfig.mockResolvedValueOnce({
+      betAmounts: [1, 2, 5], defaultPayoutTable: 'classic',
+    });
+
+    const res = await request(app)
+      .put('/api/keno/admin/bet-config')
+      .set(ADMIN_AUTH)
+      .send({ betAmounts: [1, 2, 5] });
+
+    expect(res.status).toBe(200);
+    expect(mockGameConfig.setConfigValue).toHaveBeenCalledWith('keno_bet_amounts', [1, 2, 5], 'json');
+    expect(res.body.data.betAmounts).toEqual([1, 2, 5]);
+  });
+});
+
+// ─── Bet amount on play ──────────────────────────────────────────────────
+describe('POST /api/keno/play amount', () => {
+  // Otra wallet: el limitador de /play cuenta por direccion
+  const BASE_BET_WALLET = '0x' + '9'.repeat(40);
+
+  beforeEach(() => {
+    setupAuthForWallet(BASE_BET_WALLET);
+  });
+
+  it('plays the base bet when amount is omitted', async () => {
+    kenoService.playKeno.mockResolvedValueOnce({ gameId: 'g2', payout: 0 });
+
+    const res = await request(app)
+      .post('/api/keno/play')
+      .set(walletHeaders(BASE_BET_WALLET))
+      .send({ numbers: [1, 2, 3] });
+
+    expect(res.status).toBe(200);
+    expect(kenoService.playKeno).toHaveBeenCalledWith(BASE_BET_WALLET, [1, 2, 3], undefined, undefined, undefined, undefined);
+  });
+
+  it('returns 400 for a non-numeric amount', async () => {
+    const res = await request(app)
+      .post('/api/keno/play')
+      .set(walletHeaders(BASE_BET_WALLET))
+      .send({ numbers: [1, 2, 3], amount: 'abc' });
+
+    expect(res.status).toBe(400);
+    expect(kenoService.playKeno).not.toHaveBeenCalled();
+  });
+});
+
+// ─── Reality check on play ───────────────────────────────────────────────
+describe('POST /api/keno/play reality check', () => {
+  const playSessionService = require('../../services/playSessionService');
+  const REALITY_CHECK = { id: 7, elapsedMinutes: 61, netResult: -12.5, message: 'Llevas 61 min jugando.' };
+
+  it('attaches a pending reality check to the game result', async () => {
+    kenoService.playKeno.mockResolvedValueOnce({ gameId: 'g1', payout: 0 });
+    playSessionService.pendingRealityCheck.mockResolvedValueOnce(REALITY_CHECK);
+
+    const res = await request(app)
+      .post('/api/keno/play')
+      .set(walletHeaders())
+      .send({ numbers: [1, 2, 3], amount: 1 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.gameId).toBe('g1');
+    expect(res.body.realityCheck).toEqual(REALITY_CHECK);
+    expect(playSessionService.pendingRealityCheck).toHaveBeenCalledWith(TEST_WALLET.toLowerCase());
+  });
+
+  it('returns 409 with the reality check until it is acknowledged', async () => {
+    kenoService.playKeno.mockRejectedValueOnce(Object.assign(
+      new Error('Confirma el aviso de sesion para seguir jugando.'),
+      { code: 'REALITY_CHECK_REQUIRED', realityCheck: REALITY_CHECK }
+    ));
+
+    const res = await request(app)
+      .post('/api/keno/play')
+      .set(walletHeaders())
+      .send({ numbers: [1, 2, 3], amount: 1 });
+
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('REALITY_CHECK_REQUIRED');
+    expect(res.body.realityCheck).toEqual(REALITY_CHECK);
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * Integration tests: Prometheus /metrics endpoint and its access control
+ */
+const request = require('supertest');
+const { app, resetMocks } = require('./helpers/testApp');
+const { ipMatches } = require('../../middleware/metricsAuth');
+
+const TOKEN = 'scrape-secret';
+
+beforeEach(() => {
+  resetMocks();
+  delete process.env.METRICS_TOKEN;
+  delete process.env.METRICS_ALLOWED_IPS;
+});
+
+afterAll(() => {
+  delete process.env.METRICS_TOKEN;
+  delete process.env.METRICS_ALLOWED_IPS;
+});
+
+describe('GET /metrics', () => {
+  it('does not exist when neither token nor allow-list is configured', async () => {
+    const res = await request(app).get('/metrics');
+    expect(res.status).toBe(404);
+  });
+
+  it('rejects a missing or wrong token', async () => {
+    process.env.METRICS_TOKEN = TOKEN;
+
+    expect((await request(app).get('/metrics')).status).toBe(403);
+    const res = await request(app).get('/metrics').set('Authorization', 'Bearer nope');
+    expect(res.status).toBe(403);
+    expect(res.body.success).toBe(false);
+  });
+
+  it('returns Prometheus text with a valid token', async () => {
+    process.env.METRICS_TOKEN = TOKEN;
+    await request(app).get('/health');
+
+    const res = await request(app).get('/metrics').set('Authorization', `Bearer ${TOKEN}`);
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/text\/plain/);
+    expect(res.text).toContain('bolcoin_http_request_duration_seconds_bucket');
+    expect(res.text).toContain('route="/health"');
+    expect(res.text).toContain('bolcoin_db_pool_connections');
+    expect(res.text).toContain('# TYPE bolcoin_scheduler_tick_duration_seconds histogram');
+  });
+
+  it('allows scrapes from an allow-listed IP', async () => {
+    process.env.METRICS_ALLOWED_IPS = '10.0.0.0/8, 127.0.0.1';
+
+    const res = await request(app).get('/metrics');
+
+    expect(res.status).toBe(200);
+  });
+
+  it('denies IPs outside the allow-list', async () => {
+    process.env.METRICS_ALLOWED_IPS = '10.0.0.0/8';
+
+    const res = await request(app).get('/metrics');
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('ipMatches', () => {
+  it('matches exact addresses and IPv4 ranges', () => {
+    expect(ipMatches('::ffff:127.0.0.1', '127.0.0.1')).toBe(true);
+    expect(ipMatches('10.20.30.40', '10.0.0.0/8')).toBe(true);
+    expect(ipMatches('11.0.0.1', '10.0.0.0/8')).toBe(false);
+    expect(ipMatches('192.168.1.77', '192.168.1.64/26')).toBe(true);
+    expect(ipMatches('192.168.1.130', '192.168.1.64/26')).toBe(false);
+    expect(ipMatches('::1', '10.0.0.0/8')).toBe(false);
+    expect(ipMatches('10.0.0.1', '10.0.0.0/33')).toBe(false);
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * Integration tests: Referral campaigns and commission claims (player-side)
+ *
+ * POST /api/referrals/visit
+ * POST /api/referrals/campaigns
+ * PUT  /api/referrals/campaigns/:id
+ * GET  /api/referrals/claims
+ * POST /api/referrals/claims
+ * GET  /api/referrals/claims/:id
+ */
+const request = require('supertest');
+const { app, setupAuthForWallet, walletHeaders, resetMocks, TEST_WALLET } = require('./helpers/testApp');
+const referralClaimService = require('../../services/referralClaimService');
+const referralCampaignService = require('../../services/referralCampaignService');
+
+beforeEach(() => {
+  resetMocks();
+  setupAuthForWallet();
+});
+
+describe('GET /api/referrals/claims', () => {
+  it('requires a wallet', async () => {
+    const res = await request(app).get('/api/referrals/claims');
+    expect(res.status).toBe(401);
+  });
+
+  it('returns the claimable amount and the claim history', async () => {
+    referralClaimService.getClaimable.mockResolvedValueOnce({ pendingAmount: 12.5, pendingCount: 4, minAmount: 10, canClaim: true });
+    referralClaimService.listClaims.mockResolvedValueOnce([{ id: 3, amount: 20 }]);
+
+    const res = await request(app).get('/api/referrals/claims').set(walletHeaders());
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ pendingAmount: 12.5, canClaim: true, claims: [{ id: 3 }] });
+    expect(referralClaimService.getClaimable).toHaveBeenCalledWith(TEST_WALLET.toLowerCase());
+  });
+});
+
+describe('POST /api/referrals/claims', () => {
+  it('credits the commissions to the balance by default', async () => {
+    referralClaimService.claimCommissions.mockResolvedValueOnce({ id: 9, amount: 12.5, method: 'balance' });
+
+    const res = await request(app).post('/api/referrals/claims').set(walletHeaders()).send({});
+
+    expect(res.status).toBe(200);
+    expect(res.body.message).toBe('12.5 USDT acreditados a tu balance');
+    expect(referralClaimService.claimCommissions).toHaveBeenCalledWith(TEST_WALLET.toLowerCase(), { method: 'balance' });
+  });
+
+  it('reports a withdrawal that needs approval', async () => {
+    referralClaimService.claimCommissions.mockResolvedValueOnce({
+      id: 9, amount: 600, method: 'withdrawal', withdrawal: { id: 77, requires_approval: true }
+    });
+
+    const res = await request(app).post('/api/referrals/claims').set(walletHeaders()).send({ method: 'withdrawal' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.message).toBe('Retiro de 600 USDT enviado para aprobacion');
+  });
+
+  it('returns 400 below the minimum', async () => {
+    referralClaimService.claimCommissions.mockRejectedValueOnce(
+      new Error('El minimo para cobrar comisiones es 10 USDT (tienes 3 USDT)')
+    );
+
+    const res = await request(app).post('/api/referrals/claims').set(walletHeaders()).send({});
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch('El minimo para cobrar');
+  });
+});
+
+describe('GET /api/referrals/claims/:id', () => {
+  it('only looks up claims of the authenticated wallet', async () => {
+    referralClaimService.getClaim.mockRejectedValueOnce(new Error('Cobro no encontrado'));
+
+    const res = await request(app).get('/api/referrals/claims/9').set(walletHeaders());
+
+    expect(res.status).toBe(404);
+    expect(referralClaimService.getClaim).toHaveBeenCalledWith(9, TEST_WALLET.toLowerCase());
+  });
+});
+
+describe('POST /api/referrals/visit', () => {
+  it('tracks a visit without a wallet', async () => {
+    referralCampaignService.trackVisit.mockResolvedValueOnce({ tracked: true, campaignId: 4 });
+
+    const res = await request(app)
+      .post('/api/referrals/visit')
+      .set('Referer', 'https://twitter.com/somebody')
+      .send({ code: 'ABCD2345', visitor_id: 'visitor-123456' });
+
+    expect(res.status).toBe(200);
+    expect(referralCampaignService.trackVisit).toHaveBeenCalledWith({
+      code: 'ABCD2345',
+      visitorId: 'visitor-123456',
+      landingPage: undefined,
+      source: 'https://twitter.com/somebody'
+    });
+  });
+
+  it('derives an anonymous visitor id when none is sent', async () => {
+    referralCampaignService.trackVisit.mockResolvedValueOnce({ tracked: true, campaignId: null });
+
+    await request(app).post('/api/referrals/visit').send({ code: 'ABC234' });
+
+    expect(referralCampaignService.trackVisit.mock.calls[0][0].visitorId).toMatch(/^[a-f0-9]{32}$/);
+  });
+});
+
+describe('referral campaigns', () => {
+  it('creates a campaign for the authenticated wallet', async () => {
+    referralCampaignService.createCampaign.mockResolvedValueOnce({ id: 4, name: 'twitter', code: 'ABCD2345' });
+
+    const res = await request(app).post('/api/referrals/campaigns').set(walletHeaders()).send({ name: 'twitter' });
+
+    expect(res.status).toBe(201);
+    expect(referralCampaignService.createCampaign).toHaveBeenCalledWith(TEST_WALLET.toLowerCase(), 'twitter');
+  });
+
+  it('requires a boolean is_active to pause a campaign', async () => {
+    const res = await request(app).put('/api/referrals/campaigns/4').set(walletHeaders()).send({ is_active: 'no' });
+
+    expect(res.status).toBe(400);
+    expect(referralCampaignService.setCampaignActive).not.toHaveBeenCalled();
+  });
+
+  it('returns 404 for a campaign of another wallet', async () => {
+    referralCampaignService.setCampaignActive.mockRejectedValueOnce(new Error('Campana no encontrada'));
+
+    const res = await request(app).put('/api/referrals/campaigns/4').set(walletHeaders()).send({ is_active: false });
+
+    expect(res.status).toBe(404);
+  });
+});
@@ -0,0 +1,154 @@
+/**
+ * Integration tests: Responsible gaming routes (player-side)
+ */
+const request = require('supertest');
+const { app, setupAuthForWallet, walletHeaders, resetMocks, TEST_WALLET } = require('./helpers/testApp');
+const responsibleGamingService = require('../../services/responsibleGamingService');
+
+beforeEach(() => {
+  resetMocks();
+  setupAuthForWallet();
+});
+
+describe('GET /api/responsible-gaming', () => {
+  it('requires a wallet', async () => {
+    const res = await request(app).get('/api/responsible-gaming');
+    expect(res.status).toBe(401);
+  });
+
+  it('returns the settings of the authenticated wallet', async () => {
+    responsibleGamingService.getSettings.mockResolvedValueOnce({
+      limits: [{ type: 'loss', period: 'daily', amount: 50, used: 10, remaining: 40, pending: null }],
+      blocked: false
+    });
+
+    const res = await request(app).get('/api/responsible-gaming').set(walletHeaders());
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.limits[0].remaining).toBe(40);
+    expect(responsibleGamingService.getSettings).toHaveBeenCalledWith(TEST_WALLET.toLowerCase());
+  });
+});
+
+describe('PUT /api/responsible-gaming/limits', () => {
+  it('passes the limit to the service', async () => {
+    responsibleGamingService.setLimit.mockResolvedValueOnce({ limit: { type: 'wager', amount: 200 }, applied: 'pending' });
+
+    const res = await request(app)
+      .put('/api/responsible-gaming/limits')
+      .set(walletHeaders())
+      .send({ type: 'wager', period: 'weekly', amount: 200 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.applied).toBe('pending');
+    expect(responsibleGamingService.setLimit).toHaveBeenCalledWith(
+      TEST_WALLET.toLowerCase(),
+      { type: 'wager', period: 'weekly', amount: 200 }
+    );
+  });
+
+  it('returns 400 on validation errors', async () => {
+    responsibleGamingService.setLimit.mockRejectedValueOnce(new Error('Periodo invalido (daily, weekly, monthly)'));
+
+    const res = await request(app)
+      .put('/api/responsible-gaming/limits')
+      .set(walletHeaders())
+      .send({ type: 'wager', period: 'yearly', amount: 200 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.success).toBe(false);
+  });
+});
+
+describe('exclusions', () => {
+  it('starts a cooling-off period', async () => {
+    responsibleGamingService.startCoolingOff.mockResolvedValueOnce({ blocked: true });
+
+    const res = await request(app)
+      .post('/api/responsible-gaming/cooling-off')
+      .set(walletHeaders())
+      .send({ hours: 48 });
+
+    expect(res.status).toBe(200);
+    expect(responsibleGamingService.startCoolingOff).toHaveBeenCalledWith(TEST_WALLET.toLowerCase(), 48);
+  });
+
+  it('self-excludes permanently', async () => {
+    responsibleGamingService.selfExclude.mockResolvedValueOnce({ blocked: true, selfExcludedPermanent: true });
+
+    const res = await request(app)
+      .post('/api/responsible-gaming/self-exclusion')
+      .set(walletHeaders())
+      .send({ permanent: true });
+
+    expect(res.status).toBe(200);
+    expect(responsibleGamingService.selfExclude).toHaveBeenCalledWith(
+      TEST_WALLET.toLowerCase(),
+      { months: undefined, permanent: true }
+    );
+  });
+
+  it('rejects an out-of-range exclusion with 400', async () => {
+    responsibleGamingService.selfExclude.mockRejectedValueOnce(new Error('months debe ser un entero entre 6 y 60, o permanent: true'));
+
+    const res = await request(app)
+      .post('/api/responsible-gaming/self-exclusion')
+      .set(walletHeaders())
+      .send({ months: 1 });
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('play session and reality check', () => {
+  const playSessionService = require('../../services/playSessionService');
+
+  it('returns the current session', async () => {
+    playSessionService.getSession.mockResolvedValueOnce({ session: { id: 7, netResult: -3 }, realityCheck: null, intervalMinutes: 60 });
+
+    const res = await request(app).get('/api/responsible-gaming/session').set(walletHeaders());
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.session.id).toBe(7);
+    expect(playSessionService.getSession).toHaveBeenCalledWith(TEST_WALLET.toLowerCase());
+  });
+
+  it('sets the reality-check interval', async () => {
+    playSessionService.setRealityCheckInterval.mockResolvedValueOnce({ intervalMinutes: 30 });
+
+    const res = await request(app)
+      .put('/api/responsible-gaming/reality-check')
+      .set(walletHeaders())
+      .send({ intervalMinutes: 30 });
+
+    expect(res.status).toBe(200);
+    expect(playSessionService.setRealityCheckInterval).toHaveBeenCalledWith(TEST_WALLET.toLowerCase(), 30);
+  });
+
+  it('acknowledges the reality check, optionally ending the session', async () => {
+    playSessionService.acknowledgeRealityCheck.mockResolvedValue({ session: null, realityCheck: null });
+
+    await request(app).post('/api/responsible-gaming/reality-check/acknowledge').set(walletHeaders()).send({});
+    const res = await request(app)
+      .post('/api/responsible-gaming/reality-check/acknowledge')
+      .set(walletHeaders())
+      .send({ endSession: true });
+
+    expect(res.status).toBe(200);
+    expect(playSessionService.acknowledgeRealityCheck.mock.calls).toEqual([
+      [TEST_WALLET.toLowerCase(), { endSession: false }],
+      [TEST_WALLET.toLowerCase(), { endSession: true }]
+    ]);
+  });
+
+  it('returns 400 when there is nothing to acknowledge', async () => {
+    playSessionService.acknowledgeRealityCheck.mockRejectedValueOnce(new Error('No hay un aviso de sesion pendiente'));
+
+    const res = await request(app)
+      .post('/api/responsible-gaming/reality-check/acknowledge')
+      .set(walletHeaders())
+      .send({});
+
+    expect(res.status).toBe(400);
+  });
+});
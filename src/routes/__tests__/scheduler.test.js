@@ -0,0 +1,56 @@
+/**
+ * Integration tests: Draw lifecycle endpoint
+ *
+ * GET /api/scheduler/audit-logs/draw/:drawId
+ */
+const request = require('supertest');
+const { app, resetMocks } = require('./helpers/testApp');
+const AuditLog = require('../../models/AuditLog');
+const DrawStateMachine = require('../../workers/drawStateMachine');
+
+const ADMIN_HDR = { Authorization: 'Bearer test-admin-jwt' };
+
+const LIFECYCLE = [
+  { id: 1, game: 'bolita', from_status: null, to_status: 'scheduled', actor: 'bolita-indexer', tx_hash: '0x' + '1'.repeat(64) },
+  { id: 2, game: 'bolita', from_status: 'scheduled', to_status: 'open', actor: 'bolita-scheduler', tx_hash: '0x' + '2'.repeat(64) }
+];
+
+beforeEach(() => {
+  resetMocks();
+});
+
+describe('GET /api/scheduler/audit-logs/draw/:drawId', () => {
+  it('returns 401 without token', async () => {
+    const res = await request(app).get('/api/scheduler/audit-logs/draw/7');
+    expect(res.status).toBe(401);
+  });
+
+  it('returns the audit logs and the state transitions of a draw', async () => {
+    AuditLog.findByEntity.mockResolvedValueOnce([{ id: 5, action: 'draw_opened' }]);
+    DrawStateMachine.getLifecycle.mockResolvedValueOnce(LIFECYCLE);
+
+    const res = await request(app).get('/api/scheduler/audit-logs/draw/7').set(ADMIN_HDR);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toHaveLength(1);
+    expect(res.body.lifecycle.map(row => row.to_status)).toEqual(['scheduled', 'open']);
+    expect(AuditLog.findByEntity).toHaveBeenCalledWith('draw', '7');
+    expect(DrawStateMachine.getLifecycle).toHaveBeenCalledWith('draw', 7);
+  });
+
+  it('looks up a bingo round with ?game=bingo', async () => {
+    const res = await request(app).get('/api/scheduler/audit-logs/draw/42?game=bingo').set(ADMIN_HDR);
+
+    expect(res.status).toBe(200);
+    expect(res.body.lifecycle).toEqual([]);
+    expect(AuditLog.findByEntity).toHaveBeenCalledWith('bingo_round', '42');
+    expect(DrawStateMachine.getLifecycle).toHaveBeenCalledWith('bingo_round', 42);
+  });
+
+  it('returns 400 for a non-numeric id', async () => {
+    const res = await request(app).get('/api/scheduler/audit-logs/draw/abc').set(ADMIN_HDR);
+
+    expect(res.status).toBe(400);
+    expect(DrawStateMachine.getLifecycle).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * Integration tests: SSE stream (/api/stream)
+ */
+const http = require('http');
+const request = require('supertest');
+const { app, resetMocks } = require('./helpers/testApp');
+const realtimeService = require('../../services/realtimeService');
+
+beforeEach(() => {
+  resetMocks();
+  realtimeService._reset();
+});
+
+/**
+ * Abre el stream y devuelve lo recibido hasta que aparece `until`
+ */
+function readStream(path, headers, until) {
+  return new Promise((resolve, reject) => {
+    const server = app.listen(0, () => {
+      const req = http.get({ port: server.address().port, path, headers }, (res) => {
+        let body = '';
+        res.on('data', (chunk) => {
+          body += chunk;
+          if (body.includes(until)) {
+            req.destroy();
+            server.close();
+            resolve({ status: res.statusCode, headers: res.headers, body });
+          }
+        });
+      });
+      req.on('error', (err) => {
+        if (err.code !== 'ECONNRESET') reject(err);
+      });
+    });
+  });
+}
+
+describe('GET /api/stream', () => {
+  it('rejects unknown channels', async () => {
+    const res = await request(app).get('/api/stream?channels=bingo:9');
+    expect(res.status).toBe(400);
+    expect(res.body.message).toContain('bingo:9');
+  });
+
+  it('replays the missed events of the subscribed rooms after Last-Event-ID', async () => {
+    const first = realtimeService.publish('bingo:1', 'round.opened', { roundId: 10 });
+    realtimeService.publish('bingo:1', 'ball', { roundId: 10, index: 1, ball: 42 });
+    realtimeService.publish('bingo:2', 'ball', { roundId: 11, index: 1, ball: 7 });
+    realtimeService.publish('bingo:1', 'ball', { roundId: 10, index: 2, ball: 5 });
+
+    const res = await readStream(
+      '/api/stream?channels=bingo:1',
+      { 'Last-Event-ID': String(first.id) },
+      '"ball":5'
+    );
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toContain('text/event-stream');
+    expect(res.body).toContain(`id: ${first.id + 1}\nevent: ball`);
+    expect(res.body).not.toContain('round.opened');
+    expect(res.body).not.toContain('"roundId":11');
+  });
+
+  it('asks the client to reload when the id is no longer buffered', async () => {
+    realtimeService.publish('bolita', 'draw.status', { drawId: 3, status: 'open' });
+
+    const res = await readStream('/api/stream?channels=bolita&lastEventId=1', {}, 'draw.status');
+
+    expect(res.body).toContain('event: reset');
+  });
+
+  it('delivers live events and stops after disconnect', async () => {
+    const pending = readStream('/api/stream?channels=keno', {}, 'event: result');
+    // Esperar a que la conexion se suscriba
+    while (realtimeService.getSubscriberCount() === 0) {
+      await new Promise(r => setTimeout(r, 5));
+    }
+    realtimeService.publishKenoResult({ gameId: 'G1', walletAddress: '0x' + 'a'.repeat(40), hits: 3 });
+
+    const res = await pending;
+
+    expect(res.body).toContain('"wallet":"0xaaaa...aaaa"');
+    await new Promise(r => setTimeout(r, 20));
+    expect(realtimeService.getSubscriberCount()).toBe(0);
+  });
+});
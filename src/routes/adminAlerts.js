@@ -0,0 +1,178 @@
+/**
+ * Admin Alerts Routes
+ *
+ * Alertas de monitoreo, reglas y canales (admin only).
+ *
+ * GET  /api/admin/alerts                     - Listar alertas (activas por defecto)
+ * POST /api/admin/alerts/:id/acknowledge     - Reconocer una alerta (deja de notificar)
+ * POST /api/admin/alerts/:id/resolve         - Resolver una alerta a mano
+ * GET  /api/admin/alerts/rules               - Listar reglas
+ * POST /api/admin/alerts/rules/:id/silence   - Silenciar una regla por N minutos (0 = reactivar)
+ * GET  /api/admin/alerts/channels            - Canales y si estan configurados
+ * POST /api/admin/alerts/channels/:name/test - Enviar una alerta de prueba
+ */
+
+const express = require('express');
+const router = express.Router();
+const { requireAdmin } = require('../middleware/adminAuth');
+const alertService = require('../services/alertService');
+const alertChannels = require('../services/alertChannels');
+const AuditLog = require('../models/AuditLog');
+
+// Todas las rutas requieren admin (JWT unificado)
+router.use(requireAdmin);
+
+const NOT_FOUND = ['Alerta no encontrada', 'Regla no encontrada', 'Canal desconocido'];
+
+function sendError(res, error, context) {
+  if (NOT_FOUND.includes(error.message)) {
+    return res.status(404).json({ success: false, message: error.message });
+  }
+  if (/invalido|ya esta|ya fue|debe ser|no configurado/.test(error.message)) {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  console.error(`[AdminAlerts] ${context} error:`, error);
+  res.status(500).json({ success: false, message: error.message });
+}
+
+function parseId(req, res) {
+  const id = parseInt(req.params.id);
+  if (!Number.isInteger(id) || id <= 0) {
+    res.status(400).json({ success: false, message: 'ID invalido' });
+    return null;
+  }
+  return id;
+}
+
+/**
+ * GET /api/admin/alerts
+ * Query: status ('active' por defecto, 'all', 'firing', 'acknowledged', 'resolved'), limit
+ */
+router.get('/', async (req, res) => {
+  try {
+    const alerts = await alertService.listAlerts({
+      status: req.query.status || 'active',
+      limit: req.query.limit
+    });
+    res.json({ success: true, data: alerts });
+  } catch (error) {
+    sendError(res, error, 'List');
+  }
+});
+
+/**
+ * GET /api/admin/alerts/rules
+ */
+router.get('/rules', async (req, res) => {
+  try {
+    const rules = await alertService.listRules();
+    res.json({ success: true, data: rules });
+  } catch (error) {
+    sendError(res, error, 'Rules');
+  }
+});
+
+/**
+ * POST /api/admin/alerts/rules/:id/silence
+ * Body: { minutes: number } — 0 quita el silencio
+ */
+router.post('/rules/:id/silence', async (req, res) => {
+  const id = parseId(req, res);
+  if (id === null) return;
+
+  try {
+    const rule = await alertService.silenceRule(id, req.body.minutes, req.admin.address);
+
+    await AuditLog.create({
+      action: 'alert_rule_silenced',
+      entity_type: 'alert_rule',
+      entity_id: String(id),
+      actor_address: req.admin.address,
+      details: { key: rule.key, minutes: req.body.minutes, silencedUntil: rule.silenced_until }
+    });
+
+    res.json({ success: true, data: rule });
+  } catch (error) {
+    sendError(res, error, 'Silence');
+  }
+});
+
+/**
+ * GET /api/admin/alerts/channels
+ */
+router.get('/channels', (req, res) => {
+  res.json({ success: true, data: alertChannels.getChannels() });
+});
+
+/**
+ * POST /api/admin/alerts/channels/:name/test
+ */
+router.post('/channels/:name/test', async (req, res) => {
+  try {
+    const result = await alertService.testChannel(req.params.name, req.admin.address);
+
+    await AuditLog.create({
+      action: 'alert_channel_tested',
+      entity_type: 'system',
+      actor_address: req.admin.address,
+      details: { channel: req.params.name, ok: result.ok, error: result.error }
+    });
+
+    if (!result.ok) {
+      return res.status(502).json({ success: false, message: result.error, data: result });
+    }
+    res.json({ success: true, data: result });
+  } catch (error) {
+    sendError(res, error, 'Channel test');
+  }
+});
+
+/**
+ * POST /api/admin/alerts/:id/acknowledge
+ */
+router.post('/:id/acknowledge', async (req, res) => {
+  const id = parseId(req, res);
+  if (id === null) return;
+
+  try {
+    const alert = await alertService.acknowledgeAlert(id, req.admin.address);
+
+    await AuditLog.create({
+      action: 'alert_acknowledged',
+      entity_type: 'alert',
+      entity_id: String(id),
+      actor_address: req.admin.address,
+      details: { ruleKey: alert.rule_key }
+    });
+
+    res.json({ success: true, data: alert });
+  } catch (error) {
+    sendError(res, error, 'Acknowledge');
+  }
+});
+
+/**
+ * POST /api/admin/alerts/:id/resolve
+ */
+router.post('/:id/resolve', async (req, res) => {
+  const id = parseId(req, res);
+  if (id === null) return;
+
+  try {
+    const alert = await alertService.resolveAlert(id, req.admin.address);
+
+    await AuditLog.create({
+      action: 'alert_resolved',
+      entity_type: 'alert',
+      entity_id: String(id),
+      actor_address: req.admin.address,
+      details: { ruleKey: alert.rule_key }
+    });
+
+    res.json({ success: true, data: alert });
+  } catch (error) {
+    sendError(res, error, 'Resolve');
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const auditService = require('../services/auditService');
+const ledgerService = require('../services/ledgerService');
+const ledgerReconciliationScheduler = require('../scheduler/ledgerReconciliation');
 const { requireAdmin } = require('../middleware/adminAuth');
 
 // =================================
@@ -84,6 +86,76 @@ router.get('/balance', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/admin/audit/ledger/trial-balance
+ * Saldos de las cuentas del diario y totales debe/haber
+ */
+router.get('/ledger/trial-balance', async (req, res) => {
+    try {
+        const trialBalance = await ledgerService.getTrialBalance();
+
+        res.json({
+            success: true,
+            data: trialBalance
+        });
+    } catch (error) {
+        console.error('Error obteniendo balance de comprobacion:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al obtener balance de comprobacion'
+        });
+    }
+});
+
+/**
+ * GET /api/admin/audit/ledger/reconciliations
+ * Historial de balances de comprobacion
+ * Query params: limit (default 30)
+ */
+router.get('/ledger/reconciliations', async (req, res) => {
+    try {
+        const reconciliations = await ledgerService.getReconciliations(req.query.limit);
+
+        res.json({
+            success: true,
+            data: reconciliations
+        });
+    } catch (error) {
+        console.error('Error obteniendo conciliaciones:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al obtener conciliaciones'
+        });
+    }
+});
+
+/**
+ * POST /api/admin/audit/ledger/reconcile
+ * Ejecutar el balance de comprobacion ahora
+ */
+router.post('/ledger/reconcile', async (req, res) => {
+    try {
+        const result = await ledgerReconciliationScheduler.runCheck();
+        if (!result) {
+            return res.status(500).json({
+                success: false,
+                message: 'Error al ejecutar el balance de comprobacion'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        console.error('Error ejecutando balance de comprobacion:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al ejecutar el balance de comprobacion'
+        });
+    }
+});
+
 /**
  * GET /api/admin/audit/fees
  * Obtener reporte de fees del operador
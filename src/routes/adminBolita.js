@@ -1,7 +1,7 @@
 /**
  * Admin Bolita Routes
  *
- * Endpoints for La Bolita pool monitoring and draw management.
+ * Endpoints for La Bolita pool monitoring, draw management and the draw schedule.
  * Follows the same pattern as Keno admin routes.
  */
 
@@ -9,6 +9,7 @@ const express = require('express');
 const router = express.Router();
 const { authenticate, requireAdmin } = require('../middleware/auth');
 const pool = require('../db');
+const bolitaScheduleService = require('../services/bolitaScheduleService');
 
 // All routes require admin auth
 router.use(authenticate, requireAdmin);
@@ -254,4 +255,137 @@ router.get('/history', async (req, res) => {
   }
 });
 
+// =================================
+// CALENDARIO DE SORTEOS
+// =================================
+
+/**
+ * GET /api/admin/bolita/schedule
+ * Reglas por dia de la semana, sorteos extra y fechas bloqueadas (UTC)
+ */
+router.get('/schedule', async (req, res) => {
+  try {
+    const schedule = await bolitaScheduleService.getSchedule();
+    res.json({ success: true, data: schedule });
+  } catch (err) {
+    console.error('[AdminBolita] Error getting schedule:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+/**
+ * GET /api/admin/bolita/schedule/preview?days=14
+ * Slots generados para los proximos dias, con el sorteo ya creado si existe
+ */
+router.get('/schedule/preview', async (req, res) => {
+  try {
+    const preview = await bolitaScheduleService.previewSlots(req.query.days || 14);
+    res.json({ success: true, data: preview });
+  } catch (err) {
+    console.error('[AdminBolita] Error previewing schedule:', err);
+    res.status(400).json({ success: false, message: err.message });
+  }
+});
+
+/**
+ * POST /api/admin/bolita/schedule/rules
+ * Body: { weekdays: [0-6], drawTime: 'HH:MM', openBeforeMinutes?, enabled?, label? }
+ */
+router.post('/schedule/rules', async (req, res) => {
+  try {
+    const { weekdays, drawTime, openBeforeMinutes, enabled, label } = req.body;
+    const rule = await bolitaScheduleService.createRule({ weekdays, drawTime, openBeforeMinutes, enabled, label });
+    res.status(201).json({ success: true, data: rule });
+  } catch (err) {
+    console.error('[AdminBolita] Error creating schedule rule:', err);
+    res.status(400).json({ success: false, message: err.message });
+  }
+});
+
+/**
+ * PUT /api/admin/bolita/schedule/rules/:id
+ * Body (all optional): { weekdays, drawTime, openBeforeMinutes, enabled, label }
+ */
+router.put('/schedule/rules/:id', async (req, res) => {
+  try {
+    const { weekdays, drawTime, openBeforeMinutes, enabled, label } = req.body;
+    const rule = await bolitaScheduleService.updateRule(req.params.id, {
+      weekdays, drawTime, openBeforeMinutes, enabled, label
+    });
+    res.json({ success: true, data: rule });
+  } catch (err) {
+    console.error('[AdminBolita] Error updating schedule rule:', err);
+    res.status(400).json({ success: false, message: err.message });
+  }
+});
+
+/**
+ * DELETE /api/admin/bolita/schedule/rules/:id
+ */
+router.delete('/schedule/rules/:id', async (req, res) => {
+  try {
+    const result = await bolitaScheduleService.deleteRule(req.params.id);
+    res.json({ success: true, data: result });
+  } catch (err) {
+    console.error('[AdminBolita] Error deleting schedule rule:', err);
+    res.status(400).json({ success: false, message: err.message });
+  }
+});
+
+/**
+ * POST /api/admin/bolita/schedule/extra-draws
+ * Body: { drawAt: ISO 8601, openBeforeMinutes?, label? }
+ */
+router.post('/schedule/extra-draws', async (req, res) => {
+  try {
+    const { drawAt, openBeforeMinutes, label } = req.body;
+    const extra = await bolitaScheduleService.addExtraDraw({ drawAt, openBeforeMinutes, label });
+    res.status(201).json({ success: true, data: extra });
+  } catch (err) {
+    console.error('[AdminBolita] Error adding extra draw:', err);
+    res.status(400).json({ success: false, message: err.message });
+  }
+});
+
+/**
+ * DELETE /api/admin/bolita/schedule/extra-draws/:id
+ */
+router.delete('/schedule/extra-draws/:id', async (req, res) => {
+  try {
+    const result = await bolitaScheduleService.deleteExtraDraw(req.params.id);
+    res.json({ success: true, data: result });
+  } catch (err) {
+    console.error('[AdminBolita] Error deleting extra draw:', err);
+    res.status(400).json({ success: false, message: err.message });
+  }
+});
+
+/**
+ * POST /api/admin/bolita/schedule/blackouts
+ * Body: { date: 'YYYY-MM-DD' (UTC), reason? }
+ */
+router.post('/schedule/blackouts', async (req, res) => {
+  try {
+    const { date, reason } = req.body;
+    const blackout = await bolitaScheduleService.addBlackout({ date, reason });
+    res.status(201).json({ success: true, data: blackout });
+  } catch (err) {
+    console.error('[AdminBolita] Error adding blackout:', err);
+    res.status(400).json({ success: false, message: err.message });
+  }
+});
+
+/**
+ * DELETE /api/admin/bolita/schedule/blackouts/:id
+ */
+router.delete('/schedule/blackouts/:id', async (req, res) => {
+  try {
+    const result = await bolitaScheduleService.deleteBlackout(req.params.id);
+    res.json({ success: true, data: result });
+  } catch (err) {
+    console.error('[AdminBolita] Error deleting blackout:', err);
+    res.status(400).json({ success: false, message: err.message });
+  }
+});
+
 module.exports = router;
@@ -4,6 +4,7 @@ const { requireAdmin } = require('../middleware/adminAuth');
 const { dbAvailable, query } = require('../config/database');
 const featureFlagService = require('../services/featureFlagService');
 const AuditLog = require('../models/AuditLog');
+const { txManager } = require('../chain/txManager');
 
 // All routes require admin auth
 router.use(requireAdmin);
@@ -79,6 +80,15 @@ router.get('/summary', async (req, res) => {
       }
     }
 
+    // RPC pool - endpoint health, lag and rate limiting
+    let rpc = null;
+    try {
+      const { getRpcHealth } = require('../chain/provider');
+      rpc = getRpcHealth() || null;
+    } catch (e) {
+      // not available
+    }
+
     // Feature flags
     let flags = {};
     try {
@@ -97,6 +107,7 @@ router.get('/summary', async (req, res) => {
       pendingWithdrawals,
       kenoPool,
       bolitaPool,
+      rpc,
       flags
     });
   } catch (error) {
@@ -149,4 +160,71 @@ router.post('/toggles', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/admin/ops/transactions
+ * Transacciones de la wallet del operador
+ * Query: status ('pending' por defecto: queued + submitted, 'all' o un estado), limit
+ */
+router.get('/transactions', async (req, res) => {
+  try {
+    const transactions = await txManager.listTransactions({
+      status: req.query.status || 'pending',
+      limit: req.query.limit
+    });
+    res.json({ success: true, data: transactions });
+  } catch (error) {
+    if (error.message.includes('invalido')) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error('[AdminOps] Transactions read error:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * POST /api/admin/ops/transactions/:id/speed-up
+ * Reenviar una transaccion pendiente con mas gas
+ */
+router.post('/transactions/:id/speed-up', async (req, res) => {
+  await replaceTransaction(req, res, 'speedUp', 'operator_tx_speed_up');
+});
+
+/**
+ * POST /api/admin/ops/transactions/:id/cancel
+ * Reemplazar una transaccion pendiente por una transferencia de 0 (mismo nonce)
+ */
+router.post('/transactions/:id/cancel', async (req, res) => {
+  await replaceTransaction(req, res, 'cancel', 'operator_tx_cancel');
+});
+
+async function replaceTransaction(req, res, method, action) {
+  const id = parseInt(req.params.id);
+  if (!Number.isInteger(id) || id <= 0) {
+    return res.status(400).json({ success: false, message: 'ID de transaccion invalido' });
+  }
+
+  try {
+    const transaction = await txManager[method](id);
+
+    await AuditLog.create({
+      action,
+      entity_type: 'operator_transaction',
+      entity_id: String(id),
+      actor_address: req.admin.address,
+      details: { nonce: transaction.nonce, txHash: transaction.txHash, purpose: transaction.purpose }
+    });
+
+    res.json({ success: true, data: transaction });
+  } catch (error) {
+    if (error.message === 'Transaccion no encontrada') {
+      return res.status(404).json({ success: false, message: error.message });
+    }
+    if (error.message.startsWith('La transaccion')) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error(`[AdminOps] Transaction ${method} error:`, error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+}
+
 module.exports = router;
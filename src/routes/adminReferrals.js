@@ -1,6 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const referralAdminService = require('../services/referralAdminService');
+const referralPlanService = require('../services/referralPlanService');
+const referralClaimService = require('../services/referralClaimService');
+const referralFraudService = require('../services/referralFraudService');
+const AuditLog = require('../models/AuditLog');
 const { requireAdmin } = require('../middleware/adminAuth');
 
 // =================================
@@ -11,11 +15,14 @@ router.use(requireAdmin);
 
 /**
  * GET /api/admin/referrals/stats
- * Obtener estadisticas generales de referidos
+ * Obtener estadisticas generales de referidos y embudo por campana
+ * Query params: referrer_wallet
  */
 router.get('/stats', async (req, res) => {
     try {
-        const stats = await referralAdminService.getReferralStats();
+        const stats = await referralAdminService.getReferralStats({
+            referrerWallet: req.query.referrer_wallet || null
+        });
 
         res.json({
             success: true,
@@ -118,6 +125,412 @@ router.get('/totals', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/admin/referrals/claims
+ * Listar cobros hechos por los referidores
+ * Query params: page, limit, referrer_wallet
+ */
+router.get('/claims', async (req, res) => {
+    try {
+        const { page = 1, limit = 50, referrer_wallet } = req.query;
+
+        const result = await referralClaimService.listAllClaims({
+            page: parseInt(page),
+            limit: parseInt(limit),
+            referrerWallet: referrer_wallet
+        });
+
+        res.json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        console.error('Error listando cobros de referidos:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al listar cobros'
+        });
+    }
+});
+
+/**
+ * GET /api/admin/referrals/claims/:id
+ * Detalle de un cobro con las comisiones que cubre
+ */
+router.get('/claims/:id', async (req, res) => {
+    try {
+        const claimId = parseInt(req.params.id);
+        if (!Number.isInteger(claimId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'ID de cobro invalido'
+            });
+        }
+
+        const claim = await referralClaimService.getClaim(claimId);
+
+        res.json({
+            success: true,
+            data: claim
+        });
+    } catch (error) {
+        if (error.message === 'Cobro no encontrado') {
+            return res.status(404).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('Error obteniendo cobro de referidos:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al obtener el cobro'
+        });
+    }
+});
+
+/**
+ * GET /api/admin/referrals/plans
+ * Listar planes de comision
+ */
+router.get('/plans', async (req, res) => {
+    try {
+        const plans = await referralPlanService.listPlans();
+
+        res.json({
+            success: true,
+            data: plans
+        });
+    } catch (error) {
+        console.error('Error listando planes de referidos:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al listar planes'
+        });
+    }
+});
+
+/**
+ * POST /api/admin/referrals/plans
+ * Crear un plan de comision
+ * Body: { name, description, basis, default_rate, game_rates, tiers, second_level_rate, welcome_bonus, is_default }
+ */
+router.post('/plans', async (req, res) => {
+    try {
+        const plan = await referralPlanService.createPlan(req.body || {});
+
+        await AuditLog.create({
+            action: 'referral_plan_created',
+            entity_type: 'referral_plan',
+            entity_id: String(plan.id),
+            actor_address: req.admin.address,
+            details: plan
+        });
+
+        res.status(201).json({
+            success: true,
+            data: plan,
+            message: 'Plan creado'
+        });
+    } catch (error) {
+        console.error('Error creando plan de referidos:', error);
+        res.status(400).json({
+            success: false,
+            message: error.message || 'Error al crear plan'
+        });
+    }
+});
+
+/**
+ * PUT /api/admin/referrals/plans/:id
+ * Modificar un plan (los campos omitidos se mantienen)
+ */
+router.put('/plans/:id', async (req, res) => {
+    try {
+        const planId = parseInt(req.params.id);
+        if (!Number.isInteger(planId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'ID de plan invalido'
+            });
+        }
+
+        const plan = await referralPlanService.updatePlan(planId, req.body || {});
+
+        await AuditLog.create({
+            action: 'referral_plan_updated',
+            entity_type: 'referral_plan',
+            entity_id: String(plan.id),
+            actor_address: req.admin.address,
+            details: { changes: req.body, plan }
+        });
+
+        res.json({
+            success: true,
+            data: plan,
+            message: 'Plan actualizado'
+        });
+    } catch (error) {
+        console.error('Error actualizando plan de referidos:', error);
+        res.status(error.message === 'Plan no encontrado' ? 404 : 400).json({
+            success: false,
+            message: error.message || 'Error al actualizar plan'
+        });
+    }
+});
+
+/**
+ * GET /api/admin/referrals/referrers/:wallet/plan
+ * Plan con el que cobra un referidor
+ */
+router.get('/referrers/:wallet/plan', async (req, res) => {
+    try {
+        const plan = await referralPlanService.getPlanForReferrer(req.params.wallet);
+
+        res.json({
+            success: true,
+            data: {
+                referrer_wallet: req.params.wallet.toLowerCase(),
+                plan,
+                referred_volume: await referralPlanService.getReferredVolume(req.params.wallet)
+            }
+        });
+    } catch (error) {
+        console.error('Error obteniendo plan del referidor:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al obtener plan del referidor'
+        });
+    }
+});
+
+/**
+ * PUT /api/admin/referrals/referrers/:wallet/plan
+ * Asignar un plan a un referidor
+ * Body: { plan_id } (null para volver al plan por defecto)
+ */
+router.put('/referrers/:wallet/plan', async (req, res) => {
+    try {
+        const { plan_id } = req.body || {};
+        const planId = plan_id === null ? null : parseInt(plan_id);
+
+        if (planId !== null && !Number.isInteger(planId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'plan_id requerido (o null para el plan por defecto)'
+            });
+        }
+
+        const result = await referralPlanService.assignPlan(req.params.wallet, planId, req.admin.address);
+
+        await AuditLog.create({
+            action: 'referral_plan_assigned',
+            entity_type: 'referral_plan',
+            entity_id: planId === null ? null : String(planId),
+            actor_address: req.admin.address,
+            details: { referrerWallet: result.referrer_wallet, planId }
+        });
+
+        res.json({
+            success: true,
+            data: result,
+            message: result.assigned ? `Plan ${result.plan.name} asignado` : 'Referidor en el plan por defecto'
+        });
+    } catch (error) {
+        console.error('Error asignando plan de referidos:', error);
+        res.status(error.message === 'Plan no encontrado' ? 404 : 400).json({
+            success: false,
+            message: error.message || 'Error al asignar plan'
+        });
+    }
+});
+
+/**
+ * POST /api/admin/referrals/commissions/ngr/settle
+ * Liquidar comisiones NGR de un periodo
+ * Body: { period_start, period_end } (YYYY-MM-DD, por defecto el mes anterior)
+ */
+router.post('/commissions/ngr/settle', async (req, res) => {
+    try {
+        const { period_start, period_end } = req.body || {};
+
+        const result = await referralAdminService.settleNgrCommissions({
+            periodStart: period_start || null,
+            periodEnd: period_end || null
+        });
+
+        await AuditLog.create({
+            action: 'referral_ngr_settled',
+            entity_type: 'referral_commission',
+            actor_address: req.admin.address,
+            details: result
+        });
+
+        res.json({
+            success: true,
+            data: result,
+            message: `${result.commissions} comisiones NGR liquidadas`
+        });
+    } catch (error) {
+        console.error('Error liquidando comisiones NGR:', error);
+        res.status(/^Periodo invalido/.test(error.message) ? 400 : 500).json({
+            success: false,
+            message: error.message || 'Error al liquidar comisiones NGR'
+        });
+    }
+});
+
+/**
+ * GET /api/admin/referrals/fraud/flags
+ * Cola de revision antifraude (pares marcados con sus comisiones retenidas)
+ * Query params: status (pending, approved, rejected), page, limit
+ */
+router.get('/fraud/flags', async (req, res) => {
+    try {
+        const { status = 'pending', page = 1, limit = 50 } = req.query;
+
+        const result = await referralFraudService.listFlags({
+            status,
+            page: parseInt(page),
+            limit: parseInt(limit)
+        });
+
+        res.json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        console.error('Error listando casos de fraude:', error);
+        res.status(error.message === 'Estado de revision invalido' ? 400 : 500).json({
+            success: false,
+            message: error.message || 'Error al listar casos de fraude'
+        });
+    }
+});
+
+/**
+ * GET /api/admin/referrals/fraud/flags/:id
+ * Detalle de un caso con sus senales y comisiones retenidas
+ */
+router.get('/fraud/flags/:id', async (req, res) => {
+    try {
+        const flagId = parseInt(req.params.id);
+        if (!Number.isInteger(flagId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'ID de caso invalido'
+            });
+        }
+
+        const flag = await referralFraudService.getFlag(flagId);
+
+        res.json({
+            success: true,
+            data: flag
+        });
+    } catch (error) {
+        if (error.message === 'Caso no encontrado') {
+            return res.status(404).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('Error obteniendo caso de fraude:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al obtener el caso'
+        });
+    }
+});
+
+/**
+ * POST /api/admin/referrals/fraud/flags/:id/review
+ * Resolver un caso
+ * Body: { decision: 'approve' | 'reject', notes }
+ */
+router.post('/fraud/flags/:id/review', async (req, res) => {
+    try {
+        const flagId = parseInt(req.params.id);
+        if (!Number.isInteger(flagId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'ID de caso invalido'
+            });
+        }
+        const { decision, notes } = req.body || {};
+
+        const result = await referralFraudService.reviewFlag(flagId, { decision, notes }, req.admin.address);
+
+        await AuditLog.create({
+            action: 'referral_fraud_reviewed',
+            entity_type: 'referral_fraud_flag',
+            entity_id: String(flagId),
+            actor_address: req.admin.address,
+            details: {
+                decision,
+                notes: notes || null,
+                referral_id: result.referral_id,
+                commissions: result.commissions,
+                amount: result.amount
+            }
+        });
+
+        res.json({
+            success: true,
+            data: result,
+            message: decision === 'approve'
+                ? `${result.commissions} comisiones liberadas`
+                : `${result.commissions} comisiones canceladas y referido baneado`
+        });
+    } catch (error) {
+        if (error.message === 'Caso no encontrado') {
+            return res.status(404).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('Error revisando caso de fraude:', error);
+        res.status(/^Decision invalida|ya fue revisado/.test(error.message) ? 400 : 500).json({
+            success: false,
+            message: error.message || 'Error al revisar el caso'
+        });
+    }
+});
+
+/**
+ * POST /api/admin/referrals/fraud/referrals/:id/score
+ * Volver a puntuar un referido ahora (lo marca si llega al umbral)
+ */
+router.post('/fraud/referrals/:id/score', async (req, res) => {
+    try {
+        const referralId = parseInt(req.params.id);
+        if (!Number.isInteger(referralId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'ID de referido invalido'
+            });
+        }
+
+        const result = await referralFraudService.scoreReferral(referralId);
+
+        res.json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        if (error.message === 'Referido no encontrado') {
+            return res.status(404).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('Error puntuando referido:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al puntuar el referido'
+        });
+    }
+});
+
 /**
  * PUT /api/admin/referrals/:id/status
  * Cambiar estado de un referido
@@ -201,11 +614,14 @@ router.get('/export', async (req, res) => {
                 limit: 10000
             });
 
-            headers = ['ID', 'Referidor', 'Referido', 'ID Apuesta', 'Monto Apuesta', 'Tasa', 'Comision', 'Estado', 'Fecha Pago', 'Creado'];
+            headers = ['ID', 'Referidor', 'Referido', 'Juego', 'Nivel', 'Base', 'ID Apuesta', 'Monto Apuesta', 'Tasa', 'Comision', 'Estado', 'Fecha Pago', 'Creado'];
             rows = result.commissions.map(c => [
                 c.id,
                 c.referrer_wallet,
                 c.referred_wallet,
+                c.game,
+                c.level,
+                c.basis,
                 c.bet_id,
                 c.bet_amount,
                 c.commission_rate,
@@ -220,11 +636,12 @@ router.get('/export', async (req, res) => {
                 limit: 10000
             });
 
-            headers = ['ID', 'Referidor', 'Codigo', 'Referido', 'Metodo', 'Total Apuestas', 'Total Comisiones', 'Estado', 'Registrado'];
+            headers = ['ID', 'Referidor', 'Codigo', 'Campana', 'Referido', 'Metodo', 'Total Apuestas', 'Total Comisiones', 'Estado', 'Registrado'];
             rows = result.referrals.map(r => [
                 r.id,
                 r.referrer_wallet,
                 r.referral_code,
+                r.campaign_name,
                 r.referred_wallet,
                 r.registration_method,
                 r.total_bets_amount,
@@ -89,18 +89,34 @@ router.get('/sold-out/:drawId', async (req, res) => {
 
 /**
  * GET /api/bankroll/exposure/:drawId
- * Obtener exposición total de un sorteo
+ * Obtener exposición total de un sorteo y la curva del límite por número
+ * Query params: game_type, number, limit (puntos de la curva, máx 2000)
  */
 router.get('/exposure/:drawId', async (req, res) => {
     try {
         const { drawId } = req.params;
+        const { game_type, number, limit } = req.query;
+
+        if (game_type && !bankrollService.EXPOSURE_GAME_TYPES.includes(game_type)) {
+            return res.status(400).json({
+                success: false,
+                message: `game_type inválido. Válidos: ${bankrollService.EXPOSURE_GAME_TYPES.join(', ')}`
+            });
+        }
+
         const exposure = await bankrollService.getDrawExposure(parseInt(drawId));
+        const curve = await bankrollService.getExposureHistory(parseInt(drawId), {
+            gameType: game_type,
+            betNumber: number,
+            limit
+        });
 
         res.json({
             success: true,
             data: {
                 draw_id: parseInt(drawId),
-                exposure
+                exposure,
+                curve
             }
         });
     } catch (error) {
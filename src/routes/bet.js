@@ -3,7 +3,7 @@ const rateLimit = require('express-rate-limit');
 const router = express.Router();
 const betController = require('../controllers/betController');
 const { authenticateWallet } = require('../middleware/web3Auth');
-const { validatePlaceBet, validatePagination } = require('../middleware/validation');
+const { validatePlaceBet, validateCombinationQuote, validatePagination } = require('../middleware/validation');
 const { requireFlag } = require('../middleware/featureFlag');
 
 // =================================
@@ -22,6 +22,17 @@ const betPlaceLimiter = rateLimit({
     message: { success: false, message: 'Demasiadas apuestas. Intenta de nuevo en un minuto.' }
 });
 
+// Rate limiter for quotes: max 30 per minute per wallet
+const betQuoteLimiter = rateLimit({
+    windowMs: 60 * 1000,
+    max: 30,
+    keyGenerator: (req) => req.user?.address || req.headers['x-wallet-address'] || 'anonymous',
+    validate: { xForwardedForHeader: false },
+    standardHeaders: true,
+    legacyHeaders: false,
+    message: { success: false, message: 'Demasiadas cotizaciones. Intenta de nuevo en un minuto.' }
+});
+
 // Todas las rutas requieren autenticacion de wallet + feature flag
 router.use(requireFlag('game_bolita'));
 router.use(authenticateWallet);
@@ -33,6 +44,14 @@ router.use(authenticateWallet);
  */
 router.post('/place', betPlaceLimiter, validatePlaceBet, betController.placeBets);
 
+/**
+ * POST /api/bets/quote
+ * Cotizar una combinación jugada por jugada (recorta o rechaza las que no caben)
+ * Body: { draw_id, type: 'parles'|'centenas', numbers: ['12', '34', ...], amount, reversed?, trim? }
+ * Las jugadas devueltas en data.bets se envían tal cual a /place
+ */
+router.post('/quote', betQuoteLimiter, validateCombinationQuote, betController.quoteCombination);
+
 /**
  * GET /api/bets/my-bets
  * Obtener apuestas del usuario
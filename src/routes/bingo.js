@@ -9,6 +9,9 @@ const express = require('express');
 const rateLimit = require('express-rate-limit');
 const router = express.Router();
 const bingoService = require('../services/bingoService');
+const bingoSubscriptionService = require('../services/bingoSubscriptionService');
+const gameConfigService = require('../services/gameConfigService');
+const playSessionService = require('../services/playSessionService');
 const bingoScheduler = process.env.BINGO_CONTRACT_ADDRESS
   ? require('../services/bingoSchedulerOnChain')
   : require('../services/bingoScheduler');
@@ -46,7 +49,8 @@ router.get('/config', publicLimiter, async (req, res) => {
 
 /**
  * GET /api/bingo/rooms
- * Returns the 4 rooms with current state, phase, countdown, etc.
+ * Returns the 4 rooms with current state, phase, countdown, room settings
+ * (price, buy window, max cards, min players, schedule), etc.
  */
 router.get('/rooms', publicLimiter, async (req, res) => {
   try {
@@ -54,6 +58,8 @@ router.get('/rooms', publicLimiter, async (req, res) => {
     const schedulerStates = bingoScheduler.getRoomStates();
     const jackpot = await bingoService.getJackpotBalance();
     const config = await bingoService.getConfig();
+    const roomSettings = await bingoService.getRoomSettings();
+    const isOnChain = !!process.env.BINGO_CONTRACT_ADDRESS;
 
     // Get player counts for active rounds
     const roundIds = activeRooms.map(r => r.round_id).filter(Boolean);
@@ -63,6 +69,7 @@ router.get('/rooms', publicLimiter, async (req, res) => {
     for (let roomNumber = 1; roomNumber <= 4; roomNumber++) {
       const dbRoom = activeRooms.find(r => r.room_number === roomNumber);
       const schedState = schedulerStates[roomNumber] || {};
+      const settings = roomSettings[roomNumber] || null;
 
       let phase = schedState.phase || 'waiting';
       let currentRoundId = null;
@@ -103,6 +110,10 @@ router.get('/rooms', publicLimiter, async (req, res) => {
 
       const totalRevenue = dbRoom ? parseFloat(dbRoom.total_revenue || 0) : 0;
       const playerCount = currentRoundId ? (playerCounts[currentRoundId] || 0) : 0;
+      // On-chain the contract pays only line and bingo, with its own bps
+      const patterns = await bingoService.getRoomPatterns(roomNumber, isOnChain ? config : null);
+      const linePattern = patterns.find(p => p.type === 'line');
+      const bingoPattern = patterns.find(p => p.type === 'bingo');
 
       rooms.push({
         roomNumber,
@@ -116,13 +127,25 @@ router.get('/rooms', publicLimiter, async (req, res) => {
         playerCount,
         drawStartedAt: phase === 'drawing' ? drawStartedAt : null,
         drawnBalls: phase === 'drawing' ? drawnBalls : null,
-        cardPrice: config.cardPrice || 1,
+        // On-chain the contract enforces one global card price
+        cardPrice: (!isOnChain && settings?.cardPrice) || config.cardPrice || 1,
+        maxCardsPerUser: (!isOnChain && settings?.maxCardsPerUser) || config.maxCardsPerUser || 4,
         jackpot,
         // Prize distribution config (for frontend prize estimation)
         feeBps: config.feeBps || 1000,
         reserveBps: config.reserveBps || 1000,
-        linePrizeBps: config.linePrizeBps || 1500,
-        bingoPrizeBps: config.bingoPrizeBps || 8500,
+        linePrizeBps: linePattern ? linePattern.prizeBps : (config.linePrizeBps || 1500),
+        bingoPrizeBps: bingoPattern ? bingoPattern.prizeBps : (config.bingoPrizeBps || 8500),
+        patterns,
+        settings: settings && {
+          name: settings.name,
+          enabled: settings.enabled,
+          open: settings.open,
+          nextOpening: settings.nextOpening,
+          buyWindowSeconds: settings.buyWindowSeconds,
+          minPlayers: settings.minPlayers,
+          schedule: settings.schedule,
+        },
       });
     }
 
@@ -194,7 +217,7 @@ router.get('/rounds/:id', publicLimiter, async (req, res) => {
       sanitizedRound.bingo_winner_ball = isFinite(bingoWinnerBall) ? bingoWinnerBall : 0;
 
       // Strip per-card winner flags (who won) but keep other card data
-      const sanitizedCards = cards.map(({ is_line_winner, is_bingo_winner, line_hit_ball, bingo_hit_ball, ...rest }) => rest); // eslint-disable-line no-unused-vars
+      const sanitizedCards = cards.map(({ is_line_winner, is_bingo_winner, line_hit_ball, bingo_hit_ball, pattern_hits, ...rest }) => rest); // eslint-disable-line no-unused-vars
 
       return res.json({
         success: true,
@@ -211,7 +234,9 @@ router.get('/rounds/:id', publicLimiter, async (req, res) => {
 
 /**
  * GET /api/bingo/verify/:roundId
- * Public verification data
+ * Public verification data, including the winners of each room pattern
+ * (patterns: [{ patternId, type, ball, prizeBps, prize, winners }]) and the
+ * ball at which every card completed each pattern (cards[].pattern_hits)
  *
  * Intentionally not available during status='drawing' — exposing the VRF seed
  * and winner card IDs before the animation finishes would allow clients to
@@ -253,7 +278,7 @@ router.get('/verify/:roundId', publicLimiter, async (req, res) => {
 
 /**
  * POST /api/bingo/buy-cards
- * Off-chain card purchase. Body: { roundId, count: 1-4 }
+ * Off-chain card purchase. Body: { roundId, count: 1-maxCardsPerUser }
  */
 router.post('/buy-cards', requireFlag('bingo_enabled'), authenticateWallet, async (req, res) => {
   try {
@@ -263,11 +288,19 @@ router.post('/buy-cards', requireFlag('bingo_enabled'), authenticateWallet, asyn
     if (!roundId || isNaN(parseInt(roundId))) {
       return res.status(400).json({ success: false, message: 'roundId requerido' });
     }
-    const cardCount = Math.min(Math.max(parseInt(count) || 1, 1), 4);
+    // Upper bound is the room's maxCardsPerUser, enforced by the service
+    const cardCount = Math.max(parseInt(count) || 1, 1);
 
     const cards = await bingoService.buyCardsOffChain(walletAddress, parseInt(roundId), cardCount);
-    res.json({ success: true, data: cards });
+    res.json({
+      success: true,
+      data: cards,
+      realityCheck: await playSessionService.pendingRealityCheck(walletAddress)
+    });
   } catch (err) {
+    if (err.code === 'REALITY_CHECK_REQUIRED') {
+      return res.status(409).json({ success: false, code: err.code, message: err.message, realityCheck: err.realityCheck });
+    }
     console.error('[Bingo] Error buying cards:', err);
     const status = err.message.includes('Insufficient') ? 402 : 400;
     res.status(status).json({ success: false, message: err.message || 'Error al comprar cartas' });
@@ -321,6 +354,70 @@ router.get('/history', requireFlag('bingo_enabled'), authenticateWallet, async (
   }
 });
 
+/**
+ * POST /api/bingo/subscriptions
+ * Pre-purchase cards for the next rounds of a room, reserving funds up front.
+ * Body: { roomNumber, cardsPerRound, rounds?, budget? }
+ *   rounds: next K rounds. budget without rounds: every round until cancelled or exhausted.
+ */
+router.post('/subscriptions', requireFlag('bingo_enabled'), authenticateWallet, async (req, res) => {
+  if (process.env.BINGO_CONTRACT_ADDRESS) {
+    return res.status(400).json({
+      success: false,
+      message: 'Suscripciones no disponibles en modo on-chain',
+      onChain: true
+    });
+  }
+
+  try {
+    const { roomNumber, cardsPerRound, rounds, budget } = req.body;
+    const subscription = await bingoSubscriptionService.createSubscription(req.user.address, {
+      roomNumber, cardsPerRound, rounds, budget
+    });
+    res.json({ success: true, data: subscription });
+  } catch (err) {
+    if (err.code === 'REALITY_CHECK_REQUIRED') {
+      return res.status(409).json({ success: false, code: err.code, message: err.message, realityCheck: err.realityCheck });
+    }
+    console.error('[Bingo] Error creating subscription:', err);
+    const status = err.message.includes('Insufficient') ? 402 : 400;
+    res.status(status).json({ success: false, message: err.message || 'Error al crear suscripcion' });
+  }
+});
+
+/**
+ * GET /api/bingo/subscriptions
+ * User's subscriptions (active first). ?limit=20
+ */
+router.get('/subscriptions', requireFlag('bingo_enabled'), authenticateWallet, async (req, res) => {
+  try {
+    const subscriptions = await bingoSubscriptionService.getUserSubscriptions(req.user.address, req.query.limit);
+    res.json({ success: true, data: subscriptions });
+  } catch (err) {
+    console.error('[Bingo] Error getting subscriptions:', err);
+    res.status(500).json({ success: false, message: 'Error al obtener suscripciones' });
+  }
+});
+
+/**
+ * POST /api/bingo/subscriptions/:id/cancel
+ * Cancel a subscription; unused reserved funds go back to the balance.
+ */
+router.post('/subscriptions/:id/cancel', requireFlag('bingo_enabled'), authenticateWallet, async (req, res) => {
+  try {
+    const subscriptionId = parseInt(req.params.id);
+    if (!Number.isInteger(subscriptionId) || subscriptionId <= 0) {
+      return res.status(400).json({ success: false, message: 'ID de suscripcion invalido' });
+    }
+
+    const subscription = await bingoSubscriptionService.cancelSubscription(req.user.address, subscriptionId);
+    res.json({ success: true, data: subscription });
+  } catch (err) {
+    console.error('[Bingo] Error cancelling subscription:', err);
+    res.status(400).json({ success: false, message: err.message || 'Error al cancelar suscripcion' });
+  }
+});
+
 // =================================
 // ADMIN ROUTES
 // =================================
@@ -379,6 +476,49 @@ router.post('/admin/cancel-round', authenticate, requireAdmin, async (req, res)
   }
 });
 
+/**
+ * GET /api/bingo/admin/rooms
+ * Per-room settings (bingo_rooms)
+ */
+router.get('/admin/rooms', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const rooms = await bingoService.getRoomSettings();
+    res.json({ success: true, data: Object.values(rooms) });
+  } catch (err) {
+    console.error('[Bingo] Error getting room settings:', err);
+    res.status(500).json({ success: false, message: 'Error al obtener configuracion de salas' });
+  }
+});
+
+/**
+ * PUT /api/bingo/admin/rooms/:roomNumber
+ * Update a room. Applies from the room's next round.
+ *
+ * Body (all optional): { name, enabled, cardPrice, buyWindowSeconds, maxCardsPerUser,
+ *   minPlayers, schedule: { timezone, windows: [{ days: [1,2,3], start: '18:00', end: '23:00' }] } }
+ * cardPrice/buyWindowSeconds/maxCardsPerUser: null = global value. schedule: null = always open.
+ */
+router.put('/admin/rooms/:roomNumber', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const roomNumber = parseInt(req.params.roomNumber);
+    if (isNaN(roomNumber)) {
+      return res.status(400).json({ success: false, message: 'roomNumber invalido' });
+    }
+
+    const {
+      name, enabled, cardPrice, buyWindowSeconds, maxCardsPerUser, minPlayers, schedule
+    } = req.body;
+    const room = await gameConfigService.updateBingoRoom(roomNumber, {
+      name, enabled, cardPrice, buyWindowSeconds, maxCardsPerUser, minPlayers, schedule
+    });
+
+    res.json({ success: true, data: room });
+  } catch (err) {
+    console.error('[Bingo] Error updating room settings:', err);
+    res.status(400).json({ success: false, message: err.message || 'Error al actualizar sala' });
+  }
+});
+
 /**
  * GET /api/bingo/admin/stats
  * Admin stats. ?date_from&date_to
@@ -12,7 +12,11 @@ const kenoService = require('../services/kenoService');
 const kenoSessionService = require('../services/kenoSessionService');
 const kenoVrfService = require('../services/kenoVrfService');
 const kenoPoolHealthService = require('../services/kenoPoolHealthService');
+const kenoAutoplayService = require('../services/kenoAutoplayService');
+const kenoSimulatorService = require('../services/kenoSimulatorService');
+const kenoSettlementService = require('../services/kenoSettlementService');
 const gameConfigService = require('../services/gameConfigService');
+const playSessionService = require('../services/playSessionService');
 const { authenticateWallet } = require('../middleware/web3Auth');
 const { authenticate, requireAdmin } = require('../middleware/auth');
 const { requireFlag } = require('../middleware/featureFlag');
@@ -49,7 +53,7 @@ const playLimiter = rateLimit({
 /**
  * GET /api/keno/config
  * Obtener configuracion del juego (tabla de pagos, limites, etc)
- * MVP: Incluye betAmount fijo, maxPayout cap, feeBps
+ * Incluye denominaciones permitidas, tablas de pago activas, maxPayout cap, feeBps
  */
 router.get('/config', async (req, res) => {
   try {
@@ -207,8 +211,10 @@ router.post('/commit', requireFlag('game_keno'), authenticateWallet, commitLimit
  * POST /api/keno/play
  * Jugar una partida de Keno
  *
- * Body: { numbers: [1, 5, 10, ...], amount, commitId? }
- * MVP: amount es ignorado (siempre 1 USDT)
+ * Body: { numbers: [1, 5, 10, ...], amount?, commitId?, payoutTable? }
+ * amount debe ser una de las denominaciones permitidas (keno_bet_amounts);
+ * sin amount se juega la apuesta base (keno_bet_amount)
+ * payoutTable: nombre de la tabla de pagos (default: keno_default_payout_table)
  * Phase 3: commitId enables commit-reveal flow
  */
 router.post('/play', requireFlag('game_keno'), authenticateWallet, playLimiter, async (req, res) => {
@@ -224,7 +230,7 @@ router.post('/play', requireFlag('game_keno'), authenticateWallet, playLimiter,
 
   try {
     const walletAddress = req.user.address;
-    const { numbers, amount, commitId, clientSeed } = req.body;
+    const { numbers, amount, commitId, clientSeed, payoutTable } = req.body;
 
     if (!numbers || !Array.isArray(numbers)) {
       return res.status(400).json({
@@ -233,22 +239,38 @@ router.post('/play', requireFlag('game_keno'), authenticateWallet, playLimiter,
       });
     }
 
-    if (!amount || isNaN(parseFloat(amount))) {
+    if (amount !== undefined && amount !== null && isNaN(parseFloat(amount))) {
       return res.status(400).json({
         success: false,
-        message: 'Monto requerido'
+        message: 'Monto invalido'
+      });
+    }
+
+    if (payoutTable !== undefined && typeof payoutTable !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'payoutTable debe ser texto'
       });
     }
 
     // Jugar (commitId + clientSeed are optional, used for commit-reveal / provably fair)
-    const result = await kenoService.playKeno(walletAddress, numbers, amount, commitId, clientSeed);
+    const result = await kenoService.playKeno(walletAddress, numbers, amount, commitId, clientSeed, payoutTable);
 
     res.json({
       success: true,
-      data: result
+      data: result,
+      realityCheck: await playSessionService.pendingRealityCheck(walletAddress)
     });
 
   } catch (err) {
+    if (err.code === 'REALITY_CHECK_REQUIRED') {
+      return res.status(409).json({
+        success: false,
+        code: err.code,
+        message: err.message,
+        realityCheck: err.realityCheck
+      });
+    }
     console.error('[Keno] Error playing:', err);
     res.status(400).json({
       success: false,
@@ -386,6 +408,148 @@ router.post('/session/start', requireFlag('game_keno'), authenticateWallet, asyn
   }
 });
 
+// =================================
+// RUTAS DE AUTOPLAY
+// =================================
+
+/**
+ * POST /api/keno/autoplay
+ * Encolar N jugadas con los mismos numeros
+ * Body: { numbers, amount, draws, stopLoss?, stopWin?, payoutTable?, clientSeed? }
+ */
+router.post('/autoplay', requireFlag('game_keno'), authenticateWallet, playLimiter, async (req, res) => {
+  if (KENO_ON_CHAIN) {
+    return res.status(400).json({
+      success: false,
+      message: 'Autoplay no disponible en modo on-chain',
+      onChain: true
+    });
+  }
+
+  try {
+    const { numbers, amount, draws, stopLoss, stopWin, payoutTable, clientSeed } = req.body;
+
+    if (!numbers || !Array.isArray(numbers)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Numeros requeridos (array)'
+      });
+    }
+
+    if (!amount || isNaN(parseFloat(amount))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Monto requerido'
+      });
+    }
+
+    if (payoutTable !== undefined && typeof payoutTable !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'payoutTable debe ser texto'
+      });
+    }
+
+    const run = await kenoAutoplayService.startAutoplay(req.user.address, {
+      numbers, amount, draws, stopLoss, stopWin, payoutTable, clientSeed
+    });
+
+    res.json({
+      success: true,
+      data: run
+    });
+  } catch (err) {
+    console.error('[Keno] Error starting autoplay:', err);
+    res.status(400).json({
+      success: false,
+      message: err.message || 'Error al iniciar autoplay'
+    });
+  }
+});
+
+/**
+ * GET /api/keno/autoplay
+ * Autoplay en curso del usuario (o null)
+ */
+router.get('/autoplay', requireFlag('game_keno'), authenticateWallet, async (req, res) => {
+  try {
+    const run = await kenoAutoplayService.getActiveAutoplay(req.user.address);
+    res.json({
+      success: true,
+      data: run
+    });
+  } catch (err) {
+    console.error('[Keno] Error getting autoplay:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener autoplay'
+    });
+  }
+});
+
+/**
+ * GET /api/keno/autoplay/:id
+ * Progreso de un autoplay con sus jugadas
+ */
+router.get('/autoplay/:id', requireFlag('game_keno'), authenticateWallet, async (req, res) => {
+  try {
+    const runId = parseInt(req.params.id);
+    if (!Number.isInteger(runId) || runId <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'ID de autoplay invalido'
+      });
+    }
+
+    const run = await kenoAutoplayService.getAutoplay(req.user.address, runId);
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        message: 'Autoplay no encontrado'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: run
+    });
+  } catch (err) {
+    console.error('[Keno] Error getting autoplay:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener autoplay'
+    });
+  }
+});
+
+/**
+ * POST /api/keno/autoplay/:id/cancel
+ * Cancelar autoplay (la jugada en curso, si la hay, se completa)
+ */
+router.post('/autoplay/:id/cancel', requireFlag('game_keno'), authenticateWallet, async (req, res) => {
+  try {
+    const runId = parseInt(req.params.id);
+    if (!Number.isInteger(runId) || runId <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'ID de autoplay invalido'
+      });
+    }
+
+    const run = await kenoAutoplayService.cancelAutoplay(req.user.address, runId);
+    res.json({
+      success: true,
+      data: run
+    });
+  } catch (err) {
+    console.error('[Keno] Error cancelling autoplay:', err);
+    res.status(400).json({
+      success: false,
+      message: err.message || 'Error al cancelar autoplay'
+    });
+  }
+});
+
 // =================================
 // RUTAS ADMIN
 // =================================
@@ -446,24 +610,46 @@ router.get('/admin/pool', authenticate, requireAdmin, async (req, res) => {
 
 /**
  * GET /api/keno/admin/sessions
- * Sesiones activas de Keno
+ * Sesiones de Keno con el estado de su liquidacion on-chain
+ * Query: status (default active) | settlement (pending|signed|submitted|confirmed|failed|stuck)
+ * 'stuck' = fallidas, con reintentos o con diferencias en la reconciliacion
  */
 router.get('/admin/sessions', authenticate, requireAdmin, async (req, res) => {
   try {
-    const { status = 'active', limit = 50 } = req.query;
+    const { status = 'active', settlement, limit = 50 } = req.query;
+
+    let where;
+    const params = [];
+    if (settlement === 'stuck') {
+      where = `(s.status = 'settlement_failed'
+                OR ks.status = 'failed'
+                OR (ks.status IN ('pending', 'signed', 'submitted') AND ks.attempts > 0)
+                OR ks.reconcile_status IN ('mismatch', 'missing_event'))`;
+    } else if (settlement) {
+      params.push(settlement);
+      where = `ks.status = $${params.length}`;
+    } else {
+      params.push(status);
+      where = `s.status = $${params.length}`;
+    }
+    params.push(parseInt(limit) || 50);
 
     const pool = require('../db');
     const result = await pool.query(
       `SELECT
-         id, wallet_address, status, games_played,
-         total_wagered, total_won,
-         (total_won - total_wagered) as net_result,
-         session_start, updated_at
-       FROM keno_sessions
-       WHERE status = $1
-       ORDER BY updated_at DESC
-       LIMIT $2`,
-      [status, parseInt(limit)]
+         s.id, s.wallet_address, s.status, s.games_played,
+         s.total_wagered, s.total_won,
+         (s.total_won - s.total_wagered) as net_result,
+         s.session_start, s.updated_at, s.settlement_error,
+         ks.id as settlement_id, ks.status as settlement_status,
+         ks.attempts, ks.next_attempt_at, ks.last_error,
+         ks.tx_hash, ks.reconcile_status
+       FROM keno_sessions s
+       LEFT JOIN keno_settlements ks ON ks.session_id = s.id
+       WHERE ${where}
+       ORDER BY s.updated_at DESC
+       LIMIT $${params.length}`,
+      params
     );
 
     res.json({
@@ -478,7 +664,17 @@ router.get('/admin/sessions', authenticate, requireAdmin, async (req, res) => {
           totalWon: parseFloat(row.total_won),
           netResult: parseFloat(row.net_result),
           sessionStart: row.session_start,
-          updatedAt: row.updated_at
+          updatedAt: row.updated_at,
+          settlementError: row.settlement_error,
+          settlement: row.settlement_id ? {
+            id: row.settlement_id,
+            status: row.settlement_status,
+            attempts: row.attempts,
+            nextAttemptAt: row.next_attempt_at,
+            lastError: row.last_error,
+            txHash: row.tx_hash,
+            reconcileStatus: row.reconcile_status
+          } : null
         })),
         count: result.rows.length
       }
@@ -492,6 +688,54 @@ router.get('/admin/sessions', authenticate, requireAdmin, async (req, res) => {
   }
 });
 
+/**
+ * POST /api/keno/admin/sessions/reconcile
+ * Reconciliar keno_settlements con los eventos KenoSessionSettled indexados
+ */
+router.post('/admin/sessions/reconcile', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const summary = await kenoSettlementService.reconcileSettlements();
+    res.json({
+      success: true,
+      data: summary
+    });
+  } catch (err) {
+    console.error('[Keno] Error reconciling settlements:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Error al reconciliar liquidaciones'
+    });
+  }
+});
+
+/**
+ * POST /api/keno/admin/sessions/:id/settlement/retry
+ * Reintentar la liquidacion on-chain de una sesion (reinicia los intentos)
+ */
+router.post('/admin/sessions/:id/settlement/retry', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const sessionId = parseInt(req.params.id);
+    if (!Number.isInteger(sessionId) || sessionId <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'ID de sesion invalido'
+      });
+    }
+
+    const settlement = await kenoSettlementService.retrySessionSettlement(sessionId);
+    res.json({
+      success: true,
+      data: settlement
+    });
+  } catch (err) {
+    console.error('[Keno] Error retrying settlement:', err);
+    res.status(400).json({
+      success: false,
+      message: err.message || 'Error al reintentar liquidacion'
+    });
+  }
+});
+
 /**
  * GET /api/keno/admin/pool-history
  * Historial del pool para graficos
@@ -518,10 +762,349 @@ router.get('/admin/pool-history', authenticate, requireAdmin, async (req, res) =
   }
 });
 
+// =================================
+// RUTAS DE TABLAS DE PAGO (Admin)
+// =================================
+
+/**
+ * GET /api/keno/admin/payout-tables
+ * Todas las versiones de tablas de pago (activas, pendientes y retiradas)
+ */
+router.get('/admin/payout-tables', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const tables = await gameConfigService.listKenoPayoutTables();
+    const config = await gameConfigService.getKenoConfig();
+
+    res.json({
+      success: true,
+      data: {
+        tables: tables.map(row => ({
+          name: row.name,
+          version: row.version,
+          status: row.status,
+          rows: row.rows,
+          createdAt: row.created_at,
+          updatedAt: row.updated_at,
+          committedAt: row.committed_at
+        })),
+        defaultPayoutTable: config.defaultPayoutTable,
+        betAmounts: config.betAmounts
+      }
+    });
+  } catch (err) {
+    console.error('[Keno] Error listing payout tables:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener tablas de pago'
+    });
+  }
+});
+
+/**
+ * PUT /api/keno/admin/payout-tables/:name/rows/:spots
+ * Escribir una fila en la version pendiente (equivalente a updatePayoutRow)
+ *
+ * Body: { multipliers: [0, 0, 2, 27] }  (0..spots aciertos)
+ */
+router.put('/admin/payout-tables/:name/rows/:spots', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const { name } = req.params;
+    const spots = parseInt(req.params.spots);
+    const { multipliers } = req.body;
+
+    const pending = await gameConfigService.updateKenoPayoutRow(name, spots, multipliers);
+
+    res.json({
+      success: true,
+      data: {
+        name: pending.name,
+        version: pending.version,
+        status: pending.status,
+        rows: pending.rows
+      }
+    });
+  } catch (err) {
+    console.error('[Keno] Error updating payout row:', err);
+    res.status(400).json({
+      success: false,
+      message: err.message || 'Error al actualizar fila de pagos'
+    });
+  }
+});
+
+/**
+ * POST /api/keno/admin/payout-tables/:name/commit
+ * Activar la version pendiente (equivalente a commitPayoutUpdate)
+ */
+router.post('/admin/payout-tables/:name/commit', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const result = await gameConfigService.commitKenoPayoutUpdate(req.params.name);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (err) {
+    console.error('[Keno] Error committing payout table:', err);
+    res.status(400).json({
+      success: false,
+      message: err.message || 'Error al activar tabla de pagos'
+    });
+  }
+});
+
+/**
+ * PUT /api/keno/admin/bet-config
+ * Configurar denominaciones permitidas y tabla por defecto
+ *
+ * Body: { betAmounts?: [1, 2, 5], defaultPayoutTable?: 'classic' }
+ */
+router.put('/admin/bet-config', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const { betAmounts, defaultPayoutTable } = req.body;
+
+    if (betAmounts === undefined && defaultPayoutTable === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'betAmounts o defaultPayoutTable requerido'
+      });
+    }
+
+    if (betAmounts !== undefined) {
+      const valid = Array.isArray(betAmounts) && betAmounts.length > 0 &&
+        betAmounts.every(a => typeof a === 'number' && Number.isFinite(a) && a > 0);
+      if (!valid) {
+        return res.status(400).json({
+          success: false,
+          message: 'betAmounts debe ser un array de numeros > 0'
+        });
+      }
+      await gameConfigService.setConfigValue('keno_bet_amounts', betAmounts, 'json');
+    }
+
+    if (defaultPayoutTable !== undefined) {
+      const table = await kenoService.resolvePayoutTable(defaultPayoutTable);
+      if (!table) {
+        return res.status(400).json({
+          success: false,
+          message: `Tabla '${defaultPayoutTable}' no tiene version activa`
+        });
+      }
+      await gameConfigService.setConfigValue('keno_default_payout_table', defaultPayoutTable, 'string');
+    }
+
+    const config = await gameConfigService.getKenoConfig();
+
+    res.json({
+      success: true,
+      data: {
+        betAmounts: config.betAmounts,
+        defaultPayoutTable: config.defaultPayoutTable
+      }
+    });
+  } catch (err) {
+    console.error('[Keno] Error updating bet config:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Error al actualizar configuracion de apuestas'
+    });
+  }
+});
+
+/**
+ * POST /api/keno/admin/simulate
+ * RTP exacto (hipergeometrico) + Monte Carlo opcional con fee y cap
+ *
+ * Body: {
+ *   payoutTable?: 'classic', version?: 2,   // tabla guardada (default: tabla por defecto)
+ *   rows?: { 1: [0, 3], ... }, scale?: 100,  // o filas sin guardar (scale 100 = formato contrato)
+ *   monteCarlo?: { rounds, spots?, betAmount?, poolBalance?, seed? }
+ * }
+ */
+router.post('/admin/simulate', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const { payoutTable, version, rows, scale, monteCarlo } = req.body;
+    const config = await gameConfigService.getKenoConfig();
+
+    let tableRows = rows;
+    let tableInfo = { name: null, version: null };
+    if (!tableRows) {
+      const name = payoutTable || config.defaultPayoutTable;
+      const table = await kenoService.resolvePayoutTable(name, version ?? null);
+      if (!table) {
+        return res.status(404).json({
+          success: false,
+          message: `Tabla '${name}' no encontrada`
+        });
+      }
+      tableRows = table.rows;
+      tableInfo = { name: table.name, version: table.version };
+    }
+
+    let mcOptions = null;
+    if (monteCarlo) {
+      const rounds = parseInt(monteCarlo.rounds);
+      const spotsCount = monteCarlo.spots ? 1 : Object.keys(tableRows).length;
+      if (!Number.isInteger(rounds) || rounds < 1 || rounds * spotsCount > kenoSimulatorService.MAX_API_ROUNDS) {
+        return res.status(400).json({
+          success: false,
+          message: `rounds invalido (max ${kenoSimulatorService.MAX_API_ROUNDS} en total; usa scripts/simulate-keno-rtp.js para mas)`
+        });
+      }
+      mcOptions = {
+        rounds,
+        spots: monteCarlo.spots,
+        betAmount: monteCarlo.betAmount ? parseFloat(monteCarlo.betAmount) : config.betAmount,
+        poolBalance: monteCarlo.poolBalance !== undefined ? parseFloat(monteCarlo.poolBalance) : config.poolBalance,
+        maxPayoutRatio: config.maxPayoutRatio,
+        absoluteMaxPayout: config.absoluteMaxPayout,
+        seed: typeof monteCarlo.seed === 'string' ? monteCarlo.seed : undefined
+      };
+    }
+
+    const result = kenoSimulatorService.simulateTable(tableRows, {
+      feeBps: config.feeBps,
+      scale: scale ? parseFloat(scale) : 1,
+      monteCarlo: mcOptions
+    });
+
+    res.json({
+      success: true,
+      data: {
+        table: tableInfo,
+        feeBps: config.feeBps,
+        ...result
+      }
+    });
+  } catch (err) {
+    console.error('[Keno] Error simulating payout table:', err);
+    res.status(400).json({
+      success: false,
+      message: err.message || 'Error al simular tabla de pagos'
+    });
+  }
+});
+
 // =================================
 // RUTAS DE VRF (Public + Admin)
 // =================================
 
+/**
+ * GET /api/keno/seed-chain
+ * Cadena de seeds activa (anchorHash publicado) + cadenas ya reveladas
+ */
+router.get('/seed-chain', requireFlag('game_keno'), authenticateWallet, async (req, res) => {
+  try {
+    const chains = await kenoVrfService.getSeedChains(req.user.address);
+    res.json({
+      success: true,
+      data: chains
+    });
+  } catch (err) {
+    console.error('[Keno] Error getting seed chains:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener cadena de seeds'
+    });
+  }
+});
+
+/**
+ * POST /api/keno/seed-chain/rotate
+ * Revelar la cadena activa (terminalSeed) y publicar una nueva
+ */
+router.post('/seed-chain/rotate', requireFlag('game_keno'), authenticateWallet, commitLimiter, async (req, res) => {
+  try {
+    const enabled = await gameConfigService.getConfigValue('keno_seed_chain_enabled', false);
+    if (!enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cadena de seeds no esta habilitada'
+      });
+    }
+
+    const result = await kenoVrfService.rotateSeedChain(req.user.address);
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (err) {
+    console.error('[Keno] Error rotating seed chain:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Error al rotar cadena de seeds'
+    });
+  }
+});
+
+/**
+ * GET /api/keno/verify/session/:sessionId
+ * Verificar todos los juegos de una sesion (solo el dueno)
+ */
+router.get('/verify/session/:sessionId', authenticateWallet, async (req, res) => {
+  try {
+    const sessionId = parseInt(req.params.sessionId);
+    if (!Number.isInteger(sessionId) || sessionId <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'ID de sesion invalido'
+      });
+    }
+
+    const verification = await kenoVrfService.getSessionVerification(sessionId, req.user.address);
+    if (!verification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sesion no encontrada'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: verification
+    });
+  } catch (err) {
+    console.error('[Keno] Error verifying session:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Error al verificar sesion'
+    });
+  }
+});
+
+/**
+ * GET /api/keno/verify/session/:sessionId/bundle
+ * Descargar paquete de prueba JSON (verificable con scripts/verify-keno-bundle.js)
+ */
+router.get('/verify/session/:sessionId/bundle', authenticateWallet, async (req, res) => {
+  try {
+    const sessionId = parseInt(req.params.sessionId);
+    if (!Number.isInteger(sessionId) || sessionId <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'ID de sesion invalido'
+      });
+    }
+
+    const bundle = await kenoVrfService.buildSessionProofBundle(sessionId, req.user.address);
+    if (!bundle) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sesion no encontrada'
+      });
+    }
+
+    res.setHeader('Content-Disposition', `attachment; filename="keno-session-${sessionId}-proof.json"`);
+    res.json(bundle);
+  } catch (err) {
+    console.error('[Keno] Error building proof bundle:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Error al generar paquete de prueba'
+    });
+  }
+});
+
 /**
  * GET /api/keno/verify/:gameId
  * Verificar un juego (Provably Fair)
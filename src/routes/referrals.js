@@ -1,12 +1,49 @@
+const crypto = require('crypto');
 const express = require('express');
 const router = express.Router();
 const { authenticateWallet } = require('../middleware/web3Auth');
 const referralAdminService = require('../services/referralAdminService');
+const referralPlanService = require('../services/referralPlanService');
+const referralClaimService = require('../services/referralClaimService');
+const referralCampaignService = require('../services/referralCampaignService');
 const { query } = require('../config/database');
 
-const COMMISSION_RATE = referralAdminService.COMMISSION_RATE; // 0.03
+// Tasa (0.035) a porcentaje (3.5)
+const toPercent = rate => Math.round(rate * 10000) / 100;
 
-// Todas las rutas requieren autenticacion de wallet
+/**
+ * POST /api/referrals/visit
+ * Body: { code, visitor_id, landing_page }
+ * Registra la visita de un enlace de referido antes de conectar la wallet.
+ * Publica: sin visitor_id se usa un hash de IP + user agent.
+ */
+router.post('/visit', async (req, res) => {
+    try {
+        const { code, visitor_id, landing_page } = req.body || {};
+        const visitorId = visitor_id || crypto
+            .createHash('sha256')
+            .update(`${req.ip}|${req.get('user-agent') || ''}`)
+            .digest('hex')
+            .slice(0, 32);
+
+        const result = await referralCampaignService.trackVisit({
+            code,
+            visitorId,
+            landingPage: landing_page,
+            source: req.get('referer') || null
+        });
+
+        res.json({ success: true, data: result });
+    } catch (error) {
+        if (error.message === 'visitor_id invalido') {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+        console.error('Error tracking referral visit:', error);
+        res.status(500).json({ success: false, message: 'Error al registrar la visita' });
+    }
+});
+
+// El resto de rutas requieren autenticacion de wallet
 router.use(authenticateWallet);
 
 /**
@@ -46,6 +83,13 @@ router.get('/my-info', async (req, res) => {
 
         const stats = statsResult.rows[0];
 
+        // Plan con el que cobra este referidor
+        const plan = await referralPlanService.getPlanForReferrer(wallet);
+        const gamePercents = {};
+        for (const game of referralPlanService.GAMES) {
+            gamePercents[game] = toPercent(referralPlanService.resolveRate(plan, game));
+        }
+
         res.json({
             success: true,
             data: {
@@ -56,9 +100,16 @@ router.get('/my-info', async (req, res) => {
                 pendingEarnings: parseFloat(stats.pending_earnings).toFixed(2),
                 referredList: referralsResult.rows.map(r => r.referred_wallet),
                 config: {
-                    bonusPercent: COMMISSION_RATE * 100,
-                    welcomeEnabled: false,
-                    welcomeBonus: 0,
+                    bonusPercent: toPercent(plan.default_rate),
+                    gamePercents,
+                    secondLevelPercent: toPercent(plan.second_level_rate),
+                    basis: plan.basis,
+                    tiers: plan.tiers.map(tier => ({
+                        minVolume: tier.min_volume,
+                        bonusPercent: toPercent(tier.bonus_rate)
+                    })),
+                    welcomeEnabled: plan.welcome_bonus > 0,
+                    welcomeBonus: plan.welcome_bonus,
                     systemEnabled: true
                 }
             }
@@ -79,8 +130,9 @@ router.post('/register', async (req, res) => {
         const wallet = req.user.address.toLowerCase();
         const { code } = req.body;
 
-        if (!code || typeof code !== 'string' || code.trim().length !== 6) {
-            return res.status(400).json({ success: false, message: 'Codigo de 6 caracteres requerido' });
+        // 6 caracteres: codigo directo; 8: codigo de campana
+        if (!code || typeof code !== 'string' || ![6, 8].includes(code.trim().length)) {
+            return res.status(400).json({ success: false, message: 'Codigo de 6 u 8 caracteres requerido' });
         }
 
         // Verificar que no tiene referidor ya
@@ -97,7 +149,9 @@ router.post('/register', async (req, res) => {
         res.json({
             success: true,
             data: referral,
-            message: 'Referido registrado correctamente'
+            message: referral.welcome_bonus_amount
+                ? `Referido registrado correctamente. Bono de bienvenida de ${referral.welcome_bonus_amount} USDT tras tu primer deposito o apuesta`
+                : 'Referido registrado correctamente'
         });
     } catch (error) {
         console.error('Error registering referral:', error);
@@ -105,4 +159,140 @@ router.post('/register', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/referrals/campaigns
+ * Campanas propias con embudo de conversion e ingresos
+ */
+router.get('/campaigns', async (req, res) => {
+    try {
+        const wallet = req.user.address.toLowerCase();
+        const result = await referralCampaignService.getFunnel({ referrerWallet: wallet });
+
+        res.json({ success: true, data: result });
+    } catch (error) {
+        console.error('Error getting referral campaigns:', error);
+        res.status(500).json({ success: false, message: 'Error al obtener campanas' });
+    }
+});
+
+/**
+ * POST /api/referrals/campaigns
+ * Body: { name: "twitter" }
+ * Crea una campana con su propio codigo
+ */
+router.post('/campaigns', async (req, res) => {
+    try {
+        const wallet = req.user.address.toLowerCase();
+        const campaign = await referralCampaignService.createCampaign(wallet, (req.body || {}).name);
+
+        res.status(201).json({ success: true, data: campaign, message: 'Campana creada' });
+    } catch (error) {
+        console.error('Error creating referral campaign:', error);
+        res.status(400).json({ success: false, message: error.message || 'Error al crear campana' });
+    }
+});
+
+/**
+ * PUT /api/referrals/campaigns/:id
+ * Body: { is_active: false }
+ * Pausa o reactiva una campana propia
+ */
+router.put('/campaigns/:id', async (req, res) => {
+    try {
+        const campaignId = parseInt(req.params.id);
+        const { is_active } = req.body || {};
+        if (!Number.isInteger(campaignId) || typeof is_active !== 'boolean') {
+            return res.status(400).json({ success: false, message: 'ID de campana e is_active (boolean) requeridos' });
+        }
+
+        const campaign = await referralCampaignService.setCampaignActive(req.user.address, campaignId, is_active);
+
+        res.json({ success: true, data: campaign });
+    } catch (error) {
+        if (error.message === 'Campana no encontrada') {
+            return res.status(404).json({ success: false, message: error.message });
+        }
+        console.error('Error updating referral campaign:', error);
+        res.status(500).json({ success: false, message: 'Error al actualizar campana' });
+    }
+});
+
+/**
+ * GET /api/referrals/claims
+ * Comisiones pendientes de cobro e historial de cobros
+ */
+router.get('/claims', async (req, res) => {
+    try {
+        const wallet = req.user.address.toLowerCase();
+
+        const [claimable, claims] = await Promise.all([
+            referralClaimService.getClaimable(wallet),
+            referralClaimService.listClaims(wallet, { limit: req.query.limit })
+        ]);
+
+        res.json({
+            success: true,
+            data: { ...claimable, claims }
+        });
+    } catch (error) {
+        console.error('Error getting referral claims:', error);
+        res.status(500).json({ success: false, message: 'Error al obtener cobros de comisiones' });
+    }
+});
+
+/**
+ * POST /api/referrals/claims
+ * Body: { method: "balance" | "withdrawal" }
+ * Cobra todas las comisiones pendientes del usuario actual
+ */
+router.post('/claims', async (req, res) => {
+    try {
+        const wallet = req.user.address.toLowerCase();
+        const { method = 'balance' } = req.body || {};
+
+        const claim = await referralClaimService.claimCommissions(wallet, { method });
+
+        let message = `${claim.amount} USDT acreditados a tu balance`;
+        if (claim.withdrawal) {
+            message = claim.withdrawal.requires_approval
+                ? `Retiro de ${claim.amount} USDT enviado para aprobacion`
+                : `Retiro de ${claim.amount} USDT solicitado`;
+        } else if (claim.withdrawal_error) {
+            message = `${claim.amount} USDT acreditados a tu balance; el retiro fallo: ${claim.withdrawal_error}`;
+        }
+
+        res.json({
+            success: true,
+            data: claim,
+            message
+        });
+    } catch (error) {
+        console.error('Error claiming referral commissions:', error);
+        res.status(400).json({ success: false, message: error.message || 'Error al cobrar comisiones' });
+    }
+});
+
+/**
+ * GET /api/referrals/claims/:id
+ * Detalle de un cobro con las comisiones que cubre
+ */
+router.get('/claims/:id', async (req, res) => {
+    try {
+        const claimId = parseInt(req.params.id);
+        if (!Number.isInteger(claimId)) {
+            return res.status(400).json({ success: false, message: 'ID de cobro invalido' });
+        }
+
+        const claim = await referralClaimService.getClaim(claimId, req.user.address);
+
+        res.json({ success: true, data: claim });
+    } catch (error) {
+        if (error.message === 'Cobro no encontrado') {
+            return res.status(404).json({ success: false, message: error.message });
+        }
+        console.error('Error getting referral claim:', error);
+        res.status(500).json({ success: false, message: 'Error al obtener el cobro' });
+    }
+});
+
 module.exports = router;
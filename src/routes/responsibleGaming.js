@@ -0,0 +1,144 @@
+/**
+ * Responsible Gaming Routes
+ *
+ * Controles de juego responsable del propio jugador (todos los juegos).
+ *
+ * GET  /api/responsible-gaming                - Limites, consumo del periodo y exclusiones
+ * PUT  /api/responsible-gaming/limits         - Fijar/cambiar/quitar un limite
+ * POST /api/responsible-gaming/cooling-off    - Pausa de 24 h a 6 semanas
+ * POST /api/responsible-gaming/self-exclusion - Autoexclusion de 6 a 60 meses o permanente
+ * GET  /api/responsible-gaming/history        - Historial de cambios
+ * GET  /api/responsible-gaming/session        - Sesion de juego en curso y aviso pendiente
+ * PUT  /api/responsible-gaming/reality-check  - Intervalo del aviso de sesion
+ * POST /api/responsible-gaming/reality-check/acknowledge - Confirmar el aviso o cerrar la sesion
+ */
+
+const express = require('express');
+const router = express.Router();
+const { authenticateWallet } = require('../middleware/web3Auth');
+const responsibleGamingService = require('../services/responsibleGamingService');
+const playSessionService = require('../services/playSessionService');
+
+// Todas las rutas requieren autenticacion de wallet
+router.use(authenticateWallet);
+
+function sendError(res, error, context) {
+  if (/invalido|debe ser|No hay un/.test(error.message)) {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  console.error(`[ResponsibleGaming] ${context} error:`, error);
+  res.status(500).json({ success: false, message: 'Error de juego responsable' });
+}
+
+/**
+ * GET /api/responsible-gaming
+ */
+router.get('/', async (req, res) => {
+  try {
+    const settings = await responsibleGamingService.getSettings(req.user.address);
+    res.json({ success: true, data: settings });
+  } catch (error) {
+    sendError(res, error, 'Settings');
+  }
+});
+
+/**
+ * PUT /api/responsible-gaming/limits
+ * Body: { type: 'deposit'|'wager'|'loss', period: 'daily'|'weekly'|'monthly', amount }
+ * amount null/0 quita el limite. Bajar aplica al instante; subir o quitar
+ * queda pendiente hasta que pase el periodo de espera.
+ */
+router.put('/limits', async (req, res) => {
+  try {
+    const { type, period, amount } = req.body;
+    const result = await responsibleGamingService.setLimit(req.user.address, { type, period, amount });
+    res.json({ success: true, data: result });
+  } catch (error) {
+    sendError(res, error, 'Set limit');
+  }
+});
+
+/**
+ * POST /api/responsible-gaming/cooling-off
+ * Body: { hours }
+ */
+router.post('/cooling-off', async (req, res) => {
+  try {
+    const settings = await responsibleGamingService.startCoolingOff(req.user.address, req.body.hours);
+    res.json({ success: true, data: settings });
+  } catch (error) {
+    sendError(res, error, 'Cooling-off');
+  }
+});
+
+/**
+ * POST /api/responsible-gaming/self-exclusion
+ * Body: { months } o { permanent: true }. No se puede revertir.
+ */
+router.post('/self-exclusion', async (req, res) => {
+  try {
+    const settings = await responsibleGamingService.selfExclude(req.user.address, {
+      months: req.body.months,
+      permanent: req.body.permanent
+    });
+    res.json({ success: true, data: settings });
+  } catch (error) {
+    sendError(res, error, 'Self-exclusion');
+  }
+});
+
+/**
+ * GET /api/responsible-gaming/history
+ * Query: limit (max 200)
+ */
+router.get('/history', async (req, res) => {
+  try {
+    const history = await responsibleGamingService.getLog(req.user.address, req.query.limit);
+    res.json({ success: true, data: history });
+  } catch (error) {
+    sendError(res, error, 'History');
+  }
+});
+
+/**
+ * GET /api/responsible-gaming/session
+ * Tiempo jugado y resultado neto de la sesion (todos los juegos)
+ */
+router.get('/session', async (req, res) => {
+  try {
+    const session = await playSessionService.getSession(req.user.address);
+    res.json({ success: true, data: session });
+  } catch (error) {
+    sendError(res, error, 'Session');
+  }
+});
+
+/**
+ * PUT /api/responsible-gaming/reality-check
+ * Body: { intervalMinutes } (10 a 240)
+ */
+router.put('/reality-check', async (req, res) => {
+  try {
+    const session = await playSessionService.setRealityCheckInterval(req.user.address, req.body.intervalMinutes);
+    res.json({ success: true, data: session });
+  } catch (error) {
+    sendError(res, error, 'Reality check interval');
+  }
+});
+
+/**
+ * POST /api/responsible-gaming/reality-check/acknowledge
+ * Body: { endSession? } - true cierra la sesion en vez de seguir jugando
+ */
+router.post('/reality-check/acknowledge', async (req, res) => {
+  try {
+    const session = await playSessionService.acknowledgeRealityCheck(req.user.address, {
+      endSession: req.body.endSession === true
+    });
+    res.json({ success: true, data: session });
+  } catch (error) {
+    sendError(res, error, 'Reality check acknowledge');
+  }
+});
+
+module.exports = router;
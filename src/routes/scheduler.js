@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const scheduler = require('../scheduler');
 const AuditLog = require('../models/AuditLog');
+const DrawStateMachine = require('../workers/drawStateMachine');
 const { requireAdmin } = require('../middleware/adminAuth');
 
 // =================================
@@ -111,16 +112,28 @@ router.get('/audit-logs', requireAdmin, async (req, res) => {
 
 /**
  * GET /api/audit-logs/draw/:drawId
- * Obtener logs de un sorteo específico
+ * Obtener logs y ciclo de vida de un sorteo (?game=bingo para una ronda de Bingo)
  */
 router.get('/audit-logs/draw/:drawId', requireAdmin, async (req, res) => {
     try {
-        const { drawId } = req.params;
-        const logs = await AuditLog.findByEntity('draw', drawId);
+        const drawId = parseInt(req.params.drawId);
+        if (!Number.isInteger(drawId) || drawId < 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'ID de sorteo invalido'
+            });
+        }
+
+        const entityType = req.query.game === 'bingo' ? 'bingo_round' : 'draw';
+        const [logs, lifecycle] = await Promise.all([
+            AuditLog.findByEntity(entityType, String(drawId)),
+            DrawStateMachine.getLifecycle(entityType, drawId)
+        ]);
 
         res.json({
             success: true,
-            data: logs
+            data: logs,
+            lifecycle
         });
     } catch (error) {
         res.status(500).json({
@@ -0,0 +1,90 @@
+/**
+ * Stream Routes
+ *
+ * Server-Sent Events con los cambios de estado en tiempo real:
+ *   GET /api/stream?channels=bingo:1,bolita
+ *
+ * Canales: bingo:1..bingo:4 (ronda abierta/cerrada, bolas, linea, bingo),
+ * bolita (transiciones de estado de los sorteos) y keno (resultados).
+ * Al reconectar, el navegador envia Last-Event-ID y se reenvian los eventos
+ * perdidos; si ya no estan en el buffer se envia 'reset' para recargar por REST.
+ */
+
+const express = require('express');
+const router = express.Router();
+const realtimeService = require('../services/realtimeService');
+
+const HEARTBEAT_MS = 25 * 1000;
+const MAX_CONNECTIONS = parseInt(process.env.STREAM_MAX_CONNECTIONS) || 2000;
+
+function writeEvent(res, event) {
+  res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify({
+    channel: event.channel,
+    ...event.data,
+    timestamp: event.timestamp
+  })}\n\n`);
+}
+
+/**
+ * GET /api/stream
+ * Query: channels (lista separada por comas, por defecto todos), lastEventId
+ */
+router.get('/', (req, res) => {
+  const channels = req.query.channels
+    ? [...new Set(String(req.query.channels).split(',').map(c => c.trim()).filter(Boolean))]
+    : realtimeService.CHANNELS;
+
+  const invalid = channels.filter(c => !realtimeService.isValidChannel(c));
+  if (channels.length === 0 || invalid.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: `Canales invalidos: ${invalid.join(', ') || '(vacio)'}. Validos: ${realtimeService.CHANNELS.join(', ')}`
+    });
+  }
+
+  if (realtimeService.getSubscriberCount() >= MAX_CONNECTIONS) {
+    return res.status(503).json({ success: false, message: 'Demasiadas conexiones, reintenta en unos segundos' });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write('retry: 3000\n\n');
+
+  // Suscribir antes de reenviar para no perder eventos entre medias
+  const pending = [];
+  let replaying = true;
+  let lastSentId = 0;
+  const send = (event) => {
+    if (event.id <= lastSentId) return;
+    lastSentId = event.id;
+    writeEvent(res, event);
+  };
+  const unsubscribe = realtimeService.subscribe(channels, (event) => {
+    if (replaying) pending.push(event);
+    else send(event);
+  });
+
+  const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+  if (lastEventId !== undefined) {
+    const { reset, events } = realtimeService.getEventsSince(lastEventId, channels);
+    if (reset) {
+      res.write(`event: reset\ndata: ${JSON.stringify({ channels })}\n\n`);
+    }
+    events.forEach(send);
+  }
+  pending.forEach(send);
+  replaying = false;
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+module.exports = router;
@@ -2,12 +2,16 @@ const drawScheduler = require('./drawScheduler');
 const drawCloser = require('./drawCloser');
 const vrfRequester = require('./vrfRequester');
 const dataCleanupScheduler = require('./dataCleanup');
+const ledgerReconciliationScheduler = require('./ledgerReconciliation');
+const referralFraudScanScheduler = require('./referralFraudScan');
 const { SCHEDULER_CONFIG, AUDIT_ACTIONS } = require('../config/constants');
 const AuditLog = require('../models/AuditLog');
 const kenoSessionService = require('../services/kenoSessionService');
+const kenoSettlementService = require('../services/kenoSettlementService');
 const gameConfigService = require('../services/gameConfigService');
 const kenoPoolHealthService = require('../services/kenoPoolHealthService');
 const kenoVrfRequester = require('./kenoVrfRequester');
+const withdrawalService = require('../services/withdrawalService');
 
 // =================================
 // SCHEDULER PRINCIPAL
@@ -49,6 +53,12 @@ class Scheduler {
         // Iniciar scheduler de limpieza de datos
         dataCleanupScheduler.start();
 
+        // Balance de comprobacion nocturno del diario
+        ledgerReconciliationScheduler.start();
+
+        // Puntuacion antifraude de referidos
+        referralFraudScanScheduler.start();
+
         console.log(`Scheduler iniciado. Verificaciones cada ${SCHEDULER_CONFIG.CHECK_INTERVAL_MS / 1000}s`);
     }
 
@@ -68,6 +78,8 @@ class Scheduler {
 
         // Detener scheduler de limpieza
         dataCleanupScheduler.stop();
+        ledgerReconciliationScheduler.stop();
+        referralFraudScanScheduler.stop();
 
         this.isRunning = false;
 
@@ -108,6 +120,12 @@ class Scheduler {
             // 9. Ejecutar tareas VRF de Keno (batches)
             await this.runKenoVrfTasks();
 
+            // 10. Procesar cola de liquidaciones on-chain y reconciliar con eventos
+            await this.processKenoSettlements();
+
+            // 11. Cerrar retiros cuya transferencia on-chain quedo pendiente
+            await this.resolvePendingWithdrawals();
+
         } catch (error) {
             console.error('Error en verificaciones del scheduler:', error);
             await AuditLog.logError(AUDIT_ACTIONS.SYSTEM_ERROR, error, {
@@ -242,6 +260,56 @@ class Scheduler {
         }
     }
 
+    /**
+     * Procesar cola de liquidaciones de Keno y reconciliar con el indexer
+     */
+    async processKenoSettlements() {
+        try {
+            const queue = await kenoSettlementService.processSettlementQueue();
+            const reconcile = await kenoSettlementService.reconcileSettlements();
+
+            if (queue.failed > 0) {
+                await AuditLog.logSystemAction(AUDIT_ACTIONS.KENO_SETTLEMENT_FAILED, {
+                    failed: queue.failed,
+                    processed: queue.processed
+                });
+            }
+
+            if (reconcile.mismatched > 0 || reconcile.missingEvents > 0) {
+                await AuditLog.logSystemAction(AUDIT_ACTIONS.KENO_SETTLEMENT_MISMATCH, reconcile);
+            }
+
+            return { queue, reconcile };
+        } catch (error) {
+            console.error('[Scheduler] Error processing Keno settlements:', error);
+            await AuditLog.logError(AUDIT_ACTIONS.SYSTEM_ERROR, error, {
+                component: 'scheduler',
+                action: 'processKenoSettlements'
+            });
+            return { error: error.message };
+        }
+    }
+
+    /**
+     * Resolver retiros en 'processing' segun su transaccion del operador
+     */
+    async resolvePendingWithdrawals() {
+        try {
+            const resolved = await withdrawalService.resolvePendingWithdrawals();
+            if (resolved.completed > 0 || resolved.failed > 0) {
+                console.log(`[Scheduler] Withdrawals resolved: ${resolved.completed} completed, ${resolved.failed} failed`);
+            }
+            return resolved;
+        } catch (error) {
+            console.error('[Scheduler] Error resolving pending withdrawals:', error);
+            await AuditLog.logError(AUDIT_ACTIONS.SYSTEM_ERROR, error, {
+                component: 'scheduler',
+                action: 'resolvePendingWithdrawals'
+            });
+            return { error: error.message };
+        }
+    }
+
     /**
      * Verificar si está corriendo
      */
@@ -250,7 +318,8 @@ class Scheduler {
             isRunning: this.isRunning,
             intervalCount: this.intervals.length,
             checkIntervalMs: SCHEDULER_CONFIG.CHECK_INTERVAL_MS,
-            dataCleanup: dataCleanupScheduler.getStatus()
+            dataCleanup: dataCleanupScheduler.getStatus(),
+            ledgerReconciliation: ledgerReconciliationScheduler.getStatus()
         };
     }
 }
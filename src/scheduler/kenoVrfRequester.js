@@ -15,6 +15,7 @@
 
 const kenoVrfService = require('../services/kenoVrfService');
 const gameConfigService = require('../services/gameConfigService');
+const prometheusService = require('../services/prometheusService');
 const pool = require('../db');
 
 /**
@@ -224,6 +225,7 @@ async function runVrfTasks() {
     vrfVerification: null,
     cleanup: null
   };
+  const endTimer = prometheusService.startTimer('keno_vrf');
 
   try {
     // 1. Crear batch de juegos pendientes
@@ -246,6 +248,7 @@ async function runVrfTasks() {
     results.error = error.message;
   }
 
+  endTimer(results.error ? 'error' : 'ok');
   return results;
 }
 
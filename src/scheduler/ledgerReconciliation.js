@@ -0,0 +1,122 @@
+const ledgerService = require('../services/ledgerService');
+const AuditLog = require('../models/AuditLog');
+const { AUDIT_ACTIONS } = require('../config/constants');
+
+// =================================
+// LEDGER RECONCILIATION SCHEDULER
+// Balance de comprobacion nocturno del diario contra
+// users.balance, bankroll_status, pools y availablePool() on-chain
+// Programado: todos los dias a LEDGER_RECONCILIATION_HOUR (4:00 AM por defecto)
+// =================================
+
+const RECONCILIATION_HOUR = parseInt(process.env.LEDGER_RECONCILIATION_HOUR) || 4;
+const CHECK_INTERVAL = 60 * 60 * 1000; // Verificar cada hora
+
+class LedgerReconciliationScheduler {
+    constructor() {
+        this.interval = null;
+        this.isRunning = false;
+        this.lastRun = null;
+        this.lastResult = null;
+    }
+
+    /**
+     * Iniciar el scheduler
+     */
+    start() {
+        if (this.interval) {
+            console.log('[LedgerReconciliation] Ya esta corriendo');
+            return;
+        }
+
+        console.log(`[LedgerReconciliation] Programado para: todos los dias a las ${RECONCILIATION_HOUR}:00`);
+
+        this.checkAndRun();
+
+        this.interval = setInterval(() => {
+            this.checkAndRun();
+        }, CHECK_INTERVAL);
+    }
+
+    /**
+     * Detener el scheduler
+     */
+    stop() {
+        if (this.interval) {
+            clearInterval(this.interval);
+            this.interval = null;
+            console.log('[LedgerReconciliation] Scheduler detenido');
+        }
+    }
+
+    /**
+     * Ejecutar si es la hora programada y no se ejecuto hoy
+     */
+    async checkAndRun() {
+        const now = new Date();
+        if (now.getHours() !== RECONCILIATION_HOUR) {
+            return;
+        }
+
+        if (this.lastRun && (now - this.lastRun) / (1000 * 60 * 60) < 23) {
+            return;
+        }
+
+        await this.runCheck();
+    }
+
+    /**
+     * Ejecutar el balance de comprobacion
+     */
+    async runCheck() {
+        if (this.isRunning) {
+            return this.lastResult;
+        }
+
+        this.isRunning = true;
+        this.lastRun = new Date();
+
+        try {
+            const result = await ledgerService.runTrialBalanceCheck();
+            this.lastResult = { id: result.id, status: result.status, driftCount: result.driftCount };
+
+            if (result.status !== 'ok') {
+                await AuditLog.logSystemAction(AUDIT_ACTIONS.LEDGER_DRIFT, {
+                    reconciliationId: result.id,
+                    driftCount: result.driftCount,
+                    failed: result.checks.filter(check => !check.ok).map(check => check.name)
+                });
+            }
+
+            return result;
+        } catch (error) {
+            console.error('[LedgerReconciliation] Error en balance de comprobacion:', error);
+
+            await AuditLog.logError(AUDIT_ACTIONS.SYSTEM_ERROR, error, {
+                component: 'LedgerReconciliationScheduler',
+                action: 'runCheck'
+            });
+            return null;
+        } finally {
+            this.isRunning = false;
+        }
+    }
+
+    /**
+     * Obtener estado del scheduler
+     */
+    getStatus() {
+        return {
+            isActive: !!this.interval,
+            isRunning: this.isRunning,
+            lastRun: this.lastRun,
+            lastResult: this.lastResult,
+            schedule: `Todos los dias a las ${RECONCILIATION_HOUR}:00`
+        };
+    }
+}
+
+// Singleton
+const ledgerReconciliationScheduler = new LedgerReconciliationScheduler();
+
+module.exports = ledgerReconciliationScheduler;
@@ -0,0 +1,104 @@
+const referralFraudService = require('../services/referralFraudService');
+const referralAdminService = require('../services/referralAdminService');
+const AuditLog = require('../models/AuditLog');
+const { AUDIT_ACTIONS } = require('../config/constants');
+
+// =================================
+// REFERRAL FRAUD SCAN SCHEDULER
+// Vuelve a puntuar los referidos con apuestas nuevas (o sin revisar en un
+// dia), marca los pares que llegan al umbral de retencion y despues paga
+// los bonos de bienvenida de los referidos que quedaron limpios
+// Programado: cada REFERRAL_FRAUD_SCAN_MINUTES (30 por defecto)
+// =================================
+
+const SCAN_MINUTES = parseInt(process.env.REFERRAL_FRAUD_SCAN_MINUTES) || 30;
+const SCAN_BATCH = 100;
+
+class ReferralFraudScanScheduler {
+    constructor() {
+        this.interval = null;
+        this.isRunning = false;
+        this.lastRun = null;
+        this.lastResult = null;
+    }
+
+    /**
+     * Iniciar el scheduler
+     */
+    start() {
+        if (this.interval) {
+            console.log('[ReferralFraudScan] Ya esta corriendo');
+            return;
+        }
+
+        console.log(`[ReferralFraudScan] Programado cada ${SCAN_MINUTES} minutos`);
+
+        this.interval = setInterval(() => {
+            this.runScan();
+        }, SCAN_MINUTES * 60 * 1000);
+    }
+
+    /**
+     * Detener el scheduler
+     */
+    stop() {
+        if (this.interval) {
+            clearInterval(this.interval);
+            this.interval = null;
+            console.log('[ReferralFraudScan] Scheduler detenido');
+        }
+    }
+
+    /**
+     * Puntuar un lote de referidos pendientes de revision y pagar los bonos
+     * de bienvenida que ya corresponden
+     */
+    async runScan() {
+        if (this.isRunning) {
+            return this.lastResult;
+        }
+
+        this.isRunning = true;
+        this.lastRun = new Date();
+
+        try {
+            const result = await referralFraudService.scanReferrals({ limit: SCAN_BATCH });
+            result.welcomeBonuses = await referralAdminService.payWelcomeBonuses({ limit: SCAN_BATCH });
+            this.lastResult = result;
+
+            if (result.flagged > 0) {
+                console.warn(`[ReferralFraudScan] ${result.flagged} par(es) marcados de ${result.scanned} puntuados`);
+            }
+
+            return result;
+        } catch (error) {
+            console.error('[ReferralFraudScan] Error puntuando referidos:', error);
+
+            await AuditLog.logError(AUDIT_ACTIONS.SYSTEM_ERROR, error, {
+                component: 'ReferralFraudScanScheduler',
+                action: 'runScan'
+            });
+            return null;
+        } finally {
+            this.isRunning = false;
+        }
+    }
+
+    /**
+     * Obtener estado del scheduler
+     */
+    getStatus() {
+        return {
+            isActive: !!this.interval,
+            isRunning: this.isRunning,
+            lastRun: this.lastRun,
+            lastResult: this.lastResult,
+            schedule: `Cada ${SCAN_MINUTES} minutos`
+        };
+    }
+}
+
+// Singleton
+const referralFraudScanScheduler = new ReferralFraudScanScheduler();
+
+module.exports = referralFraudScanScheduler;
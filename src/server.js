@@ -96,6 +96,17 @@ async function startServer() {
             console.log('Scheduler deshabilitado (ENABLE_SCHEDULER=false)');
         }
 
+        // Operator tx manager — retoma el seguimiento de las tx pendientes tras un reinicio
+        if (process.env.OPERATOR_PRIVATE_KEY) {
+            try {
+                const { txManager } = require('./chain/txManager');
+                txManager.start();
+                await txManager.checkPending();
+            } catch (error) {
+                console.error('[DEGRADED] Error iniciando TxManager (no fatal):', error.message);
+            }
+        }
+
         // La Bolita on-chain scheduler — creates/closes draws on the contract
         if (process.env.BOLITA_CONTRACT_ADDRESS) {
             try {
@@ -126,6 +137,15 @@ async function startServer() {
             }
         }
 
+        // Keno autoplay (off-chain) — reanudar autoplays en curso
+        if (!process.env.KENO_CONTRACT_ADDRESS) {
+            try {
+                await require('./services/kenoAutoplayService').resumeRunningAutoplays();
+            } catch (error) {
+                console.error('[DEGRADED] Error reanudando Keno autoplay (no fatal):', error.message);
+            }
+        }
+
         // Bingo on-chain event service + room scheduler (or off-chain scheduler)
         if (process.env.BINGO_CONTRACT_ADDRESS) {
             try {
@@ -152,7 +172,7 @@ async function startServer() {
         console.log('[DEGRADED] VRF y Scheduler omitidos (DB no disponible)');
     }
 
-    // Monitoring + Telegram alerts (non-fatal, runs regardless of DB status)
+    // Monitoring + alert channels (non-fatal, runs regardless of DB status)
     try {
         const monitoringService = require('./services/monitoringService');
         await monitoringService.start();
@@ -180,8 +200,11 @@ async function startServer() {
         }
         if (process.env.KENO_CONTRACT_ADDRESS) {
             try { require('./services/kenoIndexer').kenoIndexer.stop(); } catch (_) {}
+        } else {
+            try { require('./services/kenoAutoplayService').stopAll(); } catch (_) {}
         }
         try { require('./services/monitoringService').stop(); } catch (_) {}
+        try { require('./chain/txManager').txManager.stop(); } catch (_) {}
         if (process.env.BINGO_CONTRACT_ADDRESS) {
             try { require('./services/bingoEventService').bingoEventService.stop(); } catch (_) {}
             try { require('./services/bingoSchedulerOnChain').stop(); } catch (_) {}
@@ -0,0 +1,61 @@
+// Tests for alert delivery channels (HTTP mocked)
+jest.mock('axios', () => ({ post: jest.fn() }));
+
+const crypto = require('crypto');
+const axios = require('axios');
+const alertChannels = require('../alertChannels');
+
+const ALERT = { title: 'Keno Pool bajo', message: 'Balance: $100.00', severity: 'warning', ruleKey: 'keno_warning' };
+const ENV_KEYS = ['TELEGRAM_BOT_TOKEN', 'TELEGRAM_CHAT_ID', 'ALERT_WEBHOOK_URL', 'ALERT_WEBHOOK_SECRET',
+  'ALERT_SLACK_WEBHOOK_URL', 'ALERT_SMTP_HOST', 'ALERT_EMAIL_TO'];
+
+describe('alertChannels', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    ENV_KEYS.forEach(key => delete process.env[key]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    ENV_KEYS.forEach(key => delete process.env[key]);
+  });
+
+  it('only broadcasts to configured channels', async () => {
+    process.env.ALERT_SLACK_WEBHOOK_URL = 'https://hooks.slack.test/T1';
+    axios.post.mockResolvedValue({ status: 200 });
+
+    const results = await alertChannels.broadcast(ALERT);
+
+    expect(results).toEqual([{ channel: 'slack', ok: true }]);
+    expect(axios.post).toHaveBeenCalledWith(
+      'https://hooks.slack.test/T1',
+      { text: '⚠️ *Keno Pool bajo*\nBalance: $100.00' },
+      expect.any(Object)
+    );
+  });
+
+  it('signs webhook payloads when a secret is set', async () => {
+    process.env.ALERT_WEBHOOK_URL = 'https://ops.test/alerts';
+    process.env.ALERT_WEBHOOK_SECRET = 's3cret';
+    axios.post.mockResolvedValue({ status: 204 });
+
+    await alertChannels.sendToChannel('webhook', ALERT);
+
+    const [, body, options] = axios.post.mock.calls[0];
+    expect(JSON.parse(body)).toMatchObject({ source: 'bolcoin-backend', ruleKey: 'keno_warning' });
+    expect(options.headers['X-Alert-Signature'])
+      .toBe(crypto.createHmac('sha256', 's3cret').update(body).digest('hex'));
+  });
+
+  it('reports failures instead of throwing', async () => {
+    process.env.ALERT_WEBHOOK_URL = 'https://ops.test/alerts';
+    axios.post.mockRejectedValue(new Error('Request failed with status code 500'));
+
+    const result = await alertChannels.sendToChannel('webhook', ALERT);
+
+    expect(result).toEqual({ channel: 'webhook', ok: false, error: 'Request failed with status code 500' });
+    expect(await alertChannels.sendToChannel('email', ALERT))
+      .toEqual({ channel: 'email', ok: false, error: 'Canal no configurado' });
+  });
+});
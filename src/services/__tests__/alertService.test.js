@@ -0,0 +1,219 @@
+// Tests for the alert rule engine (DB, channels and game config mocked)
+jest.mock('../../db', () => ({ query: jest.fn() }));
+jest.mock('../alertChannels', () => ({
+  getChannels: jest.fn(() => [{ name: 'telegram', configured: true }, { name: 'email', configured: false }]),
+  broadcast: jest.fn().mockResolvedValue([{ channel: 'telegram', ok: true }]),
+  sendToChannel: jest.fn().mockResolvedValue({ channel: 'telegram', ok: true })
+}));
+jest.mock('../../db/indexerState', () => ({
+  loadFailedIndexerEvents: jest.fn()
+}));
+jest.mock('../gameConfigService', () => ({
+  getPoolBalance: jest.fn(),
+  getConfigValue: jest.fn()
+}));
+
+const pool = require('../../db');
+const alertChannels = require('../alertChannels');
+const gameConfigService = require('../gameConfigService');
+const { loadFailedIndexerEvents } = require('../../db/indexerState');
+const alertService = require('../alertService');
+
+const KENO_RULES = [
+  { id: 1, key: 'keno_depleted', metric: 'keno_pool_min_ratio', operator: '<=', threshold: '0', severity: 'critical', title: 'KENO POOL AGOTADO' },
+  { id: 2, key: 'keno_critical', metric: 'keno_pool_min_ratio', operator: '<', threshold: '0.15', severity: 'critical', title: 'Keno Pool CRÍTICO' },
+  { id: 3, key: 'keno_warning', metric: 'keno_pool_min_ratio', operator: '<', threshold: '0.30', severity: 'warning', title: 'Keno Pool bajo' }
+];
+
+/**
+ * Route queries by statement; returns the calls for assertions
+ */
+function mockTables({ rules = KENO_RULES, open = [] } = {}) {
+  let nextId = 100;
+  pool.query.mockImplementation(async (sql, params = []) => {
+    if (sql.includes('FROM alert_rules WHERE enabled')) return { rows: rules };
+    if (sql.includes(`FROM alerts WHERE status <> 'resolved'`)) return { rows: open };
+    if (sql.includes('INSERT INTO alerts')) {
+      return { rows: [{ id: nextId++, rule_id: params[0], status: 'firing', last_notified_at: null, notify_count: 0 }] };
+    }
+    if (sql.includes('UPDATE alerts SET value')) {
+      return { rows: [{ ...open.find(a => a.id === params[0]), value: params[1] }] };
+    }
+    if (sql.includes('notify_count = notify_count + 1')) return { rows: [{ id: params[0] }] };
+    return { rows: [] };
+  });
+}
+
+function statements(fragment) {
+  return pool.query.mock.calls.filter(([sql]) => sql.includes(fragment));
+}
+
+describe('alertService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    gameConfigService.getConfigValue.mockResolvedValue(500);
+    delete process.env.BOLITA_CONTRACT_ADDRESS;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('evaluate', () => {
+    it('fires only the most severe breached rule on a metric', async () => {
+      gameConfigService.getPoolBalance.mockResolvedValue(50); // 10% of the minimum
+      mockTables();
+
+      const result = await alertService.evaluate();
+
+      expect(result.firing).toEqual(['keno_critical']);
+      const inserts = statements('INSERT INTO alerts');
+      expect(inserts).toHaveLength(1);
+      expect(inserts[0][1].slice(0, 4)).toEqual([2, 'keno_critical', 'keno_pool_min_ratio', 'critical']);
+      expect(alertChannels.broadcast).toHaveBeenCalledWith(
+        expect.objectContaining({ title: 'Keno Pool CRÍTICO', severity: 'critical', ruleKey: 'keno_critical' }),
+        null
+      );
+    });
+
+    it('resolves the lower alert when the metric escalates', async () => {
+      gameConfigService.getPoolBalance.mockResolvedValue(0);
+      mockTables({ open: [{ id: 9, rule_id: 3, status: 'firing', notify_count: 1 }] });
+
+      const result = await alertService.evaluate();
+
+      expect(result.firing).toEqual(['keno_depleted']);
+      expect(statements(`SET status = 'resolved'`)[0][1]).toEqual([9]);
+      expect(alertChannels.broadcast).toHaveBeenCalledWith(
+        expect.objectContaining({ title: 'Resuelto: Keno Pool bajo', severity: 'resolved' }),
+        null
+      );
+    });
+
+    it('does not re-notify within the cooldown', async () => {
+      gameConfigService.getPoolBalance.mockResolvedValue(100); // 20%
+      mockTables({
+        rules: [{ ...KENO_RULES[2], cooldown_min: 60 }],
+        open: [{ id: 9, rule_id: 3, status: 'firing', notify_count: 1, last_notified_at: new Date(Date.now() - 30 * 60000) }]
+      });
+
+      await alertService.evaluate();
+
+      expect(statements('UPDATE alerts SET value')).toHaveLength(1);
+      expect(alertChannels.broadcast).not.toHaveBeenCalled();
+    });
+
+    it('re-notifies once the rule cooldown has passed', async () => {
+      gameConfigService.getPoolBalance.mockResolvedValue(100);
+      mockTables({
+        rules: [{ ...KENO_RULES[2], cooldown_min: 10 }],
+        open: [{ id: 9, rule_id: 3, status: 'firing', notify_count: 1, last_notified_at: new Date(Date.now() - 30 * 60000) }]
+      });
+
+      await alertService.evaluate();
+
+      expect(alertChannels.broadcast).toHaveBeenCalledTimes(1);
+      expect(statements('notify_count = notify_count + 1')).toHaveLength(1);
+    });
+
+    it('records but does not notify acknowledged alerts or silenced rules', async () => {
+      gameConfigService.getPoolBalance.mockResolvedValue(100);
+      mockTables({
+        rules: [{ ...KENO_RULES[2], silenced_until: new Date(Date.now() + 3600000) }],
+        open: []
+      });
+
+      await alertService.evaluate();
+
+      expect(statements('INSERT INTO alerts')).toHaveLength(1);
+      expect(alertChannels.broadcast).not.toHaveBeenCalled();
+
+      jest.clearAllMocks();
+      mockTables({ rules: [KENO_RULES[2]], open: [{ id: 9, rule_id: 3, status: 'acknowledged', notify_count: 1 }] });
+
+      await alertService.evaluate();
+
+      expect(alertChannels.broadcast).not.toHaveBeenCalled();
+    });
+
+    it('leaves alerts untouched when the metric cannot be collected', async () => {
+      gameConfigService.getPoolBalance.mockRejectedValue(new Error('DB down'));
+      mockTables({ open: [{ id: 9, rule_id: 3, status: 'firing', notify_count: 1 }] });
+
+      const result = await alertService.evaluate();
+
+      expect(result.firing).toEqual([]);
+      expect(statements(`SET status = 'resolved'`)).toHaveLength(0);
+    });
+
+    it('fires when an indexer gave up on an event', async () => {
+      loadFailedIndexerEvents.mockResolvedValue([
+        { id: '4', indexer: 'bolita', eventName: 'BetPlaced', blockNumber: 900, txHash: '0xabc', logIndex: 2, lastError: 'boom' }
+      ]);
+      mockTables({ rules: [{ id: 7, key: 'indexer_failed_events', metric: 'indexer_failed_events', operator: '>', threshold: '0', severity: 'critical', title: 'Eventos on-chain sin indexar' }] });
+
+      const result = await alertService.evaluate();
+
+      expect(result.firing).toHaveLength(1);
+      const [, params] = statements('INSERT INTO alerts')[0];
+      expect(params[4]).toBe(1);
+      expect(params[6]).toContain('bolita BetPlaced bloque 900 (0xabc#2): boom');
+      expect(params[7]).toBe('{"events":[4]}');
+    });
+
+    it('sends only to the channels a rule is restricted to', async () => {
+      gameConfigService.getPoolBalance.mockResolvedValue(100);
+      mockTables({ rules: [{ ...KENO_RULES[2], channels: ['email'] }] });
+
+      await alertService.evaluate();
+
+      expect(alertChannels.broadcast).toHaveBeenCalledWith(expect.any(Object), ['email']);
+    });
+  });
+
+  describe('helpers', () => {
+    it('compares values with the rule operator', () => {
+      expect(alertService.isBreached({ operator: '<', threshold: '0.15' }, 0.1)).toBe(true);
+      expect(alertService.isBreached({ operator: '<', threshold: '0.15' }, 0.15)).toBe(false);
+      expect(alertService.isBreached({ operator: '>=', threshold: '3' }, 3)).toBe(true);
+      expect(alertService.isBreached({ operator: '!=', threshold: '3' }, 4)).toBe(false);
+    });
+  });
+
+  describe('admin actions', () => {
+    it('acknowledges a firing alert', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ status: 'firing' }] })
+        .mockResolvedValueOnce({ rows: [{ id: 4, status: 'acknowledged' }] });
+
+      const alert = await alertService.acknowledgeAlert(4, '0xadmin');
+
+      expect(alert.status).toBe('acknowledged');
+      expect(pool.query.mock.calls[1][0]).toContain('acknowledged_by = $3');
+    });
+
+    it('refuses to change a resolved alert', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ status: 'resolved' }] });
+
+      await expect(alertService.resolveAlert(4, '0xadmin')).rejects.toThrow('La alerta ya esta resuelta');
+    });
+
+    it('validates the silence duration', async () => {
+      await expect(alertService.silenceRule(1, 90.5, '0xadmin')).rejects.toThrow('minutes debe ser un entero');
+      await expect(alertService.silenceRule(1, 20000, '0xadmin')).rejects.toThrow('minutes debe ser un entero');
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+
+    it('only test-fires configured channels', async () => {
+      await expect(alertService.testChannel('email', '0xadmin')).rejects.toThrow('Canal no configurado');
+      await expect(alertService.testChannel('pager', '0xadmin')).rejects.toThrow('Canal desconocido');
+
+      const result = await alertService.testChannel('telegram', '0xadmin');
+
+      expect(result.ok).toBe(true);
+      expect(alertChannels.sendToChannel).toHaveBeenCalledWith('telegram', expect.objectContaining({ severity: 'info' }));
+    });
+  });
+});
@@ -16,11 +16,39 @@ jest.mock('../../config/database', () => {
   };
 });
 
+// Limites dinamicos apagados salvo en los tests que los activan
+jest.mock('../gameConfigService', () => ({
+  getBolitaLimitsConfig: jest.fn()
+}));
+
+jest.mock('../ledgerService', () => ({
+  ...jest.requireActual('../ledgerService'),
+  post: jest.fn().mockResolvedValue(true),
+  transfer: jest.fn().mockResolvedValue(true)
+}));
+
 const { getClient, query, __mockClient: mockClient } = require('../../config/database');
+const gameConfigService = require('../gameConfigService');
+const ledgerService = require('../ledgerService');
 const bankrollService = require('../bankrollService');
 
+const STATIC_LIMITS = {
+  dynamicEnabled: false,
+  typeLimitBps: { fijos: 10000, centenas: 10000, parles: 10000 }
+};
+const DYNAMIC_LIMITS = {
+  dynamicEnabled: true,
+  typeLimitBps: { fijos: 10000, centenas: 10000, parles: 5000 },
+  maxNumberLiabilityBps: 1000,
+  shrinkBps: 5000,
+  oddsReductionEnabled: false,
+  oddsReductionStartBps: 5000,
+  oddsReductionFloorBps: 5000
+};
+
 beforeEach(() => {
   jest.clearAllMocks();
+  gameConfigService.getBolitaLimitsConfig.mockResolvedValue(STATIC_LIMITS);
 });
 
 describe('bankrollService', () => {
@@ -97,6 +125,65 @@ describe('bankrollService', () => {
     });
   });
 
+  // ── Pure function: calculateNumberLimit ──
+
+  describe('calculateNumberLimit', () => {
+    const state = { baseLimit: 10, gameType: 'fijos', reserve: 10000 };
+
+    it('applies only the per-type share when dynamic limits are off', () => {
+      const result = bankrollService.calculateNumberLimit(
+        { ...state, gameType: 'parles', currentAmount: 2 },
+        { ...STATIC_LIMITS, typeLimitBps: { parles: 2500 } }
+      );
+      expect(result).toMatchObject({ limit: 2.5, available: 0.5, multiplier: 1000, liabilityRatio: null });
+    });
+
+    it('keeps the full limit for a number with no liability', () => {
+      const result = bankrollService.calculateNumberLimit(state, DYNAMIC_LIMITS);
+      expect(result).toMatchObject({ limit: 10, available: 10, multiplier: 65, liabilityRatio: 0 });
+    });
+
+    it('shrinks the limit as liability grows against the reserve', () => {
+      // Maximo por numero: 10% de 10000 = 1000; 4 USDT x 65 = 260 -> ratio 0.26
+      const result = bankrollService.calculateNumberLimit(
+        { ...state, currentAmount: 4, potentialPayout: 260 },
+        DYNAMIC_LIMITS
+      );
+      expect(result.liabilityRatio).toBe(0.26);
+      expect(result.limit).toBe(8.7); // 10 x (1 - 0.5 x 0.26)
+      expect(result.available).toBe(4.7);
+    });
+
+    it('never lets a number pass its max liability', () => {
+      // parles: 10 x 50% = 5 USDT, pero 1000 / 1000x = 1 USDT de pago maximo
+      const result = bankrollService.calculateNumberLimit(
+        { ...state, gameType: 'parles', currentAmount: 0.5, potentialPayout: 500 },
+        DYNAMIC_LIMITS
+      );
+      expect(result.limit).toBe(1);
+      expect(result.available).toBe(0.5);
+    });
+
+    it('sells out the number when the reserve is empty', () => {
+      const result = bankrollService.calculateNumberLimit({ ...state, reserve: 0 }, DYNAMIC_LIMITS);
+      expect(result.available).toBe(0);
+    });
+
+    it('lowers the multiplier instead of the limit in odds reduction mode', () => {
+      const config = { ...DYNAMIC_LIMITS, oddsReductionEnabled: true };
+
+      const cold = bankrollService.calculateNumberLimit({ ...state, potentialPayout: 400 }, config);
+      expect(cold.multiplier).toBe(65);
+
+      // ratio 0.75 -> mitad del camino entre 50% y 100% -> 65 x 0.75 = 48.75
+      const hot = bankrollService.calculateNumberLimit({ ...state, currentAmount: 9, potentialPayout: 750 }, config);
+      expect(hot).toMatchObject({ limit: 10, available: 1, multiplier: 48 });
+
+      const maxed = bankrollService.calculateNumberLimit({ ...state, potentialPayout: 5000 }, config);
+      expect(maxed.multiplier).toBe(32);
+    });
+  });
+
   // ── checkNumberAvailability ──
 
   describe('checkNumberAvailability', () => {
@@ -142,6 +229,20 @@ describe('bankrollService', () => {
       expect(result.availableAmount).toBe(7);
     });
 
+    it('uses the dynamic limit and reports the multiplier', async () => {
+      gameConfigService.getBolitaLimitsConfig.mockResolvedValueOnce(DYNAMIC_LIMITS);
+      mockClient.query
+        .mockResolvedValueOnce({ rows: [{ current_limit_per_number: 10, prize_reserve: 10000 }] })
+        .mockResolvedValueOnce({ rows: [{ total_amount: 4, potential_payout: 260, is_sold_out: false }] });
+
+      const result = await bankrollService.checkNumberAvailability(1, 'fijos', '34', 5);
+      expect(result.available).toBe(false);
+      expect(result.availableAmount).toBe(4.7);
+      expect(result.limit).toBe(8.7);
+      expect(result.multiplier).toBe(65);
+      expect(result.liabilityRatio).toBe(0.26);
+    });
+
     it('releases client even on error', async () => {
       mockClient.query.mockRejectedValueOnce(new Error('DB error'));
 
@@ -181,6 +282,52 @@ describe('bankrollService', () => {
       // Passed as 6th param (index 5)
       expect(upsertCall[1][5]).toBe(130);
     });
+
+    it('uses the effective multiplier passed by placeBets', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({ rows: [{ current_limit_per_number: 10 }] })
+        .mockResolvedValueOnce({ rows: [{ total_amount: 2 }] });
+
+      await bankrollService.registerBetExposure(mockClient, 1, 'fijos', '34', 2, 48);
+
+      expect(mockClient.query.mock.calls[1][1][5]).toBe(96);
+    });
+
+    it('marks the number sold out once the dynamic limit is reached and records the curve', async () => {
+      gameConfigService.getBolitaLimitsConfig.mockResolvedValueOnce(DYNAMIC_LIMITS);
+      mockClient.query
+        .mockResolvedValueOnce({ rows: [{ current_limit_per_number: 10, prize_reserve: 10000 }] })
+        .mockResolvedValueOnce({ rows: [{
+          total_amount: '9.00', potential_payout: '585.00', exposure_limit: '10.00', is_sold_out: false
+        }] })
+        .mockResolvedValueOnce({ rowCount: 1 }) // UPDATE limit / sold out
+        .mockResolvedValueOnce({ rowCount: 1 }); // INSERT history
+
+      const exposure = await bankrollService.registerBetExposure(mockClient, 1, 'fijos', '34', 9);
+
+      // ratio 0.585 -> limite 10 x (1 - 0.2925) = 7.07 < 9 apostados
+      expect(mockClient.query.mock.calls[2][1]).toEqual([1, 7.07, true, 'fijos', '34']);
+      expect(mockClient.query.mock.calls[3][0]).toContain('INSERT INTO number_exposure_history');
+      expect(mockClient.query.mock.calls[3][1]).toEqual([1, 'fijos', '34', 9, '9.00', '585.00', 7.07, 65, 0.585]);
+      expect(exposure.is_sold_out).toBe(true);
+    });
+  });
+
+  // ── getExposureHistory ──
+
+  describe('getExposureHistory', () => {
+    it('filters by number and returns the curve in numbers', async () => {
+      query.mockResolvedValueOnce({ rows: [{
+        id: 1, game_type: 'fijos', bet_number: '34', bet_amount: '2.00', total_amount: '2.00',
+        potential_payout: '130.00', exposure_limit: '9.35', effective_multiplier: 65,
+        liability_ratio: '0.1300', created_at: 'now'
+      }] });
+
+      const curve = await bankrollService.getExposureHistory(1, { gameType: 'fijos', betNumber: '34' });
+
+      expect(query.mock.calls[0][1]).toEqual([1, 'fijos', '34', 500]);
+      expect(curve[0]).toMatchObject({ total_amount: 2, exposure_limit: 9.35, multiplier: 65, liability_ratio: 0.13 });
+    });
   });
 
   // ── canAcceptBet ──
@@ -246,6 +393,18 @@ describe('bankrollService', () => {
       expect(result.feeAmount).toBe(5); // 5% of 100
       expect(result.toReserve).toBe(65); // 65% of 100 (with winner)
       expect(result.toBankroll).toBe(30); // 30% of 100 (with winner)
+
+      // Diario: apuestas repartidas y premios cubiertos por la reserva
+      const entry = ledgerService.post.mock.calls[0][1];
+      expect(entry).toMatchObject({ type: 'settlement', referenceId: 1, balanceTo: 'fees:operator' });
+      expect(entry.postings).toEqual([
+        { account: 'clearing:bolita_stakes', amount: 100 },
+        { account: 'fees:operator', amount: -5 },
+        { account: 'pool:bolita_reserve', amount: -65 },
+        { account: 'pool:bolita_bankroll', amount: -30 },
+        { account: 'pool:bolita_reserve', amount: 65 },
+        { account: 'clearing:bolita_prizes', amount: -65 }
+      ]);
     });
 
     it('distributes pool correctly when no winner', async () => {
@@ -344,6 +503,11 @@ describe('bankrollService', () => {
       expect(result.success).toBe(true);
       expect(result.balanceBefore).toBe(500);
       expect(result.balanceAfter).toBe(700);
+      expect(ledgerService.transfer).toHaveBeenCalledWith(mockClient, expect.objectContaining({
+        from: 'external',
+        to: 'pool:bolita_reserve',
+        amount: 200
+      }));
     });
 
     it('rejects negative resulting balance', async () => {
@@ -19,11 +19,23 @@ jest.mock('../../chain/provider', () => ({
 jest.mock('../bankrollService', () => ({
   checkNumberAvailability: jest.fn(),
   canAcceptBet: jest.fn().mockResolvedValue({ available: true, message: 'OK' }),
-  registerBetExposure: jest.fn()
+  registerBetExposure: jest.fn(),
+  getBankrollStatus: jest.fn()
+}));
+jest.mock('../riskService', () => ({
+  getMaxAllowedStake: jest.fn()
+}));
+jest.mock('../ledgerService', () => ({
+  ACCOUNTS: { BOLITA_STAKES: 'clearing:bolita_stakes' },
+  ENTRY_TYPES: { BET: 'bet' },
+  userAccount: jest.fn(id => `user:${id}`),
+  transfer: jest.fn().mockResolvedValue(true)
 }));
 
 const { __mockClient: mockClient } = require('../../config/database');
 const bankrollService = require('../bankrollService');
+const riskService = require('../riskService');
+const ledgerService = require('../ledgerService');
 const betService = require('../betService');
 
 describe('betService', () => {
@@ -213,6 +225,24 @@ describe('betService', () => {
       expect(result.success).toBe(true);
       expect(result.bets).toHaveLength(1);
       expect(result.total_cost).toBe(5);
+      expect(ledgerService.transfer).toHaveBeenCalledWith(mockClient, expect.objectContaining({
+        type: 'bet',
+        from: 'user:1',
+        to: 'clearing:bolita_stakes',
+        amount: 5
+      }));
+    });
+
+    it('stores the reduced multiplier of a hot number', async () => {
+      setupDbForPlaceBets(100);
+      bankrollService.canAcceptBet.mockResolvedValueOnce({ available: true, multiplier: 48, message: 'OK' });
+
+      await betService.placeBets(1, 1, [{ game_type: 'fijos', number: '34', amount: 5 }]);
+
+      const insert = mockClient.query.mock.calls.find(c => String(c[0]).includes('INSERT INTO bets'));
+      expect(insert[1][5]).toBe(240); // potential_payout
+      expect(insert[1][6]).toBe(48);
+      expect(bankrollService.registerBetExposure).toHaveBeenCalledWith(mockClient, 1, 'fijos', '34', 5, 48);
     });
 
     it('rolls back on error', async () => {
@@ -229,4 +259,99 @@ describe('betService', () => {
       expect(mockClient.release).toHaveBeenCalled();
     });
   });
+
+  describe('buildCombination', () => {
+    it('generates one parle per pair in the listed order', () => {
+      const legs = betService.buildCombination({ type: 'parles', numbers: ['12', '34', '56'], amount: 1 });
+      expect(legs.map(l => l.number)).toEqual(['1234', '1256', '3456']);
+      expect(legs.every(l => l.game_type === 'parles' && l.amount === 1)).toBe(true);
+    });
+
+    it('adds the reversed parles when requested', () => {
+      const legs = betService.buildCombination({ type: 'parles', numbers: ['12', '34'], amount: 1, reversed: true });
+      expect(legs.map(l => l.number)).toEqual(['1234', '3412']);
+    });
+
+    it('expands each fijo into its 9 centenas', () => {
+      const legs = betService.buildCombination({ type: 'centenas', numbers: ['7'], amount: 2 });
+      expect(legs.map(l => l.number)).toEqual(['107', '207', '307', '407', '507', '607', '707', '807', '907']);
+    });
+
+    it('rejects repeated numbers', () => {
+      expect(() => betService.buildCombination({ type: 'parles', numbers: ['12', '12'], amount: 1 }))
+        .toThrow('repetidos');
+    });
+
+    it('rejects combinations over the per-request limit', () => {
+      const numbers = Array.from({ length: 11 }, (_, i) => String(i + 10));
+      expect(() => betService.buildCombination({ type: 'parles', numbers, amount: 1 }))
+        .toThrow('Máximo');
+    });
+  });
+
+  describe('quoteCombination', () => {
+    beforeEach(() => {
+      jest.clearAllMocks();
+      mockClient.query.mockResolvedValue({
+        rows: [{ id: 1, status: 'open', scheduled_time: '2026-10-19T20:00:00Z' }]
+      });
+      bankrollService.getBankrollStatus.mockResolvedValue({ prize_reserve: '5000' });
+      bankrollService.checkNumberAvailability.mockResolvedValue({ available: true, availableAmount: 100 });
+      riskService.getMaxAllowedStake.mockResolvedValue(10);
+    });
+
+    it('quotes every leg at the requested amount when there is room', async () => {
+      const quote = await betService.quoteCombination(1, { type: 'parles', numbers: ['12', '34', '56'], amount: 2 });
+
+      expect(quote.summary).toEqual({ legs: 3, ok: 3, trimmed: 0, rejected: 0 });
+      expect(quote.bets).toEqual([
+        { game_type: 'parles', number: '1234', amount: 2 },
+        { game_type: 'parles', number: '1256', amount: 2 },
+        { game_type: 'parles', number: '3456', amount: 2 }
+      ]);
+      expect(quote.total_cost).toBe(6);
+      expect(riskService.getMaxAllowedStake).toHaveBeenCalledWith(20745, 'parles', '1234', 5000);
+    });
+
+    it('trims a leg to its max stake and rejects one with no room', async () => {
+      riskService.getMaxAllowedStake
+        .mockResolvedValueOnce(10)
+        .mockResolvedValueOnce(3.456)
+        .mockResolvedValueOnce(0);
+
+      const quote = await betService.quoteCombination(1, { type: 'parles', numbers: ['12', '34', '56'], amount: 5 });
+
+      expect(quote.legs.map(l => l.status)).toEqual(['ok', 'trimmed', 'rejected']);
+      expect(quote.legs[1].amount).toBe(3.45);
+      expect(quote.bets).toHaveLength(2);
+      expect(quote.requested_cost).toBe(15);
+      expect(quote.total_cost).toBe(8.45);
+    });
+
+    it('rejects instead of trimming when trim is off', async () => {
+      bankrollService.checkNumberAvailability.mockResolvedValue({
+        available: false, availableAmount: 1, message: 'Límite alcanzado'
+      });
+
+      const quote = await betService.quoteCombination(1, { type: 'centenas', numbers: ['05'], amount: 5, trim: false });
+
+      expect(quote.summary.rejected).toBe(9);
+      expect(quote.legs[0].reason).toBe('Límite alcanzado');
+      expect(quote.bets).toEqual([]);
+    });
+
+    it('rejects parles that start with 0 leg by leg', async () => {
+      const quote = await betService.quoteCombination(1, { type: 'parles', numbers: ['05', '34'], amount: 1, reversed: true });
+
+      expect(quote.legs.map(l => [l.number, l.status])).toEqual([['0534', 'rejected'], ['3405', 'ok']]);
+    });
+
+    it('fails when the draw is not open', async () => {
+      mockClient.query.mockResolvedValue({ rows: [{ id: 1, status: 'closed' }] });
+
+      await expect(betService.quoteCombination(1, { type: 'parles', numbers: ['12', '34'], amount: 1 }))
+        .rejects.toThrow('no está abierto');
+      expect(mockClient.release).toHaveBeenCalled();
+    });
+  });
 });
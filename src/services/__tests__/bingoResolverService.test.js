@@ -23,7 +23,9 @@ const {
   CARD_ROWS, CARD_COLS, NUMBERS_PER_CARD, TOTAL_BALLS, ZERO_ADDRESS, ROWS,
   drawBallsFromVrfSeed,
   checkCard,
+  checkPatterns,
   detectWinners,
+  buildPatternWinners,
 } = require('../bingoResolverService');
 
 describe('bingoResolverService', () => {
@@ -250,6 +252,87 @@ describe('bingoResolverService', () => {
     });
   });
 
+  // ── Patterns ──
+
+  describe('checkPatterns', () => {
+    // Row-major 3x5: corners are idx 0, 4, 10, 14 and the center is idx 7
+    const card = [1, 16, 31, 46, 61, 2, 17, 32, 47, 62, 3, 18, 33, 48, 63];
+    const patterns = [
+      { id: 'line', type: 'line' },
+      { id: 'two_lines', type: 'two_lines' },
+      { id: 'four_corners', type: 'four_corners' },
+      { id: 'x_shape', type: 'x_shape' },
+      { id: 'bingo', type: 'bingo' },
+      { id: 'blackout_20', type: 'blackout', maxBalls: 20 },
+      { id: 'blackout_40', type: 'blackout', maxBalls: 40 },
+    ];
+
+    function ballsWithEarly(earlyBalls) {
+      const rest = [];
+      for (let i = 1; i <= 75; i++) if (!earlyBalls.includes(i)) rest.push(i);
+      return [...earlyBalls, ...rest];
+    }
+
+    it('reports the ball at which each pattern completes', () => {
+      // corners (1, 61, 3, 63), then center (32), then rows 0 and 2
+      const balls = ballsWithEarly([1, 61, 3, 63, 70, 32, 16, 31, 46, 18, 33, 48]);
+      const hits = checkPatterns(card, balls, patterns);
+
+      expect(hits.four_corners).toBe(4);
+      expect(hits.x_shape).toBe(6);
+      expect(hits.line).toBe(9);
+      expect(hits.two_lines).toBe(12);
+    });
+
+    it('pays blackout only when the card completes within maxBalls', () => {
+      const early = [...card.slice(0, 14), 70, 71, 72, 73, 74, 75, 63];
+      const hits = checkPatterns(card, ballsWithEarly(early), patterns);
+
+      expect(hits.bingo).toBe(21);
+      expect(hits.blackout_20).toBeNull();
+      expect(hits.blackout_40).toBe(21);
+    });
+
+    it('matches checkCard for line and bingo', () => {
+      const balls = drawBallsFromVrfSeed('424242');
+      const hits = checkPatterns(card, balls);
+      const legacy = checkCard(card, balls);
+      expect(hits).toEqual({ line: legacy.lineHitBall, bingo: legacy.bingoHitBall });
+    });
+  });
+
+  describe('detectWinners patternWinners', () => {
+    it('lists co-winners of each pattern at the earliest ball', () => {
+      const cards = [
+        { cardId: 7, owner: '0xbbb', numbers: [1, 16, 31, 46, 61, 2, 17, 32, 47, 62, 3, 18, 33, 48, 63] },
+        { cardId: 4, owner: '0xaaa', numbers: [1, 20, 35, 50, 61, 5, 21, 32, 51, 66, 3, 22, 36, 52, 63] },
+      ];
+      const early = [1, 61, 3, 63, 32];
+      const rest = [];
+      for (let i = 1; i <= 75; i++) if (!early.includes(i)) rest.push(i);
+      const patterns = [
+        { id: 'line', type: 'line', prizeBps: 1000 },
+        { id: 'bingo', type: 'bingo', prizeBps: 7000 },
+        { id: 'x', type: 'x_shape', prizeBps: 500 },
+      ];
+
+      const result = detectWinners(cards, [...early, ...rest], patterns);
+      const x = result.patternWinners.find(p => p.patternId === 'x');
+
+      expect(x.ball).toBe(5);
+      expect(x.winners).toEqual([{ owner: '0xaaa', cardId: 4 }, { owner: '0xbbb', cardId: 7 }]);
+      // line/bingo entries agree with the legacy fields
+      const line = result.patternWinners.find(p => p.type === 'line');
+      expect(line.ball).toBe(result.lineWinnerBall);
+      expect(line.winners).toEqual(result.lineWinners);
+
+      const record = buildPatternWinners(result.patternWinners, patterns, {
+        line: 10, bingo: 70, extra: [{ patternId: 'x', prize: 5 }],
+      });
+      expect(record.find(p => p.patternId === 'x')).toMatchObject({ ball: 5, prizeBps: 500, prize: 5 });
+    });
+  });
+
   // ── Revenue math validation ──
 
   describe('Revenue math', () => {
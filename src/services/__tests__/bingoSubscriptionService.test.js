@@ -0,0 +1,223 @@
+// Tests for bingoSubscriptionService (DB and bingo services mocked)
+const mockClient = {
+  query: jest.fn(),
+  release: jest.fn()
+};
+jest.mock('../../db', () => ({
+  query: jest.fn(),
+  connect: jest.fn()
+}));
+jest.mock('../bingoService', () => ({
+  getRoundCardPrice: jest.fn(round => parseFloat(round.card_price)),
+  countUserCards: jest.fn().mockResolvedValue(0),
+  issueCards: jest.fn().mockResolvedValue([]),
+  creditRefund: jest.fn()
+}));
+jest.mock('../gameConfigService', () => ({
+  getBingoConfig: jest.fn()
+}));
+jest.mock('../responsibleGamingService', () => ({
+  checkPlay: jest.fn().mockResolvedValue(undefined),
+  recordWager: jest.fn()
+}));
+
+const pool = require('../../db');
+const bingoService = require('../bingoService');
+const gameConfigService = require('../gameConfigService');
+const responsibleGamingService = require('../responsibleGamingService');
+const {
+  createSubscription, materializeRound, cancelSubscription
+} = require('../bingoSubscriptionService');
+
+function subRow(overrides = {}) {
+  return {
+    id: 3,
+    wallet_address: '0xabc',
+    room_number: 1,
+    cards_per_round: 2,
+    total_rounds: 3,
+    rounds_played: 0,
+    budget: '6.000000',
+    spent: '0.000000',
+    refunded: '0',
+    status: 'active',
+    last_round_id: null,
+    ...overrides
+  };
+}
+
+const ROUND = { round_id: 50, room_number: 1, status: 'open', card_price: '1.000000' };
+
+/**
+ * Cliente que responde segun el SQL: ronda, suscripcion y UPDATE de progreso
+ */
+function mockMaterializeClient(sub, round = ROUND) {
+  mockClient.query.mockImplementation((sql, params) => {
+    if (sql.includes('FROM bingo_rounds')) return Promise.resolve({ rows: [round] });
+    if (sql.includes('FROM bingo_subscriptions')) return Promise.resolve({ rows: [sub] });
+    if (sql.includes('spent = spent +')) {
+      return Promise.resolve({
+        rows: [{
+          ...sub,
+          spent: String(parseFloat(sub.spent) + params[1]),
+          rounds_played: sub.rounds_played + 1,
+          last_round_id: params[2]
+        }]
+      });
+    }
+    if (sql.includes("SET status = $2")) return Promise.resolve({ rows: [{ ...sub, status: params[1] }] });
+    return Promise.resolve({ rows: [] });
+  });
+}
+
+describe('bingoSubscriptionService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    pool.connect.mockResolvedValue(mockClient);
+    mockClient.query.mockResolvedValue({ rows: [] });
+    gameConfigService.getBingoConfig.mockResolvedValue({
+      cardPrice: 1, maxCardsPerUser: 4, subscriptionMaxRounds: 100, room: { enabled: true }
+    });
+  });
+
+  describe('createSubscription', () => {
+    it('reserves K rounds at the room price up front', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({ rows: [] }) // BEGIN
+        .mockResolvedValueOnce({ rows: [{ id: 1 }] }) // balance
+        .mockResolvedValueOnce({ rows: [subRow()] }); // INSERT
+
+      const sub = await createSubscription('0xABC', { roomNumber: 1, cardsPerRound: 2, rounds: 3 });
+
+      expect(mockClient.query.mock.calls[1][1]).toEqual([6, '0xabc']);
+      expect(mockClient.query.mock.calls[2][1]).toEqual(['0xabc', 1, 2, 3, 6]);
+      expect(sub).toMatchObject({ id: 3, totalRounds: 3, remainingRounds: 3, reserved: 6 });
+    });
+
+    it('requires a budget that covers at least one round', async () => {
+      await expect(createSubscription('0xabc', { roomNumber: 1, cardsPerRound: 2, budget: 1.5 }))
+        .rejects.toThrow('al menos una ronda');
+      expect(pool.connect).not.toHaveBeenCalled();
+    });
+
+    it('rejects more cards per round than the room allows', async () => {
+      await expect(createSubscription('0xabc', { roomNumber: 1, cardsPerRound: 5, rounds: 1 }))
+        .rejects.toThrow('Cartones por ronda invalido (1-4)');
+    });
+
+    it('fails without reserving when the balance is short', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      await expect(createSubscription('0xabc', { roomNumber: 1, cardsPerRound: 1, budget: 20 }))
+        .rejects.toThrow('Insufficient balance');
+      expect(mockClient.query).toHaveBeenCalledWith('ROLLBACK');
+    });
+  });
+
+  describe('materializeRound', () => {
+    beforeEach(() => {
+      pool.query.mockResolvedValue({ rows: [{ id: 3 }] });
+    });
+
+    it('issues the cards against the reserve', async () => {
+      mockMaterializeClient(subRow());
+
+      const summary = await materializeRound(50, 1);
+
+      expect(bingoService.issueCards).toHaveBeenCalledWith(mockClient, ROUND, '0xabc', 2, 1, 0, 3);
+      expect(bingoService.creditRefund).not.toHaveBeenCalled();
+      expect(summary).toEqual({ subscriptions: 1, cards: 2 });
+    });
+
+    it('completes on the last round and refunds the unused reserve', async () => {
+      // Precio de sala bajo a 0.5 durante la suscripcion
+      mockMaterializeClient(
+        subRow({ rounds_played: 2, spent: '4.000000' }),
+        { ...ROUND, card_price: '0.500000' }
+      );
+
+      await materializeRound(50, 1);
+
+      expect(bingoService.creditRefund).toHaveBeenCalledWith(mockClient, '0xabc', 1);
+      const finish = mockClient.query.mock.calls.find(([sql]) => sql.includes('SET status = $2'));
+      expect(finish[1]).toEqual([3, 'completed', 'rounds_completed', 1]);
+    });
+
+    it('stops an open-ended subscription when the reserve cannot cover a round', async () => {
+      mockMaterializeClient(subRow({ total_rounds: null, budget: '5.000000', spent: '4.000000' }));
+
+      const summary = await materializeRound(50, 1);
+
+      expect(bingoService.issueCards).not.toHaveBeenCalled();
+      expect(bingoService.creditRefund).toHaveBeenCalledWith(mockClient, '0xabc', 1);
+      const finish = mockClient.query.mock.calls.find(([sql]) => sql.includes('SET status = $2'));
+      expect(finish[1]).toEqual([3, 'exhausted', 'budget_exhausted', 1]);
+      expect(summary.cards).toBe(0);
+    });
+
+    it('cancels and refunds the reserve when the wallet is blocked by its limits', async () => {
+      mockMaterializeClient(subRow());
+      responsibleGamingService.checkPlay.mockRejectedValueOnce(
+        Object.assign(new Error('Periodo de enfriamiento activo'), { code: 'RESPONSIBLE_GAMING' })
+      );
+
+      const summary = await materializeRound(50, 1);
+
+      expect(bingoService.issueCards).not.toHaveBeenCalled();
+      expect(bingoService.creditRefund).toHaveBeenCalledWith(mockClient, '0xabc', 6);
+      const finish = mockClient.query.mock.calls.find(([sql]) => sql.includes('SET status = $2'));
+      expect(finish[1]).toEqual([3, 'cancelled', 'responsible_gaming', 6]);
+      expect(mockClient.query).toHaveBeenCalledWith('COMMIT');
+      expect(summary.cards).toBe(0);
+    });
+
+    it('does not issue twice for the same round', async () => {
+      mockMaterializeClient(subRow({ last_round_id: 50 }));
+
+      await materializeRound(50, 1);
+
+      expect(bingoService.issueCards).not.toHaveBeenCalled();
+    });
+
+    it('keeps going when one subscription fails', async () => {
+      pool.query.mockResolvedValue({ rows: [{ id: 3 }, { id: 4 }] });
+      mockMaterializeClient(subRow());
+      bingoService.issueCards.mockRejectedValueOnce(new Error('boom'));
+
+      const summary = await materializeRound(50, 1);
+
+      expect(bingoService.issueCards).toHaveBeenCalledTimes(2);
+      expect(summary).toEqual({ subscriptions: 1, cards: 2 });
+    });
+  });
+
+  describe('cancelSubscription', () => {
+    it('refunds what was not spent', async () => {
+      mockClient.query.mockImplementation((sql, params) => {
+        if (sql.includes('SELECT * FROM bingo_subscriptions')) {
+          return Promise.resolve({ rows: [subRow({ rounds_played: 1, spent: '2.000000' })] });
+        }
+        if (sql.includes('SET status = $2')) {
+          return Promise.resolve({ rows: [subRow({ status: params[1], stop_reason: params[2], refunded: params[3], spent: '2.000000' })] });
+        }
+        return Promise.resolve({ rows: [] });
+      });
+
+      const sub = await cancelSubscription('0xABC', 3);
+
+      expect(bingoService.creditRefund).toHaveBeenCalledWith(mockClient, '0xabc', 4);
+      expect(sub).toMatchObject({ status: 'cancelled', stopReason: 'cancelled_by_player', refunded: 4, reserved: 0 });
+    });
+
+    it('rejects a subscription that is no longer active', async () => {
+      mockClient.query.mockImplementation((sql) => Promise.resolve({
+        rows: sql.includes('SELECT * FROM bingo_subscriptions') ? [subRow({ status: 'completed' })] : []
+      }));
+
+      await expect(cancelSubscription('0xabc', 3)).rejects.toThrow('ya no esta activa');
+      expect(bingoService.creditRefund).not.toHaveBeenCalled();
+    });
+  });
+});
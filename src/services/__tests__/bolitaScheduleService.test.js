@@ -0,0 +1,121 @@
+// Tests for the Bolita draw schedule store (DB mocked)
+jest.mock('../../db', () => ({
+  query: jest.fn()
+}));
+
+const pool = require('../../db');
+const bolitaScheduleService = require('../bolitaScheduleService');
+const { generateSlots } = bolitaScheduleService;
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+function schedule(overrides = {}) {
+  return {
+    rules: [
+      { id: 1, weekdays: [0, 1, 2, 3, 4, 5, 6], drawTime: '10:00', openBeforeMinutes: null, enabled: true },
+      // Solo sabados, abre 2h antes
+      { id: 2, weekdays: [6], drawTime: '21:00', openBeforeMinutes: 120, enabled: true }
+    ],
+    extraDraws: [],
+    blackouts: [],
+    source: 'db',
+    ...overrides
+  };
+}
+
+// Viernes 2026-12-25 00:00 UTC
+const FRIDAY = Date.UTC(2026, 11, 25);
+const OPTS = { defaultOpenBeforeMs: 24 * HOUR_MS };
+
+describe('bolitaScheduleService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    bolitaScheduleService.invalidateScheduleCache();
+  });
+
+  describe('generateSlots', () => {
+    it('expands weekday rules with their own open lead time', () => {
+      const slots = generateSlots(schedule(), FRIDAY, FRIDAY + 2 * DAY_MS - 1, OPTS);
+
+      expect(slots.map(s => s.drawNum)).toEqual(['20261225-1000', '20261226-1000', '20261226-2100']);
+      const saturdayNight = slots[2];
+      expect(saturdayNight.openAtMs).toBe(saturdayNight.scheduledCloseUnix * 1000 - 2 * HOUR_MS);
+      expect(slots[0].openAtMs).toBe(slots[0].scheduledCloseUnix * 1000 - 24 * HOUR_MS);
+    });
+
+    it('skips rule draws on blackout dates but keeps extra draws', () => {
+      const slots = generateSlots(schedule({
+        blackouts: [{ id: 1, date: '2026-12-25' }],
+        extraDraws: [{ id: 7, drawAt: '2026-12-25T18:00:00.000Z', openBeforeMinutes: 60, label: 'Navidad' }]
+      }), FRIDAY, FRIDAY + DAY_MS - 1, OPTS);
+
+      expect(slots).toHaveLength(1);
+      expect(slots[0]).toMatchObject({ drawNum: '20261225-1800', source: 'extra', extraId: 7, label: 'Navidad' });
+    });
+
+    it('lets an extra draw replace a rule draw at the same time', () => {
+      const slots = generateSlots(schedule({
+        extraDraws: [{ id: 9, drawAt: '2026-12-25T10:00:00.000Z', openBeforeMinutes: 30 }]
+      }), FRIDAY, FRIDAY + DAY_MS - 1, OPTS);
+
+      expect(slots).toHaveLength(1);
+      expect(slots[0].source).toBe('extra');
+      expect(slots[0].openAtMs).toBe(Date.UTC(2026, 11, 25, 9, 30));
+    });
+
+    it('ignores disabled rules and flags blackouts when previewing', () => {
+      const sched = schedule({ blackouts: [{ id: 1, date: '2026-12-26' }] });
+      sched.rules[0].enabled = false;
+
+      const slots = generateSlots(sched, FRIDAY, FRIDAY + 2 * DAY_MS - 1, { ...OPTS, includeBlackouts: true });
+
+      expect(slots).toEqual([expect.objectContaining({ drawNum: '20261226-2100', blackout: true })]);
+    });
+  });
+
+  describe('createRule', () => {
+    it('rejects invalid weekdays and times before touching the DB', async () => {
+      await expect(bolitaScheduleService.createRule({ weekdays: [7], drawTime: '10:00' }))
+        .rejects.toThrow('weekdays invalido');
+      await expect(bolitaScheduleService.createRule({ weekdays: [1], drawTime: '24:00' }))
+        .rejects.toThrow('drawTime invalido');
+      await expect(bolitaScheduleService.createRule({ weekdays: [1], drawTime: '10:00', openBeforeMinutes: 5000 }))
+        .rejects.toThrow('openBeforeMinutes invalido');
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+  });
+
+  it('rejects extra draws in the past', async () => {
+    await expect(bolitaScheduleService.addExtraDraw({ drawAt: '2020-01-01T10:00:00Z' }))
+      .rejects.toThrow('al menos 5 minutos en el futuro');
+  });
+
+  it('falls back to BOLITA_DRAW_TIMES when the store cannot be read', async () => {
+    pool.query.mockRejectedValue(new Error('relation does not exist'));
+    process.env.BOLITA_DRAW_TIMES = '09:00,bad,20:30';
+
+    const sched = await bolitaScheduleService.getSchedule();
+
+    delete process.env.BOLITA_DRAW_TIMES;
+    expect(sched.source).toBe('env');
+    expect(sched.rules.map(r => r.drawTime)).toEqual(['09:00', '20:30']);
+  });
+
+  it('previews slots with the draws already created', async () => {
+    pool.query
+      .mockResolvedValueOnce({ rows: [{ id: 1, weekdays: [0, 1, 2, 3, 4, 5, 6], draw_time: '10:00', open_before_minutes: null, enabled: true }] })
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValueOnce({ rows: [] })
+      .mockImplementationOnce((sql, [nums]) => Promise.resolve({
+        rows: [{ id: 40, draw_number: nums[0], status: 'open' }]
+      }));
+
+    const preview = await bolitaScheduleService.previewSlots(3);
+
+    expect(preview.slots).toHaveLength(3);
+    expect(preview.slots[0].existing).toEqual({ id: 40, status: 'open' });
+    expect(preview.slots[1].existing).toBeNull();
+    await expect(bolitaScheduleService.previewSlots(60)).rejects.toThrow('days invalido');
+  });
+});
@@ -0,0 +1,286 @@
+// Tests for the shared indexer core (chain and DB mocked)
+jest.mock('../../config/database', () => {
+  const mockClient = { query: jest.fn(), release: jest.fn() };
+  return {
+    getClient: jest.fn(() => Promise.resolve(mockClient)),
+    query: jest.fn(),
+    __mockClient: mockClient,
+  };
+});
+
+jest.mock('../../db/indexerState', () => ({
+  loadIndexerBlock: jest.fn(),
+  saveIndexerBlock: jest.fn(),
+  loadBlockHashes: jest.fn(),
+  saveBlockHash: jest.fn(),
+  recordIndexerEvent: jest.fn(),
+  recordIndexerFailure: jest.fn(),
+  loadIndexerEventsAfter: jest.fn(),
+  rewindIndexer: jest.fn()
+}));
+
+const { __mockClient: mockClient } = require('../../config/database');
+const indexerState = require('../../db/indexerState');
+const { ChainIndexer, confirmationsFor, serializeArgs } = require('../chainIndexer');
+
+class TestIndexer extends ChainIndexer {
+  constructor() {
+    super({ name: 'test', tag: 'TestIndexer', abi: [], addressEnv: 'TEST_ADDRESS', events: ['Placed'] });
+    this.applyEvent = jest.fn();
+    this.revertEvent = jest.fn();
+  }
+}
+
+function makeIndexer({ head = 120, hashes = {}, logs = [] } = {}) {
+  const indexer = new TestIndexer();
+  indexer.confirmations = 12;
+  indexer.contractAddress = '0xcontract';
+  indexer.provider = {
+    getBlockNumber: jest.fn().mockResolvedValue(head),
+    getBlock: jest.fn(async (n) => ({ number: n, hash: hashes[n] || `0xhash${n}` })),
+    getLogs: jest.fn().mockResolvedValue(logs)
+  };
+  indexer.contract = {
+    interface: { parseLog: (log) => log.parsed || null }
+  };
+  return indexer;
+}
+
+function makeLog(blockNumber, index, name = 'Placed') {
+  return {
+    blockNumber,
+    blockHash: `0xhash${blockNumber}`,
+    transactionHash: `0xtx${blockNumber}`,
+    index,
+    parsed: { name, args: [7n, '0xabc'] }
+  };
+}
+
+describe('ChainIndexer', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    indexerState.loadBlockHashes.mockResolvedValue([]);
+    indexerState.recordIndexerEvent.mockResolvedValue(true);
+    indexerState.recordIndexerFailure.mockResolvedValue({ status: 'retrying', attempts: 1 });
+    indexerState.loadIndexerEventsAfter.mockResolvedValue([]);
+  });
+
+  describe('sync', () => {
+    it('only processes blocks past the confirmation depth', async () => {
+      const indexer = makeIndexer({ head: 120 });
+      indexer.lastBlockProcessed = 100;
+
+      await indexer.sync();
+
+      expect(indexer.provider.getLogs).toHaveBeenCalledWith({
+        address: '0xcontract', fromBlock: 101, toBlock: 108
+      });
+      expect(indexerState.saveBlockHash).toHaveBeenCalledWith('test', 108, '0xhash108', 100);
+      expect(indexerState.saveIndexerBlock).toHaveBeenCalledWith('test', 108);
+      expect(indexer.lastBlockProcessed).toBe(108);
+    });
+
+    it('does nothing while the head is within the confirmation depth', async () => {
+      const indexer = makeIndexer({ head: 110 });
+      indexer.lastBlockProcessed = 100;
+
+      await indexer.sync();
+
+      expect(indexer.provider.getLogs).not.toHaveBeenCalled();
+      expect(indexerState.saveIndexerBlock).not.toHaveBeenCalled();
+    });
+
+    it('journals events before applying them and skips ones already applied', async () => {
+      const indexer = makeIndexer({
+        logs: [makeLog(104, 0), makeLog(105, 3), makeLog(106, 1, 'Ignored')]
+      });
+      indexer.lastBlockProcessed = 100;
+      indexerState.recordIndexerEvent
+        .mockResolvedValueOnce(false)
+        .mockResolvedValueOnce(true);
+
+      await indexer.sync();
+
+      expect(indexerState.recordIndexerEvent).toHaveBeenCalledTimes(2);
+      expect(indexerState.recordIndexerEvent).toHaveBeenLastCalledWith(mockClient, 'test', {
+        blockNumber: 105,
+        blockHash: '0xhash105',
+        txHash: '0xtx105',
+        logIndex: 3,
+        eventName: 'Placed',
+        args: ['7', '0xabc']
+      });
+      expect(indexer.applyEvent).toHaveBeenCalledTimes(1);
+      expect(indexer.applyEvent.mock.calls[0][1].blockNumber).toBe(105);
+      expect(indexer.applyEvent.mock.calls[0][2]).toBe(mockClient);
+    });
+
+    it('journals and applies each event in one transaction', async () => {
+      const indexer = makeIndexer({ logs: [makeLog(104, 0)] });
+      indexer.lastBlockProcessed = 100;
+
+      await indexer.sync();
+
+      expect(mockClient.query.mock.calls.map(([sql]) => sql)).toEqual(['BEGIN', 'COMMIT']);
+      expect(mockClient.release).toHaveBeenCalledTimes(1);
+    });
+
+    it('rolls back the journal row when a handler throws and retries the event next poll', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const indexer = makeIndexer({ logs: [makeLog(104, 0), makeLog(105, 0)] });
+      indexer.lastBlockProcessed = 100;
+      indexer.applyEvent.mockRejectedValueOnce(new Error('boom'));
+
+      await expect(indexer.sync()).rejects.toThrow('1 events failed in blocks 101-108');
+
+      expect(indexer.applyEvent).toHaveBeenCalledTimes(2);
+      expect(mockClient.query.mock.calls.map(([sql]) => sql)).toEqual(['BEGIN', 'ROLLBACK', 'BEGIN', 'COMMIT']);
+      expect(indexerState.recordIndexerFailure).toHaveBeenCalledWith(
+        'test', expect.objectContaining({ txHash: '0xtx104', logIndex: 0 }), 'boom', 10
+      );
+      expect(indexerState.saveIndexerBlock).not.toHaveBeenCalled();
+      expect(indexer.lastBlockProcessed).toBe(100);
+      console.error.mockRestore();
+    });
+
+    it('skips an event once it runs out of attempts and checkpoints the range', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const indexer = makeIndexer({ logs: [makeLog(104, 0), makeLog(105, 0)] });
+      indexer.lastBlockProcessed = 100;
+      indexer.applyEvent.mockRejectedValueOnce(new Error('boom'));
+      indexerState.recordIndexerFailure.mockResolvedValueOnce({ status: 'failed', attempts: 10 });
+
+      await indexer.sync();
+
+      expect(indexer.applyEvent).toHaveBeenCalledTimes(2);
+      expect(indexerState.saveIndexerBlock).toHaveBeenCalledWith('test', 108);
+      expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Giving up on Placed (tx 0xtx104, log 0) after 10 attempts'), 'boom');
+      console.error.mockRestore();
+    });
+
+    it('keeps the range unchecked when the failure cannot be recorded', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const indexer = makeIndexer({ logs: [makeLog(104, 0)] });
+      indexer.lastBlockProcessed = 100;
+      indexer.applyEvent.mockRejectedValueOnce(new Error('boom'));
+      indexerState.recordIndexerFailure.mockRejectedValueOnce(new Error('connection reset'));
+
+      await expect(indexer.sync()).rejects.toThrow('1 events failed');
+
+      expect(indexerState.saveIndexerBlock).not.toHaveBeenCalled();
+      console.error.mockRestore();
+    });
+
+    it('runs afterCommit work only once the event commits', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const indexer = makeIndexer({ logs: [makeLog(104, 0), makeLog(105, 0)] });
+      indexer.lastBlockProcessed = 100;
+      const notify = jest.fn();
+      indexer.applyEvent
+        .mockImplementationOnce(async (parsed, log, client, afterCommit) => {
+          afterCommit(() => notify(log.blockNumber));
+          expect(notify).not.toHaveBeenCalled();
+        })
+        .mockImplementationOnce(async (parsed, log, client, afterCommit) => {
+          afterCommit(() => notify(log.blockNumber));
+          throw new Error('boom');
+        });
+
+      await expect(indexer.sync()).rejects.toThrow('1 events failed');
+
+      expect(notify.mock.calls).toEqual([[104]]);
+      console.error.mockRestore();
+    });
+  });
+
+  describe('reorgs', () => {
+    it('leaves state alone when the newest checkpoint is still canonical', async () => {
+      const indexer = makeIndexer();
+      indexerState.loadBlockHashes.mockResolvedValue([{ blockNumber: 108, blockHash: '0xhash108' }]);
+
+      const rolledBack = await indexer.checkReorg();
+
+      expect(rolledBack).toBe(false);
+      expect(indexerState.rewindIndexer).not.toHaveBeenCalled();
+    });
+
+    it('reverts events past the common ancestor and replays from it', async () => {
+      const indexer = makeIndexer({ head: 122, logs: [makeLog(107, 0)] });
+      indexer.lastBlockProcessed = 108;
+      indexerState.loadBlockHashes.mockResolvedValue([
+        { blockNumber: 108, blockHash: '0xorphan108' },
+        { blockNumber: 104, blockHash: '0xorphan104' },
+        { blockNumber: 100, blockHash: '0xhash100' }
+      ]);
+      const orphaned = [
+        { eventName: 'Placed', blockNumber: 107, txHash: '0xb', logIndex: 0, args: ['8'] },
+        { eventName: 'Placed', blockNumber: 102, txHash: '0xa', logIndex: 2, args: ['7'] }
+      ];
+      indexerState.loadIndexerEventsAfter.mockResolvedValue(orphaned);
+
+      await indexer.sync();
+
+      expect(indexerState.loadIndexerEventsAfter).toHaveBeenCalledWith('test', 100);
+      expect(indexer.revertEvent.mock.calls.map(([event]) => event.txHash)).toEqual(['0xb', '0xa']);
+      expect(indexerState.rewindIndexer).toHaveBeenCalledWith('test', 100);
+      expect(indexer.provider.getLogs).toHaveBeenCalledWith({
+        address: '0xcontract', fromBlock: 101, toBlock: 110
+      });
+      expect(indexer.applyEvent).toHaveBeenCalledTimes(1);
+      expect(indexer.lastBlockProcessed).toBe(110);
+    });
+
+    it('rewinds past the oldest checkpoint when no checkpoint matches', async () => {
+      const indexer = makeIndexer();
+      indexerState.loadBlockHashes.mockResolvedValue([
+        { blockNumber: 108, blockHash: '0xorphan108' },
+        { blockNumber: 90, blockHash: '0xorphan90' }
+      ]);
+
+      await indexer.checkReorg();
+
+      expect(indexerState.rewindIndexer).toHaveBeenCalledWith('test', 89);
+      expect(indexer.lastBlockProcessed).toBe(89);
+    });
+
+    it('skips the check when the RPC node does not have the block yet', async () => {
+      const indexer = makeIndexer();
+      indexer.provider.getBlock.mockResolvedValueOnce(null);
+      indexerState.loadBlockHashes.mockResolvedValue([{ blockNumber: 108, blockHash: '0xhash108' }]);
+
+      expect(await indexer.checkReorg()).toBe(false);
+      expect(indexerState.rewindIndexer).not.toHaveBeenCalled();
+    });
+
+    it('still rewinds when reverting an event fails', async () => {
+      const indexer = makeIndexer();
+      indexerState.loadIndexerEventsAfter.mockResolvedValue([
+        { eventName: 'Placed', blockNumber: 107, txHash: '0xb', logIndex: 0, args: [] }
+      ]);
+      indexer.revertEvent.mockRejectedValueOnce(new Error('boom'));
+
+      await indexer.rollback(100);
+
+      expect(indexerState.rewindIndexer).toHaveBeenCalledWith('test', 100);
+    });
+  });
+
+  describe('helpers', () => {
+    afterEach(() => {
+      delete process.env.INDEXER_CONFIRMATIONS;
+      delete process.env.KENO_INDEXER_CONFIRMATIONS;
+    });
+
+    it('reads confirmations from the per-indexer override, then the global setting', () => {
+      expect(confirmationsFor('keno')).toBe(12);
+      process.env.INDEXER_CONFIRMATIONS = '20';
+      expect(confirmationsFor('keno')).toBe(20);
+      process.env.KENO_INDEXER_CONFIRMATIONS = '0';
+      expect(confirmationsFor('keno')).toBe(0);
+    });
+
+    it('serializes bigints inside nested args', () => {
+      expect(serializeArgs([1n, [2n, 3n], true, '0xabc'])).toEqual(['1', ['2', '3'], true, '0xabc']);
+    });
+  });
+});
@@ -0,0 +1,57 @@
+// Tests for Bolita draw refunds (DB mocked)
+jest.mock('../../config/database', () => {
+  const mockClient = { query: jest.fn(), release: jest.fn() };
+  return {
+    getClient: jest.fn(() => Promise.resolve(mockClient)),
+    query: jest.fn(),
+    __mockClient: mockClient,
+  };
+});
+
+jest.mock('../ledgerService', () => ({
+  ...jest.requireActual('../ledgerService'),
+  transfer: jest.fn().mockResolvedValue(true)
+}));
+
+jest.mock('../responsibleGamingService', () => ({
+  recordRefund: jest.fn().mockResolvedValue()
+}));
+
+const { __mockClient: mockClient } = require('../../config/database');
+const ledgerService = require('../ledgerService');
+const drawService = require('../drawService');
+
+describe('drawService.refundDrawBets', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  it('journals each refund from the Bolita stakes back to the player', async () => {
+    mockClient.query.mockImplementation(async (sql) => {
+      if (sql.includes('FROM bets')) {
+        return { rows: [{ id: 11, user_id: 3, amount: '2.50' }, { id: 12, user_id: 4, amount: '1' }] };
+      }
+      if (sql.includes('UPDATE users')) return { rows: [{ wallet_address: '0xabc' }] };
+      return { rows: [] };
+    });
+
+    const result = await drawService.refundDrawBets(7);
+
+    expect(result).toMatchObject({ refunded: 2, totalAmount: 3.5 });
+    expect(ledgerService.transfer).toHaveBeenCalledTimes(2);
+    expect(ledgerService.transfer).toHaveBeenCalledWith(mockClient, {
+      type: 'refund',
+      from: 'clearing:bolita_stakes',
+      to: 'user:3',
+      amount: 2.5,
+      referenceType: 'bet',
+      referenceId: 11
+    });
+    expect(mockClient.query).toHaveBeenCalledWith('COMMIT');
+  });
+});
@@ -3,6 +3,12 @@ const {
   calculateLossDistribution,
   calculateCappedPayout,
   shouldChargeFee,
+  normalizeBetAmounts,
+  validatePayoutRow,
+  validateBingoPatterns,
+  validateBingoRoomSettings,
+  isBingoRoomOpen,
+  nextBingoRoomOpening,
   MVP_DEFAULTS
 } = require('../gameConfigService');
 
@@ -122,4 +128,143 @@ describe('gameConfigService', () => {
       expect(MVP_DEFAULTS.keno_settlement_enabled).toBe(false);
     });
   });
+
+  describe('normalizeBetAmounts', () => {
+    it('sorts and dedupes denominations', () => {
+      expect(normalizeBetAmounts([5, 1, 2, 1], 1)).toEqual([1, 2, 5]);
+    });
+
+    it('drops invalid values', () => {
+      expect(normalizeBetAmounts([0, -1, 'abc', '2'], 1)).toEqual([2]);
+    });
+
+    it('falls back to the fixed bet when empty or missing', () => {
+      expect(normalizeBetAmounts([], 1)).toEqual([1]);
+      expect(normalizeBetAmounts(undefined, 1)).toEqual([1]);
+    });
+  });
+
+  describe('validatePayoutRow', () => {
+    it('accepts a row with spots + 1 multipliers', () => {
+      expect(() => validatePayoutRow(3, [0, 0, 2, 27])).not.toThrow();
+    });
+
+    it('rejects wrong length', () => {
+      expect(() => validatePayoutRow(3, [0, 2, 27])).toThrow('Se requieren 4');
+    });
+
+    it('rejects spots out of range', () => {
+      expect(() => validatePayoutRow(0, [0])).toThrow('Spots invalido');
+      expect(() => validatePayoutRow(11, new Array(12).fill(0))).toThrow('Spots invalido');
+    });
+
+    it('rejects negative or non-numeric multipliers', () => {
+      expect(() => validatePayoutRow(1, [0, -3])).toThrow('>= 0');
+      expect(() => validatePayoutRow(1, [0, '3'])).toThrow('>= 0');
+    });
+  });
+
+  describe('validateBingoPatterns', () => {
+    const base = [
+      { id: 'line', type: 'line', prizeBps: 1000 },
+      { id: 'bingo', type: 'bingo', prizeBps: 7000 },
+    ];
+
+    it('accepts extra patterns within 100% of the pot', () => {
+      expect(() => validateBingoPatterns([
+        ...base,
+        { id: 'corners', type: 'four_corners', prizeBps: 500 },
+        { id: 'blackout_35', type: 'blackout', prizeBps: 1500, maxBalls: 35 },
+      ])).not.toThrow();
+    });
+
+    it('rejects prize splits above 100%', () => {
+      expect(() => validateBingoPatterns([...base, { id: 'x', type: 'x_shape', prizeBps: 2500 }]))
+        .toThrow('supera el 100%');
+    });
+
+    it('requires maxBalls for blackout and exactly one line and bingo', () => {
+      expect(() => validateBingoPatterns([...base, { id: 'b', type: 'blackout', prizeBps: 100 }]))
+        .toThrow('maxBalls');
+      expect(() => validateBingoPatterns([base[1]])).toThrow("tipo 'line'");
+      expect(() => validateBingoPatterns([...base, { id: 'z', type: 'zigzag', prizeBps: 0 }]))
+        .toThrow('invalido');
+    });
+  });
+
+  describe('validateBingoRoomSettings', () => {
+    it('accepts partial updates and null to fall back to global values', () => {
+      expect(() => validateBingoRoomSettings({ cardPrice: 2.5, minPlayers: 3 })).not.toThrow();
+      expect(() => validateBingoRoomSettings({ cardPrice: null, buyWindowSeconds: null, schedule: null })).not.toThrow();
+    });
+
+    it('rejects out-of-range values', () => {
+      expect(() => validateBingoRoomSettings({ buyWindowSeconds: 5 })).toThrow('Ventana de compra');
+      expect(() => validateBingoRoomSettings({ maxCardsPerUser: 0 })).toThrow('Max cartones');
+      expect(() => validateBingoRoomSettings({ minPlayers: null })).toThrow('Min jugadores');
+      expect(() => validateBingoRoomSettings({ cardPrice: -1 })).toThrow('Precio de carton');
+    });
+
+    it('validates schedule windows and timezone', () => {
+      expect(() => validateBingoRoomSettings({ schedule: { windows: [] } })).toThrow('al menos una ventana');
+      expect(() => validateBingoRoomSettings({
+        schedule: { windows: [{ days: [7], start: '18:00', end: '23:00' }] }
+      })).toThrow('Dias');
+      expect(() => validateBingoRoomSettings({
+        schedule: { windows: [{ days: [1], start: '18:00', end: '24:00' }] }
+      })).toThrow('HH:MM');
+      expect(() => validateBingoRoomSettings({
+        schedule: { timezone: 'Mars/Olympus', windows: [{ days: [1], start: '18:00', end: '23:00' }] }
+      })).toThrow('Zona horaria');
+    });
+  });
+
+  describe('Bingo room schedule', () => {
+    // 2026-10-19 es lunes
+    const evenings = {
+      enabled: true,
+      schedule: { timezone: 'UTC', windows: [{ days: [1, 2, 3, 4, 5], start: '18:00', end: '02:00' }] }
+    };
+
+    it('treats rooms without settings or schedule as always open', () => {
+      expect(isBingoRoomOpen(null)).toBe(true);
+      expect(isBingoRoomOpen({ enabled: true, schedule: null })).toBe(true);
+      expect(isBingoRoomOpen({ enabled: false, schedule: null })).toBe(false);
+    });
+
+    it('handles windows that cross midnight', () => {
+      expect(isBingoRoomOpen(evenings, new Date('2026-10-19T17:59:00Z'))).toBe(false);
+      expect(isBingoRoomOpen(evenings, new Date('2026-10-19T18:00:00Z'))).toBe(true);
+      // Sabado 01:30 pertenece a la ventana del viernes
+      expect(isBingoRoomOpen(evenings, new Date('2026-10-24T01:30:00Z'))).toBe(true);
+      expect(isBingoRoomOpen(evenings, new Date('2026-10-24T02:00:00Z'))).toBe(false);
+      expect(isBingoRoomOpen(evenings, new Date('2026-10-25T01:30:00Z'))).toBe(false);
+    });
+
+    it('applies the schedule timezone', () => {
+      const havana = { ...evenings, schedule: { ...evenings.schedule, timezone: 'America/Havana' } };
+      // 18:00 en La Habana (UTC-4 en octubre) = 22:00 UTC
+      expect(isBingoRoomOpen(havana, new Date('2026-10-19T21:00:00Z'))).toBe(false);
+      expect(isBingoRoomOpen(havana, new Date('2026-10-19T22:00:00Z'))).toBe(true);
+    });
+
+    it('finds the next opening', () => {
+      expect(nextBingoRoomOpening(evenings, new Date('2026-10-19T10:15:30Z')).toISOString())
+        .toBe('2026-10-19T18:00:00.000Z');
+      // Fin de semana cerrado → lunes
+      expect(nextBingoRoomOpening(evenings, new Date('2026-10-24T12:00:00Z')).toISOString())
+        .toBe('2026-10-26T18:00:00.000Z');
+      expect(nextBingoRoomOpening({ enabled: false, schedule: null })).toBeNull();
+    });
+
+    it('follows the clock across a DST change', () => {
+      const madrid = {
+        enabled: true,
+        schedule: { timezone: 'Europe/Madrid', windows: [{ days: [0], start: '20:00', end: '22:00' }] }
+      };
+      // Cambio de hora el 25 de octubre de 2026 (CEST → CET)
+      expect(nextBingoRoomOpening(madrid, new Date('2026-10-24T12:00:00Z')).toISOString())
+        .toBe('2026-10-25T19:00:00.000Z');
+    });
+  });
 });
@@ -0,0 +1,278 @@
+// Tests for kenoAutoplayService (DB and game services mocked)
+jest.mock('../../db', () => ({
+  query: jest.fn(),
+  connect: jest.fn()
+}));
+jest.mock('../kenoService', () => ({
+  playKeno: jest.fn(),
+  resolveBetAmount: jest.fn((amount) => parseFloat(amount)),
+  resolvePayoutTable: jest.fn().mockResolvedValue({ name: 'classic', version: 0, rows: {} })
+}));
+jest.mock('../kenoSessionService', () => ({
+  getOrCreateSession: jest.fn(),
+  getActiveSession: jest.fn()
+}));
+jest.mock('../kenoVrfService', () => ({
+  createSeedCommit: jest.fn()
+}));
+jest.mock('../gameConfigService', () => ({
+  getKenoConfig: jest.fn(),
+  getConfigValue: jest.fn()
+}));
+
+const pool = require('../../db');
+const kenoService = require('../kenoService');
+const kenoSessionService = require('../kenoSessionService');
+const kenoVrfService = require('../kenoVrfService');
+const gameConfigService = require('../gameConfigService');
+const {
+  STOP_REASONS, evaluateStop, startAutoplay, runNextDraw, cancelAutoplay
+} = require('../kenoAutoplayService');
+
+function runRow(overrides = {}) {
+  return {
+    id: 7,
+    session_id: 1,
+    wallet_address: '0xabc',
+    selected_numbers: [1, 2, 3],
+    bet_amount: '1.000000',
+    payout_table: null,
+    client_seed: '',
+    total_draws: 10,
+    draws_completed: 0,
+    total_wagered: '0',
+    total_won: '0',
+    stop_on_net_loss: null,
+    stop_on_single_win: null,
+    status: 'running',
+    ...overrides
+  };
+}
+
+describe('kenoAutoplayService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.useFakeTimers();
+    gameConfigService.getKenoConfig.mockResolvedValue({
+      betAmount: 1, betAmounts: [1], minSpots: 1, maxSpots: 10, totalNumbers: 80,
+      autoplayMaxDraws: 100, autoplayIntervalMs: 3000
+    });
+    gameConfigService.getConfigValue.mockResolvedValue(false);
+  });
+
+  afterEach(() => {
+    jest.clearAllTimers();
+    jest.useRealTimers();
+  });
+
+  describe('evaluateStop', () => {
+    it('continues while no rule is met', () => {
+      const run = runRow({ draws_completed: 3, total_wagered: '3', total_won: '1' });
+      expect(evaluateStop(run, { payout: 0 })).toBeNull();
+    });
+
+    it('stops when all draws are played', () => {
+      const run = runRow({ draws_completed: 10 });
+      expect(evaluateStop(run, { payout: 0 })).toBe(STOP_REASONS.DRAWS_COMPLETED);
+    });
+
+    it('stops when net loss reaches the threshold', () => {
+      const run = runRow({ draws_completed: 5, total_wagered: '5', total_won: '0.5', stop_on_net_loss: '4.5' });
+      expect(evaluateStop(run, { payout: 0 })).toBe(STOP_REASONS.STOP_LOSS);
+    });
+
+    it('stops on a single win at or above the threshold', () => {
+      const run = runRow({ draws_completed: 2, stop_on_single_win: '20' });
+      expect(evaluateStop(run, { payout: 19.99 })).toBeNull();
+      expect(evaluateStop(run, { payout: 20 })).toBe(STOP_REASONS.SINGLE_WIN);
+    });
+
+    it('prefers the win rule over the draw count on the last draw', () => {
+      const run = runRow({ draws_completed: 10, stop_on_single_win: '5' });
+      expect(evaluateStop(run, { payout: 8 })).toBe(STOP_REASONS.SINGLE_WIN);
+    });
+  });
+
+  describe('startAutoplay', () => {
+    it('rejects a draw count above the configured maximum', async () => {
+      await expect(
+        startAutoplay('0xABC', { numbers: [1, 2, 3], amount: 1, draws: 101 })
+      ).rejects.toThrow('Numero de rondas invalido (1-100)');
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+
+    it('rejects invalid numbers before queueing', async () => {
+      await expect(
+        startAutoplay('0xabc', { numbers: [1, 1, 3], amount: 1, draws: 5 })
+      ).rejects.toThrow('unicos');
+    });
+
+    it('rejects a non-positive stop-loss', async () => {
+      await expect(
+        startAutoplay('0xabc', { numbers: [1, 2, 3], amount: 1, draws: 5, stopLoss: -1 })
+      ).rejects.toThrow('stopLoss');
+    });
+
+    it('creates a run tied to the active session', async () => {
+      kenoSessionService.getOrCreateSession.mockResolvedValue({ id: 1 });
+      pool.query.mockResolvedValueOnce({ rows: [runRow({ stop_on_net_loss: '5' })] });
+
+      const run = await startAutoplay('0xABC', {
+        numbers: [1, 2, 3], amount: 1, draws: 10, stopLoss: 5
+      });
+
+      const [sql, params] = pool.query.mock.calls[0];
+      expect(sql).toContain('INSERT INTO keno_autoplay_runs');
+      expect(params.slice(0, 2)).toEqual([1, '0xabc']);
+      expect(params[6]).toBe(10);
+      expect(params[7]).toBe(5);
+      expect(run).toMatchObject({ id: 7, status: 'running', remainingDraws: 10, stopLoss: 5 });
+    });
+
+    it('reports an already running autoplay', async () => {
+      kenoSessionService.getOrCreateSession.mockResolvedValue({ id: 1 });
+      pool.query.mockRejectedValueOnce(Object.assign(new Error('duplicate key'), { code: '23505' }));
+
+      await expect(
+        startAutoplay('0xabc', { numbers: [1, 2, 3], amount: 1, draws: 10 })
+      ).rejects.toThrow('Ya tienes un autoplay activo');
+    });
+  });
+
+  describe('runNextDraw', () => {
+    function lastFinish() {
+      return pool.query.mock.calls.find(
+        c => c[0].includes('UPDATE keno_autoplay_runs') && c[0].includes('finished_at')
+      );
+    }
+
+    it('does nothing when the run is no longer running', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [runRow({ status: 'cancelled' })] });
+
+      await runNextDraw(7);
+
+      expect(kenoService.playKeno).not.toHaveBeenCalled();
+    });
+
+    it('stops with session_closed when the session was settled', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [runRow()] })
+        .mockResolvedValueOnce({ rows: [runRow({ status: 'stopped' })] });
+      kenoSessionService.getActiveSession.mockResolvedValue({ id: 2 });
+
+      await runNextDraw(7);
+
+      expect(kenoService.playKeno).not.toHaveBeenCalled();
+      expect(lastFinish()[1]).toEqual([7, 'stopped', 'session_closed', null]);
+    });
+
+    it('maps loss limit errors to loss_limit', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [runRow()] })
+        .mockResolvedValueOnce({ rows: [runRow({ status: 'stopped' })] });
+      kenoSessionService.getActiveSession.mockResolvedValue({ id: 1 });
+      kenoService.playKeno.mockRejectedValue(
+        Object.assign(new Error('Limite de perdida diaria alcanzado'), { code: 'LOSS_LIMIT' })
+      );
+
+      await runNextDraw(7);
+
+      expect(lastFinish()[1]).toEqual([7, 'stopped', 'loss_limit', 'Limite de perdida diaria alcanzado']);
+    });
+
+    it('stops with reality_check while the session notice is unacknowledged', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [runRow()] })
+        .mockResolvedValueOnce({ rows: [runRow({ status: 'stopped' })] });
+      kenoSessionService.getActiveSession.mockResolvedValue({ id: 1 });
+      kenoService.playKeno.mockRejectedValue(
+        Object.assign(new Error('Confirma el aviso de sesion'), { code: 'REALITY_CHECK_REQUIRED' })
+      );
+
+      await runNextDraw(7);
+
+      expect(lastFinish()[1]).toEqual([7, 'stopped', 'reality_check', 'Confirma el aviso de sesion']);
+    });
+
+    it('fails the run when a lookup before the play throws', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [runRow()] })
+        .mockResolvedValueOnce({ rows: [runRow({ status: 'failed' })] });
+      kenoSessionService.getActiveSession.mockRejectedValue(new Error('connection terminated'));
+
+      await runNextDraw(7);
+
+      expect(kenoService.playKeno).not.toHaveBeenCalled();
+      expect(lastFinish()[1]).toEqual([7, 'failed', 'error', 'connection terminated']);
+    });
+
+    it('plays with the run parameters and schedules the next draw', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [runRow({ client_seed: 'abc' })] })
+        .mockResolvedValueOnce({ rows: [runRow({ draws_completed: 1, total_wagered: '1' })] });
+      kenoSessionService.getActiveSession.mockResolvedValue({ id: 1 });
+      kenoService.playKeno.mockResolvedValue({ gameId: 'KENO-1', betAmount: 1, payout: 0 });
+
+      await runNextDraw(7);
+
+      expect(kenoService.playKeno).toHaveBeenCalledWith('0xabc', [1, 2, 3], 1, null, 'abc', null, 7);
+      expect(lastFinish()).toBeUndefined();
+      expect(jest.getTimerCount()).toBe(1);
+    });
+
+    it('requests a seed commit per draw when commit-reveal is enabled', async () => {
+      gameConfigService.getConfigValue.mockResolvedValue(true);
+      kenoVrfService.createSeedCommit.mockResolvedValue({ commitId: 'c1', seedHash: 'h' });
+      pool.query
+        .mockResolvedValueOnce({ rows: [runRow()] })
+        .mockResolvedValueOnce({ rows: [runRow({ draws_completed: 1 })] });
+      kenoSessionService.getActiveSession.mockResolvedValue({ id: 1 });
+      kenoService.playKeno.mockResolvedValue({ gameId: 'KENO-1', betAmount: 1, payout: 0 });
+
+      await runNextDraw(7);
+
+      expect(kenoService.playKeno.mock.calls[0][3]).toBe('c1');
+    });
+
+    it('finishes when a stop rule is met', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [runRow({ stop_on_net_loss: '1' })] })
+        .mockResolvedValueOnce({ rows: [runRow({ draws_completed: 1, total_wagered: '1', stop_on_net_loss: '1' })] })
+        .mockResolvedValueOnce({ rows: [runRow({ status: 'stopped' })] });
+      kenoSessionService.getActiveSession.mockResolvedValue({ id: 1 });
+      kenoService.playKeno.mockResolvedValue({ gameId: 'KENO-1', betAmount: 1, payout: 0 });
+
+      await runNextDraw(7);
+
+      expect(lastFinish()[1]).toEqual([7, 'stopped', 'stop_loss', null]);
+      expect(jest.getTimerCount()).toBe(0);
+    });
+  });
+
+  describe('cancelAutoplay', () => {
+    it('rejects runs owned by another wallet', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [] });
+
+      await expect(cancelAutoplay('0xabc', 7)).rejects.toThrow('Autoplay no encontrado');
+    });
+
+    it('rejects runs that already finished', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ id: 7 }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      await expect(cancelAutoplay('0xabc', 7)).rejects.toThrow('ya finalizo');
+    });
+
+    it('marks the run as cancelled by the player', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ id: 7 }] })
+        .mockResolvedValueOnce({ rows: [runRow({ status: 'cancelled', stop_reason: 'cancelled_by_player', draws_completed: 3 })] });
+
+      const run = await cancelAutoplay('0xABC', 7);
+
+      expect(pool.query.mock.calls[0][1]).toEqual([7, '0xabc']);
+      expect(run).toMatchObject({ status: 'cancelled', stopReason: 'cancelled_by_player', remainingDraws: 0 });
+    });
+  });
+});
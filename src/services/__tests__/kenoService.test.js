@@ -30,6 +30,8 @@ jest.mock('../gameConfigService', () => ({
     total: loss
   })),
   invalidatePoolBalanceCache: jest.fn(),
+  getKenoPayoutTable: jest.fn().mockResolvedValue(null),
+  getKenoPayoutTables: jest.fn().mockResolvedValue({}),
   getLossLimitConfig: jest.fn().mockResolvedValue({
     dailyLossLimit: 0,
     sessionLossLimit: 0,
@@ -38,12 +40,28 @@ jest.mock('../gameConfigService', () => ({
 }));
 jest.mock('../kenoVrfService', () => ({
   generateServerSeed: jest.fn(() => 'mock-server-seed'),
-  generateCombinedSeed: jest.fn((s, c, n) => `${s}-${c}-${n}`)
+  generateCombinedSeed: jest.fn((s, c, n) => `${s}-${c}-${n}`),
+  takeChainSeed: jest.fn()
 }));
+const kenoVrfService = require('../kenoVrfService');
+jest.mock('../ledgerService', () => ({
+  ...jest.requireActual('../ledgerService'),
+  post: jest.fn().mockResolvedValue(true),
+  transfer: jest.fn().mockResolvedValue(true)
+}));
+const ledgerService = require('../ledgerService');
+jest.mock('../responsibleGamingService', () => ({
+  checkPlay: jest.fn().mockResolvedValue(undefined),
+  recordWager: jest.fn(),
+  recordPayout: jest.fn()
+}));
+const responsibleGamingService = require('../responsibleGamingService');
 
 const pool = require('../../db');
 const gameConfigService = require('../gameConfigService');
-const { KENO_CONFIG, PAYOUT_TABLE, playKeno } = require('../kenoService');
+const {
+  KENO_CONFIG, PAYOUT_TABLE, playKeno, resolveBetAmount, resolvePayoutTable,
+} = require('../kenoService');
 
 describe('kenoService', () => {
   describe('KENO_CONFIG', () => {
@@ -220,6 +238,7 @@ describe('kenoService', () => {
       });
       gameConfigService.getSystemConfig.mockResolvedValue({});
       gameConfigService.getConfigValue.mockResolvedValue(false); // commit-reveal disabled
+      gameConfigService.getKenoPayoutTable.mockResolvedValue(null); // static classic v0
     });
 
     function setupDbForPlay(balance = 100, sessionExists = true) {
@@ -271,6 +290,40 @@ describe('kenoService', () => {
       expect(result.provablyFair).toHaveProperty('nonce', 0);
     });
 
+    it('posts the bet split between fee and pool to the ledger', async () => {
+      setupDbForPlay(100);
+
+      const result = await playKeno('0xabc', [5, 10, 15], 1);
+
+      expect(ledgerService.post).toHaveBeenCalledWith(mockClient, expect.objectContaining({
+        type: 'bet',
+        referenceId: result.gameId,
+        postings: [
+          { account: 'clearing:keno_sessions', amount: 1 },
+          { account: 'fees:operator', amount: -0.12 }
+        ],
+        balanceTo: 'pool:keno'
+      }));
+      if (result.payout > 0) {
+        expect(ledgerService.transfer).toHaveBeenCalledWith(mockClient, expect.objectContaining({
+          from: 'pool:keno', to: 'clearing:keno_sessions', amount: result.payout
+        }));
+      } else {
+        expect(ledgerService.transfer).not.toHaveBeenCalled();
+      }
+    });
+
+    it('checks and records the wager for responsible gaming', async () => {
+      setupDbForPlay(100);
+
+      const result = await playKeno('0xABC', [5, 10, 15], 1);
+
+      expect(responsibleGamingService.checkPlay).toHaveBeenCalledWith(mockClient, '0xabc', 1);
+      expect(responsibleGamingService.recordWager).toHaveBeenCalledWith(
+        mockClient, '0xabc', 'keno', 1, { referenceType: 'keno_game', referenceId: result.gameId }
+      );
+    });
+
     it('lowercases wallet address', async () => {
       setupDbForPlay(100);
 
@@ -345,5 +398,140 @@ describe('kenoService', () => {
       expect(rollback).toBeDefined();
       expect(mockClient.release).toHaveBeenCalled();
     });
+  
+    it('rejects a bet amount that is not an allowed denomination', async () => {
+      await expect(
+        playKeno('0xabc', [1, 2, 3], 3)
+      ).rejects.toThrow('Monto no permitido');
+      expect(pool.connect).not.toHaveBeenCalled();
+    });
+
+    it('accepts any configured denomination', async () => {
+      gameConfigService.getKenoConfig.mockResolvedValue({
+        betAmount: 1, betAmounts: [1, 2, 5], maxPayout: 50, feeBps: 1200,
+        minSpots: 1, maxSpots: 10, totalNumbers: 80, drawnNumbers: 20,
+      });
+      setupDbForPlay(100);
+
+      const result = await playKeno('0xabc', [1, 2, 3], '5');
+      expect(result.betAmount).toBe(5);
+    });
+
+    it('records payout table name and version on the game row', async () => {
+      setupDbForPlay(100);
+
+      const result = await playKeno('0xabc', [1, 2, 3], 1);
+
+      expect(result.payoutTable).toBe('classic');
+      expect(result.payoutTableVersion).toBe(0);
+      const insert = mockClient.query.mock.calls.find(
+        c => typeof c[0] === 'string' && c[0].includes('INSERT INTO keno_games')
+      );
+      expect(insert[1].slice(-3)).toEqual(['classic', 0, null]);
+    });
+
+    it('links the game to an autoplay run when given', async () => {
+      setupDbForPlay(100);
+
+      await playKeno('0xabc', [1, 2, 3], 1, null, '', null, 12);
+
+      const insert = mockClient.query.mock.calls.find(
+        c => typeof c[0] === 'string' && c[0].includes('INSERT INTO keno_games')
+      );
+      expect(insert[0]).toContain('autoplay_id');
+      expect(insert[1][insert[1].length - 1]).toBe(12);
+    });
+
+    it('draws the server seed from the hash chain when enabled', async () => {
+      gameConfigService.getConfigValue.mockImplementation(async (key, def) =>
+        key === 'keno_seed_chain_enabled' ? true : def);
+      kenoVrfService.takeChainSeed.mockResolvedValue({
+        serverSeed: 'chain-seed', seedHash: 'prev-link', chainId: 3, chainIndex: 7
+      });
+      setupDbForPlay(100);
+
+      const result = await playKeno('0xabc', [1, 2, 3], 1);
+
+      expect(kenoVrfService.takeChainSeed).toHaveBeenCalledWith('0xabc', mockClient);
+      expect(result.provablyFair).toMatchObject({
+        serverSeed: 'chain-seed', seedHash: 'prev-link', chainId: 3, chainIndex: 7
+      });
+      const insert = mockClient.query.mock.calls.find(
+        c => typeof c[0] === 'string' && c[0].includes('INSERT INTO keno_games')
+      );
+      expect(insert[1].slice(-5, -3)).toEqual([3, 7]);
+      gameConfigService.getConfigValue.mockResolvedValue(false);
+    });
+
+    it('tags insufficient balance and loss limit errors with a code', async () => {
+      mockClient.query
+        .mockResolvedValueOnce(null) // BEGIN
+        .mockResolvedValueOnce({ rows: [{ id: 1, total_wagered: 0, total_won: 0 }] })
+        .mockResolvedValueOnce({ rows: [{ balance: 0.5 }] });
+      await expect(playKeno('0xabc', [1, 2, 3], 1)).rejects.toMatchObject({ code: 'INSUFFICIENT_BALANCE' });
+
+      gameConfigService.getLossLimitConfig.mockResolvedValueOnce({
+        dailyLossLimit: 0, sessionLossLimit: 10, maxGamesPerSession: 0
+      });
+      mockClient.query
+        .mockResolvedValueOnce(null) // BEGIN
+        .mockResolvedValueOnce({ rows: [{ id: 1, total_wagered: 20, total_won: 5, games_played: 20 }] })
+        .mockResolvedValueOnce({ rows: [{ balance: 100 }] });
+      await expect(playKeno('0xabc', [1, 2, 3], 1)).rejects.toMatchObject({ code: 'LOSS_LIMIT' });
+    });
+
+    it('uses multipliers from the requested versioned table', async () => {
+      // Table that pays 2x on every outcome (so the multiplier is deterministic)
+      const rows = {};
+      for (let spots = 1; spots <= 10; spots++) rows[spots] = new Array(spots + 1).fill(2);
+      gameConfigService.getKenoPayoutTable.mockResolvedValue({ name: 'flat', version: 3, rows });
+      setupDbForPlay(100);
+
+      const result = await playKeno('0xabc', [1, 2, 3], 1, null, '', 'flat');
+
+      expect(gameConfigService.getKenoPayoutTable).toHaveBeenCalledWith('flat', null);
+      expect(result.multiplier).toBe(2);
+      expect(result.payoutTable).toBe('flat');
+      expect(result.payoutTableVersion).toBe(3);
+    });
+
+    it('rejects an unknown payout table', async () => {
+      await expect(
+        playKeno('0xabc', [1, 2, 3], 1, null, '', 'missing')
+      ).rejects.toThrow("Tabla de pagos 'missing' no disponible");
+    });
+  });
+
+  describe('resolveBetAmount', () => {
+    it('matches denominations in cents', () => {
+      expect(resolveBetAmount('2.00', [1, 2, 5])).toBe(2);
+      expect(resolveBetAmount(0.5, [0.5, 1])).toBe(0.5);
+    });
+
+    it('rejects non-numeric or unlisted amounts', () => {
+      expect(() => resolveBetAmount('abc', [1])).toThrow('Monto no permitido');
+      expect(() => resolveBetAmount(1.5, [1, 2])).toThrow('Opciones: 1, 2');
+    });
+
+    it('falls back to the base bet when no amount is sent', () => {
+      expect(resolveBetAmount(undefined, [1, 2, 5], 1)).toBe(1);
+      expect(resolveBetAmount(null, [1, 2, 5], 1)).toBe(1);
+      expect(() => resolveBetAmount(7, [1, 2, 5], 1)).toThrow('Monto no permitido');
+    });
+  });
+
+  describe('resolvePayoutTable', () => {
+    beforeEach(() => jest.clearAllMocks());
+
+    it('returns the static table as classic v0', async () => {
+      const table = await resolvePayoutTable('classic', 0);
+      expect(table).toEqual({ name: 'classic', version: 0, rows: PAYOUT_TABLE });
+      expect(gameConfigService.getKenoPayoutTable).not.toHaveBeenCalled();
+    });
+
+    it('does not fall back for a specific missing version', async () => {
+      gameConfigService.getKenoPayoutTable.mockResolvedValue(null);
+      await expect(resolvePayoutTable('classic', 7)).resolves.toBeNull();
+    });
   });
 });
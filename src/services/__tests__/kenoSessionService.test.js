@@ -18,18 +18,35 @@ jest.mock('../gameConfigService', () => ({
   getConfigValue: jest.fn().mockResolvedValue(false)
 }));
 
+jest.mock('../ledgerService', () => ({
+  ACCOUNTS: { KENO_SESSIONS: 'clearing:keno_sessions' },
+  ENTRY_TYPES: { SESSION_SETTLEMENT: 'session_settlement' },
+  userAccount: jest.fn(id => `user:${id}`),
+  transfer: jest.fn().mockResolvedValue(true)
+}));
+
+// Mock settlement queue (lazy-required by settleSession)
+const mockEnqueueSettlement = jest.fn();
+const mockProcessSettlementById = jest.fn().mockResolvedValue(null);
+jest.mock('../kenoSettlementService', () => ({
+  enqueueSettlement: mockEnqueueSettlement,
+  processSettlementById: mockProcessSettlementById
+}));
+
 // Mock ethers — test EIP-712 structure without a real provider
 const mockSignTypedData = jest.fn().mockResolvedValue('0xmocksignature');
 const mockGetNetwork = jest.fn().mockResolvedValue({ chainId: 31337n });
 const mockGetBalance = jest.fn().mockResolvedValue(0n);
 
+// Shared RPC pool
+jest.mock('../../chain/provider', () => ({
+  getProvider: jest.fn(() => ({ getNetwork: mockGetNetwork }))
+}));
+
 jest.mock('ethers', () => {
   const actual = jest.requireActual('ethers');
   return {
     ...actual,
-    JsonRpcProvider: jest.fn().mockImplementation(() => ({
-      getNetwork: mockGetNetwork
-    })),
     Wallet: jest.fn().mockImplementation(() => ({
       signTypedData: mockSignTypedData
     })),
@@ -169,7 +186,7 @@ describe('kenoSessionService', () => {
       mockClient.query
         .mockResolvedValueOnce() // BEGIN
         .mockResolvedValueOnce({ rows: [{ id: 5, total_won: '50', total_wagered: '30', games_played: 10 }] })
-        .mockResolvedValueOnce() // UPDATE users balance
+        .mockResolvedValueOnce({ rows: [{ id: 9 }] }) // UPDATE users balance
         .mockResolvedValueOnce() // UPDATE keno_sessions settled
         .mockResolvedValueOnce(); // COMMIT
 
@@ -177,6 +194,32 @@ describe('kenoSessionService', () => {
       expect(result.success).toBe(true);
       expect(result.netResult).toBe(20);
       expect(result.txHash).toBeNull();
+      expect(mockEnqueueSettlement).not.toHaveBeenCalled();
+      expect(require('../ledgerService').transfer).toHaveBeenCalledWith(mockClient, expect.objectContaining({
+        from: 'clearing:keno_sessions',
+        to: 'user:9',
+        amount: 20
+      }));
+    });
+
+    it('queues the on-chain settlement instead of sending it inline', async () => {
+      const gameConfigService = require('../gameConfigService');
+      gameConfigService.getConfigValue.mockResolvedValueOnce(true);
+      const session = { id: 7, wallet_address: '0xabc', total_won: '5', total_wagered: '30', games_played: 4 };
+      mockEnqueueSettlement.mockResolvedValueOnce({ id: 3, status: 'pending', tx_hash: null });
+
+      mockClient.query
+        .mockResolvedValueOnce() // BEGIN
+        .mockResolvedValueOnce({ rows: [session] })
+        .mockResolvedValueOnce({ rows: [{ id: 9 }] }) // UPDATE users balance
+        .mockResolvedValueOnce() // UPDATE keno_sessions settled
+        .mockResolvedValueOnce(); // COMMIT
+
+      const result = await kenoSessionService.settleSession('0xabc');
+
+      expect(mockEnqueueSettlement).toHaveBeenCalledWith(mockClient, session, -25);
+      expect(mockProcessSettlementById).toHaveBeenCalledWith(3);
+      expect(result).toMatchObject({ success: true, netResult: -25, settlementId: 3, settlementStatus: 'pending', txHash: null });
     });
   });
 
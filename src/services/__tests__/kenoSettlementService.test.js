@@ -0,0 +1,309 @@
+// Tests for the Keno on-chain settlement queue and reconciler
+const mockClient = {
+  query: jest.fn(),
+  release: jest.fn()
+};
+const mockPool = {
+  query: jest.fn(),
+  connect: jest.fn()
+};
+jest.mock('../../db', () => mockPool);
+jest.mock('../gameConfigService', () => ({
+  getConfigValue: jest.fn((key, fallback) => Promise.resolve(fallback))
+}));
+jest.mock('../kenoSessionService', () => ({
+  getSettlementContract: jest.fn(),
+  signSettlement: jest.fn()
+}));
+jest.mock('../../db/indexerState', () => ({
+  loadIndexerBlock: jest.fn()
+}));
+jest.mock('../../chain/txManager', () => ({
+  txManager: { sendContract: jest.fn() }
+}));
+
+const kenoSessionService = require('../kenoSessionService');
+const { txManager } = require('../../chain/txManager');
+const { loadIndexerBlock } = require('../../db/indexerState');
+const kenoSettlementService = require('../kenoSettlementService');
+
+const SESSION_BYTES32 = '0x' + '0'.repeat(62) + '0c';
+
+function jobRow(overrides = {}) {
+  return {
+    id: 5,
+    session_id: 12,
+    session_id_bytes32: SESSION_BYTES32,
+    wallet_address: '0xabc',
+    amount: '10.500000',
+    amount_wei: '10500000',
+    is_profit: true,
+    status: 'pending',
+    signature: null,
+    attempts: 0,
+    tx_hash: null,
+    submitted_at: null,
+    ...overrides
+  };
+}
+
+function mockChain(overrides = {}) {
+  const contract = {
+    usedSessionIds: jest.fn().mockResolvedValue(false),
+    ...overrides.contract
+  };
+  txManager.sendContract.mockImplementation(overrides.send || (async () => ({
+    id: 31,
+    hash: '0xtx',
+    wait: jest.fn().mockResolvedValue({ hash: '0xtx', blockNumber: 99 })
+  })));
+  const provider = {
+    getTransactionReceipt: jest.fn().mockResolvedValue(null),
+    ...overrides.provider
+  };
+  kenoSessionService.getSettlementContract.mockReturnValue({ contract, provider });
+  return { contract, provider };
+}
+
+const sqlCalls = (mock) => mock.mock.calls.map(([sql]) => sql);
+
+describe('kenoSettlementService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockPool.connect.mockResolvedValue(mockClient);
+    mockPool.query.mockResolvedValue({ rows: [] });
+    mockClient.query.mockImplementation((sql, params) => Promise.resolve({
+      rows: /RETURNING/.test(sql || '') ? [{ id: params[0], status: /'failed'/.test(sql) ? 'failed' : 'confirmed' }] : []
+    }));
+  });
+
+  it('doubles the backoff per attempt up to the cap', () => {
+    expect(kenoSettlementService.computeBackoffSeconds(1, 30)).toBe(30);
+    expect(kenoSettlementService.computeBackoffSeconds(4, 30)).toBe(240);
+    expect(kenoSettlementService.computeBackoffSeconds(30, 30)).toBe(6 * 60 * 60);
+  });
+
+  describe('enqueueSettlement', () => {
+    it('stores amount in wei keyed by the bytes32 session id', async () => {
+      const client = { query: jest.fn().mockResolvedValueOnce({ rows: [jobRow()] }) };
+
+      const job = await kenoSettlementService.enqueueSettlement(
+        client, { id: 12, wallet_address: '0xABC', games_played: 3 }, -10.5
+      );
+
+      const [sql, params] = client.query.mock.calls[0];
+      expect(sql).toContain('ON CONFLICT (session_id_bytes32) DO NOTHING');
+      expect(params).toEqual(['0xabc', 10.5, 'debit', 3, 12, SESSION_BYTES32, '10500000', false]);
+      expect(job.id).toBe(5);
+    });
+
+    it('returns the existing job when the session was already queued', async () => {
+      const client = {
+        query: jest.fn()
+          .mockResolvedValueOnce({ rows: [] })
+          .mockResolvedValueOnce({ rows: [jobRow({ status: 'submitted' })] })
+      };
+
+      const job = await kenoSettlementService.enqueueSettlement(
+        client, { id: 12, wallet_address: '0xabc', games_played: 3 }, 10.5
+      );
+
+      expect(job.status).toBe('submitted');
+      expect(client.query).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('processSettlement', () => {
+    it('signs, submits and confirms a pending job', async () => {
+      const { contract } = mockChain();
+      kenoSessionService.signSettlement.mockResolvedValue('0xsig');
+
+      const result = await kenoSettlementService.processSettlement(jobRow());
+
+      expect(kenoSessionService.signSettlement).toHaveBeenCalledWith('0xabc', 10500000n, true, SESSION_BYTES32);
+      expect(txManager.sendContract).toHaveBeenCalledWith(
+        contract, 'settleKenoSession', ['0xabc', 10500000n, true, SESSION_BYTES32, '0xsig'],
+        { purpose: 'keno.settleKenoSession', referenceType: 'keno_settlement', referenceId: 5 }
+      );
+      const poolSql = sqlCalls(mockPool.query);
+      expect(poolSql[0]).toContain("status = 'signed'");
+      expect(poolSql[1]).toContain("status = 'submitted'");
+      expect(mockClient.query.mock.calls[1][1]).toEqual([5, '0xtx', 99]);
+      expect(mockClient.query.mock.calls[2][1]).toEqual([12, '0xtx']);
+      expect(result.status).toBe('confirmed');
+    });
+
+    it('confirms without resending when the contract already used the session id', async () => {
+      const { contract } = mockChain({ contract: { usedSessionIds: jest.fn().mockResolvedValue(true) } });
+
+      const result = await kenoSettlementService.processSettlement(jobRow({ status: 'signed', signature: '0xsig' }));
+
+      expect(txManager.sendContract).not.toHaveBeenCalled();
+      expect(kenoSessionService.signSettlement).not.toHaveBeenCalled();
+      expect(result.status).toBe('confirmed');
+    });
+
+    it('confirms a submitted job from its receipt', async () => {
+      const { contract } = mockChain({
+        provider: { getTransactionReceipt: jest.fn().mockResolvedValue({ status: 1, hash: '0xold', blockNumber: 80 }) }
+      });
+
+      await kenoSettlementService.processSettlement(jobRow({ status: 'submitted', tx_hash: '0xold', signature: '0xsig' }));
+
+      expect(contract.usedSessionIds).not.toHaveBeenCalled();
+      expect(mockClient.query.mock.calls[1][1]).toEqual([5, '0xold', 80]);
+    });
+
+    it('waits on a recently submitted job without spending an attempt', async () => {
+      mockChain();
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [] }) // operator tx
+        .mockResolvedValueOnce({ rows: [jobRow({ status: 'submitted', attempts: 0 })] });
+
+      const result = await kenoSettlementService.processSettlement(
+        jobRow({ status: 'submitted', tx_hash: '0xold', submitted_at: new Date() })
+      );
+
+      expect(txManager.sendContract).not.toHaveBeenCalled();
+      expect(mockPool.query.mock.calls[1][1]).toEqual([5, 60]);
+      expect(result.attempts).toBe(0);
+    });
+
+    it('follows the replacement hash and keeps waiting while the operator tx is pending', async () => {
+      const { provider } = mockChain();
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [{ status: 'submitted', tx_hash: '0xbumped' }] })
+        .mockResolvedValueOnce({ rows: [jobRow({ status: 'submitted' })] });
+
+      const result = await kenoSettlementService.processSettlement(
+        jobRow({ status: 'submitted', tx_hash: '0xold', submitted_at: new Date(Date.now() - 60 * 60 * 1000) })
+      );
+
+      expect(provider.getTransactionReceipt).toHaveBeenCalledWith('0xbumped');
+      expect(mockPool.query.mock.calls[0][1]).toEqual(['5']);
+      expect(txManager.sendContract).not.toHaveBeenCalled();
+      expect(result.status).toBe('submitted');
+    });
+
+    it('schedules a retry with backoff when submission fails', async () => {
+      mockChain({ send: async () => { throw new Error('nonce too low'); } });
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [] }) // UPDATE signed
+        .mockResolvedValueOnce({ rows: [jobRow({ status: 'signed', signature: '0xsig', attempts: 2 })] }) // reload
+        .mockResolvedValueOnce({ rows: [jobRow({ status: 'signed', attempts: 3 })] }); // UPDATE backoff
+      kenoSessionService.signSettlement.mockResolvedValue('0xsig');
+
+      const result = await kenoSettlementService.processSettlement(jobRow({ attempts: 2 }));
+
+      const [sql, params] = mockPool.query.mock.calls[2];
+      expect(sql).toContain('next_attempt_at = NOW() + make_interval');
+      expect(params).toEqual([5, 3, 'nonce too low', 120]);
+      expect(result.status).toBe('signed');
+    });
+
+    it('marks the job and session failed after the last attempt', async () => {
+      mockChain({ contract: { usedSessionIds: jest.fn().mockRejectedValue(new Error('rpc down')) } });
+      mockPool.query.mockResolvedValueOnce({ rows: [jobRow({ attempts: 7 })] }); // reload
+
+      const result = await kenoSettlementService.processSettlement(jobRow({ attempts: 7 }));
+
+      const clientSql = sqlCalls(mockClient.query);
+      expect(clientSql[1]).toContain("status = 'failed'");
+      expect(clientSql[2]).toContain("status = 'settlement_failed'");
+      expect(mockClient.query.mock.calls[2][1]).toEqual([12, 'on-chain failed: rpc down']);
+      expect(result.status).toBe('failed');
+    });
+  });
+
+  it('skips the queue when no operator signer is configured', async () => {
+    kenoSessionService.getSettlementContract.mockReturnValue(null);
+
+    const summary = await kenoSettlementService.processSettlementQueue();
+
+    expect(summary.processed).toBe(0);
+    expect(mockPool.query).not.toHaveBeenCalled();
+  });
+
+  describe('retrySessionSettlement', () => {
+    it('resets attempts of a failed job without marking the session settled', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({ rows: [] }) // BEGIN
+        .mockResolvedValueOnce({ rows: [{ id: 12, status: 'settlement_failed' }] })
+        .mockResolvedValueOnce({ rows: [jobRow({ status: 'failed', attempts: 8 })] })
+        .mockResolvedValueOnce({ rows: [jobRow({ status: 'pending', attempts: 0 })] });
+
+      const result = await kenoSettlementService.retrySessionSettlement(12);
+
+      expect(mockClient.query.mock.calls[3][0]).toContain('attempts = 0');
+      expect(sqlCalls(mockClient.query).some(sql => sql.includes('keno_sessions SET'))).toBe(false);
+      expect(result).toMatchObject({ id: 5, status: 'pending', attempts: 0 });
+    });
+
+    it('refuses to retry a confirmed settlement', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ id: 12, status: 'settled' }] })
+        .mockResolvedValueOnce({ rows: [jobRow({ status: 'confirmed' })] });
+
+      await expect(kenoSettlementService.retrySessionSettlement(12)).rejects.toThrow('ya esta confirmada');
+      expect(sqlCalls(mockClient.query)).toContain('ROLLBACK');
+    });
+  });
+
+  describe('reconcileSettlements', () => {
+    function eventRow(overrides = {}) {
+      return {
+        id: 1,
+        session_id_bytes32: SESSION_BYTES32,
+        wallet_address: '0xabc',
+        net_amount_wei: '10500000',
+        is_profit: true,
+        tx_hash: '0xevent',
+        block_number: 120,
+        settlement_row_id: 5,
+        settlement_status: 'confirmed',
+        settlement_wallet: '0xabc',
+        amount_wei: '10500000',
+        settlement_is_profit: true,
+        session_id: 12,
+        ...overrides
+      };
+    }
+
+    it('matches events, heals unconfirmed jobs and flags mismatches', async () => {
+      loadIndexerBlock.mockResolvedValue(150);
+      mockPool.query
+        .mockResolvedValueOnce({
+          rows: [
+            eventRow(),
+            eventRow({ id: 2, settlement_row_id: 6, settlement_status: 'submitted', session_id: 13 }),
+            eventRow({ id: 3, settlement_row_id: 7, net_amount_wei: '1' }),
+            eventRow({ id: 4, settlement_row_id: null })
+          ]
+        })
+        .mockResolvedValue({ rows: [] });
+
+      const summary = await kenoSettlementService.reconcileSettlements();
+
+      expect(summary).toEqual({ matched: 2, healed: 1, mismatched: 1, missingEvents: 0, unknownEvents: 1 });
+      // Healing: markConfirmed con los datos del evento
+      expect(mockClient.query.mock.calls[1][1]).toEqual([6, '0xevent', 120]);
+      const mismatch = mockPool.query.mock.calls.find(([sql]) => sql.includes("'mismatch'"));
+      expect(mismatch[1]).toEqual([7, 'Evento on-chain no coincide: amount (tx 0xevent)']);
+    });
+
+    it('flags confirmed settlements the indexer has passed without an event', async () => {
+      loadIndexerBlock.mockResolvedValue(150);
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ id: 5 }, { id: 9 }] });
+
+      const summary = await kenoSettlementService.reconcileSettlements();
+
+      const [sql, params] = mockPool.query.mock.calls[1];
+      expect(sql).toContain("reconcile_status = 'missing_event'");
+      expect(params).toEqual([150, 15]);
+      expect(summary.missingEvents).toBe(2);
+    });
+  });
+});
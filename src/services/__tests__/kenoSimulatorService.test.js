@@ -0,0 +1,96 @@
+// Tests for the Keno payout table simulator (pure math, DB mocked at import)
+jest.mock('../../db', () => ({
+  query: jest.fn(),
+  connect: jest.fn()
+}));
+
+const { PAYOUT_TABLE } = require('../kenoService');
+const {
+  hitProbability, normalizeRows, computeExactStats, runMonteCarlo, simulateTable
+} = require('../kenoSimulatorService');
+
+describe('kenoSimulatorService', () => {
+  describe('hitProbability', () => {
+    it('matches the known 1-spot probability (20/80)', () => {
+      expect(hitProbability(1, 1)).toBeCloseTo(0.25, 12);
+    });
+
+    it('sums to 1 over all hit counts for every spot count', () => {
+      for (let spots = 1; spots <= 10; spots++) {
+        let total = 0;
+        for (let hits = 0; hits <= spots; hits++) total += hitProbability(spots, hits);
+        expect(total).toBeCloseTo(1, 12);
+      }
+    });
+  });
+
+  describe('normalizeRows', () => {
+    it('accepts object rows, array rows and contract scaling', () => {
+      expect(normalizeRows({ 2: { 0: 0, 1: 1, 2: 9 } })).toEqual({ 2: [0, 1, 9] });
+      expect(normalizeRows({ 2: [0, 100, 900] }, 100)).toEqual({ 2: [0, 1, 9] });
+    });
+
+    it('rejects rows with the wrong length', () => {
+      expect(() => normalizeRows({ 3: [0, 1] })).toThrow('Se requieren 4 multiplicadores');
+    });
+  });
+
+  describe('computeExactStats', () => {
+    it('computes RTP after fee and hit frequency', () => {
+      const [one] = computeExactStats({ 1: [0, 3] }, { feeBps: 1200 });
+      expect(one.spots).toBe(1);
+      expect(one.rtp).toBeCloseTo(0.66, 6);        // 3x * 0.88 * 25%
+      expect(one.rtpBeforeFee).toBeCloseTo(0.75, 6);
+      expect(one.hitFrequency).toBeCloseTo(0.25, 6);
+      // Bernoulli: payout 2.64 w.p. 0.25 -> var = 2.64^2 * 0.25 * 0.75
+      expect(one.variance).toBeCloseTo(2.64 * 2.64 * 0.1875, 5);
+    });
+
+    it('gives the same result for the backend table and the contract table', () => {
+      const { PAYOUT_TABLE: contractTable } = require('../../../contracts/scripts/setup-payout-table');
+      const backend = computeExactStats(PAYOUT_TABLE);
+      const contract = computeExactStats(contractTable, { scale: 100 });
+      expect(contract).toEqual(backend);
+    });
+  });
+
+  describe('runMonteCarlo', () => {
+    it('is reproducible with the same seed', () => {
+      const a = runMonteCarlo(PAYOUT_TABLE, { spots: 2, rounds: 300, seed: 'fixed' });
+      const b = runMonteCarlo(PAYOUT_TABLE, { spots: 2, rounds: 300, seed: 'fixed' });
+      expect(a).toEqual(b);
+      expect(a.hitCounts.reduce((s, n) => s + n, 0)).toBe(300);
+    });
+
+    it('applies the fee to every round', () => {
+      const result = runMonteCarlo(PAYOUT_TABLE, { spots: 1, rounds: 100, seed: 's', feeBps: 1200 });
+      expect(result.totalWagered).toBe(100);
+      expect(result.totalFees).toBeCloseTo(12, 6);
+      // 1 spot paga 3x sobre la apuesta efectiva
+      expect(result.totalPaid).toBeCloseTo(result.hitCounts[1] * 3 * 0.88, 6);
+    });
+
+    it('caps payouts at the dynamic max for the given pool size', () => {
+      // Tabla que paga 100x en cualquier resultado; pool 100 -> cap 10
+      const result = runMonteCarlo({ 1: [100, 100] }, { spots: 1, rounds: 20, seed: 's', poolBalance: 100 });
+      expect(result.maxPayout).toBe(10);
+      expect(result.cappedRounds).toBe(20);
+      expect(result.totalPaid).toBe(200);
+      expect(result.capLoss).toBeCloseTo(20 * (88 - 10), 6);
+    });
+
+    it('rejects a spot count missing from the table', () => {
+      expect(() => runMonteCarlo({ 1: [0, 3] }, { spots: 4, rounds: 10 })).toThrow('4 spots');
+    });
+  });
+
+  describe('simulateTable', () => {
+    it('runs Monte Carlo for every row when no spot count is given', () => {
+      const result = simulateTable({ 1: [0, 3], 2: [0, 1, 9] }, { monteCarlo: { rounds: 50, seed: 'z' } });
+      expect(result.exact).toHaveLength(2);
+      expect(result.seed).toBe('z');
+      expect(result.monteCarlo.map(r => r.spots)).toEqual([1, 2]);
+      expect(result.monteCarlo[0].exactRtp).toBe(result.exact[0].rtp);
+    });
+  });
+});
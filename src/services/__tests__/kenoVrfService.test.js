@@ -0,0 +1,182 @@
+// Tests for Keno seed hash chains and session verification
+jest.mock('../../db', () => ({
+  query: jest.fn(),
+  connect: jest.fn()
+}));
+jest.mock('../gameConfigService', () => ({
+  getConfigValue: jest.fn(),
+  getKenoPayoutTable: jest.fn().mockResolvedValue(null)
+}));
+
+const crypto = require('crypto');
+const pool = require('../../db');
+const gameConfigService = require('../gameConfigService');
+const kenoVrfService = require('../kenoVrfService');
+const { generateRandomNumbers, PAYOUT_TABLE } = require('../kenoService');
+const { verifyBundle } = require('../../../scripts/verify-keno-bundle');
+
+const sha256 = (v) => crypto.createHash('sha256').update(v).digest('hex');
+
+function buildChainRow(overrides = {}) {
+  const terminalSeed = 'a'.repeat(64);
+  const chainLength = 5;
+  let anchor = terminalSeed;
+  for (let i = 0; i < chainLength; i++) anchor = sha256(anchor);
+  return {
+    id: 3,
+    wallet_address: '0xabc',
+    chain_length: chainLength,
+    anchor_hash: anchor,
+    terminal_seed: terminalSeed,
+    next_index: 0,
+    status: 'active',
+    ...overrides
+  };
+}
+
+describe('kenoVrfService seed chain', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('links each seed to the previous one and to the anchor', () => {
+    const chain = buildChainRow();
+    const seeds = [0, 1, 2, 3, 4].map(i => kenoVrfService.getChainSeed(chain.terminal_seed, 5, i));
+
+    expect(seeds[4]).toBe(chain.terminal_seed);
+    expect(sha256(seeds[0])).toBe(chain.anchor_hash);
+    for (let i = 1; i < 5; i++) {
+      expect(sha256(seeds[i])).toBe(seeds[i - 1]);
+      expect(kenoVrfService.verifyChainSeed(seeds[i], i, chain.anchor_hash)).toBe(true);
+    }
+    expect(kenoVrfService.verifyChainSeed(seeds[2], 3, chain.anchor_hash)).toBe(false);
+  });
+
+  it('rejects an index outside the chain', () => {
+    expect(() => kenoVrfService.getChainSeed('x', 5, 5)).toThrow('fuera de rango');
+  });
+
+  it('takes the next seed from the active chain', async () => {
+    const chain = buildChainRow({ next_index: 2 });
+    const client = { query: jest.fn() };
+    client.query
+      .mockResolvedValueOnce({ rows: [chain] }) // SELECT FOR UPDATE
+      .mockResolvedValueOnce({ rows: [] }); // UPDATE next_index
+
+    const link = await kenoVrfService.takeChainSeed('0xABC', client);
+
+    expect(link.chainId).toBe(3);
+    expect(link.chainIndex).toBe(2);
+    expect(link.serverSeed).toBe(kenoVrfService.getChainSeed(chain.terminal_seed, 5, 2));
+    expect(link.seedHash).toBe(kenoVrfService.getChainSeed(chain.terminal_seed, 5, 1));
+    expect(client.query.mock.calls[0][1]).toEqual(['0xabc']);
+  });
+
+  it('rotates an exhausted chain and starts a new one', async () => {
+    gameConfigService.getConfigValue.mockResolvedValue(4);
+    const client = { query: jest.fn() };
+    client.query
+      .mockResolvedValueOnce({ rows: [buildChainRow({ next_index: 5 })] })
+      .mockResolvedValueOnce({ rows: [] }) // UPDATE status = rotated
+      .mockImplementationOnce((sql, params) => Promise.resolve({
+        rows: [{ id: 4, wallet_address: params[0], chain_length: params[1], anchor_hash: params[2], terminal_seed: params[3], next_index: 0, status: 'active' }]
+      }))
+      .mockResolvedValueOnce({ rows: [] }); // UPDATE next_index
+
+    const link = await kenoVrfService.takeChainSeed('0xabc', client);
+
+    expect(client.query.mock.calls[1][0]).toContain("status = 'rotated'");
+    const [, insertParams] = client.query.mock.calls[2];
+    expect(insertParams[1]).toBe(4);
+    expect(link.chainId).toBe(4);
+    expect(link.chainIndex).toBe(0);
+    expect(kenoVrfService.verifyChainSeed(link.serverSeed, 0, insertParams[2])).toBe(true);
+  });
+});
+
+describe('kenoVrfService session verification', () => {
+  const chain = buildChainRow({ next_index: 2, status: 'rotated' });
+
+  function gameRow(index, nonce) {
+    const serverSeed = kenoVrfService.getChainSeed(chain.terminal_seed, 5, index);
+    const seed = kenoVrfService.generateCombinedSeed(serverSeed, 'client', nonce);
+    const drawn = generateRandomNumbers(20, 80, seed);
+    const selected = [1, 2, 3, 4, 5];
+    const hits = selected.filter(n => drawn.includes(n)).length;
+    return {
+      game_id: `KENO-${nonce}`,
+      selected_numbers: selected,
+      drawn_numbers: drawn,
+      spots: 5,
+      hits,
+      bet_amount: '1.000000',
+      multiplier: String(PAYOUT_TABLE[5][hits]),
+      payout: String(0.88 * PAYOUT_TABLE[5][hits]),
+      server_seed: serverSeed,
+      client_seed: 'client',
+      nonce,
+      seed,
+      seed_hash: sha256(serverSeed),
+      commit_id: null,
+      seed_chain_id: 3,
+      seed_chain_index: index,
+      payout_table: 'classic',
+      payout_table_version: 0,
+      timestamp: new Date('2026-01-01T00:00:00Z')
+    };
+  }
+
+  function mockSession(games) {
+    pool.query
+      .mockResolvedValueOnce({ rows: [{ id: 12, wallet_address: '0xabc', status: 'settled', total_wagered: '2', total_won: '0', games_played: 2 }] })
+      .mockResolvedValueOnce({ rows: games })
+      .mockResolvedValueOnce({ rows: [chain] });
+  }
+
+  beforeEach(() => jest.clearAllMocks());
+
+  it('returns null for a session owned by another wallet', async () => {
+    pool.query.mockResolvedValueOnce({ rows: [] });
+    expect(await kenoVrfService.getSessionVerification(12, '0xother')).toBeNull();
+  });
+
+  it('recomputes every game of the session', async () => {
+    mockSession([gameRow(0, 0), gameRow(1, 1)]);
+
+    const result = await kenoVrfService.getSessionVerification(12, '0xABC');
+
+    expect(pool.query.mock.calls[0][1]).toEqual([12, '0xabc']);
+    expect(result.summary).toEqual({ games: 2, valid: 2, allValid: true });
+    expect(result.games[1].checks).toEqual({
+      seedValid: true, drawMatches: true, hitsMatch: true, multiplierMatches: true, chainLinkValid: true
+    });
+    expect(result.chains[0].terminalSeed).toBe(chain.terminal_seed);
+  });
+
+  it('flags a game whose recorded draw does not match', async () => {
+    const tampered = gameRow(1, 1);
+    tampered.drawn_numbers = [...tampered.drawn_numbers.slice(1), 81];
+    mockSession([gameRow(0, 0), tampered]);
+
+    const result = await kenoVrfService.getSessionVerification(12, '0xabc');
+
+    expect(result.summary.allValid).toBe(false);
+    expect(result.games[1].checks.drawMatches).toBe(false);
+  });
+
+  it('builds a proof bundle the offline verifier accepts', async () => {
+    mockSession([gameRow(0, 0), gameRow(1, 1)]);
+
+    const bundle = await kenoVrfService.buildSessionProofBundle(12, '0xabc');
+    // Simular descarga: el verificador recibe JSON serializado
+    const downloaded = JSON.parse(JSON.stringify(bundle));
+
+    expect(downloaded.games[0]).not.toHaveProperty('checks');
+    const { errors, results } = verifyBundle(downloaded);
+    expect(errors).toEqual([]);
+    expect(results.every(r => r.failed.length === 0)).toBe(true);
+
+    downloaded.games[0].multiplier = 1000;
+    const tampered = verifyBundle(downloaded);
+    expect(tampered.errors).toContain('bundleHash no coincide (el archivo fue modificado)');
+    expect(tampered.results[0].failed).toContain('multiplier');
+  });
+});
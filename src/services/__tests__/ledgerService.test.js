@@ -0,0 +1,201 @@
+// Tests for ledgerService (DB mocked)
+jest.mock('../../config/database', () => ({
+  query: jest.fn(),
+  getClient: jest.fn()
+}));
+
+const { query } = require('../../config/database');
+const ledgerService = require('../ledgerService');
+
+const { ACCOUNTS } = ledgerService;
+
+function mockClient() {
+  return { query: jest.fn().mockResolvedValue({ rows: [] }) };
+}
+
+describe('ledgerService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    delete process.env.KENO_CONTRACT_ADDRESS;
+    delete process.env.BINGO_CONTRACT_ADDRESS;
+    delete process.env.BOLITA_CONTRACT_ADDRESS;
+  });
+
+  describe('post', () => {
+    it('creates missing accounts without locking existing ones, then writes entry and postings', async () => {
+      const client = mockClient();
+
+      await ledgerService.post(client, {
+        type: 'bet',
+        referenceType: 'draw',
+        referenceId: 7,
+        postings: [
+          { account: 'user:3', amount: -5 },
+          { account: ACCOUNTS.BOLITA_STAKES, amount: 5 }
+        ]
+      });
+
+      expect(client.query).toHaveBeenCalledTimes(2);
+      const [accountsSql, accounts] = client.query.mock.calls[0];
+      expect(accountsSql).toContain('ON CONFLICT (code) DO NOTHING');
+      expect(accountsSql).not.toContain('DO UPDATE');
+      expect(accounts).toEqual([['user:3', 'clearing:bolita_stakes'], ['liability', 'liability'], [3, null]]);
+      const params = client.query.mock.calls[1][1];
+      expect(params.slice(0, 5)).toEqual([['user:3', 'clearing:bolita_stakes'], 'bet', '5.000000', 'draw', '7']);
+      expect(params[6]).toEqual(['-5.000000', '5.000000']);
+    });
+
+    it('rejects an unbalanced entry', async () => {
+      const client = mockClient();
+
+      await expect(ledgerService.post(client, {
+        type: 'bet',
+        postings: [
+          { account: 'user:3', amount: -5 },
+          { account: ACCOUNTS.BOLITA_STAKES, amount: 4.99 }
+        ]
+      })).rejects.toThrow('Asiento desbalanceado');
+      expect(client.query).not.toHaveBeenCalled();
+    });
+
+    it('sends the residue to balanceTo', async () => {
+      const client = mockClient();
+
+      await ledgerService.post(client, {
+        type: 'settlement',
+        postings: [
+          { account: ACCOUNTS.BINGO_STAKES, amount: 10 },
+          { account: ACCOUNTS.OPERATOR_FEES, amount: -1 },
+          { account: 'user:1', amount: -10 / 3 },
+          { account: 'user:2', amount: -10 / 3 }
+        ],
+        balanceTo: ACCOUNTS.BINGO_HOUSE
+      });
+
+      const params = client.query.mock.calls[1][1];
+      expect(params[0][4]).toBe('house:bingo');
+      const total = params[6].reduce((sum, amount) => sum + Math.round(parseFloat(amount) * 1e6), 0);
+      expect(total).toBe(0);
+    });
+
+    it('skips zero lines and entries', async () => {
+      const client = mockClient();
+
+      const posted = await ledgerService.transfer(client, {
+        type: 'prize', from: ACCOUNTS.BOLITA_PRIZES, to: 'user:1', amount: 0
+      });
+
+      expect(posted).toBe(false);
+      expect(client.query).not.toHaveBeenCalled();
+    });
+
+    it('reverses a transfer with a negative amount', async () => {
+      const client = mockClient();
+
+      await ledgerService.transfer(client, {
+        type: 'session_settlement', from: ACCOUNTS.KENO_SESSIONS, to: 'user:4', amount: -25
+      });
+
+      const params = client.query.mock.calls[1][1];
+      expect(params[6]).toEqual(['-25.000000', '25.000000']);
+      expect(params[2]).toBe('25.000000');
+    });
+
+    it('rejects an unknown account', async () => {
+      await expect(ledgerService.transfer(mockClient(), {
+        type: 'bet', from: 'user:1', to: 'wallet:0xabc', amount: 1
+      })).rejects.toThrow('Cuenta contable desconocida');
+    });
+  });
+
+  describe('getTrialBalance', () => {
+    it('reports balances on their natural side', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [
+          { code: 'external', account_type: 'asset', name: null, debit_sum: '150.000000' },
+          { code: 'pool:keno', account_type: 'equity', name: null, debit_sum: '-50.000000' }
+        ] })
+        .mockResolvedValueOnce({ rows: [{ accounts: '2', debit_sum: '-100.000000' }] })
+        .mockResolvedValueOnce({ rows: [{ debits: '150.000000', credits: '150.000000' }] });
+
+      const trial = await ledgerService.getTrialBalance();
+
+      expect(trial.accounts).toEqual([
+        { code: 'external', type: 'asset', name: null, balance: 150 },
+        { code: 'pool:keno', type: 'equity', name: null, balance: 50 }
+      ]);
+      expect(trial.users).toEqual({ accounts: 2, balance: 100 });
+      expect(trial.totals.difference).toBe(0);
+    });
+  });
+
+  describe('runTrialBalanceCheck', () => {
+    function mockCheckQueries({ users = [], reserve = '500.00', kenoBalance = '50.000000' } = {}) {
+      query.mockImplementation((sql) => {
+        if (sql.includes('unbalanced')) return Promise.resolve({ rows: [{ total: '0.000000', unbalanced: '0' }] });
+        if (sql.includes('FROM users u')) return Promise.resolve({ rows: users });
+        if (sql.includes('WHERE a.user_id IS NULL')) {
+          return Promise.resolve({ rows: [
+            { code: 'external', account_type: 'asset', debit_sum: '650' },
+            { code: 'pool:bolita_reserve', account_type: 'equity', debit_sum: '-500' },
+            { code: 'pool:keno', account_type: 'equity', debit_sum: '-50' }
+          ] });
+        }
+        if (sql.includes('WHERE a.user_id IS NOT NULL')) return Promise.resolve({ rows: [{ accounts: '1', debit_sum: '-100' }] });
+        if (sql.includes('FILTER')) return Promise.resolve({ rows: [{ debits: '650', credits: '650' }] });
+        if (sql.includes('FROM bankroll_status')) {
+          return Promise.resolve({ rows: [{ prize_reserve: reserve, bankroll_balance: '0.00' }] });
+        }
+        if (sql.includes('FROM keno_pool')) return Promise.resolve({ rows: [{ balance: kenoBalance }] });
+        if (sql.includes('FROM bingo_pool')) return Promise.resolve({ rows: [] });
+        if (sql.includes('INSERT INTO ledger_reconciliations')) {
+          return Promise.resolve({ rows: [{ id: 11, created_at: '2026-10-19T04:00:00Z' }] });
+        }
+        return Promise.resolve({ rows: [] });
+      });
+    }
+
+    it('passes when every balance matches the ledger', async () => {
+      mockCheckQueries();
+
+      const result = await ledgerService.runTrialBalanceCheck();
+
+      expect(result.status).toBe('ok');
+      expect(result.driftCount).toBe(0);
+      expect(result.checks.map(check => check.name)).toEqual([
+        'journal', 'users', 'bolita_reserve', 'bolita_bankroll', 'keno_pool'
+      ]);
+      const saved = query.mock.calls.find(([sql]) => sql.includes('INSERT INTO ledger_reconciliations'));
+      expect(saved[1].slice(0, 2)).toEqual(['ok', 0]);
+    });
+
+    it('flags users and pools that drifted from the ledger', async () => {
+      mockCheckQueries({
+        users: [{ id: 4, balance: '12.00', ledger_balance: '10.000000' }],
+        kenoBalance: '47.500000'
+      });
+
+      const result = await ledgerService.runTrialBalanceCheck();
+
+      expect(result.status).toBe('drift');
+      expect(result.driftCount).toBe(2);
+      expect(result.checks.find(check => check.name === 'users').drifts)
+        .toEqual([{ userId: 4, balance: 12, ledgerBalance: 10, drift: -2 }]);
+      expect(result.checks.find(check => check.name === 'keno_pool'))
+        .toMatchObject({ expected: 47.5, actual: 50, drift: 2.5, ok: false });
+    });
+
+    it('compares the on-chain pool when a contract is configured', async () => {
+      mockCheckQueries();
+      process.env.BOLITA_CONTRACT_ADDRESS = '0xbolita';
+      jest.doMock('../../chain/bolitaProvider', () => ({
+        getBolitaContractReadOnly: () => ({ availablePool: jest.fn().mockResolvedValue(480000000n) })
+      }));
+
+      const result = await ledgerService.runTrialBalanceCheck();
+
+      expect(result.checks.find(check => check.name === 'bolita_onchain'))
+        .toMatchObject({ expected: 480, actual: 500, ok: false });
+    });
+  });
+});
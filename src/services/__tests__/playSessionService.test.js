@@ -0,0 +1,173 @@
+// Tests for cross-game play sessions and reality checks (DB mocked)
+const mockClient = { query: jest.fn(), release: jest.fn() };
+jest.mock('../../db', () => ({
+  query: jest.fn(),
+  connect: jest.fn(() => Promise.resolve(mockClient))
+}));
+
+const pool = require('../../db');
+const playSessionService = require('../playSessionService');
+
+const WALLET = '0x' + 'c'.repeat(40);
+
+function sessionRow(overrides = {}) {
+  return {
+    id: 7,
+    wallet_address: WALLET,
+    started_at: new Date('2026-01-01T10:00:00Z'),
+    last_activity_at: new Date('2026-01-01T11:00:00Z'),
+    total_wagered: '40.00',
+    total_returned: '27.50',
+    plays: 12,
+    reality_check_pending_since: null,
+    idle: false,
+    elapsed_seconds: 3720,
+    ...overrides
+  };
+}
+
+/**
+ * Route queries by statement; `sessions` are returned in order by the
+ * open-session SELECT (null = no open session)
+ */
+function mockDb({ sessions = [], interval = null } = {}) {
+  const queue = [...sessions];
+  const handler = async (sql) => {
+    if (sql.includes('FROM play_sessions')) {
+      const row = queue.shift();
+      return { rows: row ? [row] : [] };
+    }
+    if (sql.includes('FROM reality_check_settings')) return { rows: interval ? [{ interval_minutes: interval }] : [] };
+    return { rows: [] };
+  };
+  pool.query.mockImplementation(handler);
+  mockClient.query.mockImplementation(handler);
+}
+
+function statements(fragment) {
+  return mockClient.query.mock.calls.filter(([sql]) => sql.includes(fragment));
+}
+
+describe('playSessionService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    delete process.env.REALITY_CHECK_INTERVAL_MINUTES;
+  });
+
+  describe('track', () => {
+    it('opens a session on the first wager and applies the wallet interval', async () => {
+      mockDb({ sessions: [null, sessionRow({ total_wagered: '0', plays: 0 })], interval: 30 });
+
+      await playSessionService.track(mockClient, WALLET.toUpperCase(), 'wager', 5);
+
+      expect(statements('INSERT INTO play_sessions')[0][1]).toEqual([WALLET]);
+      expect(statements('SET total_wagered')[0][1]).toEqual([7, 5, 30]);
+    });
+
+    it('does not open a session for a payout', async () => {
+      mockDb();
+
+      await playSessionService.track(mockClient, WALLET, 'payout', 10);
+
+      expect(statements('INSERT INTO play_sessions')).toHaveLength(0);
+      expect(statements('UPDATE play_sessions')).toHaveLength(0);
+    });
+
+    it('adds payouts and refunds to the open session', async () => {
+      mockDb({ sessions: [sessionRow()] });
+
+      await playSessionService.track(mockClient, WALLET, 'refund', 2.5);
+
+      expect(statements('total_returned = total_returned + $2')[0][1]).toEqual([7, 2.5]);
+    });
+
+    it('closes an idle session and starts a new one', async () => {
+      mockDb({ sessions: [sessionRow({ idle: true }), sessionRow({ id: 8 })] });
+
+      await playSessionService.track(mockClient, WALLET, 'wager', 1);
+
+      expect(statements('SET ended_at')[0][1]).toEqual([7, 'idle']);
+      expect(statements('INSERT INTO play_sessions')).toHaveLength(1);
+      expect(statements('SET total_wagered')[0][1]).toEqual([8, 1, 60]);
+    });
+  });
+
+  describe('assertAcknowledged', () => {
+    it('rejects play while a reality check is pending', async () => {
+      mockDb({ sessions: [sessionRow({ reality_check_pending_since: new Date() })] });
+
+      await expect(playSessionService.assertAcknowledged(mockClient, WALLET)).rejects.toMatchObject({
+        code: 'REALITY_CHECK_REQUIRED',
+        realityCheck: expect.objectContaining({
+          id: 7,
+          elapsedMinutes: 62,
+          netResult: -12.5,
+          intervalMinutes: 60,
+          message: 'Llevas 62 min jugando. Resultado neto de la sesion: -$12.50.'
+        })
+      });
+    });
+
+    it('ignores a pending check on a session that went idle', async () => {
+      mockDb({ sessions: [sessionRow({ idle: true, reality_check_pending_since: new Date() })] });
+
+      await expect(playSessionService.assertAcknowledged(mockClient, WALLET)).resolves.toBeUndefined();
+    });
+  });
+
+  describe('acknowledgeRealityCheck', () => {
+    it('clears the pending check and logs it', async () => {
+      mockDb({ sessions: [sessionRow({ reality_check_pending_since: new Date() })] });
+
+      await playSessionService.acknowledgeRealityCheck(WALLET);
+
+      expect(statements('last_reality_check_at = NOW()')[0][1]).toEqual([7]);
+      const [, params] = statements('INSERT INTO responsible_gaming_log')[0];
+      expect(params[1]).toBe('reality_check_acknowledged');
+      expect(mockClient.query).toHaveBeenCalledWith('COMMIT');
+    });
+
+    it('ends the session when the player chooses to stop', async () => {
+      mockDb({ sessions: [sessionRow({ reality_check_pending_since: new Date() })] });
+
+      await playSessionService.acknowledgeRealityCheck(WALLET, { endSession: true });
+
+      expect(statements('SET ended_at')[0][1]).toEqual([7, 'player']);
+      expect(statements('INSERT INTO responsible_gaming_log')[0][1][1]).toBe('play_session_ended');
+    });
+
+    it('fails when there is nothing to acknowledge', async () => {
+      mockDb({ sessions: [sessionRow()] });
+
+      await expect(playSessionService.acknowledgeRealityCheck(WALLET)).rejects.toThrow('No hay un aviso de sesion pendiente');
+      expect(mockClient.query).toHaveBeenCalledWith('ROLLBACK');
+    });
+  });
+
+  describe('setRealityCheckInterval', () => {
+    it('validates the range', async () => {
+      await expect(playSessionService.setRealityCheckInterval(WALLET, 5)).rejects.toThrow('entre 10 y 240');
+      await expect(playSessionService.setRealityCheckInterval(WALLET, 30.5)).rejects.toThrow('entre 10 y 240');
+      expect(pool.connect).not.toHaveBeenCalled();
+    });
+
+    it('stores the interval and logs the previous one', async () => {
+      mockDb({ interval: 90 });
+
+      await playSessionService.setRealityCheckInterval(WALLET, 30);
+
+      expect(statements('INSERT INTO reality_check_settings')[0][1]).toEqual([WALLET, 30]);
+      expect(statements('INSERT INTO responsible_gaming_log')[0][1][2]).toBe(JSON.stringify({ minutes: 30, previous: 90 }));
+    });
+  });
+
+  describe('pendingRealityCheck', () => {
+    it('returns null instead of failing the game response', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      pool.query.mockRejectedValueOnce(new Error('db down'));
+
+      await expect(playSessionService.pendingRealityCheck(WALLET)).resolves.toBeNull();
+      console.error.mockRestore();
+    });
+  });
+});
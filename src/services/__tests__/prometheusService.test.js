@@ -0,0 +1,107 @@
+// Tests for the Prometheus collectors (DB pool and running indexers mocked)
+jest.mock('../../config/database', () => ({
+  pool: { totalCount: 10, idleCount: 7, waitingCount: 2 },
+  query: jest.fn(),
+  dbAvailable: true,
+}));
+jest.mock('../chainIndexer', () => ({ getRunningIndexers: jest.fn(() => []) }));
+
+const database = require('../../config/database');
+const { getRunningIndexers } = require('../chainIndexer');
+const prometheusService = require('../prometheusService');
+
+function mockTables() {
+  database.query.mockImplementation(async (sql) => {
+    if (sql.includes('FROM indexer_events')) return { rows: [{ indexer: 'bolita', count: '1' }] };
+    if (sql.includes('FROM draws')) return { rows: [{ count: '2' }] };
+    if (sql.includes('FROM bingo_rounds')) return { rows: [{ count: '1' }] };
+    if (sql.includes('FROM keno_vrf_batches')) return { rows: [{ count: '0' }] };
+    if (sql.includes('FROM keno_pool')) return { rows: [{ balance: '1250.5' }] };
+    if (sql.includes('FROM bankroll_status')) return { rows: [{ prize_reserve: '800', bankroll_balance: '3000' }] };
+    if (sql.includes('FROM bingo_pool')) return { rows: [{ jackpot_balance: '42' }] };
+    return { rows: [] };
+  });
+}
+
+describe('prometheusService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    database.dbAvailable = true;
+    getRunningIndexers.mockReturnValue([]);
+    mockTables();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('reports pool connections, VRF backlog, skipped indexer events and pool balances', async () => {
+    const output = await prometheusService.getMetrics();
+
+    expect(output).toContain('bolcoin_db_pool_connections{state="idle"} 7');
+    expect(output).toContain('bolcoin_db_pool_connections{state="waiting"} 2');
+    expect(output).toContain('bolcoin_indexer_failed_events{indexer="bolita"} 1');
+    expect(output).toContain('bolcoin_vrf_pending_requests{game="bolita"} 2');
+    expect(output).toContain('bolcoin_vrf_pending_requests{game="bingo"} 1');
+    expect(output).toContain('bolcoin_pool_balance_usdt{pool="keno"} 1250.5');
+    expect(output).toContain('bolcoin_pool_balance_usdt{pool="bolita_bankroll"} 3000');
+    expect(output).toContain('bolcoin_pool_balance_usdt{pool="bingo_jackpot"} 42');
+    expect(output).toContain('bolcoin_process_cpu_seconds_total');
+  });
+
+  it('reports indexer lag against the chain head', async () => {
+    getRunningIndexers.mockReturnValue([
+      { name: 'keno', lastBlockProcessed: 1000, provider: { getBlockNumber: jest.fn().mockResolvedValue(1015) } },
+      { name: 'bingo', lastBlockProcessed: 500, provider: { getBlockNumber: jest.fn().mockRejectedValue(new Error('RPC down')) } },
+    ]);
+
+    const output = await prometheusService.getMetrics();
+
+    expect(output).toContain('bolcoin_indexer_lag_blocks{indexer="keno"} 15');
+    expect(output).toContain('bolcoin_indexer_chain_head{indexer="keno"} 1015');
+    expect(output).toContain('bolcoin_indexer_last_block{indexer="bingo"} 500');
+    expect(output).not.toContain('bolcoin_indexer_lag_blocks{indexer="bingo"}');
+  });
+
+  it('skips DB collectors while the database is unavailable', async () => {
+    database.dbAvailable = false;
+
+    const output = await prometheusService.getMetrics();
+
+    expect(database.query).not.toHaveBeenCalled();
+    expect(output).toContain('bolcoin_db_available 0');
+    expect(output).not.toContain('bolcoin_pool_balance_usdt{');
+  });
+
+  it('keeps scraping when one source fails', async () => {
+    database.query.mockImplementation(async (sql) => {
+      if (sql.includes('FROM bingo_pool')) throw new Error('relation "bingo_pool" does not exist');
+      return { rows: [{ indexer: 'keno', count: '3', balance: '10' }] };
+    });
+
+    const output = await prometheusService.getMetrics();
+
+    expect(output).toContain('bolcoin_pool_balance_usdt{pool="keno"} 10');
+    expect(output).not.toContain('pool="bingo_jackpot"');
+  });
+
+  it('records each scheduler tick once', async () => {
+    const end = prometheusService.startTimer('bolita');
+    end('error');
+    end('ok');
+
+    const output = await prometheusService.getMetrics();
+
+    expect(output).toContain('bolcoin_scheduler_tick_duration_seconds_count{scheduler="bolita",outcome="error"} 1');
+    expect(output).not.toContain('scheduler="bolita",outcome="ok"');
+    expect(output).toMatch(/bolcoin_scheduler_last_tick_timestamp_seconds\{scheduler="bolita"\} \d+/);
+  });
+
+  it('labels requests by route template', () => {
+    expect(prometheusService.routeLabel({ baseUrl: '/api/bingo', route: { path: '/rounds/:id' } }))
+      .toBe('/api/bingo/rounds/:id');
+    expect(prometheusService.routeLabel({ baseUrl: '', route: { path: '/health' } })).toBe('/health');
+    expect(prometheusService.routeLabel({ baseUrl: '/api', originalUrl: '/api/nope' })).toBe('unmatched');
+  });
+});
@@ -0,0 +1,107 @@
+// Tests for the in-memory realtime event bus
+const realtimeService = require('../realtimeService');
+
+describe('realtimeService', () => {
+  beforeEach(() => realtimeService._reset());
+
+  it('delivers events only to subscribers of the channel', () => {
+    const room1 = jest.fn();
+    const bolita = jest.fn();
+    realtimeService.subscribe(['bingo:1'], room1);
+    const unsubscribe = realtimeService.subscribe(['bolita'], bolita);
+
+    realtimeService.publish('bingo:1', 'round.opened', { roundId: 1 });
+    unsubscribe();
+    realtimeService.publish('bolita', 'draw.status', { drawId: 2, status: 'open' });
+
+    expect(room1).toHaveBeenCalledWith(expect.objectContaining({ channel: 'bingo:1', type: 'round.opened' }));
+    expect(bolita).not.toHaveBeenCalled();
+  });
+
+  it('ignores unknown channels and survives a failing subscriber', () => {
+    realtimeService.subscribe(['keno'], () => { throw new Error('boom'); });
+
+    expect(realtimeService.publish('bingo:7', 'ball', {})).toBeNull();
+    expect(realtimeService.publish('keno', 'result', {})).toMatchObject({ type: 'result' });
+  });
+
+  describe('getEventsSince', () => {
+    it('returns the buffered events after the id for the requested channels', () => {
+      const first = realtimeService.publish('bingo:1', 'ball', { index: 1 });
+      realtimeService.publish('bingo:2', 'ball', { index: 1 });
+      const third = realtimeService.publish('bingo:1', 'ball', { index: 2 });
+
+      const { reset, events } = realtimeService.getEventsSince(first.id, ['bingo:1']);
+
+      expect(reset).toBe(false);
+      expect(events.map(e => e.id)).toEqual([third.id]);
+    });
+
+    it('flags a reset when the id fell out of the buffer', () => {
+      const first = realtimeService.publish('bolita', 'draw.status', {});
+      for (let i = 0; i <= realtimeService.EVENT_BUFFER_SIZE; i++) {
+        realtimeService.publish('bolita', 'draw.status', {});
+      }
+
+      expect(realtimeService.getEventsSince(first.id, ['bolita']).reset).toBe(true);
+      expect(realtimeService.getEventsSince(first.id + 1, ['bolita']).reset).toBe(false);
+    });
+
+    it('flags a reset for ids from another process', () => {
+      const last = realtimeService.publish('keno', 'result', {});
+      expect(realtimeService.getEventsSince(last.id + 1000, ['keno'])).toEqual({ reset: true, events: [] });
+      expect(realtimeService.getEventsSince(last.id, ['keno'])).toEqual({ reset: false, events: [] });
+    });
+  });
+
+  describe('scheduleBingoDraw', () => {
+    beforeEach(() => jest.useFakeTimers());
+    afterEach(() => jest.useRealTimers());
+
+    it('paces balls and pauses after the line ball', () => {
+      const listener = jest.fn();
+      realtimeService.subscribe(['bingo:2'], listener);
+
+      realtimeService.scheduleBingoDraw(2, {
+        roundId: 9,
+        drawnBalls: [10, 20, 30, 40, 50],
+        lineWinnerBall: 2,
+        lineWinners: ['0xabc'],
+        bingoWinnerBall: 4,
+        bingoWinners: ['0xdef']
+      });
+
+      jest.advanceTimersByTime(4500);
+      expect(listener.mock.calls.map(([e]) => e.type)).toEqual(['ball', 'ball', 'line']);
+
+      // Bola 3 sale tras la pausa de linea: 2 * 4500 + 5000
+      jest.advanceTimersByTime(4500);
+      expect(listener).toHaveBeenCalledTimes(3);
+      jest.advanceTimersByTime(5000);
+      expect(listener).toHaveBeenCalledTimes(4);
+
+      jest.runAllTimers();
+      const types = listener.mock.calls.map(([e]) => e.type);
+      expect(types).toEqual(['ball', 'ball', 'line', 'ball', 'ball', 'bingo']);
+      expect(listener.mock.calls[5][0].data).toEqual({ roundId: 9, ball: 4, winners: ['0xdef'] });
+    });
+
+    it('stops pending balls when cancelled', () => {
+      const listener = jest.fn();
+      realtimeService.subscribe(['bingo:1'], listener);
+
+      const cancel = realtimeService.scheduleBingoDraw(1, { roundId: 1, drawnBalls: [1, 2, 3] });
+      jest.advanceTimersByTime(0);
+      cancel();
+      jest.runAllTimers();
+
+      expect(listener).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  it('reads winners stored as JSON arrays or single addresses', () => {
+    expect(realtimeService.parseWinnerColumn('["0xa","0xb"]')).toEqual(['0xa', '0xb']);
+    expect(realtimeService.parseWinnerColumn('0xabc')).toEqual(['0xabc']);
+    expect(realtimeService.parseWinnerColumn(null)).toEqual([]);
+  });
+});
@@ -0,0 +1,350 @@
+// Tests for referral commissions with plans (DB mocked)
+jest.mock('../../config/database', () => {
+  const mockClient = { query: jest.fn(), release: jest.fn() };
+  return {
+    getClient: jest.fn(() => Promise.resolve(mockClient)),
+    query: jest.fn(),
+    __mockClient: mockClient,
+  };
+});
+
+jest.mock('../ledgerService', () => ({
+  ...jest.requireActual('../ledgerService'),
+  transfer: jest.fn().mockResolvedValue(true)
+}));
+
+jest.mock('../referralPlanService', () => ({
+  ...jest.requireActual('../referralPlanService'),
+  getPlanForReferrer: jest.fn(),
+  getReferredVolume: jest.fn().mockResolvedValue(0)
+}));
+
+jest.mock('../responsibleGamingService', () => ({
+  checkDeposit: jest.fn().mockResolvedValue(undefined)
+}));
+
+jest.mock('../referralFraudService', () => ({
+  scoreReferral: jest.fn().mockResolvedValue({ score: 0, flagged: false })
+}));
+
+const { query, __mockClient: mockClient } = require('../../config/database');
+const ledgerService = require('../ledgerService');
+const referralPlanService = require('../referralPlanService');
+const responsibleGamingService = require('../responsibleGamingService');
+const referralFraudService = require('../referralFraudService');
+const referralAdminService = require('../referralAdminService');
+
+const PLAYER = '0x' + 'c'.repeat(40);
+const REFERRER = '0x' + 'b'.repeat(40);
+const GRANDPARENT = '0x' + 'a'.repeat(40);
+
+function plan(overrides = {}) {
+  return {
+    id: 1,
+    basis: 'turnover',
+    default_rate: 0.03,
+    game_rates: {},
+    tiers: [],
+    second_level_rate: 0,
+    welcome_bonus: 0,
+    ...overrides
+  };
+}
+
+/**
+ * Route queries by statement. `referrals` maps a referred wallet to its
+ * active referral; inserted commissions echo their parameters back.
+ */
+function mockDb({ referrals = {}, handler = null } = {}) {
+  let nextId = 100;
+  mockClient.query.mockImplementation(async (sql, params = []) => {
+    if (handler) {
+      const result = await handler(sql, params);
+      if (result) return result;
+    }
+    if (sql.includes('WHERE referred_wallet = $1 AND status = \'active\'')) {
+      const referral = referrals[params[0]];
+      return { rows: referral ? [referral] : [] };
+    }
+    if (sql.includes('INSERT INTO referral_commissions')) {
+      return {
+        rows: [{
+          id: nextId++, referral_id: params[0], referrer_wallet: params[1], bet_amount: params[4],
+          commission_rate: params[5], commission_amount: params[6], level: params[8]
+        }]
+      };
+    }
+    return { rows: [], rowCount: 0 };
+  });
+}
+
+function commissionInserts() {
+  return mockClient.query.mock.calls
+    .filter(([sql]) => sql.includes('INSERT INTO referral_commissions'))
+    .map(([, params]) => params);
+}
+
+describe('referralAdminService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    referralPlanService.getReferredVolume.mockResolvedValue(0);
+  });
+
+  describe('calculateBetCommissionByWallet', () => {
+    it('pays the game rate to the referrer and the second level rate to its referrer', async () => {
+      mockDb({
+        referrals: {
+          [PLAYER]: { id: 10, referrer_wallet: REFERRER },
+          [REFERRER]: { id: 5, referrer_wallet: GRANDPARENT }
+        }
+      });
+      referralPlanService.getPlanForReferrer.mockImplementation(async (wallet) => (
+        wallet === REFERRER
+          ? plan({ id: 2, game_rates: { keno: 0.05 } })
+          : plan({ id: 3, second_level_rate: 0.01 })
+      ));
+
+      const commission = await referralAdminService.calculateBetCommissionByWallet('KENO-1', PLAYER.toUpperCase(), 20, 'keno');
+
+      const [levelOne, levelTwo] = commissionInserts();
+      expect(levelOne).toEqual([10, REFERRER, PLAYER, 'KENO-1', 20, 0.05, 1, 'keno', 1, 2, 'turnover', null, null, 'pending']);
+      expect(levelTwo).toEqual([5, GRANDPARENT, PLAYER, 'KENO-1', 20, 0.01, 0.2, 'keno', 2, 3, 'turnover', null, null, 'pending']);
+      expect(commission).toMatchObject({ level: 1, commission_amount: 1 });
+      expect(ledgerService.transfer).toHaveBeenCalledTimes(2);
+      expect(mockClient.query).toHaveBeenCalledWith('COMMIT');
+    });
+
+    it('holds the commission of a pair flagged for fraud', async () => {
+      mockDb({ referrals: { [PLAYER]: { id: 10, referrer_wallet: REFERRER, fraud_status: 'flagged' } } });
+      referralPlanService.getPlanForReferrer.mockResolvedValue(plan());
+
+      await referralAdminService.calculateBetCommissionByWallet('KENO-2', PLAYER, 20, 'keno');
+
+      const [levelOne] = commissionInserts();
+      expect(levelOne[6]).toBe(0.6);
+      expect(levelOne[13]).toBe('held');
+      // Still owed until reviewed: the ledger moves it to the payable account
+      expect(ledgerService.transfer).toHaveBeenCalledWith(mockClient, expect.objectContaining({
+        to: 'referral:payable',
+        amount: 0.6
+      }));
+    });
+
+    it('only adds volume for an NGR plan', async () => {
+      mockDb({ referrals: { [PLAYER]: { id: 10, referrer_wallet: REFERRER } } });
+      referralPlanService.getPlanForReferrer.mockResolvedValue(plan({ basis: 'ngr' }));
+
+      const commission = await referralAdminService.calculateBetCommissionByWallet('77', PLAYER, 20, 'bingo');
+
+      expect(commission).toBeNull();
+      expect(commissionInserts()).toHaveLength(0);
+      expect(mockClient.query.mock.calls.some(([sql]) => sql.includes('total_bets_amount = total_bets_amount + $1'))).toBe(true);
+    });
+
+    it('does nothing for a wallet without referrer', async () => {
+      mockDb();
+
+      await expect(referralAdminService.calculateBetCommissionByWallet('1', PLAYER, 5, 'keno')).resolves.toBeNull();
+      expect(mockClient.query).not.toHaveBeenCalledWith('BEGIN');
+    });
+  });
+
+  describe('reverseBetCommission', () => {
+    it('only takes the bet volume back from the direct referral', async () => {
+      mockDb({
+        handler: async (sql) => (sql.includes('DELETE FROM referral_commissions') ? {
+          rowCount: 2,
+          rows: [
+            { id: 1, referral_id: 10, level: 1, bet_amount: '20', commission_amount: '1.00' },
+            { id: 2, referral_id: 5, level: 2, bet_amount: '20', commission_amount: '0.20' }
+          ]
+        } : null)
+      });
+
+      await expect(referralAdminService.reverseBetCommission('KENO-1', 'keno')).resolves.toBe(2);
+
+      const updates = mockClient.query.mock.calls.filter(([sql]) => sql.includes('GREATEST(total_bets_amount - $1'));
+      expect(updates.map(([, params]) => params)).toEqual([['20', '1.00', 10], [0, '0.20', 5]]);
+      expect(mockClient.query.mock.calls.find(([sql]) => sql.includes('DELETE'))[1]).toEqual(['KENO-1', 'keno']);
+    });
+  });
+
+  describe('payWelcomeBonuses', () => {
+    const promised = { id: 8, referred_wallet: PLAYER, welcome_bonus_amount: '5.00' };
+
+    function mockDue(locked = [promised]) {
+      query.mockResolvedValueOnce({ rows: [{ id: 8 }] });
+      mockDb({
+        handler: async (sql) => {
+          if (sql.includes('FROM referrals') && sql.includes('FOR UPDATE')) return { rows: locked };
+          if (sql.includes('FROM users WHERE wallet_address')) return { rows: [{ id: 42, balance: '10.00' }] };
+          return null;
+        }
+      });
+    }
+
+    it('only selects clean referrals that deposited or wagered before their last score', async () => {
+      mockDue([]);
+
+      await referralAdminService.payWelcomeBonuses();
+
+      const [sql] = query.mock.calls[0];
+      expect(sql).toContain("r.fraud_status IN ('clear', 'cleared')");
+      expect(sql).toContain("a.activity_type IN ('deposit', 'wager')");
+      expect(sql).toContain('a.created_at <= r.fraud_checked_at');
+    });
+
+    it('pays the promised bonus', async () => {
+      mockDue();
+
+      const summary = await referralAdminService.payWelcomeBonuses();
+
+      expect(summary).toEqual({ paid: 1, skipped: 0, errors: 0 });
+      expect(mockClient.query.mock.calls.find(([sql]) => sql.includes('UPDATE users SET balance'))[1]).toEqual([15, 42]);
+      expect(ledgerService.transfer).toHaveBeenCalledWith(mockClient, expect.objectContaining({
+        type: 'welcome_bonus',
+        from: 'house:promotions',
+        to: 'user:42',
+        amount: 5
+      }));
+      expect(mockClient.query).toHaveBeenCalledWith('COMMIT');
+    });
+
+    it('skips a referral flagged or paid since it was selected', async () => {
+      mockDue([]);
+
+      const summary = await referralAdminService.payWelcomeBonuses();
+
+      expect(summary).toEqual({ paid: 0, skipped: 1, errors: 0 });
+      expect(ledgerService.transfer).not.toHaveBeenCalled();
+    });
+
+    it('skips the bonus for a self-excluded wallet', async () => {
+      mockDue();
+      const blocked = new Error('Autoexcluido');
+      blocked.code = 'RESPONSIBLE_GAMING';
+      responsibleGamingService.checkDeposit.mockRejectedValueOnce(blocked);
+
+      const summary = await referralAdminService.payWelcomeBonuses();
+
+      expect(summary).toEqual({ paid: 0, skipped: 1, errors: 0 });
+      expect(ledgerService.transfer).not.toHaveBeenCalled();
+      expect(mockClient.query).toHaveBeenCalledWith('COMMIT');
+    });
+  });
+
+  describe('registerReferral', () => {
+    const codeRow = { id: 8, referral_code: 'ABC123', referrer_wallet: REFERRER };
+
+    function mockRegister(extra = () => null) {
+      mockDb({
+        handler: async (sql, params) => {
+          if (sql.includes('WHERE referral_code = $1')) return { rows: [codeRow] };
+          if (sql.includes('SET referred_wallet = $1')) return { rows: [{ ...codeRow, referred_wallet: params[0] }] };
+          if (sql.includes('FROM users WHERE wallet_address')) return { rows: [{ id: 42, balance: '10.00' }] };
+          return extra(sql, params);
+        }
+      });
+    }
+
+    it('promises the welcome bonus of the referrer plan without paying it yet', async () => {
+      mockRegister();
+      referralPlanService.getPlanForReferrer.mockResolvedValue(plan({ welcome_bonus: 5 }));
+
+      const referral = await referralAdminService.registerReferral('abc123', PLAYER);
+
+      expect(referral.welcome_bonus_amount).toBe(5);
+      expect(referralFraudService.scoreReferral).toHaveBeenCalledWith(8);
+      expect(mockClient.query).toHaveBeenCalledWith('UPDATE referrals SET welcome_bonus_amount = $1 WHERE id = $2', [5, 8]);
+      expect(mockClient.query.mock.calls.some(([sql]) => sql.includes('UPDATE users SET balance'))).toBe(false);
+      expect(ledgerService.transfer).not.toHaveBeenCalled();
+      expect(mockClient.query).toHaveBeenCalledWith('COMMIT');
+    });
+
+    it('registers through a campaign code without consuming it', async () => {
+      mockDb({
+        handler: async (sql, params) => {
+          if (sql.includes('WHERE referral_code = $1')) return { rows: [] };
+          if (sql.includes('FROM referral_campaigns WHERE code = $1')) return { rows: [{ id: 4, referrer_wallet: REFERRER }] };
+          if (sql.includes('INSERT INTO referrals')) return { rows: [{ id: 30, referrer_wallet: params[0], referred_wallet: params[1], campaign_id: params[2] }] };
+          return null;
+        }
+      });
+      referralPlanService.getPlanForReferrer.mockResolvedValue(plan());
+
+      const referral = await referralAdminService.registerReferral('abcd2345', PLAYER);
+
+      expect(referral).toMatchObject({ referrer_wallet: REFERRER, referred_wallet: PLAYER, campaign_id: 4 });
+      expect(mockClient.query.mock.calls.some(([sql]) => sql.includes('SET referred_wallet = $1'))).toBe(false);
+      expect(mockClient.query).toHaveBeenCalledWith('COMMIT');
+    });
+
+    it('rejects a circular referral', async () => {
+      mockRegister((sql) => (sql.includes('WHERE referrer_wallet = $1 AND referred_wallet = $2') ? { rows: [{ id: 3 }] } : null));
+
+      await expect(referralAdminService.registerReferral('ABC123', PLAYER))
+        .rejects.toThrow('No puedes usar el codigo de alguien a quien referiste');
+      expect(mockClient.query).toHaveBeenCalledWith('ROLLBACK');
+    });
+  });
+
+  describe('settleNgrCommissions', () => {
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      console.log.mockRestore();
+    });
+
+    it('rejects a period that has not ended', async () => {
+      await expect(referralAdminService.settleNgrCommissions({ periodStart: '2026-01-01', periodEnd: '2999-01-01' }))
+        .rejects.toThrow('el periodo aun no ha terminado');
+      await expect(referralAdminService.settleNgrCommissions({ periodStart: '2026-02-01', periodEnd: '2026-01-01' }))
+        .rejects.toThrow('Periodo invalido');
+      expect(query).not.toHaveBeenCalled();
+    });
+
+    it('rejects a period overlapping one already settled', async () => {
+      query.mockResolvedValueOnce({ rows: [{ period_start: '2026-01-15', period_end: '2026-02-15' }] });
+
+      await expect(referralAdminService.settleNgrCommissions({ periodStart: '2026-01-01', periodEnd: '2026-02-01' }))
+        .rejects.toThrow('se solapa');
+    });
+
+    it('applies per-game rates to the net gaming revenue of each referred player', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ id: 10, referrer_wallet: REFERRER, referred_wallet: PLAYER }] });
+      mockDb({
+        handler: async (sql) => (sql.includes('FROM responsible_gaming_activity')
+          ? { rows: [{ game: 'keno', ngr: '100.00' }, { game: 'bingo', ngr: '-20.00' }] }
+          : null)
+      });
+      referralPlanService.getPlanForReferrer.mockResolvedValue(plan({ basis: 'ngr', default_rate: 0.2, game_rates: { keno: 0.25 } }));
+
+      const result = await referralAdminService.settleNgrCommissions({ periodStart: '2026-01-01', periodEnd: '2026-02-01' });
+
+      // 100 * 0.25 - 20 * 0.2 = 21 sobre un NGR de 80
+      const [params] = commissionInserts();
+      expect(params.slice(4, 7)).toEqual([80, 0.2625, 21]);
+      expect(params.slice(8)).toEqual([1, 1, 'ngr', '2026-01-01', '2026-02-01', 'pending']);
+      expect(result).toMatchObject({ referrals: 1, commissions: 1, totalAmount: 21, errors: 0 });
+    });
+
+    it('skips a player with negative NGR', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ id: 10, referrer_wallet: REFERRER, referred_wallet: PLAYER }] });
+      mockDb({
+        handler: async (sql) => (sql.includes('FROM responsible_gaming_activity') ? { rows: [{ game: 'keno', ngr: '-50' }] } : null)
+      });
+      referralPlanService.getPlanForReferrer.mockResolvedValue(plan({ basis: 'ngr' }));
+
+      const result = await referralAdminService.settleNgrCommissions({ periodStart: '2026-01-01', periodEnd: '2026-02-01' });
+
+      expect(commissionInserts()).toHaveLength(0);
+      expect(result.commissions).toBe(0);
+    });
+  });
+});
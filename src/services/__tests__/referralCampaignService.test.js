@@ -0,0 +1,111 @@
+// Tests for referral campaigns and the conversion funnel (DB mocked)
+jest.mock('../../config/database', () => ({
+  getClient: jest.fn(),
+  query: jest.fn(),
+}));
+
+const { query } = require('../../config/database');
+const referralCampaignService = require('../referralCampaignService');
+
+const REFERRER = '0x' + 'b'.repeat(40);
+
+describe('referralCampaignService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('createCampaign', () => {
+    it('creates a campaign with an 8-character code', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [{ count: '2' }] })
+        .mockImplementationOnce(async (sql, params) => ({ rows: [{ id: 4, referrer_wallet: params[0], name: params[1], code: params[2] }] }));
+
+      const campaign = await referralCampaignService.createCampaign(REFERRER.toUpperCase(), ' Telegram-Group ');
+
+      expect(campaign).toMatchObject({ referrer_wallet: REFERRER, name: 'telegram-group' });
+      expect(campaign.code).toMatch(/^[A-Z2-9]{8}$/);
+    });
+
+    it('rejects invalid names and the campaign limit', async () => {
+      await expect(referralCampaignService.createCampaign(REFERRER, 'mi campana')).rejects.toThrow('Nombre de campana invalido');
+
+      query.mockResolvedValueOnce({ rows: [{ count: String(referralCampaignService.MAX_CAMPAIGNS) }] });
+      await expect(referralCampaignService.createCampaign(REFERRER, 'twitter')).rejects.toThrow('Maximo 20 campanas');
+    });
+
+    it('reports a repeated name', async () => {
+      const duplicate = Object.assign(new Error('duplicate'), { code: '23505', constraint: 'referral_campaigns_referrer_wallet_name_key' });
+      query.mockResolvedValueOnce({ rows: [{ count: '1' }] }).mockRejectedValueOnce(duplicate);
+
+      await expect(referralCampaignService.createCampaign(REFERRER, 'twitter')).rejects.toThrow('Ya tienes una campana con ese nombre');
+    });
+  });
+
+  describe('trackVisit', () => {
+    it('records a visit for an active campaign code', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [{ id: 4, referrer_wallet: REFERRER }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const result = await referralCampaignService.trackVisit({ code: 'abcd2345', visitorId: 'visitor-123456', source: 'https://t.me/x' });
+
+      expect(result).toEqual({ tracked: true, campaignId: 4 });
+      expect(query.mock.calls[1][1]).toEqual(['ABCD2345', REFERRER, 4, 'visitor-123456', null, 'https://t.me/x']);
+    });
+
+    it('attributes an unused direct code without a campaign', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ referrer_wallet: REFERRER }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const result = await referralCampaignService.trackVisit({ code: 'ABC234', visitorId: 'visitor-123456' });
+
+      expect(result).toEqual({ tracked: true, campaignId: null });
+      expect(query.mock.calls[2][1].slice(0, 3)).toEqual(['ABC234', REFERRER, null]);
+    });
+
+    it('ignores unknown codes and rejects malformed visitor ids', async () => {
+      query.mockResolvedValue({ rows: [] });
+
+      await expect(referralCampaignService.trackVisit({ code: 'ZZZZZZ', visitorId: 'visitor-123456' })).resolves.toEqual({ tracked: false });
+      await expect(referralCampaignService.trackVisit({ code: 'ZZZZZZ', visitorId: 'x' })).rejects.toThrow('visitor_id invalido');
+    });
+  });
+
+  describe('getFunnel', () => {
+    it('formats each campaign and adds up the totals', async () => {
+      query.mockResolvedValueOnce({
+        rows: [
+          {
+            referrer_wallet: REFERRER, campaign_id: 4, name: 'twitter', code: 'ABCD2345', is_active: true,
+            visitors: '200', visits: '260', registrations: '20', first_bets: '10', eligible_30d: '8', active_30d: '2',
+            turnover: '500.00', commissions: '15.00', ngr: '80.456'
+          },
+          {
+            referrer_wallet: REFERRER, campaign_id: null, name: null, code: null, is_active: null,
+            visitors: null, visits: null, registrations: '5', first_bets: '5', eligible_30d: '0', active_30d: '0',
+            turnover: '100.00', commissions: '3.00', ngr: null
+          }
+        ]
+      });
+
+      const { totals, campaigns } = await referralCampaignService.getFunnel({ referrerWallet: REFERRER.toUpperCase() });
+
+      expect(query.mock.calls[0][1]).toEqual([REFERRER, 30]);
+      expect(campaigns[0]).toMatchObject({
+        name: 'twitter',
+        funnel: { visitors: 200, registrations: 20, registrationRate: 10, firstBetRate: 50, active30dRate: 25 },
+        revenue: { turnover: 500, ngr: 80.46, commissions: 15 }
+      });
+      expect(campaigns[1]).toMatchObject({ name: 'directo', funnel: { registrationRate: null, active30dRate: null } });
+      expect(totals).toEqual({
+        funnel: {
+          visitors: 200, visits: 260, registrations: 25, firstBets: 15, eligible30d: 8, active30d: 2,
+          registrationRate: 12.5, firstBetRate: 60, active30dRate: 25
+        },
+        revenue: { turnover: 600, ngr: 80.46, commissions: 18 }
+      });
+    });
+  });
+});
@@ -0,0 +1,136 @@
+// Tests for self-service referral commission claims (DB mocked)
+jest.mock('../../config/database', () => {
+  const mockClient = { query: jest.fn(), release: jest.fn() };
+  return {
+    getClient: jest.fn(() => Promise.resolve(mockClient)),
+    query: jest.fn().mockResolvedValue({ rows: [] }),
+    __mockClient: mockClient,
+  };
+});
+
+jest.mock('../ledgerService', () => ({
+  ...jest.requireActual('../ledgerService'),
+  transfer: jest.fn().mockResolvedValue(true)
+}));
+
+jest.mock('../withdrawalService', () => ({
+  requestWithdrawal: jest.fn(),
+  getWithdrawalLimits: jest.fn(() => ({ min: 5, autoLimit: 500 }))
+}));
+
+const { query, __mockClient: mockClient } = require('../../config/database');
+const ledgerService = require('../ledgerService');
+const withdrawalService = require('../withdrawalService');
+const referralClaimService = require('../referralClaimService');
+
+const REFERRER = '0x' + 'b'.repeat(40);
+
+function mockDb({ commissions = ['4.50', '3.25', '2.25'], user = { id: 42, balance: '1.00' } } = {}) {
+  mockClient.query.mockImplementation(async (sql, params) => {
+    if (sql.includes('FROM users WHERE wallet_address')) return { rows: user ? [user] : [] };
+    if (sql.includes("status = 'pending'") && sql.includes('FOR UPDATE')) {
+      return { rows: commissions.map((amount, i) => ({ id: i + 1, commission_amount: amount })) };
+    }
+    if (sql.includes('INSERT INTO referral_commission_claims')) {
+      return { rows: [{ id: 9, referrer_wallet: params[0], user_id: params[1], amount: String(params[2]), commission_count: params[3], method: params[4] }] };
+    }
+    if (sql.includes('INSERT INTO transactions')) return { rows: [{ id: 300 }] };
+    return { rows: [] };
+  });
+}
+
+function statement(fragment) {
+  return mockClient.query.mock.calls.find(([sql]) => sql.includes(fragment));
+}
+
+describe('referralClaimService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    delete process.env.REFERRAL_CLAIM_MIN_AMOUNT;
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  describe('claimCommissions', () => {
+    it('credits every pending commission to the balance and links them to the claim', async () => {
+      mockDb();
+
+      const claim = await referralClaimService.claimCommissions(REFERRER.toUpperCase());
+
+      expect(claim).toMatchObject({ id: 9, amount: 10, commission_count: 3, method: 'balance', transaction_id: 300 });
+      expect(statement('SET status = \'paid\'')[1]).toEqual([9, [1, 2, 3]]);
+      expect(statement('UPDATE users SET balance')[1]).toEqual([11, 42]);
+      expect(statement('INSERT INTO transactions')[1].slice(5, 7)).toEqual(['referral_claim', 9]);
+      expect(ledgerService.transfer).toHaveBeenCalledWith(mockClient, expect.objectContaining({
+        type: 'referral_payout',
+        from: 'referral:payable',
+        to: ledgerService.userAccount(42),
+        amount: 10
+      }));
+      expect(mockClient.query).toHaveBeenCalledWith('COMMIT');
+      expect(withdrawalService.requestWithdrawal).not.toHaveBeenCalled();
+    });
+
+    it('rejects a claim below the minimum', async () => {
+      process.env.REFERRAL_CLAIM_MIN_AMOUNT = '25';
+      mockDb();
+
+      await expect(referralClaimService.claimCommissions(REFERRER))
+        .rejects.toThrow('El minimo para cobrar comisiones es 25 USDT (tienes 10 USDT)');
+      expect(statement('INSERT INTO referral_commission_claims')).toBeUndefined();
+      expect(mockClient.query).toHaveBeenCalledWith('ROLLBACK');
+    });
+
+    it('rejects an unknown method before touching the database', async () => {
+      await expect(referralClaimService.claimCommissions(REFERRER, { method: 'paypal' }))
+        .rejects.toThrow('Metodo de cobro invalido');
+      expect(mockClient.query).not.toHaveBeenCalled();
+    });
+
+    it('requests a withdrawal for the claimed amount', async () => {
+      mockDb();
+      withdrawalService.requestWithdrawal.mockResolvedValueOnce({ id: 77, status: 'completed', requires_approval: false });
+
+      const claim = await referralClaimService.claimCommissions(REFERRER, { method: 'withdrawal' });
+
+      expect(withdrawalService.requestWithdrawal).toHaveBeenCalledWith(42, 10, 'usdt', REFERRER);
+      expect(claim.withdrawal_id).toBe(77);
+      expect(query).toHaveBeenCalledWith(expect.stringContaining('SET withdrawal_id = $1'), [77, 9]);
+    });
+
+    it('keeps the amount in the balance when the withdrawal request fails', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      mockDb();
+      withdrawalService.requestWithdrawal.mockRejectedValueOnce(new Error('Retiro no disponible'));
+
+      const claim = await referralClaimService.claimCommissions(REFERRER, { method: 'withdrawal' });
+
+      expect(claim.withdrawal_error).toBe('Retiro no disponible');
+      expect(query).toHaveBeenCalledWith(expect.stringContaining('SET withdrawal_error = $1'), ['Retiro no disponible', 9]);
+      expect(mockClient.query).toHaveBeenCalledWith('COMMIT');
+      console.error.mockRestore();
+    });
+  });
+
+  describe('getClaim', () => {
+    it('hides claims of other wallets', async () => {
+      query.mockResolvedValueOnce({ rows: [{ id: 9, referrer_wallet: '0x' + 'd'.repeat(40), amount: '10.00' }] });
+
+      await expect(referralClaimService.getClaim(9, REFERRER)).rejects.toThrow('Cobro no encontrado');
+    });
+
+    it('returns the commission rows the claim covers', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [{ id: 9, referrer_wallet: REFERRER, amount: '10.00' }] })
+        .mockResolvedValueOnce({ rows: [{ id: 1 }, { id: 2 }] });
+
+      const claim = await referralClaimService.getClaim(9, REFERRER);
+
+      expect(claim).toMatchObject({ id: 9, amount: 10, commissions: [{ id: 1 }, { id: 2 }] });
+      expect(query.mock.calls[1][1]).toEqual([9]);
+    });
+  });
+});
@@ -0,0 +1,270 @@
+// Tests for referral fraud scoring and the admin review queue (DB and chain mocked)
+jest.mock('../../config/database', () => {
+  const mockClient = { query: jest.fn(), release: jest.fn() };
+  return {
+    getClient: jest.fn(() => Promise.resolve(mockClient)),
+    query: jest.fn(),
+    __mockClient: mockClient,
+  };
+});
+
+jest.mock('../../chain/provider', () => ({
+  getProvider: jest.fn()
+}));
+
+jest.mock('../ledgerService', () => ({
+  ...jest.requireActual('../ledgerService'),
+  transfer: jest.fn().mockResolvedValue(true)
+}));
+
+const { ethers } = require('ethers');
+const { query, __mockClient: mockClient } = require('../../config/database');
+const { getProvider } = require('../../chain/provider');
+const ledgerService = require('../ledgerService');
+const referralFraudService = require('../referralFraudService');
+
+const PLAYER = '0x' + 'c'.repeat(40);
+const REFERRER = '0x' + 'b'.repeat(40);
+const FUNDER = '0x' + 'd'.repeat(40);
+const TOKEN = '0x' + 'e'.repeat(40);
+
+function transferLog(from) {
+  return { topics: [ethers.id('Transfer(address,address,uint256)'), ethers.zeroPadValue(from, 32)] };
+}
+
+/**
+ * Chain stub: `senders` maps a receiving wallet to the wallets that sent it USDT
+ */
+function mockChain(senders = {}) {
+  const provider = {
+    getBlockNumber: jest.fn().mockResolvedValue(1000000),
+    getLogs: jest.fn(async ({ topics }) => {
+      const to = ethers.dataSlice(topics[2], 12).toLowerCase();
+      return (senders[to] || []).map(transferLog);
+    })
+  };
+  getProvider.mockReturnValue(provider);
+  return provider;
+}
+
+/**
+ * Route scoring queries. `referral` is the row being scored; `scans` and
+ * `funders` seed the funding cache per wallet.
+ */
+function mockScoring({ referral = {}, fingerprints = { shared_ips: 0, shared_devices: 0 }, bets = { wagers: 0, mirrored: 0 }, scans = {}, funders = {} } = {}) {
+  const row = { id: 10, referrer_wallet: REFERRER, referred_wallet: PLAYER, fraud_status: 'clear', fraud_cleared_score: null, ...referral };
+  const cache = Object.fromEntries(Object.entries(funders).map(([wallet, list]) => [wallet, new Set(list)]));
+  query.mockImplementation(async (sql, params) => {
+    if (sql.includes('SELECT last_block FROM wallet_funding_scans')) {
+      return { rows: scans[params[1]] !== undefined ? [{ last_block: String(scans[params[1]]) }] : [] };
+    }
+    if (sql.includes('INSERT INTO wallet_funders')) {
+      cache[params[1]] = new Set([...(cache[params[1]] || []), ...params[2]]);
+      return { rows: [] };
+    }
+    if (sql.includes('INSERT INTO wallet_funding_scans')) return { rows: [] };
+    if (sql.includes('SELECT funder FROM wallet_funders')) {
+      return { rows: [...(cache[params[1]] || [])].map(funder => ({ funder })) };
+    }
+    return { rows: [row] };
+  });
+  mockClient.query.mockImplementation(async (sql) => {
+    if (sql.includes('FROM referrals WHERE id = $1 FOR UPDATE')) return { rows: [row] };
+    if (sql.includes('FROM wallet_fingerprints a')) return { rows: [fingerprints] };
+    if (sql.includes('FROM responsible_gaming_activity a')) return { rows: [bets] };
+    if (sql.includes('INSERT INTO referral_fraud_flags')) return { rows: [{ id: 3, referral_id: row.id }] };
+    if (sql.includes("SET status = 'held'")) return { rowCount: 2, rows: [] };
+    return { rows: [], rowCount: 0 };
+  });
+}
+
+function statement(fragment) {
+  return mockClient.query.mock.calls.find(([sql]) => sql.includes(fragment));
+}
+
+describe('referralFraudService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.TOKEN_ADDRESS = TOKEN;
+    delete process.env.REFERRAL_FRAUD_HOLD_SCORE;
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    delete process.env.TOKEN_ADDRESS;
+    console.warn.mockRestore();
+    console.error.mockRestore();
+  });
+
+  describe('recordFingerprint', () => {
+    it('stores hashed IP and user agent once per throttle window', async () => {
+      query.mockResolvedValue({ rows: [] });
+
+      await expect(referralFraudService.recordFingerprint(PLAYER.toUpperCase(), '203.0.113.7', 'Mozilla/5.0')).resolves.toBe(true);
+      await expect(referralFraudService.recordFingerprint(PLAYER, '203.0.113.7', 'Mozilla/5.0')).resolves.toBe(false);
+
+      expect(query).toHaveBeenCalledTimes(1);
+      const [, params] = query.mock.calls[0];
+      expect(params[0]).toBe(PLAYER);
+      expect(params[1]).toMatch(/^[0-9a-f]{64}$/);
+      expect(params).not.toContain('203.0.113.7');
+    });
+  });
+
+  describe('scoreReferral', () => {
+    it('flags a pair funded by each other and sharing a device, holding its commissions', async () => {
+      mockChain({ [PLAYER]: [REFERRER] });
+      mockScoring({ fingerprints: { shared_ips: 1, shared_devices: 1 } });
+
+      const result = await referralFraudService.scoreReferral(10);
+
+      expect(result.score).toBe(90);
+      expect(result.signals.map(signal => signal.type)).toEqual(['direct_transfer', 'shared_device']);
+      expect(result.flagged).toBe(true);
+      expect(statement('INSERT INTO referral_fraud_flags')[1]).toEqual([10, REFERRER, PLAYER, 90, expect.any(String)]);
+      expect(statement("SET fraud_status = 'flagged'")[1]).toEqual([10]);
+      expect(statement("SET status = 'held'")[1]).toEqual([10]);
+      expect(mockClient.query).toHaveBeenCalledWith('COMMIT');
+    });
+
+    it('detects a shared funder but ignores the operator and game contracts', async () => {
+      process.env.OPERATOR_WALLET = '0x' + '1'.repeat(40);
+      mockChain({ [PLAYER]: [FUNDER, process.env.OPERATOR_WALLET], [REFERRER]: [FUNDER, process.env.OPERATOR_WALLET] });
+      mockScoring({ bets: { wagers: 10, mirrored: 6 } });
+
+      const result = await referralFraudService.scoreReferral(10);
+
+      expect(result.signals).toEqual([
+        expect.objectContaining({ type: 'shared_funder', details: expect.objectContaining({ funders: [FUNDER] }) }),
+        expect.objectContaining({ type: 'mirrored_bets' })
+      ]);
+      expect(result.score).toBe(60);
+      expect(result.flagged).toBe(true);
+      delete process.env.OPERATOR_WALLET;
+    });
+
+    it('reads cached funders and only scans the blocks since the last scan', async () => {
+      const provider = mockChain({ [PLAYER]: [FUNDER] });
+      mockScoring({ scans: { [PLAYER]: 999990, [REFERRER]: 1000000 }, funders: { [REFERRER]: [FUNDER] } });
+
+      const result = await referralFraudService.scoreReferral(10);
+
+      expect(result.signals).toEqual([expect.objectContaining({ type: 'shared_funder' })]);
+      expect(provider.getLogs).toHaveBeenCalledTimes(1);
+      expect(provider.getLogs).toHaveBeenCalledWith(expect.objectContaining({ fromBlock: 999991, toBlock: 1000000 }));
+      const upsert = query.mock.calls.find(([sql]) => sql.includes('INSERT INTO wallet_funding_scans'));
+      expect(upsert[1]).toEqual([TOKEN, PLAYER, 1000000]);
+    });
+
+    it('scans the lookback window the first time a wallet is checked', async () => {
+      const provider = mockChain();
+      mockScoring();
+
+      await referralFraudService.scoreReferral(10);
+
+      expect(provider.getLogs).toHaveBeenCalledTimes(2);
+      expect(provider.getLogs).toHaveBeenCalledWith(expect.objectContaining({ fromBlock: 800000, toBlock: 1000000 }));
+    });
+
+    it('scores without the on-chain signals when the RPC is unavailable', async () => {
+      getProvider.mockImplementation(() => { throw new Error('No RPC configured'); });
+      mockScoring({ fingerprints: { shared_ips: 2, shared_devices: 0 } });
+
+      const result = await referralFraudService.scoreReferral(10);
+
+      expect(result).toMatchObject({ score: 25, flagged: false });
+      expect(statement('SET fraud_score = $1')[1]).toEqual([25, 10]);
+      expect(statement('INSERT INTO referral_fraud_flags')).toBeUndefined();
+    });
+
+    it('does not flag an approved pair again unless the score went up', async () => {
+      mockChain({ [PLAYER]: [REFERRER] });
+      mockScoring({ referral: { fraud_status: 'cleared', fraud_cleared_score: 90 }, fingerprints: { shared_ips: 1, shared_devices: 1 } });
+
+      const result = await referralFraudService.scoreReferral(10);
+
+      expect(result).toMatchObject({ score: 90, flagged: false });
+      expect(statement("SET status = 'held'")).toBeUndefined();
+    });
+  });
+
+  describe('reviewFlag', () => {
+    const flag = { id: 3, referral_id: 10, score: 90, status: 'pending' };
+
+    function mockReview(current = flag, { paidBonus = null, balance = '10.00' } = {}) {
+      mockClient.query.mockImplementation(async (sql) => {
+        if (sql.includes('FROM referral_fraud_flags WHERE id = $1 FOR UPDATE')) return { rows: current ? [current] : [] };
+        if (sql.includes('welcome_bonus_paid_at IS NOT NULL')) {
+          return { rows: paidBonus ? [{ referred_wallet: PLAYER, welcome_bonus_amount: paidBonus }] : [] };
+        }
+        if (sql.includes('FROM users WHERE wallet_address')) return { rows: [{ id: 42, balance }] };
+        if (sql.includes("WHERE referral_id = $1 AND status = 'held'")) {
+          return { rowCount: 2, rows: [{ commission_amount: '1.50' }, { commission_amount: '0.60' }] };
+        }
+        return { rows: [], rowCount: 0 };
+      });
+    }
+
+    it('cancels the held commissions and bans the referral on reject', async () => {
+      mockReview();
+
+      const result = await referralFraudService.reviewFlag(3, { decision: 'reject', notes: 'misma persona' }, '0xadmin');
+
+      expect(result).toMatchObject({ status: 'rejected', commissions: 2, amount: 2.1, bonusClawedBack: 0 });
+      expect(statement('UPDATE users SET balance')).toBeUndefined();
+      expect(statement("SET status = 'cancelled'")).toBeDefined();
+      expect(statement("status = 'banned'")[1]).toEqual([2.1, 10]);
+      expect(ledgerService.transfer).toHaveBeenCalledWith(mockClient, expect.objectContaining({
+        from: 'referral:payable',
+        to: ledgerService.ACCOUNTS.OPERATOR_FEES,
+        amount: 2.1,
+        referenceType: 'referral_fraud_flag',
+        referenceId: 3
+      }));
+      expect(mockClient.query).toHaveBeenCalledWith('COMMIT');
+    });
+
+    it('claws back a welcome bonus already paid, up to the remaining balance', async () => {
+      mockReview(flag, { paidBonus: '5.00', balance: '3.50' });
+
+      const result = await referralFraudService.reviewFlag(3, { decision: 'reject' }, '0xadmin');
+
+      expect(result.bonusClawedBack).toBe(3.5);
+      expect(statement('UPDATE users SET balance')[1]).toEqual([0, 42]);
+      expect(ledgerService.transfer).toHaveBeenLastCalledWith(mockClient, expect.objectContaining({
+        type: 'welcome_bonus',
+        from: 'user:42',
+        to: 'house:promotions',
+        amount: 3.5,
+        referenceId: 3
+      }));
+      expect(mockClient.query).toHaveBeenCalledWith('COMMIT');
+    });
+
+    it('releases the held commissions and remembers the score on approve', async () => {
+      mockReview();
+
+      const result = await referralFraudService.reviewFlag(3, { decision: 'approve' }, '0xadmin');
+
+      expect(result).toMatchObject({ status: 'approved', commissions: 2 });
+      expect(statement("SET status = 'pending'")[1]).toEqual([10]);
+      expect(statement("SET fraud_status = 'cleared'")[1]).toEqual([90, 10]);
+      expect(statement('welcome_bonus_paid_at IS NOT NULL')).toBeUndefined();
+      expect(ledgerService.transfer).not.toHaveBeenCalled();
+    });
+
+    it('rejects a flag that was already reviewed', async () => {
+      mockReview({ ...flag, status: 'approved' });
+
+      await expect(referralFraudService.reviewFlag(3, { decision: 'reject' }, '0xadmin')).rejects.toThrow('ya fue revisado');
+      expect(mockClient.query).toHaveBeenCalledWith('ROLLBACK');
+      expect(mockClient.release).toHaveBeenCalled();
+    });
+
+    it('rejects an unknown decision before touching the database', async () => {
+      await expect(referralFraudService.reviewFlag(3, { decision: 'maybe' }, '0xadmin')).rejects.toThrow('Decision invalida');
+      expect(mockClient.query).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,129 @@
+// Tests for referral commission plans (DB mocked)
+jest.mock('../../config/database', () => {
+  const mockClient = { query: jest.fn(), release: jest.fn() };
+  return {
+    getClient: jest.fn(() => Promise.resolve(mockClient)),
+    query: jest.fn(),
+    __mockClient: mockClient,
+  };
+});
+
+const { query, __mockClient: mockClient } = require('../../config/database');
+const referralPlanService = require('../referralPlanService');
+
+const REFERRER = '0x' + 'b'.repeat(40);
+
+const PLAN = {
+  basis: 'turnover',
+  default_rate: 0.03,
+  game_rates: { keno: 0.05 },
+  tiers: [
+    { min_volume: 1000, bonus_rate: 0.005 },
+    { min_volume: 5000, bonus_rate: 0.01 }
+  ]
+};
+
+describe('referralPlanService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockClient.query.mockResolvedValue({ rows: [] });
+  });
+
+  describe('resolveRate', () => {
+    it('uses the game rate and falls back to the default rate', () => {
+      expect(referralPlanService.resolveRate(PLAN, 'keno', 0)).toBe(0.05);
+      expect(referralPlanService.resolveRate(PLAN, 'bingo', 0)).toBe(0.03);
+    });
+
+    it('adds the bonus of the highest tier reached', () => {
+      expect(referralPlanService.resolveRate(PLAN, 'bolita', 999.99)).toBe(0.03);
+      expect(referralPlanService.resolveRate(PLAN, 'bolita', 1000)).toBe(0.035);
+      expect(referralPlanService.resolveRate(PLAN, 'keno', 12000)).toBe(0.06);
+    });
+  });
+
+  describe('createPlan', () => {
+    function inserted() {
+      return mockClient.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO referral_commission_plans'));
+    }
+
+    it('normalizes and stores a valid plan', async () => {
+      mockClient.query.mockImplementation(async (sql, params) => (
+        sql.includes('INSERT INTO') ? { rows: [{ id: 3, default_rate: '0.0300', second_level_rate: '0.0100', welcome_bonus: '5.00' }] } : { rows: [] }
+      ));
+
+      const plan = await referralPlanService.createPlan({
+        name: ' VIP ',
+        default_rate: '0.03',
+        second_level_rate: 0.01,
+        welcome_bonus: 5,
+        tiers: [{ min_volume: 5000, bonus_rate: 0.01 }, { min_volume: 1000, bonus_rate: 0.005 }]
+      });
+
+      const params = inserted()[1];
+      expect(params[0]).toBe('VIP');
+      expect(params[2]).toBe('turnover');
+      expect(JSON.parse(params[5]).map(t => t.min_volume)).toEqual([1000, 5000]);
+      expect(plan).toMatchObject({ id: 3, default_rate: 0.03, second_level_rate: 0.01, welcome_bonus: 5 });
+      expect(mockClient.query).toHaveBeenCalledWith('COMMIT');
+    });
+
+    it('rejects unknown games, excessive rates and repeated tiers', async () => {
+      await expect(referralPlanService.createPlan({ name: 'A', default_rate: 0.03, game_rates: { poker: 0.1 } }))
+        .rejects.toThrow('Juego invalido en game_rates: poker');
+      await expect(referralPlanService.createPlan({ name: 'A', default_rate: 0.6 }))
+        .rejects.toThrow('default_rate debe ser un numero entre 0 y 0.5');
+      await expect(referralPlanService.createPlan({
+        name: 'A',
+        default_rate: 0.03,
+        tiers: [{ min_volume: 100, bonus_rate: 0.01 }, { min_volume: 100, bonus_rate: 0.02 }]
+      })).rejects.toThrow('tiers no puede repetir min_volume');
+      expect(inserted()).toBeUndefined();
+    });
+
+    it('moves the default flag to the new default plan', async () => {
+      mockClient.query.mockImplementation(async (sql) => (
+        sql.includes('INSERT INTO') ? { rows: [{ id: 4, is_default: true }] } : { rows: [] }
+      ));
+
+      await referralPlanService.createPlan({ name: 'Nuevo', default_rate: 0.02, is_default: true });
+
+      const statements = mockClient.query.mock.calls.map(([sql]) => sql);
+      const cleared = statements.findIndex(sql => sql.includes('SET is_default = false'));
+      expect(cleared).toBeGreaterThan(-1);
+      expect(cleared).toBeLessThan(statements.findIndex(sql => sql.includes('INSERT INTO')));
+    });
+  });
+
+  describe('updatePlan', () => {
+    it('does not leave the system without a default plan', async () => {
+      mockClient.query.mockImplementation(async (sql) => (
+        sql.includes('FOR UPDATE')
+          ? { rows: [{ id: 1, name: 'Estandar', basis: 'turnover', default_rate: '0.0300', second_level_rate: '0', welcome_bonus: '0', is_default: true }] }
+          : { rows: [] }
+      ));
+
+      await expect(referralPlanService.updatePlan(1, { is_default: false }))
+        .rejects.toThrow('Debe haber un plan por defecto');
+      expect(mockClient.query).toHaveBeenCalledWith('ROLLBACK');
+    });
+  });
+
+  describe('getPlanForReferrer', () => {
+    it('falls back to the historical 3% when there is no plan in the database', async () => {
+      query.mockResolvedValueOnce({ rows: [] });
+
+      const plan = await referralPlanService.getPlanForReferrer(REFERRER.toUpperCase());
+
+      expect(query.mock.calls[0][1]).toEqual([REFERRER]);
+      expect(plan).toMatchObject({ basis: 'turnover', default_rate: 0.03, welcome_bonus: 0 });
+    });
+  });
+
+  describe('assignPlan', () => {
+    it('rejects an invalid wallet', async () => {
+      await expect(referralPlanService.assignPlan('0x123', 2, 'admin')).rejects.toThrow('Wallet invalida');
+      expect(query).not.toHaveBeenCalled();
+    });
+  });
+});
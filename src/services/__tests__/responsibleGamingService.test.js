@@ -0,0 +1,250 @@
+// Tests for per-wallet responsible gaming controls (DB mocked)
+const mockClient = { query: jest.fn(), release: jest.fn() };
+jest.mock('../../db', () => ({
+  query: jest.fn(),
+  connect: jest.fn(() => Promise.resolve(mockClient))
+}));
+
+const pool = require('../../db');
+const responsibleGamingService = require('../responsibleGamingService');
+
+const WALLET = '0x' + 'b'.repeat(40);
+
+/**
+ * Route queries by statement against in-memory tables
+ */
+function mockTables({ limits = [], exclusion = null, activity = {} } = {}) {
+  const handler = async (sql, params = []) => {
+    if (sql.includes('pending_effective_at <= NOW()') && sql.startsWith('SELECT id')) return { rows: [] };
+    if (sql.includes('FROM responsible_gaming_exclusions')) return { rows: exclusion ? [exclusion] : [] };
+    if (sql.includes('FROM responsible_gaming_limits') && sql.includes('ANY($2)')) {
+      return { rows: limits.filter(l => params[1].includes(l.limit_type)) };
+    }
+    if (sql.includes('FROM responsible_gaming_limits') && sql.includes('FOR UPDATE')) {
+      return { rows: limits.filter(l => l.limit_type === params[1] && l.period === params[2]) };
+    }
+    if (sql.includes('FROM responsible_gaming_activity')) {
+      return { rows: Object.entries(activity).map(([activity_type, total]) => ({ activity_type, total })) };
+    }
+    if (sql.includes('INSERT INTO responsible_gaming_limits')) {
+      return { rows: [{ id: 9, limit_type: params[1], period: params[2], amount: String(params[3]), pending_amount: null, pending_effective_at: null }] };
+    }
+    if (sql.includes('UPDATE responsible_gaming_limits')) {
+      const current = limits[0];
+      return {
+        rows: [{
+          ...current,
+          amount: sql.includes('SET amount = $2') ? String(params[1]) : current.amount,
+          pending_amount: sql.includes('pending_amount = $2') ? params[1] : null,
+          pending_effective_at: sql.includes('make_interval') ? new Date(Date.now() + 86400000) : null
+        }]
+      };
+    }
+    if (sql.includes('INSERT INTO responsible_gaming_exclusions')) {
+      return { rows: [{ wallet_address: WALLET, cooling_off_until: new Date(Date.now() + 3600000) }] };
+    }
+    return { rows: [] };
+  };
+  pool.query.mockImplementation(handler);
+  mockClient.query.mockImplementation(handler);
+}
+
+function statements(fragment) {
+  return mockClient.query.mock.calls.filter(([sql]) => sql.includes(fragment));
+}
+
+function logged(action) {
+  return statements('INSERT INTO responsible_gaming_log').filter(([, params]) => params[1] === action);
+}
+
+describe('responsibleGamingService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    delete process.env.RG_LIMIT_INCREASE_HOURS;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('checkPlay', () => {
+    it('allows play without limits or exclusions', async () => {
+      mockTables();
+      await expect(responsibleGamingService.checkPlay(mockClient, WALLET, 5)).resolves.toBeUndefined();
+    });
+
+    it('skips users without a wallet', async () => {
+      await responsibleGamingService.checkPlay(mockClient, null, 5);
+      expect(mockClient.query).not.toHaveBeenCalled();
+    });
+
+    it('blocks a self-excluded wallet', async () => {
+      mockTables({ exclusion: { self_excluded_until: new Date(Date.now() + 86400000), self_excluded_permanent: false } });
+
+      await expect(responsibleGamingService.checkPlay(mockClient, WALLET, 1))
+        .rejects.toMatchObject({ code: 'RESPONSIBLE_GAMING', message: expect.stringContaining('Autoexclusion activa') });
+    });
+
+    it('blocks during cooling-off but not after it ends', async () => {
+      mockTables({ exclusion: { cooling_off_until: new Date(Date.now() + 60000) } });
+      await expect(responsibleGamingService.checkPlay(mockClient, WALLET, 1)).rejects.toThrow('enfriamiento');
+
+      mockTables({ exclusion: { cooling_off_until: new Date(Date.now() - 60000) } });
+      await expect(responsibleGamingService.checkPlay(mockClient, WALLET, 1)).resolves.toBeUndefined();
+    });
+
+    it('checks the reality check unless the purchase was pre-paid', async () => {
+      mockTables();
+
+      await responsibleGamingService.checkPlay(mockClient, WALLET, 1);
+      expect(statements('FROM play_sessions')).toHaveLength(1);
+
+      mockClient.query.mockClear();
+      await responsibleGamingService.checkPlay(mockClient, WALLET, 1, { realityCheck: false });
+      expect(statements('FROM play_sessions')).toHaveLength(0);
+    });
+
+    it('rejects a wager that would exceed the wager limit', async () => {
+      mockTables({
+        limits: [{ limit_type: 'wager', period: 'daily', amount: '100.00' }],
+        activity: { wager: '96.00' }
+      });
+
+      await expect(responsibleGamingService.checkPlay(mockClient, WALLET, 5))
+        .rejects.toThrow('Limite de apuesta diario alcanzado ($96.00 / $100.00, disponible $4.00)');
+      await expect(responsibleGamingService.checkPlay(mockClient, WALLET, 4)).resolves.toBeUndefined();
+    });
+
+    it('locks the wallet before reading its limits and usage', async () => {
+      mockTables({ limits: [{ limit_type: 'wager', period: 'daily', amount: '100.00' }] });
+
+      await responsibleGamingService.checkPlay(mockClient, WALLET, 5);
+
+      const sqls = mockClient.query.mock.calls.map(([sql]) => sql);
+      const lock = sqls.findIndex(sql => sql.includes('pg_advisory_xact_lock(hashtext($1))'));
+      expect(lock).toBeGreaterThanOrEqual(0);
+      expect(mockClient.query.mock.calls[lock][1]).toEqual([WALLET]);
+      expect(lock).toBeLessThan(sqls.findIndex(sql => sql.includes('FROM responsible_gaming_limits')));
+      expect(lock).toBeLessThan(sqls.findIndex(sql => sql.includes('FROM responsible_gaming_activity')));
+    });
+
+    it('counts losses net of payouts and refunds', async () => {
+      mockTables({
+        limits: [{ limit_type: 'loss', period: 'weekly', amount: '50.00' }],
+        activity: { wager: '120.00', refund: '20.00', payout: '60.00' } // loss 40
+      });
+
+      await expect(responsibleGamingService.checkPlay(mockClient, WALLET, 10)).resolves.toBeUndefined();
+      await expect(responsibleGamingService.checkPlay(mockClient, WALLET, 10.01)).rejects.toThrow('Limite de perdida semanal');
+    });
+  });
+
+  describe('checkDeposit', () => {
+    it('enforces deposit limits only', async () => {
+      mockTables({
+        limits: [
+          { limit_type: 'deposit', period: 'monthly', amount: '500.00' },
+          { limit_type: 'wager', period: 'monthly', amount: '1.00' }
+        ],
+        activity: { deposit: '450.00', wager: '300.00' }
+      });
+
+      await expect(responsibleGamingService.checkDeposit(mockClient, WALLET, 50)).resolves.toBeUndefined();
+      await expect(responsibleGamingService.checkDeposit(mockClient, WALLET, 60)).rejects.toThrow('Limite de deposito mensual');
+    });
+  });
+
+  describe('recording activity', () => {
+    it('stores rounded amounts and skips zero payouts', async () => {
+      mockTables();
+      await responsibleGamingService.recordPayout(mockClient, WALLET.toUpperCase(), 'bingo', 3.333333, { referenceType: 'bingo_round', referenceId: 7 });
+      await responsibleGamingService.recordPayout(mockClient, WALLET, 'keno', 0);
+
+      const inserts = statements('INSERT INTO responsible_gaming_activity');
+      expect(inserts).toHaveLength(1);
+      expect(inserts[0][1]).toEqual([WALLET, 'payout', 'bingo', 3.33, 'bingo_round', '7']);
+    });
+  });
+
+  describe('setLimit', () => {
+    it('applies a new limit at once', async () => {
+      mockTables();
+
+      const result = await responsibleGamingService.setLimit(WALLET, { type: 'loss', period: 'daily', amount: 25 });
+
+      expect(result.applied).toBe('now');
+      expect(result.limit.amount).toBe(25);
+      expect(logged('limit_set')).toHaveLength(1);
+      expect(mockClient.query).toHaveBeenCalledWith('COMMIT');
+    });
+
+    it('applies a decrease at once', async () => {
+      mockTables({ limits: [{ id: 3, limit_type: 'loss', period: 'daily', amount: '100.00', pending_effective_at: null }] });
+
+      const result = await responsibleGamingService.setLimit(WALLET, { type: 'loss', period: 'daily', amount: 40 });
+
+      expect(result.applied).toBe('now');
+      expect(result.limit.amount).toBe(40);
+      expect(logged('limit_decreased')[0][1][2]).toContain('"previous":100');
+    });
+
+    it('delays an increase by the waiting period', async () => {
+      process.env.RG_LIMIT_INCREASE_HOURS = '72';
+      mockTables({ limits: [{ id: 3, limit_type: 'loss', period: 'daily', amount: '100.00', pending_effective_at: null }] });
+
+      const result = await responsibleGamingService.setLimit(WALLET, { type: 'loss', period: 'daily', amount: 300 });
+
+      expect(result.applied).toBe('pending');
+      expect(result.limit.amount).toBe(100);
+      expect(result.limit.pending.amount).toBe(300);
+      expect(statements('make_interval(hours => $3)')[0][1]).toEqual([3, 300, 72]);
+      expect(logged('limit_increase_requested')).toHaveLength(1);
+    });
+
+    it('delays a removal the same way', async () => {
+      mockTables({ limits: [{ id: 3, limit_type: 'wager', period: 'weekly', amount: '100.00', pending_effective_at: null }] });
+
+      const result = await responsibleGamingService.setLimit(WALLET, { type: 'wager', period: 'weekly', amount: 0 });
+
+      expect(result.applied).toBe('pending');
+      expect(result.limit.pending.amount).toBeNull();
+      expect(logged('limit_removal_requested')).toHaveLength(1);
+    });
+
+    it('validates type, period and amount', async () => {
+      await expect(responsibleGamingService.setLimit(WALLET, { type: 'time', period: 'daily', amount: 5 })).rejects.toThrow('Tipo de limite invalido');
+      await expect(responsibleGamingService.setLimit(WALLET, { type: 'loss', period: 'yearly', amount: 5 })).rejects.toThrow('Periodo invalido');
+      await expect(responsibleGamingService.setLimit(WALLET, { type: 'loss', period: 'daily', amount: -5 })).rejects.toThrow('El monto debe ser');
+      expect(pool.connect).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('exclusions', () => {
+    it('validates cooling-off and self-exclusion durations', async () => {
+      await expect(responsibleGamingService.startCoolingOff(WALLET, 2)).rejects.toThrow('hours debe ser un entero entre 24 y 1008');
+      await expect(responsibleGamingService.selfExclude(WALLET, { months: 3 })).rejects.toThrow('months debe ser un entero entre 6 y 60');
+      expect(pool.connect).not.toHaveBeenCalled();
+    });
+
+    it('never shortens an existing exclusion and logs the change', async () => {
+      mockTables();
+
+      await responsibleGamingService.startCoolingOff(WALLET, 48);
+
+      const [sql, params] = statements('INSERT INTO responsible_gaming_exclusions')[0];
+      expect(sql).toContain('GREATEST(e.cooling_off_until, EXCLUDED.cooling_off_until)');
+      expect(params).toEqual([WALLET, 48, null, false]);
+      expect(logged('cooling_off_started')).toHaveLength(1);
+    });
+
+    it('records a permanent self-exclusion', async () => {
+      mockTables();
+
+      await responsibleGamingService.selfExclude(WALLET, { permanent: true });
+
+      expect(statements('INSERT INTO responsible_gaming_exclusions')[0][1]).toEqual([WALLET, null, null, true]);
+      expect(logged('self_excluded')).toHaveLength(1);
+    });
+  });
+});
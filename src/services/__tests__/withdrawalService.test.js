@@ -0,0 +1,131 @@
+// Tests for on-chain withdrawal payouts (DB and chain mocked)
+jest.mock('../../db', () => {
+  const mockClient = { query: jest.fn(), release: jest.fn() };
+  return {
+    query: jest.fn(),
+    connect: jest.fn(() => Promise.resolve(mockClient)),
+    __mockClient: mockClient,
+  };
+});
+
+jest.mock('../../config/database', () => ({ query: jest.fn(), getClient: jest.fn() }));
+
+jest.mock('../../models/Withdrawal', () => ({
+  findById: jest.fn(),
+  markProcessing: jest.fn(),
+  markCompleted: jest.fn()
+}));
+
+jest.mock('../../chain/provider', () => ({
+  sendUsdtTransfer: jest.fn(),
+  getSigner: jest.fn()
+}));
+
+jest.mock('../ledgerService', () => ({
+  ...jest.requireActual('../ledgerService'),
+  transfer: jest.fn().mockResolvedValue(true)
+}));
+
+const pool = require('../../db');
+const Withdrawal = require('../../models/Withdrawal');
+const { sendUsdtTransfer } = require('../../chain/provider');
+const ledgerService = require('../ledgerService');
+const withdrawalService = require('../withdrawalService');
+
+const { __mockClient: mockClient } = pool;
+
+const WITHDRAWAL = {
+  id: 9, user_id: 3, amount: '20.00', status: 'approved', crypto_currency: 'usdt', wallet_address: '0xabc'
+};
+
+/**
+ * Phase-1 statements of processWithdrawal plus the status claim of a restore
+ */
+function mockDb({ restoreClaimed = true } = {}) {
+  mockClient.query.mockImplementation(async (sql) => {
+    if (sql.includes('FROM withdrawals WHERE id')) return { rows: [WITHDRAWAL] };
+    if (sql.includes('SELECT id, balance, version FROM users')) return { rows: [{ id: 3, balance: '50.00', version: 1 }] };
+    if (sql.includes("SET status = 'failed'")) return { rows: restoreClaimed ? [{ id: 9 }] : [] };
+    if (sql.includes('SELECT balance FROM users')) return { rows: [{ balance: '30.00' }] };
+    return { rows: [] };
+  });
+}
+
+describe('withdrawalService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('processWithdrawal', () => {
+    it('leaves the withdrawal processing without restoring the balance while the transfer is pending', async () => {
+      mockDb();
+      const pending = new Error('Transfer not confirmed after 60s: 0xpending');
+      Object.assign(pending, { code: 'TX_PENDING', txId: 4, txHash: '0xpending' });
+      sendUsdtTransfer.mockRejectedValueOnce(pending);
+      Withdrawal.findById.mockResolvedValueOnce({ ...WITHDRAWAL, status: 'processing' });
+
+      const result = await withdrawalService.processWithdrawal(9, 1);
+
+      expect(result.status).toBe('processing');
+      expect(Withdrawal.markProcessing).toHaveBeenCalledWith(9, '0xpending');
+      expect(pool.connect).toHaveBeenCalledTimes(1);
+      expect(ledgerService.transfer).toHaveBeenCalledTimes(1);
+    });
+
+    it('restores the balance and marks the withdrawal failed when the transfer reverted', async () => {
+      mockDb();
+      sendUsdtTransfer.mockRejectedValueOnce(new Error('[TxManager] Transaction reverted on-chain: 0xdead'));
+
+      await expect(withdrawalService.processWithdrawal(9, 1)).rejects.toThrow('Balance restaurado');
+
+      expect(ledgerService.transfer).toHaveBeenLastCalledWith(mockClient, expect.objectContaining({
+        type: 'withdrawal_reversal',
+        to: 'user:3',
+        amount: 20,
+        referenceId: 9
+      }));
+    });
+  });
+
+  describe('resolvePendingWithdrawals', () => {
+    it('completes confirmed transfers and restores the ones that did not go through', async () => {
+      mockDb();
+      pool.query.mockResolvedValueOnce({
+        rows: [
+          { id: 9, user_id: 3, amount: '20.00', tx_status: 'confirmed', tx_hash: '0xok' },
+          { id: 10, user_id: 4, amount: '5.00', tx_status: 'cancelled', tx_hash: '0xcancel' }
+        ]
+      });
+
+      const resolved = await withdrawalService.resolvePendingWithdrawals();
+
+      expect(resolved).toEqual({ completed: 1, failed: 1 });
+      expect(Withdrawal.markCompleted).toHaveBeenCalledWith(9, '0xok');
+      expect(ledgerService.transfer).toHaveBeenCalledWith(mockClient, expect.objectContaining({
+        type: 'withdrawal_reversal',
+        to: 'user:4',
+        referenceId: 10
+      }));
+    });
+
+    it('does not restore a withdrawal that was already resolved', async () => {
+      mockDb({ restoreClaimed: false });
+      pool.query.mockResolvedValueOnce({
+        rows: [{ id: 10, user_id: 4, amount: '5.00', tx_status: 'reverted', tx_hash: '0xdead' }]
+      });
+
+      const resolved = await withdrawalService.resolvePendingWithdrawals();
+
+      expect(resolved).toEqual({ completed: 0, failed: 0 });
+      expect(ledgerService.transfer).not.toHaveBeenCalled();
+      expect(mockClient.query).toHaveBeenCalledWith('ROLLBACK');
+    });
+  });
+});
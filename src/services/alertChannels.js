@@ -0,0 +1,190 @@
+/**
+ * Alert Channels
+ *
+ * Delivery targets for monitoring alerts. A channel is enabled when its env
+ * vars are set; sends never throw — failures are returned per channel.
+ *
+ *   telegram — TELEGRAM_BOT_TOKEN + TELEGRAM_CHAT_ID
+ *   webhook  — ALERT_WEBHOOK_URL: POSTs the alert as JSON. With
+ *              ALERT_WEBHOOK_SECRET the body is signed (HMAC-SHA256, hex) in
+ *              the X-Alert-Signature header.
+ *   slack    — ALERT_SLACK_WEBHOOK_URL: Slack-compatible incoming webhook
+ *              ({ text }); Mattermost and Discord's /slack endpoint work too
+ *   email    — ALERT_SMTP_HOST, ALERT_EMAIL_TO (comma separated), optional
+ *              ALERT_SMTP_PORT (587), ALERT_SMTP_SECURE, ALERT_SMTP_USER,
+ *              ALERT_SMTP_PASS, ALERT_EMAIL_FROM
+ *
+ * An alert is { title, message, severity, ruleKey, value, threshold, firedAt }.
+ */
+
+const https = require('https');
+const crypto = require('crypto');
+const axios = require('axios');
+
+const SEND_TIMEOUT_MS = 10000;
+
+const SEVERITY_ICONS = { info: 'ℹ️', warning: '⚠️', critical: '🚨', resolved: '✅' };
+
+function _icon(alert) {
+  return SEVERITY_ICONS[alert.severity] || SEVERITY_ICONS.warning;
+}
+
+function _escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function _plainText(alert) {
+  return `${_icon(alert)} ${alert.title}\n${alert.message}`;
+}
+
+// ── Telegram ─────────────────────────────────────────────────────────────────
+
+function _sendTelegram(text) {
+  const body = JSON.stringify({ chat_id: process.env.TELEGRAM_CHAT_ID, text, parse_mode: 'HTML' });
+
+  return new Promise((resolve, reject) => {
+    const req = https.request(
+      {
+        hostname: 'api.telegram.org',
+        path: `/bot${process.env.TELEGRAM_BOT_TOKEN}/sendMessage`,
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) },
+        timeout: SEND_TIMEOUT_MS,
+      },
+      (res) => {
+        let data = '';
+        res.on('data', (chunk) => { data += chunk; });
+        res.on('end', () => {
+          if (res.statusCode !== 200) return reject(new Error(`Telegram API error ${res.statusCode}: ${data}`));
+          try {
+            const parsed = JSON.parse(data);
+            if (!parsed.ok) return reject(new Error(`Telegram API not ok: ${data}`));
+          } catch (_) {
+            return reject(new Error(`Telegram API invalid response: ${data}`));
+          }
+          resolve();
+        });
+      }
+    );
+    req.on('timeout', () => req.destroy(new Error('Telegram request timed out')));
+    req.on('error', reject);
+    req.write(body);
+    req.end();
+  });
+}
+
+// ── Email ────────────────────────────────────────────────────────────────────
+
+let _transport = null;
+
+function _getTransport() {
+  if (!_transport) {
+    const nodemailer = require('nodemailer');
+    const port = parseInt(process.env.ALERT_SMTP_PORT) || 587;
+    _transport = nodemailer.createTransport({
+      host: process.env.ALERT_SMTP_HOST,
+      port,
+      secure: process.env.ALERT_SMTP_SECURE ? process.env.ALERT_SMTP_SECURE === 'true' : port === 465,
+      auth: process.env.ALERT_SMTP_USER
+        ? { user: process.env.ALERT_SMTP_USER, pass: process.env.ALERT_SMTP_PASS }
+        : undefined,
+      connectionTimeout: SEND_TIMEOUT_MS,
+    });
+  }
+  return _transport;
+}
+
+// ── Channel registry ─────────────────────────────────────────────────────────
+
+const CHANNELS = {
+  telegram: {
+    isConfigured: () => Boolean(process.env.TELEGRAM_BOT_TOKEN && process.env.TELEGRAM_CHAT_ID),
+    send: (alert) => _sendTelegram(
+      `${_icon(alert)} <b>${_escapeHtml(alert.title)}</b>\n${_escapeHtml(alert.message)}`
+    ),
+  },
+
+  webhook: {
+    isConfigured: () => Boolean(process.env.ALERT_WEBHOOK_URL),
+    send: async (alert) => {
+      const body = JSON.stringify({ source: 'bolcoin-backend', ...alert });
+      const headers = { 'Content-Type': 'application/json' };
+      if (process.env.ALERT_WEBHOOK_SECRET) {
+        headers['X-Alert-Signature'] = crypto
+          .createHmac('sha256', process.env.ALERT_WEBHOOK_SECRET)
+          .update(body)
+          .digest('hex');
+      }
+      await axios.post(process.env.ALERT_WEBHOOK_URL, body, { headers, timeout: SEND_TIMEOUT_MS });
+    },
+  },
+
+  slack: {
+    isConfigured: () => Boolean(process.env.ALERT_SLACK_WEBHOOK_URL),
+    send: async (alert) => {
+      await axios.post(
+        process.env.ALERT_SLACK_WEBHOOK_URL,
+        { text: `${_icon(alert)} *${alert.title}*\n${alert.message}` },
+        { timeout: SEND_TIMEOUT_MS }
+      );
+    },
+  },
+
+  email: {
+    isConfigured: () => Boolean(process.env.ALERT_SMTP_HOST && process.env.ALERT_EMAIL_TO),
+    send: async (alert) => {
+      await _getTransport().sendMail({
+        from: process.env.ALERT_EMAIL_FROM || process.env.ALERT_SMTP_USER || 'alerts@bolcoin.local',
+        to: process.env.ALERT_EMAIL_TO,
+        subject: `[${String(alert.severity).toUpperCase()}] ${alert.title}`,
+        text: _plainText(alert),
+      });
+    },
+  },
+};
+
+const CHANNEL_NAMES = Object.keys(CHANNELS);
+
+/**
+ * Channel names with their configuration state
+ */
+function getChannels() {
+  return CHANNEL_NAMES.map(name => ({ name, configured: CHANNELS[name].isConfigured() }));
+}
+
+function getConfiguredChannels() {
+  return CHANNEL_NAMES.filter(name => CHANNELS[name].isConfigured());
+}
+
+/**
+ * Send to one channel. Resolves { channel, ok, error? }.
+ */
+async function sendToChannel(name, alert) {
+  const channel = CHANNELS[name];
+  if (!channel) return { channel: name, ok: false, error: 'Canal desconocido' };
+  if (!channel.isConfigured()) return { channel: name, ok: false, error: 'Canal no configurado' };
+
+  try {
+    await channel.send(alert);
+    return { channel: name, ok: true };
+  } catch (err) {
+    console.warn(`[Alerts] ${name} send error:`, err.message);
+    return { channel: name, ok: false, error: err.message };
+  }
+}
+
+/**
+ * Send to every configured channel (or only `names` when given).
+ */
+async function broadcast(alert, names = null) {
+  const targets = getConfiguredChannels().filter(name => !names || names.includes(name));
+  return Promise.all(targets.map(name => sendToChannel(name, alert)));
+}
+
+module.exports = {
+  CHANNEL_NAMES,
+  getChannels,
+  getConfiguredChannels,
+  sendToChannel,
+  broadcast,
+};
@@ -0,0 +1,399 @@
+/**
+ * Alert Service
+ *
+ * Rule engine behind monitoringService. Rules live in alert_rules:
+ *
+ *   metric <operator> threshold → alert with severity
+ *
+ * Each tick collects every metric the enabled rules reference (a collector
+ * returning null means "not applicable", e.g. no Bolita contract) and:
+ *   - Rules on the same metric escalate: only the most severe breached rule
+ *     fires, the others resolve (keno warning → critical → depleted).
+ *   - A breached rule keeps one open alert; it re-notifies every cooldown
+ *     (rule.cooldown_min, else ALERT_COOLDOWN_MIN) until acknowledged.
+ *   - Silenced rules still record alerts but notify nobody.
+ *   - When the rule clears, its open alert is resolved automatically.
+ *
+ * A metric whose collector fails is skipped — its alerts keep their state.
+ */
+
+const pool = require('../db');
+const alertChannels = require('./alertChannels');
+
+const DEFAULT_COOLDOWN_MIN = parseInt(process.env.ALERT_COOLDOWN_MIN) || 30;
+const MAX_SILENCE_MIN = 7 * 24 * 60;
+const OPERATOR_TX_STUCK_MIN = 15;
+
+const SEVERITY_RANK = { info: 0, warning: 1, critical: 2 };
+const ALERT_STATUSES = ['firing', 'acknowledged', 'resolved'];
+
+const COMPARATORS = {
+  '<': (value, threshold) => value < threshold,
+  '<=': (value, threshold) => value <= threshold,
+  '>': (value, threshold) => value > threshold,
+  '>=': (value, threshold) => value >= threshold,
+  '=': (value, threshold) => value === threshold,
+};
+
+// ── Metrics ──────────────────────────────────────────────────────────────────
+
+async function _kenoPool() {
+  const gameConfigService = require('./gameConfigService');
+  const balance = await gameConfigService.getPoolBalance();
+  const minRequired = await gameConfigService.getConfigValue('keno_min_pool_balance', 500);
+  return { balance, minRequired };
+}
+
+/**
+ * Collectors resolve { value, message, details } or null when not applicable.
+ */
+const METRICS = {
+  keno_pool_balance: async () => {
+    const { balance, minRequired } = await _kenoPool();
+    return {
+      value: balance,
+      message: `Balance: $${balance.toFixed(2)} USDT / mín $${minRequired}`,
+      details: { balance, minRequired },
+    };
+  },
+
+  keno_pool_min_ratio: async () => {
+    const { balance, minRequired } = await _kenoPool();
+    if (!(minRequired > 0)) return null;
+    const ratio = balance / minRequired;
+    return {
+      value: ratio,
+      message: `Balance: $${balance.toFixed(2)} / mín $${minRequired} (${(ratio * 100).toFixed(0)}% del mínimo)`,
+      details: { balance, minRequired },
+    };
+  },
+
+  bolita_pool_balance: async () => {
+    if (!process.env.BOLITA_CONTRACT_ADDRESS) return null;
+    const { getBolitaContractReadOnly } = require('../chain/bolitaProvider');
+    const { ethers } = require('ethers');
+    const raw = await getBolitaContractReadOnly().availablePool();
+    const balance = parseFloat(ethers.formatUnits(raw, 6));
+    return { value: balance, message: `Balance: $${balance.toFixed(2)} USDT`, details: { balance } };
+  },
+
+  bolita_stale_vrf_draws: async () => {
+    if (!process.env.BOLITA_CONTRACT_ADDRESS) return null;
+    // Same threshold as the BolitaScheduler VRF timeout (2h) plus margin
+    const { rows } = await pool.query(
+      `SELECT id, draw_number, updated_at FROM draws
+       WHERE draw_type = 'bolita'
+         AND status = 'vrf_pending'
+         AND winning_parles IS NULL
+         AND updated_at < NOW() - INTERVAL '150 minutes'`
+    );
+    return {
+      value: rows.length,
+      message: rows.map(r =>
+        `• #${r.id} "${r.draw_number}" — pendiente desde ${new Date(r.updated_at).toUTCString()}`
+      ).join('\n'),
+      details: { draws: rows.map(r => r.id) },
+    };
+  },
+
+  indexer_failed_events: async () => {
+    const { loadFailedIndexerEvents } = require('../db/indexerState');
+    const events = await loadFailedIndexerEvents();
+    return {
+      value: events.length,
+      message: events.map(e =>
+        `• ${e.indexer} ${e.eventName} bloque ${e.blockNumber} (${e.txHash}#${e.logIndex}): ${e.lastError}`
+      ).join('\n'),
+      details: { events: events.map(e => Number(e.id)) },
+    };
+  },
+
+  operator_tx_stuck: async () => {
+    const { rows } = await pool.query(
+      `SELECT id, purpose, nonce, tx_hash FROM operator_transactions
+       WHERE status = 'submitted' AND submitted_at < NOW() - ($1 * INTERVAL '1 minute')
+       ORDER BY nonce ASC`,
+      [OPERATOR_TX_STUCK_MIN]
+    );
+    return {
+      value: rows.length,
+      message: rows.map(r => `• #${r.id} ${r.purpose} nonce ${r.nonce} (${r.tx_hash})`).join('\n'),
+      details: { transactions: rows.map(r => Number(r.id)) },
+    };
+  },
+};
+
+// ── Evaluation ───────────────────────────────────────────────────────────────
+
+function isBreached(rule, value) {
+  const compare = COMPARATORS[rule.operator];
+  return Boolean(compare) && compare(Number(value), parseFloat(rule.threshold));
+}
+
+function isSilenced(rule, now = Date.now()) {
+  return Boolean(rule.silenced_until) && new Date(rule.silenced_until).getTime() > now;
+}
+
+/**
+ * Ids of the rules that should fire: the most severe breached rule per metric
+ */
+function selectFiring(rules, metrics) {
+  const top = new Map();
+  for (const rule of rules) {
+    const metric = metrics[rule.metric];
+    if (!metric || !isBreached(rule, metric.value)) continue;
+    const current = top.get(rule.metric);
+    if (!current || SEVERITY_RANK[rule.severity] > SEVERITY_RANK[current.severity]) {
+      top.set(rule.metric, rule);
+    }
+  }
+  return new Set([...top.values()].map(rule => rule.id));
+}
+
+async function _collectMetrics(rules) {
+  const metrics = {};
+  for (const name of new Set(rules.map(rule => rule.metric))) {
+    const collector = METRICS[name];
+    if (!collector) {
+      console.warn(`[Alerts] Unknown metric "${name}" — rule skipped`);
+      continue;
+    }
+    try {
+      const metric = await collector();
+      if (metric) metrics[name] = metric;
+    } catch (err) {
+      console.warn(`[Alerts] Metric ${name} failed:`, err.message);
+    }
+  }
+  return metrics;
+}
+
+function _alertMessage(rule, metric) {
+  return [metric.message, rule.description].filter(Boolean).join('\n');
+}
+
+async function _notify(rule, alert, overrides = {}) {
+  const results = await alertChannels.broadcast({
+    title: rule.title,
+    message: alert.message,
+    severity: rule.severity,
+    ruleKey: rule.key,
+    value: alert.value === null ? null : Number(alert.value),
+    threshold: Number(rule.threshold),
+    firedAt: alert.fired_at,
+    ...overrides,
+  }, rule.channels || null);
+  return results;
+}
+
+async function _fire(rule, metric, open) {
+  const message = _alertMessage(rule, metric);
+  let alert;
+
+  if (open) {
+    const updated = await pool.query(
+      `UPDATE alerts SET value = $2, message = $3, details = $4, updated_at = NOW()
+       WHERE id = $1 RETURNING *`,
+      [open.id, metric.value, message, JSON.stringify(metric.details || {})]
+    );
+    alert = updated.rows[0];
+  } else {
+    const inserted = await pool.query(
+      `INSERT INTO alerts (rule_id, rule_key, metric, severity, value, threshold, message, details)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       ON CONFLICT (rule_id) WHERE status <> 'resolved' DO NOTHING
+       RETURNING *`,
+      [rule.id, rule.key, rule.metric, rule.severity, metric.value, rule.threshold,
+        message, JSON.stringify(metric.details || {})]
+    );
+    alert = inserted.rows[0];
+    if (!alert) return null; // another instance opened it first
+    console.warn(`[Alerts] ${rule.key} firing (${rule.metric}=${metric.value} ${rule.operator} ${rule.threshold})`);
+  }
+
+  if (alert.status !== 'firing' || isSilenced(rule)) return alert;
+
+  const cooldownMs = (rule.cooldown_min ?? DEFAULT_COOLDOWN_MIN) * 60 * 1000;
+  if (alert.last_notified_at && Date.now() - new Date(alert.last_notified_at).getTime() < cooldownMs) {
+    return alert;
+  }
+
+  const results = await _notify(rule, alert);
+  const notified = await pool.query(
+    `UPDATE alerts
+     SET notify_count = notify_count + 1, last_notified_at = NOW(), channels_notified = $2, updated_at = NOW()
+     WHERE id = $1 RETURNING *`,
+    [alert.id, JSON.stringify(results)]
+  );
+  return notified.rows[0];
+}
+
+async function _autoResolve(rule, open) {
+  await pool.query(
+    `UPDATE alerts SET status = 'resolved', resolved_at = NOW(), updated_at = NOW()
+     WHERE id = $1 AND status <> 'resolved'`,
+    [open.id]
+  );
+  console.log(`[Alerts] ${rule.key} resolved`);
+
+  if (open.notify_count > 0 && !isSilenced(rule)) {
+    await _notify(rule, open, { title: `Resuelto: ${rule.title}`, severity: 'resolved' });
+  }
+}
+
+/**
+ * One monitoring pass over every enabled rule.
+ * @returns {Promise<{rules: number, firing: string[]}>}
+ */
+async function evaluate() {
+  const { rows: rules } = await pool.query(
+    'SELECT * FROM alert_rules WHERE enabled = true ORDER BY id'
+  );
+  if (rules.length === 0) return { rules: 0, firing: [] };
+
+  const { rows: openAlerts } = await pool.query(
+    `SELECT * FROM alerts WHERE status <> 'resolved'`
+  );
+  const openByRule = new Map(openAlerts.map(alert => [alert.rule_id, alert]));
+
+  const metrics = await _collectMetrics(rules);
+  const firingIds = selectFiring(rules, metrics);
+
+  for (const rule of rules) {
+    if (!metrics[rule.metric]) continue;
+    const open = openByRule.get(rule.id);
+    try {
+      if (firingIds.has(rule.id)) {
+        await _fire(rule, metrics[rule.metric], open);
+      } else if (open) {
+        await _autoResolve(rule, open);
+      }
+    } catch (err) {
+      console.error(`[Alerts] Error processing rule ${rule.key}:`, err.message);
+    }
+  }
+
+  return { rules: rules.length, firing: rules.filter(rule => firingIds.has(rule.id)).map(rule => rule.key) };
+}
+
+// ── Admin ────────────────────────────────────────────────────────────────────
+
+/**
+ * @param {Object} [filters]
+ * @param {string} [filters.status] - 'active' (firing + acknowledged, default), 'all' or a status
+ */
+async function listAlerts({ status = 'active', limit = 100 } = {}) {
+  const params = [];
+  let where = '';
+  if (status === 'active') {
+    where = `WHERE a.status <> 'resolved'`;
+  } else if (status !== 'all') {
+    if (!ALERT_STATUSES.includes(status)) throw new Error('Estado de alerta invalido');
+    params.push(status);
+    where = 'WHERE a.status = $1';
+  }
+  params.push(Math.min(Math.max(parseInt(limit) || 100, 1), 500));
+
+  const { rows } = await pool.query(
+    `SELECT a.*, r.title, r.silenced_until
+     FROM alerts a
+     JOIN alert_rules r ON r.id = a.rule_id
+     ${where}
+     ORDER BY a.fired_at DESC
+     LIMIT $${params.length}`,
+    params
+  );
+  return rows;
+}
+
+async function _updateAlertStatus(id, status, actor) {
+  const { rows } = await pool.query('SELECT status FROM alerts WHERE id = $1', [id]);
+  if (rows.length === 0) throw new Error('Alerta no encontrada');
+  if (rows[0].status === 'resolved') throw new Error('La alerta ya esta resuelta');
+  if (status === 'acknowledged' && rows[0].status === 'acknowledged') {
+    throw new Error('La alerta ya fue reconocida');
+  }
+
+  const column = status === 'acknowledged' ? 'acknowledged' : 'resolved';
+  const result = await pool.query(
+    `UPDATE alerts SET status = $2, ${column}_at = NOW(), ${column}_by = $3, updated_at = NOW()
+     WHERE id = $1 RETURNING *`,
+    [id, status, actor]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Stop re-notifying an open alert (it still resolves when the rule clears)
+ */
+function acknowledgeAlert(id, actor) {
+  return _updateAlertStatus(id, 'acknowledged', actor);
+}
+
+/**
+ * Close an alert by hand. If the rule is still breached a new alert opens on the next tick.
+ */
+function resolveAlert(id, actor) {
+  return _updateAlertStatus(id, 'resolved', actor);
+}
+
+async function listRules() {
+  const { rows } = await pool.query('SELECT * FROM alert_rules ORDER BY metric, id');
+  return rows.map(rule => ({ ...rule, silenced: isSilenced(rule) }));
+}
+
+/**
+ * Silence a rule for `minutes` (0 lifts the silence)
+ */
+async function silenceRule(id, minutes, actor) {
+  const duration = Number(minutes);
+  if (!Number.isInteger(duration) || duration < 0 || duration > MAX_SILENCE_MIN) {
+    throw new Error(`minutes debe ser un entero entre 0 y ${MAX_SILENCE_MIN}`);
+  }
+
+  const { rows } = await pool.query(
+    `UPDATE alert_rules
+     SET silenced_until = CASE WHEN $2 > 0 THEN NOW() + ($2 * INTERVAL '1 minute') END,
+         silenced_by = CASE WHEN $2 > 0 THEN $3 END,
+         updated_at = NOW()
+     WHERE id = $1
+     RETURNING *`,
+    [id, duration, actor]
+  );
+  if (rows.length === 0) throw new Error('Regla no encontrada');
+
+  console.log(`[Alerts] Rule ${rows[0].key} ${duration > 0 ? `silenced for ${duration} min` : 'unsilenced'} by ${actor}`);
+  return { ...rows[0], silenced: duration > 0 };
+}
+
+/**
+ * Send a test alert through one channel
+ */
+async function testChannel(name, actor) {
+  const channel = alertChannels.getChannels().find(c => c.name === name);
+  if (!channel) throw new Error('Canal desconocido');
+  if (!channel.configured) throw new Error('Canal no configurado');
+
+  return alertChannels.sendToChannel(name, {
+    title: 'Alerta de prueba',
+    message: `Canal ${name} funcionando. Enviada por ${actor}`,
+    severity: 'info',
+    ruleKey: 'test',
+    value: null,
+    threshold: null,
+    firedAt: new Date().toISOString(),
+  });
+}
+
+module.exports = {
+  METRICS,
+  evaluate,
+  isBreached,
+  selectFiring,
+  listAlerts,
+  acknowledgeAlert,
+  resolveAlert,
+  listRules,
+  silenceRule,
+  testChannel,
+};
@@ -1,4 +1,5 @@
-const { query, getClient } = require('../config/database');
+const { query } = require('../config/database');
+const ledgerService = require('./ledgerService');
 
 // =================================
 // AUDIT SERVICE
@@ -137,84 +138,76 @@ async function getIncomeExpensesBreakdown(dateFrom = null, dateTo = null) {
 }
 
 /**
- * Obtener balance general del sistema
+ * Obtener balance general del sistema desde el diario contable
+ * (ver ledgerService: cada movimiento de dinero es un asiento balanceado)
  */
 async function getGeneralBalance() {
-    const client = await getClient();
-
-    try {
-        // Total apostado historico
-        const totalBets = await client.query(`
-            SELECT COALESCE(SUM(amount), 0) as total
-            FROM bets
-            WHERE is_corrido_child = false
-        `);
-
-        // Total premios pagados
-        const totalPrizes = await client.query(`
-            SELECT COALESCE(SUM(actual_payout), 0) as total
-            FROM bets
-            WHERE status = 'won'
-        `);
-
-        // Total comisiones pagadas
-        const totalCommissions = await client.query(`
-            SELECT COALESCE(SUM(commission_amount), 0) as total
-            FROM referral_commissions
-            WHERE status = 'paid'
-        `);
-
-        // Total fees
-        const totalFees = await client.query(`
-            SELECT COALESCE(SUM(fee_amount), 0) as total
-            FROM operator_fees
-        `);
-
-        // Balances de usuarios
-        const userBalances = await client.query(`
-            SELECT
-                COALESCE(SUM(balance), 0) as total_balance,
-                COUNT(*) as user_count
-            FROM users
-            WHERE balance > 0
-        `);
-
-        // Sorteos activos con apuestas pendientes
-        const pendingBets = await client.query(`
-            SELECT COALESCE(SUM(b.amount), 0) as total
-            FROM bets b
-            JOIN draws d ON b.draw_id = d.id
-            WHERE d.status IN ('scheduled', 'open', 'closed')
-            AND b.status = 'pending'
-        `);
-
-        const bets = parseFloat(totalBets.rows[0].total);
-        const prizes = parseFloat(totalPrizes.rows[0].total);
-        const commissions = parseFloat(totalCommissions.rows[0].total);
-        const fees = parseFloat(totalFees.rows[0].total);
+    const trial = await ledgerService.getTrialBalance();
+    const entryTotals = await ledgerService.getEntryTotals();
+    const lastReconciliation = await ledgerService.getLastReconciliation();
 
-        return {
-            historicTotals: {
-                totalBets: bets,
-                totalPrizes: prizes,
-                totalCommissions: commissions,
-                totalFees: fees,
-                grossProfit: bets - prizes,
-                netProfit: bets - prizes - commissions
-            },
-            currentState: {
-                userBalances: parseFloat(userBalances.rows[0].total_balance),
-                usersWithBalance: parseInt(userBalances.rows[0].user_count),
-                pendingBetsAmount: parseFloat(pendingBets.rows[0].total)
+    const { ACCOUNTS, ENTRY_TYPES } = ledgerService;
+    const account = code => trial.accounts.find(a => a.code === code)?.balance || 0;
+    const entryTotal = type => entryTotals[type]?.total || 0;
+
+    const usersWithBalance = await query(`
+        SELECT COUNT(*) as user_count
+        FROM users
+        WHERE balance > 0
+    `);
+
+    // Apuestas y premios brutos de todos los juegos
+    const bets = entryTotal(ENTRY_TYPES.BET);
+    const prizes = entryTotal(ENTRY_TYPES.PRIZE);
+    const commissions = entryTotal(ENTRY_TYPES.REFERRAL_COMMISSION);
+    const fees = account(ACCOUNTS.OPERATOR_FEES) + commissions;
+
+    const isBalanced = trial.totals.difference === 0;
+
+    return {
+        historicTotals: {
+            totalBets: bets,
+            totalPrizes: prizes,
+            totalCommissions: commissions,
+            totalFees: fees,
+            totalDeposits: entryTotal(ENTRY_TYPES.DEPOSIT),
+            totalWithdrawals: entryTotal(ENTRY_TYPES.WITHDRAWAL) - entryTotal(ENTRY_TYPES.WITHDRAWAL_REVERSAL),
+            grossProfit: bets - prizes,
+            netProfit: bets - prizes - commissions
+        },
+        currentState: {
+            userBalances: trial.users.balance,
+            usersWithBalance: parseInt(usersWithBalance.rows[0].user_count),
+            pendingBetsAmount: account(ACCOUNTS.BOLITA_STAKES) + account(ACCOUNTS.BINGO_STAKES),
+            custody: account(ACCOUNTS.EXTERNAL),
+            pools: {
+                bolitaReserve: account(ACCOUNTS.BOLITA_RESERVE),
+                bolitaBankroll: account(ACCOUNTS.BOLITA_BANKROLL),
+                keno: account(ACCOUNTS.KENO_POOL),
+                bingoJackpot: account(ACCOUNTS.BINGO_JACKPOT),
+                bingoHouse: account(ACCOUNTS.BINGO_HOUSE)
             },
-            healthCheck: {
-                isHealthy: (bets - prizes - commissions) >= 0,
-                profitMargin: bets > 0 ? ((bets - prizes) / bets * 100).toFixed(2) : 0
-            }
-        };
-    } finally {
-        client.release();
-    }
+            operatorFees: account(ACCOUNTS.OPERATOR_FEES),
+            referralPayable: account(ACCOUNTS.REFERRAL_PAYABLE)
+        },
+        ledger: {
+            accounts: trial.accounts,
+            totals: trial.totals
+        },
+        healthCheck: {
+            isHealthy: isBalanced && (!lastReconciliation || lastReconciliation.status === 'ok'),
+            isBalanced,
+            profitMargin: bets > 0 ? ((bets - prizes) / bets * 100).toFixed(2) : 0,
+            lastReconciliation: lastReconciliation
+                ? {
+                    id: lastReconciliation.id,
+                    status: lastReconciliation.status,
+                    driftCount: lastReconciliation.drift_count,
+                    createdAt: lastReconciliation.created_at
+                }
+                : null
+        }
+    };
 }
 
 /**
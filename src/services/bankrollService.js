@@ -1,12 +1,16 @@
 const { getClient, query } = require('../config/database');
 const { BOLITA_PRIZES, GAME_RULES } = require('../config/constants');
 const { toCents, fromCents } = require('../utils/money');
+const gameConfigService = require('./gameConfigService');
+const ledgerService = require('./ledgerService');
 
 // =================================
 // SERVICIO DE BANKROLL Y EXPOSICIÓN
 // Sistema de gestión de límites por número
 // =================================
 
+const EXPOSURE_GAME_TYPES = ['fijos', 'centenas', 'parles'];
+
 /**
  * Obtener estado actual del bankroll
  */
@@ -40,23 +44,79 @@ async function getCurrentLimitPerNumber() {
     return fromCents(toCents(status.current_limit_per_number));
 }
 
+/**
+ * Calcular el límite dinámico de un número dentro de un sorteo
+ *
+ * - Límite por tipo: límite base × typeLimitBps del tipo (fijos/centenas/parles)
+ * - liabilityRatio: pago potencial del número / pago potencial máximo por número
+ *   (reserva × maxNumberLiabilityBps)
+ * - Modo normal: el límite baja linealmente hasta shrinkBps según liabilityRatio
+ *   y nunca deja pasar el pago potencial máximo (el número se vende)
+ * - Modo reducción de cuotas: el límite no baja; desde oddsReductionStartBps el
+ *   multiplicador baja linealmente hasta oddsReductionFloorBps del base
+ *
+ * @param {Object} state - { baseLimit, gameType, currentAmount, potentialPayout, reserve }
+ * @param {Object} config - gameConfigService.getBolitaLimitsConfig()
+ * @returns {Object} { limit, available, multiplier, baseMultiplier, liabilityRatio }
+ */
+function calculateNumberLimit(state, config) {
+    const { baseLimit, gameType, currentAmount = 0, potentialPayout = 0, reserve = 0 } = state;
+    const baseMultiplier = GAME_RULES[gameType]?.multiplier || 65;
+    const typeBps = config.typeLimitBps?.[gameType] ?? 10000;
+
+    const currentCents = toCents(currentAmount);
+    const typeLimitCents = Math.floor(toCents(baseLimit) * typeBps / 10000);
+
+    const result = (limitCents, multiplier, liabilityRatio) => ({
+        limit: fromCents(limitCents),
+        available: fromCents(Math.max(0, limitCents - currentCents)),
+        multiplier,
+        baseMultiplier,
+        liabilityRatio
+    });
+
+    if (!config.dynamicEnabled) {
+        return result(typeLimitCents, baseMultiplier, null);
+    }
+
+    const maxLiability = reserve * config.maxNumberLiabilityBps / 10000;
+    const ratio = maxLiability > 0 ? Math.min(1, potentialPayout / maxLiability) : 1;
+    const liabilityRatio = Math.round(ratio * 10000) / 10000;
+
+    if (config.oddsReductionEnabled) {
+        const start = config.oddsReductionStartBps / 10000;
+        const floor = config.oddsReductionFloorBps / 10000;
+        const progress = ratio <= start || start >= 1 ? 0 : (ratio - start) / (1 - start);
+        // bets.multiplier es INTEGER: redondear hacia abajo
+        const multiplier = Math.max(1, Math.floor(baseMultiplier * (1 - (1 - floor) * progress)));
+        return result(typeLimitCents, multiplier, liabilityRatio);
+    }
+
+    const shrunkCents = Math.floor(typeLimitCents * (1 - (config.shrinkBps / 10000) * ratio));
+    const liabilityRoomCents = Math.floor(Math.max(0, maxLiability - potentialPayout) * 100 / baseMultiplier);
+
+    return result(Math.min(shrunkCents, currentCents + liabilityRoomCents), baseMultiplier, liabilityRatio);
+}
+
 /**
  * Verificar disponibilidad de un número para apostar
- * @returns {Object} { available: boolean, availableAmount: number, message: string }
+ * @returns {Object} { available: boolean, availableAmount: number, multiplier: number, message: string }
  */
 async function checkNumberAvailability(drawId, gameType, betNumber, requestedAmount) {
     const client = await getClient();
 
     try {
-        // Obtener límite actual
-        const limitResult = await client.query(
-            'SELECT current_limit_per_number FROM bankroll_status LIMIT 1'
+        // Obtener límite base y reserva
+        const statusResult = await client.query(
+            'SELECT current_limit_per_number, prize_reserve FROM bankroll_status LIMIT 1'
         );
-        const limit = parseFloat(limitResult.rows[0]?.current_limit_per_number || 2);
+        const baseLimit = parseFloat(statusResult.rows[0]?.current_limit_per_number || 2);
+        const reserve = parseFloat(statusResult.rows[0]?.prize_reserve || 0);
 
         // Obtener monto ya apostado a este número
         const exposureResult = await client.query(`
-            SELECT COALESCE(total_amount, 0) as total_amount, is_sold_out
+            SELECT COALESCE(total_amount, 0) as total_amount,
+                   COALESCE(potential_payout, 0) as potential_payout, is_sold_out
             FROM number_exposure
             WHERE draw_id = $1 AND game_type = $2 AND bet_number = $3
         `, [drawId, gameType, betNumber]);
@@ -64,7 +124,18 @@ async function checkNumberAvailability(drawId, gameType, betNumber, requestedAmo
         const currentAmount = Math.round(parseFloat(exposureResult.rows[0]?.total_amount || 0) * 100) / 100;
         const isSoldOut = exposureResult.rows[0]?.is_sold_out || false;
 
-        const availableAmount = Math.round(Math.max(0, limit - currentAmount) * 100) / 100;
+        const config = await gameConfigService.getBolitaLimitsConfig();
+        const numberLimit = calculateNumberLimit({
+            baseLimit,
+            gameType,
+            currentAmount,
+            potentialPayout: parseFloat(exposureResult.rows[0]?.potential_payout || 0),
+            reserve
+        }, config);
+
+        const limit = numberLimit.limit;
+        const availableAmount = numberLimit.available;
+        const { multiplier, liabilityRatio } = numberLimit;
 
         if (isSoldOut || availableAmount <= 0) {
             return {
@@ -72,6 +143,8 @@ async function checkNumberAvailability(drawId, gameType, betNumber, requestedAmo
                 availableAmount: 0,
                 currentAmount,
                 limit,
+                multiplier,
+                liabilityRatio,
                 message: `Número ${betNumber} vendido en su totalidad`
             };
         }
@@ -82,6 +155,8 @@ async function checkNumberAvailability(drawId, gameType, betNumber, requestedAmo
                 availableAmount,
                 currentAmount,
                 limit,
+                multiplier,
+                liabilityRatio,
                 message: `Solo puedes apostar ${availableAmount.toFixed(2)} USDT más al número ${betNumber}`
             };
         }
@@ -91,6 +166,8 @@ async function checkNumberAvailability(drawId, gameType, betNumber, requestedAmo
             availableAmount,
             currentAmount,
             limit,
+            multiplier,
+            liabilityRatio,
             message: 'OK'
         };
 
@@ -102,18 +179,24 @@ async function checkNumberAvailability(drawId, gameType, betNumber, requestedAmo
 /**
  * Registrar exposición de una apuesta
  * Llamar DESPUÉS de aceptar la apuesta
+ * @param {number} [multiplier] - Multiplicador efectivo (reducción de cuotas); por defecto el del tipo
  */
-async function registerBetExposure(client, drawId, gameType, betNumber, amount) {
-    const multiplier = GAME_RULES[gameType]?.multiplier || 65;
+async function registerBetExposure(client, drawId, gameType, betNumber, amount, multiplier = null) {
+    const effectiveMultiplier = multiplier || GAME_RULES[gameType]?.multiplier || 65;
     // Use integer cents to avoid floating-point errors
     const amountCents = Math.round(amount * 100);
-    const potentialPayout = amountCents * multiplier / 100;
+    const potentialPayout = amountCents * effectiveMultiplier / 100;
 
-    // Obtener límite actual
-    const limitResult = await client.query(
-        'SELECT current_limit_per_number FROM bankroll_status LIMIT 1'
+    // Obtener límite base y reserva
+    const statusResult = await client.query(
+        'SELECT current_limit_per_number, prize_reserve FROM bankroll_status LIMIT 1'
     );
-    const limit = Math.round(parseFloat(limitResult.rows[0]?.current_limit_per_number || 2) * 100) / 100;
+    const baseLimit = Math.round(parseFloat(statusResult.rows[0]?.current_limit_per_number || 2) * 100) / 100;
+    const reserve = parseFloat(statusResult.rows[0]?.prize_reserve || 0);
+
+    // Límite por tipo; el dinámico se recalcula con el estado después de la apuesta
+    const config = await gameConfigService.getBolitaLimitsConfig();
+    const limit = calculateNumberLimit({ baseLimit, gameType, reserve }, { ...config, dynamicEnabled: false }).limit;
 
     // Insertar o actualizar exposición
     const result = await client.query(`
@@ -130,7 +213,38 @@ async function registerBetExposure(client, drawId, gameType, betNumber, amount)
         RETURNING *
     `, [drawId, gameType, betNumber, amount, limit, potentialPayout]);
 
-    return result.rows[0];
+    let exposure = result.rows[0];
+    if (!exposure) return exposure;
+
+    const after = calculateNumberLimit({
+        baseLimit,
+        gameType,
+        currentAmount: parseFloat(exposure.total_amount),
+        potentialPayout: parseFloat(exposure.potential_payout),
+        reserve
+    }, config);
+    const isSoldOut = after.available <= 0;
+
+    if (after.limit !== parseFloat(exposure.exposure_limit) || isSoldOut !== exposure.is_sold_out) {
+        await client.query(`
+            UPDATE number_exposure SET exposure_limit = $2, is_sold_out = $3
+            WHERE draw_id = $1 AND game_type = $4 AND bet_number = $5
+        `, [drawId, after.limit, isSoldOut, gameType, betNumber]);
+        exposure = { ...exposure, exposure_limit: after.limit, is_sold_out: isSoldOut };
+    }
+
+    // Historial para la curva del límite
+    await client.query(`
+        INSERT INTO number_exposure_history (
+            draw_id, game_type, bet_number, bet_amount, total_amount,
+            potential_payout, exposure_limit, effective_multiplier, liability_ratio
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+    `, [
+        drawId, gameType, betNumber, amount, exposure.total_amount,
+        exposure.potential_payout, after.limit, effectiveMultiplier, after.liabilityRatio
+    ]);
+
+    return exposure;
 }
 
 /**
@@ -183,6 +297,51 @@ async function getDrawExposure(drawId) {
     return summary;
 }
 
+/**
+ * Historial de exposición de un sorteo (curva del límite por número)
+ * @param {Object} filters - { gameType, betNumber, limit }
+ */
+async function getExposureHistory(drawId, filters = {}) {
+    const params = [drawId];
+    let where = 'WHERE draw_id = $1';
+
+    if (filters.gameType) {
+        params.push(filters.gameType);
+        where += ` AND game_type = $${params.length}`;
+    }
+    if (filters.betNumber) {
+        params.push(filters.betNumber);
+        where += ` AND bet_number = $${params.length}`;
+    }
+
+    params.push(Math.min(Math.max(parseInt(filters.limit) || 500, 1), 2000));
+
+    // Los últimos N puntos, en orden cronológico
+    const result = await query(`
+        SELECT * FROM (
+            SELECT id, game_type, bet_number, bet_amount, total_amount, potential_payout,
+                   exposure_limit, effective_multiplier, liability_ratio, created_at
+            FROM number_exposure_history
+            ${where}
+            ORDER BY id DESC
+            LIMIT $${params.length}
+        ) h
+        ORDER BY id ASC
+    `, params);
+
+    return result.rows.map(row => ({
+        game_type: row.game_type,
+        bet_number: row.bet_number,
+        bet_amount: parseFloat(row.bet_amount),
+        total_amount: parseFloat(row.total_amount),
+        potential_payout: parseFloat(row.potential_payout),
+        exposure_limit: parseFloat(row.exposure_limit),
+        multiplier: row.effective_multiplier,
+        liability_ratio: row.liability_ratio === null ? null : parseFloat(row.liability_ratio),
+        created_at: row.created_at
+    }));
+}
+
 /**
  * Procesar liquidación del sorteo
  * Distribuye el pool según si hay ganador o no
@@ -304,6 +463,23 @@ async function settleDrawPool(drawId, winningNumbers, totalPool, prizesPaid) {
             newBankroll, newReserve, newLimit
         ]);
 
+        // Diario: las apuestas del sorteo se reparten y la reserva cubre los premios.
+        // El residuo de redondeo a centavos queda en fees.
+        await ledgerService.post(client, {
+            type: ledgerService.ENTRY_TYPES.SETTLEMENT,
+            referenceType: 'draw',
+            referenceId: drawId,
+            postings: [
+                { account: ledgerService.ACCOUNTS.BOLITA_STAKES, amount: totalPool },
+                { account: ledgerService.ACCOUNTS.OPERATOR_FEES, amount: -feeAmount },
+                { account: ledgerService.ACCOUNTS.BOLITA_RESERVE, amount: -toReserve },
+                { account: ledgerService.ACCOUNTS.BOLITA_BANKROLL, amount: -toBankroll },
+                { account: ledgerService.ACCOUNTS.BOLITA_RESERVE, amount: prizesPaid },
+                { account: ledgerService.ACCOUNTS.BOLITA_PRIZES, amount: -prizesPaid }
+            ],
+            balanceTo: ledgerService.ACCOUNTS.OPERATOR_FEES
+        });
+
         await client.query('COMMIT');
 
         console.log(`\n=== Estado después de liquidación ===`);
@@ -372,7 +548,7 @@ async function canAcceptBet(drawId, gameType, betNumber, amount) {
         }
 
         // Verificar que la reserva puede cubrir el pago potencial
-        const multiplier = GAME_RULES[gameType]?.multiplier || 65;
+        const multiplier = availability.multiplier || GAME_RULES[gameType]?.multiplier || 65;
         const potentialPayout = Math.round(amount * multiplier * 100) / 100;
 
         const reserveResult = await client.query(
@@ -403,6 +579,7 @@ async function canAcceptBet(drawId, gameType, betNumber, amount) {
             availableAmount: availability.availableAmount,
             currentAmount: availability.currentAmount,
             limit: availability.limit,
+            multiplier,
             potentialPayout,
             reserve,
             message: 'OK'
@@ -459,6 +636,14 @@ async function initializeCapital(initialReserve) {
             VALUES ('initial_capital', $1, 0, $1, 'reserve', 'Capital inicial del operador')
         `, [initialReserve]);
 
+        await ledgerService.transfer(client, {
+            type: ledgerService.ENTRY_TYPES.CAPITAL,
+            from: ledgerService.ACCOUNTS.EXTERNAL,
+            to: ledgerService.ACCOUNTS.BOLITA_RESERVE,
+            amount: parseFloat(initialReserve),
+            description: 'Capital inicial del operador'
+        });
+
         await client.query('COMMIT');
 
         console.log(`Sistema inicializado con reserva de ${initialReserve} USDT`);
@@ -532,6 +717,16 @@ async function adjustCapital(targetFund, amount, reason, adminId) {
             VALUES ('manual_adjustment', $1, $2, $3, $4, $5)
         `, [amount, balanceBefore, balanceAfter, targetFund, reason || 'Ajuste manual']);
 
+        await ledgerService.transfer(client, {
+            type: ledgerService.ENTRY_TYPES.CAPITAL,
+            from: ledgerService.ACCOUNTS.EXTERNAL,
+            to: targetFund === 'reserve'
+                ? ledgerService.ACCOUNTS.BOLITA_RESERVE
+                : ledgerService.ACCOUNTS.BOLITA_BANKROLL,
+            amount: balanceAfter - balanceBefore,
+            description: reason || 'Ajuste manual'
+        });
+
         await client.query('COMMIT');
 
         return {
@@ -551,12 +746,15 @@ async function adjustCapital(targetFund, amount, reason, adminId) {
 }
 
 module.exports = {
+    EXPOSURE_GAME_TYPES,
     getBankrollStatus,
     getCurrentLimitPerNumber,
+    calculateNumberLimit,
     checkNumberAvailability,
     registerBetExposure,
     getSoldOutNumbers,
     getDrawExposure,
+    getExposureHistory,
     settleDrawPool,
     calculateNewLimit,
     canAcceptBet,
@@ -14,6 +14,9 @@ const {
     formatBetNumber: formatBetNum
 } = require('../config/constants');
 const bankrollService = require('./bankrollService');
+const riskService = require('./riskService');
+const ledgerService = require('./ledgerService');
+const responsibleGamingService = require('./responsibleGamingService');
 const { toCents, fromCents } = require('../utils/money');
 const { calculateBetCommission } = require('./referralAdminService');
 
@@ -153,7 +156,7 @@ async function placeBets(userId, drawId, bets) {
 
         // 1. Obtener y validar usuario
         const userResult = await client.query(
-            'SELECT id, balance, version FROM users WHERE id = $1 FOR UPDATE',
+            'SELECT id, balance, version, wallet_address FROM users WHERE id = $1 FOR UPDATE',
             [userId]
         );
 
@@ -188,6 +191,7 @@ async function placeBets(userId, drawId, bets) {
             const gameType = bet.game_type;
             const number = formatBetNumber(gameType, bet.number);
             const amount = fromCents(toCents(bet.amount));
+            let multiplier = GAME_RULES[gameType].multiplier;
 
             // Verificar disponibilidad del número (nuevo sistema)
             if (gameType !== 'corrido') {
@@ -196,9 +200,14 @@ async function placeBets(userId, drawId, bets) {
                 if (!availability.available) {
                     throw new Error(availability.message);
                 }
+
+                // Con reducción de cuotas un número caliente paga menos
+                if (availability.multiplier) {
+                    multiplier = availability.multiplier;
+                }
             }
 
-            validatedBets.push({ ...bet, formattedNumber: number, amount });
+            validatedBets.push({ ...bet, formattedNumber: number, amount, multiplier });
         }
 
         const totalCost = calculateTotalCost(bets);
@@ -209,6 +218,9 @@ async function placeBets(userId, drawId, bets) {
             throw new Error(`Balance insuficiente. Tienes ${currentBalance} USDT, necesitas ${totalCost} USDT`);
         }
 
+        // Juego responsable: limites, enfriamiento y autoexclusion del jugador
+        await responsibleGamingService.checkPlay(client, user.wallet_address, totalCost);
+
         // 4. Debitar balance (with optimistic locking check)
         const newBalance = fromCents(currentBalanceCents - totalCostCents);
 
@@ -228,8 +240,8 @@ async function placeBets(userId, drawId, bets) {
             const amount = bet.amount;
             const gameType = bet.game_type;
             const number = bet.formattedNumber;
-            const rules = GAME_RULES[gameType];
-            const potentialPayout = fromCents(toCents(amount) * rules.multiplier);
+            const multiplier = bet.multiplier;
+            const potentialPayout = fromCents(toCents(amount) * multiplier);
 
             const betResult = await client.query(
                 `INSERT INTO bets (
@@ -243,14 +255,14 @@ async function placeBets(userId, drawId, bets) {
                     number,
                     amount,
                     potentialPayout,
-                    rules.multiplier,
+                    multiplier,
                     BET_STATUS.PENDING
                 ]
             );
 
             // Registrar exposición del número (nuevo sistema)
             if (gameType !== 'corrido') {
-                await bankrollService.registerBetExposure(client, drawId, gameType, number, amount);
+                await bankrollService.registerBetExposure(client, drawId, gameType, number, amount, multiplier);
             }
 
             createdBets.push(betResult.rows[0]);
@@ -263,6 +275,19 @@ async function placeBets(userId, drawId, bets) {
         // from the frontend. This backend path is legacy/indexer-only.
         // No blockchain registration from backend — users call contract directly.
 
+        await ledgerService.transfer(client, {
+            type: ledgerService.ENTRY_TYPES.BET,
+            from: ledgerService.userAccount(userId),
+            to: ledgerService.ACCOUNTS.BOLITA_STAKES,
+            amount: totalCost,
+            referenceType: 'draw',
+            referenceId: drawId
+        });
+        await responsibleGamingService.recordWager(client, user.wallet_address, 'bolita', totalCost, {
+            referenceType: 'draw',
+            referenceId: drawId
+        });
+
         await client.query('COMMIT');
 
         return {
@@ -280,6 +305,170 @@ async function placeBets(userId, drawId, bets) {
     }
 }
 
+// =================================
+// COMBINACIONES
+// =================================
+
+const COMBINATION_TYPES = ['parles', 'centenas'];
+
+/**
+ * Validar una combinacion
+ * - parles: 2+ fijos, se genera un parle por cada par (en el orden indicado;
+ *   reversed agrega tambien el orden inverso, el parle gana por coincidencia exacta)
+ * - centenas: 1+ fijos, cada uno se expande a sus 9 centenas (1XX-9XX)
+ */
+function validateCombination(combination) {
+    if (!combination || typeof combination !== 'object') {
+        throw new Error('Combinación requerida');
+    }
+
+    const { type, numbers, amount } = combination;
+
+    if (!COMBINATION_TYPES.includes(type)) {
+        throw new Error(`Tipo de combinación inválido: ${type}. Válidos: ${COMBINATION_TYPES.join(', ')}`);
+    }
+
+    const minNumbers = type === 'parles' ? 2 : 1;
+    if (!Array.isArray(numbers) || numbers.length < minNumbers) {
+        throw new Error(`La combinación de ${type} necesita al menos ${minNumbers} número(s)`);
+    }
+
+    const fijos = numbers.map(n => String(n));
+    if (!fijos.every(n => /^\d{1,2}$/.test(n))) {
+        throw new Error('Los números de la combinación deben ser fijos (00-99)');
+    }
+    if (new Set(fijos.map(n => n.padStart(2, '0'))).size !== fijos.length) {
+        throw new Error('La combinación tiene números repetidos');
+    }
+
+    const numAmount = Math.round(parseFloat(amount) * 100) / 100;
+    if (isNaN(numAmount) || numAmount < LIMITS.MIN_BET_AMOUNT || numAmount > LIMITS.MAX_BET_AMOUNT) {
+        throw new Error(`Monto por jugada inválido (${LIMITS.MIN_BET_AMOUNT}-${LIMITS.MAX_BET_AMOUNT} USDT)`);
+    }
+}
+
+/**
+ * Generar las jugadas de una combinacion
+ * @returns {Array} [{ game_type, number, amount }]
+ */
+function buildCombination(combination) {
+    validateCombination(combination);
+
+    const fijos = combination.numbers.map(n => String(n).padStart(2, '0'));
+    const amount = fromCents(toCents(combination.amount));
+    const legs = [];
+
+    if (combination.type === 'parles') {
+        for (let i = 0; i < fijos.length; i++) {
+            for (let j = i + 1; j < fijos.length; j++) {
+                legs.push({ game_type: 'parles', number: fijos[i] + fijos[j], amount });
+                if (combination.reversed) {
+                    legs.push({ game_type: 'parles', number: fijos[j] + fijos[i], amount });
+                }
+            }
+        }
+    } else {
+        for (const fijo of fijos) {
+            for (let d = 1; d <= 9; d++) {
+                legs.push({ game_type: 'centenas', number: `${d}${fijo}`, amount });
+            }
+        }
+    }
+
+    if (legs.length > LIMITS.MAX_BETS_PER_REQUEST) {
+        throw new Error(`La combinación genera ${legs.length} jugadas. Máximo ${LIMITS.MAX_BETS_PER_REQUEST} por solicitud`);
+    }
+
+    return legs;
+}
+
+/**
+ * Cotizar una combinacion jugada por jugada, sin apostar.
+ * Cada jugada se limita por el disponible del numero (bankrollService) y por el
+ * stake maximo de riesgo (riskService). Si no cabe el monto pedido se recorta
+ * al maximo (trim !== false) o se rechaza; el resto del ticket sigue adelante.
+ *
+ * @returns {Object} { legs, bets (listas para /place), summary, requested_cost, total_cost }
+ */
+async function quoteCombination(drawId, combination) {
+    const legs = buildCombination(combination);
+    const trim = combination.trim !== false;
+
+    const client = await getClient();
+    let draw;
+    try {
+        const drawResult = await client.query(
+            'SELECT id, status, scheduled_time FROM draws WHERE id = $1',
+            [drawId]
+        );
+        draw = drawResult.rows[0];
+    } finally {
+        client.release();
+    }
+
+    if (!draw) {
+        throw new Error(ERROR_MESSAGES.DRAW_NOT_FOUND);
+    }
+    if (draw.status !== 'open') {
+        throw new Error('El sorteo no está abierto para apuestas');
+    }
+
+    // Exposicion de riesgo: por dia del sorteo, con la reserva de premios como pool
+    const bankroll = await bankrollService.getBankrollStatus();
+    const totalPool = parseFloat(bankroll.prize_reserve) || 0;
+    const dayId = Math.floor(new Date(draw.scheduled_time).getTime() / 1000 / 86400);
+
+    const quoted = [];
+    for (const leg of legs) {
+        const requested = leg.amount;
+
+        try {
+            validateBet(leg);
+        } catch (err) {
+            quoted.push({ ...leg, requested, amount: 0, status: 'rejected', reason: err.message });
+            continue;
+        }
+
+        const availability = await bankrollService.checkNumberAvailability(drawId, leg.game_type, leg.number, requested);
+        const riskMax = await riskService.getMaxAllowedStake(dayId, leg.game_type, leg.number, totalPool);
+        const multiplier = availability.multiplier || GAME_RULES[leg.game_type].multiplier;
+
+        // Maximo apostable, redondeado hacia abajo al centavo
+        const maxCents = Math.floor(Math.min(availability.availableAmount, riskMax, LIMITS.MAX_BET_AMOUNT) * 100);
+        const maxStake = fromCents(Math.max(0, maxCents));
+
+        if (toCents(requested) <= maxCents) {
+            quoted.push({ ...leg, requested, status: 'ok', max_stake: maxStake, multiplier });
+        } else if (trim && maxStake >= LIMITS.MIN_BET_AMOUNT) {
+            quoted.push({ ...leg, requested, amount: maxStake, status: 'trimmed', max_stake: maxStake, multiplier });
+        } else {
+            const reason = availability.availableAmount < requested
+                ? availability.message
+                : `Límite de riesgo: máximo ${maxStake.toFixed(2)} USDT al número ${leg.number}`;
+            quoted.push({ ...leg, requested, amount: 0, status: 'rejected', max_stake: maxStake, reason });
+        }
+    }
+
+    const bets = quoted
+        .filter(leg => leg.status !== 'rejected')
+        .map(({ game_type, number, amount }) => ({ game_type, number, amount }));
+
+    return {
+        draw_id: draw.id,
+        type: combination.type,
+        legs: quoted,
+        bets,
+        summary: {
+            legs: quoted.length,
+            ok: quoted.filter(l => l.status === 'ok').length,
+            trimmed: quoted.filter(l => l.status === 'trimmed').length,
+            rejected: quoted.filter(l => l.status === 'rejected').length
+        },
+        requested_cost: calculateTotalCost(legs),
+        total_cost: calculateTotalCost(bets)
+    };
+}
+
 /**
  * Obtener apuestas de un usuario
  */
@@ -433,6 +622,9 @@ module.exports = {
     validateBet,
     calculateTotalCost,
     placeBets,
+    validateCombination,
+    buildCombination,
+    quoteCombination,
     getUserBets,
     getUserBetStats,
     getBetById
@@ -1,120 +1,53 @@
 /**
  * Bingo Event Service
  *
- * Listens to BingoGame.sol contract events and indexes them in PostgreSQL.
+ * Indexes BingoGame.sol contract events in PostgreSQL. Polling,
+ * confirmation depth and reorg rollback live in ChainIndexer.
  * Auto-resolves rounds when VRF is fulfilled (if enabled).
  *
  * Events:
  *   RoundCreated, CardsPurchased, RoundClosed, VrfFulfilled,
  *   RoundResolved, RoundNoWinner, RoundCancelled,
  *   JackpotContribution, JackpotPaid, FeesAccrued
+ *
+ * Round status changes go through the Bingo state machine (DrawStateMachine),
+ * which records each transition with the event's tx hash. Every write of an
+ * event runs on the indexer's transaction client; auto-resolving a round
+ * waits until its VrfFulfilled commits.
+ *
+ * On a reorg cards are removed from the round totals and round statuses step
+ * back to the state the event moved them out of; pool events re-read the
+ * contract.
  */
 
 const { ethers } = require('ethers');
 const pool = require('../db');
 const BingoGameABI = require('../chain/abi/BingoGame.abi.json');
-const { loadIndexerBlock, saveIndexerBlock } = require('../db/indexerState');
+const { ChainIndexer } = require('./chainIndexer');
+const DrawStateMachine = require('../workers/drawStateMachine');
 
 const TOKEN_DECIMALS = 6;
+const POOL_EVENTS = ['JackpotContribution', 'JackpotPaid', 'FeesAccrued'];
+const ACTOR = 'bingo-indexer';
 
-class BingoEventService {
+class BingoEventService extends ChainIndexer {
   constructor() {
-    this.contract = null;
-    this.provider = null;
-    this.isRunning = false;
-    this.pollTimer = null;
-    this.lastBlockProcessed = 0;
-    this.pollingInterval = 12000; // 12s
-  }
-
-  async init() {
-    const contractAddress = process.env.BINGO_CONTRACT_ADDRESS;
-    const rpcUrl = process.env.POLYGON_RPC_URL || process.env.RPC_URL;
-
-    if (!contractAddress || !rpcUrl) {
-      console.log('[BingoEvents] Missing BINGO_CONTRACT_ADDRESS or RPC_URL, skipping');
-      return false;
-    }
-
-    try {
-      this.provider = new ethers.JsonRpcProvider(rpcUrl);
-      this.contract = new ethers.Contract(contractAddress, BingoGameABI, this.provider);
-      console.log(`[BingoEvents] Initialized for contract ${contractAddress}`);
-      return true;
-    } catch (error) {
-      console.error('[BingoEvents] Failed to initialize:', error.message);
-      return false;
-    }
-  }
-
-  async start() {
-    if (!this.contract) {
-      const ok = await this.init();
-      if (!ok) return;
-    }
-
-    if (this.isRunning) return;
-    this.isRunning = true;
-
-    console.log('[BingoEvents] Starting event listeners (getLogs polling)...');
-
-    // Load last processed block from DB — resumes after Railway redeploys
-    try {
-      const saved = await loadIndexerBlock('bingo');
-      if (saved !== null) {
-        this.lastBlockProcessed = saved;
-        console.log(`[BingoEventService] Resuming from block ${saved} (DB state)`);
-      } else {
-        const currentBlock = await this.provider.getBlockNumber();
-        this.lastBlockProcessed = Math.max(0, currentBlock - 200);
-        console.log(`[BingoEventService] No DB state — starting from block ${this.lastBlockProcessed}`);
-      }
-    } catch (_) {
-      this.lastBlockProcessed = 0;
-    }
-
-    this._schedulePoll();
-
-    console.log('[BingoEvents] Event listeners active');
-  }
-
-  stop() {
-    this.isRunning = false;
-    if (this.pollTimer) { clearTimeout(this.pollTimer); this.pollTimer = null; }
-    console.log('[BingoEvents] Stopped');
+    super({
+      name: 'bingo',
+      tag: 'BingoEvents',
+      abi: BingoGameABI,
+      addressEnv: 'BINGO_CONTRACT_ADDRESS',
+      events: [
+        'RoundCreated', 'CardsPurchased', 'RoundClosed', 'VrfFulfilled',
+        'RoundResolved', 'RoundNoWinner', 'RoundCancelled',
+        ...POOL_EVENTS,
+      ],
+    });
   }
 
-  _schedulePoll() {
-    if (!this.isRunning) return;
-    this.pollTimer = setTimeout(() => this._poll(), this.pollingInterval);
-  }
-
-  async _poll() {
-    if (!this.isRunning) return;
-    try {
-      const currentBlock = await this.provider.getBlockNumber();
-      if (currentBlock > this.lastBlockProcessed) {
-        const logs = await this.provider.getLogs({
-          address: process.env.BINGO_CONTRACT_ADDRESS,
-          fromBlock: this.lastBlockProcessed + 1,
-          toBlock: currentBlock,
-        });
-        for (const log of logs) {
-          try {
-            const parsed = this.contract.interface.parseLog(log);
-            if (parsed) await this._dispatch(parsed);
-          } catch (_) { /* skip non-matching logs */ }
-        }
-        this.lastBlockProcessed = currentBlock;
-        await saveIndexerBlock('bingo', currentBlock);
-      }
-
-      // Retry any rounds stuck in vrf_fulfilled (e.g. prior resolveRound tx failed)
-      await this._retryVrfFulfilledRounds();
-    } catch (err) {
-      console.error('[BingoEvents] Poll error:', err.message);
-    }
-    this._schedulePoll();
+  // Retry any rounds stuck in vrf_fulfilled (e.g. prior resolveRound tx failed)
+  async afterPoll() {
+    await this._retryVrfFulfilledRounds();
   }
 
   /**
@@ -141,11 +74,12 @@ class BingoEventService {
           // Round with no cards can never be resolved — cancel it to stop infinite retries.
           // (VRF fulfilled but no cards were ever indexed into DB for this round.)
           if (err.message?.includes('no cards')) {
-            await pool.query(
-              `UPDATE bingo_rounds SET status = 'cancelled', updated_at = NOW()
-               WHERE round_id = $1 AND status = 'vrf_fulfilled'`,
-              [round_id]
-            );
+            await DrawStateMachine.apply('bingo', round_id, 'cancelled', {
+              db: pool,
+              from: ['vrf_fulfilled'],
+              actor: ACTOR,
+              reason: 'No cards indexed for the round',
+            });
             console.log(`[BingoEvents] Round #${round_id} has no cards — marked cancelled to stop retries`);
           }
         }
@@ -155,43 +89,98 @@ class BingoEventService {
     }
   }
 
-  async _dispatch(parsed) {
+  async applyEvent(parsed, log, client, afterCommit) {
     const { name, args } = parsed;
-    try {
-      if (name === 'RoundCreated')        await this._onRoundCreated(args[0], args[1]);
-      else if (name === 'CardsPurchased') await this._onCardsPurchased(args[0], args[1], args[2], args[3], args[4]);
-      else if (name === 'RoundClosed')    await this._onRoundClosed(args[0], args[1]);
-      else if (name === 'VrfFulfilled')   await this._onVrfFulfilled(args[0], args[1]);
-      else if (name === 'RoundResolved')  await this._onRoundResolved(args[0], args[1], args[2], args[3], args[4], args[5], args[6]);
-      else if (name === 'RoundNoWinner')  await this._onRoundNoWinner(args[0], args[1]);
-      else if (name === 'RoundCancelled') await this._onRoundCancelled(args[0], args[1]);
-      else if (name === 'JackpotContribution' || name === 'JackpotPaid' || name === 'FeesAccrued')
-        await this._updateBingoPool();
-    } catch (err) {
-      console.error(`[BingoEvents] Error handling ${name}:`, err.message);
+    const txHash = log?.transactionHash || null;
+    if (name === 'RoundCreated')        await this._onRoundCreated(args[0], args[1], txHash, client);
+    else if (name === 'CardsPurchased') await this._onCardsPurchased(args[0], args[1], args[2], args[3], args[4], client);
+    else if (name === 'RoundClosed')    await this._onRoundClosed(args[0], args[1], txHash, client);
+    else if (name === 'VrfFulfilled')   await this._onVrfFulfilled(args[0], args[1], txHash, client, afterCommit);
+    else if (name === 'RoundResolved')  await this._onRoundResolved(args[0], args[1], args[2], args[3], args[4], args[5], args[6], txHash, client);
+    else if (name === 'RoundNoWinner')  await this._onRoundNoWinner(args[0], args[1], txHash, client);
+    else if (name === 'RoundCancelled') await this._onRoundCancelled(args[0], args[1], txHash, client);
+    else if (POOL_EVENTS.includes(name))
+      await this._updateBingoPool(client);
+  }
+
+  async revertEvent(event) {
+    const { eventName, args } = event;
+
+    if (POOL_EVENTS.includes(eventName)) {
+      await this._updateBingoPool();
+      return;
+    }
+
+    const id = Number(args[0]);
+
+    if (eventName === 'RoundCreated') {
+      await pool.query(
+        `DELETE FROM bingo_rounds
+         WHERE round_id = $1 AND status = 'open'
+           AND NOT EXISTS (SELECT 1 FROM bingo_cards WHERE round_id = $1)`,
+        [id]
+      );
+    } else if (eventName === 'CardsPurchased') {
+      const cardIds = args[3].map(Number);
+      const cost = parseFloat(ethers.formatUnits(args[4], TOKEN_DECIMALS));
+      await pool.query(
+        'DELETE FROM bingo_cards WHERE round_id = $1 AND card_id = ANY($2)',
+        [id, cardIds]
+      );
+      await pool.query(
+        `UPDATE bingo_rounds SET
+           total_cards = GREATEST(total_cards - $1, 0),
+           total_revenue = GREATEST(total_revenue - $2, 0),
+           updated_at = NOW()
+         WHERE round_id = $3`,
+        [Number(args[2]), cost, id]
+      );
+    } else if (eventName === 'RoundClosed') {
+      await this._revertRoundStatus(id, ['vrf_requested'], 'open', event);
+    } else if (eventName === 'VrfFulfilled') {
+      await this._revertRoundStatus(id, ['vrf_fulfilled'], 'vrf_requested', event, { vrf_random_word: null });
+    } else if (eventName === 'RoundResolved' || eventName === 'RoundNoWinner') {
+      await this._revertRoundStatus(id, ['resolved', 'drawing'], 'vrf_fulfilled', event);
+    } else if (eventName === 'RoundCancelled') {
+      await this._revertRoundStatus(id, ['cancelled'], 'open', event);
     }
+
+    console.log(`[BingoEvents] Reverted ${eventName} #${id} (tx ${event.txHash})`);
+  }
+
+  async _revertRoundStatus(roundId, fromStatuses, toStatus, event, set = {}) {
+    await DrawStateMachine.apply('bingo', roundId, toStatus, {
+      db: pool,
+      from: fromStatuses,
+      revert: true,
+      actor: ACTOR,
+      reason: `Reorg: ${event.eventName} reverted`,
+      txHash: event.txHash,
+      set,
+    });
   }
 
   // ── Event Handlers ──
 
-  async _onRoundCreated(roundId, scheduledClose) {
+  async _onRoundCreated(roundId, scheduledClose, txHash, db) {
     const id = Number(roundId);
     const closeTime = new Date(Number(scheduledClose) * 1000);
 
-    await pool.query(
+    // The status is left alone on conflict: later states only move through the state machine
+    await db.query(
       `INSERT INTO bingo_rounds (round_id, status, scheduled_close, created_at, updated_at)
        VALUES ($1, 'open', $2, NOW(), NOW())
        ON CONFLICT (round_id) DO UPDATE SET
-         status = 'open',
          scheduled_close = $2,
          updated_at = NOW()`,
       [id, closeTime]
     );
+    await DrawStateMachine.recordCreated('bingo', id, 'open', { db, actor: ACTOR, txHash });
 
     console.log(`[BingoEvents] RoundCreated #${id}, closes at ${closeTime.toISOString()}`);
   }
 
-  async _onCardsPurchased(roundId, buyer, count, cardIds, totalCost) {
+  async _onCardsPurchased(roundId, buyer, count, cardIds, totalCost, db) {
     const rId = Number(roundId);
     const buyerAddr = buyer.toLowerCase();
     const numCards = Number(count);
@@ -203,23 +192,25 @@ class BingoEventService {
 
     for (let i = 0; i < cardIds.length; i++) {
       const cardId = Number(cardIds[i]);
+      let numbersArray;
       try {
         const nums = await contract.getCardNumbers(cardId);
-        const numbersArray = Array.from(nums).map(Number);
-
-        await pool.query(
-          `INSERT INTO bingo_cards (card_id, round_id, owner_address, card_index, numbers, created_at)
-           VALUES ($1, $2, $3, $4, $5, NOW())
-           ON CONFLICT (card_id) DO NOTHING`,
-          [cardId, rId, buyerAddr, i, JSON.stringify(numbersArray)]
-        );
+        numbersArray = Array.from(nums).map(Number);
       } catch (err) {
         console.error(`[BingoEvents] Error fetching card ${cardId} numbers:`, err.message);
+        continue;
       }
+
+      await db.query(
+        `INSERT INTO bingo_cards (card_id, round_id, owner_address, card_index, numbers, created_at)
+         VALUES ($1, $2, $3, $4, $5, NOW())
+         ON CONFLICT (card_id) DO NOTHING`,
+        [cardId, rId, buyerAddr, i, JSON.stringify(numbersArray)]
+      );
     }
 
     // Update round totals
-    await pool.query(
+    await db.query(
       `UPDATE bingo_rounds SET
          total_cards = total_cards + $1,
          total_revenue = total_revenue + $2,
@@ -231,81 +222,91 @@ class BingoEventService {
     console.log(`[BingoEvents] CardsPurchased: round=${rId} buyer=${buyerAddr} count=${numCards} cost=${cost}`);
   }
 
-  async _onRoundClosed(roundId, vrfRequestId) {
+  async _onRoundClosed(roundId, vrfRequestId, txHash, db) {
     const id = Number(roundId);
-    await pool.query(
-      `UPDATE bingo_rounds SET status = 'vrf_requested', updated_at = NOW()
-       WHERE round_id = $1`,
-      [id]
-    );
+    await DrawStateMachine.apply('bingo', id, 'vrf_requested', {
+      db,
+      actor: ACTOR,
+      txHash,
+      details: { vrfRequestId: vrfRequestId.toString() },
+    });
     console.log(`[BingoEvents] RoundClosed #${id}, VRF requested`);
   }
 
-  async _onVrfFulfilled(roundId, randomWord) {
+  async _onVrfFulfilled(roundId, randomWord, txHash, db, afterCommit) {
     const id = Number(roundId);
     const vrfWord = randomWord.toString();
 
-    await pool.query(
-      `UPDATE bingo_rounds SET
-         status = 'vrf_fulfilled',
-         vrf_random_word = $1,
-         updated_at = NOW()
-       WHERE round_id = $2`,
-      [vrfWord, id]
-    );
+    await DrawStateMachine.apply('bingo', id, 'vrf_fulfilled', {
+      db,
+      actor: ACTOR,
+      txHash,
+      set: { vrf_random_word: vrfWord },
+    });
     console.log(`[BingoEvents] VrfFulfilled #${id}`);
 
-    // Auto-resolve if enabled
-    try {
-      const gameConfigService = require('./gameConfigService');
-      const autoResolve = await gameConfigService.getConfigValue('bingo_auto_resolve_enabled', true);
-      if (autoResolve) {
-        console.log(`[BingoEvents] Auto-resolving round ${id}...`);
-        const bingoResolverService = require('./bingoResolverService');
-        await bingoResolverService.resolveRound(id);
+    // Auto-resolve if enabled, once the resolver can read the fulfilled round
+    afterCommit(async () => {
+      try {
+        const gameConfigService = require('./gameConfigService');
+        const autoResolve = await gameConfigService.getConfigValue('bingo_auto_resolve_enabled', true);
+        if (autoResolve) {
+          console.log(`[BingoEvents] Auto-resolving round ${id}...`);
+          const bingoResolverService = require('./bingoResolverService');
+          await bingoResolverService.resolveRound(id);
+        }
+      } catch (err) {
+        console.error(`[BingoEvents] Auto-resolve failed for round ${id}:`, err.message);
       }
-    } catch (err) {
-      console.error(`[BingoEvents] Auto-resolve failed for round ${id}:`, err.message);
-    }
+    });
   }
 
-  async _onRoundResolved(roundId, lineWinner, lineWinnerBall, bingoWinner, bingoWinnerBall, jackpotWon, jackpotPaid) {
+  async _onRoundResolved(roundId, lineWinner, lineWinnerBall, bingoWinner, bingoWinnerBall, jackpotWon, jackpotPaid, txHash, db) {
     const id = Number(roundId);
     const jpPaid = ethers.formatUnits(jackpotPaid, TOKEN_DECIMALS);
 
     // Sync full financial data from contract
-    await this._syncRoundFromContract(id);
+    await this._syncRoundFromContract(id, txHash, db);
 
     console.log(`[BingoEvents] RoundResolved #${id}: line=${lineWinner} bingo=${bingoWinner} jackpotWon=${jackpotWon}`);
   }
 
-  async _onRoundNoWinner(roundId, toJackpot) {
+  async _onRoundNoWinner(roundId, toJackpot, txHash, db) {
     const id = Number(roundId);
     const jpAmount = ethers.formatUnits(toJackpot, TOKEN_DECIMALS);
 
-    await pool.query(
-      `UPDATE bingo_rounds SET status = 'resolved', updated_at = NOW()
-       WHERE round_id = $1`,
-      [id]
-    );
-
-    await this._updateBingoPool();
+    // A round still animating is finalized by the scheduler
+    await DrawStateMachine.apply('bingo', id, 'resolved', {
+      db,
+      from: ['vrf_requested', 'vrf_fulfilled', 'resolving'],
+      actor: ACTOR,
+      reason: 'No winner',
+      txHash,
+      details: { toJackpot: jpAmount },
+    });
+
+    await this._updateBingoPool(db);
     console.log(`[BingoEvents] RoundNoWinner #${id}: ${jpAmount} USDT to jackpot`);
   }
 
-  async _onRoundCancelled(roundId, refunded) {
+  async _onRoundCancelled(roundId, refunded, txHash, db) {
     const id = Number(roundId);
-    await pool.query(
-      `UPDATE bingo_rounds SET status = 'cancelled', updated_at = NOW()
-       WHERE round_id = $1`,
-      [id]
-    );
+    await DrawStateMachine.apply('bingo', id, 'cancelled', {
+      db,
+      actor: ACTOR,
+      txHash,
+      details: { refunded: ethers.formatUnits(refunded, TOKEN_DECIMALS) },
+    });
     console.log(`[BingoEvents] RoundCancelled #${id}`);
   }
 
   // ── Sync Helpers ──
 
-  async _syncRoundFromContract(roundId) {
+  // Contract reads that fail are logged and skipped; DB errors propagate so
+  // the event is rolled back and retried.
+
+  async _syncRoundFromContract(roundId, txHash = null, db = pool) {
+    let results;
     try {
       const { getBingoContractReadOnly } = require('../chain/bingoProvider');
       const contract = getBingoContractReadOnly();
@@ -314,81 +315,91 @@ class BingoEventService {
       //   address[] bingoWinners, uint8 bingoWinnerBall, bool jackpotWon,
       //   uint256 jackpotPaid, uint256 feeAmount, uint256 reserveAmount,
       //   uint256 linePrize, uint256 bingoPrize)
-      const [lineWinners, lineWinnerBall, bingoWinners, bingoWinnerBall,
-             jackpotWon, jackpotPaid, feeAmount, reserveAmount, linePrize, bingoPrize] =
-        await contract.getRoundResults(roundId);
-
-      // Store first winner address for backward-compat single-address column
-      const lineWinnerAddr  = lineWinners.length > 0  ? lineWinners[0].toLowerCase()  : null;
-      const bingoWinnerAddr = bingoWinners.length > 0 ? bingoWinners[0].toLowerCase() : null;
-
-      // Preserve 'drawing' status — the scheduler's finalizeDrawing() handles
-      // the drawing → resolved transition after the animation window elapses.
-      // Only advance to 'resolved' if the round is not currently animating.
-      await pool.query(
-        `UPDATE bingo_rounds SET
-           status = CASE WHEN status = 'drawing' THEN 'drawing' ELSE 'resolved' END,
-           line_winner = $1,
-           bingo_winner = $2,
-           fee_amount = $3,
-           reserve_amount = $4,
-           line_prize = $5,
-           bingo_prize = $6,
-           jackpot_won = $7,
-           jackpot_paid = $8,
-           line_winner_ball = $9,
-           bingo_winner_ball = $10,
-           updated_at = NOW()
-         WHERE round_id = $11 AND status NOT IN ('cancelled', 'open', 'closed', 'resolved')`,
-        [
-          lineWinnerAddr,
-          bingoWinnerAddr,
-          ethers.formatUnits(feeAmount, TOKEN_DECIMALS),
-          ethers.formatUnits(reserveAmount, TOKEN_DECIMALS),
-          ethers.formatUnits(linePrize, TOKEN_DECIMALS),
-          ethers.formatUnits(bingoPrize, TOKEN_DECIMALS),
-          jackpotWon,
-          ethers.formatUnits(jackpotPaid, TOKEN_DECIMALS),
-          Number(lineWinnerBall),
-          Number(bingoWinnerBall),
-          roundId,
-        ]
-      );
+      results = await contract.getRoundResults(roundId);
     } catch (err) {
       console.error(`[BingoEvents] Error syncing round ${roundId}:`, err.message);
+      return;
     }
+
+    const [lineWinners, lineWinnerBall, bingoWinners, bingoWinnerBall,
+           jackpotWon, jackpotPaid, feeAmount, reserveAmount, linePrize, bingoPrize] = results;
+
+    // Store first winner address for backward-compat single-address column
+    const lineWinnerAddr  = lineWinners.length > 0  ? lineWinners[0].toLowerCase()  : null;
+    const bingoWinnerAddr = bingoWinners.length > 0 ? bingoWinners[0].toLowerCase() : null;
+
+    await db.query(
+      `UPDATE bingo_rounds SET
+         line_winner = $1,
+         bingo_winner = $2,
+         fee_amount = $3,
+         reserve_amount = $4,
+         line_prize = $5,
+         bingo_prize = $6,
+         jackpot_won = $7,
+         jackpot_paid = $8,
+         line_winner_ball = $9,
+         bingo_winner_ball = $10,
+         updated_at = NOW()
+       WHERE round_id = $11 AND status NOT IN ('cancelled', 'open', 'closed', 'resolved')`,
+      [
+        lineWinnerAddr,
+        bingoWinnerAddr,
+        ethers.formatUnits(feeAmount, TOKEN_DECIMALS),
+        ethers.formatUnits(reserveAmount, TOKEN_DECIMALS),
+        ethers.formatUnits(linePrize, TOKEN_DECIMALS),
+        ethers.formatUnits(bingoPrize, TOKEN_DECIMALS),
+        jackpotWon,
+        ethers.formatUnits(jackpotPaid, TOKEN_DECIMALS),
+        Number(lineWinnerBall),
+        Number(bingoWinnerBall),
+        roundId,
+      ]
+    );
+
+    // Preserve 'drawing' status — the scheduler's finalizeDrawing() handles
+    // the drawing → resolved transition after the animation window elapses.
+    // Only advance to 'resolved' if the round is not currently animating.
+    await DrawStateMachine.apply('bingo', roundId, 'resolved', {
+      db,
+      from: ['vrf_requested', 'vrf_fulfilled', 'resolving'],
+      actor: ACTOR,
+      txHash,
+    });
   }
 
-  async _updateBingoPool() {
+  async _updateBingoPool(db = pool) {
+    let jackpot, fees, roundCount, cardCount;
     try {
       const { getBingoContractReadOnly } = require('../chain/bingoProvider');
       const contract = getBingoContractReadOnly();
 
-      const [jackpot, fees, roundCount, cardCount] = await Promise.all([
+      [jackpot, fees, roundCount, cardCount] = await Promise.all([
         contract.jackpotBalance(),
         contract.accruedFees(),
         contract.roundCounter(),
         contract.cardCounter(),
       ]);
-
-      await pool.query(
-        `UPDATE bingo_pool SET
-           jackpot_balance = $1,
-           accrued_fees = $2,
-           total_rounds = $3,
-           total_cards_sold = $4,
-           updated_at = NOW()
-         WHERE id = 1`,
-        [
-          parseFloat(ethers.formatUnits(jackpot, TOKEN_DECIMALS)),
-          parseFloat(ethers.formatUnits(fees, TOKEN_DECIMALS)),
-          Number(roundCount),
-          Number(cardCount),
-        ]
-      );
     } catch (err) {
       console.error('[BingoEvents] Error updating bingo pool:', err.message);
+      return;
     }
+
+    await db.query(
+      `UPDATE bingo_pool SET
+         jackpot_balance = $1,
+         accrued_fees = $2,
+         total_rounds = $3,
+         total_cards_sold = $4,
+         updated_at = NOW()
+       WHERE id = 1`,
+      [
+        parseFloat(ethers.formatUnits(jackpot, TOKEN_DECIMALS)),
+        parseFloat(ethers.formatUnits(fees, TOKEN_DECIMALS)),
+        Number(roundCount),
+        Number(cardCount),
+      ]
+    );
   }
 }
 
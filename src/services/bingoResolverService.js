@@ -7,12 +7,20 @@
  * Line rule: Row completa de 5 numeros = linea (no columnas ni diagonales)
  * Rows: [0,1,2,3,4], [5,6,7,8,9], [10,11,12,13,14]
  *
+ * Patrones adicionales por sala (ver PATTERN_TYPES): four_corners, two_lines,
+ * x_shape y blackout (carta completa dentro de maxBalls bolas). Linea y bingo
+ * siempre existen porque el contrato los paga.
+ *
  * Ball draw: Fisher-Yates shuffle seeded by keccak256(vrfSeed, index)
  * Winner detection: ball-by-ball simulation, ties broken by lowest cardId
  */
 
 const { ethers } = require('ethers');
 const pool = require('../db');
+const gameConfigService = require('./gameConfigService');
+const DrawStateMachine = require('../workers/drawStateMachine');
+
+const ACTOR = 'bingo-resolver';
 
 // Constants matching BingoGame.sol
 const CARD_ROWS = 3;
@@ -28,6 +36,18 @@ const ROWS = [
   [10, 11, 12, 13, 14] // row 2
 ];
 
+// Patrones de premio (indices de la carta 3x5, row-major)
+const FOUR_CORNERS = [0, 4, 10, 14];
+// En una carta 3x5 la X son las cuatro esquinas y el centro
+const X_SHAPE = [0, 4, 7, 10, 14];
+
+const PATTERN_TYPES = ['line', 'bingo', 'four_corners', 'two_lines', 'x_shape', 'blackout'];
+
+const DEFAULT_PATTERNS = [
+  { id: 'line', type: 'line' },
+  { id: 'bingo', type: 'bingo' },
+];
+
 /**
  * Draw 75 balls from a VRF seed using Fisher-Yates shuffle.
  * Deterministic: same seed always produces same ball order.
@@ -109,6 +129,68 @@ function checkCard(cardNumbers, drawnBalls) {
   return { lineHitBall, bingoHitBall };
 }
 
+/**
+ * Whether a pattern is complete given the marked card indices.
+ *
+ * @param {Object} pattern - { type, maxBalls? }
+ * @param {Set<number>} markedIdx - indices (0-14) already marked
+ * @param {number} ballNumber - 1-indexed ball position
+ */
+function isPatternComplete(pattern, markedIdx, ballNumber) {
+  const completeRows = ROWS.filter(row => row.every(idx => markedIdx.has(idx))).length;
+  switch (pattern.type) {
+    case 'line':
+      return completeRows >= 1;
+    case 'two_lines':
+      return completeRows >= 2;
+    case 'four_corners':
+      return FOUR_CORNERS.every(idx => markedIdx.has(idx));
+    case 'x_shape':
+      return X_SHAPE.every(idx => markedIdx.has(idx));
+    case 'bingo':
+      return markedIdx.size === NUMBERS_PER_CARD;
+    case 'blackout':
+      return markedIdx.size === NUMBERS_PER_CARD && ballNumber <= pattern.maxBalls;
+    default:
+      return false;
+  }
+}
+
+/**
+ * Check a single card against drawn balls for every configured pattern.
+ *
+ * @param {number[]} cardNumbers - 15-element array of card numbers
+ * @param {number[]} drawnBalls - 75-element array of balls in draw order
+ * @param {Array<{id: string, type: string, maxBalls?: number}>} patterns
+ * @returns {Object} { [patternId]: hitBall|null }
+ */
+function checkPatterns(cardNumbers, drawnBalls, patterns = DEFAULT_PATTERNS) {
+  const hits = {};
+  for (const pattern of patterns) hits[pattern.id] = null;
+
+  const indexByNumber = new Map(cardNumbers.map((n, idx) => [n, idx]));
+  const markedIdx = new Set();
+  let pending = patterns.length;
+
+  for (let ballIndex = 0; ballIndex < drawnBalls.length && pending > 0; ballIndex++) {
+    const idx = indexByNumber.get(drawnBalls[ballIndex]);
+    if (idx === undefined) continue;
+    markedIdx.add(idx);
+
+    for (const pattern of patterns) {
+      if (hits[pattern.id] === null && isPatternComplete(pattern, markedIdx, ballIndex + 1)) {
+        hits[pattern.id] = ballIndex + 1;
+        pending--;
+      }
+    }
+
+    // Carta completa: ningun patron puede completarse despues
+    if (markedIdx.size === NUMBERS_PER_CARD) break;
+  }
+
+  return hits;
+}
+
 /**
  * Detect winners across all cards by simulating ball-by-ball draws.
  * First card(s) to complete a row = line winner(s).
@@ -116,11 +198,15 @@ function checkCard(cardNumbers, drawnBalls) {
  * If multiple cards hit the same milestone at the same ball number, ALL are co-winners
  * and the prize is split equally among them.
  *
+ * patternWinners applies the same rule (earliest ball, co-winners) to every
+ * configured pattern; line and bingo are always included.
+ *
  * @param {Array<{cardId: number, owner: string, numbers: number[]}>} cards
  * @param {number[]} drawnBalls - 75-element array
- * @returns {{ lineWinners, lineWinnerBall, bingoWinners, bingoWinnerBall }}
+ * @param {Array<Object>} patterns - room patterns (default: line + bingo)
+ * @returns {{ lineWinners, lineWinnerBall, bingoWinners, bingoWinnerBall, patternWinners }}
  */
-function detectWinners(cards, drawnBalls) {
+function detectWinners(cards, drawnBalls, patterns = DEFAULT_PATTERNS) {
   // Pre-compute card results
   const results = [];
   for (const card of cards) {
@@ -162,11 +248,33 @@ function detectWinners(cards, drawnBalls) {
         .sort((a, b) => a.cardId - b.cardId)
     : [];
 
+  // Per-pattern winners: earliest ball, ALL cards that hit it at that ball
+  const patternHits = cards.map(card => checkPatterns(card.numbers, drawnBalls, patterns));
+  const patternWinners = patterns.map(pattern => {
+    let ball = 0;
+    for (const hits of patternHits) {
+      const hitBall = hits[pattern.id];
+      if (hitBall !== null && (ball === 0 || hitBall < ball)) ball = hitBall;
+    }
+    return {
+      patternId: pattern.id,
+      type: pattern.type,
+      ball,
+      winners: ball > 0
+        ? cards
+            .filter((card, i) => patternHits[i][pattern.id] === ball)
+            .map(card => ({ owner: card.owner, cardId: card.cardId }))
+            .sort((a, b) => a.cardId - b.cardId)
+        : [],
+    };
+  });
+
   return {
     lineWinners,
     lineWinnerBall,
     bingoWinners,
     bingoWinnerBall,
+    patternWinners,
     // Legacy compat: first winner (for backward-compatible fields)
     lineWinner: lineWinners.length > 0 ? lineWinners[0].owner : ZERO_ADDRESS,
     lineWinnerCardId: lineWinners.length > 0 ? lineWinners[0].cardId : null,
@@ -175,6 +283,32 @@ function detectWinners(cards, drawnBalls) {
   };
 }
 
+/**
+ * Build the pattern_winners record stored in bingo_results.
+ * prizes: { line, bingo, extra: [{ patternId, prize }] } — null when the
+ * contract pays (on-chain mode), so only line/bingo ball and winners are known here.
+ */
+function buildPatternWinners(patternWinners, patterns, prizes = null) {
+  return patternWinners.map(pw => {
+    const pattern = patterns.find(p => p.id === pw.patternId) || {};
+    let prize = null;
+    if (prizes) {
+      if (pw.type === 'line') prize = pw.winners.length > 0 ? prizes.line : 0;
+      else if (pw.type === 'bingo') prize = pw.winners.length > 0 ? prizes.bingo : 0;
+      else prize = (prizes.extra.find(e => e.patternId === pw.patternId) || { prize: 0 }).prize;
+    }
+    return {
+      patternId: pw.patternId,
+      type: pw.type,
+      ...(pattern.maxBalls ? { maxBalls: pattern.maxBalls } : {}),
+      ball: pw.ball,
+      prizeBps: pattern.prizeBps ?? null,
+      prize,
+      winners: pw.winners,
+    };
+  });
+}
+
 /**
  * Sign EIP-712 ResolveRound message.
  *
@@ -225,6 +359,18 @@ async function signResolution(roundId, lineWinners, lineWinnerBall, bingoWinners
   return signature;
 }
 
+/**
+ * Give a claimed round back (resolving → vrf_fulfilled) so it can be retried.
+ */
+async function releaseClaim(roundId, reason) {
+  await DrawStateMachine.apply('bingo', roundId, 'vrf_fulfilled', {
+    db: pool,
+    from: ['resolving'],
+    actor: ACTOR,
+    reason,
+  });
+}
+
 /**
  * Full resolution pipeline for a round.
  *
@@ -243,27 +389,22 @@ async function resolveRound(roundId) {
   console.log(`[BingoResolver] Starting resolution for round ${roundId}`);
 
   // 1. Atomically claim the round: transition vrf_fulfilled → resolving.
-  //    If another instance already claimed it, this UPDATE returns 0 rows.
-  const claimResult = await pool.query(
-    `UPDATE bingo_rounds SET status = 'resolving', updated_at = NOW()
-     WHERE round_id = $1 AND status = 'vrf_fulfilled'
-     RETURNING *`,
-    [roundId]
-  );
-  if (claimResult.rowCount === 0) {
+  //    If another instance already claimed it, the state machine returns null.
+  const round = await DrawStateMachine.apply('bingo', roundId, 'resolving', {
+    db: pool,
+    from: ['vrf_fulfilled'],
+    actor: ACTOR,
+  });
+  if (!round) {
     // Either already resolved/resolving by another instance, or wrong state
     const { rows } = await pool.query('SELECT status FROM bingo_rounds WHERE round_id = $1', [roundId]);
     const current = rows[0]?.status ?? 'not found';
     console.log(`[BingoResolver] Round ${roundId} skipped — already claimed or wrong status (current: ${current})`);
     return null;
   }
-  const round = claimResult.rows[0];
   if (!round.vrf_random_word) {
     // Roll back the status claim before throwing
-    await pool.query(
-      `UPDATE bingo_rounds SET status = 'vrf_fulfilled', updated_at = NOW() WHERE round_id = $1`,
-      [roundId]
-    );
+    await releaseClaim(roundId, 'no VRF random word');
     throw new Error(`Round ${roundId} has no VRF random word`);
   }
 
@@ -274,10 +415,7 @@ async function resolveRound(roundId) {
   );
   if (cardsResult.rows.length === 0) {
     // Roll back the status claim before throwing
-    await pool.query(
-      `UPDATE bingo_rounds SET status = 'vrf_fulfilled', updated_at = NOW() WHERE round_id = $1`,
-      [roundId]
-    );
+    await releaseClaim(roundId, 'no cards');
     throw new Error(`Round ${roundId} has no cards`);
   }
 
@@ -291,8 +429,11 @@ async function resolveRound(roundId) {
   const drawnBalls = drawBallsFromVrfSeed(round.vrf_random_word);
   console.log(`[BingoResolver] Drew 75 balls for round ${roundId}`);
 
-  // 4. Detect winners
-  const winners = detectWinners(cards, drawnBalls);
+  // 4. Detect winners for the room patterns. The contract only pays line and
+  //    bingo; extra patterns are recorded for verification but not paid on-chain.
+  const { patterns } = await gameConfigService.getBingoConfig(round.room_number);
+  const winners = detectWinners(cards, drawnBalls, patterns);
+  const patternWinners = buildPatternWinners(winners.patternWinners, patterns);
   console.log(`[BingoResolver] Round ${roundId} winners:`, {
     line: winners.lineWinner !== ZERO_ADDRESS ? `${winners.lineWinner} at ball ${winners.lineWinnerBall}` : 'none',
     bingo: winners.bingoWinner !== ZERO_ADDRESS ? `${winners.bingoWinner} at ball ${winners.bingoWinnerBall}` : 'none',
@@ -315,46 +456,28 @@ async function resolveRound(roundId) {
   // 6. Call contract — if this fails, roll back resolving → vrf_fulfilled so it can retry
   let receipt;
   try {
-    const { getBingoContract, AMOY_GAS_OVERRIDES, resetNonceManager, isNonceError } = require('../chain/bingoProvider');
+    const { getBingoContract } = require('../chain/bingoProvider');
+    const { txManager } = require('../chain/txManager');
     const bingoContract = getBingoContract();
 
-    let tx;
-    try {
-      tx = await bingoContract.resolveRound(
-        roundId,
-        lineWinnerAddresses,
-        winners.lineWinnerBall,
-        bingoWinnerAddresses,
-        winners.bingoWinnerBall,
-        signature,
-        AMOY_GAS_OVERRIDES
-      );
-    } catch (firstErr) {
-      if (isNonceError(firstErr)) {
-        console.warn(`[BingoResolver] resolveRound(${roundId}): nonce error, resetting NonceManager and retrying once`);
-        resetNonceManager();
-        tx = await bingoContract.resolveRound(
-          roundId,
-          lineWinnerAddresses,
-          winners.lineWinnerBall,
-          bingoWinnerAddresses,
-          winners.bingoWinnerBall,
-          signature,
-          AMOY_GAS_OVERRIDES
-        );
-      } else {
-        throw firstErr;
-      }
-    }
+    const tx = await txManager.sendContract(bingoContract, 'resolveRound', [
+      roundId,
+      lineWinnerAddresses,
+      winners.lineWinnerBall,
+      bingoWinnerAddresses,
+      winners.bingoWinnerBall,
+      signature,
+    ], {
+      purpose: 'bingo.resolveRound',
+      referenceType: 'bingo_round',
+      referenceId: roundId,
+    });
 
     receipt = await tx.wait();
     console.log(`[BingoResolver] resolveRound tx: ${receipt.hash}`);
   } catch (contractErr) {
     // Roll back the 'resolving' status so the round can be retried
-    await pool.query(
-      `UPDATE bingo_rounds SET status = 'vrf_fulfilled', updated_at = NOW() WHERE round_id = $1 AND status = 'resolving'`,
-      [roundId]
-    );
+    await releaseClaim(roundId, `resolveRound failed: ${contractErr.message}`);
     throw contractErr;
   }
 
@@ -367,15 +490,16 @@ async function resolveRound(roundId) {
 
     // Insert bingo_results
     await client.query(
-      `INSERT INTO bingo_results (round_id, vrf_seed, drawn_balls, line_winner_card_id, bingo_winner_card_id, resolution_time_ms, operator_signature, tx_hash)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      `INSERT INTO bingo_results (round_id, vrf_seed, drawn_balls, line_winner_card_id, bingo_winner_card_id, resolution_time_ms, operator_signature, tx_hash, pattern_winners)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
        ON CONFLICT (round_id) DO UPDATE SET
          drawn_balls = EXCLUDED.drawn_balls,
          line_winner_card_id = EXCLUDED.line_winner_card_id,
          bingo_winner_card_id = EXCLUDED.bingo_winner_card_id,
          resolution_time_ms = EXCLUDED.resolution_time_ms,
          operator_signature = EXCLUDED.operator_signature,
-         tx_hash = EXCLUDED.tx_hash`,
+         tx_hash = EXCLUDED.tx_hash,
+         pattern_winners = EXCLUDED.pattern_winners`,
       [
         roundId,
         round.vrf_random_word,
@@ -385,49 +509,45 @@ async function resolveRound(roundId) {
         resolutionTimeMs,
         signature,
         receipt.hash,
+        JSON.stringify(patternWinners),
       ]
     );
 
     // Update bingo_rounds — only advance from 'resolving', never overwrite a terminal status (F-09)
     // Also write line_winner_ball and bingo_winner_ball here so the scheduler can read correct
     // draw duration immediately (without waiting for _syncRoundFromContract in the next poll cycle).
-    await client.query(
-      `UPDATE bingo_rounds SET
-         status = 'drawing',
-         draw_started_at = NOW(),
-         drawn_balls = $1,
-         line_winner = $2,
-         bingo_winner = $3,
-         resolution_tx = $4,
-         line_winner_ball = $5,
-         bingo_winner_ball = $6,
-         updated_at = NOW()
-       WHERE round_id = $7 AND status = 'resolving'`,
-      [
-        JSON.stringify(drawnBalls),
-        winners.lineWinner !== ZERO_ADDRESS ? winners.lineWinner : null,
-        winners.bingoWinner !== ZERO_ADDRESS ? winners.bingoWinner : null,
-        receipt.hash,
-        winners.lineWinnerBall,
-        winners.bingoWinnerBall,
-        roundId,
-      ]
-    );
+    await DrawStateMachine.apply('bingo', roundId, 'drawing', {
+      db: client,
+      from: ['resolving'],
+      actor: ACTOR,
+      txHash: receipt.hash,
+      set: {
+        draw_started_at: new Date(),
+        drawn_balls: JSON.stringify(drawnBalls),
+        line_winner: winners.lineWinner !== ZERO_ADDRESS ? winners.lineWinner : null,
+        bingo_winner: winners.bingoWinner !== ZERO_ADDRESS ? winners.bingoWinner : null,
+        resolution_tx: receipt.hash,
+        line_winner_ball: winners.lineWinnerBall,
+        bingo_winner_ball: winners.bingoWinnerBall,
+      },
+    });
 
     // Update individual cards with hit info — mark ALL co-winners (F-04)
     for (const card of cards) {
       const result = checkCard(card.numbers, drawnBalls);
       const isLineWinner  = winners.lineWinners.some(w => w.cardId === card.cardId);
       const isBingoWinner = winners.bingoWinners.some(w => w.cardId === card.cardId);
+      const patternHits = checkPatterns(card.numbers, drawnBalls, patterns);
 
       await client.query(
         `UPDATE bingo_cards SET
            line_hit_ball = $1,
            bingo_hit_ball = $2,
            is_line_winner = $3,
-           is_bingo_winner = $4
-         WHERE card_id = $5`,
-        [result.lineHitBall, result.bingoHitBall, isLineWinner, isBingoWinner, card.cardId]
+           is_bingo_winner = $4,
+           pattern_hits = $5
+         WHERE card_id = $6`,
+        [result.lineHitBall, result.bingoHitBall, isLineWinner, isBingoWinner, JSON.stringify(patternHits), card.cardId]
       );
     }
 
@@ -448,6 +568,7 @@ async function resolveRound(roundId) {
     lineWinnerBall: winners.lineWinnerBall,
     bingoWinner: winners.bingoWinner,
     bingoWinnerBall: winners.bingoWinnerBall,
+    patternWinners,
     txHash: receipt.hash,
     resolutionTimeMs,
   };
@@ -461,10 +582,16 @@ module.exports = {
   TOTAL_BALLS,
   ZERO_ADDRESS,
   ROWS,
+  FOUR_CORNERS,
+  X_SHAPE,
+  PATTERN_TYPES,
+  DEFAULT_PATTERNS,
   // Pure functions
   drawBallsFromVrfSeed,
   checkCard,
+  checkPatterns,
   detectWinners,
+  buildPatternWinners,
   // EIP-712
   signResolution,
   // Full pipeline
@@ -5,24 +5,36 @@
  *   Room 1 starts immediately, Room 2 after ~103s, Room 3 after ~206s, Room 4 after ~309s.
  *
  * Each room cycle:
- *   1. Create round (status=open, 45s buy window)
+ *   1. Create round (status=open, room buy window — default 45s) and issue
+ *      the cards pre-purchased through subscriptions
  *   2. Players buy cards via POST /api/bingo/buy-cards
- *   3. After 45s → close round
- *   4. Generate VRF seed, draw 75 balls, detect winners, pay prizes
+ *   3. After the buy window → close round
+ *   4. Below the room's min players → cancel and refund; otherwise
+ *      generate VRF seed, draw 75 balls, detect winners, pay prizes
  *   5. Wait 30s cooldown → create next round → repeat
  *
+ * Every phase change is published on the bingo:<room> channel of the SSE
+ * stream (realtimeService), and balls are pushed as they are revealed.
+ *
+ * Room settings (bingo_rooms) are re-read every cycle. A room that is disabled
+ * or outside its schedule stays in phase 'closed' until its next opening.
+ *
  * Only runs when:
  *   - bingo_enabled flag is true in game_config
  *   - BINGO_CONTRACT_ADDRESS is NOT set (off-chain mode)
  */
 
 const bingoService = require('./bingoService');
+const bingoSubscriptionService = require('./bingoSubscriptionService');
 const gameConfigService = require('./gameConfigService');
+const realtimeService = require('./realtimeService');
+const prometheusService = require('./prometheusService');
 
 const NUM_ROOMS = 4;
 const BUY_WINDOW_SECONDS = 45;
 const COOLDOWN_SECONDS = 30;
 const STAGGER_SECONDS = 103; // ~7min cycle / 4 rooms
+const CLOSED_RECHECK_MS = 60 * 1000; // closed rooms re-check their settings every minute
 
 let _running = false;
 let _stopRequested = false;
@@ -171,16 +183,59 @@ async function roomLoop(roomNumber) {
     await sleep(staggerMs);
   }
 
+  const channel = realtimeService.bingoChannel(roomNumber);
+
   while (!_stopRequested) {
+    let endTimer = () => {};
     try {
+      // 0. Room settings (edits apply from the next round on)
+      const config = await gameConfigService.getBingoConfig(roomNumber);
+      const settings = config.room;
+
+      if (!gameConfigService.isBingoRoomOpen(settings)) {
+        const nextOpen = gameConfigService.nextBingoRoomOpening(settings);
+        if (_roomStates[roomNumber]?.phase !== 'closed') {
+          realtimeService.publish(channel, 'room.closed', { nextOpening: nextOpen ? nextOpen.toISOString() : null });
+        }
+        _roomStates[roomNumber] = {
+          phase: 'closed',
+          roundId: null,
+          scheduledClose: null,
+          phaseEndTime: nextOpen ? nextOpen.toISOString() : null,
+          settings,
+        };
+        const untilOpenMs = nextOpen ? nextOpen.getTime() - Date.now() : CLOSED_RECHECK_MS;
+        await sleep(Math.max(1000, Math.min(CLOSED_RECHECK_MS, untilOpenMs)));
+        continue;
+      }
+
+      // Tick = one round cycle, cooldown excluded
+      endTimer = prometheusService.startTimer('bingo');
+
+      const buyWindowSeconds = settings?.buyWindowSeconds ?? BUY_WINDOW_SECONDS;
+      const minPlayers = settings?.minPlayers ?? 1;
+
       // 1. Create new round
-      const { roundId, scheduledClose } = await bingoService.createRoundOffChain(BUY_WINDOW_SECONDS, roomNumber);
+      const { roundId, scheduledClose } = await bingoService.createRoundOffChain(
+        buyWindowSeconds, roomNumber, config.cardPrice
+      );
       _roomStates[roomNumber] = {
         phase: 'buying',
         roundId,
         scheduledClose: scheduledClose.toISOString(),
         phaseEndTime: scheduledClose.toISOString(),
+        settings,
       };
+      realtimeService.publish(channel, 'round.opened', {
+        roundId, scheduledClose: scheduledClose.toISOString(), cardPrice: config.cardPrice
+      });
+
+      // 1b. Pre-purchased cards (subscriptions) — failures must not block the round
+      try {
+        await bingoSubscriptionService.materializeRound(roundId, roomNumber);
+      } catch (err) {
+        console.error(`[BingoScheduler] Room ${roomNumber} Round #${roundId} subscription error:`, err.message);
+      }
 
       // 2. Wait for buy window to close
       const waitMs = Math.max(0, new Date(scheduledClose).getTime() - Date.now());
@@ -191,6 +246,7 @@ async function roomLoop(roomNumber) {
 
       // 3. Close round
       await bingoService.closeRoundOffChain(roundId);
+      realtimeService.publish(channel, 'round.closed', { roundId });
       // Brief resolving phase while VRF + ball generation runs
       _roomStates[roomNumber] = { ..._roomStates[roomNumber], phase: 'resolving' };
 
@@ -199,10 +255,20 @@ async function roomLoop(roomNumber) {
 
       if (_stopRequested) break;
 
-      // 4. Resolve round → status='drawing', draw_started_at=NOW()
-      const result = await bingoService.resolveRoundOffChain(roundId);
+      // 4. Not enough players → cancel and refund (0 cards is cancelled by the resolver)
+      let players = 0;
+      if (minPlayers > 1) {
+        const counts = await bingoService.getPlayerCounts([roundId]);
+        players = counts[roundId] || 0;
+      }
+
+      // Otherwise resolve round → status='drawing', draw_started_at=NOW()
+      const result = players > 0 && players < minPlayers
+        ? await bingoService.cancelRoundOffChain(roundId, `${players}/${minPlayers} players`)
+        : await bingoService.resolveRoundOffChain(roundId);
       if (result.cancelled) {
-        console.log(`[BingoScheduler] Room ${roomNumber} Round #${roundId} had no cards, skipping`);
+        console.log(`[BingoScheduler] Room ${roomNumber} Round #${roundId} cancelled (${result.reason}), skipping`);
+        realtimeService.publish(channel, 'round.cancelled', { roundId, reason: result.reason });
       } else {
         console.log(`[BingoScheduler] Room ${roomNumber} Round #${roundId} drawing: line=${result.lineWinners?.length || 0} winner(s), bingo=${result.bingoWinners?.length || 0} winner(s)`);
 
@@ -219,14 +285,24 @@ async function roomLoop(roomNumber) {
         const drawEnd = new Date(Date.now() + drawDurationMs).toISOString();
         _roomStates[roomNumber] = { ..._roomStates[roomNumber], phase: 'drawing', phaseEndTime: drawEnd };
         console.log(`[BingoScheduler] Room ${roomNumber} drawing for ${Math.ceil(drawDurationMs / 1000)}s (${ballsToDraw} balls)`);
+        realtimeService.publish(channel, 'round.drawing', { roundId, ballsToDraw, phaseEndTime: drawEnd });
+        const cancelDraw = realtimeService.scheduleBingoDraw(roomNumber, { roundId, ...result });
 
         await sleep(drawDurationMs);
-        if (_stopRequested) break;
+        if (_stopRequested) {
+          cancelDraw();
+          break;
+        }
 
         // 6. Finalize: drawing → resolved
         await bingoService.finalizeDrawing(roundId);
+        realtimeService.publish(channel, 'round.resolved', {
+          roundId, lineWinners: result.lineWinners, bingoWinners: result.bingoWinners
+        });
       }
 
+      endTimer('ok');
+
       // 7. Results/cooldown phase
       const cooldownEnd = new Date(Date.now() + COOLDOWN_SECONDS * 1000).toISOString();
       _roomStates[roomNumber] = { ..._roomStates[roomNumber], phase: 'results', phaseEndTime: cooldownEnd };
@@ -234,9 +310,13 @@ async function roomLoop(roomNumber) {
       await sleep(COOLDOWN_SECONDS * 1000);
 
     } catch (err) {
+      endTimer('error');
       console.error(`[BingoScheduler] Room ${roomNumber} error:`, err.message);
       const retryEnd = new Date(Date.now() + 10000).toISOString();
-      _roomStates[roomNumber] = { phase: 'error', roundId: null, scheduledClose: null, phaseEndTime: retryEnd };
+      _roomStates[roomNumber] = {
+        phase: 'error', roundId: null, scheduledClose: null, phaseEndTime: retryEnd,
+        settings: _roomStates[roomNumber]?.settings || null,
+      };
       await sleep(10000);
     }
   }
@@ -300,7 +380,8 @@ function getCurrentRoundId() {
 
 /**
  * Get state of all rooms.
- * @returns {Object} { 1: { phase, roundId, scheduledClose }, 2: {...}, ... }
+ * @returns {Object} { 1: { phase, roundId, scheduledClose, phaseEndTime, settings }, 2: {...}, ... }
+ *   settings: bingo_rooms row used by the current cycle (null until the first cycle)
  */
 function getRoomStates() {
   return { ..._roomStates };
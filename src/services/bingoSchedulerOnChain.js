@@ -6,11 +6,17 @@
  *
  * Each room cycle:
  *   1. createRound()        → contract.createRound(scheduledClose)
- *   2. Wait buy window (2 min)
- *   3a. IF 0 cards sold → cancelRound() (no VRF, no LINK spent) → cooldown
+ *   2. Wait buy window (room setting, default 2 min)
+ *   3a. IF 0 cards sold or below the room's min players → cancelRound()
+ *       (no VRF, no LINK spent; players claim refunds on-chain) → cooldown
  *   3b. IF cards sold  → closeAndRequestVRF() → wait VRF → draw → cooldown
  *   4. Cooldown 30s → next round
  *
+ * Room settings (bingo_rooms) are re-read every cycle. A disabled room or one
+ * outside its schedule stays in phase 'closed'. Card price and max cards per
+ * player are enforced by the contract (global), so the room values for those
+ * only apply to the off-chain scheduler.
+ *
  * The bingoEventService handles:
  *   - Indexing CardsPurchased events (card numbers → DB)
  *   - Auto-resolving rounds when VrfFulfilled event fires
@@ -18,17 +24,23 @@
  *
  * This scheduler only drives round creation/closing timing.
  * Resolution is event-driven (no polling needed for that step).
+ * Phase changes and balls are published on the bingo:<room> SSE channel
+ * (realtimeService) once the resolution reaches the DB.
  */
 
 const pool = require('../db');
 const bingoService = require('./bingoService');
 const gameConfigService = require('./gameConfigService');
+const realtimeService = require('./realtimeService');
+const prometheusService = require('./prometheusService');
+const DrawStateMachine = require('../workers/drawStateMachine');
 const { getBingoContractReadOnly } = require('../chain/bingoProvider');
 
 const NUM_ROOMS        = 4;
 const BUY_WINDOW_SECONDS = 120; // 2 min buy window
 const COOLDOWN_SECONDS  = 30;
 const STAGGER_SECONDS   = 105; // spread 4 rooms across the buy window (~120s / 4 rooms)
+const CLOSED_RECHECK_MS = 60 * 1000; // closed rooms re-check their settings every minute
 
 // How long to wait for Chainlink VRF (real network ~120s; local mock ~instant)
 const VRF_WAIT_TIMEOUT_MS = 10 * 60 * 1000; // 10 minutes
@@ -119,7 +131,8 @@ async function waitForVrfAndResolution(roundId) {
     if (_stopRequested) return null;
 
     const { rows } = await pool.query(
-      'SELECT status, line_winner_ball, bingo_winner_ball FROM bingo_rounds WHERE round_id = $1',
+      `SELECT status, drawn_balls, line_winner, bingo_winner, line_winner_ball, bingo_winner_ball
+       FROM bingo_rounds WHERE round_id = $1`,
       [roundId]
     );
 
@@ -133,6 +146,9 @@ async function waitForVrfAndResolution(roundId) {
       return {
         lineWinnerBall:  line_winner_ball  ? parseInt(line_winner_ball)  : 0,
         bingoWinnerBall: bingo_winner_ball ? parseInt(bingo_winner_ball) : 0,
+        drawnBalls:   rows[0].drawn_balls || [],
+        lineWinners:  realtimeService.parseWinnerColumn(rows[0].line_winner),
+        bingoWinners: realtimeService.parseWinnerColumn(rows[0].bingo_winner),
       };
     }
 
@@ -153,6 +169,21 @@ async function waitForVrfAndResolution(roundId) {
   return null;
 }
 
+/**
+ * Cancel DB rounds still 'open' that don't exist (or are no longer open) on-chain.
+ * Each one goes through the Bingo state machine.
+ */
+async function cancelGhostRounds(roundIds, reason) {
+  for (const roundId of roundIds) {
+    await DrawStateMachine.apply('bingo', roundId, 'cancelled', {
+      db: pool,
+      from: ['open'],
+      actor: 'bingo-scheduler',
+      reason,
+    });
+  }
+}
+
 /**
  * Recover rounds stuck in 'drawing' status from a previous session killed mid-animation.
  *
@@ -200,11 +231,7 @@ async function recoverDrawingRounds() {
 
       if (_stopRequested) return;
 
-      await pool.query(
-        `UPDATE bingo_rounds SET status = 'resolved', updated_at = NOW()
-         WHERE round_id = $1 AND status = 'drawing'`,
-        [round_id]
-      );
+      await bingoService.finalizeDrawing(round_id);
       console.log(`[BingoOnChainScheduler] Recovery: Round #${round_id} drawing → resolved`);
     }));
 
@@ -287,10 +314,7 @@ async function recoverOpenRounds() {
       if (resolution) {
         const drawMs = calcDrawDurationMs(resolution.lineWinnerBall, resolution.bingoWinnerBall);
         await sleep(drawMs);
-        await pool.query(
-          `UPDATE bingo_rounds SET status = 'resolved', updated_at = NOW() WHERE round_id = $1 AND status = 'drawing'`,
-          [roundId]
-        );
+        await bingoService.finalizeDrawing(roundId);
         console.log(`[BingoOnChainScheduler] Recovery: Round #${roundId} resolved`);
       } else {
         console.log(`[BingoOnChainScheduler] Recovery: Round #${roundId} cancelled or timed out — skipping`);
@@ -316,10 +340,38 @@ async function roomLoop(roomNumber) {
     await sleep(staggerMs);
   }
 
+  const channel = realtimeService.bingoChannel(roomNumber);
+
   while (!_stopRequested) {
+    let endTimer = () => {};
     try {
+      // 0. Room settings (edits apply from the next round on)
+      const settings = await gameConfigService.getBingoRoom(roomNumber);
+
+      if (!gameConfigService.isBingoRoomOpen(settings)) {
+        const nextOpen = gameConfigService.nextBingoRoomOpening(settings);
+        if (_roomStates[roomNumber]?.phase !== 'closed') {
+          realtimeService.publish(channel, 'room.closed', { nextOpening: nextOpen ? nextOpen.toISOString() : null });
+        }
+        _roomStates[roomNumber] = {
+          phase: 'closed',
+          roundId: null,
+          phaseEndTime: nextOpen ? nextOpen.toISOString() : null,
+          settings,
+        };
+        const untilOpenMs = nextOpen ? nextOpen.getTime() - Date.now() : CLOSED_RECHECK_MS;
+        await sleep(Math.max(1000, Math.min(CLOSED_RECHECK_MS, untilOpenMs)));
+        continue;
+      }
+
+      // Tick = one round cycle, cooldown excluded
+      endTimer = prometheusService.startTimer('bingo_onchain');
+
+      const buyWindowSeconds = settings?.buyWindowSeconds ?? BUY_WINDOW_SECONDS;
+      const minPlayers = settings?.minPlayers ?? 1;
+
       // 1. Create round on-chain
-      const closesAt = Math.floor(Date.now() / 1000) + BUY_WINDOW_SECONDS;
+      const closesAt = Math.floor(Date.now() / 1000) + buyWindowSeconds;
       const { roundId, txHash } = await bingoService.createRound(closesAt);
       if (!roundId || isNaN(roundId)) {
         throw new Error(`createRound returned invalid roundId: ${roundId}`);
@@ -335,24 +387,32 @@ async function roomLoop(roomNumber) {
          ON CONFLICT (round_id) DO UPDATE SET room_number = $3, updated_at = NOW()`,
         [roundId, new Date(closesAt * 1000), roomNumber]
       );
+      await DrawStateMachine.recordCreated('bingo', roundId, 'open', {
+        db: pool,
+        actor: 'bingo-scheduler',
+        txHash,
+      });
 
       // Cancel any stale DB rounds for this room that are not the current round.
       // This cleans up off-chain rounds (high IDs from old mode) and leftover
       // open rows from previous scheduler sessions so the lobby shows the correct
       // on-chain round instead of a ghost round that doesn't exist in the contract.
-      await pool.query(
-        `UPDATE bingo_rounds SET status = 'cancelled', updated_at = NOW()
+      const { rows: staleRows } = await pool.query(
+        `SELECT round_id FROM bingo_rounds
          WHERE room_number = $1 AND status = 'open' AND round_id != $2`,
         [roomNumber, roundId]
       );
+      await cancelGhostRounds(staleRows.map(r => r.round_id), `Superseded by round #${roundId}`);
       const scheduledClose = new Date(closesAt * 1000).toISOString();
       _roomStates[roomNumber] = {
         phase: 'buying',
         roundId,
         scheduledClose,
         phaseEndTime: scheduledClose,
+        settings,
       };
       console.log(`[BingoOnChainScheduler] Room ${roomNumber} Round #${roundId} open (tx: ${txHash})`);
+      realtimeService.publish(channel, 'round.opened', { roundId, scheduledClose });
 
       // 2. Wait buy window
       const waitMs = Math.max(0, closesAt * 1000 - Date.now());
@@ -369,18 +429,31 @@ async function roomLoop(roomNumber) {
         [roundId]
       );
       const totalCards = cardRows[0] ? (parseInt(cardRows[0].total_cards) || 0) : 0;
+      let players = 0;
+      if (totalCards > 0 && minPlayers > 1) {
+        const counts = await bingoService.getPlayerCounts([roundId]);
+        players = counts[roundId] || 0;
+      }
 
       // NOTE: the contract auto-cancels (no VRF, no LINK) when closeAndRequestVRF()
       // is called on a 0-card round. cancelRound() here saves some gas on the close
       // tx itself, but falls back to closeAndRequestVRF() if the contract rejects it
       // (e.g. cancelRound may require buy window still open on some implementations).
       let usedCancel = false;
-      if (totalCards === 0) {
+      if (totalCards > 0 && minPlayers > 1 && players < minPlayers) {
+        // Below the room minimum: cancel so players can claimRefund(). Unlike the
+        // 0-card case there is no fallback — closing would draw with too few players.
+        console.log(`[BingoOnChainScheduler] Room ${roomNumber} Round #${roundId} — ${players}/${minPlayers} players, cancelling`);
+        await bingoService.cancelRound(roundId);
+        usedCancel = true;
+        realtimeService.publish(channel, 'round.cancelled', { roundId, reason: `${players}/${minPlayers} players` });
+      } else if (totalCards === 0) {
         console.log(`[BingoOnChainScheduler] Room ${roomNumber} Round #${roundId} — 0 cards, attempting cancelRound (no VRF)`);
         try {
           await bingoService.cancelRound(roundId);
           usedCancel = true;
           console.log(`[BingoOnChainScheduler] Room ${roomNumber} Round #${roundId} cancelled (gas saved)`);
+          realtimeService.publish(channel, 'round.cancelled', { roundId, reason: 'no cards' });
         } catch (err) {
           console.warn(`[BingoOnChainScheduler] Room ${roomNumber} cancelRound(${roundId}) failed: ${err.message} — falling back to closeAndRequestVRF (contract will auto-cancel)`);
         }
@@ -404,6 +477,7 @@ async function roomLoop(roomNumber) {
           }
         }
         console.log(`[BingoOnChainScheduler] Room ${roomNumber} Round #${roundId} closed + VRF requested (tx: ${closeTx})`);
+        realtimeService.publish(channel, 'round.closed', { roundId });
 
         // 4. Wait for VRF fulfillment + auto-resolution (handled by bingoEventService)
         _roomStates[roomNumber] = { ..._roomStates[roomNumber], phase: 'vrf_wait' };
@@ -414,25 +488,32 @@ async function roomLoop(roomNumber) {
         if (!resolution) {
           // Timeout or stop — move to cooldown and try next round
           console.log(`[BingoOnChainScheduler] Room ${roomNumber} Round #${roundId} cancelled or timed out — skipping draw`);
+          realtimeService.publish(channel, 'round.cancelled', { roundId, reason: 'cancelled or VRF timeout' });
         } else {
           // 5. Wait for draw animation to complete (frontend syncs to draw_started_at)
           const drawDurationMs = calcDrawDurationMs(resolution.lineWinnerBall, resolution.bingoWinnerBall);
           const drawEnd = new Date(Date.now() + drawDurationMs).toISOString();
           _roomStates[roomNumber] = { ..._roomStates[roomNumber], phase: 'drawing', phaseEndTime: drawEnd };
           console.log(`[BingoOnChainScheduler] Room ${roomNumber} Round #${roundId} drawing ${Math.ceil(drawDurationMs / 1000)}s`);
+          realtimeService.publish(channel, 'round.drawing', { roundId, phaseEndTime: drawEnd });
+          const cancelDraw = realtimeService.scheduleBingoDraw(roomNumber, { roundId, ...resolution });
 
           await sleep(drawDurationMs);
-          if (_stopRequested) break;
+          if (_stopRequested) {
+            cancelDraw();
+            break;
+          }
 
           // 6. Finalize: mark DB status=resolved (prizes already paid on-chain)
-          await pool.query(
-            `UPDATE bingo_rounds SET status = 'resolved', updated_at = NOW()
-             WHERE round_id = $1 AND status = 'drawing'`,
-            [roundId]
-          );
+          await bingoService.finalizeDrawing(roundId);
+          realtimeService.publish(channel, 'round.resolved', {
+            roundId, lineWinners: resolution.lineWinners, bingoWinners: resolution.bingoWinners
+          });
         }
       }
 
+      endTimer('ok');
+
       // 7. Cooldown (always — empty or not)
       const cooldownEnd = new Date(Date.now() + COOLDOWN_SECONDS * 1000).toISOString();
       _roomStates[roomNumber] = { ..._roomStates[roomNumber], phase: 'results', phaseEndTime: cooldownEnd };
@@ -440,6 +521,7 @@ async function roomLoop(roomNumber) {
       await sleep(COOLDOWN_SECONDS * 1000);
 
     } catch (err) {
+      endTimer('error');
       console.error(`[BingoOnChainScheduler] Room ${roomNumber} error:`, err.message);
 
       // MaxOpenRoundsReached: all 4 contract slots are full.
@@ -459,7 +541,10 @@ async function roomLoop(roomNumber) {
         await sleep(60000);
       } else {
         const retryEnd = new Date(Date.now() + 10000).toISOString();
-        _roomStates[roomNumber] = { phase: 'error', roundId: null, phaseEndTime: retryEnd };
+        _roomStates[roomNumber] = {
+          phase: 'error', roundId: null, phaseEndTime: retryEnd,
+          settings: _roomStates[roomNumber]?.settings || null,
+        };
         await sleep(10000);
       }
     }
@@ -519,11 +604,7 @@ async function start() {
         .filter(id => !onChainSet.has(id));
 
       if (ghostIds.length > 0) {
-        await pool.query(
-          `UPDATE bingo_rounds SET status = 'cancelled', updated_at = NOW()
-           WHERE round_id = ANY($1)`,
-          [ghostIds]
-        );
+        await cancelGhostRounds(ghostIds, 'Not open on-chain');
         console.log(`[BingoOnChainScheduler] Startup: cancelled ${ghostIds.length} ghost DB round(s): [${ghostIds.join(', ')}]`);
       } else {
         console.log('[BingoOnChainScheduler] Startup: no ghost rounds in DB');
@@ -9,8 +9,13 @@
 const crypto = require('crypto');
 const pool = require('../db');
 const gameConfigService = require('./gameConfigService');
-const { drawBallsFromVrfSeed, detectWinners, checkCard, ZERO_ADDRESS } = require('./bingoResolverService');
+const {
+  drawBallsFromVrfSeed, detectWinners, checkCard, checkPatterns, buildPatternWinners, ZERO_ADDRESS,
+} = require('./bingoResolverService');
 const { calculateBetCommissionByWallet } = require('./referralAdminService');
+const ledgerService = require('./ledgerService');
+const responsibleGamingService = require('./responsibleGamingService');
+const DrawStateMachine = require('../workers/drawStateMachine');
 
 const TOKEN_DECIMALS = 6;
 
@@ -29,14 +34,23 @@ async function getConfig() {
       const { getBingoContractReadOnly } = require('../chain/bingoProvider');
       const { ethers } = require('ethers');
       const contract = getBingoContractReadOnly();
-      const [jp, ap, cp] = await Promise.all([
+      const [jp, ap, cp, fee, reserve, line, bingo] = await Promise.all([
         contract.jackpotBalance(),
         contract.availablePool(),
         contract.cardPrice(),
+        contract.feeBps(),
+        contract.reserveBps(),
+        contract.linePrizeBps(),
+        contract.bingoPrizeBps(),
       ]);
       jackpotBalance = parseFloat(ethers.formatUnits(jp, TOKEN_DECIMALS));
       availablePool = parseFloat(ethers.formatUnits(ap, TOKEN_DECIMALS));
       config.cardPrice = parseFloat(ethers.formatUnits(cp, TOKEN_DECIMALS));
+      // The contract pays with its own split, not the DB config
+      config.feeBps = Number(fee);
+      config.reserveBps = Number(reserve);
+      config.linePrizeBps = Number(line);
+      config.bingoPrizeBps = Number(bingo);
     } else {
       // Off-chain: read from bingo_pool table
       const poolResult = await pool.query('SELECT jackpot_balance, accrued_fees FROM bingo_pool WHERE id = 1');
@@ -63,6 +77,44 @@ async function getConfig() {
   };
 }
 
+/**
+ * Win patterns of a room: [{ id, type, prizeBps, maxBalls?, paid }]
+ * With contractConfig (on-chain mode) only line and bingo are paid, at the
+ * contract bps; room overrides and extra patterns are marked paid: false.
+ * @param {number} roomNumber
+ * @param {Object|null} contractConfig - getConfig() result when on-chain
+ */
+async function getRoomPatterns(roomNumber, contractConfig = null) {
+  const config = await gameConfigService.getBingoConfig(roomNumber);
+  if (!contractConfig) {
+    return config.patterns.map(p => ({ ...p, paid: true }));
+  }
+  return config.patterns.map(p => {
+    if (p.type === 'line') return { ...p, prizeBps: contractConfig.linePrizeBps, paid: true };
+    if (p.type === 'bingo') return { ...p, prizeBps: contractConfig.bingoPrizeBps, paid: true };
+    return { ...p, paid: false };
+  });
+}
+
+/**
+ * Per-room settings (bingo_rooms) with current open/closed state
+ * @returns {Object} { [roomNumber]: { ...room, open, nextOpening } }
+ */
+async function getRoomSettings() {
+  const rooms = await gameConfigService.getBingoRooms();
+  const now = new Date();
+  const result = {};
+  for (const [roomNumber, room] of Object.entries(rooms)) {
+    const open = gameConfigService.isBingoRoomOpen(room, now);
+    result[roomNumber] = {
+      ...room,
+      open,
+      nextOpening: open ? null : gameConfigService.nextBingoRoomOpening(room, now),
+    };
+  }
+  return result;
+}
+
 /**
  * List rounds with optional status filter
  */
@@ -173,22 +225,25 @@ async function getVerificationData(roundId) {
   }
 
   const cardsResult = await pool.query(
-    'SELECT card_id, owner_address, numbers, line_hit_ball, bingo_hit_ball, is_line_winner, is_bingo_winner FROM bingo_cards WHERE round_id = $1 ORDER BY card_id',
+    'SELECT card_id, owner_address, numbers, line_hit_ball, bingo_hit_ball, is_line_winner, is_bingo_winner, pattern_hits FROM bingo_cards WHERE round_id = $1 ORDER BY card_id',
     [roundId]
   );
 
   const resultsResult = await pool.query(
-    'SELECT vrf_seed, drawn_balls, line_winner_card_id, bingo_winner_card_id, resolution_time_ms, tx_hash FROM bingo_results WHERE round_id = $1',
+    'SELECT vrf_seed, drawn_balls, line_winner_card_id, bingo_winner_card_id, resolution_time_ms, tx_hash, pattern_winners FROM bingo_results WHERE round_id = $1',
     [roundId]
   );
+  const results = resultsResult.rows[0] || null;
 
   return {
     roundId: round.round_id,
     status: round.status,
     vrfSeed: round.vrf_random_word,
     drawnBalls: round.drawn_balls,
+    // Rounds resolved before patterns existed only have line/bingo on the cards
+    patterns: results?.pattern_winners || [],
     cards: cardsResult.rows,
-    results: resultsResult.rows[0] || null,
+    results,
   };
 }
 
@@ -196,24 +251,14 @@ async function getVerificationData(roundId) {
  * Admin: create a new round on-chain
  */
 async function createRound(scheduledCloseTimestamp) {
-  const { getBingoContract, AMOY_GAS_OVERRIDES, resetNonceManager, isNonceError } = require('../chain/bingoProvider');
+  const { getBingoContract } = require('../chain/bingoProvider');
+  const { txManager } = require('../chain/txManager');
   const contract = getBingoContract();
 
-  let tx;
-  try {
-    tx = await contract.createRound(scheduledCloseTimestamp, AMOY_GAS_OVERRIDES);
-  } catch (err) {
-    if (isNonceError(err)) {
-      console.warn('[Bingo] createRound: nonce error, resetting NonceManager and retrying once');
-      resetNonceManager();
-      // Allow pending pool to settle: re-reading the nonce immediately after reset may
-      // still return the stale pending value if the prior tx hasn't propagated yet.
-      await new Promise(r => setTimeout(r, 3000));
-      tx = await contract.createRound(scheduledCloseTimestamp, AMOY_GAS_OVERRIDES);
-    } else {
-      throw err;
-    }
-  }
+  // Operator tx manager: shared nonce tracking with Bolita and withdrawals
+  const tx = await txManager.sendContract(contract, 'createRound', [scheduledCloseTimestamp], {
+    purpose: 'bingo.createRound',
+  });
   const receipt = await tx.wait();
 
   // Parse RoundCreated event
@@ -236,23 +281,15 @@ async function createRound(scheduledCloseTimestamp) {
  * Admin: close a round and request VRF
  */
 async function closeRound(roundId) {
-  const { getBingoContract, AMOY_GAS_OVERRIDES, resetNonceManager, isNonceError } = require('../chain/bingoProvider');
+  const { getBingoContract } = require('../chain/bingoProvider');
+  const { txManager } = require('../chain/txManager');
   const contract = getBingoContract();
 
-  let tx;
-  try {
-    tx = await contract.closeAndRequestVRF(roundId, AMOY_GAS_OVERRIDES);
-  } catch (err) {
-    if (isNonceError(err)) {
-      console.warn(`[Bingo] closeRound(${roundId}): nonce error, resetting NonceManager and retrying once`);
-      resetNonceManager();
-      // Allow pending pool to settle before retry (same reason as createRound above).
-      await new Promise(r => setTimeout(r, 3000));
-      tx = await contract.closeAndRequestVRF(roundId, AMOY_GAS_OVERRIDES);
-    } else {
-      throw err;
-    }
-  }
+  const tx = await txManager.sendContract(contract, 'closeAndRequestVRF', [roundId], {
+    purpose: 'bingo.closeRound',
+    referenceType: 'bingo_round',
+    referenceId: roundId,
+  });
   const receipt = await tx.wait();
 
   console.log(`[Bingo] Round ${roundId} closed, VRF requested. tx: ${receipt.hash}`);
@@ -264,9 +301,14 @@ async function closeRound(roundId) {
  */
 async function cancelRound(roundId) {
   const { getBingoContract } = require('../chain/bingoProvider');
+  const { txManager } = require('../chain/txManager');
   const contract = getBingoContract();
 
-  const tx = await contract.cancelRound(roundId);
+  const tx = await txManager.sendContract(contract, 'cancelRound', [roundId], {
+    purpose: 'bingo.cancelRound',
+    referenceType: 'bingo_round',
+    referenceId: roundId,
+  });
   const receipt = await tx.wait();
 
   console.log(`[Bingo] Round ${roundId} cancelled. tx: ${receipt.hash}`);
@@ -380,37 +422,119 @@ function generateCardNumbers() {
 /**
  * Create a new round off-chain.
  * @param {number} buyWindowSeconds - seconds the round stays open
+ * @param {number|null} roomNumber
+ * @param {number|null} cardPrice - room price, fixed for the whole round
  * @returns {Object} { roundId, scheduledClose }
  */
-async function createRoundOffChain(buyWindowSeconds = 45, roomNumber = null) {
+async function createRoundOffChain(buyWindowSeconds = 45, roomNumber = null, cardPrice = null) {
   const roundId = await getNextRoundId();
   const now = new Date();
   const scheduledClose = new Date(now.getTime() + buyWindowSeconds * 1000);
 
   await pool.query(
-    `INSERT INTO bingo_rounds (round_id, status, scheduled_close, room_number, created_at, updated_at)
-     VALUES ($1, 'open', $2, $3, NOW(), NOW())
+    `INSERT INTO bingo_rounds (round_id, status, scheduled_close, room_number, card_price, created_at, updated_at)
+     VALUES ($1, 'open', $2, $3, $4, NOW(), NOW())
      ON CONFLICT (round_id) DO NOTHING`,
-    [roundId, scheduledClose, roomNumber]
+    [roundId, scheduledClose, roomNumber, cardPrice]
   );
+  await DrawStateMachine.recordCreated('bingo', roundId, 'open', { db: pool, actor: 'bingo-scheduler' });
 
   console.log(`[Bingo] Off-chain round #${roundId} (room ${roomNumber}) created, closes at ${scheduledClose.toISOString()}`);
   return { roundId, scheduledClose };
 }
 
+/**
+ * Card price of a round: the room price snapshotted at creation, or the config price
+ * for rounds created before per-room pricing.
+ */
+function getRoundCardPrice(round, config) {
+  return round.card_price !== null && round.card_price !== undefined
+    ? parseFloat(round.card_price)
+    : (config.cardPrice || 1);
+}
+
+/**
+ * Cards a wallet already holds in a round (call with the round row locked).
+ */
+async function countUserCards(client, roundId, addr) {
+  const result = await client.query(
+    'SELECT COUNT(*) AS cnt FROM bingo_cards WHERE round_id = $1 AND owner_address = $2',
+    [roundId, addr]
+  );
+  return parseInt(result.rows[0].cnt);
+}
+
+/**
+ * Insert paid cards into a locked, open round and update its totals.
+ * The caller owns the transaction and has already charged the player.
+ * @param {Object} client - pg client inside BEGIN, round row locked FOR UPDATE
+ * @param {Object} round - bingo_rounds row
+ * @param {string} addr - lowercase owner address
+ * @param {number} count
+ * @param {number} cardPrice
+ * @param {number} existingCount - cards the owner already has in the round
+ * @param {number|null} subscriptionId - bingo_subscriptions.id for pre-purchased cards
+ * @returns {Array} cards issued
+ */
+async function issueCards(client, round, addr, count, cardPrice, existingCount, subscriptionId = null) {
+  const roundId = round.round_id;
+  const cards = [];
+  for (let i = 0; i < count; i++) {
+    const cardId = await getNextCardId();
+    const numbers = generateCardNumbers();
+    const cardIndex = existingCount + i;
+
+    await client.query(
+      `INSERT INTO bingo_cards (card_id, round_id, owner_address, card_index, numbers, subscription_id, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, NOW())`,
+      [cardId, roundId, addr, cardIndex, JSON.stringify(numbers), subscriptionId]
+    );
+
+    // Comision de referido (fire-and-forget, no bloquea la compra)
+    calculateBetCommissionByWallet(cardId, addr, cardPrice, 'bingo').catch(() => {});
+
+    cards.push({ cardId, roundId, ownerAddress: addr, cardIndex, numbers });
+  }
+
+  // Update round totals
+  await client.query(
+    `UPDATE bingo_rounds SET total_cards = total_cards + $1, total_revenue = total_revenue + $2, updated_at = NOW() WHERE round_id = $3`,
+    [count, cardPrice * count, roundId]
+  );
+
+  return cards;
+}
+
+/**
+ * Credit a refund to a player's balance (cancelled rounds and subscriptions).
+ * The money comes back out of the Bingo stakes clearing account.
+ */
+async function creditRefund(client, walletAddress, amount) {
+  if (!(amount > 0)) return;
+  const result = await client.query(
+    'UPDATE users SET balance = balance + $1, updated_at = NOW() WHERE wallet_address = $2 RETURNING id',
+    [amount, walletAddress.toLowerCase()]
+  );
+  if (result.rows.length === 0) return;
+
+  await ledgerService.transfer(client, {
+    type: ledgerService.ENTRY_TYPES.REFUND,
+    from: ledgerService.ACCOUNTS.BINGO_STAKES,
+    to: ledgerService.userAccount(result.rows[0].id),
+    amount,
+    referenceType: 'bingo_refund'
+  });
+}
+
 /**
  * Buy cards off-chain for a user.
  * @param {string} walletAddress
  * @param {number} roundId
- * @param {number} count - 1 to 4
+ * @param {number} count - up to the room's maxCardsPerUser
  * @returns {Array} cards bought
  */
 async function buyCardsOffChain(walletAddress, roundId, count = 1) {
   const addr = walletAddress.toLowerCase();
-  const config = await gameConfigService.getBingoConfig();
-  const maxCards = config.maxCardsPerUser || 4;
-  const cardPrice = config.cardPrice || 1;
-  const totalCost = cardPrice * count;
 
   const client = await pool.connect();
   try {
@@ -426,17 +550,19 @@ async function buyCardsOffChain(walletAddress, roundId, count = 1) {
     const round = roundResult.rows[0];
     if (round.status !== 'open') throw new Error('Round is not open for purchases');
 
+    // Room limits; the price is the one snapshotted when the round was created
+    const config = await gameConfigService.getBingoConfig(round.room_number);
+    const maxCards = config.maxCardsPerUser || 4;
+    const cardPrice = getRoundCardPrice(round, config);
+    const totalCost = cardPrice * count;
+
     // Check time hasn't expired
     if (round.scheduled_close && new Date() >= new Date(round.scheduled_close)) {
       throw new Error('Round buy window has closed');
     }
 
     // Re-check card count inside the transaction (consistent read under lock)
-    const existingCards = await client.query(
-      'SELECT COUNT(*) AS cnt FROM bingo_cards WHERE round_id = $1 AND owner_address = $2',
-      [roundId, addr]
-    );
-    const existingCount = parseInt(existingCards.rows[0].cnt);
+    const existingCount = await countUserCards(client, roundId, addr);
     if (existingCount + count > maxCards) {
       throw new Error(`Max ${maxCards} cards per round. You already have ${existingCount}.`);
     }
@@ -450,29 +576,23 @@ async function buyCardsOffChain(walletAddress, roundId, count = 1) {
       throw new Error('Insufficient balance');
     }
 
-    const cards = [];
-    for (let i = 0; i < count; i++) {
-      const cardId = await getNextCardId();
-      const numbers = generateCardNumbers();
-      const cardIndex = existingCount + i;
-
-      await client.query(
-        `INSERT INTO bingo_cards (card_id, round_id, owner_address, card_index, numbers, created_at)
-         VALUES ($1, $2, $3, $4, $5, NOW())`,
-        [cardId, roundId, addr, cardIndex, JSON.stringify(numbers)]
-      );
-
-      // Comision de referido (fire-and-forget, no bloquea la compra)
-      calculateBetCommissionByWallet(cardId, addr, cardPrice).catch(() => {});
+    // Responsible gaming (the users row is locked by the debit above)
+    await responsibleGamingService.checkPlay(client, addr, totalCost);
 
-      cards.push({ cardId, roundId, ownerAddress: addr, cardIndex, numbers });
-    }
+    const cards = await issueCards(client, round, addr, count, cardPrice, existingCount);
 
-    // Update round totals
-    await client.query(
-      `UPDATE bingo_rounds SET total_cards = total_cards + $1, total_revenue = total_revenue + $2, updated_at = NOW() WHERE round_id = $3`,
-      [count, totalCost, roundId]
-    );
+    await ledgerService.transfer(client, {
+      type: ledgerService.ENTRY_TYPES.BET,
+      from: ledgerService.userAccount(balResult.rows[0].id),
+      to: ledgerService.ACCOUNTS.BINGO_STAKES,
+      amount: totalCost,
+      referenceType: 'bingo_round',
+      referenceId: roundId
+    });
+    await responsibleGamingService.recordWager(client, addr, 'bingo', totalCost, {
+      referenceType: 'bingo_round',
+      referenceId: roundId
+    });
 
     await client.query('COMMIT');
     console.log(`[Bingo] ${addr} bought ${count} card(s) for round #${roundId}`);
@@ -489,13 +609,76 @@ async function buyCardsOffChain(walletAddress, roundId, count = 1) {
  * Close a round off-chain (no more purchases).
  */
 async function closeRoundOffChain(roundId) {
-  await pool.query(
-    `UPDATE bingo_rounds SET status = 'closed', updated_at = NOW() WHERE round_id = $1 AND status = 'open'`,
-    [roundId]
-  );
+  await DrawStateMachine.apply('bingo', roundId, 'closed', {
+    db: pool,
+    from: ['open'],
+    actor: 'bingo-scheduler',
+  });
   console.log(`[Bingo] Off-chain round #${roundId} closed`);
 }
 
+/**
+ * Cancel an open/closed round off-chain and refund every card to its owner.
+ * Used when a room does not reach its minimum number of players.
+ * @returns {Object} { roundId, cancelled: true, reason, refunded, players }
+ */
+async function cancelRoundOffChain(roundId, reason = 'cancelled') {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const roundResult = await client.query(
+      'SELECT * FROM bingo_rounds WHERE round_id = $1 FOR UPDATE',
+      [roundId]
+    );
+    if (roundResult.rows.length === 0) throw new Error(`Round ${roundId} not found`);
+    const round = roundResult.rows[0];
+    if (!['open', 'closed'].includes(round.status)) {
+      throw new Error(`Round ${roundId} cannot be cancelled (status: ${round.status})`);
+    }
+
+    // Refund what each owner paid (revenue / cards keeps legacy rounds without card_price exact)
+    const totalCards = parseInt(round.total_cards) || 0;
+    const unitPrice = round.card_price !== null && round.card_price !== undefined
+      ? parseFloat(round.card_price)
+      : (totalCards > 0 ? parseFloat(round.total_revenue) / totalCards : 0);
+
+    const owners = await client.query(
+      `SELECT owner_address, COUNT(*) AS cards
+       FROM bingo_cards WHERE round_id = $1
+       GROUP BY owner_address`,
+      [roundId]
+    );
+
+    let refunded = 0;
+    for (const row of owners.rows) {
+      const amount = unitPrice * parseInt(row.cards);
+      await creditRefund(client, row.owner_address, amount);
+      await responsibleGamingService.recordRefund(client, row.owner_address, 'bingo', amount, {
+        referenceType: 'bingo_round',
+        referenceId: roundId
+      });
+      refunded += amount;
+    }
+
+    await DrawStateMachine.apply('bingo', roundId, 'cancelled', {
+      db: client,
+      actor: 'bingo-scheduler',
+      reason,
+      details: { refunded, players: owners.rows.length },
+    });
+
+    await client.query('COMMIT');
+    console.log(`[Bingo] Round #${roundId} cancelled (${reason}), refunded ${refunded} to ${owners.rows.length} player(s)`);
+    return { roundId, cancelled: true, reason, refunded, players: owners.rows.length };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
 /**
  * Resolve a round off-chain: generate VRF seed, draw balls, detect winners, calculate prizes.
  */
@@ -516,10 +699,12 @@ async function resolveRoundOffChain(roundId) {
 
   if (cardsResult.rows.length === 0) {
     // No cards sold — cancel the round
-    await pool.query(
-      `UPDATE bingo_rounds SET status = 'cancelled', updated_at = NOW() WHERE round_id = $1`,
-      [roundId]
-    );
+    await DrawStateMachine.apply('bingo', roundId, 'cancelled', {
+      db: pool,
+      from: ['closed'],
+      actor: 'bingo-scheduler',
+      reason: 'no cards',
+    });
     console.log(`[Bingo] Round #${roundId} cancelled (no cards sold)`);
     return { roundId, cancelled: true, reason: 'no cards' };
   }
@@ -537,16 +722,17 @@ async function resolveRoundOffChain(roundId) {
   // 4. Draw balls using existing resolver
   const drawnBalls = drawBallsFromVrfSeed(vrfBigInt.toString());
 
-  // 5. Detect winners (returns arrays of co-winners at same ball)
-  const winners = detectWinners(cards, drawnBalls);
+  // 5. Detect winners for the room patterns (arrays of co-winners at same ball)
+  const config = await gameConfigService.getBingoConfig(round.room_number);
+  const patterns = config.patterns;
+  const winners = detectWinners(cards, drawnBalls, patterns);
 
-  // 6. Calculate prizes
-  const config = await gameConfigService.getBingoConfig();
+  // 6. Calculate prizes (line/bingo bps may be overridden by the room patterns)
   const revenue = parseFloat(round.total_revenue) || 0;
   const feeBps = config.feeBps || 1000;
   const reserveBps = config.reserveBps || 1000;
-  const linePrizeBps = config.linePrizeBps || 1500;
-  const bingoPrizeBps = config.bingoPrizeBps || 8500;
+  const linePrizeBps = patterns.find(p => p.type === 'line').prizeBps;
+  const bingoPrizeBps = patterns.find(p => p.type === 'bingo').prizeBps;
   const jackpotThreshold = config.jackpotBallThreshold || 25;
 
   const feeAmount = (revenue * feeBps) / 10000;
@@ -578,11 +764,25 @@ async function resolveRoundOffChain(roundId) {
     ? [...new Set(winners.bingoWinners.map(w => w.owner))]
     : [];
 
+  // Extra room patterns: prize = winnerPot * prizeBps, split among unique winner addresses
+  const extraPrizes = winners.patternWinners
+    .filter(pw => pw.type !== 'line' && pw.type !== 'bingo' && pw.winners.length > 0)
+    .map(pw => {
+      const pattern = patterns.find(p => p.id === pw.patternId);
+      return {
+        patternId: pw.patternId,
+        addresses: [...new Set(pw.winners.map(w => w.owner))],
+        prize: (winnerPot * pattern.prizeBps) / 10000,
+      };
+    });
+  const extraPrizeTotal = extraPrizes.reduce((sum, p) => sum + p.prize, 0);
+
   // Card IDs of all co-winners
   const lineWinnerCardIds = new Set(winners.lineWinners.map(w => w.cardId));
   const bingoWinnerCardIds = new Set(winners.bingoWinners.map(w => w.cardId));
 
   // 7. Store results in DB — single atomic transaction covers round update + card updates + prize payments
+  let patternWinners = [];
   const client = await pool.connect();
   try {
     await client.query('BEGIN');
@@ -601,47 +801,43 @@ async function resolveRoundOffChain(roundId) {
 
     // Update round — status='drawing' with draw_started_at for synchronized animation
     // line_winner/bingo_winner store JSON arrays of addresses
-    await client.query(
-      `UPDATE bingo_rounds SET
-         status = 'drawing',
-         draw_started_at = NOW(),
-         vrf_random_word = $1,
-         drawn_balls = $2,
-         line_winner = $3,
-         bingo_winner = $4,
-         fee_amount = $5,
-         reserve_amount = $6,
-         line_prize = $7,
-         bingo_prize = $8,
-         jackpot_won = $9,
-         jackpot_paid = $10,
-         updated_at = NOW()
-       WHERE round_id = $11`,
-      [
-        vrfSeed,
-        JSON.stringify(drawnBalls),
-        hasLineWinner ? JSON.stringify(lineWinnerAddresses) : null,
-        hasBingoWinner ? JSON.stringify(bingoWinnerAddresses) : null,
-        feeAmount,
-        reserveAmount,
-        linePrize,
-        bingoPrize,
-        jackpotWon,
-        jackpotPaid,
-        roundId,
-      ]
-    );
+    const drawing = await DrawStateMachine.apply('bingo', roundId, 'drawing', {
+      db: client,
+      from: ['closed'],
+      actor: 'bingo-scheduler',
+      set: {
+        draw_started_at: new Date(),
+        vrf_random_word: vrfSeed,
+        drawn_balls: JSON.stringify(drawnBalls),
+        line_winner: hasLineWinner ? JSON.stringify(lineWinnerAddresses) : null,
+        bingo_winner: hasBingoWinner ? JSON.stringify(bingoWinnerAddresses) : null,
+        fee_amount: feeAmount,
+        reserve_amount: reserveAmount,
+        line_prize: linePrize,
+        bingo_prize: bingoPrize,
+        jackpot_won: jackpotWon,
+        jackpot_paid: jackpotPaid,
+      },
+    });
+    if (!drawing) throw new Error(`Round ${roundId} is no longer closed`);
+
+    patternWinners = buildPatternWinners(winners.patternWinners, patterns, {
+      line: linePrize,
+      bingo: bingoPrize + jackpotPaid,
+      extra: extraPrizes,
+    });
 
     // Insert bingo_results (store first card IDs for backward compat)
     await client.query(
-      `INSERT INTO bingo_results (round_id, vrf_seed, drawn_balls, line_winner_card_id, bingo_winner_card_id, resolution_time_ms)
-       VALUES ($1, $2, $3, $4, $5, $6)
+      `INSERT INTO bingo_results (round_id, vrf_seed, drawn_balls, line_winner_card_id, bingo_winner_card_id, resolution_time_ms, pattern_winners)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
        ON CONFLICT (round_id) DO UPDATE SET
          drawn_balls = EXCLUDED.drawn_balls,
          line_winner_card_id = EXCLUDED.line_winner_card_id,
          bingo_winner_card_id = EXCLUDED.bingo_winner_card_id,
-         resolution_time_ms = EXCLUDED.resolution_time_ms`,
-      [roundId, vrfSeed, JSON.stringify(drawnBalls), winners.lineWinnerCardId, winners.bingoWinnerCardId, Date.now() - startTime]
+         resolution_time_ms = EXCLUDED.resolution_time_ms,
+         pattern_winners = EXCLUDED.pattern_winners`,
+      [roundId, vrfSeed, JSON.stringify(drawnBalls), winners.lineWinnerCardId, winners.bingoWinnerCardId, Date.now() - startTime, JSON.stringify(patternWinners)]
     );
 
     // Update individual cards with hit info — mark ALL co-winners
@@ -649,10 +845,11 @@ async function resolveRoundOffChain(roundId) {
       const result = checkCard(card.numbers, drawnBalls);
       const isLineWinner = lineWinnerCardIds.has(card.cardId);
       const isBingoWinner = bingoWinnerCardIds.has(card.cardId);
+      const patternHits = checkPatterns(card.numbers, drawnBalls, patterns);
 
       await client.query(
-        `UPDATE bingo_cards SET line_hit_ball = $1, bingo_hit_ball = $2, is_line_winner = $3, is_bingo_winner = $4 WHERE card_id = $5`,
-        [result.lineHitBall, result.bingoHitBall, isLineWinner, isBingoWinner, card.cardId]
+        `UPDATE bingo_cards SET line_hit_ball = $1, bingo_hit_ball = $2, is_line_winner = $3, is_bingo_winner = $4, pattern_hits = $5 WHERE card_id = $6`,
+        [result.lineHitBall, result.bingoHitBall, isLineWinner, isBingoWinner, JSON.stringify(patternHits), card.cardId]
       );
     }
 
@@ -673,18 +870,33 @@ async function resolveRoundOffChain(roundId) {
         jackpotPaid,
         cards.length,
         revenue,
-        linePrize + bingoPrize + jackpotPaid,
+        linePrize + bingoPrize + jackpotPaid + extraPrizeTotal,
       ]
     );
 
+    // Prize credits also go to the ledger entries posted below
+    const prizePostings = [];
+    let prizesCredited = 0;
+    const creditPrize = async (addr, amount) => {
+      const credited = await client.query(
+        'UPDATE users SET balance = balance + $1, updated_at = NOW() WHERE wallet_address = $2 RETURNING id',
+        [amount, addr]
+      );
+      if (credited.rows.length > 0) {
+        prizePostings.push({ account: ledgerService.userAccount(credited.rows[0].id), amount: -amount });
+        prizesCredited += amount;
+        await responsibleGamingService.recordPayout(client, addr, 'bingo', amount, {
+          referenceType: 'bingo_round',
+          referenceId: roundId
+        });
+      }
+    };
+
     // Pay line winners: split linePrize equally among unique winner addresses
     if (hasLineWinner && linePrize > 0) {
       const prizePerAddress = linePrize / lineWinnerAddresses.length;
       for (const addr of lineWinnerAddresses) {
-        await client.query(
-          'UPDATE users SET balance = balance + $1, updated_at = NOW() WHERE wallet_address = $2',
-          [prizePerAddress, addr]
-        );
+        await creditPrize(addr, prizePerAddress);
       }
     }
 
@@ -693,13 +905,45 @@ async function resolveRoundOffChain(roundId) {
       const totalBingoPrize = bingoPrize + jackpotPaid;
       const prizePerAddress = totalBingoPrize / bingoWinnerAddresses.length;
       for (const addr of bingoWinnerAddresses) {
-        await client.query(
-          'UPDATE users SET balance = balance + $1, updated_at = NOW() WHERE wallet_address = $2',
-          [prizePerAddress, addr]
-        );
+        await creditPrize(addr, prizePerAddress);
       }
     }
 
+    // Pay extra pattern winners
+    for (const extra of extraPrizes) {
+      if (extra.prize <= 0) continue;
+      const prizePerAddress = extra.prize / extra.addresses.length;
+      for (const addr of extra.addresses) {
+        await creditPrize(addr, prizePerAddress);
+      }
+    }
+
+    // Ledger: prizes come out of the jackpot and the round's card revenue...
+    const jackpotCredited = Math.min(jackpotPaid, prizesCredited);
+    await ledgerService.post(client, {
+      type: ledgerService.ENTRY_TYPES.PRIZE,
+      referenceType: 'bingo_round',
+      referenceId: roundId,
+      postings: [
+        { account: ledgerService.ACCOUNTS.BINGO_JACKPOT, amount: jackpotCredited },
+        ...prizePostings
+      ],
+      balanceTo: ledgerService.ACCOUNTS.BINGO_STAKES
+    });
+
+    // ...and the rest of the revenue pays the fee and the jackpot reserve; the house keeps the remainder
+    await ledgerService.post(client, {
+      type: ledgerService.ENTRY_TYPES.SETTLEMENT,
+      referenceType: 'bingo_round',
+      referenceId: roundId,
+      postings: [
+        { account: ledgerService.ACCOUNTS.BINGO_STAKES, amount: revenue - (prizesCredited - jackpotCredited) },
+        { account: ledgerService.ACCOUNTS.OPERATOR_FEES, amount: -feeAmount },
+        { account: ledgerService.ACCOUNTS.BINGO_JACKPOT, amount: jackpotPaid - jackpotCredited - reserveAmount }
+      ],
+      balanceTo: ledgerService.ACCOUNTS.BINGO_HOUSE
+    });
+
     await client.query('COMMIT');
   } catch (err) {
     await client.query('ROLLBACK');
@@ -724,6 +968,7 @@ async function resolveRoundOffChain(roundId) {
     bingoPrize,
     jackpotWon,
     jackpotPaid,
+    patternWinners,
     feeAmount,
     reserveAmount,
     resolutionTimeMs,
@@ -735,10 +980,11 @@ async function resolveRoundOffChain(roundId) {
  * Called by the scheduler after the drawing animation duration has elapsed.
  */
 async function finalizeDrawing(roundId) {
-  await pool.query(
-    `UPDATE bingo_rounds SET status = 'resolved', updated_at = NOW() WHERE round_id = $1 AND status = 'drawing'`,
-    [roundId]
-  );
+  await DrawStateMachine.apply('bingo', roundId, 'resolved', {
+    db: pool,
+    from: ['drawing'],
+    actor: 'bingo-scheduler',
+  });
   console.log(`[Bingo] Round #${roundId} finalized (drawing → resolved)`);
 }
 
@@ -855,6 +1101,8 @@ async function getOrphanRounds() {
 
 module.exports = {
   getConfig,
+  getRoomPatterns,
+  getRoomSettings,
   getRounds,
   getRoundDetail,
   getUserCards,
@@ -868,7 +1116,12 @@ module.exports = {
   createRoundOffChain,
   buyCardsOffChain,
   closeRoundOffChain,
+  cancelRoundOffChain,
   resolveRoundOffChain,
+  getRoundCardPrice,
+  countUserCards,
+  issueCards,
+  creditRefund,
   finalizeDrawing,
   generateCardNumbers,
   getJackpotBalance,
@@ -0,0 +1,384 @@
+/**
+ * Bingo Subscription Service
+ *
+ * Compra anticipada de cartones para las proximas rondas de una sala:
+ * - Pre-compra: N cartones en cada una de las proximas K rondas (rounds = K)
+ * - Suscripcion: N cartones cada ronda hasta cancelar o agotar el presupuesto
+ *
+ * El presupuesto se reserva (se descuenta del balance) al crear la suscripcion.
+ * Cuando el scheduler abre una ronda en la sala llama a materializeRound(), que
+ * emite los cartones contra la reserva. Al cancelar, completar o agotarse, el
+ * saldo no usado vuelve al balance por bingoService.creditRefund, la misma ruta
+ * que los reembolsos de rondas canceladas.
+ *
+ * Cada ronda emitida cuenta como apuesta para los limites de juego responsable;
+ * si el jugador ya no puede jugar (limite, enfriamiento o autoexclusion) la
+ * suscripcion se cancela y la reserva vuelve al balance.
+ *
+ * Solo modo off-chain: on-chain los cartones los compra la wallet en el contrato.
+ */
+
+const pool = require('../db');
+const bingoService = require('./bingoService');
+const gameConfigService = require('./gameConfigService');
+const ledgerService = require('./ledgerService');
+const responsibleGamingService = require('./responsibleGamingService');
+const { toCents, fromCents } = require('../utils/money');
+
+const NUM_ROOMS = 4;
+
+const SUBSCRIPTION_STATUS = {
+  ACTIVE: 'active',
+  COMPLETED: 'completed',
+  EXHAUSTED: 'exhausted',
+  CANCELLED: 'cancelled'
+};
+
+const STOP_REASONS = {
+  ROUNDS_COMPLETED: 'rounds_completed',
+  BUDGET_EXHAUSTED: 'budget_exhausted',
+  CANCELLED_BY_PLAYER: 'cancelled_by_player',
+  RESPONSIBLE_GAMING: 'responsible_gaming'
+};
+
+/**
+ * Formatear fila de bingo_subscriptions para la API
+ */
+function formatSubscription(row) {
+  const budget = parseFloat(row.budget);
+  const spent = parseFloat(row.spent) || 0;
+  const totalRounds = row.total_rounds !== null ? parseInt(row.total_rounds) : null;
+  const roundsPlayed = parseInt(row.rounds_played) || 0;
+  const active = row.status === SUBSCRIPTION_STATUS.ACTIVE;
+
+  return {
+    id: row.id,
+    roomNumber: row.room_number,
+    cardsPerRound: row.cards_per_round,
+    status: row.status,
+    stopReason: row.stop_reason || null,
+    totalRounds,
+    roundsPlayed,
+    remainingRounds: active && totalRounds !== null ? totalRounds - roundsPlayed : null,
+    budget,
+    spent,
+    reserved: active ? fromCents(toCents(budget) - toCents(spent)) : 0,
+    refunded: parseFloat(row.refunded) || 0,
+    lastRoundId: row.last_round_id || null,
+    createdAt: row.created_at,
+    finishedAt: row.finished_at || null
+  };
+}
+
+/**
+ * Cerrar una suscripcion y devolver la reserva no usada (dentro de la transaccion)
+ */
+async function finishSubscription(client, sub, status, reason) {
+  const refund = fromCents(toCents(sub.budget) - toCents(sub.spent));
+  await bingoService.creditRefund(client, sub.wallet_address, refund);
+
+  const result = await client.query(
+    `UPDATE bingo_subscriptions
+     SET status = $2, stop_reason = $3, refunded = $4,
+         finished_at = NOW(), updated_at = NOW()
+     WHERE id = $1
+     RETURNING *`,
+    [sub.id, status, reason, refund]
+  );
+
+  console.log(`[BingoSubscription] Subscription ${sub.id} finished: ${reason} (refund ${refund})`);
+  return result.rows[0];
+}
+
+/**
+ * Crear una pre-compra o suscripcion
+ * @param {string} walletAddress
+ * @param {Object} params - { roomNumber, cardsPerRound, rounds?, budget? }
+ *   rounds: pre-compra de K rondas (budget por defecto = K rondas al precio actual)
+ *   budget: sin rounds, suscripcion hasta cancelar o agotar el presupuesto
+ * @returns {Object} Suscripcion creada
+ */
+async function createSubscription(walletAddress, params) {
+  const wallet = walletAddress.toLowerCase();
+  const { roomNumber, cardsPerRound, rounds, budget } = params;
+
+  const room = Number(roomNumber);
+  if (!Number.isInteger(room) || room < 1 || room > NUM_ROOMS) {
+    throw new Error(`Sala invalida (1-${NUM_ROOMS})`);
+  }
+
+  const config = await gameConfigService.getBingoConfig(room);
+  if (config.room && !config.room.enabled) {
+    throw new Error(`La sala ${room} esta deshabilitada`);
+  }
+
+  const cards = Number(cardsPerRound);
+  if (!Number.isInteger(cards) || cards < 1 || cards > config.maxCardsPerUser) {
+    throw new Error(`Cartones por ronda invalido (1-${config.maxCardsPerUser})`);
+  }
+
+  let totalRounds = null;
+  if (rounds !== undefined && rounds !== null) {
+    totalRounds = Number(rounds);
+    if (!Number.isInteger(totalRounds) || totalRounds < 1 || totalRounds > config.subscriptionMaxRounds) {
+      throw new Error(`Numero de rondas invalido (1-${config.subscriptionMaxRounds})`);
+    }
+  }
+
+  const roundCostCents = toCents(config.cardPrice) * cards;
+  let budgetCents;
+  if (budget !== undefined && budget !== null) {
+    budgetCents = toCents(budget);
+    if (!Number.isFinite(budgetCents) || budgetCents < roundCostCents) {
+      throw new Error(`El presupuesto debe cubrir al menos una ronda (${fromCents(roundCostCents)})`);
+    }
+  } else if (totalRounds !== null) {
+    budgetCents = roundCostCents * totalRounds;
+  } else {
+    throw new Error('Indica rounds o budget');
+  }
+  const reserved = fromCents(budgetCents);
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    // Sin reservar fondos si el jugador esta en enfriamiento o autoexcluido
+    await responsibleGamingService.checkPlay(client, wallet, 0);
+
+    // Reservar fondos
+    const balResult = await client.query(
+      'UPDATE users SET balance = balance - $1, updated_at = NOW() WHERE wallet_address = $2 AND balance >= $1 RETURNING id',
+      [reserved, wallet]
+    );
+    if (balResult.rows.length === 0) {
+      throw new Error('Insufficient balance');
+    }
+
+    const result = await client.query(
+      `INSERT INTO bingo_subscriptions (
+        wallet_address, room_number, cards_per_round, total_rounds, budget, status
+      ) VALUES ($1, $2, $3, $4, $5, 'active')
+      RETURNING *`,
+      [wallet, room, cards, totalRounds, reserved]
+    );
+
+    // La reserva queda en la cuenta puente de Bingo hasta que se juega o se reembolsa
+    await ledgerService.transfer(client, {
+      type: ledgerService.ENTRY_TYPES.BET,
+      from: ledgerService.userAccount(balResult.rows[0].id),
+      to: ledgerService.ACCOUNTS.BINGO_STAKES,
+      amount: reserved,
+      referenceType: 'bingo_subscription',
+      referenceId: result.rows[0].id
+    });
+
+    await client.query('COMMIT');
+
+    const sub = result.rows[0];
+    console.log(`[BingoSubscription] Subscription ${sub.id} for ${wallet}: room ${room}, ${cards} card(s)/round, ${totalRounds ?? 'open-ended'} round(s), reserved ${reserved}`);
+    return formatSubscription(sub);
+
+  } catch (err) {
+    await client.query('ROLLBACK');
+    if (err.code === '23505') {
+      throw new Error(`Ya tienes una suscripcion activa en la sala ${room}. Cancelala primero.`);
+    }
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Emitir los cartones de una suscripcion en una ronda recien abierta
+ * @returns {number} cartones emitidos
+ */
+async function materializeSubscription(subscriptionId, roundId) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    // Mismo orden de locks que buyCardsOffChain: primero la ronda
+    const roundResult = await client.query(
+      'SELECT * FROM bingo_rounds WHERE round_id = $1 FOR UPDATE',
+      [roundId]
+    );
+    const round = roundResult.rows[0];
+    if (!round || round.status !== 'open') {
+      await client.query('ROLLBACK');
+      return 0;
+    }
+
+    const subResult = await client.query(
+      `SELECT * FROM bingo_subscriptions WHERE id = $1 AND status = 'active' FOR UPDATE`,
+      [subscriptionId]
+    );
+    const sub = subResult.rows[0];
+    if (!sub || sub.last_round_id === round.round_id) {
+      await client.query('ROLLBACK');
+      return 0;
+    }
+
+    const config = await gameConfigService.getBingoConfig(round.room_number);
+    const cardPrice = bingoService.getRoundCardPrice(round, config);
+    const remainingCents = toCents(sub.budget) - toCents(sub.spent);
+
+    const existingCount = await bingoService.countUserCards(client, round.round_id, sub.wallet_address);
+    const count = Math.min(sub.cards_per_round, Math.max(0, config.maxCardsPerUser - existingCount));
+    const costCents = toCents(cardPrice) * count;
+
+    // El jugador ya tiene el maximo de cartones en esta ronda: no consume una ronda
+    if (count === 0) {
+      await client.query(
+        'UPDATE bingo_subscriptions SET last_round_id = $2, updated_at = NOW() WHERE id = $1',
+        [sub.id, round.round_id]
+      );
+      await client.query('COMMIT');
+      return 0;
+    }
+
+    if (costCents > remainingCents) {
+      await finishSubscription(client, sub, SUBSCRIPTION_STATUS.EXHAUSTED, STOP_REASONS.BUDGET_EXHAUSTED);
+      await client.query('COMMIT');
+      return 0;
+    }
+
+    try {
+      // Ya pagada por adelantado: un aviso de sesion pendiente no la frena
+      await responsibleGamingService.checkPlay(client, sub.wallet_address, fromCents(costCents), { realityCheck: false });
+    } catch (err) {
+      if (err.code !== 'RESPONSIBLE_GAMING') throw err;
+      await finishSubscription(client, sub, SUBSCRIPTION_STATUS.CANCELLED, STOP_REASONS.RESPONSIBLE_GAMING);
+      await client.query('COMMIT');
+      return 0;
+    }
+
+    await bingoService.issueCards(client, round, sub.wallet_address, count, cardPrice, existingCount, sub.id);
+    await responsibleGamingService.recordWager(client, sub.wallet_address, 'bingo', fromCents(costCents), {
+      referenceType: 'bingo_round',
+      referenceId: round.round_id
+    });
+
+    const updated = await client.query(
+      `UPDATE bingo_subscriptions
+       SET spent = spent + $2, rounds_played = rounds_played + 1,
+           last_round_id = $3, updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [sub.id, fromCents(costCents), round.round_id]
+    );
+    const next = updated.rows[0];
+
+    // Terminar ya si no quedan rondas o la reserva no cubre la siguiente
+    const nextCostCents = toCents(cardPrice) * sub.cards_per_round;
+    if (next.total_rounds !== null && next.rounds_played >= next.total_rounds) {
+      await finishSubscription(client, next, SUBSCRIPTION_STATUS.COMPLETED, STOP_REASONS.ROUNDS_COMPLETED);
+    } else if (toCents(next.budget) - toCents(next.spent) < nextCostCents) {
+      await finishSubscription(client, next, SUBSCRIPTION_STATUS.EXHAUSTED, STOP_REASONS.BUDGET_EXHAUSTED);
+    }
+
+    await client.query('COMMIT');
+    return count;
+
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Emitir los cartones pre-comprados de todas las suscripciones activas de la
+ * sala de una ronda recien abierta. Llamado por el scheduler.
+ * Un error en una suscripcion no bloquea a las demas.
+ * @param {number} roundId
+ * @param {number} roomNumber
+ * @returns {Object} { subscriptions, cards }
+ */
+async function materializeRound(roundId, roomNumber) {
+  const subs = await pool.query(
+    `SELECT id FROM bingo_subscriptions
+     WHERE room_number = $1 AND status = 'active'
+     ORDER BY id ASC`,
+    [roomNumber]
+  );
+
+  let cards = 0;
+  let subscriptions = 0;
+  for (const { id } of subs.rows) {
+    try {
+      const issued = await materializeSubscription(id, roundId);
+      if (issued > 0) {
+        cards += issued;
+        subscriptions++;
+      }
+    } catch (err) {
+      console.error(`[BingoSubscription] Error materializing subscription ${id} in round #${roundId}:`, err.message);
+    }
+  }
+
+  if (subscriptions > 0) {
+    console.log(`[BingoSubscription] Round #${roundId} (room ${roomNumber}): ${cards} pre-purchased card(s) from ${subscriptions} subscription(s)`);
+  }
+  return { subscriptions, cards };
+}
+
+/**
+ * Cancelar una suscripcion y devolver la reserva no usada
+ */
+async function cancelSubscription(walletAddress, subscriptionId) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `SELECT * FROM bingo_subscriptions WHERE id = $1 AND wallet_address = $2 FOR UPDATE`,
+      [subscriptionId, walletAddress.toLowerCase()]
+    );
+    if (result.rows.length === 0) {
+      throw new Error('Suscripcion no encontrada');
+    }
+    if (result.rows[0].status !== SUBSCRIPTION_STATUS.ACTIVE) {
+      throw new Error('La suscripcion ya no esta activa');
+    }
+
+    const row = await finishSubscription(
+      client, result.rows[0], SUBSCRIPTION_STATUS.CANCELLED, STOP_REASONS.CANCELLED_BY_PLAYER
+    );
+
+    await client.query('COMMIT');
+    return formatSubscription(row);
+
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Suscripciones de un usuario (activas primero)
+ */
+async function getUserSubscriptions(walletAddress, limit = 20) {
+  const result = await pool.query(
+    `SELECT * FROM bingo_subscriptions
+     WHERE wallet_address = $1
+     ORDER BY (status = 'active') DESC, id DESC
+     LIMIT $2`,
+    [walletAddress.toLowerCase(), Math.min(parseInt(limit) || 20, 100)]
+  );
+  return result.rows.map(formatSubscription);
+}
+
+module.exports = {
+  SUBSCRIPTION_STATUS,
+  STOP_REASONS,
+  createSubscription,
+  materializeRound,
+  cancelSubscription,
+  getUserSubscriptions,
+  formatSubscription
+};
@@ -7,26 +7,28 @@
  *   3. resolveDrawBatch()         — if draw has >100 bets (paged resolution)
  *   4. cancelStaleDraw()          — if VRF times out after 2 hours
  *
- * Draw times come from BOLITA_DRAW_TIMES env var (UTC, e.g. "10:00,15:00,21:00").
- * Each time slot maps to a daily draw. The draw number format is YYYYMMDD-HHMM.
+ * Draw times come from the schedule store managed under /api/admin/bolita/schedule
+ * (bolitaScheduleService): weekday rules, one-off extra draws and blackout dates,
+ * all in UTC. The draw number format is YYYYMMDD-HHMM.
  *
  * Resolution for ≤100 bets is handled automatically by the contract's VRF callback.
  * The bolitaIndexer event service handles DB updates via on-chain events.
  * This scheduler handles only the operator-side contract calls.
  *
  * Environment variables:
- *   BOLITA_DRAW_TIMES      — Comma-separated UTC times (default: "10:00,15:00,21:00")
- *   BOLITA_OPEN_BEFORE_MIN — Minutes before close to open draw (default: 60)
+ *   BOLITA_DRAW_TIMES      — Initial schedule rules (seeded by the migration) and
+ *                            fallback if the store can't be read at startup
+ *   BOLITA_OPEN_BEFORE_MIN — Default minutes before close to open a draw (default: 1440)
  *   BOLITA_CONTRACT_ADDRESS — Required. If absent, scheduler does not start.
  */
 
 const pool = require('../db');
-const {
-  getBolitaContract,
-  AMOY_GAS_OVERRIDES,
-  resetNonceManager,
-  isNonceError,
-} = require('../chain/bolitaProvider');
+const { getBolitaContract } = require('../chain/bolitaProvider');
+const { txManager } = require('../chain/txManager');
+const realtimeService = require('./realtimeService');
+const bolitaScheduleService = require('./bolitaScheduleService');
+const prometheusService = require('./prometheusService');
+const DrawStateMachine = require('../workers/drawStateMachine');
 
 // ── Constants ──────────────────────────────────────────────────────────────
 
@@ -56,80 +58,40 @@ function sleep(ms) {
 }
 
 /**
- * Parse BOLITA_DRAW_TIMES into an array of { hour, minute }.
- * Input:  "10:00,15:00,21:00"
- * Output: [{ hour: 10, minute: 0 }, { hour: 15, minute: 0 }, { hour: 21, minute: 0 }]
+ * Move a draw through the Bolita state machine and publish the transition on
+ * the 'bolita' SSE channel. Only moves out of `from`: when the indexer got
+ * there first (or the draw moved on) nothing is written or published.
  */
-function parseDrawTimes() {
-  const raw = process.env.BOLITA_DRAW_TIMES || '10:00,15:00,21:00';
-  return raw.split(',').map(t => {
-    const [h, m] = t.trim().split(':').map(Number);
-    return { hour: h || 0, minute: m || 0 };
-  }).filter(({ hour, minute }) =>
-    Number.isFinite(hour) && Number.isFinite(minute) &&
-    hour >= 0 && hour < 24 && minute >= 0 && minute < 60
-  );
-}
-
-/**
- * Minutes before scheduledClose to open the draw.
- */
-function openBeforeMs() {
-  // Default: 24h (1440 min) — ensures all 3 daily draws are always open
-  // simultaneously so users can always see and bet on the next 3 draws.
-  // Override via BOLITA_OPEN_BEFORE_MIN env var.
-  const min = parseInt(process.env.BOLITA_OPEN_BEFORE_MIN) || 1440;
-  return Math.max(5, min) * 60 * 1000;
-}
-
-/**
- * Draw number string: YYYYMMDD-HHMM (UTC).
- * e.g., 2026-02-28 10:00 UTC → "20260228-1000"
- */
-function drawNumber(closeUtc) {
-  const y  = closeUtc.getUTCFullYear();
-  const mo = String(closeUtc.getUTCMonth() + 1).padStart(2, '0');
-  const d  = String(closeUtc.getUTCDate()).padStart(2, '0');
-  const h  = String(closeUtc.getUTCHours()).padStart(2, '0');
-  const mi = String(closeUtc.getUTCMinutes()).padStart(2, '0');
-  return `${y}${mo}${d}-${h}${mi}`;
+async function _setDrawStatus(drawId, status, drawNumber, { from, reason = null, txHash = null } = {}) {
+  const draw = await DrawStateMachine.apply('bolita', drawId, status, {
+    db: pool,
+    from,
+    actor: 'bolita-scheduler',
+    reason,
+    txHash,
+  });
+  if (draw) {
+    realtimeService.publish('bolita', 'draw.status', { drawId, drawNumber, status });
+  }
 }
 
 /**
- * All draw time slots in the next 72 hours, ordered by scheduledClose asc.
+ * All draw slots closing in the next 72 hours, ordered by scheduledClose asc.
+ * Slots come from the schedule store (bolitaScheduleService): weekday rules,
+ * extra draws and blackout dates, each with its own open lead time.
  * Horizon is 72h so that with a 24h open window all 3 upcoming draws are
  * always found and created in advance.
- * Each slot has: { drawNum, scheduledCloseUnix, openAtMs }
+ * Each slot has: { drawNum, scheduledCloseUnix, openAtMs, ... }
  */
-function upcomingSlots() {
-  const times    = parseDrawTimes();
-  const obMs     = openBeforeMs();
+async function upcomingSlots() {
+  const schedule = await bolitaScheduleService.getSchedule();
   const now      = Date.now();
-  const horizon  = now + 72 * 60 * 60 * 1000;
-  const slots    = [];
-
-  for (let dayOffset = -1; dayOffset <= 3; dayOffset++) {
-    for (const { hour, minute } of times) {
-      const d = new Date(now);
-      d.setUTCHours(hour, minute, 0, 0);
-      d.setUTCDate(d.getUTCDate() + dayOffset);
-
-      const closeMs = d.getTime();
-      // Skip draws that are already past (or <5min left — too late to open)
-      if (closeMs <= now + 5 * 60 * 1000) continue;
-      // Skip draws beyond the 48h horizon
-      if (closeMs > horizon) continue;
-
-      slots.push({
-        drawNum:            drawNumber(d),
-        scheduledCloseUnix: Math.floor(closeMs / 1000),
-        openAtMs:           closeMs - obMs,
-      });
-    }
-  }
-
-  slots.sort((a, b) => a.scheduledCloseUnix - b.scheduledCloseUnix);
-  return slots;
+  // Skip draws that are already past (or <5min left — too late to open)
+  return bolitaScheduleService.generateSlots(
+    schedule,
+    now + 5 * 60 * 1000 + 1,
+    now + 72 * 60 * 60 * 1000
+  );
 }
 
 // ── Contract call wrappers ─────────────────────────────────────────────────
@@ -144,19 +106,15 @@ function isDrawNotFound(err) {
 }
 
 /**
- * Send a transaction with nonce-error retry.
+ * Send a contract call through the operator tx manager (shared nonce
+ * tracking, gas bumping) and wait for the receipt.
  */
-async function sendTx(fn) {
-  try {
-    return await fn();
-  } catch (err) {
-    if (isNonceError(err)) {
-      console.warn('[BolitaScheduler] Nonce error — resetting NonceManager and retrying');
-      resetNonceManager();
-      return await fn();
-    }
-    throw err;
-  }
+async function sendTx(contract, method, args, reference = {}) {
+  const tx = await txManager.sendContract(contract, method, args, {
+    purpose: `bolita.${method}`,
+    ...reference,
+  });
+  return tx.wait();
 }
 
 // ── Scheduler steps ────────────────────────────────────────────────────────
@@ -169,9 +127,10 @@ async function _createAndOpen(num, scheduledCloseUnix) {
   const contract = getBolitaContract();
 
   // Step 1: createDraw
-  const createReceipt = await sendTx(() =>
-    contract.createDraw(num, scheduledCloseUnix, AMOY_GAS_OVERRIDES).then(tx => tx.wait())
-  );
+  const createReceipt = await sendTx(contract, 'createDraw', [num, scheduledCloseUnix], {
+    referenceType: 'draw_number',
+    referenceId: num,
+  });
 
   // Parse drawId from DrawCreated event
   let drawId = null;
@@ -199,17 +158,20 @@ async function _createAndOpen(num, scheduledCloseUnix) {
        draw_number = $2, scheduled_time = $3, updated_at = NOW()`,
     [drawId, num, scheduledClose]
   );
+  await DrawStateMachine.recordCreated('bolita', drawId, 'scheduled', {
+    db: pool,
+    actor: 'bolita-scheduler',
+    txHash: createReceipt.hash,
+  });
   console.log(`[BolitaScheduler] Draw #${drawId} "${num}" created (tx: ${createReceipt.hash})`);
+  realtimeService.publish('bolita', 'draw.status', {
+    drawId, drawNumber: num, status: 'scheduled', scheduledTime: scheduledClose.toISOString()
+  });
 
   // Step 2: openDraw
   try {
-    await sendTx(() =>
-      contract.openDraw(drawId, AMOY_GAS_OVERRIDES).then(tx => tx.wait())
-    );
-    await pool.query(
-      `UPDATE draws SET status = 'open', updated_at = NOW() WHERE id = $1`,
-      [drawId]
-    );
+    const openReceipt = await sendTx(contract, 'openDraw', [drawId], { referenceType: 'draw', referenceId: drawId });
+    await _setDrawStatus(drawId, 'open', num, { from: ['scheduled'], txHash: openReceipt.hash });
     console.log(`[BolitaScheduler] Draw #${drawId} "${num}" open — accepting bets until ${scheduledClose.toISOString()}`);
   } catch (err) {
     console.error(`[BolitaScheduler] openDraw(${drawId}) failed: ${err.message} — draw stays in 'scheduled'`);
@@ -227,7 +189,7 @@ async function _createAndOpen(num, scheduledCloseUnix) {
  * in _createAndOpen() doesn't hit the unique constraint.
  */
 async function _ensureDrawsExist() {
-  const slots = upcomingSlots();
+  const slots = await upcomingSlots();
   const now   = Date.now();
 
   let slotsReady = 0;
@@ -285,13 +247,8 @@ async function _openStuckScheduledDraws() {
     console.log(`[BolitaScheduler] Opening stuck scheduled draw #${draw.id} "${draw.draw_number}"`);
     try {
       const contract = getBolitaContract();
-      await sendTx(() =>
-        contract.openDraw(draw.id, AMOY_GAS_OVERRIDES).then(tx => tx.wait())
-      );
-      await pool.query(
-        `UPDATE draws SET status = 'open', updated_at = NOW() WHERE id = $1`,
-        [draw.id]
-      );
+      const receipt = await sendTx(contract, 'openDraw', [draw.id], { referenceType: 'draw', referenceId: draw.id });
+      await _setDrawStatus(draw.id, 'open', draw.draw_number, { from: ['scheduled'], txHash: receipt.hash });
       console.log(`[BolitaScheduler] Draw #${draw.id} opened`);
     } catch (err) {
       console.error(`[BolitaScheduler] openDraw(${draw.id}) failed: ${err.message}`);
@@ -314,21 +271,13 @@ async function _closeExpiredDraws() {
     console.log(`[BolitaScheduler] Closing draw #${draw.id} "${draw.draw_number}" — requesting VRF`);
     try {
       const contract = getBolitaContract();
-      await sendTx(() =>
-        contract.closeDraw(draw.id, AMOY_GAS_OVERRIDES).then(tx => tx.wait())
-      );
-      await pool.query(
-        `UPDATE draws SET status = 'vrf_pending', updated_at = NOW() WHERE id = $1`,
-        [draw.id]
-      );
+      const receipt = await sendTx(contract, 'closeDraw', [draw.id], { referenceType: 'draw', referenceId: draw.id });
+      await _setDrawStatus(draw.id, 'vrf_pending', draw.draw_number, { from: ['open'], txHash: receipt.hash });
       console.log(`[BolitaScheduler] Draw #${draw.id} closed — VRF requested`);
     } catch (err) {
       if (isDrawNotFound(err)) {
         console.warn(`[BolitaScheduler] closeDraw(${draw.id}): DrawNotFound on-chain — marking cancelled in DB`);
-        await pool.query(
-          `UPDATE draws SET status = 'cancelled', updated_at = NOW() WHERE id = $1`,
-          [draw.id]
-        );
+        await _setDrawStatus(draw.id, 'cancelled', draw.draw_number, { from: ['open'], reason: 'DrawNotFound on-chain' });
       } else {
         console.error(`[BolitaScheduler] closeDraw(${draw.id}) failed: ${err.message}`);
       }
@@ -359,9 +308,10 @@ async function _resolveBatchDraws() {
     console.log(`[BolitaScheduler] Draw #${draw.id} — VRF fulfilled, calling resolveDrawBatch`);
     try {
       const contract = getBolitaContract();
-      await sendTx(() =>
-        contract.resolveDrawBatch(draw.id, RESOLVE_BATCH_SIZE, AMOY_GAS_OVERRIDES).then(tx => tx.wait())
-      );
+      await sendTx(contract, 'resolveDrawBatch', [draw.id, RESOLVE_BATCH_SIZE], {
+        referenceType: 'draw',
+        referenceId: draw.id,
+      });
       console.log(`[BolitaScheduler] Draw #${draw.id} resolveDrawBatch sent — indexer will update status`);
     } catch (err) {
       // If the draw is already fully resolved the call may revert — that's fine.
@@ -389,13 +339,12 @@ async function _cancelStaleDraws() {
     console.log(`[BolitaScheduler] Draw #${draw.id} "${draw.draw_number}" VRF stale (>${VRF_STALE_MINUTES}min) — cancelling`);
     try {
       const contract = getBolitaContract();
-      await sendTx(() =>
-        contract.cancelStaleDraw(draw.id, AMOY_GAS_OVERRIDES).then(tx => tx.wait())
-      );
-      await pool.query(
-        `UPDATE draws SET status = 'cancelled', updated_at = NOW() WHERE id = $1`,
-        [draw.id]
-      );
+      const receipt = await sendTx(contract, 'cancelStaleDraw', [draw.id], { referenceType: 'draw', referenceId: draw.id });
+      await _setDrawStatus(draw.id, 'cancelled', draw.draw_number, {
+        from: ['vrf_pending'],
+        reason: `VRF stale (>${VRF_STALE_MINUTES}min)`,
+        txHash: receipt.hash,
+      });
       console.log(`[BolitaScheduler] Draw #${draw.id} stale-VRF cancelled`);
     } catch (err) {
       console.error(`[BolitaScheduler] cancelStaleDraw(${draw.id}) failed: ${err.message}`);
@@ -415,13 +364,16 @@ async function _tick() {
   }
 
   const tickStart = Date.now();
+  const endTimer = prometheusService.startTimer('bolita');
   try {
     await _ensureDrawsExist();
     await _openStuckScheduledDraws();
     await _closeExpiredDraws();
     await _resolveBatchDraws();
     await _cancelStaleDraws();
+    endTimer('ok');
   } catch (err) {
+    endTimer('error');
     console.error(`[BolitaScheduler] Poll tick error (tick #${_tickCount}, ${Date.now() - tickStart}ms): ${err.message}`);
   }
 
@@ -464,10 +416,10 @@ async function _cleanupOrphanDraws() {
       if (Number(onChain.id) === 0) {
         // Draw in DB but not on-chain — orphan from old off-chain scheduler
         console.log(`[BolitaScheduler] Cleanup: cancelling orphan draw "${row.draw_number}" (db_id=${row.id}) — not on-chain`);
-        await pool.query(
-          `UPDATE draws SET status = 'cancelled', updated_at = NOW() WHERE id = $1`,
-          [row.id]
-        );
+        await _setDrawStatus(row.id, 'cancelled', row.draw_number, {
+          from: ['open', 'scheduled'],
+          reason: 'Orphan draw, not on-chain',
+        });
       }
     } catch (err) {
       // RPC error — skip this draw, leave it for next startup
@@ -496,21 +448,13 @@ async function _recoverOnStartup() {
     console.log(`[BolitaScheduler] Recovery: closing expired open draw #${draw.id} "${draw.draw_number}"`);
     try {
       const contract = getBolitaContract();
-      await sendTx(() =>
-        contract.closeDraw(draw.id, AMOY_GAS_OVERRIDES).then(tx => tx.wait())
-      );
-      await pool.query(
-        `UPDATE draws SET status = 'vrf_pending', updated_at = NOW() WHERE id = $1`,
-        [draw.id]
-      );
+      const receipt = await sendTx(contract, 'closeDraw', [draw.id], { referenceType: 'draw', referenceId: draw.id });
+      await _setDrawStatus(draw.id, 'vrf_pending', draw.draw_number, { from: ['open'], txHash: receipt.hash });
       console.log(`[BolitaScheduler] Recovery: draw #${draw.id} closed — VRF requested`);
     } catch (err) {
       if (isDrawNotFound(err)) {
         console.warn(`[BolitaScheduler] Recovery: draw #${draw.id} DrawNotFound on-chain — marking cancelled in DB`);
-        await pool.query(
-          `UPDATE draws SET status = 'cancelled', updated_at = NOW() WHERE id = $1`,
-          [draw.id]
-        );
+        await _setDrawStatus(draw.id, 'cancelled', draw.draw_number, { from: ['open'], reason: 'DrawNotFound on-chain' });
       } else {
         console.error(`[BolitaScheduler] Recovery: closeDraw(${draw.id}) failed: ${err.message}`);
       }
@@ -533,12 +477,11 @@ async function start() {
   _running = true;
   _stopRequested = false;
 
-  const times = parseDrawTimes();
-  const labels = times.map(t =>
-    `${String(t.hour).padStart(2, '0')}:${String(t.minute).padStart(2, '0')}`
-  ).join(', ');
-  const openMin = Math.round(openBeforeMs() / 60000);
-  console.log(`[BolitaScheduler] Starting — draw times (UTC): ${labels} | open window: ${openMin} min before close`);
+  const schedule = await bolitaScheduleService.getSchedule();
+  const activeRules = schedule.rules.filter(r => r.enabled);
+  const labels = activeRules.map(r => `${r.drawTime} [${r.weekdays.join('')}]`).join(', ');
+  const openMin = Math.round(bolitaScheduleService.openBeforeMs() / 60000);
+  console.log(`[BolitaScheduler] Starting — schedule (${schedule.source}, UTC): ${labels || 'no rules'} | ${schedule.extraDraws.length} extra, ${schedule.blackouts.length} blackout(s) | default open window: ${openMin} min before close`);
 
   try {
     await _cleanupOrphanDraws();
@@ -1,24 +1,33 @@
 /**
  * La Bolita Event Indexer
  *
- * Polls LaBolitaGame.sol contract events via getLogs and indexes them in PostgreSQL
- * for fast API queries and admin dashboard.
- *
- * Uses getLogs polling (not contract.on / eth_newFilter) — Polygon Amoy RPC
- * does not support eth_getFilterChanges.
+ * Indexes LaBolitaGame.sol contract events in PostgreSQL for fast API
+ * queries and admin dashboard. Polling, confirmation depth and reorg
+ * rollback live in ChainIndexer.
  *
  * Events indexed:
  *   - BetPlaced → bets table
- *   - DrawCreated/Opened/Closed → draws table
+ *   - DrawCreated/Opened/Closed → draws table (DrawClosed → 'vrf_pending')
  *   - DrawResolved → draws table + bet payouts
  *   - DrawCancelled → draws table + refunds
- *   - BetPaid/BetUnpaid/BetRefunded → bets table
+ *   - BetResolved → bets table
+ *
+ * Draw status changes go through the Bolita state machine (DrawStateMachine),
+ * which records each transition with the event's tx hash. Every write of an
+ * event runs on the indexer's transaction client; realtime pushes and
+ * referral commissions wait until it commits.
+ *
+ * On a reorg each event is reverted by stepping its rows back to the state
+ * the event moved them out of; the canonical replay re-applies whatever
+ * survived.
  */
 
 const { ethers } = require('ethers');
-const { getClient, query } = require('../config/database');
-const { loadIndexerBlock, saveIndexerBlock } = require('../db/indexerState');
-const { calculateBetCommission } = require('./referralAdminService');
+const { query } = require('../config/database');
+const { ChainIndexer } = require('./chainIndexer');
+const { calculateBetCommission, reverseBetCommission } = require('./referralAdminService');
+const realtimeService = require('./realtimeService');
+const DrawStateMachine = require('../workers/drawStateMachine');
 
 const ABI = [
   'event DrawCreated(uint256 indexed drawId, string drawNumber, uint256 scheduledTime)',
@@ -32,144 +41,110 @@ const ABI = [
 
 const TOKEN_DECIMALS = 6;
 const BET_TYPES = ['fijos', 'centenas', 'parles'];
-const DRAW_STATUSES = ['created', 'open', 'closed', 'vrf_pending', 'vrf_fulfilled', 'resolved', 'cancelled'];
+const ACTOR = 'bolita-indexer';
+const EVENTS = [
+  'DrawCreated', 'DrawOpened', 'DrawClosed',
+  'DrawResolved', 'DrawCancelled',
+  'BetPlaced', 'BetResolved'
+];
 
-class BolitaIndexer {
+class BolitaIndexer extends ChainIndexer {
   constructor() {
-    this.contract = null;
-    this.provider = null;
-    this.isRunning = false;
-    this.pollTimer = null;
-    this.lastBlockProcessed = 0;
-    this.pollingInterval = 12000; // 12s
+    super({
+      name: 'bolita',
+      tag: 'BolitaIndexer',
+      abi: ABI,
+      addressEnv: 'BOLITA_CONTRACT_ADDRESS',
+      events: EVENTS,
+    });
   }
 
-  /**
-   * Initialize the indexer
-   */
-  async init() {
-    const contractAddress = process.env.BOLITA_CONTRACT_ADDRESS;
-    const rpcUrl = process.env.POLYGON_RPC_URL || process.env.RPC_URL;
-
-    if (!contractAddress || !rpcUrl) {
-      console.log('[BolitaIndexer] Missing BOLITA_CONTRACT_ADDRESS or RPC_URL, skipping initialization');
-      return false;
-    }
-
-    try {
-      this.provider = new ethers.JsonRpcProvider(rpcUrl);
-      this.contract = new ethers.Contract(contractAddress, ABI, this.provider);
-      console.log(`[BolitaIndexer] Initialized for contract ${contractAddress}`);
-      return true;
-    } catch (error) {
-      console.error('[BolitaIndexer] Failed to initialize:', error.message);
-      return false;
-    }
+  async applyEvent(parsed, log, client, afterCommit) {
+    const { name, args } = parsed;
+    const txHash = log?.transactionHash || null;
+    const tx = { db: client, afterCommit };
+    if (name === 'DrawCreated')
+      await this._indexDrawCreated(args[0], args[1], args[2], txHash, tx);
+    else if (name === 'DrawOpened')
+      await this._updateDrawStatus(args[0], 'open', txHash, tx);
+    else if (name === 'DrawClosed')
+      await this._updateDrawStatus(args[0], 'vrf_pending', txHash, tx);
+    else if (name === 'DrawResolved')
+      await this._indexDrawResolved(args[0], args[1], args[2], txHash, tx);
+    else if (name === 'DrawCancelled')
+      await this._indexDrawCancelled(args[0], args[1], txHash, tx);
+    else if (name === 'BetPlaced')
+      await this._indexBetPlaced(args[0], args[1], args[2], args[3], args[4], args[5], tx);
+    else if (name === 'BetResolved')
+      await this._indexBetResolved(args[0], args[1], args[2], args[3], tx);
   }
 
-  /**
-   * Start polling for events
-   */
-  async start() {
-    if (!this.contract) {
-      const ok = await this.init();
-      if (!ok) return;
-    }
-
-    if (this.isRunning) return;
-    this.isRunning = true;
-
-    console.log('[BolitaIndexer] Starting event polling (getLogs)...');
-
-    // Load last processed block from DB so we don't miss events during redeploys.
-    // Fall back to (currentBlock - 200) to catch recent events on first run.
-    try {
-      const saved = await loadIndexerBlock('bolita');
-      if (saved !== null) {
-        this.lastBlockProcessed = saved;
-        console.log(`[BolitaIndexer] Resuming from block ${saved} (DB state)`);
-      } else {
-        const currentBlock = await this.provider.getBlockNumber();
-        this.lastBlockProcessed = Math.max(0, currentBlock - 200);
-        console.log(`[BolitaIndexer] No DB state — starting from block ${this.lastBlockProcessed}`);
+  async revertEvent(event) {
+    const { eventName, args } = event;
+    const id = Number(args[0]);
+
+    if (eventName === 'DrawCreated') {
+      // Only drop the row if nothing else references it yet
+      await query(`
+        DELETE FROM draws
+        WHERE id = $1 AND status = 'scheduled'
+          AND NOT EXISTS (SELECT 1 FROM bets WHERE draw_id = $1)
+      `, [id]);
+    } else if (eventName === 'DrawOpened') {
+      await this._revertDrawStatus(id, ['open'], 'scheduled', event);
+    } else if (eventName === 'DrawClosed') {
+      await this._revertDrawStatus(id, ['closed', 'vrf_pending'], 'open', event);
+    } else if (eventName === 'DrawResolved') {
+      await this._revertDrawStatus(id, ['completed'], 'vrf_pending', event, {
+        total_paid_out: 0,
+        completed_at: null,
+      });
+    } else if (eventName === 'DrawCancelled') {
+      await query(`
+        UPDATE bets SET status = 'pending', updated_at = NOW()
+        WHERE draw_id = $1 AND status = 'refunded'
+      `, [id]);
+      await this._revertDrawStatus(id, ['cancelled'], 'open', event);
+    } else if (eventName === 'BetPlaced') {
+      const removed = await query(`
+        DELETE FROM bets
+        WHERE chain_bet_index = $1 AND draw_id = $2
+        RETURNING id
+      `, [id, Number(args[1])]);
+      for (const row of removed.rows) {
+        await reverseBetCommission(row.id, 'bolita');
       }
-    } catch (_) {
-      this.lastBlockProcessed = 0;
+    } else if (eventName === 'BetResolved') {
+      await query(`
+        UPDATE bets SET
+          status = 'pending',
+          payout_amount = 0,
+          updated_at = NOW()
+        WHERE chain_bet_index = $1
+      `, [id]);
     }
 
-    this._schedulePoll();
-
-    console.log('[BolitaIndexer] Event polling active');
+    console.log(`[BolitaIndexer] Reverted ${eventName} #${id} (tx ${event.txHash})`);
   }
 
-  /**
-   * Stop polling
-   */
-  stop() {
-    this.isRunning = false;
-    if (this.pollTimer) { clearTimeout(this.pollTimer); this.pollTimer = null; }
-    console.log('[BolitaIndexer] Stopped');
-  }
-
-  _schedulePoll() {
-    if (!this.isRunning) return;
-    this.pollTimer = setTimeout(() => this._poll(), this.pollingInterval);
-  }
-
-  async _poll() {
-    if (!this.isRunning) return;
-    try {
-      const currentBlock = await this.provider.getBlockNumber();
-      if (currentBlock > this.lastBlockProcessed) {
-        const logs = await this.provider.getLogs({
-          address: process.env.BOLITA_CONTRACT_ADDRESS,
-          fromBlock: this.lastBlockProcessed + 1,
-          toBlock: currentBlock,
-        });
-        for (const log of logs) {
-          try {
-            const parsed = this.contract.interface.parseLog(log);
-            if (parsed) await this._dispatch(parsed);
-          } catch (_) { /* skip non-matching logs */ }
-        }
-        this.lastBlockProcessed = currentBlock;
-        await saveIndexerBlock('bolita', currentBlock);
-      }
-    } catch (err) {
-      console.error('[BolitaIndexer] Poll error:', err.message);
-    }
-    this._schedulePoll();
-  }
-
-  async _dispatch(parsed) {
-    const { name, args } = parsed;
-    try {
-      if (name === 'DrawCreated')
-        await this._indexDrawCreated(args[0], args[1], args[2]);
-      else if (name === 'DrawOpened')
-        await this._updateDrawStatus(args[0], 'open');
-      else if (name === 'DrawClosed')
-        await this._updateDrawStatus(args[0], 'closed');
-      else if (name === 'DrawResolved')
-        await this._indexDrawResolved(args[0], args[1], args[2]);
-      else if (name === 'DrawCancelled')
-        await this._indexDrawCancelled(args[0], args[1]);
-      else if (name === 'BetPlaced')
-        await this._indexBetPlaced(args[0], args[1], args[2], args[3], args[4], args[5]);
-      else if (name === 'BetResolved')
-        await this._indexBetResolved(args[0], args[1], args[2], args[3]);
-    } catch (err) {
-      console.error(`[BolitaIndexer] Error dispatching ${name}:`, err.message);
-    }
+  async _revertDrawStatus(drawId, fromStatuses, toStatus, event, set = {}) {
+    await DrawStateMachine.apply('bolita', drawId, toStatus, {
+      from: fromStatuses,
+      revert: true,
+      actor: ACTOR,
+      reason: `Reorg: ${event.eventName} reverted`,
+      txHash: event.txHash,
+      set,
+    });
   }
 
   // ── Internal indexing methods ──
 
-  async _indexDrawCreated(drawId, drawNumber, scheduledTime) {
+  async _indexDrawCreated(drawId, drawNumber, scheduledTime, txHash, { db }) {
     const id = Number(drawId);
     const time = new Date(Number(scheduledTime) * 1000);
 
-    await query(`
+    await db.query(`
       INSERT INTO draws (id, draw_number, scheduled_time, status, created_at, updated_at)
       VALUES ($1, $2, $3, 'scheduled', NOW(), NOW())
       ON CONFLICT (id) DO UPDATE SET
@@ -177,55 +152,61 @@ class BolitaIndexer {
         scheduled_time = $3,
         updated_at = NOW()
     `, [id, drawNumber, time]);
+    await DrawStateMachine.recordCreated('bolita', id, 'scheduled', { db, actor: ACTOR, txHash });
 
     console.log(`[BolitaIndexer] DrawCreated #${id}: ${drawNumber} at ${time.toISOString()}`);
   }
 
-  async _updateDrawStatus(drawId, status) {
+  async _updateDrawStatus(drawId, status, txHash, { db, afterCommit }) {
     const id = Number(drawId);
-    await query(`
-      UPDATE draws SET status = $1, updated_at = NOW()
-      WHERE id = $2
-    `, [status, id]);
+    const draw = await DrawStateMachine.apply('bolita', id, status, { db, actor: ACTOR, txHash });
+    if (!draw) return;
 
     console.log(`[BolitaIndexer] Draw #${id} status -> ${status}`);
+    afterCommit(() => realtimeService.publish('bolita', 'draw.status', { drawId: id, drawNumber: draw.draw_number, status }));
   }
 
-  async _indexDrawResolved(drawId, winningNumber, totalPaidOut) {
+  async _indexDrawResolved(drawId, winningNumber, totalPaidOut, txHash, { db, afterCommit }) {
     const id = Number(drawId);
     const paidOut = parseFloat(ethers.formatUnits(totalPaidOut, TOKEN_DECIMALS));
 
-    await query(`
-      UPDATE draws SET
-        status = 'completed',
-        total_paid_out = $1,
-        completed_at = NOW(),
-        updated_at = NOW()
-      WHERE id = $2
-    `, [paidOut, id]);
+    await DrawStateMachine.apply('bolita', id, 'completed', {
+      db,
+      actor: ACTOR,
+      txHash,
+      details: { winningNumber: winningNumber.toString(), totalPaidOut: paidOut },
+      set: { total_paid_out: paidOut, completed_at: new Date() },
+    });
 
     console.log(`[BolitaIndexer] DrawResolved #${id}: paid out ${paidOut} USDT`);
+    afterCommit(() => realtimeService.publish('bolita', 'draw.status', {
+      drawId: id, status: 'completed', winningNumber: winningNumber.toString(), totalPaidOut: paidOut
+    }));
   }
 
-  async _indexDrawCancelled(drawId, refundedAmount) {
+  async _indexDrawCancelled(drawId, refundedAmount, txHash, { db, afterCommit }) {
     const id = Number(drawId);
     const refunded = parseFloat(ethers.formatUnits(refundedAmount, TOKEN_DECIMALS));
 
-    await query(`
-      UPDATE draws SET status = 'cancelled', updated_at = NOW()
-      WHERE id = $1
-    `, [id]);
+    // Throws on an illegal transition, so a settled draw never gets its bets refunded
+    await DrawStateMachine.apply('bolita', id, 'cancelled', {
+      db,
+      actor: ACTOR,
+      txHash,
+      details: { refunded },
+    });
 
     // Mark all pending bets as refunded
-    await query(`
+    await db.query(`
       UPDATE bets SET status = 'refunded', updated_at = NOW()
       WHERE draw_id = $1 AND status = 'pending'
     `, [id]);
 
     console.log(`[BolitaIndexer] DrawCancelled #${id}: refunded ${refunded} USDT`);
+    afterCommit(() => realtimeService.publish('bolita', 'draw.status', { drawId: id, status: 'cancelled' }));
   }
 
-  async _indexBetPlaced(betId, drawId, player, betType, number, amount) {
+  async _indexBetPlaced(betId, drawId, player, betType, number, amount, { db, afterCommit }) {
     const betIdNum = Number(betId);
     const drawIdNum = Number(drawId);
     const gameType = BET_TYPES[Number(betType)] || 'fijos';
@@ -237,7 +218,7 @@ class BolitaIndexer {
     const userAddr = player.toLowerCase();
 
     // Look up user ID
-    const userResult = await query(
+    const userResult = await db.query(
       'SELECT id FROM users WHERE wallet_address = $1',
       [userAddr]
     );
@@ -253,7 +234,7 @@ class BolitaIndexer {
     const multiplier = multipliers[gameType] || 65;
     const potentialPayout = Math.round(amountUsdt * multiplier * 100) / 100;
 
-    const insertResult = await query(`
+    const insertResult = await db.query(`
       INSERT INTO bets (
         user_id, draw_id, game_type, bet_number, amount,
         potential_payout, multiplier, status, chain_bet_index, created_at
@@ -262,20 +243,23 @@ class BolitaIndexer {
       RETURNING id
     `, [userId, drawIdNum, gameType, numStr, amountUsdt, potentialPayout, multiplier, betIdNum]);
 
-    if (insertResult.rows[0]?.id) {
-      // Comision de referido (fire-and-forget, no bloquea el indexer)
-      calculateBetCommission(insertResult.rows[0].id, userId, amountUsdt).catch(() => {});
+    const insertedId = insertResult.rows[0]?.id;
+    if (insertedId) {
+      // Comision de referido una vez confirmada la apuesta (no bloquea el indexer)
+      afterCommit(() => {
+        calculateBetCommission(insertedId, userId, amountUsdt).catch(() => {});
+      });
     }
 
     console.log(`[BolitaIndexer] BetPlaced: betId=${betIdNum} draw=${drawIdNum} user=${userAddr} ${gameType}:${numStr} ${amountUsdt} USDT`);
   }
 
-  async _indexBetResolved(betId, player, won, payout) {
+  async _indexBetResolved(betId, player, won, payout, { db }) {
     const betIdNum = Number(betId);
     const payoutUsdt = parseFloat(ethers.formatUnits(payout, TOKEN_DECIMALS));
     const status = won ? 'won' : 'lost';
 
-    await query(`
+    await db.query(`
       UPDATE bets SET
         status = $1,
         payout_amount = $2,
@@ -285,70 +269,6 @@ class BolitaIndexer {
 
     console.log(`[BolitaIndexer] BetResolved: betId=${betIdNum} won=${won} payout=${payoutUsdt} USDT`);
   }
-
-  /**
-   * Backfill historical events from a starting block
-   */
-  async backfill(fromBlock = 0) {
-    if (!this.contract) {
-      const ok = await this.init();
-      if (!ok) return;
-    }
-
-    console.log(`[BolitaIndexer] Backfilling from block ${fromBlock}...`);
-
-    const events = [
-      'DrawCreated', 'DrawOpened', 'DrawClosed',
-      'DrawResolved', 'DrawCancelled',
-      'BetPlaced', 'BetResolved'
-    ];
-
-    for (const eventName of events) {
-      try {
-        const filter = this.contract.filters[eventName]();
-        const logs = await this.contract.queryFilter(filter, fromBlock);
-        console.log(`[BolitaIndexer] Found ${logs.length} ${eventName} events`);
-
-        for (const log of logs) {
-          const parsed = this.contract.interface.parseLog({
-            topics: log.topics,
-            data: log.data
-          });
-
-          switch (eventName) {
-            case 'DrawCreated':
-              await this._indexDrawCreated(parsed.args[0], parsed.args[1], parsed.args[2]);
-              break;
-            case 'DrawOpened':
-              await this._updateDrawStatus(parsed.args[0], 'open');
-              break;
-            case 'DrawClosed':
-              await this._updateDrawStatus(parsed.args[0], 'closed');
-              break;
-            case 'DrawResolved':
-              await this._indexDrawResolved(parsed.args[0], parsed.args[1], parsed.args[2]);
-              break;
-            case 'DrawCancelled':
-              await this._indexDrawCancelled(parsed.args[0], parsed.args[1]);
-              break;
-            case 'BetPlaced':
-              await this._indexBetPlaced(
-                parsed.args[0], parsed.args[1], parsed.args[2],
-                parsed.args[3], parsed.args[4], parsed.args[5]
-              );
-              break;
-            case 'BetResolved':
-              await this._indexBetResolved(parsed.args[0], parsed.args[1], parsed.args[2], parsed.args[3]);
-              break;
-          }
-        }
-      } catch (err) {
-        console.error(`[BolitaIndexer] Error backfilling ${eventName}:`, err.message);
-      }
-    }
-
-    console.log('[BolitaIndexer] Backfill complete');
-  }
 }
 
 // Singleton
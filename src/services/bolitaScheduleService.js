@@ -0,0 +1,491 @@
+/**
+ * Bolita Schedule Service
+ *
+ * Calendario de sorteos de La Bolita (todas las horas en UTC):
+ * - Reglas recurrentes: hora fija en unos dias de la semana
+ * - Sorteos extra: fecha/hora puntual (festivos, especiales). Ignoran los bloqueos
+ * - Bloqueos: fechas sin los sorteos de las reglas
+ * Cada regla o sorteo extra puede fijar su propia antelacion de apertura;
+ * si no, se usa BOLITA_OPEN_BEFORE_MIN.
+ *
+ * bolitaDrawScheduler genera los slots con generateSlots() en cada tick.
+ * Un cambio solo afecta a sorteos que aun no se crearon on-chain: los ya
+ * creados (ver "existing" en la vista previa) siguen su curso.
+ */
+
+const pool = require('../db');
+
+const CACHE_TTL_MS = 60 * 1000;
+const DEFAULT_DRAW_TIMES = '10:00,15:00,21:00';
+const ALL_WEEKDAYS = [0, 1, 2, 3, 4, 5, 6];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SCHEDULE_LIMITS = {
+  minOpenBeforeMinutes: 5,
+  // Igual al horizonte del scheduler: un sorteo no puede abrir antes de generarse
+  maxOpenBeforeMinutes: 72 * 60,
+  maxPreviewDays: 31,
+  maxLabelLength: 100
+};
+
+const DRAW_TIME_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+let scheduleCache = null;
+let scheduleCacheTimestamp = 0;
+
+// =================================
+// HELPERS
+// =================================
+
+/**
+ * Antelacion por defecto (BOLITA_OPEN_BEFORE_MIN, min 5 min)
+ */
+function openBeforeMs() {
+  // Default: 24h (1440 min) — ensures all 3 daily draws are always open
+  // simultaneously so users can always see and bet on the next 3 draws.
+  const min = parseInt(process.env.BOLITA_OPEN_BEFORE_MIN) || 1440;
+  return Math.max(5, min) * 60 * 1000;
+}
+
+/**
+ * Draw number string: YYYYMMDD-HHMM (UTC).
+ * e.g., 2026-02-28 10:00 UTC → "20260228-1000"
+ */
+function drawNumber(closeUtc) {
+  const y  = closeUtc.getUTCFullYear();
+  const mo = String(closeUtc.getUTCMonth() + 1).padStart(2, '0');
+  const d  = String(closeUtc.getUTCDate()).padStart(2, '0');
+  const h  = String(closeUtc.getUTCHours()).padStart(2, '0');
+  const mi = String(closeUtc.getUTCMinutes()).padStart(2, '0');
+  return `${y}${mo}${d}-${h}${mi}`;
+}
+
+/**
+ * YYYY-MM-DD (UTC)
+ */
+function utcDateString(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Calendario equivalente a BOLITA_DRAW_TIMES (si la BD no responde al arrancar)
+ */
+function envSchedule() {
+  const raw = process.env.BOLITA_DRAW_TIMES || DEFAULT_DRAW_TIMES;
+  const rules = raw.split(',')
+    .map(t => t.trim())
+    .filter(t => DRAW_TIME_REGEX.test(t))
+    .map((drawTime, i) => ({
+      id: null,
+      weekdays: ALL_WEEKDAYS,
+      drawTime,
+      openBeforeMinutes: null,
+      enabled: true,
+      label: `env ${i + 1}`
+    }));
+  return { rules, extraDraws: [], blackouts: [], source: 'env' };
+}
+
+function formatRule(row) {
+  return {
+    id: row.id,
+    weekdays: (row.weekdays || []).map(Number),
+    drawTime: row.draw_time,
+    openBeforeMinutes: row.open_before_minutes,
+    enabled: row.enabled,
+    label: row.label,
+    updatedAt: row.updated_at
+  };
+}
+
+function formatExtraDraw(row) {
+  return {
+    id: row.id,
+    drawAt: new Date(row.draw_at).toISOString(),
+    openBeforeMinutes: row.open_before_minutes,
+    label: row.label
+  };
+}
+
+function formatBlackout(row) {
+  return {
+    id: row.id,
+    date: row.blackout_date,
+    reason: row.reason
+  };
+}
+
+function invalidateScheduleCache() {
+  scheduleCache = null;
+  scheduleCacheTimestamp = 0;
+}
+
+// =================================
+// LECTURA
+// =================================
+
+/**
+ * Calendario completo (cache 60s)
+ * @returns {Object} { rules, extraDraws, blackouts, source: 'db'|'env' }
+ */
+async function getSchedule() {
+  if (scheduleCache && (Date.now() - scheduleCacheTimestamp) < CACHE_TTL_MS) {
+    return scheduleCache;
+  }
+
+  try {
+    const [rules, extraDraws, blackouts] = await Promise.all([
+      pool.query('SELECT * FROM bolita_schedule_rules ORDER BY draw_time, id'),
+      pool.query('SELECT * FROM bolita_schedule_extra_draws ORDER BY draw_at'),
+      pool.query(
+        `SELECT id, to_char(blackout_date, 'YYYY-MM-DD') AS blackout_date, reason
+         FROM bolita_schedule_blackouts ORDER BY blackout_date`
+      )
+    ]);
+
+    scheduleCache = {
+      rules: rules.rows.map(formatRule),
+      extraDraws: extraDraws.rows.map(formatExtraDraw),
+      blackouts: blackouts.rows.map(formatBlackout),
+      source: 'db'
+    };
+    scheduleCacheTimestamp = Date.now();
+    return scheduleCache;
+
+  } catch (err) {
+    // Mejor el ultimo calendario conocido que dejar de crear sorteos
+    console.error('[BolitaSchedule] Error getting schedule:', err.message);
+    return scheduleCache || envSchedule();
+  }
+}
+
+/**
+ * Slots de sorteo con cierre en [fromMs, toMs], ordenados por cierre.
+ * Cada slot: { drawNum, scheduledCloseUnix, openAtMs, openBeforeMinutes, source, ruleId|extraId, label }
+ * Con includeBlackouts los slots de reglas en fechas bloqueadas se devuelven con blackout: true.
+ */
+function generateSlots(schedule, fromMs, toMs, { defaultOpenBeforeMs = openBeforeMs(), includeBlackouts = false } = {}) {
+  const blackoutDates = new Set(schedule.blackouts.map(b => b.date));
+  const slots = new Map();
+
+  const leadMs = (minutes) => (minutes ? minutes * 60 * 1000 : defaultOpenBeforeMs);
+
+  const firstDay = new Date(fromMs);
+  firstDay.setUTCHours(0, 0, 0, 0);
+
+  for (let dayMs = firstDay.getTime(); dayMs <= toMs; dayMs += DAY_MS) {
+    const day = new Date(dayMs);
+    const blackout = blackoutDates.has(utcDateString(day));
+    if (blackout && !includeBlackouts) continue;
+
+    for (const rule of schedule.rules) {
+      if (!rule.enabled || !rule.weekdays.includes(day.getUTCDay())) continue;
+
+      const [hour, minute] = rule.drawTime.split(':').map(Number);
+      const close = new Date(dayMs);
+      close.setUTCHours(hour, minute, 0, 0);
+      const closeMs = close.getTime();
+      if (closeMs < fromMs || closeMs > toMs) continue;
+
+      const drawNum = drawNumber(close);
+      if (slots.has(drawNum)) continue;
+
+      slots.set(drawNum, {
+        drawNum,
+        scheduledCloseUnix: Math.floor(closeMs / 1000),
+        openAtMs: closeMs - leadMs(rule.openBeforeMinutes),
+        openBeforeMinutes: rule.openBeforeMinutes,
+        source: 'rule',
+        ruleId: rule.id,
+        label: rule.label,
+        ...(includeBlackouts && { blackout })
+      });
+    }
+  }
+
+  // Los extra sustituyen a un slot de regla a la misma hora (su antelacion manda)
+  for (const extra of schedule.extraDraws) {
+    const closeMs = new Date(extra.drawAt).getTime();
+    if (closeMs < fromMs || closeMs > toMs) continue;
+
+    const drawNum = drawNumber(new Date(closeMs));
+    slots.set(drawNum, {
+      drawNum,
+      scheduledCloseUnix: Math.floor(closeMs / 1000),
+      openAtMs: closeMs - leadMs(extra.openBeforeMinutes),
+      openBeforeMinutes: extra.openBeforeMinutes,
+      source: 'extra',
+      extraId: extra.id,
+      label: extra.label,
+      ...(includeBlackouts && { blackout: false })
+    });
+  }
+
+  return [...slots.values()].sort((a, b) => a.scheduledCloseUnix - b.scheduledCloseUnix);
+}
+
+/**
+ * Vista previa de los proximos N dias para el admin, con el sorteo ya creado (si existe)
+ */
+async function previewSlots(days = 14) {
+  const numDays = parseInt(days);
+  if (!Number.isInteger(numDays) || numDays < 1 || numDays > SCHEDULE_LIMITS.maxPreviewDays) {
+    throw new Error(`days invalido (1-${SCHEDULE_LIMITS.maxPreviewDays})`);
+  }
+
+  const schedule = await getSchedule();
+  const now = Date.now();
+  const slots = generateSlots(schedule, now, now + numDays * DAY_MS, { includeBlackouts: true });
+
+  const existing = {};
+  if (slots.length > 0) {
+    const result = await pool.query(
+      'SELECT id, draw_number, status FROM draws WHERE draw_number = ANY($1)',
+      [slots.map(s => s.drawNum)]
+    );
+    for (const row of result.rows) {
+      existing[row.draw_number] = { id: row.id, status: row.status };
+    }
+  }
+
+  return {
+    days: numDays,
+    source: schedule.source,
+    defaultOpenBeforeMinutes: Math.round(openBeforeMs() / 60000),
+    slots: slots.map(slot => ({
+      drawNumber: slot.drawNum,
+      scheduledClose: new Date(slot.scheduledCloseUnix * 1000).toISOString(),
+      opensAt: new Date(slot.openAtMs).toISOString(),
+      source: slot.source,
+      label: slot.label,
+      blackout: slot.blackout,
+      existing: existing[slot.drawNum] || null
+    }))
+  };
+}
+
+// =================================
+// VALIDACION
+// =================================
+
+function validateOpenBeforeMinutes(value) {
+  if (value === undefined || value === null) return;
+  if (!Number.isInteger(value) ||
+      value < SCHEDULE_LIMITS.minOpenBeforeMinutes || value > SCHEDULE_LIMITS.maxOpenBeforeMinutes) {
+    throw new Error(`openBeforeMinutes invalido (${SCHEDULE_LIMITS.minOpenBeforeMinutes}-${SCHEDULE_LIMITS.maxOpenBeforeMinutes}, o null)`);
+  }
+}
+
+function validateLabel(value, field = 'label') {
+  if (value === undefined || value === null) return;
+  if (typeof value !== 'string' || value.length > SCHEDULE_LIMITS.maxLabelLength) {
+    throw new Error(`${field} invalido (max ${SCHEDULE_LIMITS.maxLabelLength} caracteres)`);
+  }
+}
+
+/**
+ * Validar los campos de una regla (solo los presentes)
+ * @throws {Error} si algun campo es invalido
+ */
+function validateRule(rule) {
+  if (rule.weekdays !== undefined) {
+    if (!Array.isArray(rule.weekdays) || rule.weekdays.length === 0 ||
+        !rule.weekdays.every(d => Number.isInteger(d) && d >= 0 && d <= 6)) {
+      throw new Error('weekdays invalido: lista de dias 0-6 (0 = domingo)');
+    }
+  }
+  if (rule.drawTime !== undefined && !DRAW_TIME_REGEX.test(rule.drawTime)) {
+    throw new Error('drawTime invalido (HH:MM UTC)');
+  }
+  if (rule.enabled !== undefined && typeof rule.enabled !== 'boolean') {
+    throw new Error('enabled debe ser booleano');
+  }
+  validateOpenBeforeMinutes(rule.openBeforeMinutes);
+  validateLabel(rule.label);
+}
+
+// =================================
+// REGLAS
+// =================================
+
+async function createRule({ weekdays, drawTime, openBeforeMinutes = null, enabled = true, label = null }) {
+  if (weekdays === undefined || drawTime === undefined) {
+    throw new Error('weekdays y drawTime son requeridos');
+  }
+  validateRule({ weekdays, drawTime, openBeforeMinutes, enabled, label });
+
+  const result = await pool.query(
+    `INSERT INTO bolita_schedule_rules (weekdays, draw_time, open_before_minutes, enabled, label)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING *`,
+    [[...new Set(weekdays)].sort(), drawTime, openBeforeMinutes, enabled, label]
+  );
+
+  invalidateScheduleCache();
+  console.log(`[BolitaSchedule] Rule #${result.rows[0].id} created: ${drawTime} on [${weekdays.join(',')}]`);
+  return formatRule(result.rows[0]);
+}
+
+async function updateRule(id, changes) {
+  const columns = {
+    weekdays: 'weekdays',
+    drawTime: 'draw_time',
+    openBeforeMinutes: 'open_before_minutes',
+    enabled: 'enabled',
+    label: 'label'
+  };
+
+  validateRule(changes);
+
+  const sets = [];
+  const params = [parseInt(id)];
+  for (const [field, column] of Object.entries(columns)) {
+    if (changes[field] === undefined) continue;
+    params.push(field === 'weekdays' ? [...new Set(changes.weekdays)].sort() : changes[field]);
+    sets.push(`${column} = $${params.length}`);
+  }
+
+  if (sets.length === 0) {
+    throw new Error('No hay cambios');
+  }
+
+  const result = await pool.query(
+    `UPDATE bolita_schedule_rules SET ${sets.join(', ')}, updated_at = NOW()
+     WHERE id = $1
+     RETURNING *`,
+    params
+  );
+
+  if (result.rows.length === 0) {
+    throw new Error(`Regla ${id} no encontrada`);
+  }
+
+  invalidateScheduleCache();
+  console.log(`[BolitaSchedule] Rule #${id} updated: ${Object.keys(columns).filter(k => changes[k] !== undefined).join(', ')}`);
+  return formatRule(result.rows[0]);
+}
+
+async function deleteRule(id) {
+  const result = await pool.query(
+    'DELETE FROM bolita_schedule_rules WHERE id = $1 RETURNING id',
+    [parseInt(id)]
+  );
+  if (result.rows.length === 0) {
+    throw new Error(`Regla ${id} no encontrada`);
+  }
+
+  invalidateScheduleCache();
+  console.log(`[BolitaSchedule] Rule #${id} deleted`);
+  return { id: parseInt(id), deleted: true };
+}
+
+// =================================
+// SORTEOS EXTRA
+// =================================
+
+async function addExtraDraw({ drawAt, openBeforeMinutes = null, label = null }) {
+  const date = new Date(drawAt);
+  if (!drawAt || isNaN(date.getTime())) {
+    throw new Error('drawAt invalido (fecha ISO 8601)');
+  }
+  if (date.getUTCSeconds() !== 0 || date.getUTCMilliseconds() !== 0) {
+    throw new Error('drawAt debe ser un minuto exacto');
+  }
+  if (date.getTime() <= Date.now() + 5 * 60 * 1000) {
+    throw new Error('drawAt debe ser al menos 5 minutos en el futuro');
+  }
+  validateOpenBeforeMinutes(openBeforeMinutes);
+  validateLabel(label);
+
+  let result;
+  try {
+    result = await pool.query(
+      `INSERT INTO bolita_schedule_extra_draws (draw_at, open_before_minutes, label)
+       VALUES ($1, $2, $3)
+       RETURNING *`,
+      [date, openBeforeMinutes, label]
+    );
+  } catch (err) {
+    if (err.code === '23505') throw new Error(`Ya existe un sorteo extra a las ${date.toISOString()}`);
+    throw err;
+  }
+
+  invalidateScheduleCache();
+  console.log(`[BolitaSchedule] Extra draw #${result.rows[0].id} added at ${date.toISOString()}`);
+  return formatExtraDraw(result.rows[0]);
+}
+
+async function deleteExtraDraw(id) {
+  const result = await pool.query(
+    'DELETE FROM bolita_schedule_extra_draws WHERE id = $1 RETURNING id',
+    [parseInt(id)]
+  );
+  if (result.rows.length === 0) {
+    throw new Error(`Sorteo extra ${id} no encontrado`);
+  }
+
+  invalidateScheduleCache();
+  console.log(`[BolitaSchedule] Extra draw #${id} deleted`);
+  return { id: parseInt(id), deleted: true };
+}
+
+// =================================
+// BLOQUEOS
+// =================================
+
+async function addBlackout({ date, reason = null }) {
+  if (typeof date !== 'string' || !DATE_REGEX.test(date) || isNaN(new Date(`${date}T00:00:00Z`).getTime())) {
+    throw new Error('date invalida (YYYY-MM-DD, UTC)');
+  }
+  validateLabel(reason, 'reason');
+
+  let result;
+  try {
+    result = await pool.query(
+      `INSERT INTO bolita_schedule_blackouts (blackout_date, reason)
+       VALUES ($1, $2)
+       RETURNING id, to_char(blackout_date, 'YYYY-MM-DD') AS blackout_date, reason`,
+      [date, reason]
+    );
+  } catch (err) {
+    if (err.code === '23505') throw new Error(`La fecha ${date} ya esta bloqueada`);
+    throw err;
+  }
+
+  invalidateScheduleCache();
+  console.log(`[BolitaSchedule] Blackout #${result.rows[0].id} added for ${date}`);
+  return formatBlackout(result.rows[0]);
+}
+
+async function deleteBlackout(id) {
+  const result = await pool.query(
+    'DELETE FROM bolita_schedule_blackouts WHERE id = $1 RETURNING id',
+    [parseInt(id)]
+  );
+  if (result.rows.length === 0) {
+    throw new Error(`Bloqueo ${id} no encontrado`);
+  }
+
+  invalidateScheduleCache();
+  console.log(`[BolitaSchedule] Blackout #${id} deleted`);
+  return { id: parseInt(id), deleted: true };
+}
+
+module.exports = {
+  SCHEDULE_LIMITS,
+  openBeforeMs,
+  drawNumber,
+  getSchedule,
+  generateSlots,
+  previewSlots,
+  validateRule,
+  createRule,
+  updateRule,
+  deleteRule,
+  addExtraDraw,
+  deleteExtraDraw,
+  addBlackout,
+  deleteBlackout,
+  invalidateScheduleCache
+};
@@ -0,0 +1,403 @@
+/**
+ * Chain Indexer Core
+ *
+ * Shared getLogs polling loop behind BolitaIndexer, KenoIndexer and
+ * BingoEventService. Subclasses declare their contract and indexed events
+ * and implement two hooks:
+ *
+ *   applyEvent(parsed, log, client, afterCommit)
+ *       — write the event to PostgreSQL through `client`, inside the
+ *         transaction that journals it. Work outside that transaction
+ *         (realtime pushes, sent transactions, other connections) is
+ *         queued with afterCommit(fn) and runs once the event commits.
+ *   revertEvent(event)
+ *       — undo it after a reorg (event = journal row, args serialized
+ *         with bigints as strings)
+ *
+ * Reorg handling:
+ *   - Only blocks at least `confirmations` behind the head are processed
+ *     (INDEXER_CONFIRMATIONS, overridable per indexer with
+ *     <NAME>_INDEXER_CONFIRMATIONS, e.g. BINGO_INDEXER_CONFIRMATIONS).
+ *   - The hash of the last block of each processed range is checkpointed in
+ *     indexer_blocks. Every poll re-checks the newest checkpoint; on a
+ *     mismatch it walks back to the newest checkpoint still canonical.
+ *   - Applied events are journaled in indexer_events, unique on
+ *     (tx_hash, log_index), so replays and backfills never apply an event
+ *     twice.
+ *   - The journal row and the writes of applyEvent commit in one
+ *     transaction. If applyEvent fails both roll back and the range is not
+ *     checkpointed, so the next poll retries the event.
+ *   - After INDEXER_MAX_EVENT_ATTEMPTS failed applies the event is journaled
+ *     as 'failed' and skipped, so later events keep being indexed. The
+ *     indexer_failed_events alert and the bolcoin_indexer_failed_events
+ *     gauge report it; a backfill over its block tries it once more.
+ *   - Events past the common ancestor are reverted newest-first and
+ *     dropped, then the canonical blocks are replayed on the same poll.
+ *
+ * Uses getLogs polling (not contract.on / eth_newFilter) — Polygon Amoy RPC
+ * does not support eth_getFilterChanges.
+ */
+
+const { ethers } = require('ethers');
+const { getProvider } = require('../chain/provider');
+const { getClient } = require('../config/database');
+const {
+  loadIndexerBlock,
+  saveIndexerBlock,
+  loadBlockHashes,
+  saveBlockHash,
+  recordIndexerEvent,
+  recordIndexerFailure,
+  loadIndexerEventsAfter,
+  rewindIndexer,
+} = require('../db/indexerState');
+
+const DEFAULT_CONFIRMATIONS = 12;
+const MAX_BLOCK_RANGE = parseInt(process.env.INDEXER_MAX_BLOCK_RANGE) || 2000;
+const CHECKPOINTS_KEPT = 100;
+const START_LOOKBACK = 200; // blocks scanned on first run (no DB state)
+const MAX_EVENT_ATTEMPTS = parseInt(process.env.INDEXER_MAX_EVENT_ATTEMPTS) || 10;
+
+// Started indexers, read by the /metrics lag gauges
+const running = new Set();
+
+function getRunningIndexers() {
+  return Array.from(running);
+}
+
+function confirmationsFor(name) {
+  const specific = process.env[`${name.toUpperCase()}_INDEXER_CONFIRMATIONS`];
+  const value = parseInt(specific ?? process.env.INDEXER_CONFIRMATIONS);
+  return Number.isInteger(value) && value >= 0 ? value : DEFAULT_CONFIRMATIONS;
+}
+
+/**
+ * JSON-safe copy of event args (bigints → strings, Results → arrays)
+ */
+function serializeArgs(value) {
+  if (typeof value === 'bigint') return value.toString();
+  if (Array.isArray(value)) return Array.from(value, serializeArgs);
+  return value;
+}
+
+class ChainIndexer {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - indexer_state key ('bolita', 'keno', 'bingo')
+   * @param {string} options.tag - log prefix
+   * @param {Array} options.abi - contract ABI (events + any views the handlers call)
+   * @param {string} options.addressEnv - env var holding the contract address
+   * @param {string[]} options.events - event names passed to applyEvent
+   */
+  constructor({ name, tag, abi, addressEnv, events, pollingInterval = 12000 }) {
+    this.name = name;
+    this.tag = tag;
+    this.abi = abi;
+    this.addressEnv = addressEnv;
+    this.events = new Set(events);
+    this.contract = null;
+    this.provider = null;
+    this.contractAddress = null;
+    this.isRunning = false;
+    this.pollTimer = null;
+    this.lastBlockProcessed = 0;
+    this.pollingInterval = pollingInterval;
+    this.confirmations = confirmationsFor(name);
+  }
+
+  // ── Lifecycle ────────────────────────────────────────────────────────
+
+  async init() {
+    const contractAddress = process.env[this.addressEnv];
+
+    if (!contractAddress) {
+      console.log(`[${this.tag}] Missing ${this.addressEnv}, skipping initialization`);
+      return false;
+    }
+
+    try {
+      // Shared RPC pool (failover + adaptive getLogs ranges)
+      this.provider = getProvider();
+      this.contract = new ethers.Contract(contractAddress, this.abi, this.provider);
+      this.contractAddress = contractAddress;
+      console.log(`[${this.tag}] Initialized for contract ${contractAddress} (${this.confirmations} confirmations)`);
+      return true;
+    } catch (error) {
+      console.error(`[${this.tag}] Failed to initialize:`, error.message);
+      return false;
+    }
+  }
+
+  async start() {
+    if (!this.contract) {
+      const ok = await this.init();
+      if (!ok) return;
+    }
+
+    if (this.isRunning) return;
+    this.isRunning = true;
+    running.add(this);
+
+    // Resume from the DB so redeploys don't miss events.
+    // First run: start a little behind the confirmed head.
+    try {
+      const saved = await loadIndexerBlock(this.name);
+      if (saved !== null) {
+        this.lastBlockProcessed = saved;
+        console.log(`[${this.tag}] Resuming from block ${saved} (DB state)`);
+      } else {
+        const currentBlock = await this.provider.getBlockNumber();
+        this.lastBlockProcessed = Math.max(0, currentBlock - this.confirmations - START_LOOKBACK);
+        console.log(`[${this.tag}] No DB state — starting from block ${this.lastBlockProcessed}`);
+      }
+    } catch (_) {
+      this.lastBlockProcessed = 0;
+    }
+
+    this._schedulePoll();
+    console.log(`[${this.tag}] Event polling active`);
+  }
+
+  stop() {
+    this.isRunning = false;
+    running.delete(this);
+    if (this.pollTimer) { clearTimeout(this.pollTimer); this.pollTimer = null; }
+    console.log(`[${this.tag}] Stopped`);
+  }
+
+  // ── Polling ──────────────────────────────────────────────────────────
+
+  _schedulePoll() {
+    if (!this.isRunning) return;
+    this.pollTimer = setTimeout(() => this._poll(), this.pollingInterval);
+  }
+
+  async _poll() {
+    if (!this.isRunning) return;
+    try {
+      await this.sync();
+      await this.afterPoll();
+    } catch (err) {
+      console.error(`[${this.tag}] Poll error:`, err.message);
+    }
+    this._schedulePoll();
+  }
+
+  /**
+   * Hook run after every poll (e.g. retrying stuck work). No-op by default.
+   */
+  async afterPoll() {}
+
+  /**
+   * One indexing pass: undo any reorg, then process every confirmed block
+   * after lastBlockProcessed in MAX_BLOCK_RANGE chunks.
+   */
+  async sync() {
+    await this.checkReorg();
+
+    const head = await this.provider.getBlockNumber();
+    const safeBlock = head - this.confirmations;
+
+    while (this.lastBlockProcessed < safeBlock) {
+      const fromBlock = this.lastBlockProcessed + 1;
+      const toBlock = Math.min(safeBlock, fromBlock + MAX_BLOCK_RANGE - 1);
+
+      // Hash read before the logs: if the range reorgs in between, the
+      // stale checkpoint is caught on the next poll and the range replayed.
+      const checkpoint = await this.provider.getBlock(toBlock);
+      if (!checkpoint) break; // RPC node behind — retry next poll
+
+      await this._processRange(fromBlock, toBlock);
+
+      await saveBlockHash(this.name, toBlock, checkpoint.hash, CHECKPOINTS_KEPT);
+      await saveIndexerBlock(this.name, toBlock);
+      this.lastBlockProcessed = toBlock;
+    }
+  }
+
+  /**
+   * Compare stored checkpoints with the chain. On a mismatch roll back to
+   * the newest checkpoint still canonical. Returns true if it rolled back.
+   */
+  async checkReorg() {
+    const checkpoints = await loadBlockHashes(this.name, CHECKPOINTS_KEPT);
+    if (checkpoints.length === 0) return false;
+
+    const newest = await this.provider.getBlock(checkpoints[0].blockNumber);
+    if (!newest || newest.hash === checkpoints[0].blockHash) return false;
+
+    let ancestor = null;
+    for (const checkpoint of checkpoints.slice(1)) {
+      const block = await this.provider.getBlock(checkpoint.blockNumber);
+      if (block && block.hash === checkpoint.blockHash) {
+        ancestor = checkpoint.blockNumber;
+        break;
+      }
+    }
+
+    if (ancestor === null) {
+      ancestor = Math.max(0, checkpoints[checkpoints.length - 1].blockNumber - 1);
+      console.error(
+        `[${this.tag}] Reorg deeper than ${checkpoints.length} stored checkpoints — ` +
+        `rewinding to block ${ancestor}`
+      );
+    }
+
+    console.warn(`[${this.tag}] Reorg detected at block ${checkpoints[0].blockNumber}, common ancestor ${ancestor}`);
+    await this.rollback(ancestor);
+    return true;
+  }
+
+  /**
+   * Revert every journaled event after `toBlock` (newest first) and move
+   * the indexer back so the next sync replays from toBlock + 1.
+   */
+  async rollback(toBlock) {
+    const events = await loadIndexerEventsAfter(this.name, toBlock);
+
+    for (const event of events) {
+      try {
+        await this.revertEvent(event);
+      } catch (err) {
+        console.error(`[${this.tag}] Error reverting ${event.eventName} (tx ${event.txHash}):`, err.message);
+      }
+    }
+
+    await rewindIndexer(this.name, toBlock);
+    this.lastBlockProcessed = toBlock;
+
+    console.warn(`[${this.tag}] Rolled back ${events.length} events after block ${toBlock}`);
+  }
+
+  async _processRange(fromBlock, toBlock) {
+    const logs = await this.provider.getLogs({
+      address: this.contractAddress,
+      fromBlock,
+      toBlock,
+    });
+
+    let failed = 0;
+    for (const log of logs) {
+      if (log.removed) continue;
+
+      let parsed = null;
+      try {
+        parsed = this.contract.interface.parseLog(log);
+      } catch (_) { /* skip non-matching logs */ }
+      if (!parsed || !this.events.has(parsed.name)) continue;
+
+      try {
+        await this._handleLog(parsed, log);
+      } catch (err) {
+        console.error(`[${this.tag}] Error handling ${parsed.name} (tx ${log.transactionHash}):`, err.message);
+        failed++;
+      }
+    }
+
+    // No checkpoint: the next poll replays the range and only re-applies
+    // the events that failed (the rest are already journaled)
+    if (failed > 0) {
+      throw new Error(`${failed} events failed in blocks ${fromBlock}-${toBlock}`);
+    }
+  }
+
+  /**
+   * Journal and apply in one transaction. Already-journaled events are
+   * skipped, which makes overlapping ranges, replays and backfills
+   * idempotent. When apply fails nothing is kept, the attempt is counted
+   * and the error rethrown until the event is given up on.
+   */
+  async _handleLog(parsed, log) {
+    const event = {
+      blockNumber: log.blockNumber,
+      blockHash: log.blockHash,
+      txHash: log.transactionHash,
+      logIndex: log.index,
+      eventName: parsed.name,
+      args: serializeArgs(parsed.args),
+    };
+    const client = await getClient();
+    const afterCommit = [];
+    let fresh;
+    let failure = null;
+
+    try {
+      await client.query('BEGIN');
+      fresh = await recordIndexerEvent(client, this.name, event);
+      if (fresh) {
+        await this.applyEvent(parsed, log, client, (fn) => afterCommit.push(fn));
+      }
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      failure = err;
+    } finally {
+      client.release();
+    }
+
+    if (failure) {
+      await this._recordFailure(event, failure);
+      return false;
+    }
+
+    for (const fn of afterCommit) {
+      try {
+        await fn();
+      } catch (err) {
+        console.error(`[${this.tag}] Error after ${parsed.name} (tx ${log.transactionHash}):`, err.message);
+      }
+    }
+    return fresh;
+  }
+
+  /**
+   * Count a failed apply. Rethrows the error while the event has attempts
+   * left; once it is marked failed the range can move past it.
+   */
+  async _recordFailure(event, err) {
+    const failure = await recordIndexerFailure(this.name, event, err.message, MAX_EVENT_ATTEMPTS);
+    if (failure?.status !== 'failed') throw err;
+
+    console.error(
+      `[${this.tag}] Giving up on ${event.eventName} (tx ${event.txHash}, log ${event.logIndex}) ` +
+      `after ${failure.attempts} attempts:`, err.message
+    );
+  }
+
+  async applyEvent() {
+    throw new Error(`${this.tag}: applyEvent not implemented`);
+  }
+
+  async revertEvent() {
+    throw new Error(`${this.tag}: revertEvent not implemented`);
+  }
+
+  // ── Backfill ─────────────────────────────────────────────────────────
+
+  /**
+   * Index historical events from `fromBlock` up to the confirmed head.
+   * Safe to run alongside the poller: journaled events are skipped.
+   */
+  async backfill(fromBlock = 0) {
+    if (!this.contract) {
+      const ok = await this.init();
+      if (!ok) return;
+    }
+
+    const safeBlock = (await this.provider.getBlockNumber()) - this.confirmations;
+    console.log(`[${this.tag}] Backfilling blocks ${fromBlock}-${safeBlock}...`);
+
+    for (let start = fromBlock; start <= safeBlock; start += MAX_BLOCK_RANGE) {
+      const end = Math.min(safeBlock, start + MAX_BLOCK_RANGE - 1);
+      try {
+        await this._processRange(start, end);
+      } catch (err) {
+        console.error(`[${this.tag}] Backfill error in blocks ${start}-${end}:`, err.message);
+      }
+    }
+
+    console.log(`[${this.tag}] Backfill complete`);
+  }
+}
+
+module.exports = { ChainIndexer, confirmationsFor, serializeArgs, getRunningIndexers };
@@ -1,5 +1,7 @@
 const Draw = require('../models/Draw');
 const { DRAW_STATUS, ERROR_MESSAGES } = require('../config/constants');
+const responsibleGamingService = require('./responsibleGamingService');
+const ledgerService = require('./ledgerService');
 
 // =================================
 // SERVICIO DE SORTEOS
@@ -182,11 +184,26 @@ async function refundDrawBets(drawId) {
             const refundAmount = Math.round(parseFloat(bet.amount) * 100) / 100;
 
             // Credit user balance with optimistic locking
-            await client.query(
+            const credited = await client.query(
                 `UPDATE users SET balance = balance + $1, version = version + 1
-                 WHERE id = $2`,
+                 WHERE id = $2
+                 RETURNING wallet_address`,
                 [refundAmount, bet.user_id]
             );
+            if (credited.rows.length > 0) {
+                await ledgerService.transfer(client, {
+                    type: ledgerService.ENTRY_TYPES.REFUND,
+                    from: ledgerService.ACCOUNTS.BOLITA_STAKES,
+                    to: ledgerService.userAccount(bet.user_id),
+                    amount: refundAmount,
+                    referenceType: 'bet',
+                    referenceId: bet.id
+                });
+            }
+            await responsibleGamingService.recordRefund(client, credited.rows[0]?.wallet_address, 'bolita', refundAmount, {
+                referenceType: 'bet',
+                referenceId: bet.id
+            });
 
             // Mark bet as refunded
             await client.query(
@@ -16,6 +16,21 @@
  * - Pool $750 → Max Payout $75
  * - Pool $3,000 → Max Payout $300
  * - Pool $100,000 → Max Payout $10,000 (maximo teorico)
+ *
+ * Tablas de pago Keno (keno_payout_tables):
+ * - Varias tablas con nombre ("classic", "high-volatility", ...)
+ * - Versionadas igual que KenoGame.sol: updateKenoPayoutRow escribe en la
+ *   version pendiente, commitKenoPayoutUpdate la activa (version + 1)
+ * - Versiones retiradas se conservan para verificar juegos antiguos
+ *
+ * Salas Bingo (bingo_rooms):
+ * - Precio de carton, ventana de compra, max cartones, min jugadores y horario
+ *   por sala. NULL en precio/ventana/max cartones = usar el valor global.
+ *
+ * Limites Bolita (bolita_*):
+ * - Limite por tipo y limite dinamico por numero segun su pago potencial
+ *   frente a la reserva; opcionalmente reduce el multiplicador en vez de
+ *   vender el numero. Ver bankrollService.calculateNumberLimit.
  */
 
 const pool = require('../db');
@@ -30,10 +45,23 @@ let poolBalanceCache = null;
 let poolBalanceCacheTimestamp = 0;
 const POOL_BALANCE_CACHE_TTL_MS = 10 * 1000;
 
+// Cache de tablas de pago activas (mismo TTL que config)
+let payoutTablesCache = null;
+let payoutTablesCacheTimestamp = 0;
+
+// Cache de salas Bingo (mismo TTL que config)
+let bingoRoomsCache = null;
+let bingoRoomsCacheTimestamp = 0;
+
+// Nombres de tabla: minusculas, numeros y guiones (ej: "high-volatility")
+const PAYOUT_TABLE_NAME_REGEX = /^[a-z0-9][a-z0-9-]{0,31}$/;
+
 // Valores por defecto MVP (fallback si BD no disponible)
 const MVP_DEFAULTS = {
   // Keno
   keno_bet_amount: 1,
+  keno_bet_amounts: [1],            // Denominaciones permitidas
+  keno_default_payout_table: 'classic',
   keno_fee_bps: 1200,       // 12%
   keno_pool_bps: 8800,      // 88%
   keno_max_payout_ratio: 0.10,  // 10% del pool
@@ -57,6 +85,13 @@ const MVP_DEFAULTS = {
   keno_commit_reveal_enabled: false,
   keno_settlement_enabled: false,
   keno_commit_ttl_seconds: 300,
+  keno_seed_chain_enabled: false,
+  keno_seed_chain_length: 1000,
+  keno_settlement_max_attempts: 8,     // Reintentos on-chain antes de marcar failed
+  keno_settlement_backoff_seconds: 30, // Base del backoff exponencial
+  // Keno Autoplay
+  keno_autoplay_max_draws: 100,
+  keno_autoplay_interval_ms: 3000,
   // Sistema
   contract_min_balance: 100,
   rng_method: 'sha256_server_seed',
@@ -70,6 +105,17 @@ const MVP_DEFAULTS = {
   bingo_jackpot_ball_threshold: 25,
   bingo_max_cards_per_user: 4,
   bingo_auto_resolve_enabled: true,
+  // Patrones extra por sala: { "<room>" | "default": [{ id, type, prizeBps, maxBalls? }] }
+  bingo_room_patterns: {},
+  bingo_subscription_max_rounds: 100,
+  // Bolita: limites dinamicos por numero (bankrollService)
+  bolita_dynamic_limits_enabled: true,
+  bolita_type_limit_bps: { fijos: 10000, centenas: 10000, parles: 10000 }, // % del limite base por tipo
+  bolita_max_number_liability_bps: 10000, // Pago potencial maximo de un numero: 100% de la reserva
+  bolita_limit_shrink_bps: 5000,          // El limite baja hasta 50% al acercarse al maximo
+  bolita_odds_reduction_enabled: false,   // Bajar el multiplicador en vez de vender el numero
+  bolita_odds_reduction_start_bps: 5000,  // Empieza al 50% del pago potencial maximo
+  bolita_odds_reduction_floor_bps: 5000,  // Multiplicador minimo: 50% del base
 };
 
 /**
@@ -208,12 +254,16 @@ async function getPoolBalance() {
 }
 
 /**
- * Actualizar balance del pool
+ * Actualizar balance del pool (fondeo o retiro del operador)
  * @param {number} delta - Cambio en el balance (positivo o negativo)
  */
 async function updatePoolBalance(delta) {
+  const ledgerService = require('./ledgerService');
+  const client = await pool.connect();
   try {
-    const result = await pool.query(
+    await client.query('BEGIN');
+
+    const result = await client.query(
       `UPDATE keno_pool
        SET balance = balance + $1, updated_at = NOW()
        WHERE id = 1
@@ -221,6 +271,16 @@ async function updatePoolBalance(delta) {
       [delta]
     );
 
+    await ledgerService.transfer(client, {
+      type: ledgerService.ENTRY_TYPES.CAPITAL,
+      from: ledgerService.ACCOUNTS.EXTERNAL,
+      to: ledgerService.ACCOUNTS.KENO_POOL,
+      amount: delta,
+      description: 'Ajuste del pool de Keno'
+    });
+
+    await client.query('COMMIT');
+
     if (result.rows.length > 0) {
       const newBalance = parseFloat(result.rows[0].balance);
       poolBalanceCache = newBalance;
@@ -231,8 +291,11 @@ async function updatePoolBalance(delta) {
 
     return await getPoolBalance();
   } catch (err) {
+    await client.query('ROLLBACK');
     console.error('[GameConfig] Error updating pool balance:', err);
     throw err;
+  } finally {
+    client.release();
   }
 }
 
@@ -256,8 +319,12 @@ async function getKenoConfig() {
   const absoluteMax = config.keno_absolute_max_payout || MVP_DEFAULTS.keno_absolute_max_payout;
   const dynamicMaxPayout = calculateDynamicMaxPayout(poolBalance, ratio, absoluteMax);
 
+  const betAmount = config.keno_bet_amount || MVP_DEFAULTS.keno_bet_amount;
+
   return {
-    betAmount: config.keno_bet_amount || MVP_DEFAULTS.keno_bet_amount,
+    betAmount,
+    betAmounts: normalizeBetAmounts(config.keno_bet_amounts, betAmount),
+    defaultPayoutTable: config.keno_default_payout_table || MVP_DEFAULTS.keno_default_payout_table,
     feeBps: config.keno_fee_bps || MVP_DEFAULTS.keno_fee_bps,
     poolBps: config.keno_pool_bps || MVP_DEFAULTS.keno_pool_bps,
     maxPayout: dynamicMaxPayout,
@@ -268,10 +335,29 @@ async function getKenoConfig() {
     minSpots: config.keno_min_spots || MVP_DEFAULTS.keno_min_spots,
     maxSpots: config.keno_max_spots || MVP_DEFAULTS.keno_max_spots,
     totalNumbers: config.keno_total_numbers || MVP_DEFAULTS.keno_total_numbers,
-    drawnNumbers: config.keno_drawn_numbers || MVP_DEFAULTS.keno_drawn_numbers
+    drawnNumbers: config.keno_drawn_numbers || MVP_DEFAULTS.keno_drawn_numbers,
+    autoplayMaxDraws: config.keno_autoplay_max_draws || MVP_DEFAULTS.keno_autoplay_max_draws,
+    autoplayIntervalMs: config.keno_autoplay_interval_ms || MVP_DEFAULTS.keno_autoplay_interval_ms
   };
 }
 
+/**
+ * Normalizar lista de denominaciones permitidas.
+ * Ignora valores no numericos o <= 0; si no queda ninguna, usa la apuesta fija.
+ * @param {Array} amounts - Valor crudo de keno_bet_amounts
+ * @param {number} fallback - Apuesta por defecto (keno_bet_amount)
+ * @returns {number[]} Denominaciones ordenadas ascendentemente
+ */
+function normalizeBetAmounts(amounts, fallback) {
+  const list = Array.isArray(amounts)
+    ? amounts.map(a => parseFloat(a)).filter(a => Number.isFinite(a) && a > 0)
+    : [];
+  if (list.length === 0) {
+    return [fallback];
+  }
+  return Array.from(new Set(list)).sort((a, b) => a - b);
+}
+
 /**
  * Obtener configuracion del sistema
  */
@@ -402,6 +488,8 @@ async function getPublicConfig() {
   return {
     keno: {
       betAmount: kenoConfig.betAmount,
+      betAmounts: kenoConfig.betAmounts,
+      defaultPayoutTable: kenoConfig.defaultPayoutTable,
       feeBps: kenoConfig.feeBps,
       poolBps: kenoConfig.poolBps,
       // Max payout dinamico
@@ -424,18 +512,31 @@ async function getPublicConfig() {
 
 /**
  * Obtener configuracion de Bingo
+ * @param {number|null} roomNumber - Sala (1-4) para resolver sus patrones
  */
-async function getBingoConfig() {
+async function getBingoConfig(roomNumber = null) {
   const config = await getAllConfig();
+  const linePrizeBps = config.bingo_line_prize_bps ?? MVP_DEFAULTS.bingo_line_prize_bps;
+  const bingoPrizeBps = config.bingo_bingo_prize_bps ?? MVP_DEFAULTS.bingo_bingo_prize_bps;
+  const room = roomNumber ? await getBingoRoom(roomNumber) : null;
   return {
-    cardPrice: config.bingo_card_price ?? MVP_DEFAULTS.bingo_card_price,
+    cardPrice: room?.cardPrice ?? config.bingo_card_price ?? MVP_DEFAULTS.bingo_card_price,
     feeBps: config.bingo_fee_bps ?? MVP_DEFAULTS.bingo_fee_bps,
     reserveBps: config.bingo_reserve_bps ?? MVP_DEFAULTS.bingo_reserve_bps,
-    linePrizeBps: config.bingo_line_prize_bps ?? MVP_DEFAULTS.bingo_line_prize_bps,
-    bingoPrizeBps: config.bingo_bingo_prize_bps ?? MVP_DEFAULTS.bingo_bingo_prize_bps,
+    linePrizeBps,
+    bingoPrizeBps,
     jackpotBallThreshold: config.bingo_jackpot_ball_threshold ?? MVP_DEFAULTS.bingo_jackpot_ball_threshold,
-    maxCardsPerUser: config.bingo_max_cards_per_user ?? MVP_DEFAULTS.bingo_max_cards_per_user,
+    maxCardsPerUser: room?.maxCardsPerUser ?? config.bingo_max_cards_per_user ?? MVP_DEFAULTS.bingo_max_cards_per_user,
     autoResolveEnabled: config.bingo_auto_resolve_enabled ?? MVP_DEFAULTS.bingo_auto_resolve_enabled,
+    subscriptionMaxRounds: config.bingo_subscription_max_rounds ?? MVP_DEFAULTS.bingo_subscription_max_rounds,
+    roomNumber: roomNumber ? parseInt(roomNumber) : null,
+    room,
+    patterns: resolveBingoPatterns(
+      config.bingo_room_patterns ?? MVP_DEFAULTS.bingo_room_patterns,
+      roomNumber,
+      linePrizeBps,
+      bingoPrizeBps
+    ),
     totalBalls: 75,
     cardRows: 3,
     cardCols: 5,
@@ -443,6 +544,85 @@ async function getBingoConfig() {
   };
 }
 
+/**
+ * Validar la lista de patrones de una sala
+ * @param {Object[]} patterns - [{ id, type, prizeBps, maxBalls? }]
+ * @throws {Error} si algun patron es invalido o los premios superan el 100%
+ */
+function validateBingoPatterns(patterns) {
+  const { PATTERN_TYPES, NUMBERS_PER_CARD, TOTAL_BALLS } = require('./bingoResolverService');
+
+  if (!Array.isArray(patterns) || patterns.length === 0) {
+    throw new Error('Se requiere al menos un patron');
+  }
+
+  const ids = new Set();
+  let totalBps = 0;
+  for (const pattern of patterns) {
+    if (!pattern || typeof pattern.id !== 'string' || !/^[a-z0-9_]{1,32}$/.test(pattern.id)) {
+      throw new Error('Id de patron invalido (a-z, 0-9, _)');
+    }
+    if (ids.has(pattern.id)) {
+      throw new Error(`Patron '${pattern.id}' duplicado`);
+    }
+    ids.add(pattern.id);
+
+    if (!PATTERN_TYPES.includes(pattern.type)) {
+      throw new Error(`Tipo de patron '${pattern.type}' invalido (${PATTERN_TYPES.join(', ')})`);
+    }
+    if (!Number.isInteger(pattern.prizeBps) || pattern.prizeBps < 0 || pattern.prizeBps > 10000) {
+      throw new Error(`prizeBps de '${pattern.id}' debe ser un entero 0-10000`);
+    }
+    if (pattern.type === 'blackout' &&
+        (!Number.isInteger(pattern.maxBalls) || pattern.maxBalls < NUMBERS_PER_CARD || pattern.maxBalls > TOTAL_BALLS)) {
+      throw new Error(`maxBalls de '${pattern.id}' debe ser un entero ${NUMBERS_PER_CARD}-${TOTAL_BALLS}`);
+    }
+    totalBps += pattern.prizeBps;
+  }
+
+  for (const required of ['line', 'bingo']) {
+    if (patterns.filter(p => p.type === required).length !== 1) {
+      throw new Error(`Se requiere exactamente un patron de tipo '${required}'`);
+    }
+  }
+  if (totalBps > 10000) {
+    throw new Error(`La suma de premios (${totalBps} bps) supera el 100% del pozo`);
+  }
+}
+
+/**
+ * Patrones de una sala: linea + bingo (bps globales) mas los extra de la sala.
+ * Una entrada de tipo 'line' o 'bingo' en la sala sobreescribe su prizeBps.
+ * Config invalida -> solo linea + bingo (no se bloquea la resolucion).
+ */
+function resolveBingoPatterns(roomPatterns, roomNumber, linePrizeBps, bingoPrizeBps) {
+  const base = [
+    { id: 'line', type: 'line', prizeBps: linePrizeBps },
+    { id: 'bingo', type: 'bingo', prizeBps: bingoPrizeBps },
+  ];
+
+  const entries = (roomPatterns && (roomPatterns[String(roomNumber)] || roomPatterns.default)) || [];
+  if (!Array.isArray(entries) || entries.length === 0) return base;
+
+  const patterns = base.map(p => {
+    const override = entries.find(e => e && e.type === p.type);
+    return override ? { ...p, prizeBps: override.prizeBps } : p;
+  });
+  for (const entry of entries) {
+    if (entry && entry.type !== 'line' && entry.type !== 'bingo') {
+      patterns.push({ ...entry });
+    }
+  }
+
+  try {
+    validateBingoPatterns(patterns);
+    return patterns;
+  } catch (err) {
+    console.error(`[GameConfig] Invalid bingo patterns for room ${roomNumber}: ${err.message}`);
+    return base;
+  }
+}
+
 /**
  * Get loss limit configuration
  * Values of 0 mean no limit (backward compatible)
@@ -456,6 +636,516 @@ async function getLossLimitConfig() {
   };
 }
 
+/**
+ * Configuracion de limites dinamicos de Bolita
+ * bps sobre 10000; typeLimitBps se mezcla con el default por tipo
+ */
+async function getBolitaLimitsConfig() {
+  const config = await getAllConfig();
+  return {
+    dynamicEnabled: config.bolita_dynamic_limits_enabled ?? MVP_DEFAULTS.bolita_dynamic_limits_enabled,
+    typeLimitBps: {
+      ...MVP_DEFAULTS.bolita_type_limit_bps,
+      ...(config.bolita_type_limit_bps || {})
+    },
+    maxNumberLiabilityBps: config.bolita_max_number_liability_bps ?? MVP_DEFAULTS.bolita_max_number_liability_bps,
+    shrinkBps: config.bolita_limit_shrink_bps ?? MVP_DEFAULTS.bolita_limit_shrink_bps,
+    oddsReductionEnabled: config.bolita_odds_reduction_enabled ?? MVP_DEFAULTS.bolita_odds_reduction_enabled,
+    oddsReductionStartBps: config.bolita_odds_reduction_start_bps ?? MVP_DEFAULTS.bolita_odds_reduction_start_bps,
+    oddsReductionFloorBps: config.bolita_odds_reduction_floor_bps ?? MVP_DEFAULTS.bolita_odds_reduction_floor_bps
+  };
+}
+
+// =================================
+// SALAS BINGO
+// =================================
+
+const BINGO_ROOM_LIMITS = {
+  maxCardPrice: 1000,
+  minBuyWindowSeconds: 15,
+  maxBuyWindowSeconds: 900,
+  maxCardsPerUser: 20,
+  maxMinPlayers: 100
+};
+
+const SCHEDULE_TIME_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Intl.DateTimeFormat por zona horaria (crearlos es caro)
+const scheduleFormatters = new Map();
+
+/**
+ * Formatear una fila de bingo_rooms
+ */
+function formatBingoRoom(row) {
+  return {
+    roomNumber: row.room_number,
+    name: row.name,
+    enabled: row.enabled,
+    cardPrice: row.card_price !== null ? parseFloat(row.card_price) : null,
+    buyWindowSeconds: row.buy_window_seconds,
+    maxCardsPerUser: row.max_cards_per_user,
+    minPlayers: row.min_players,
+    schedule: row.schedule || null,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Invalidar cache de salas
+ */
+function invalidateBingoRoomsCache() {
+  bingoRoomsCache = null;
+  bingoRoomsCacheTimestamp = 0;
+}
+
+/**
+ * Obtener todas las salas Bingo
+ * @returns {Object} { [roomNumber]: room }
+ */
+async function getBingoRooms() {
+  if (bingoRoomsCache && (Date.now() - bingoRoomsCacheTimestamp) < CACHE_TTL_MS) {
+    return bingoRoomsCache;
+  }
+
+  try {
+    const result = await pool.query('SELECT * FROM bingo_rooms ORDER BY room_number');
+
+    const rooms = {};
+    for (const row of result.rows) {
+      rooms[row.room_number] = formatBingoRoom(row);
+    }
+
+    bingoRoomsCache = rooms;
+    bingoRoomsCacheTimestamp = Date.now();
+    return rooms;
+
+  } catch (err) {
+    console.error('[GameConfig] Error getting bingo rooms:', err);
+    return {};
+  }
+}
+
+/**
+ * Obtener la configuracion de una sala (null si no existe)
+ */
+async function getBingoRoom(roomNumber) {
+  const rooms = await getBingoRooms();
+  return rooms[parseInt(roomNumber)] || null;
+}
+
+/**
+ * Validar el horario de una sala
+ * @param {Object|null} schedule - { timezone, windows: [{ days: [0-6], start: 'HH:MM', end: 'HH:MM' }] }
+ *   days: 0 = domingo. end < start cruza la medianoche. null = siempre abierta.
+ * @throws {Error} si el horario es invalido
+ */
+function validateBingoRoomSchedule(schedule) {
+  if (schedule === null) return;
+  if (typeof schedule !== 'object' || Array.isArray(schedule)) {
+    throw new Error('Horario invalido');
+  }
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: schedule.timezone || 'UTC' });
+  } catch (_) {
+    throw new Error(`Zona horaria '${schedule.timezone}' invalida`);
+  }
+
+  if (!Array.isArray(schedule.windows) || schedule.windows.length === 0) {
+    throw new Error('El horario requiere al menos una ventana');
+  }
+  for (const window of schedule.windows) {
+    if (!window || !Array.isArray(window.days) || window.days.length === 0 ||
+        !window.days.every(d => Number.isInteger(d) && d >= 0 && d <= 6)) {
+      throw new Error('Dias de la ventana invalidos (0 = domingo ... 6 = sabado)');
+    }
+    if (!SCHEDULE_TIME_REGEX.test(window.start) || !SCHEDULE_TIME_REGEX.test(window.end)) {
+      throw new Error('Horas de la ventana invalidas (HH:MM)');
+    }
+    if (window.start === window.end) {
+      throw new Error('La ventana debe tener inicio y fin distintos');
+    }
+  }
+}
+
+/**
+ * Validar cambios de configuracion de una sala
+ * @param {Object} changes - Campos a cambiar (camelCase)
+ * @throws {Error} si algun valor es invalido
+ */
+function validateBingoRoomSettings(changes) {
+  const {
+    maxCardPrice, minBuyWindowSeconds, maxBuyWindowSeconds, maxCardsPerUser, maxMinPlayers
+  } = BINGO_ROOM_LIMITS;
+
+  if (changes.name !== undefined &&
+      (typeof changes.name !== 'string' || changes.name.trim().length === 0 || changes.name.length > 50)) {
+    throw new Error('Nombre de sala invalido (1-50 caracteres)');
+  }
+  if (changes.enabled !== undefined && typeof changes.enabled !== 'boolean') {
+    throw new Error('enabled debe ser booleano');
+  }
+  if (changes.cardPrice !== undefined && changes.cardPrice !== null &&
+      (typeof changes.cardPrice !== 'number' || !(changes.cardPrice > 0) || changes.cardPrice > maxCardPrice)) {
+    throw new Error(`Precio de carton invalido (0-${maxCardPrice})`);
+  }
+  if (changes.buyWindowSeconds !== undefined && changes.buyWindowSeconds !== null &&
+      (!Number.isInteger(changes.buyWindowSeconds) ||
+       changes.buyWindowSeconds < minBuyWindowSeconds || changes.buyWindowSeconds > maxBuyWindowSeconds)) {
+    throw new Error(`Ventana de compra invalida (${minBuyWindowSeconds}-${maxBuyWindowSeconds} segundos)`);
+  }
+  if (changes.maxCardsPerUser !== undefined && changes.maxCardsPerUser !== null &&
+      (!Number.isInteger(changes.maxCardsPerUser) || changes.maxCardsPerUser < 1 || changes.maxCardsPerUser > maxCardsPerUser)) {
+    throw new Error(`Max cartones por jugador invalido (1-${maxCardsPerUser})`);
+  }
+  if (changes.minPlayers !== undefined &&
+      (!Number.isInteger(changes.minPlayers) || changes.minPlayers < 1 || changes.minPlayers > maxMinPlayers)) {
+    throw new Error(`Min jugadores invalido (1-${maxMinPlayers})`);
+  }
+  if (changes.schedule !== undefined) {
+    validateBingoRoomSchedule(changes.schedule);
+  }
+}
+
+/**
+ * Actualizar la configuracion de una sala
+ * @param {number} roomNumber
+ * @param {Object} changes - { name, enabled, cardPrice, buyWindowSeconds, maxCardsPerUser, minPlayers, schedule }
+ * @returns {Object} Sala actualizada
+ */
+async function updateBingoRoom(roomNumber, changes) {
+  const columns = {
+    name: 'name',
+    enabled: 'enabled',
+    cardPrice: 'card_price',
+    buyWindowSeconds: 'buy_window_seconds',
+    maxCardsPerUser: 'max_cards_per_user',
+    minPlayers: 'min_players',
+    schedule: 'schedule'
+  };
+
+  validateBingoRoomSettings(changes);
+
+  const sets = [];
+  const params = [parseInt(roomNumber)];
+  for (const [field, column] of Object.entries(columns)) {
+    if (changes[field] === undefined) continue;
+    const value = field === 'schedule' && changes.schedule !== null
+      ? JSON.stringify(changes.schedule)
+      : changes[field];
+    params.push(value);
+    sets.push(`${column} = $${params.length}`);
+  }
+
+  if (sets.length === 0) {
+    throw new Error('No hay cambios');
+  }
+
+  const result = await pool.query(
+    `UPDATE bingo_rooms SET ${sets.join(', ')}, updated_at = NOW()
+     WHERE room_number = $1
+     RETURNING *`,
+    params
+  );
+
+  if (result.rows.length === 0) {
+    throw new Error(`Sala ${roomNumber} no encontrada`);
+  }
+
+  invalidateBingoRoomsCache();
+  console.log(`[GameConfig] Bingo room ${roomNumber} updated: ${Object.keys(columns).filter(k => changes[k] !== undefined).join(', ')}`);
+
+  return formatBingoRoom(result.rows[0]);
+}
+
+/**
+ * Dia de la semana (0 = domingo) y minuto del dia en la zona horaria del horario
+ */
+function getScheduleClock(date, timezone) {
+  const tz = timezone || 'UTC';
+  if (!scheduleFormatters.has(tz)) {
+    scheduleFormatters.set(tz, new Intl.DateTimeFormat('en-US', {
+      timeZone: tz,
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }));
+  }
+
+  const parts = scheduleFormatters.get(tz).formatToParts(date);
+  const get = (type) => parts.find(p => p.type === type).value;
+  const day = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(get('weekday'));
+  return { day, minute: parseInt(get('hour')) * 60 + parseInt(get('minute')) };
+}
+
+function toMinutes(hhmm) {
+  const [h, m] = hhmm.split(':').map(Number);
+  return h * 60 + m;
+}
+
+/**
+ * Indica si una sala acepta rondas en un momento dado
+ * @param {Object|null} room - Sala (null = sin configuracion, siempre abierta)
+ * @param {Date} date
+ * @returns {boolean}
+ */
+function isBingoRoomOpen(room, date = new Date()) {
+  if (!room) return true;
+  if (!room.enabled) return false;
+  if (!room.schedule) return true;
+
+  const { day, minute } = getScheduleClock(date, room.schedule.timezone);
+  const yesterday = (day + 6) % 7;
+
+  return room.schedule.windows.some(window => {
+    const start = toMinutes(window.start);
+    const end = toMinutes(window.end);
+    if (start < end) {
+      return window.days.includes(day) && minute >= start && minute < end;
+    }
+    // Cruza la medianoche: la ventana pertenece al dia en que empieza
+    return (window.days.includes(day) && minute >= start) ||
+           (window.days.includes(yesterday) && minute < end);
+  });
+}
+
+/**
+ * Proxima apertura de una sala cerrada por horario (resolucion de 1 minuto)
+ * @returns {Date|null} null si la sala esta deshabilitada o no tiene horario
+ */
+function nextBingoRoomOpening(room, date = new Date()) {
+  if (!room || !room.enabled || !room.schedule) return null;
+
+  const MINUTES_PER_WEEK = 7 * 24 * 60;
+  const start = new Date(date);
+  start.setUTCSeconds(0, 0);
+  const { day, minute } = getScheduleClock(start, room.schedule.timezone);
+  const now = day * 24 * 60 + minute;
+
+  // Minutos hasta el proximo inicio de ventana (en hora local)
+  let best = null;
+  for (const window of room.schedule.windows) {
+    for (const d of window.days) {
+      const delta = ((d * 24 * 60 + toMinutes(window.start) - now) % MINUTES_PER_WEEK + MINUTES_PER_WEEK) % MINUTES_PER_WEEK
+        || MINUTES_PER_WEEK;
+      if (best === null || delta < best) best = delta;
+    }
+  }
+
+  const candidate = new Date(start.getTime() + best * 60 * 1000);
+  if (isBingoRoomOpen(room, candidate)) return candidate;
+
+  // Cambio de horario (DST) antes de la apertura: buscar el minuto exacto en +-1h
+  for (let i = -60; i <= 60; i++) {
+    const shifted = new Date(candidate.getTime() + i * 60 * 1000);
+    if (shifted > date && isBingoRoomOpen(room, shifted)) return shifted;
+  }
+  return candidate;
+}
+
+// =================================
+// TABLAS DE PAGO KENO (versionadas)
+// =================================
+
+/**
+ * Validar una fila de la tabla de pagos
+ * @param {number} spots - Numero de spots (1-10)
+ * @param {number[]} multipliers - Multiplicadores para 0..spots aciertos
+ * @throws {Error} si la fila es invalida
+ */
+function validatePayoutRow(spots, multipliers) {
+  if (!Number.isInteger(spots) || spots < MVP_DEFAULTS.keno_min_spots || spots > MVP_DEFAULTS.keno_max_spots) {
+    throw new Error(`Spots invalido (${MVP_DEFAULTS.keno_min_spots}-${MVP_DEFAULTS.keno_max_spots})`);
+  }
+  if (!Array.isArray(multipliers) || multipliers.length !== spots + 1) {
+    throw new Error(`Se requieren ${spots + 1} multiplicadores (0..${spots} aciertos)`);
+  }
+  for (const m of multipliers) {
+    if (typeof m !== 'number' || !Number.isFinite(m) || m < 0) {
+      throw new Error('Multiplicadores deben ser numeros >= 0');
+    }
+  }
+}
+
+/**
+ * Invalidar cache de tablas de pago
+ */
+function invalidatePayoutTablesCache() {
+  payoutTablesCache = null;
+  payoutTablesCacheTimestamp = 0;
+}
+
+/**
+ * Obtener todas las tablas de pago activas
+ * @returns {Object} { [name]: { name, version, rows } }
+ */
+async function getKenoPayoutTables() {
+  if (payoutTablesCache && (Date.now() - payoutTablesCacheTimestamp) < CACHE_TTL_MS) {
+    return payoutTablesCache;
+  }
+
+  try {
+    const result = await pool.query(
+      `SELECT name, version, rows FROM keno_payout_tables WHERE status = 'active'`
+    );
+
+    const tables = {};
+    for (const row of result.rows) {
+      tables[row.name] = { name: row.name, version: row.version, rows: row.rows };
+    }
+
+    payoutTablesCache = tables;
+    payoutTablesCacheTimestamp = Date.now();
+    return tables;
+
+  } catch (err) {
+    console.error('[GameConfig] Error getting payout tables:', err);
+    return {};
+  }
+}
+
+/**
+ * Obtener una tabla de pagos por nombre.
+ * Sin version devuelve la activa; con version devuelve esa version exacta
+ * (activa o retirada) para reproducir juegos antiguos.
+ * @param {string} name - Nombre de la tabla
+ * @param {number|null} version - Version especifica (opcional)
+ * @returns {Object|null} { name, version, rows } o null si no existe
+ */
+async function getKenoPayoutTable(name, version = null) {
+  if (version === null || version === undefined) {
+    const tables = await getKenoPayoutTables();
+    return tables[name] || null;
+  }
+
+  const result = await pool.query(
+    `SELECT name, version, rows FROM keno_payout_tables
+     WHERE name = $1 AND version = $2 AND status IN ('active', 'retired')`,
+    [name, version]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const row = result.rows[0];
+  return { name: row.name, version: row.version, rows: row.rows };
+}
+
+/**
+ * Listar todas las versiones de tablas de pago (admin)
+ */
+async function listKenoPayoutTables() {
+  const result = await pool.query(
+    `SELECT name, version, rows, status, created_at, updated_at, committed_at
+     FROM keno_payout_tables
+     ORDER BY name ASC, version DESC`
+  );
+  return result.rows;
+}
+
+/**
+ * Escribir una fila en la version pendiente de una tabla (como updatePayoutRow).
+ * La version pendiente es siempre (ultima version comprometida + 1).
+ * @param {string} name - Nombre de la tabla
+ * @param {number} spots - Numero de spots
+ * @param {number[]} multipliers - Multiplicadores para 0..spots aciertos
+ * @returns {Object} Fila pendiente actualizada
+ */
+async function updateKenoPayoutRow(name, spots, multipliers) {
+  if (typeof name !== 'string' || !PAYOUT_TABLE_NAME_REGEX.test(name)) {
+    throw new Error('Nombre de tabla invalido (a-z, 0-9, guiones, max 32)');
+  }
+  validatePayoutRow(spots, multipliers);
+
+  const versionResult = await pool.query(
+    `SELECT COALESCE(MAX(version), 0) AS last_version
+     FROM keno_payout_tables
+     WHERE name = $1 AND status <> 'pending'`,
+    [name]
+  );
+  const nextVersion = parseInt(versionResult.rows[0].last_version) + 1;
+
+  const result = await pool.query(
+    `INSERT INTO keno_payout_tables (name, version, rows, status)
+     VALUES ($1, $2, jsonb_build_object($3::text, $4::jsonb), 'pending')
+     ON CONFLICT (name, version) DO UPDATE SET
+       rows = keno_payout_tables.rows || EXCLUDED.rows,
+       updated_at = NOW()
+     WHERE keno_payout_tables.status = 'pending'
+     RETURNING name, version, rows, status`,
+    [name, nextVersion, String(spots), JSON.stringify(multipliers)]
+  );
+
+  if (result.rows.length === 0) {
+    throw new Error(`Version ${nextVersion} de '${name}' ya no esta pendiente`);
+  }
+
+  console.log(`[GameConfig] Payout row '${name}' v${nextVersion} spots=${spots} set to [${multipliers.join(', ')}]`);
+  return result.rows[0];
+}
+
+/**
+ * Activar la version pendiente de una tabla (como commitPayoutUpdate).
+ * Requiere todas las filas de spots (min..max) pobladas.
+ * La version activa anterior pasa a 'retired'.
+ * @param {string} name - Nombre de la tabla
+ * @returns {Object} { name, version }
+ */
+async function commitKenoPayoutUpdate(name) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const pendingResult = await client.query(
+      `SELECT id, version, rows FROM keno_payout_tables
+       WHERE name = $1 AND status = 'pending'
+       FOR UPDATE`,
+      [name]
+    );
+
+    if (pendingResult.rows.length === 0) {
+      throw new Error(`No hay version pendiente para '${name}'`);
+    }
+
+    const pending = pendingResult.rows[0];
+    for (let spots = MVP_DEFAULTS.keno_min_spots; spots <= MVP_DEFAULTS.keno_max_spots; spots++) {
+      if (!Array.isArray(pending.rows[spots])) {
+        throw new Error(`Faltan filas: spots ${spots} no poblado en '${name}' v${pending.version}`);
+      }
+    }
+
+    await client.query(
+      `UPDATE keno_payout_tables
+       SET status = 'retired', updated_at = NOW()
+       WHERE name = $1 AND status = 'active'`,
+      [name]
+    );
+
+    await client.query(
+      `UPDATE keno_payout_tables
+       SET status = 'active', committed_at = NOW(), updated_at = NOW()
+       WHERE id = $1`,
+      [pending.id]
+    );
+
+    await client.query('COMMIT');
+
+    invalidatePayoutTablesCache();
+    console.log(`[GameConfig] Payout table '${name}' committed (version ${pending.version})`);
+
+    return { name, version: pending.version };
+
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
 module.exports = {
   getAllConfig,
   getConfigValue,
@@ -476,7 +1166,28 @@ module.exports = {
   invalidateCache,
   // Loss limits
   getLossLimitConfig,
+  // Bolita limits
+  getBolitaLimitsConfig,
   // Bingo config
   getBingoConfig,
+  validateBingoPatterns,
+  // Bingo rooms
+  getBingoRooms,
+  getBingoRoom,
+  updateBingoRoom,
+  validateBingoRoomSettings,
+  isBingoRoomOpen,
+  nextBingoRoomOpening,
+  invalidateBingoRoomsCache,
+  BINGO_ROOM_LIMITS,
+  // Keno payout tables
+  normalizeBetAmounts,
+  validatePayoutRow,
+  getKenoPayoutTables,
+  getKenoPayoutTable,
+  listKenoPayoutTables,
+  updateKenoPayoutRow,
+  commitKenoPayoutUpdate,
+  invalidatePayoutTablesCache,
   MVP_DEFAULTS
 };
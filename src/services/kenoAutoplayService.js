@@ -0,0 +1,460 @@
+/**
+ * Keno Autoplay Service
+ *
+ * Ejecuta N jugadas consecutivas con los mismos numeros, una cada
+ * keno_autoplay_interval_ms, dentro de la sesion keno_sessions activa.
+ *
+ * Reglas de parada (la primera que se cumpla):
+ * - stop_loss: perdida neta del autoplay >= stopLoss
+ * - single_win: un pago individual >= stopWin
+ * - loss_limit: checkLossLimits rechaza la jugada (juego responsable)
+ * - responsible_gaming: limite, enfriamiento o autoexclusion del jugador
+ * - reality_check: aviso de sesion pendiente de confirmar
+ * - insufficient_balance: sin balance para la siguiente apuesta
+ * - session_closed: la sesion se liquido/cerro durante el autoplay
+ * - cancelled_by_player: el jugador cancelo
+ * - draws_completed: se jugaron todas las rondas
+ *
+ * El progreso vive en keno_autoplay_runs; cada juego guarda autoplay_id.
+ */
+
+const pool = require('../db');
+const kenoService = require('./kenoService');
+const kenoSessionService = require('./kenoSessionService');
+const kenoVrfService = require('./kenoVrfService');
+const gameConfigService = require('./gameConfigService');
+const { toCents, fromCents } = require('../utils/money');
+
+const AUTOPLAY_STATUS = {
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  STOPPED: 'stopped',
+  CANCELLED: 'cancelled',
+  FAILED: 'failed'
+};
+
+const STOP_REASONS = {
+  DRAWS_COMPLETED: 'draws_completed',
+  STOP_LOSS: 'stop_loss',
+  SINGLE_WIN: 'single_win',
+  LOSS_LIMIT: 'loss_limit',
+  RESPONSIBLE_GAMING: 'responsible_gaming',
+  REALITY_CHECK: 'reality_check',
+  INSUFFICIENT_BALANCE: 'insufficient_balance',
+  SESSION_CLOSED: 'session_closed',
+  CANCELLED_BY_PLAYER: 'cancelled_by_player',
+  ERROR: 'error'
+};
+
+// Timers pendientes por runId (solo en este proceso)
+const timers = new Map();
+let stopped = false;
+
+// Motivo de parada para los errores con codigo de playKeno
+const ERROR_STOP_REASONS = {
+  LOSS_LIMIT: STOP_REASONS.LOSS_LIMIT,
+  RESPONSIBLE_GAMING: STOP_REASONS.RESPONSIBLE_GAMING,
+  REALITY_CHECK_REQUIRED: STOP_REASONS.REALITY_CHECK,
+  INSUFFICIENT_BALANCE: STOP_REASONS.INSUFFICIENT_BALANCE
+};
+
+/**
+ * Estado final segun el motivo de parada
+ */
+function statusForReason(reason) {
+  if (reason === STOP_REASONS.DRAWS_COMPLETED) return AUTOPLAY_STATUS.COMPLETED;
+  if (reason === STOP_REASONS.CANCELLED_BY_PLAYER) return AUTOPLAY_STATUS.CANCELLED;
+  if (reason === STOP_REASONS.ERROR) return AUTOPLAY_STATUS.FAILED;
+  return AUTOPLAY_STATUS.STOPPED;
+}
+
+/**
+ * Evaluar reglas de parada tras una jugada (puro, sin BD)
+ * @param {Object} run - Fila de keno_autoplay_runs ya actualizada con la jugada
+ * @param {Object} game - Resultado de playKeno
+ * @returns {string|null} Motivo de parada o null para continuar
+ */
+function evaluateStop(run, game) {
+  const stopWin = run.stop_on_single_win != null ? parseFloat(run.stop_on_single_win) : null;
+  if (stopWin > 0 && toCents(game.payout || 0) >= toCents(stopWin)) {
+    return STOP_REASONS.SINGLE_WIN;
+  }
+
+  const stopLoss = run.stop_on_net_loss != null ? parseFloat(run.stop_on_net_loss) : null;
+  if (stopLoss > 0) {
+    const lossCents = toCents(run.total_wagered || 0) - toCents(run.total_won || 0);
+    if (lossCents >= toCents(stopLoss)) {
+      return STOP_REASONS.STOP_LOSS;
+    }
+  }
+
+  if (parseInt(run.draws_completed) >= parseInt(run.total_draws)) {
+    return STOP_REASONS.DRAWS_COMPLETED;
+  }
+
+  return null;
+}
+
+/**
+ * Validar un umbral opcional (stopLoss / stopWin)
+ * @returns {number|null}
+ */
+function parseThreshold(value, label) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const parsed = parseFloat(value);
+  if (!Number.isFinite(parsed) || parsed <= 0) {
+    throw new Error(`${label} debe ser un monto mayor a 0`);
+  }
+  return parsed;
+}
+
+/**
+ * Formatear fila de keno_autoplay_runs para la API
+ */
+function formatRun(row) {
+  const totalWagered = parseFloat(row.total_wagered) || 0;
+  const totalWon = parseFloat(row.total_won) || 0;
+  const totalDraws = parseInt(row.total_draws);
+  const drawsCompleted = parseInt(row.draws_completed) || 0;
+
+  return {
+    id: row.id,
+    sessionId: row.session_id,
+    status: row.status,
+    stopReason: row.stop_reason || null,
+    errorMessage: row.error_message || null,
+    numbers: typeof row.selected_numbers === 'string'
+      ? JSON.parse(row.selected_numbers)
+      : row.selected_numbers,
+    betAmount: parseFloat(row.bet_amount),
+    payoutTable: row.payout_table || null,
+    totalDraws,
+    drawsCompleted,
+    remainingDraws: row.status === AUTOPLAY_STATUS.RUNNING ? totalDraws - drawsCompleted : 0,
+    totalWagered,
+    totalWon,
+    netResult: fromCents(toCents(totalWon) - toCents(totalWagered)),
+    stopLoss: row.stop_on_net_loss != null ? parseFloat(row.stop_on_net_loss) : null,
+    stopWin: row.stop_on_single_win != null ? parseFloat(row.stop_on_single_win) : null,
+    lastGameId: row.last_game_id || null,
+    createdAt: row.created_at,
+    finishedAt: row.finished_at || null
+  };
+}
+
+/**
+ * Programar la siguiente jugada de un autoplay
+ */
+function scheduleNext(runId, delayMs) {
+  if (stopped) return;
+
+  clearTimeout(timers.get(runId));
+  const timer = setTimeout(() => {
+    runNextDraw(runId).catch(err => {
+      console.error(`[KenoAutoplay] Error in run ${runId}:`, err.message);
+    });
+  }, delayMs);
+  if (timer.unref) timer.unref();
+  timers.set(runId, timer);
+}
+
+/**
+ * Marcar un autoplay como finalizado (solo si sigue en curso)
+ */
+async function finishRun(runId, reason, errorMessage = null) {
+  clearTimeout(timers.get(runId));
+  timers.delete(runId);
+
+  const result = await pool.query(
+    `UPDATE keno_autoplay_runs
+     SET status = $2, stop_reason = $3, error_message = $4,
+         finished_at = NOW(), updated_at = NOW()
+     WHERE id = $1 AND status = 'running'
+     RETURNING *`,
+    [runId, statusForReason(reason), reason, errorMessage]
+  );
+
+  if (result.rows.length > 0) {
+    console.log(`[KenoAutoplay] Run ${runId} finished: ${reason}`);
+  }
+  return result.rows[0] || null;
+}
+
+/**
+ * Iniciar autoplay
+ * @param {string} walletAddress
+ * @param {Object} params - { numbers, amount, draws, stopLoss, stopWin, payoutTable, clientSeed }
+ * @returns {Object} Autoplay creado
+ */
+async function startAutoplay(walletAddress, params) {
+  const wallet = walletAddress.toLowerCase();
+  const { numbers, amount, draws, stopLoss, stopWin, payoutTable, clientSeed } = params;
+
+  const config = await gameConfigService.getKenoConfig();
+
+  // Rondas
+  const totalDraws = Number(draws);
+  const maxDraws = config.autoplayMaxDraws;
+  if (!Number.isInteger(totalDraws) || totalDraws < 1 || totalDraws > maxDraws) {
+    throw new Error(`Numero de rondas invalido (1-${maxDraws})`);
+  }
+
+  // Numeros: mismas reglas que playKeno, validadas antes de encolar
+  if (!Array.isArray(numbers) || numbers.length < config.minSpots) {
+    throw new Error(`Selecciona al menos ${config.minSpots} numero`);
+  }
+  if (numbers.length > config.maxSpots) {
+    throw new Error(`Maximo ${config.maxSpots} numeros`);
+  }
+  for (const num of numbers) {
+    if (!Number.isInteger(num) || num < 1 || num > config.totalNumbers) {
+      throw new Error(`Numero ${num} fuera de rango (1-${config.totalNumbers})`);
+    }
+  }
+  if (new Set(numbers).size !== numbers.length) {
+    throw new Error('Los numeros deben ser unicos');
+  }
+
+  const bet = kenoService.resolveBetAmount(amount, config.betAmounts || [config.betAmount]);
+
+  const tableName = payoutTable || null;
+  if (tableName && !(await kenoService.resolvePayoutTable(tableName))) {
+    throw new Error(`Tabla de pagos '${tableName}' no disponible`);
+  }
+
+  const stopOnNetLoss = parseThreshold(stopLoss, 'stopLoss');
+  const stopOnSingleWin = parseThreshold(stopWin, 'stopWin');
+  const seed = typeof clientSeed === 'string' ? clientSeed.slice(0, 64) : '';
+
+  const session = await kenoSessionService.getOrCreateSession(wallet);
+
+  let run;
+  try {
+    const result = await pool.query(
+      `INSERT INTO keno_autoplay_runs (
+        session_id, wallet_address, selected_numbers, bet_amount, payout_table,
+        client_seed, total_draws, stop_on_net_loss, stop_on_single_win, status
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'running')
+      RETURNING *`,
+      [
+        session.id, wallet, JSON.stringify(numbers), bet, tableName,
+        seed, totalDraws, stopOnNetLoss, stopOnSingleWin
+      ]
+    );
+    run = result.rows[0];
+  } catch (err) {
+    if (err.code === '23505') {
+      throw new Error('Ya tienes un autoplay activo. Cancelalo o espera que termine.');
+    }
+    throw err;
+  }
+
+  console.log(`[KenoAutoplay] Run ${run.id} started for ${wallet}: ${totalDraws} draws, bet $${bet}`);
+
+  // Primera jugada inmediata
+  scheduleNext(run.id, 0);
+
+  return formatRun(run);
+}
+
+/**
+ * Ejecutar la siguiente jugada de un autoplay y reprogramar si corresponde
+ * @param {number} runId
+ */
+async function runNextDraw(runId) {
+  timers.delete(runId);
+
+  // Cualquier fallo del paso cierra el autoplay: sin timer quedaria 'running' para siempre
+  try {
+    return await playNextDraw(runId);
+  } catch (err) {
+    const reason = ERROR_STOP_REASONS[err.code] || STOP_REASONS.ERROR;
+    if (reason === STOP_REASONS.ERROR) {
+      console.error(`[KenoAutoplay] Run ${runId} failed:`, err.message);
+    }
+    return finishRun(runId, reason, err.message);
+  }
+}
+
+/**
+ * Un paso del autoplay: jugar, registrar progreso y programar el siguiente
+ */
+async function playNextDraw(runId) {
+  const runResult = await pool.query(
+    'SELECT * FROM keno_autoplay_runs WHERE id = $1',
+    [runId]
+  );
+  const run = runResult.rows[0];
+  if (!run || run.status !== AUTOPLAY_STATUS.RUNNING) {
+    return null;
+  }
+
+  // El autoplay esta ligado a su sesion: si se liquido, no abrir otra
+  const session = await kenoSessionService.getActiveSession(run.wallet_address);
+  if (!session || session.id !== run.session_id) {
+    return finishRun(runId, STOP_REASONS.SESSION_CLOSED);
+  }
+
+  const numbers = typeof run.selected_numbers === 'string'
+    ? JSON.parse(run.selected_numbers)
+    : run.selected_numbers;
+
+  // Commit-reveal: el servidor compromete el seed antes de cada jugada
+  let commitId = null;
+  const commitRevealEnabled = await gameConfigService.getConfigValue('keno_commit_reveal_enabled', false);
+  if (commitRevealEnabled) {
+    ({ commitId } = await kenoVrfService.createSeedCommit(run.wallet_address));
+  }
+
+  const game = await kenoService.playKeno(
+    run.wallet_address,
+    numbers,
+    parseFloat(run.bet_amount),
+    commitId,
+    run.client_seed || '',
+    run.payout_table,
+    run.id
+  );
+
+  // Progreso (se registra aunque el jugador haya cancelado durante la jugada)
+  const updated = await pool.query(
+    `UPDATE keno_autoplay_runs
+     SET draws_completed = draws_completed + 1,
+         total_wagered = total_wagered + $2,
+         total_won = total_won + $3,
+         last_game_id = $4,
+         updated_at = NOW()
+     WHERE id = $1
+     RETURNING *`,
+    [runId, game.betAmount, game.payout, game.gameId]
+  );
+  const progress = updated.rows[0];
+
+  if (progress.status !== AUTOPLAY_STATUS.RUNNING) {
+    return progress;
+  }
+
+  const reason = evaluateStop(progress, game);
+  if (reason) {
+    return finishRun(runId, reason);
+  }
+
+  const config = await gameConfigService.getKenoConfig();
+  scheduleNext(runId, config.autoplayIntervalMs);
+  return progress;
+}
+
+/**
+ * Cancelar autoplay del jugador
+ * @returns {Object} Autoplay cancelado
+ */
+async function cancelAutoplay(walletAddress, runId) {
+  const wallet = walletAddress.toLowerCase();
+
+  const owned = await pool.query(
+    'SELECT id FROM keno_autoplay_runs WHERE id = $1 AND wallet_address = $2',
+    [runId, wallet]
+  );
+  if (owned.rows.length === 0) {
+    throw new Error('Autoplay no encontrado');
+  }
+
+  const run = await finishRun(runId, STOP_REASONS.CANCELLED_BY_PLAYER);
+  if (!run) {
+    throw new Error('El autoplay ya finalizo');
+  }
+  return formatRun(run);
+}
+
+/**
+ * Obtener autoplay con sus jugadas
+ */
+async function getAutoplay(walletAddress, runId) {
+  const wallet = walletAddress.toLowerCase();
+
+  const result = await pool.query(
+    'SELECT * FROM keno_autoplay_runs WHERE id = $1 AND wallet_address = $2',
+    [runId, wallet]
+  );
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const games = await pool.query(
+    `SELECT game_id, hits, bet_amount, payout, net_result, timestamp
+     FROM keno_games
+     WHERE autoplay_id = $1
+     ORDER BY timestamp ASC`,
+    [runId]
+  );
+
+  return {
+    ...formatRun(result.rows[0]),
+    games: games.rows.map(g => ({
+      gameId: g.game_id,
+      hits: g.hits,
+      betAmount: parseFloat(g.bet_amount),
+      payout: parseFloat(g.payout),
+      netResult: parseFloat(g.net_result),
+      timestamp: g.timestamp
+    }))
+  };
+}
+
+/**
+ * Obtener autoplay en curso del jugador (o null)
+ */
+async function getActiveAutoplay(walletAddress) {
+  const result = await pool.query(
+    `SELECT * FROM keno_autoplay_runs WHERE wallet_address = $1 AND status = 'running'`,
+    [walletAddress.toLowerCase()]
+  );
+  return result.rows.length > 0 ? formatRun(result.rows[0]) : null;
+}
+
+/**
+ * Reanudar autoplays en curso tras reinicio del servidor
+ */
+async function resumeRunningAutoplays() {
+  stopped = false;
+  const result = await pool.query(
+    `SELECT id FROM keno_autoplay_runs WHERE status = 'running' ORDER BY id`
+  );
+  if (result.rows.length === 0) {
+    return 0;
+  }
+
+  const config = await gameConfigService.getKenoConfig();
+  for (const row of result.rows) {
+    scheduleNext(row.id, config.autoplayIntervalMs);
+  }
+  console.log(`[KenoAutoplay] Resumed ${result.rows.length} running autoplay(s)`);
+  return result.rows.length;
+}
+
+/**
+ * Detener todos los timers (graceful shutdown). Los autoplays quedan en
+ * 'running' y se reanudan al arrancar.
+ */
+function stopAll() {
+  stopped = true;
+  for (const timer of timers.values()) {
+    clearTimeout(timer);
+  }
+  timers.clear();
+}
+
+module.exports = {
+  AUTOPLAY_STATUS,
+  STOP_REASONS,
+  evaluateStop,
+  startAutoplay,
+  runNextDraw,
+  cancelAutoplay,
+  getAutoplay,
+  getActiveAutoplay,
+  resumeRunningAutoplays,
+  stopAll
+};
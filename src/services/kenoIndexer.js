@@ -1,16 +1,25 @@
 /**
  * Keno On-Chain Event Indexer
  *
- * Polls KenoGame.sol contract events via getLogs and persists resolved
- * bets into the keno_games table so they appear in GET /keno/history.
- *
- * Uses getLogs polling (not eth_newFilter) — Polygon Amoy RPC does not
- * support eth_getFilterChanges.
+ * Persists resolved KenoGame.sol bets into the keno_games table so they
+ * appear in GET /keno/history. Polling, confirmation depth and reorg
+ * rollback live in ChainIndexer.
  *
  * Event indexed:
  *   BetResolved → keno_games INSERT
  *     After event, calls bets(betId) on-chain to get selectedBitmap,
  *     drawnBitmap, spots, amount — needed for the full history row.
+ *   KenoSessionSettled → keno_settlement_events INSERT
+ *     Consumed by kenoSettlementService.reconcileSettlements to match
+ *     on-chain settlements against the keno_settlements queue.
+ *
+ * Both rows are written on the indexer's transaction client, so a DB error
+ * fails the event and it is retried; the realtime push and the referral
+ * commission wait until it commits.
+ *
+ * Reorg revert: the keno_games row (and its pending referral commission) or
+ * the keno_settlement_events row is deleted; a settlement already matched
+ * against it goes back to unreconciled.
  *
  * Env vars required:
  *   KENO_CONTRACT_ADDRESS   — deployed KenoGame address
@@ -19,13 +28,15 @@
 
 const { ethers } = require('ethers');
 const { query } = require('../config/database');
-const { loadIndexerBlock, saveIndexerBlock } = require('../db/indexerState');
-const { calculateBetCommissionByWallet } = require('./referralAdminService');
+const { ChainIndexer } = require('./chainIndexer');
+const { calculateBetCommissionByWallet, reverseBetCommission } = require('./referralAdminService');
+const realtimeService = require('./realtimeService');
 
 // Minimal ABI — only events + bets() public mapping needed for indexing
 const ABI = [
   // Events
   'event BetResolved(uint256 indexed betId, address indexed user, uint8 hits, uint256 payout, bool paid)',
+  'event KenoSessionSettled(address indexed user, uint256 netAmount, bool isProfit, bytes32 sessionId)',
   // View functions
   'function bets(uint256 betId) view returns (address user, uint128 amount, uint128 payout, uint8 spots, uint8 hits, uint256 selectedBitmap, uint256 drawnBitmap, uint8 status)',
 ];
@@ -46,103 +57,49 @@ function parseBitmap(bitmap) {
   return nums;
 }
 
-class KenoIndexer {
+class KenoIndexer extends ChainIndexer {
   constructor() {
-    this.contract = null;
-    this.provider = null;
-    this.isRunning = false;
-    this.pollTimer = null;
-    this.lastBlockProcessed = 0;
-    this.pollingInterval = 12000; // 12 s — ~1 Polygon block
+    super({
+      name: 'keno',
+      tag: 'KenoIndexer',
+      abi: ABI,
+      addressEnv: 'KENO_CONTRACT_ADDRESS',
+      events: ['BetResolved', 'KenoSessionSettled'],
+    });
   }
 
-  // ── Lifecycle ────────────────────────────────────────────────────────
-
-  async init() {
-    const contractAddress = process.env.KENO_CONTRACT_ADDRESS;
-    const rpcUrl = process.env.POLYGON_RPC_URL || process.env.RPC_URL;
-
-    if (!contractAddress || !rpcUrl) {
-      console.log('[KenoIndexer] Missing KENO_CONTRACT_ADDRESS or RPC_URL — skipping');
-      return false;
-    }
-
-    try {
-      this.provider = new ethers.JsonRpcProvider(rpcUrl);
-      this.contract = new ethers.Contract(contractAddress, ABI, this.provider);
-      this._contractAddress = contractAddress;
-      console.log(`[KenoIndexer] Initialized — contract ${contractAddress}`);
-      return true;
-    } catch (err) {
-      console.error('[KenoIndexer] Failed to initialize:', err.message);
-      return false;
+  async applyEvent(parsed, log, client, afterCommit) {
+    if (parsed.name === 'BetResolved') {
+      await this._indexBetResolved(parsed.args, log.transactionHash, client, afterCommit);
+    } else if (parsed.name === 'KenoSessionSettled') {
+      await this._indexSessionSettled(parsed.args, log, client);
     }
   }
 
-  async start() {
-    if (!this.contract) {
-      const ok = await this.init();
-      if (!ok) return;
-    }
-    if (this.isRunning) return;
-    this.isRunning = true;
-
-    try {
-      const saved = await loadIndexerBlock('keno');
-      if (saved !== null) {
-        this.lastBlockProcessed = saved;
-        console.log(`[KenoIndexer] Resuming from block ${saved} (DB state)`);
-      } else {
-        const currentBlock = await this.provider.getBlockNumber();
-        this.lastBlockProcessed = Math.max(0, currentBlock - 200);
-        console.log(`[KenoIndexer] No DB state — starting from block ${this.lastBlockProcessed}`);
-      }
-    } catch (_) {
-      this.lastBlockProcessed = 0;
-    }
-
-    this._schedulePoll();
-    console.log('[KenoIndexer] Event polling active');
-  }
-
-  stop() {
-    this.isRunning = false;
-    if (this.pollTimer) { clearTimeout(this.pollTimer); this.pollTimer = null; }
-    console.log('[KenoIndexer] Stopped');
-  }
-
-  // ── Polling ──────────────────────────────────────────────────────────
-
-  _schedulePoll() {
-    if (!this.isRunning) return;
-    this.pollTimer = setTimeout(() => this._poll(), this.pollingInterval);
-  }
-
-  async _poll() {
-    if (!this.isRunning) return;
-    try {
-      const currentBlock = await this.provider.getBlockNumber();
-      if (currentBlock > this.lastBlockProcessed) {
-        const logs = await this.provider.getLogs({
-          address: this._contractAddress,
-          fromBlock: this.lastBlockProcessed + 1,
-          toBlock: currentBlock,
-        });
-        for (const log of logs) {
-          try {
-            const parsed = this.contract.interface.parseLog(log);
-            if (parsed && parsed.name === 'BetResolved') {
-              await this._indexBetResolved(parsed.args, log.transactionHash);
-            }
-          } catch (_) { /* skip non-matching logs */ }
-        }
-        this.lastBlockProcessed = currentBlock;
-        await saveIndexerBlock('keno', currentBlock);
+  async revertEvent(event) {
+    if (event.eventName === 'BetResolved') {
+      const gameId = `KENO-CHAIN-${event.args[0]}`;
+      await reverseBetCommission(gameId, 'keno');
+      await query('DELETE FROM keno_games WHERE game_id = $1', [gameId]);
+      console.log(`[KenoIndexer] Reverted ${gameId} (tx ${event.txHash})`);
+    } else if (event.eventName === 'KenoSessionSettled') {
+      const removed = await query(
+        `DELETE FROM keno_settlement_events
+         WHERE tx_hash = $1 AND log_index = $2
+         RETURNING settlement_id`,
+        [event.txHash, event.logIndex]
+      );
+      const settlementId = removed.rows[0]?.settlement_id;
+      if (settlementId) {
+        await query(
+          `UPDATE keno_settlements
+           SET reconcile_status = NULL, reconciled_at = NULL, updated_at = NOW()
+           WHERE id = $1`,
+          [settlementId]
+        );
       }
-    } catch (err) {
-      console.error('[KenoIndexer] Poll error:', err.message);
+      console.log(`[KenoIndexer] Reverted KenoSessionSettled tx=${event.txHash}`);
     }
-    this._schedulePoll();
   }
 
   // ── Indexing ─────────────────────────────────────────────────────────
@@ -155,7 +112,7 @@ class KenoIndexer {
    * We call bets(betId) to get the full struct (bitmaps, amount, spots)
    * so the history row has all the fields needed for display.
    */
-  async _indexBetResolved(args, txHash) {
+  async _indexBetResolved(args, txHash, db, afterCommit) {
     const betId = Number(args.betId);
     const userAddress = args.user.toLowerCase();
     const payoutUsdt = parseFloat(ethers.formatUnits(args.payout, TOKEN_DECIMALS));
@@ -163,15 +120,11 @@ class KenoIndexer {
     const gameId = `KENO-CHAIN-${betId}`;
 
     // Already indexed?  Skip (idempotent on backfill / re-org)
-    try {
-      const existing = await query(
-        'SELECT game_id FROM keno_games WHERE game_id = $1',
-        [gameId]
-      );
-      if (existing.rows.length > 0) return;
-    } catch (err) {
-      console.warn(`[KenoIndexer] Could not check existing for betId=${betId}:`, err.message);
-    }
+    const existing = await db.query(
+      'SELECT game_id FROM keno_games WHERE game_id = $1',
+      [gameId]
+    );
+    if (existing.rows.length > 0) return;
 
     // Fetch full bet struct from contract (selectedBitmap, drawnBitmap, spots, amount)
     let selectedNumbers = [];
@@ -205,76 +158,73 @@ class KenoIndexer {
       .padEnd(64, '0')
       .slice(0, 64);
 
-    try {
-      await query(`
-        INSERT INTO keno_games (
-          game_id, wallet_address,
-          selected_numbers, drawn_numbers, matched_numbers,
-          spots, hits, bet_amount, multiplier, payout, net_result,
-          seed, settled, settled_at, timestamp, vrf_verified
-        ) VALUES (
-          $1, $2,
-          $3::jsonb, $4::jsonb, $5::jsonb,
-          $6, $7, $8, $9, $10, $11,
-          $12, true, NOW(), NOW(), true
-        )
-        ON CONFLICT (game_id) DO NOTHING
-      `, [
-        gameId, userAddress,
-        JSON.stringify(selectedNumbers),
-        JSON.stringify(drawnNumbers),
-        JSON.stringify(matchedNumbers),
-        spots, hits,
-        betAmountUsdt, multiplier, payoutUsdt, netResult,
-        seed,
-      ]);
-
+    const inserted = await db.query(`
+      INSERT INTO keno_games (
+        game_id, wallet_address,
+        selected_numbers, drawn_numbers, matched_numbers,
+        spots, hits, bet_amount, multiplier, payout, net_result,
+        seed, settled, settled_at, timestamp, vrf_verified
+      ) VALUES (
+        $1, $2,
+        $3::jsonb, $4::jsonb, $5::jsonb,
+        $6, $7, $8, $9, $10, $11,
+        $12, true, NOW(), NOW(), true
+      )
+      ON CONFLICT (game_id) DO NOTHING
+    `, [
+      gameId, userAddress,
+      JSON.stringify(selectedNumbers),
+      JSON.stringify(drawnNumbers),
+      JSON.stringify(matchedNumbers),
+      spots, hits,
+      betAmountUsdt, multiplier, payoutUsdt, netResult,
+      seed,
+    ]);
+
+    afterCommit(() => {
       // Comision de referido (fire-and-forget, no bloquea el indexer)
-      calculateBetCommissionByWallet(gameId, userAddress, betAmountUsdt).catch(() => {});
+      calculateBetCommissionByWallet(gameId, userAddress, betAmountUsdt, 'keno').catch(() => {});
 
-      console.log(
-        `[KenoIndexer] Indexed betId=${betId} user=${userAddress} ` +
-        `hits=${hits}/${spots} payout=${payoutUsdt} USDT`
-      );
-    } catch (err) {
-      console.error(`[KenoIndexer] DB error for betId=${betId}:`, err.message);
-    }
-  }
+      if (inserted.rowCount > 0) {
+        realtimeService.publishKenoResult({
+          gameId, walletAddress: userAddress, spots, hits,
+          betAmount: betAmountUsdt, payout: payoutUsdt, multiplier
+        });
+      }
+    });
 
-  // ── Backfill ─────────────────────────────────────────────────────────
+    console.log(
+      `[KenoIndexer] Indexed betId=${betId} user=${userAddress} ` +
+      `hits=${hits}/${spots} payout=${payoutUsdt} USDT`
+    );
+  }
 
   /**
-   * Backfill all historical BetResolved events from a given block.
-   * Call once manually (or via a script) to populate history for games
-   * that happened before the indexer was running.
-   *
-   *   const { kenoIndexer } = require('./src/services/kenoIndexer');
-   *   await kenoIndexer.backfill(0);   // from genesis
+   * Persist a KenoSessionSettled event for settlement reconciliation.
+   * Idempotent on (tx_hash, log_index).
    */
-  async backfill(fromBlock = 0) {
-    if (!this.contract) {
-      const ok = await this.init();
-      if (!ok) return;
-    }
-
-    console.log(`[KenoIndexer] Backfilling BetResolved from block ${fromBlock}...`);
-    try {
-      const filter = this.contract.filters.BetResolved();
-      const logs = await this.contract.queryFilter(filter, fromBlock);
-      console.log(`[KenoIndexer] ${logs.length} BetResolved events to backfill`);
-
-      for (const log of logs) {
-        const parsed = this.contract.interface.parseLog({
-          topics: log.topics,
-          data: log.data,
-        });
-        await this._indexBetResolved(parsed.args, log.transactionHash);
-      }
-    } catch (err) {
-      console.error('[KenoIndexer] Backfill error:', err.message);
-    }
-
-    console.log('[KenoIndexer] Backfill complete');
+  async _indexSessionSettled(args, log, db) {
+    const userAddress = args.user.toLowerCase();
+    await db.query(`
+      INSERT INTO keno_settlement_events (
+        session_id_bytes32, wallet_address, net_amount_wei, is_profit,
+        tx_hash, block_number, log_index
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+      ON CONFLICT (tx_hash, log_index) DO NOTHING
+    `, [
+      args.sessionId.toLowerCase(),
+      userAddress,
+      args.netAmount.toString(),
+      args.isProfit,
+      log.transactionHash,
+      log.blockNumber,
+      log.index,
+    ]);
+
+    console.log(
+      `[KenoIndexer] Indexed KenoSessionSettled session=${args.sessionId} user=${userAddress} ` +
+      `${args.isProfit ? '+' : '-'}${ethers.formatUnits(args.netAmount, TOKEN_DECIMALS)} USDT`
+    );
   }
 }
 
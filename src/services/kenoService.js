@@ -7,11 +7,13 @@
  * - Liquidacion con contrato al cerrar sesion
  *
  * MVP Config:
- * - Apuesta fija: 1 USDT (bruta)
+ * - Apuesta: una de las denominaciones permitidas (keno_bet_amounts, default [1])
  * - Fee: 12% (1200 bps) sobre cada apuesta (siempre, gane o pierda)
  * - Apuesta efectiva: $0.88 (bruta - fee)
  * - Multiplicadores aplican sobre apuesta efectiva
  * - Max Payout: DINAMICO (10% del pool)
+ * - Tablas de pago con nombre y version (gameConfigService); cada juego guarda
+ *   payout_table + payout_table_version para poder reproducirlo
  *
  * Sistema de Cap Dinamico:
  * - Pool $500 → Max Payout $50
@@ -25,6 +27,9 @@ const crypto = require('crypto');
 const kenoSessionService = require('./kenoSessionService');
 const gameConfigService = require('./gameConfigService');
 const kenoVrfService = require('./kenoVrfService');
+const realtimeService = require('./realtimeService');
+const ledgerService = require('./ledgerService');
+const responsibleGamingService = require('./responsibleGamingService');
 const { toCents, fromCents } = require('../utils/money');
 const { calculateBetCommissionByWallet } = require('./referralAdminService');
 
@@ -41,6 +46,10 @@ const KENO_CONFIG = {
   POOL_BPS: 8800          // 88% apuesta efectiva
 };
 
+// Nombre de la tabla de pagos por defecto. Si no hay version comprometida en BD,
+// se usa PAYOUT_TABLE como version 0.
+const DEFAULT_PAYOUT_TABLE_NAME = 'classic';
+
 // Tabla de pagos (spots -> hits -> multiplicador)
 const PAYOUT_TABLE = {
   1: { 0: 0, 1: 3 },
@@ -58,6 +67,18 @@ const PAYOUT_TABLE = {
 // NOTA: Keno usa balance de base de datos (users.balance)
 // No interactúa con el smart contract directamente
 
+/**
+ * Error con codigo para que los llamadores (ej. autoplay) distingan la causa
+ * @param {string} code - LOSS_LIMIT | INSUFFICIENT_BALANCE
+ * @param {string} message
+ * @returns {Error}
+ */
+function codedError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
 /**
  * Check loss limits for responsible gaming
  * @param {Object} client - DB client (within transaction)
@@ -80,7 +101,7 @@ async function checkLossLimits(client, wallet, session) {
     );
     const dailyLoss = fromCents(toCents(dailyResult.rows[0].daily_loss || 0));
     if (dailyLoss >= limits.dailyLossLimit) {
-      throw new Error(`Limite de perdida diaria alcanzado ($${dailyLoss.toFixed(2)} / $${limits.dailyLossLimit}). Intenta manana.`);
+      throw codedError('LOSS_LIMIT', `Limite de perdida diaria alcanzado ($${dailyLoss.toFixed(2)} / $${limits.dailyLossLimit}). Intenta manana.`);
     }
   }
 
@@ -88,7 +109,7 @@ async function checkLossLimits(client, wallet, session) {
   if (limits.sessionLossLimit > 0 && session) {
     const sessionLoss = fromCents(toCents(session.total_wagered || 0) - toCents(session.total_won || 0));
     if (sessionLoss >= limits.sessionLossLimit) {
-      throw new Error(`Limite de perdida de sesion alcanzado ($${sessionLoss.toFixed(2)} / $${limits.sessionLossLimit}). Cierra sesion para continuar.`);
+      throw codedError('LOSS_LIMIT', `Limite de perdida de sesion alcanzado ($${sessionLoss.toFixed(2)} / $${limits.sessionLossLimit}). Cierra sesion para continuar.`);
     }
   }
 
@@ -96,11 +117,65 @@ async function checkLossLimits(client, wallet, session) {
   if (limits.maxGamesPerSession > 0 && session) {
     const gamesPlayed = parseInt(session.games_played || 0);
     if (gamesPlayed >= limits.maxGamesPerSession) {
-      throw new Error(`Maximo de juegos por sesion alcanzado (${gamesPlayed} / ${limits.maxGamesPerSession}). Cierra sesion para continuar.`);
+      throw codedError('LOSS_LIMIT', `Maximo de juegos por sesion alcanzado (${gamesPlayed} / ${limits.maxGamesPerSession}). Cierra sesion para continuar.`);
     }
   }
 }
 
+/**
+ * Validar la apuesta contra las denominaciones permitidas
+ * Sin monto (clientes anteriores a las denominaciones) se usa la apuesta base.
+ * @param {number|string} betAmount - Monto solicitado por el jugador
+ * @param {number[]} allowedAmounts - Denominaciones permitidas (keno_bet_amounts)
+ * @param {number} baseAmount - Apuesta base (keno_bet_amount)
+ * @returns {number} Monto de apuesta validado
+ * @throws {Error} si el monto no esta permitido
+ */
+function resolveBetAmount(betAmount, allowedAmounts, baseAmount) {
+  if ((betAmount === undefined || betAmount === null || betAmount === '') && baseAmount !== undefined) {
+    return baseAmount;
+  }
+  const bet = parseFloat(betAmount);
+  const match = Number.isFinite(bet)
+    ? allowedAmounts.find(a => toCents(a) === toCents(bet))
+    : undefined;
+  if (match === undefined) {
+    throw new Error(`Monto no permitido. Opciones: ${allowedAmounts.join(', ')} USDT`);
+  }
+  return match;
+}
+
+/**
+ * Resolver tabla de pagos por nombre y version
+ * Sin version usa la activa. 'classic' v0 es la tabla estatica PAYOUT_TABLE.
+ * @param {string} name - Nombre de la tabla
+ * @param {number|null} version - Version especifica (para verificar juegos antiguos)
+ * @returns {Object|null} { name, version, rows }
+ */
+async function resolvePayoutTable(name, version = null) {
+  if (name === DEFAULT_PAYOUT_TABLE_NAME && version === 0) {
+    return { name, version: 0, rows: PAYOUT_TABLE };
+  }
+
+  const table = await gameConfigService.getKenoPayoutTable(name, version);
+  if (table) {
+    return table;
+  }
+
+  if (name === DEFAULT_PAYOUT_TABLE_NAME && (version === null || version === undefined)) {
+    return { name, version: 0, rows: PAYOUT_TABLE };
+  }
+
+  return null;
+}
+
+/**
+ * Obtener multiplicador de una tabla (filas en formato objeto o array)
+ */
+function getMultiplier(table, spots, hits) {
+  return Number(table.rows[spots]?.[hits]) || 0;
+}
+
 /**
  * Generar numeros aleatorios verificables
  * Usa crypto para generar numeros seguros
@@ -161,20 +236,29 @@ async function getTotalBalance(walletAddress) {
  * Jugar Keno (con sistema de sesiones) - MVP
  *
  * CAMBIOS MVP:
- * - Apuesta fija $1 USDT (ignora betAmount del request)
- * - Cap de pago maximo $50 USDT
- * - Fee 12% solo sobre perdidas
+ * - betAmount debe ser una de las denominaciones permitidas
+ * - payoutTableName opcional (default: keno_default_payout_table)
+ * - autoplayId opcional: vincula el juego a un autoplay (keno_autoplay_runs)
+ * - Cap de pago maximo dinamico
+ * - Fee 12% sobre cada apuesta
  * - Validacion de solvencia del contrato
  */
-async function playKeno(walletAddress, selectedNumbers, betAmount, commitId = null, clientSeedInput = '') {
+async function playKeno(walletAddress, selectedNumbers, betAmount, commitId = null, clientSeedInput = '', payoutTableName = null, autoplayId = null) {
   const wallet = walletAddress.toLowerCase();
 
   // Obtener configuracion dinamica desde BD
   const config = await gameConfigService.getKenoConfig();
   const systemConfig = await gameConfigService.getSystemConfig();
 
-  // MVP: Apuesta fija (ignora el betAmount del request)
-  const bet = config.betAmount; // Siempre 1 USDT
+  // Apuesta: debe ser una de las denominaciones permitidas
+  const bet = resolveBetAmount(betAmount, config.betAmounts || [config.betAmount], config.betAmount);
+
+  // Tabla de pagos activa (se registra nombre + version en el juego)
+  const tableName = payoutTableName || config.defaultPayoutTable || DEFAULT_PAYOUT_TABLE_NAME;
+  const payoutTable = await resolvePayoutTable(tableName);
+  if (!payoutTable) {
+    throw new Error(`Tabla de pagos '${tableName}' no disponible`);
+  }
 
   // Validaciones de numeros
   if (!Array.isArray(selectedNumbers) || selectedNumbers.length < config.minSpots) {
@@ -209,6 +293,8 @@ async function playKeno(walletAddress, selectedNumbers, betAmount, commitId = nu
   let serverSeed;
   let seedHash = null;
   let usedCommitId = null;
+  let chainId = null;
+  let chainIndex = null;
   // Accept user-provided clientSeed for Provably Fair (sanitize to string, max 64 chars)
   const clientSeed = typeof clientSeedInput === 'string' ? clientSeedInput.slice(0, 64) : '';
 
@@ -266,11 +352,13 @@ async function playKeno(walletAddress, selectedNumbers, betAmount, commitId = nu
     const effectiveBalance = fromCents(userBalanceCents + sessionNetCents);
 
     if (bet > effectiveBalance) {
-      throw new Error(`Balance insuficiente. Tienes: $${effectiveBalance.toFixed(2)} USDT`);
+      throw codedError('INSUFFICIENT_BALANCE', `Balance insuficiente. Tienes: $${effectiveBalance.toFixed(2)} USDT`);
     }
 
     // Check loss limits (responsible gaming)
     await checkLossLimits(client, wallet, session);
+    // Limites, enfriamiento y autoexclusion del propio jugador
+    await responsibleGamingService.checkPlay(client, wallet, bet);
 
     // Commit-reveal: determine serverSeed source
     const commitRevealEnabled = await gameConfigService.getConfigValue('keno_commit_reveal_enabled', false);
@@ -282,6 +370,13 @@ async function playKeno(walletAddress, selectedNumbers, betAmount, commitId = nu
       serverSeed = commitData.server_seed;
       seedHash = commitData.seed_hash;
       usedCommitId = commitId;
+    } else if (await gameConfigService.getConfigValue('keno_seed_chain_enabled', false)) {
+      // Hash chain: siguiente seed de la cadena pre-comprometida del wallet
+      const link = await kenoVrfService.takeChainSeed(wallet, client);
+      serverSeed = link.serverSeed;
+      seedHash = link.seedHash;
+      chainId = link.chainId;
+      chainIndex = link.chainIndex;
     } else {
       // Legacy flow: generate seed on-the-fly
       serverSeed = kenoVrfService.generateServerSeed();
@@ -310,7 +405,7 @@ async function playKeno(walletAddress, selectedNumbers, betAmount, commitId = nu
     const spots = selectedNumbers.length;
 
     // Obtener multiplicador de la tabla
-    const rawMultiplier = PAYOUT_TABLE[spots]?.[hits] || 0;
+    const rawMultiplier = getMultiplier(payoutTable, spots, hits);
 
     // Fee 12% sobre apuesta bruta (siempre, gane o pierda)
     const { fee: feeAmount, effectiveBet } = gameConfigService.calculateBetFee(bet, config.feeBps);
@@ -333,8 +428,9 @@ async function playKeno(walletAddress, selectedNumbers, betAmount, commitId = nu
         spots, hits, bet_amount, multiplier, payout, net_result,
         seed, timestamp, settled, session_id,
         server_seed, client_seed, nonce, vrf_verified,
-        seed_hash, commit_id
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, false, $14, $15, $16, $17, false, $18, $19)`,
+        seed_hash, commit_id, seed_chain_id, seed_chain_index,
+        payout_table, payout_table_version, autoplay_id
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, false, $14, $15, $16, $17, false, $18, $19, $20, $21, $22, $23, $24)`,
       [
         gameId, wallet,
         JSON.stringify(selectedNumbers),
@@ -343,12 +439,13 @@ async function playKeno(walletAddress, selectedNumbers, betAmount, commitId = nu
         spots, hits, bet, rawMultiplier, payout, netResult,
         seed, new Date(timestamp), session.id,
         serverSeed, clientSeed, nonce,
-        seedHash, usedCommitId
+        seedHash, usedCommitId, chainId, chainIndex,
+        payoutTable.name, payoutTable.version, autoplayId
       ]
     );
 
     // Comision de referido (fire-and-forget, no bloquea el juego)
-    calculateBetCommissionByWallet(gameId, wallet, bet).catch(() => {});
+    calculateBetCommissionByWallet(gameId, wallet, bet, 'keno').catch(() => {});
 
     // Actualizar sesion con los totales
     await client.query(
@@ -386,12 +483,42 @@ async function playKeno(walletAddress, selectedNumbers, betAmount, commitId = nu
       [poolDelta, bet, payout, feeAmount]
     );
 
+    // Diario: la apuesta se reparte entre fee y pool; el premio sale del pool.
+    // Ambos quedan en la cuenta puente hasta que se liquida la sesion.
+    await ledgerService.post(client, {
+      type: ledgerService.ENTRY_TYPES.BET,
+      referenceType: 'keno_game',
+      referenceId: gameId,
+      postings: [
+        { account: ledgerService.ACCOUNTS.KENO_SESSIONS, amount: bet },
+        { account: ledgerService.ACCOUNTS.OPERATOR_FEES, amount: -feeAmount }
+      ],
+      balanceTo: ledgerService.ACCOUNTS.KENO_POOL
+    });
+    if (payout > 0) {
+      await ledgerService.transfer(client, {
+        type: ledgerService.ENTRY_TYPES.PRIZE,
+        from: ledgerService.ACCOUNTS.KENO_POOL,
+        to: ledgerService.ACCOUNTS.KENO_SESSIONS,
+        amount: payout,
+        referenceType: 'keno_game',
+        referenceId: gameId
+      });
+    }
+
+    const rgReference = { referenceType: 'keno_game', referenceId: gameId };
+    await responsibleGamingService.recordWager(client, wallet, 'keno', bet, rgReference);
+    await responsibleGamingService.recordPayout(client, wallet, 'keno', payout, rgReference);
+
     // Invalidar cache del pool para reflejar nuevo balance
     gameConfigService.invalidatePoolBalanceCache();
 
     await client.query('COMMIT');
 
-    console.log(`[KenoService] Game ${gameId}: ${spots} spots, ${hits} hits, bet $${bet} (eff $${effectiveBet.toFixed(2)}, fee $${feeAmount.toFixed(2)}), payout $${payout}${capped ? ' (CAPPED)' : ''}`);
+    console.log(`[KenoService] Game ${gameId}: ${spots} spots, ${hits} hits, table ${payoutTable.name} v${payoutTable.version}, bet $${bet} (eff $${effectiveBet.toFixed(2)}, fee $${feeAmount.toFixed(2)}), payout $${payout}${capped ? ' (CAPPED)' : ''}`);
+    realtimeService.publishKenoResult({
+      gameId, walletAddress: wallet, spots, hits, betAmount: bet, payout, multiplier: rawMultiplier
+    });
 
     return {
       gameId,
@@ -404,6 +531,8 @@ async function playKeno(walletAddress, selectedNumbers, betAmount, commitId = nu
       effectiveBet,
       feeAmount,
       multiplier: rawMultiplier,
+      payoutTable: payoutTable.name,
+      payoutTableVersion: payoutTable.version,
       theoreticalPayout,
       payout,
       capped,
@@ -420,6 +549,8 @@ async function playKeno(walletAddress, selectedNumbers, betAmount, commitId = nu
         combinedSeed: seed,
         seedHash,
         commitId: usedCommitId,
+        chainId,
+        chainIndex,
         vrfVerified: false
       }
     };
@@ -439,7 +570,7 @@ async function getGameHistory(walletAddress, limit = 20) {
   const result = await pool.query(
     `SELECT game_id, selected_numbers, drawn_numbers, matched_numbers,
             spots, hits, bet_amount, multiplier, payout, net_result,
-            timestamp, settled
+            payout_table, payout_table_version, timestamp, settled
      FROM keno_games
      WHERE wallet_address = $1
      ORDER BY timestamp DESC
@@ -456,6 +587,8 @@ async function getGameHistory(walletAddress, limit = 20) {
     hits: row.hits,
     betAmount: parseFloat(row.bet_amount),
     multiplier: parseFloat(row.multiplier),
+    payoutTable: row.payout_table || DEFAULT_PAYOUT_TABLE_NAME,
+    payoutTableVersion: row.payout_table_version ?? 0,
     payout: parseFloat(row.payout),
     netResult: parseFloat(row.net_result),
     isWin: parseFloat(row.net_result) > 0,
@@ -524,10 +657,20 @@ async function getKenoStats(dateFrom = null, dateTo = null) {
  */
 async function getConfig() {
   const config = await gameConfigService.getKenoConfig();
+  const defaultTableName = config.defaultPayoutTable || DEFAULT_PAYOUT_TABLE_NAME;
+
+  // Tablas activas; 'classic' siempre disponible (v0 estatica si no hay en BD)
+  const payoutTables = { ...(await gameConfigService.getKenoPayoutTables()) };
+  if (!payoutTables[DEFAULT_PAYOUT_TABLE_NAME]) {
+    payoutTables[DEFAULT_PAYOUT_TABLE_NAME] = { name: DEFAULT_PAYOUT_TABLE_NAME, version: 0, rows: PAYOUT_TABLE };
+  }
+  const defaultTable = payoutTables[defaultTableName] || payoutTables[DEFAULT_PAYOUT_TABLE_NAME];
+  const betAmounts = config.betAmounts || [config.betAmount];
 
   return {
     // Config dinamica de BD
     betAmount: config.betAmount,
+    betAmounts,
     maxPayout: config.maxPayout,
     feeBps: config.feeBps,
     poolBps: config.poolBps,
@@ -535,8 +678,10 @@ async function getConfig() {
     maxSpots: config.maxSpots,
     totalNumbers: config.totalNumbers,
     drawnNumbers: config.drawnNumbers,
-    // Tabla de pagos (estatica)
-    payoutTable: PAYOUT_TABLE,
+    // Tabla de pagos por defecto + todas las activas
+    payoutTable: defaultTable.rows,
+    defaultPayoutTable: defaultTable.name,
+    payoutTables,
     // Info de pool (cap dinamico)
     pool: {
       balance: config.poolBalance,
@@ -546,7 +691,7 @@ async function getConfig() {
     },
     // Info adicional MVP
     mvp: {
-      fixedBet: true,
+      fixedBet: betAmounts.length === 1,
       payoutCapped: true,
       dynamicCap: true,
       feeOnEveryBet: true
@@ -557,6 +702,10 @@ async function getConfig() {
 module.exports = {
   KENO_CONFIG,
   PAYOUT_TABLE,
+  DEFAULT_PAYOUT_TABLE_NAME,
+  resolveBetAmount,
+  resolvePayoutTable,
+  generateRandomNumbers,
   playKeno,
   getUserBalance,
   getTotalBalance,
@@ -11,9 +11,10 @@ const pool = require('../db');
 const ethers = require('ethers');
 const crypto = require('crypto');
 const gameConfigService = require('./gameConfigService');
+const ledgerService = require('./ledgerService');
+const { getProvider } = require('../chain/provider');
 
 // Configuración del contrato
-const RPC_URL = process.env.RPC_URL || 'http://127.0.0.1:8545';
 const CONTRACT_ADDRESS = process.env.KENO_CONTRACT_ADDRESS;
 // When KENO_CONTRACT_ADDRESS is set the contract is the on-chain VRF game (not the
 // Phase-2 settlement contract). The session service is not used for gameplay in this mode.
@@ -26,7 +27,8 @@ const SETTLEMENT_ABI = [
   "function adminDeposit(address _user, uint256 _amount) external",
   "function adminWithdraw(address _user, uint256 _amount) external",
   "function getBalance(address _user) view returns (uint256)",
-  "function userBalances(address) view returns (uint256)"
+  "function userBalances(address) view returns (uint256)",
+  "function usedSessionIds(address, bytes32) view returns (bool)"
 ];
 
 // EIP-712 Domain and Types for settlement signing
@@ -55,7 +57,7 @@ function initContract() {
       return null;
     }
     try {
-      provider = new ethers.JsonRpcProvider(RPC_URL);
+      provider = getProvider();
       signer = new ethers.Wallet(OPERATOR_PRIVATE_KEY, provider);
       contract = new ethers.Contract(CONTRACT_ADDRESS, SETTLEMENT_ABI, signer);
       console.log('[KenoSessionService] Contract initialized:', CONTRACT_ADDRESS);
@@ -66,6 +68,15 @@ function initContract() {
   return contract;
 }
 
+/**
+ * Contrato y provider para la cola de liquidación (null si no hay operador)
+ */
+function getSettlementContract() {
+  initContract();
+  if (!contract || !signer) return null;
+  return { contract, provider };
+}
+
 /**
  * Sign a settlement with EIP-712 using the operator wallet
  * @param {string} userAddress - Player wallet address
@@ -265,70 +276,42 @@ async function settleSession(walletAddress) {
       return { success: true, message: 'Empty session closed', netResult: 0 };
     }
 
-    let txHash = null;
+    let settlement = null;
     const settlementEnabled = await gameConfigService.getConfigValue('keno_settlement_enabled', false);
 
     if (netResult !== 0) {
       // Always update DB balance
+      let userResult;
       if (netResult > 0) {
-        await client.query(
-          'UPDATE users SET balance = balance + $1, updated_at = NOW() WHERE wallet_address = $2',
+        userResult = await client.query(
+          'UPDATE users SET balance = balance + $1, updated_at = NOW() WHERE wallet_address = $2 RETURNING id',
           [netResult, wallet]
         );
       } else {
-        await client.query(
-          'UPDATE users SET balance = GREATEST(0, balance + $1), updated_at = NOW() WHERE wallet_address = $2',
+        userResult = await client.query(
+          'UPDATE users SET balance = GREATEST(0, balance + $1), updated_at = NOW() WHERE wallet_address = $2 RETURNING id',
           [netResult, wallet]
         );
       }
 
-      // On-chain settlement (Phase 3)
+      // Diario: el neto de la sesion sale (o vuelve) de la cuenta puente de Keno
+      if (userResult.rows.length > 0) {
+        await ledgerService.transfer(client, {
+          type: ledgerService.ENTRY_TYPES.SESSION_SETTLEMENT,
+          from: ledgerService.ACCOUNTS.KENO_SESSIONS,
+          to: ledgerService.userAccount(userResult.rows[0].id),
+          amount: netResult,
+          referenceType: 'keno_session',
+          referenceId: session.id
+        });
+      }
+
+      // On-chain settlement (Phase 3): se encola y lo procesa kenoSettlementService
       if (settlementEnabled && CONTRACT_ADDRESS) {
-        try {
-          initContract();
-          if (contract && signer) {
-            const absAmount = Math.abs(netResult);
-            const isProfit = netResult > 0;
-            const netAmountWei = ethers.parseUnits(absAmount.toFixed(6), 6);
-
-            // Generate bytes32 sessionId from DB session id
-            const sessionIdHex = ethers.zeroPadValue(
-              ethers.toBeHex(session.id),
-              32
-            );
-
-            // Sign with EIP-712 (4 fields matching contract SETTLE_TYPEHASH)
-            const signature = await signSettlement(wallet, netAmountWei, isProfit, sessionIdHex);
-
-            // Call contract with 5 params
-            const tx = await contract.settleKenoSession(
-              wallet,
-              netAmountWei,
-              isProfit,
-              sessionIdHex,
-              signature
-            );
-            const receipt = await tx.wait();
-            txHash = receipt.hash;
-
-            console.log(`[KenoSessionService] On-chain settlement for ${wallet}: ${isProfit ? '+' : '-'}${absAmount.toFixed(2)} USDT, tx: ${txHash}`);
-          }
-        } catch (chainErr) {
-          console.error(`[KenoSessionService] On-chain settlement failed for ${wallet}, DB updated but chain diverged:`, chainErr.message);
-          // Mark as settlement_failed (not settled) so reconciliation can retry
-          await client.query(
-            `UPDATE keno_sessions SET status = 'settlement_failed', settlement_error = $1 WHERE id = $2`,
-            [`on-chain failed: ${chainErr.message}`, session.id]
-          );
-          await client.query('COMMIT');
-          return {
-            success: false,
-            sessionId: session.id,
-            netResult,
-            error: 'On-chain settlement failed. DB updated. Reconciliation pending.',
-            txHash: null
-          };
-        }
+        // Lazy require: kenoSettlementService depende de este módulo
+        const kenoSettlementService = require('./kenoSettlementService');
+        settlement = await kenoSettlementService.enqueueSettlement(client, session, netResult);
+        console.log(`[KenoSessionService] Settlement #${settlement.id} queued for ${wallet}: ${netResult > 0 ? '+' : ''}${netResult.toFixed(2)} USDT`);
       } else {
         console.log(`[KenoSessionService] Settling session for ${wallet}: ${netResult > 0 ? '+' : ''}${netResult.toFixed(2)} USDT (DB-only)`);
       }
@@ -338,14 +321,20 @@ async function settleSession(walletAddress) {
     await client.query(
       `UPDATE keno_sessions
        SET status = 'settled',
-           settled_at = NOW(),
-           settlement_tx = $1
-       WHERE id = $2`,
-      [txHash, session.id]
+           settled_at = NOW()
+       WHERE id = $1`,
+      [session.id]
     );
 
     await client.query('COMMIT');
 
+    // Primer intento inmediato; si falla queda en la cola con backoff
+    if (settlement && settlement.status !== 'confirmed') {
+      require('./kenoSettlementService').processSettlementById(settlement.id).catch(err => {
+        console.error(`[KenoSessionService] Settlement #${settlement.id} processing error:`, err.message);
+      });
+    }
+
     return {
       success: true,
       sessionId: session.id,
@@ -353,7 +342,9 @@ async function settleSession(walletAddress) {
       totalWagered: parseFloat(session.total_wagered),
       totalWon: parseFloat(session.total_won),
       gamesPlayed: session.games_played,
-      txHash
+      txHash: settlement ? settlement.tx_hash : null,
+      settlementId: settlement ? settlement.id : null,
+      settlementStatus: settlement ? settlement.status : null
     };
 
   } catch (err) {
@@ -440,6 +431,7 @@ module.exports = {
   settleSession,
   settlePendingSessions,
   settleOldSessions,
+  getSettlementContract,
   // Exported for testing EIP-712 signature structure
   signSettlement
 };
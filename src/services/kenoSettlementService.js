@@ -0,0 +1,565 @@
+/**
+ * Keno Settlement Service
+ *
+ * Cola persistente de liquidaciones on-chain de sesiones (keno_settlements):
+ *   pending -> signed -> submitted -> confirmed
+ *                                  -> failed (agotados los reintentos)
+ * - Cada intento fallido reprograma con backoff exponencial
+ * - Idempotente por session_id_bytes32: antes de enviar se consulta
+ *   usedSessionIds en el contrato, asi un reenvio nunca liquida dos veces
+ * - El reconciliador compara la cola con los eventos KenoSessionSettled
+ *   que persiste kenoIndexer (keno_settlement_events)
+ */
+
+const pool = require('../db');
+const ethers = require('ethers');
+const gameConfigService = require('./gameConfigService');
+const kenoSessionService = require('./kenoSessionService');
+const { loadIndexerBlock } = require('../db/indexerState');
+const { txManager } = require('../chain/txManager');
+
+const SETTLEMENT_STATUS = {
+  PENDING: 'pending',
+  SIGNED: 'signed',
+  SUBMITTED: 'submitted',
+  CONFIRMED: 'confirmed',
+  FAILED: 'failed'
+};
+
+const OPEN_STATUSES = [SETTLEMENT_STATUS.PENDING, SETTLEMENT_STATUS.SIGNED, SETTLEMENT_STATUS.SUBMITTED];
+
+const RECONCILE_STATUS = {
+  MATCHED: 'matched',
+  MISMATCH: 'mismatch',
+  MISSING_EVENT: 'missing_event'
+};
+
+const MAX_BACKOFF_SECONDS = 6 * 60 * 60;
+// Ventana en la que un job reclamado no lo toma otro proceso
+const CLAIM_LEASE_SECONDS = 300;
+// Tx enviada sin receipt tras este tiempo se considera descartada y se reenvia
+const DROPPED_TX_SECONDS = 30 * 60;
+const SUBMITTED_RECHECK_SECONDS = 60;
+// Margen antes de marcar missing_event en una liquidacion confirmada
+const RECONCILE_GRACE_MINUTES = 15;
+
+/**
+ * sessionId del contrato a partir del id de keno_sessions
+ */
+function sessionIdToBytes32(sessionId) {
+  return ethers.zeroPadValue(ethers.toBeHex(sessionId), 32);
+}
+
+/**
+ * Segundos hasta el proximo intento: base * 2^(intentos - 1), con tope
+ */
+function computeBackoffSeconds(attempts, baseSeconds) {
+  return Math.min(baseSeconds * 2 ** Math.max(0, attempts - 1), MAX_BACKOFF_SECONDS);
+}
+
+/**
+ * Encolar la liquidacion de una sesion (dentro de la transaccion de settleSession)
+ * @param {Object} client - Cliente pg con transaccion abierta
+ * @param {Object} session - Fila de keno_sessions
+ * @param {number} netResult - total_won - total_wagered
+ * @returns {Object} Fila de keno_settlements (la existente si ya estaba encolada)
+ */
+async function enqueueSettlement(client, session, netResult) {
+  const isProfit = netResult > 0;
+  const amount = Math.abs(netResult);
+  const amountWei = ethers.parseUnits(amount.toFixed(6), 6).toString();
+  const sessionIdBytes32 = sessionIdToBytes32(session.id);
+
+  const inserted = await client.query(
+    `INSERT INTO keno_settlements
+       (wallet_address, amount, direction, status, games_settled,
+        session_id, session_id_bytes32, amount_wei, is_profit, next_attempt_at)
+     VALUES ($1, $2, $3, 'pending', $4, $5, $6, $7, $8, NOW())
+     ON CONFLICT (session_id_bytes32) DO NOTHING
+     RETURNING *`,
+    [
+      session.wallet_address.toLowerCase(),
+      amount,
+      isProfit ? 'credit' : 'debit',
+      session.games_played,
+      session.id,
+      sessionIdBytes32,
+      amountWei,
+      isProfit
+    ]
+  );
+
+  if (inserted.rows.length > 0) {
+    return inserted.rows[0];
+  }
+
+  const existing = await client.query(
+    'SELECT * FROM keno_settlements WHERE session_id_bytes32 = $1',
+    [sessionIdBytes32]
+  );
+  return existing.rows[0];
+}
+
+/**
+ * Marcar confirmada la liquidacion y la sesion
+ */
+async function markConfirmed(job, txHash, blockNumber) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `UPDATE keno_settlements
+       SET status = 'confirmed',
+           tx_hash = COALESCE($2, tx_hash),
+           block_number = COALESCE($3, block_number),
+           confirmed_at = NOW(),
+           completed_at = NOW(),
+           last_error = NULL,
+           updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [job.id, txHash, blockNumber]
+    );
+
+    await client.query(
+      `UPDATE keno_sessions
+       SET status = 'settled',
+           settlement_tx = COALESCE($2, settlement_tx),
+           settlement_error = NULL,
+           updated_at = NOW()
+       WHERE id = $1`,
+      [job.session_id, txHash]
+    );
+
+    await client.query('COMMIT');
+    console.log(`[KenoSettlement] Settlement #${job.id} confirmed (session ${job.session_id}, tx ${txHash || 'n/a'})`);
+    return result.rows[0];
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Registrar un intento fallido: backoff o failed si se agotaron los intentos
+ */
+async function recordFailure(job, error) {
+  const attempts = (job.attempts || 0) + 1;
+  const maxAttempts = await gameConfigService.getConfigValue('keno_settlement_max_attempts', 8);
+  const message = (error && error.shortMessage) || (error && error.message) || String(error);
+
+  if (attempts >= maxAttempts) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await client.query(
+        `UPDATE keno_settlements
+         SET status = 'failed', attempts = $2, last_error = $3, updated_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [job.id, attempts, message]
+      );
+      await client.query(
+        `UPDATE keno_sessions SET status = 'settlement_failed', settlement_error = $2, updated_at = NOW()
+         WHERE id = $1`,
+        [job.session_id, `on-chain failed: ${message}`]
+      );
+      await client.query('COMMIT');
+      console.error(`[KenoSettlement] Settlement #${job.id} failed after ${attempts} attempts: ${message}`);
+      return result.rows[0];
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  const baseSeconds = await gameConfigService.getConfigValue('keno_settlement_backoff_seconds', 30);
+  const delay = computeBackoffSeconds(attempts, baseSeconds);
+  const result = await pool.query(
+    `UPDATE keno_settlements
+     SET attempts = $2,
+         last_error = $3,
+         next_attempt_at = NOW() + make_interval(secs => $4),
+         updated_at = NOW()
+     WHERE id = $1
+     RETURNING *`,
+    [job.id, attempts, message, delay]
+  );
+  console.warn(`[KenoSettlement] Settlement #${job.id} attempt ${attempts} failed, retry in ${delay}s: ${message}`);
+  return result.rows[0];
+}
+
+/**
+ * Revisar una tx ya enviada
+ * @returns {Object|null} Job actualizado, o null si hay que reenviar
+ */
+async function checkSubmitted(job, provider) {
+  // El tx manager puede haber reemplazado el hash original (subida de gas)
+  const tracked = await pool.query(
+    `SELECT status, tx_hash FROM operator_transactions
+     WHERE reference_type = 'keno_settlement' AND reference_id = $1
+     ORDER BY id DESC
+     LIMIT 1`,
+    [String(job.id)]
+  );
+  const operatorTx = tracked.rows[0];
+  const txHash = operatorTx?.tx_hash || job.tx_hash;
+  const receipt = txHash ? await provider.getTransactionReceipt(txHash) : null;
+
+  if (receipt && receipt.status === 1) {
+    return markConfirmed(job, receipt.hash, receipt.blockNumber);
+  }
+  if (receipt) {
+    // Revertida: se reenvia (usedSessionIds evita duplicar si ya se liquido)
+    return null;
+  }
+
+  const submittedAt = job.submitted_at ? new Date(job.submitted_at).getTime() : 0;
+  const stillTracked = operatorTx && ['queued', 'submitted'].includes(operatorTx.status);
+  if (!stillTracked && Date.now() - submittedAt > DROPPED_TX_SECONDS * 1000) {
+    return null;
+  }
+
+  // Aun en mempool: volver a mirar en un minuto sin consumir intentos
+  const result = await pool.query(
+    `UPDATE keno_settlements
+     SET next_attempt_at = NOW() + make_interval(secs => $2), updated_at = NOW()
+     WHERE id = $1
+     RETURNING *`,
+    [job.id, SUBMITTED_RECHECK_SECONDS]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Avanzar un job reclamado por la maquina de estados
+ */
+async function processSettlement(job) {
+  const chain = kenoSessionService.getSettlementContract();
+  if (!chain) {
+    return recordFailure(job, new Error('Operator signer not available for settlement'));
+  }
+  const { contract, provider } = chain;
+
+  try {
+    if (job.status === SETTLEMENT_STATUS.SUBMITTED) {
+      const checked = await checkSubmitted(job, provider);
+      if (checked) return checked;
+    }
+
+    // Idempotencia: el contrato ya registro este sessionId
+    const alreadySettled = await contract.usedSessionIds(job.wallet_address, job.session_id_bytes32);
+    if (alreadySettled) {
+      return markConfirmed(job, job.tx_hash, null);
+    }
+
+    const amountWei = BigInt(job.amount_wei);
+    let signature = job.signature;
+    if (!signature) {
+      signature = await kenoSessionService.signSettlement(
+        job.wallet_address,
+        amountWei,
+        job.is_profit,
+        job.session_id_bytes32
+      );
+      await pool.query(
+        `UPDATE keno_settlements SET status = 'signed', signature = $2, updated_at = NOW() WHERE id = $1`,
+        [job.id, signature]
+      );
+    }
+
+    const tx = await txManager.sendContract(contract, 'settleKenoSession', [
+      job.wallet_address,
+      amountWei,
+      job.is_profit,
+      job.session_id_bytes32,
+      signature
+    ], {
+      purpose: 'keno.settleKenoSession',
+      referenceType: 'keno_settlement',
+      referenceId: job.id
+    });
+    await pool.query(
+      `UPDATE keno_settlements
+       SET status = 'submitted', tx_hash = $2, submitted_at = NOW(), updated_at = NOW()
+       WHERE id = $1`,
+      [job.id, tx.hash]
+    );
+
+    const receipt = await tx.wait();
+    return markConfirmed(job, receipt.hash, receipt.blockNumber);
+  } catch (err) {
+    const latest = await pool.query('SELECT * FROM keno_settlements WHERE id = $1', [job.id]);
+    return recordFailure(latest.rows[0] || job, err);
+  }
+}
+
+/**
+ * Reclamar jobs vencidos (FOR UPDATE SKIP LOCKED + lease)
+ */
+async function claimDueSettlements(limit, settlementId = null) {
+  const result = await pool.query(
+    `UPDATE keno_settlements
+     SET next_attempt_at = NOW() + make_interval(secs => $2), updated_at = NOW()
+     WHERE id IN (
+       SELECT id FROM keno_settlements
+       WHERE status = ANY($3)
+         AND next_attempt_at <= NOW()
+         AND ($4::int IS NULL OR id = $4)
+       ORDER BY next_attempt_at, id
+       LIMIT $1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`,
+    [limit, CLAIM_LEASE_SECONDS, OPEN_STATUSES, settlementId]
+  );
+  return result.rows;
+}
+
+/**
+ * Procesar la cola (scheduler)
+ * @returns {Object} Resumen { processed, confirmed, failed, retrying }
+ */
+async function processSettlementQueue(limit = 20) {
+  const summary = { processed: 0, confirmed: 0, failed: 0, retrying: 0 };
+
+  if (!kenoSessionService.getSettlementContract()) {
+    return summary;
+  }
+
+  const jobs = await claimDueSettlements(limit);
+  for (const job of jobs) {
+    const updated = await processSettlement(job);
+    summary.processed++;
+    if (updated.status === SETTLEMENT_STATUS.CONFIRMED) summary.confirmed++;
+    else if (updated.status === SETTLEMENT_STATUS.FAILED) summary.failed++;
+    else summary.retrying++;
+  }
+
+  if (summary.processed > 0) {
+    console.log(`[KenoSettlement] Queue: ${summary.processed} processed, ${summary.confirmed} confirmed, ${summary.retrying} retrying, ${summary.failed} failed`);
+  }
+  return summary;
+}
+
+/**
+ * Procesar un job concreto si esta vencido (primer intento tras settleSession)
+ */
+async function processSettlementById(settlementId) {
+  const [job] = await claimDueSettlements(1, settlementId);
+  if (!job) return null;
+  return processSettlement(job);
+}
+
+/**
+ * Reintento manual (admin) de la liquidacion de una sesion.
+ * Reinicia intentos; si la sesion fallo antes de existir la cola, la encola.
+ */
+async function retrySessionSettlement(sessionId) {
+  const client = await pool.connect();
+  let job;
+
+  try {
+    await client.query('BEGIN');
+
+    const sessionResult = await client.query(
+      'SELECT * FROM keno_sessions WHERE id = $1 FOR UPDATE',
+      [sessionId]
+    );
+    const session = sessionResult.rows[0];
+    if (!session) {
+      throw new Error('Sesion no encontrada');
+    }
+
+    const existing = await client.query(
+      'SELECT * FROM keno_settlements WHERE session_id = $1 FOR UPDATE',
+      [sessionId]
+    );
+    job = existing.rows[0];
+
+    if (!job) {
+      if (session.status !== 'settlement_failed') {
+        throw new Error('La sesion no tiene liquidacion on-chain pendiente');
+      }
+      const netResult = parseFloat(session.total_won) - parseFloat(session.total_wagered);
+      if (netResult === 0) {
+        throw new Error('La sesion no tiene resultado neto para liquidar');
+      }
+      job = await enqueueSettlement(client, session, netResult);
+    } else if (job.status === SETTLEMENT_STATUS.CONFIRMED) {
+      throw new Error('La liquidacion ya esta confirmada');
+    } else {
+      const updated = await client.query(
+        `UPDATE keno_settlements
+         SET status = CASE
+               WHEN status = 'failed' AND signature IS NULL THEN 'pending'
+               WHEN status = 'failed' THEN 'signed'
+               ELSE status
+             END,
+             attempts = 0,
+             last_error = NULL,
+             next_attempt_at = NOW(),
+             updated_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [job.id]
+      );
+      job = updated.rows[0];
+    }
+
+    // La sesion sigue como estaba (settlement_failed) hasta que markConfirmed la liquide
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  console.log(`[KenoSettlement] Settlement #${job.id} for session ${sessionId} re-queued by admin`);
+  processSettlementById(job.id).catch(err => {
+    console.error(`[KenoSettlement] Settlement #${job.id} processing error:`, err.message);
+  });
+  return formatSettlement(job);
+}
+
+/**
+ * Comparar keno_settlements con los eventos KenoSessionSettled indexados
+ * - Evento con liquidacion: se verifica wallet/monto/direccion; si la cola
+ *   no la tenia confirmada se confirma con los datos del evento
+ * - Evento sin liquidacion: se deja sin vincular (unknownEvents; incluye
+ *   liquidaciones anteriores a la cola)
+ * - Liquidacion confirmada sin evento ya indexado: missing_event (se pasa
+ *   a matched si el evento llega despues)
+ */
+async function reconcileSettlements(limit = 500) {
+  const summary = { matched: 0, healed: 0, mismatched: 0, missingEvents: 0, unknownEvents: 0 };
+
+  const events = await pool.query(
+    `SELECT e.*, s.id AS settlement_row_id, s.status AS settlement_status,
+            s.wallet_address AS settlement_wallet, s.amount_wei, s.is_profit AS settlement_is_profit,
+            s.session_id
+     FROM keno_settlement_events e
+     LEFT JOIN keno_settlements s ON s.session_id_bytes32 = e.session_id_bytes32
+     WHERE e.settlement_id IS NULL
+     ORDER BY e.block_number, e.log_index
+     LIMIT $1`,
+    [limit]
+  );
+
+  for (const event of events.rows) {
+    if (!event.settlement_row_id) {
+      summary.unknownEvents++;
+      continue;
+    }
+
+    const problems = [];
+    if (event.wallet_address.toLowerCase() !== event.settlement_wallet.toLowerCase()) problems.push('wallet');
+    if (event.net_amount_wei !== event.amount_wei) problems.push('amount');
+    if (event.is_profit !== event.settlement_is_profit) problems.push('direction');
+
+    await pool.query(
+      'UPDATE keno_settlement_events SET settlement_id = $2 WHERE id = $1',
+      [event.id, event.settlement_row_id]
+    );
+
+    if (problems.length > 0) {
+      summary.mismatched++;
+      await pool.query(
+        `UPDATE keno_settlements
+         SET reconcile_status = 'mismatch', reconciled_at = NOW(),
+             last_error = $2, updated_at = NOW()
+         WHERE id = $1`,
+        [event.settlement_row_id, `Evento on-chain no coincide: ${problems.join(', ')} (tx ${event.tx_hash})`]
+      );
+      console.error(`[KenoSettlement] Reconcile mismatch for settlement #${event.settlement_row_id}: ${problems.join(', ')}`);
+      continue;
+    }
+
+    if (event.settlement_status !== SETTLEMENT_STATUS.CONFIRMED) {
+      await markConfirmed(
+        { id: event.settlement_row_id, session_id: event.session_id },
+        event.tx_hash,
+        event.block_number
+      );
+      summary.healed++;
+    }
+
+    await pool.query(
+      `UPDATE keno_settlements
+       SET reconcile_status = 'matched', reconciled_at = NOW(), updated_at = NOW()
+       WHERE id = $1`,
+      [event.settlement_row_id]
+    );
+    summary.matched++;
+  }
+
+  // Confirmadas sin evento, solo si el indexer ya paso su bloque
+  const indexedBlock = await loadIndexerBlock('keno');
+  if (indexedBlock !== null) {
+    const missing = await pool.query(
+      `UPDATE keno_settlements s
+       SET reconcile_status = 'missing_event', reconciled_at = NOW(), updated_at = NOW()
+       WHERE s.status = 'confirmed'
+         AND s.reconcile_status IS NULL
+         AND s.confirmed_at < NOW() - make_interval(mins => $2)
+         AND (s.block_number IS NULL OR s.block_number <= $1)
+         AND NOT EXISTS (
+           SELECT 1 FROM keno_settlement_events e WHERE e.session_id_bytes32 = s.session_id_bytes32
+         )
+       RETURNING s.id`,
+      [indexedBlock, RECONCILE_GRACE_MINUTES]
+    );
+    summary.missingEvents = missing.rows.length;
+  }
+
+  if (summary.matched + summary.mismatched + summary.missingEvents + summary.unknownEvents > 0) {
+    console.log(`[KenoSettlement] Reconcile: ${summary.matched} matched (${summary.healed} healed), ${summary.mismatched} mismatched, ${summary.missingEvents} missing events, ${summary.unknownEvents} unknown events`);
+  }
+  return summary;
+}
+
+/**
+ * Formato API de una fila de keno_settlements
+ */
+function formatSettlement(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    sessionId: row.session_id,
+    sessionIdBytes32: row.session_id_bytes32,
+    walletAddress: row.wallet_address,
+    amount: parseFloat(row.amount),
+    isProfit: row.is_profit,
+    status: row.status,
+    attempts: row.attempts,
+    nextAttemptAt: row.next_attempt_at,
+    lastError: row.last_error,
+    txHash: row.tx_hash,
+    blockNumber: row.block_number != null ? Number(row.block_number) : null,
+    reconcileStatus: row.reconcile_status,
+    createdAt: row.created_at,
+    submittedAt: row.submitted_at,
+    confirmedAt: row.confirmed_at
+  };
+}
+
+module.exports = {
+  SETTLEMENT_STATUS,
+  RECONCILE_STATUS,
+  sessionIdToBytes32,
+  computeBackoffSeconds,
+  enqueueSettlement,
+  processSettlement,
+  processSettlementQueue,
+  processSettlementById,
+  retrySessionSettlement,
+  reconcileSettlements,
+  formatSettlement
+};
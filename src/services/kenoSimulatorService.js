@@ -0,0 +1,259 @@
+/**
+ * Keno Simulator Service
+ *
+ * Valida tablas de pago antes de publicarlas (DB o contrato con
+ * contracts/scripts/setup-payout-table.js):
+ * - Modo exacto: distribucion hipergeometrica por cantidad de spots
+ *   (RTP, frecuencia de acierto, varianza). Sin cap de pago.
+ * - Modo Monte Carlo: usa generateRandomNumbers (mismo RNG que el juego),
+ *   aplica el fee (calculateBetFee) y el cap dinamico (calculateCappedPayout)
+ *   para un tamano de pool fijo.
+ *
+ * Todos los montos son por unidad de apuesta bruta salvo que se indique.
+ */
+
+const crypto = require('crypto');
+const kenoService = require('./kenoService');
+const gameConfigService = require('./gameConfigService');
+
+const SIM_DEFAULTS = {
+  TOTAL_NUMBERS: 80,
+  DRAWN_NUMBERS: 20,
+  FEE_BPS: 1200,
+  MAX_PAYOUT_RATIO: 0.10,
+  ABSOLUTE_MAX_PAYOUT: 10000,
+  BET_AMOUNT: 1
+};
+
+// Limite de rondas Monte Carlo por peticion HTTP (el calculo bloquea el event loop)
+const MAX_API_ROUNDS = 50000;
+
+/**
+ * Coeficiente binomial C(n, k) en punto flotante
+ */
+function combination(n, k) {
+  if (k < 0 || k > n) return 0;
+  const m = Math.min(k, n - k);
+  let result = 1;
+  for (let i = 1; i <= m; i++) {
+    result = (result * (n - m + i)) / i;
+  }
+  return result;
+}
+
+/**
+ * Probabilidad de acertar `hits` numeros eligiendo `spots`
+ * (hipergeometrica: 20 sorteados de 80)
+ */
+function hitProbability(spots, hits, totalNumbers = SIM_DEFAULTS.TOTAL_NUMBERS, drawnNumbers = SIM_DEFAULTS.DRAWN_NUMBERS) {
+  return combination(spots, hits)
+    * combination(totalNumbers - spots, drawnNumbers - hits)
+    / combination(totalNumbers, drawnNumbers);
+}
+
+/**
+ * Normalizar filas de una tabla a { [spots]: number[] }
+ * Acepta formato objeto ({ 0: 0, 1: 3 }) o array ([0, 3]).
+ * @param {Object} rows - Filas de la tabla
+ * @param {number} scale - Divisor (100 para tablas del contrato: 300 = 3.00x)
+ */
+function normalizeRows(rows, scale = 1) {
+  if (!rows || typeof rows !== 'object') {
+    throw new Error('Tabla de pagos invalida');
+  }
+
+  const normalized = {};
+  for (const key of Object.keys(rows)) {
+    const spots = parseInt(key);
+    const row = rows[key];
+    const multipliers = Array.isArray(row)
+      ? row.map(Number)
+      : Array.from({ length: spots + 1 }, (_, hits) => Number(row?.[hits]) || 0);
+
+    gameConfigService.validatePayoutRow(spots, multipliers);
+    normalized[spots] = multipliers.map(m => m / scale);
+  }
+
+  if (Object.keys(normalized).length === 0) {
+    throw new Error('Tabla de pagos vacia');
+  }
+  return normalized;
+}
+
+function round6(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+/**
+ * Estadisticas exactas por cantidad de spots
+ * @param {Object} rows - Filas de la tabla (ver normalizeRows)
+ * @param {Object} options - { feeBps, totalNumbers, drawnNumbers, scale }
+ * @returns {Object[]} Una entrada por fila de la tabla
+ */
+function computeExactStats(rows, options = {}) {
+  const feeBps = options.feeBps ?? SIM_DEFAULTS.FEE_BPS;
+  const totalNumbers = options.totalNumbers || SIM_DEFAULTS.TOTAL_NUMBERS;
+  const drawnNumbers = options.drawnNumbers || SIM_DEFAULTS.DRAWN_NUMBERS;
+  const table = normalizeRows(rows, options.scale || 1);
+  // Multiplicadores aplican sobre la apuesta efectiva (bruta - fee)
+  const effectiveRatio = 1 - feeBps / 10000;
+
+  return Object.keys(table).map(Number).sort((a, b) => a - b).map(spots => {
+    let expected = 0;
+    let expectedSq = 0;
+    let hitFrequency = 0;
+
+    const distribution = table[spots].map((multiplier, hits) => {
+      const probability = hitProbability(spots, hits, totalNumbers, drawnNumbers);
+      const payout = multiplier * effectiveRatio;
+      expected += probability * payout;
+      expectedSq += probability * payout * payout;
+      if (multiplier > 0) hitFrequency += probability;
+      return { hits, probability, multiplier };
+    });
+
+    const variance = Math.max(0, expectedSq - expected * expected);
+
+    return {
+      spots,
+      rtp: round6(expected),
+      rtpBeforeFee: round6(effectiveRatio > 0 ? expected / effectiveRatio : 0),
+      houseEdge: round6(1 - expected),
+      hitFrequency: round6(hitFrequency),
+      variance: round6(variance),
+      stdDev: round6(Math.sqrt(variance)),
+      maxMultiplier: Math.max(...table[spots]),
+      distribution
+    };
+  });
+}
+
+/**
+ * Simulacion Monte Carlo con fee y cap de pago a un pool fijo
+ * @param {Object} rows - Filas de la tabla (ver normalizeRows)
+ * @param {Object} options - { spots, rounds, betAmount, poolBalance, maxPayoutRatio,
+ *                             absoluteMaxPayout, feeBps, seed, scale }
+ * @returns {Object} Resultado agregado (seed incluido para reproducir)
+ */
+function runMonteCarlo(rows, options = {}) {
+  const table = normalizeRows(rows, options.scale || 1);
+  const spots = parseInt(options.spots);
+  if (!table[spots]) {
+    throw new Error(`La tabla no tiene fila para ${options.spots} spots`);
+  }
+
+  const rounds = parseInt(options.rounds);
+  if (!Number.isInteger(rounds) || rounds < 1) {
+    throw new Error('rounds debe ser un entero mayor a 0');
+  }
+
+  const totalNumbers = options.totalNumbers || SIM_DEFAULTS.TOTAL_NUMBERS;
+  const drawnNumbers = options.drawnNumbers || SIM_DEFAULTS.DRAWN_NUMBERS;
+  const feeBps = options.feeBps ?? SIM_DEFAULTS.FEE_BPS;
+  const betAmount = options.betAmount || SIM_DEFAULTS.BET_AMOUNT;
+  const maxPayout = options.poolBalance != null
+    ? gameConfigService.calculateDynamicMaxPayout(
+      options.poolBalance,
+      options.maxPayoutRatio || SIM_DEFAULTS.MAX_PAYOUT_RATIO,
+      options.absoluteMaxPayout || SIM_DEFAULTS.ABSOLUTE_MAX_PAYOUT
+    )
+    : Infinity;
+  const seed = options.seed || crypto.randomBytes(16).toString('hex');
+
+  const { fee, effectiveBet } = gameConfigService.calculateBetFee(betAmount, feeBps);
+
+  let totalPaid = 0;
+  let sumSq = 0;
+  let wins = 0;
+  let cappedRounds = 0;
+  let capLoss = 0;
+  const hitCounts = new Array(spots + 1).fill(0);
+
+  for (let i = 0; i < rounds; i++) {
+    const picks = kenoService.generateRandomNumbers(spots, totalNumbers, `${seed}:picks:${i}`);
+    const drawn = new Set(kenoService.generateRandomNumbers(drawnNumbers, totalNumbers, `${seed}:${i}`));
+    const hits = picks.filter(n => drawn.has(n)).length;
+    hitCounts[hits]++;
+
+    const multiplier = table[spots][hits] || 0;
+    const { theoreticalPayout, actualPayout, capped } = gameConfigService.calculateCappedPayout(
+      effectiveBet,
+      multiplier,
+      maxPayout
+    );
+
+    totalPaid += actualPayout;
+    sumSq += (actualPayout / betAmount) ** 2;
+    if (actualPayout > 0) wins++;
+    if (capped) {
+      cappedRounds++;
+      capLoss += theoreticalPayout - actualPayout;
+    }
+  }
+
+  const totalWagered = betAmount * rounds;
+  const rtp = totalPaid / totalWagered;
+  const variance = Math.max(0, sumSq / rounds - rtp * rtp);
+
+  return {
+    spots,
+    rounds,
+    seed,
+    betAmount,
+    feeBps,
+    poolBalance: options.poolBalance ?? null,
+    maxPayout: Number.isFinite(maxPayout) ? maxPayout : null,
+    totalWagered: round6(totalWagered),
+    totalFees: round6(fee * rounds),
+    totalPaid: round6(totalPaid),
+    rtp: round6(rtp),
+    hitFrequency: round6(wins / rounds),
+    stdDev: round6(Math.sqrt(variance)),
+    cappedRounds,
+    capLoss: round6(capLoss),
+    hitCounts
+  };
+}
+
+/**
+ * Simular una tabla: estadisticas exactas + Monte Carlo opcional
+ * @param {Object} rows - Filas de la tabla
+ * @param {Object} options - { feeBps, scale, monteCarlo: { spots?, rounds, ... } }
+ *   Sin monteCarlo.spots se simulan todas las filas de la tabla.
+ */
+function simulateTable(rows, options = {}) {
+  const exact = computeExactStats(rows, options);
+  const result = { exact, monteCarlo: null, seed: null };
+
+  if (options.monteCarlo) {
+    const spotsList = options.monteCarlo.spots
+      ? [parseInt(options.monteCarlo.spots)]
+      : exact.map(e => e.spots);
+    const seed = options.monteCarlo.seed || crypto.randomBytes(16).toString('hex');
+    result.seed = seed;
+
+    result.monteCarlo = spotsList.map(spots => {
+      const mc = runMonteCarlo(rows, {
+        feeBps: options.feeBps,
+        scale: options.scale,
+        ...options.monteCarlo,
+        spots,
+        seed: `${seed}:${spots}`
+      });
+      const exactRow = exact.find(e => e.spots === spots);
+      return { ...mc, exactRtp: exactRow ? exactRow.rtp : null };
+    });
+  }
+
+  return result;
+}
+
+module.exports = {
+  SIM_DEFAULTS,
+  MAX_API_ROUNDS,
+  hitProbability,
+  normalizeRows,
+  computeExactStats,
+  runMonteCarlo,
+  simulateTable
+};
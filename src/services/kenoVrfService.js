@@ -22,9 +22,10 @@ const pool = require('../db');
 const crypto = require('crypto');
 const ethers = require('ethers');
 const gameConfigService = require('./gameConfigService');
+const { getProvider } = require('../chain/provider');
+const { txManager } = require('../chain/txManager');
 
 // Configuracion del contrato VRF
-const RPC_URL = process.env.RPC_URL || 'http://127.0.0.1:8545';
 const VRF_CONTRACT_ADDRESS = process.env.VRF_CONTRACT_ADDRESS || process.env.CONTRACT_ADDRESS;
 const OPERATOR_PRIVATE_KEY = process.env.OPERATOR_PRIVATE_KEY;
 
@@ -50,7 +51,7 @@ let signer = null;
 function initVrfContract() {
   if (!contract && VRF_CONTRACT_ADDRESS) {
     try {
-      provider = new ethers.JsonRpcProvider(RPC_URL);
+      provider = getProvider();
       if (OPERATOR_PRIVATE_KEY) {
         signer = new ethers.Wallet(OPERATOR_PRIVATE_KEY, provider);
         contract = new ethers.Contract(VRF_CONTRACT_ADDRESS, KENO_VRF_ABI, signer);
@@ -239,7 +240,11 @@ async function requestVrfForBatch(batchId) {
 
     // Enviar solicitud VRF al contrato
     const batchHashBytes = '0x' + batch.batch_hash;
-    const tx = await contract.requestKenoVrfBatch(batchHashBytes, batch.games_count);
+    const tx = await txManager.sendContract(contract, 'requestKenoVrfBatch', [batchHashBytes, batch.games_count], {
+      purpose: 'keno.requestKenoVrfBatch',
+      referenceType: 'keno_vrf_batch',
+      referenceId: batchId
+    });
     const receipt = await tx.wait();
 
     // Extraer request ID del evento
@@ -447,6 +452,12 @@ async function getGameVerificationStatus(gameId) {
          g.client_seed,
          g.nonce,
          g.seed,
+         g.spots,
+         g.hits,
+         g.bet_amount,
+         g.multiplier,
+         g.payout_table,
+         g.payout_table_version,
          g.vrf_verified,
          g.vrf_batch_id,
          b.status as batch_status,
@@ -464,6 +475,16 @@ async function getGameVerificationStatus(gameId) {
 
     const game = result.rows[0];
 
+    // Tabla de pagos exacta (nombre + version) usada en el juego
+    // Lazy require: kenoService depende de este modulo
+    const { resolvePayoutTable } = require('./kenoService');
+    const tableName = game.payout_table || 'classic';
+    const tableVersion = game.payout_table_version ?? 0;
+    const payoutTable = await resolvePayoutTable(tableName, tableVersion);
+    const expectedMultiplier = payoutTable
+      ? Number(payoutTable.rows[game.spots]?.[game.hits]) || 0
+      : null;
+
     return {
       gameId: game.game_id,
       serverSeed: game.server_seed,
@@ -475,6 +496,18 @@ async function getGameVerificationStatus(gameId) {
       batchStatus: game.batch_status,
       vrfRandomWord: game.vrf_random_word,
       verifiedAt: game.verified_at,
+      // Tabla de pagos y apuesta (para reproducir el pago)
+      payout: {
+        table: tableName,
+        tableVersion,
+        tableRow: payoutTable ? payoutTable.rows[game.spots] : null,
+        betAmount: parseFloat(game.bet_amount),
+        spots: game.spots,
+        hits: game.hits,
+        multiplier: parseFloat(game.multiplier),
+        expectedMultiplier,
+        multiplierMatches: expectedMultiplier !== null && expectedMultiplier === parseFloat(game.multiplier)
+      },
       // Datos para verificacion manual
       verification: {
         expectedSeed: generateCombinedSeed(
@@ -640,6 +673,378 @@ async function cleanupExpiredCommits() {
   }
 }
 
+// =================================
+// SEED HASH CHAIN
+// =================================
+
+/**
+ * SHA-256 de un seed (hex string) — misma convencion que createSeedCommit
+ */
+function hashSeed(seed) {
+  return crypto.createHash('sha256').update(seed).digest('hex');
+}
+
+/**
+ * Aplicar hashSeed `times` veces
+ */
+function hashSeedTimes(seed, times) {
+  let value = seed;
+  for (let i = 0; i < times; i++) {
+    value = hashSeed(value);
+  }
+  return value;
+}
+
+/**
+ * Seed de la posicion `index` de una cadena
+ * seed[N-1] = terminal, seed[i-1] = sha256(seed[i])
+ */
+function getChainSeed(terminalSeed, chainLength, index) {
+  if (!Number.isInteger(index) || index < 0 || index >= chainLength) {
+    throw new Error(`Indice de cadena fuera de rango (0-${chainLength - 1})`);
+  }
+  return hashSeedTimes(terminalSeed, chainLength - 1 - index);
+}
+
+/**
+ * Verificar que un seed pertenece a la cadena publicada
+ * sha256^(index+1)(seed) debe ser igual a anchor_hash
+ */
+function verifyChainSeed(serverSeed, index, anchorHash) {
+  return hashSeedTimes(serverSeed, index + 1) === anchorHash;
+}
+
+/**
+ * Crear una cadena nueva (dentro de transaccion)
+ */
+async function insertSeedChain(client, wallet, chainLength) {
+  const terminalSeed = generateServerSeed();
+  const anchorHash = hashSeedTimes(terminalSeed, chainLength);
+
+  const result = await client.query(
+    `INSERT INTO keno_seed_chains (wallet_address, chain_length, anchor_hash, terminal_seed, status)
+     VALUES ($1, $2, $3, $4, 'active')
+     RETURNING *`,
+    [wallet, chainLength, anchorHash, terminalSeed]
+  );
+
+  console.log(`[KenoVrfService] Seed chain #${result.rows[0].id} created for ${wallet} (${chainLength} seeds)`);
+  return result.rows[0];
+}
+
+/**
+ * Tomar el siguiente seed de la cadena activa del wallet
+ * Crea la cadena si no existe y rota cuando se agota.
+ * @param {string} walletAddress - Player wallet
+ * @param {Object} client - DB client (within transaction)
+ * @returns {Object} { serverSeed, seedHash, chainId, chainIndex }
+ */
+async function takeChainSeed(walletAddress, client) {
+  const wallet = walletAddress.toLowerCase();
+
+  const result = await client.query(
+    `SELECT * FROM keno_seed_chains WHERE wallet_address = $1 AND status = 'active' FOR UPDATE`,
+    [wallet]
+  );
+  let chain = result.rows[0];
+
+  if (chain && chain.next_index >= chain.chain_length) {
+    await client.query(
+      `UPDATE keno_seed_chains SET status = 'rotated', rotated_at = NOW(), updated_at = NOW() WHERE id = $1`,
+      [chain.id]
+    );
+    chain = null;
+  }
+
+  if (!chain) {
+    const chainLength = await gameConfigService.getConfigValue('keno_seed_chain_length', 1000);
+    chain = await insertSeedChain(client, wallet, chainLength);
+  }
+
+  const chainIndex = chain.next_index;
+  const serverSeed = getChainSeed(chain.terminal_seed, chain.chain_length, chainIndex);
+
+  await client.query(
+    `UPDATE keno_seed_chains SET next_index = next_index + 1, updated_at = NOW() WHERE id = $1`,
+    [chain.id]
+  );
+
+  return {
+    serverSeed,
+    seedHash: hashSeed(serverSeed),
+    chainId: chain.id,
+    chainIndex
+  };
+}
+
+/**
+ * Formatear cadena para la API (terminal_seed solo si ya roto)
+ */
+function formatSeedChain(chain) {
+  return {
+    chainId: chain.id,
+    anchorHash: chain.anchor_hash,
+    chainLength: chain.chain_length,
+    used: chain.next_index,
+    status: chain.status,
+    terminalSeed: chain.status === 'rotated' ? chain.terminal_seed : null,
+    createdAt: chain.created_at,
+    rotatedAt: chain.rotated_at || null
+  };
+}
+
+/**
+ * Estado de las cadenas del wallet: activa (sin secretos) + ultimas reveladas
+ */
+async function getSeedChains(walletAddress, limit = 10) {
+  const wallet = walletAddress.toLowerCase();
+
+  const active = await pool.query(
+    `SELECT * FROM keno_seed_chains WHERE wallet_address = $1 AND status = 'active'`,
+    [wallet]
+  );
+  const revealed = await pool.query(
+    `SELECT * FROM keno_seed_chains
+     WHERE wallet_address = $1 AND status = 'rotated'
+     ORDER BY rotated_at DESC
+     LIMIT $2`,
+    [wallet, limit]
+  );
+
+  return {
+    active: active.rows.length > 0 ? formatSeedChain(active.rows[0]) : null,
+    revealed: revealed.rows.map(formatSeedChain)
+  };
+}
+
+/**
+ * Rotar la cadena activa: revela su terminal_seed y publica una nueva
+ * @returns {Object} { revealed, active }
+ */
+async function rotateSeedChain(walletAddress) {
+  const wallet = walletAddress.toLowerCase();
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const rotated = await client.query(
+      `UPDATE keno_seed_chains
+       SET status = 'rotated', rotated_at = NOW(), updated_at = NOW()
+       WHERE wallet_address = $1 AND status = 'active'
+       RETURNING *`,
+      [wallet]
+    );
+
+    const chainLength = await gameConfigService.getConfigValue('keno_seed_chain_length', 1000);
+    const chain = await insertSeedChain(client, wallet, chainLength);
+
+    await client.query('COMMIT');
+
+    return {
+      revealed: rotated.rows.length > 0 ? formatSeedChain(rotated.rows[0]) : null,
+      active: formatSeedChain(chain)
+    };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('[KenoVrfService] Error rotating seed chain:', err);
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// =================================
+// SESSION VERIFICATION
+// =================================
+
+/**
+ * Comparar dos listas de numeros sin importar el orden
+ */
+function sameNumbers(a, b) {
+  if (!Array.isArray(a) || !Array.isArray(b) || a.length !== b.length) return false;
+  const sortedA = [...a].sort((x, y) => x - y);
+  const sortedB = [...b].sort((x, y) => x - y);
+  return sortedA.every((n, i) => n === sortedB[i]);
+}
+
+/**
+ * Recalcular y verificar un juego (puro, sin BD)
+ * @param {Object} game - { serverSeed, clientSeed, nonce, combinedSeed, selectedNumbers,
+ *                          drawnNumbers, hits, spots, multiplier, chainIndex }
+ * @param {Object} context - { tableRow, chain, totalNumbers, drawnCount, generateRandomNumbers }
+ * @returns {Object} { recomputedDraw, checks, valid }
+ */
+function verifyGameRecord(game, context) {
+  const expectedSeed = generateCombinedSeed(game.serverSeed, game.clientSeed || '', game.nonce || 0);
+  const recomputedDraw = context.generateRandomNumbers(context.drawnCount, context.totalNumbers, expectedSeed);
+  const drawnSet = new Set(recomputedDraw);
+  const recomputedHits = game.selectedNumbers.filter(n => drawnSet.has(n)).length;
+
+  const checks = {
+    seedValid: expectedSeed === game.combinedSeed,
+    drawMatches: sameNumbers(recomputedDraw, game.drawnNumbers),
+    hitsMatch: recomputedHits === game.hits,
+    multiplierMatches: context.tableRow
+      ? (Number(context.tableRow[game.hits]) || 0) === game.multiplier
+      : null,
+    chainLinkValid: context.chain
+      ? verifyChainSeed(game.serverSeed, game.chainIndex, context.chain.anchorHash)
+      : null
+  };
+
+  return {
+    recomputedDraw,
+    recomputedHits,
+    checks,
+    valid: Object.values(checks).every(c => c !== false)
+  };
+}
+
+/**
+ * Verificacion completa de una sesion: inputs de cada juego + sorteo recalculado
+ * @param {number} sessionId
+ * @param {string} walletAddress - Solo el dueno de la sesion
+ * @returns {Object|null} null si la sesion no existe o no pertenece al wallet
+ */
+async function getSessionVerification(sessionId, walletAddress) {
+  const wallet = walletAddress.toLowerCase();
+
+  const sessionResult = await pool.query(
+    `SELECT * FROM keno_sessions WHERE id = $1 AND wallet_address = $2`,
+    [sessionId, wallet]
+  );
+  if (sessionResult.rows.length === 0) {
+    return null;
+  }
+  const session = sessionResult.rows[0];
+
+  const gamesResult = await pool.query(
+    `SELECT game_id, selected_numbers, drawn_numbers, spots, hits, bet_amount, multiplier,
+            payout, server_seed, client_seed, nonce, seed, seed_hash, commit_id,
+            seed_chain_id, seed_chain_index, payout_table, payout_table_version, timestamp
+     FROM keno_games
+     WHERE session_id = $1
+     ORDER BY nonce ASC, id ASC`,
+    [sessionId]
+  );
+
+  // Cadenas usadas en la sesion
+  const chainIds = [...new Set(gamesResult.rows.map(g => g.seed_chain_id).filter(id => id != null))];
+  const chains = {};
+  if (chainIds.length > 0) {
+    const chainsResult = await pool.query(
+      `SELECT * FROM keno_seed_chains WHERE id = ANY($1::int[])`,
+      [chainIds]
+    );
+    for (const chain of chainsResult.rows) {
+      chains[chain.id] = formatSeedChain(chain);
+    }
+  }
+
+  // Lazy require: kenoService depende de este modulo
+  const { resolvePayoutTable, generateRandomNumbers, KENO_CONFIG } = require('./kenoService');
+  const tables = {};
+  for (const g of gamesResult.rows) {
+    const name = g.payout_table || 'classic';
+    const version = g.payout_table_version ?? 0;
+    const key = `${name}@${version}`;
+    if (!(key in tables)) {
+      const table = await resolvePayoutTable(name, version);
+      tables[key] = table ? table.rows : null;
+    }
+  }
+
+  const games = gamesResult.rows.map(g => {
+    const tableKey = `${g.payout_table || 'classic'}@${g.payout_table_version ?? 0}`;
+    const record = {
+      gameId: g.game_id,
+      timestamp: g.timestamp,
+      serverSeed: g.server_seed,
+      clientSeed: g.client_seed || '',
+      nonce: g.nonce || 0,
+      combinedSeed: g.seed,
+      seedHash: g.seed_hash || null,
+      commitId: g.commit_id || null,
+      chainId: g.seed_chain_id ?? null,
+      chainIndex: g.seed_chain_index ?? null,
+      selectedNumbers: g.selected_numbers,
+      drawnNumbers: g.drawn_numbers,
+      spots: g.spots,
+      hits: g.hits,
+      betAmount: parseFloat(g.bet_amount),
+      multiplier: parseFloat(g.multiplier),
+      payout: parseFloat(g.payout),
+      payoutTable: tableKey
+    };
+
+    const { recomputedDraw, checks, valid } = verifyGameRecord(record, {
+      tableRow: tables[tableKey] ? tables[tableKey][g.spots] : null,
+      chain: record.chainId != null ? chains[record.chainId] : null,
+      totalNumbers: KENO_CONFIG.TOTAL_NUMBERS,
+      drawnCount: KENO_CONFIG.DRAWN_NUMBERS,
+      generateRandomNumbers
+    });
+
+    return { ...record, recomputedDraw, checks, valid };
+  });
+
+  return {
+    session: {
+      sessionId: session.id,
+      walletAddress: session.wallet_address,
+      status: session.status,
+      totalWagered: parseFloat(session.total_wagered) || 0,
+      totalWon: parseFloat(session.total_won) || 0,
+      gamesPlayed: session.games_played,
+      createdAt: session.created_at
+    },
+    config: {
+      totalNumbers: KENO_CONFIG.TOTAL_NUMBERS,
+      drawnNumbers: KENO_CONFIG.DRAWN_NUMBERS
+    },
+    payoutTables: tables,
+    chains: Object.values(chains),
+    games,
+    summary: {
+      games: games.length,
+      valid: games.filter(g => g.valid).length,
+      allValid: games.every(g => g.valid)
+    }
+  };
+}
+
+/**
+ * Paquete de prueba descargable para verificacion offline
+ * (scripts/verify-keno-bundle.js). bundleHash = sha256 del JSON sin bundleHash.
+ */
+async function buildSessionProofBundle(sessionId, walletAddress) {
+  const verification = await getSessionVerification(sessionId, walletAddress);
+  if (!verification) {
+    return null;
+  }
+
+  const bundle = {
+    version: 1,
+    game: 'keno',
+    generatedAt: new Date().toISOString(),
+    algorithm: {
+      combinedSeed: 'sha256(`${serverSeed}:${clientSeed}:${nonce}`)',
+      draw: 'for counter=0..: n = (parseInt(sha256(`${combinedSeed}-${counter}`)[0:8], 16) % totalNumbers) + 1, unique until drawnNumbers',
+      chain: 'sha256^(chainIndex+1)(serverSeed) == anchorHash; sha256^(chainLength-1-chainIndex)(terminalSeed) == serverSeed'
+    },
+    config: verification.config,
+    session: verification.session,
+    payoutTables: verification.payoutTables,
+    chains: verification.chains,
+    // Solo inputs y resultados registrados: el verificador recalcula todo
+    games: verification.games.map(({ recomputedDraw, checks, valid, ...record }) => record)
+  };
+
+  bundle.bundleHash = crypto.createHash('sha256').update(JSON.stringify(bundle)).digest('hex');
+  return bundle;
+}
+
 module.exports = {
   // Seed generation
   generateServerSeed,
@@ -660,6 +1065,19 @@ module.exports = {
   consumeSeedCommit,
   cleanupExpiredCommits,
 
+  // Seed hash chain
+  hashSeed,
+  getChainSeed,
+  verifyChainSeed,
+  takeChainSeed,
+  getSeedChains,
+  rotateSeedChain,
+
+  // Session verification
+  verifyGameRecord,
+  getSessionVerification,
+  buildSessionProofBundle,
+
   // Contract init (for external use)
   initVrfContract,
 
@@ -0,0 +1,447 @@
+const { query } = require('../config/database');
+
+// =================================
+// LEDGER SERVICE
+// Diario de partida doble debajo de los saldos
+// =================================
+//
+// Cada movimiento de dinero es un asiento con lineas que suman 0:
+// amount > 0 es debe y amount < 0 es haber. La cuenta external (activo) son
+// los fondos en custodia; el resto son pasivos con los jugadores, pools de
+// juego, fees del operador y cuentas puente (clearing) para el dinero que
+// esta apostado y aun no se ha liquidado.
+//
+// post() se llama dentro de la transaccion del movimiento, justo antes del
+// COMMIT, para que saldo y asiento se guarden o se pierdan juntos.
+
+const ACCOUNTS = {
+    EXTERNAL: 'external',
+    REFERRAL_PAYABLE: 'referral:payable',
+    BOLITA_STAKES: 'clearing:bolita_stakes',
+    BOLITA_PRIZES: 'clearing:bolita_prizes',
+    KENO_SESSIONS: 'clearing:keno_sessions',
+    BINGO_STAKES: 'clearing:bingo_stakes',
+    BOLITA_RESERVE: 'pool:bolita_reserve',
+    BOLITA_BANKROLL: 'pool:bolita_bankroll',
+    KENO_POOL: 'pool:keno',
+    BINGO_JACKPOT: 'pool:bingo_jackpot',
+    FORTUNA_POOL: 'pool:fortuna',
+    BINGO_HOUSE: 'house:bingo',
+    ADJUSTMENTS: 'house:adjustments',
+    PROMOTIONS: 'house:promotions',
+    OPERATOR_FEES: 'fees:operator'
+};
+
+const ENTRY_TYPES = {
+    OPENING: 'opening',
+    DEPOSIT: 'deposit',
+    WITHDRAWAL: 'withdrawal',
+    WITHDRAWAL_REVERSAL: 'withdrawal_reversal',
+    ADJUSTMENT: 'adjustment',
+    CAPITAL: 'capital',
+    BET: 'bet',
+    PRIZE: 'prize',
+    REFUND: 'refund',
+    SETTLEMENT: 'settlement',
+    SESSION_SETTLEMENT: 'session_settlement',
+    REFERRAL_COMMISSION: 'referral_commission',
+    REFERRAL_PAYOUT: 'referral_payout',
+    WELCOME_BONUS: 'welcome_bonus'
+};
+
+// Tipo contable segun el prefijo del codigo
+const ACCOUNT_TYPES = {
+    external: 'asset',
+    user: 'liability',
+    referral: 'liability',
+    clearing: 'liability',
+    pool: 'equity',
+    house: 'equity',
+    fees: 'revenue'
+};
+
+const MICROS = 1000000;
+const DRIFT_TOLERANCE = 0.01;
+const MAX_USER_DRIFTS = 100;
+
+function userAccount(userId) {
+    return `user:${userId}`;
+}
+
+function accountType(code) {
+    const type = ACCOUNT_TYPES[String(code).split(':')[0]];
+    if (!type) {
+        throw new Error(`Cuenta contable desconocida: ${code}`);
+    }
+    return type;
+}
+
+function toMicros(amount) {
+    return Math.round(parseFloat(amount) * MICROS);
+}
+
+function fromMicros(micros) {
+    return (micros / MICROS).toFixed(6);
+}
+
+/**
+ * Saldo en el sentido natural de la cuenta: los activos crecen con el debe,
+ * el resto con el haber
+ */
+function naturalBalance(type, debitSum) {
+    const value = parseFloat(debitSum) || 0;
+    return type === 'asset' ? value : -value;
+}
+
+/**
+ * Validar y normalizar las lineas de un asiento (en micro-unidades).
+ * balanceTo recibe el residuo de redondeo (o la diferencia que el llamador
+ * deja a proposito, p.ej. el remanente de la casa en Bingo).
+ */
+function buildPostings(postings, balanceTo = null) {
+    const lines = [];
+    for (const posting of postings || []) {
+        const micros = toMicros(posting.amount);
+        if (!Number.isFinite(micros)) {
+            throw new Error(`Monto invalido en la cuenta ${posting.account}`);
+        }
+        if (micros === 0) continue;
+        accountType(posting.account);
+        lines.push({ account: posting.account, micros });
+    }
+
+    const residue = lines.reduce((sum, line) => sum + line.micros, 0);
+    if (residue !== 0) {
+        if (!balanceTo) {
+            throw new Error(`Asiento desbalanceado: diferencia ${fromMicros(residue)}`);
+        }
+        accountType(balanceTo);
+        lines.push({ account: balanceTo, micros: -residue });
+    }
+
+    return lines;
+}
+
+/**
+ * Registrar un asiento.
+ *
+ * @param {Object} client - cliente pg dentro de una transaccion
+ * @param {Object} entry - { type, referenceType, referenceId, description, postings: [{ account, amount }], balanceTo }
+ * @returns {boolean} false si todas las lineas eran 0 y no se registro nada
+ */
+async function post(client, { type, referenceType = null, referenceId = null, description = null, postings, balanceTo = null }) {
+    const lines = buildPostings(postings, balanceTo);
+    if (lines.length === 0) {
+        return false;
+    }
+
+    const codes = lines.map(line => line.account);
+    const types = codes.map(accountType);
+    const userIds = codes.map(code => (code.startsWith('user:') ? parseInt(code.slice(5)) : null));
+    const amounts = lines.map(line => fromMicros(line.micros));
+    const gross = lines.reduce((sum, line) => sum + Math.max(line.micros, 0), 0);
+
+    // Cuentas nuevas sin tocar las existentes: DO UPDATE bloquearia las
+    // cuentas compartidas (pools, fees) durante toda la transaccion del juego
+    await client.query(`
+        INSERT INTO ledger_accounts (code, account_type, user_id)
+        SELECT DISTINCT code, account_type, user_id
+        FROM UNNEST($1::text[], $2::text[], $3::int[]) AS a(code, account_type, user_id)
+        ON CONFLICT (code) DO NOTHING
+    `, [codes, types, userIds]);
+
+    // Asiento y lineas (sentencia aparte para ver las cuentas recien creadas)
+    await client.query(`
+        WITH entry AS (
+            INSERT INTO ledger_entries (entry_type, amount, reference_type, reference_id, description)
+            VALUES ($2, $3, $4, $5, $6)
+            RETURNING id
+        )
+        INSERT INTO ledger_postings (entry_id, account_id, amount)
+        SELECT entry.id, a.id, p.amount
+        FROM entry, UNNEST($1::text[], $7::numeric[]) AS p(code, amount)
+        JOIN ledger_accounts a ON a.code = p.code
+    `, [
+        codes,
+        type, fromMicros(gross),
+        referenceType, referenceId === null ? null : String(referenceId), description,
+        amounts
+    ]);
+
+    return true;
+}
+
+/**
+ * Mover `amount` de una cuenta a otra (debe en from, haber en to).
+ * Un monto negativo invierte el sentido.
+ */
+function transfer(client, { from, to, amount, ...entry }) {
+    return post(client, {
+        ...entry,
+        postings: [
+            { account: from, amount },
+            { account: to, amount: -amount }
+        ]
+    });
+}
+
+// =================================
+// CONSULTAS
+// =================================
+
+/**
+ * Saldos de todas las cuentas (sin las de usuario, que se agregan aparte)
+ */
+async function getTrialBalance() {
+    const accounts = await query(`
+        SELECT a.code, a.account_type, a.name,
+               COALESCE(SUM(p.amount), 0) AS debit_sum
+        FROM ledger_accounts a
+        LEFT JOIN ledger_postings p ON p.account_id = a.id
+        WHERE a.user_id IS NULL
+        GROUP BY a.id
+        ORDER BY a.code
+    `);
+
+    const users = await query(`
+        SELECT COUNT(DISTINCT a.id) AS accounts,
+               COALESCE(SUM(p.amount), 0) AS debit_sum
+        FROM ledger_accounts a
+        JOIN ledger_postings p ON p.account_id = a.id
+        WHERE a.user_id IS NOT NULL
+    `);
+
+    const totals = await query(`
+        SELECT COALESCE(SUM(amount) FILTER (WHERE amount > 0), 0) AS debits,
+               COALESCE(-SUM(amount) FILTER (WHERE amount < 0), 0) AS credits
+        FROM ledger_postings
+    `);
+
+    const debits = parseFloat(totals.rows[0].debits);
+    const credits = parseFloat(totals.rows[0].credits);
+
+    return {
+        accounts: accounts.rows.map(row => ({
+            code: row.code,
+            type: row.account_type,
+            name: row.name,
+            balance: naturalBalance(row.account_type, row.debit_sum)
+        })),
+        users: {
+            accounts: parseInt(users.rows[0].accounts),
+            balance: naturalBalance('liability', users.rows[0].debit_sum)
+        },
+        totals: {
+            debits,
+            credits,
+            difference: parseFloat((debits - credits).toFixed(6))
+        }
+    };
+}
+
+/**
+ * Saldo de una cuenta por codigo (0 si no existe)
+ */
+async function getAccountBalance(code) {
+    const result = await query(`
+        SELECT COALESCE(SUM(p.amount), 0) AS debit_sum
+        FROM ledger_accounts a
+        JOIN ledger_postings p ON p.account_id = a.id
+        WHERE a.code = $1
+    `, [code]);
+    return naturalBalance(accountType(code), result.rows[0].debit_sum);
+}
+
+/**
+ * Montos brutos acumulados por tipo de asiento
+ */
+async function getEntryTotals() {
+    const result = await query(`
+        SELECT entry_type, COUNT(*) AS entries, COALESCE(SUM(amount), 0) AS total
+        FROM ledger_entries
+        GROUP BY entry_type
+    `);
+
+    const totals = {};
+    for (const row of result.rows) {
+        totals[row.entry_type] = { entries: parseInt(row.entries), total: parseFloat(row.total) };
+    }
+    return totals;
+}
+
+async function getLastReconciliation() {
+    const result = await query(
+        'SELECT * FROM ledger_reconciliations ORDER BY created_at DESC LIMIT 1'
+    );
+    return result.rows[0] || null;
+}
+
+async function getReconciliations(limit = 30) {
+    const result = await query(
+        'SELECT * FROM ledger_reconciliations ORDER BY created_at DESC LIMIT $1',
+        [Math.min(Math.max(parseInt(limit) || 30, 1), 365)]
+    );
+    return result.rows;
+}
+
+// =================================
+// BALANCE DE COMPROBACION
+// =================================
+
+function compare(name, expected, actual, extra = {}) {
+    const drift = parseFloat((actual - expected).toFixed(6));
+    return { name, expected, actual, drift, ok: Math.abs(drift) <= DRIFT_TOLERANCE, ...extra };
+}
+
+/**
+ * availablePool() de los contratos configurados (null si no hay contrato)
+ */
+async function readOnChainPools() {
+    const { ethers } = require('ethers');
+    const pools = {};
+
+    const readers = [
+        ['keno', 'KENO_CONTRACT_ADDRESS', () => require('../chain/kenoProvider').getKenoContractReadOnly()],
+        ['bingo', 'BINGO_CONTRACT_ADDRESS', () => require('../chain/bingoProvider').getBingoContractReadOnly()],
+        ['bolita', 'BOLITA_CONTRACT_ADDRESS', () => require('../chain/bolitaProvider').getBolitaContractReadOnly()]
+    ];
+
+    for (const [game, envKey, getContract] of readers) {
+        if (!process.env[envKey]) {
+            pools[game] = null;
+            continue;
+        }
+        try {
+            const raw = await getContract().availablePool();
+            pools[game] = parseFloat(ethers.formatUnits(raw, 6));
+        } catch (err) {
+            console.warn(`[Ledger] No se pudo leer availablePool de ${game}:`, err.message);
+            pools[game] = { error: err.message };
+        }
+    }
+
+    return pools;
+}
+
+/**
+ * Comparar el diario contra los saldos operativos y guardar el resultado.
+ *
+ * - El diario cuadra: la suma de todas las lineas es 0 y ningun asiento esta desbalanceado
+ * - users.balance contra user:<id>
+ * - bankroll_status (reserva y bankroll), keno_pool y el jackpot de bingo_pool
+ * - availablePool() on-chain de Keno, Bingo y La Bolita si hay contrato
+ */
+async function runTrialBalanceCheck() {
+    const checks = [];
+
+    const journal = await query(`
+        SELECT COALESCE(SUM(amount), 0) AS total,
+               (SELECT COUNT(*) FROM (
+                    SELECT entry_id FROM ledger_postings
+                    GROUP BY entry_id HAVING SUM(amount) <> 0
+               ) unbalanced) AS unbalanced
+        FROM ledger_postings
+    `);
+    const unbalanced = parseInt(journal.rows[0].unbalanced);
+    checks.push(compare('journal', 0, parseFloat(journal.rows[0].total), {
+        unbalancedEntries: unbalanced,
+        ok: parseFloat(journal.rows[0].total) === 0 && unbalanced === 0
+    }));
+
+    const users = await query(`
+        SELECT u.id, u.balance, COALESCE(-SUM(p.amount), 0) AS ledger_balance
+        FROM users u
+        LEFT JOIN ledger_accounts a ON a.user_id = u.id
+        LEFT JOIN ledger_postings p ON p.account_id = a.id
+        GROUP BY u.id, u.balance
+        HAVING ABS(u.balance - COALESCE(-SUM(p.amount), 0)) > $1
+        ORDER BY ABS(u.balance - COALESCE(-SUM(p.amount), 0)) DESC
+        LIMIT $2
+    `, [DRIFT_TOLERANCE, MAX_USER_DRIFTS]);
+    checks.push({
+        name: 'users',
+        ok: users.rows.length === 0,
+        drifts: users.rows.map(row => ({
+            userId: row.id,
+            balance: parseFloat(row.balance),
+            ledgerBalance: parseFloat(row.ledger_balance),
+            drift: parseFloat((parseFloat(row.ledger_balance) - parseFloat(row.balance)).toFixed(6))
+        }))
+    });
+
+    const { accounts } = await getTrialBalance();
+    const ledger = code => accounts.find(a => a.code === code)?.balance || 0;
+
+    const bankroll = await query('SELECT prize_reserve, bankroll_balance FROM bankroll_status LIMIT 1');
+    if (bankroll.rows.length > 0) {
+        checks.push(compare('bolita_reserve', parseFloat(bankroll.rows[0].prize_reserve), ledger(ACCOUNTS.BOLITA_RESERVE)));
+        checks.push(compare('bolita_bankroll', parseFloat(bankroll.rows[0].bankroll_balance), ledger(ACCOUNTS.BOLITA_BANKROLL)));
+    }
+
+    const kenoPool = await query('SELECT balance FROM keno_pool WHERE id = 1');
+    if (kenoPool.rows.length > 0) {
+        checks.push(compare('keno_pool', parseFloat(kenoPool.rows[0].balance), ledger(ACCOUNTS.KENO_POOL)));
+    }
+
+    const bingoPool = await query('SELECT jackpot_balance FROM bingo_pool WHERE id = 1');
+    if (bingoPool.rows.length > 0) {
+        checks.push(compare('bingo_jackpot', parseFloat(bingoPool.rows[0].jackpot_balance), ledger(ACCOUNTS.BINGO_JACKPOT)));
+    }
+
+    // On-chain: el pool del contrato contra las cuentas que lo respaldan
+    const onChain = await readOnChainPools();
+    const onChainAccounts = {
+        keno: [ACCOUNTS.KENO_POOL],
+        bingo: [ACCOUNTS.BINGO_JACKPOT, ACCOUNTS.BINGO_HOUSE],
+        bolita: [ACCOUNTS.BOLITA_RESERVE, ACCOUNTS.BOLITA_BANKROLL]
+    };
+    for (const [game, value] of Object.entries(onChain)) {
+        if (value === null) continue;
+        const expected = onChainAccounts[game].reduce((sum, code) => sum + ledger(code), 0);
+        if (typeof value === 'object') {
+            checks.push({ name: `${game}_onchain`, ok: false, error: value.error });
+        } else {
+            checks.push(compare(`${game}_onchain`, value, expected));
+        }
+    }
+
+    const failed = checks.filter(check => !check.ok);
+    const driftCount = failed.reduce((sum, check) => sum + (check.drifts ? check.drifts.length : 1), 0);
+    const status = failed.length === 0 ? 'ok' : 'drift';
+
+    const saved = await query(
+        `INSERT INTO ledger_reconciliations (status, drift_count, checks)
+         VALUES ($1, $2, $3)
+         RETURNING id, created_at`,
+        [status, driftCount, JSON.stringify(checks)]
+    );
+
+    if (status === 'ok') {
+        console.log(`[Ledger] Balance de comprobacion OK (${checks.length} controles)`);
+    } else {
+        console.warn(`[Ledger] Descuadre en ${failed.map(check => check.name).join(', ')} (${driftCount} diferencia(s))`);
+    }
+
+    return {
+        id: saved.rows[0].id,
+        status,
+        driftCount,
+        checks,
+        createdAt: saved.rows[0].created_at
+    };
+}
+
+module.exports = {
+    ACCOUNTS,
+    ENTRY_TYPES,
+    userAccount,
+    post,
+    transfer,
+    getTrialBalance,
+    getAccountBalance,
+    getEntryTotals,
+    getLastReconciliation,
+    getReconciliations,
+    readOnChainPools,
+    runTrialBalanceCheck
+};
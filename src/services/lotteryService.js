@@ -1,7 +1,11 @@
 const crypto = require('crypto');
 const { getClient, query } = require('../config/database');
 const Draw = require('../models/Draw');
+const DrawStateMachine = require('../workers/drawStateMachine');
 const { DRAW_STATUS, LOTTERY_RULES, LOTTERY_PRIZES, calculateJackpotContribution } = require('../config/constants');
+const responsibleGamingService = require('./responsibleGamingService');
+const ledgerService = require('./ledgerService');
+const { calculateBetCommissionByWallet } = require('./referralAdminService');
 
 // =================================
 // LOTTERY SERVICE - La Fortuna
@@ -49,6 +53,9 @@ async function getNextLotteryDraw(txClient) {
             VALUES ($1, $2, $3, 'lottery')
             RETURNING *
         `, [drawNumber, nextDrawTime, DRAW_STATUS.OPEN]);
+        await DrawStateMachine.recordCreated('lottery', insertResult.rows[0].id, DRAW_STATUS.OPEN, {
+            db: txClient || { query }
+        });
         console.log(`[LotteryService] Created new lottery draw: ${drawNumber}`);
         return insertResult.rows[0];
     } catch (error) {
@@ -199,6 +206,9 @@ async function purchaseTickets(userId, tickets) {
 
         const newBalance = parseFloat(balanceResult.rows[0].balance);
 
+        // Juego responsable: limites, enfriamiento y autoexclusion del jugador
+        await responsibleGamingService.checkPlay(client, user.wallet_address, totalCost);
+
         // 3. Get or create the next lottery draw (inside transaction)
         const draw = await getNextLotteryDraw(client);
 
@@ -272,6 +282,19 @@ async function purchaseTickets(userId, tickets) {
             ? parseFloat(jackpotResult.rows[0].jackpot_amount)
             : 0;
 
+        await ledgerService.transfer(client, {
+            type: ledgerService.ENTRY_TYPES.BET,
+            from: ledgerService.userAccount(userId),
+            to: ledgerService.ACCOUNTS.FORTUNA_POOL,
+            amount: totalCost,
+            referenceType: 'draw',
+            referenceId: draw.id
+        });
+        await responsibleGamingService.recordWager(client, user.wallet_address, 'fortuna', totalCost, {
+            referenceType: 'draw',
+            referenceId: draw.id
+        });
+
         const { toJackpot } = calculateJackpotContribution(totalCost, currentJackpot);
         if (toJackpot > 0) {
             if (jackpotResult.rows.length > 0) {
@@ -289,6 +312,13 @@ async function purchaseTickets(userId, tickets) {
 
         await client.query('COMMIT');
 
+        // Referral commission per ticket (fire-and-forget, never blocks the purchase)
+        if (user.wallet_address) {
+            for (const ticket of createdTickets) {
+                calculateBetCommissionByWallet(ticket.ticket_id, user.wallet_address, ticketPrice, 'fortuna').catch(() => {});
+            }
+        }
+
         return {
             success: true,
             tickets: createdTickets,
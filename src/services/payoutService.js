@@ -1,9 +1,12 @@
 const Bet = require('../models/Bet');
 const User = require('../models/User');
 const Draw = require('../models/Draw');
+const DrawStateMachine = require('../workers/drawStateMachine');
 const { getClient } = require('../config/database');
 const { createWinTransaction } = require('./walletService');
 const bankrollService = require('./bankrollService');
+const ledgerService = require('./ledgerService');
+const responsibleGamingService = require('./responsibleGamingService');
 
 // =================================
 // SERVICIO DE PAGOS
@@ -36,7 +39,7 @@ async function processDrawResults(drawId, winningNumbers) {
         const draw = drawResult.rows[0];
 
         // Verificar que el sorteo no esté ya procesado
-        if (draw.status === 'completed') {
+        if (draw.status === 'completed' || draw.status === 'settled') {
             throw new Error('El sorteo ya fue procesado');
         }
 
@@ -61,6 +64,7 @@ async function processDrawResults(drawId, winningNumbers) {
 
         let winnersCount = 0;
         let totalPayouts = 0;
+        const prizePostings = [];
 
         // 4. Procesar cada apuesta
         for (const bet of allBets) {
@@ -105,7 +109,7 @@ async function processDrawResults(drawId, winningNumbers) {
 
                 // Acreditar balance al usuario
                 const userResult = await client.query(
-                    'SELECT id, balance, version FROM users WHERE id = $1 FOR UPDATE',
+                    'SELECT id, balance, version, wallet_address FROM users WHERE id = $1 FOR UPDATE',
                     [bet.user_id]
                 );
 
@@ -142,8 +146,14 @@ async function processDrawResults(drawId, winningNumbers) {
                         ]
                     );
 
+                    await responsibleGamingService.recordPayout(client, user.wallet_address, 'bolita', payout, {
+                        referenceType: 'bet',
+                        referenceId: bet.id
+                    });
+
                     winnersCount++;
                     totalPayouts += payout;
+                    prizePostings.push({ account: ledgerService.userAccount(bet.user_id), amount: -payout });
                 }
 
             } else {
@@ -170,31 +180,37 @@ async function processDrawResults(drawId, winningNumbers) {
         const stats = statsResult.rows[0];
         const totalPool = parseFloat(stats.total_amount);
 
-        await client.query(
-            `UPDATE draws
-             SET status = 'completed',
-                 winning_number = $1,
-                 winning_fijos = $2,
-                 winning_centenas = $3,
-                 winning_parles = $4,
-                 total_bets_amount = $5,
-                 total_payouts_amount = $6,
-                 bets_count = $7,
-                 winners_count = $8
-             WHERE id = $9`,
-            [
-                winningNumbers.parles,
-                winningNumbers.fijos,
-                winningNumbers.centenas,
-                winningNumbers.parles,
-                stats.total_amount,
-                totalPayouts,
-                stats.total_bets,
-                winnersCount,
-                drawId
-            ]
+        // Los sorteos del flujo VRF quedan liquidados; vrfRequester los completa despues
+        await DrawStateMachine.apply(
+            DrawStateMachine.gameOfDraw(draw),
+            drawId,
+            draw.status === 'vrf_fulfilled' ? 'settled' : 'completed',
+            {
+                db: client,
+                reason: 'Resultados procesados',
+                details: { winningNumbers },
+                set: {
+                    winning_number: winningNumbers.parles,
+                    winning_fijos: winningNumbers.fijos,
+                    winning_centenas: winningNumbers.centenas,
+                    winning_parles: winningNumbers.parles,
+                    total_bets_amount: stats.total_amount,
+                    total_payouts_amount: totalPayouts,
+                    bets_count: stats.total_bets,
+                    winners_count: winnersCount
+                }
+            }
         );
 
+        // Premios: de la cuenta puente (la liquidacion la cubre con la reserva) a cada ganador
+        await ledgerService.post(client, {
+            type: ledgerService.ENTRY_TYPES.PRIZE,
+            referenceType: 'draw',
+            referenceId: drawId,
+            postings: prizePostings,
+            balanceTo: ledgerService.ACCOUNTS.BOLITA_PRIZES
+        });
+
         await client.query('COMMIT');
 
         // 6. Liquidar pool y distribuir según nuevo sistema
@@ -0,0 +1,321 @@
+/**
+ * Play Session Service
+ *
+ * Sesion de juego por wallet que abarca todos los juegos (Keno, Bolita,
+ * Bingo, La Fortuna), con tiempo jugado y resultado neto, y el aviso de
+ * realidad (reality check) que la acompana:
+ *
+ *   - La sesion empieza con la primera apuesta y termina tras
+ *     PLAY_SESSION_IDLE_MINUTES (30 por defecto) sin jugar, o cuando el
+ *     jugador la cierra. Premios y reembolsos suman a la sesion abierta pero
+ *     no la abren ni la mantienen viva.
+ *   - Cuando una apuesta llega pasado el intervalo del jugador (propio o
+ *     REALITY_CHECK_INTERVAL_MINUTES, 60 por defecto) desde el ultimo aviso,
+ *     la sesion queda con aviso pendiente. Esa apuesta se acepta y la
+ *     respuesta del juego trae el aviso; las siguientes se rechazan con code
+ *     REALITY_CHECK_REQUIRED hasta que el jugador lo confirme.
+ *
+ * responsibleGamingService llama a track/assertAcknowledged dentro de la
+ * transaccion de cada juego; este modulo no depende de el.
+ */
+
+const pool = require('../db');
+const { toCents, fromCents } = require('../utils/money');
+
+const INTERVAL_MINUTES = { min: 10, max: 240 };
+
+function defaultIntervalMinutes() {
+  const minutes = parseInt(process.env.REALITY_CHECK_INTERVAL_MINUTES);
+  return Number.isInteger(minutes) && minutes > 0 ? minutes : 60;
+}
+
+function idleMinutes() {
+  const minutes = parseInt(process.env.PLAY_SESSION_IDLE_MINUTES);
+  return Number.isInteger(minutes) && minutes > 0 ? minutes : 30;
+}
+
+function normalizeWallet(wallet) {
+  return wallet ? String(wallet).toLowerCase() : null;
+}
+
+async function log(db, wallet, action, details) {
+  await db.query(
+    'INSERT INTO responsible_gaming_log (wallet_address, action, details) VALUES ($1, $2, $3)',
+    [wallet, action, JSON.stringify(details)]
+  );
+}
+
+/**
+ * Sesion abierta de la wallet, con `idle` y `elapsed_seconds` calculados en
+ * la base de datos para no depender del reloj del proceso
+ */
+async function getOpenSession(db, wallet, { forUpdate = false } = {}) {
+  const result = await db.query(
+    `SELECT *,
+            last_activity_at < NOW() - make_interval(mins => $2) AS idle,
+            EXTRACT(EPOCH FROM (NOW() - started_at))::int AS elapsed_seconds
+     FROM play_sessions
+     WHERE wallet_address = $1 AND ended_at IS NULL
+     ${forUpdate ? 'FOR UPDATE' : ''}`,
+    [wallet, idleMinutes()]
+  );
+  return result.rows[0] || null;
+}
+
+async function getIntervalMinutes(db, wallet) {
+  const result = await db.query(
+    'SELECT interval_minutes FROM reality_check_settings WHERE wallet_address = $1',
+    [wallet]
+  );
+  return result.rows[0] ? result.rows[0].interval_minutes : defaultIntervalMinutes();
+}
+
+/**
+ * Cerrar una sesion. Por inactividad termina en su ultima jugada.
+ */
+async function closeSession(db, session, reason) {
+  await db.query(
+    `UPDATE play_sessions
+     SET ended_at = CASE WHEN $2::text = 'idle' THEN last_activity_at ELSE NOW() END,
+         end_reason = $2,
+         reality_check_pending_since = NULL
+     WHERE id = $1`,
+    [session.id, reason]
+  );
+}
+
+function formatSession(session) {
+  const totalWagered = parseFloat(session.total_wagered);
+  const totalReturned = parseFloat(session.total_returned);
+  return {
+    id: session.id,
+    startedAt: session.started_at,
+    lastActivityAt: session.last_activity_at,
+    elapsedMinutes: Math.floor((session.elapsed_seconds || 0) / 60),
+    plays: session.plays,
+    totalWagered,
+    totalReturned,
+    netResult: fromCents(toCents(totalReturned) - toCents(totalWagered))
+  };
+}
+
+function formatRealityCheck(session, intervalMinutes) {
+  const summary = formatSession(session);
+  const sign = summary.netResult < 0 ? '-' : '+';
+  return {
+    ...summary,
+    intervalMinutes,
+    pendingSince: session.reality_check_pending_since,
+    message: `Llevas ${summary.elapsedMinutes} min jugando. ` +
+      `Resultado neto de la sesion: ${sign}$${Math.abs(summary.netResult).toFixed(2)}.`
+  };
+}
+
+/**
+ * Error con code REALITY_CHECK_REQUIRED y el aviso en `realityCheck`
+ */
+function realityCheckError(realityCheck) {
+  const err = new Error('Confirma el aviso de sesion para seguir jugando.');
+  err.code = 'REALITY_CHECK_REQUIRED';
+  err.realityCheck = realityCheck;
+  return err;
+}
+
+// =================================
+// LLAMADAS DESDE LOS JUEGOS
+// =================================
+
+/**
+ * Rechazar la jugada si la sesion tiene un aviso sin confirmar
+ * @throws {Error} code REALITY_CHECK_REQUIRED
+ */
+async function assertAcknowledged(client, wallet) {
+  const addr = normalizeWallet(wallet);
+  if (!addr) return;
+
+  const session = await getOpenSession(client, addr);
+  if (!session || session.idle || !session.reality_check_pending_since) return;
+
+  throw realityCheckError(formatRealityCheck(session, await getIntervalMinutes(client, addr)));
+}
+
+/**
+ * Sumar una apuesta, premio o reembolso a la sesion abierta
+ * @param {string} activityType - wager | payout | refund (deposit se ignora)
+ */
+async function track(client, wallet, activityType, amount) {
+  const addr = normalizeWallet(wallet);
+  if (!addr || activityType === 'deposit' || !(toCents(amount) > 0)) return;
+
+  let session = await getOpenSession(client, addr, { forUpdate: true });
+  if (session && session.idle) {
+    await closeSession(client, session, 'idle');
+    session = null;
+  }
+
+  if (!session) {
+    if (activityType !== 'wager') return;
+    // El indice unico parcial evita dos sesiones abiertas si dos juegos
+    // abren sesion a la vez
+    await client.query(
+      `INSERT INTO play_sessions (wallet_address) VALUES ($1)
+       ON CONFLICT (wallet_address) WHERE ended_at IS NULL DO NOTHING`,
+      [addr]
+    );
+    session = await getOpenSession(client, addr, { forUpdate: true });
+  }
+
+  if (activityType === 'wager') {
+    await client.query(
+      `UPDATE play_sessions
+       SET total_wagered = total_wagered + $2,
+           plays = plays + 1,
+           last_activity_at = NOW(),
+           reality_check_pending_since = COALESCE(
+             reality_check_pending_since,
+             CASE WHEN last_reality_check_at <= NOW() - make_interval(mins => $3) THEN NOW() END
+           )
+       WHERE id = $1`,
+      [session.id, amount, await getIntervalMinutes(client, addr)]
+    );
+  } else {
+    await client.query(
+      'UPDATE play_sessions SET total_returned = total_returned + $2 WHERE id = $1',
+      [session.id, amount]
+    );
+  }
+}
+
+/**
+ * Aviso pendiente para adjuntar a la respuesta de un juego, o null.
+ * No lanza: la jugada ya esta confirmada y un fallo aqui no debe ocultarla.
+ */
+async function pendingRealityCheck(wallet) {
+  const addr = normalizeWallet(wallet);
+  if (!addr) return null;
+
+  try {
+    const session = await getOpenSession(pool, addr);
+    if (!session || session.idle || !session.reality_check_pending_since) return null;
+    return formatRealityCheck(session, await getIntervalMinutes(pool, addr));
+  } catch (err) {
+    console.error(`[PlaySession] Error reading reality check for ${addr}:`, err.message);
+    return null;
+  }
+}
+
+// =================================
+// JUGADOR
+// =================================
+
+/**
+ * Sesion en curso, aviso pendiente e intervalo configurado
+ */
+async function getSession(wallet) {
+  const addr = normalizeWallet(wallet);
+  const intervalMinutes = await getIntervalMinutes(pool, addr);
+  const session = await getOpenSession(pool, addr);
+  const active = session && !session.idle ? session : null;
+
+  return {
+    session: active ? formatSession(active) : null,
+    realityCheck: active && active.reality_check_pending_since
+      ? formatRealityCheck(active, intervalMinutes)
+      : null,
+    intervalMinutes,
+    defaultIntervalMinutes: defaultIntervalMinutes(),
+    idleMinutes: idleMinutes()
+  };
+}
+
+/**
+ * Confirmar el aviso pendiente y seguir, o cerrar la sesion (endSession)
+ */
+async function acknowledgeRealityCheck(wallet, { endSession = false } = {}) {
+  const addr = normalizeWallet(wallet);
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const session = await getOpenSession(client, addr, { forUpdate: true });
+    if (!session || session.idle) throw new Error('No hay una sesion de juego activa');
+
+    const summary = formatSession(session);
+    const details = {
+      sessionId: session.id,
+      elapsedMinutes: summary.elapsedMinutes,
+      totalWagered: summary.totalWagered,
+      netResult: summary.netResult
+    };
+
+    if (endSession) {
+      await closeSession(client, session, 'player');
+      await log(client, addr, 'play_session_ended', details);
+    } else {
+      if (!session.reality_check_pending_since) throw new Error('No hay un aviso de sesion pendiente');
+      await client.query(
+        `UPDATE play_sessions
+         SET reality_check_pending_since = NULL,
+             last_reality_check_at = NOW(),
+             reality_checks_acknowledged = reality_checks_acknowledged + 1
+         WHERE id = $1`,
+        [session.id]
+      );
+      await log(client, addr, 'reality_check_acknowledged', details);
+    }
+
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  return getSession(addr);
+}
+
+/**
+ * Intervalo del aviso de realidad de la wallet (10 a 240 minutos)
+ */
+async function setRealityCheckInterval(wallet, minutes) {
+  const addr = normalizeWallet(wallet);
+  const value = Number(minutes);
+  if (!Number.isInteger(value) || value < INTERVAL_MINUTES.min || value > INTERVAL_MINUTES.max) {
+    throw new Error(`intervalMinutes debe ser un entero entre ${INTERVAL_MINUTES.min} y ${INTERVAL_MINUTES.max}`);
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const previous = await getIntervalMinutes(client, addr);
+    await client.query(
+      `INSERT INTO reality_check_settings (wallet_address, interval_minutes)
+       VALUES ($1, $2)
+       ON CONFLICT (wallet_address) DO UPDATE SET interval_minutes = $2, updated_at = NOW()`,
+      [addr, value]
+    );
+    await log(client, addr, 'reality_check_interval_set', { minutes: value, previous });
+
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  return getSession(addr);
+}
+
+module.exports = {
+  INTERVAL_MINUTES,
+  assertAcknowledged,
+  track,
+  pendingRealityCheck,
+  getSession,
+  acknowledgeRealityCheck,
+  setRealityCheckInterval,
+};
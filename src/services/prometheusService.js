@@ -0,0 +1,263 @@
+/**
+ * Prometheus Service
+ *
+ * Operational metrics in Prometheus text format, scraped from GET /metrics
+ * (business figures for the admin dashboard live in metricsService).
+ *
+ *   bolcoin_http_request_duration_seconds   — latency per route template
+ *   bolcoin_db_pool_connections             — pg pool total / idle / waiting
+ *   bolcoin_indexer_*                       — last processed block, chain head
+ *                                             and lag per running indexer;
+ *                                             events given up on per indexer
+ *   bolcoin_scheduler_tick_duration_seconds — tick duration per scheduler
+ *   bolcoin_vrf_pending_requests            — VRF requests awaiting fulfillment
+ *   bolcoin_pool_balance_usdt               — game pools and bankroll (DB)
+ *
+ * DB-backed gauges and the chain head are read on scrape; a failed source is
+ * logged and its gauge left empty instead of failing the whole scrape.
+ */
+
+const client = require('prom-client');
+const database = require('../config/database');
+const { getRunningIndexers } = require('./chainIndexer');
+
+const PREFIX = 'bolcoin_';
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register, prefix: PREFIX });
+
+function _logError(source, err) {
+  console.error(`[Metrics] ${source} collect error:`, err.message);
+}
+
+// ── HTTP ─────────────────────────────────────────────────────────────────────
+
+const httpDuration = new client.Histogram({
+  name: `${PREFIX}http_request_duration_seconds`,
+  help: 'HTTP request latency by route template',
+  labelNames: ['method', 'route', 'status_code'],
+  buckets: [0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [register],
+});
+
+/**
+ * Route template of a finished request ('/api/keno/play', '/api/bingo/rounds/:id').
+ * Requests no route matched share one label so paths can't blow up cardinality.
+ */
+function routeLabel(req) {
+  if (!req.route) return 'unmatched';
+  return `${req.baseUrl || ''}${req.route.path}`;
+}
+
+function httpMetricsMiddleware(req, res, next) {
+  if (req.path === '/metrics') return next();
+
+  const end = httpDuration.startTimer();
+  res.on('finish', () => {
+    end({ method: req.method, route: routeLabel(req), status_code: res.statusCode });
+  });
+  next();
+}
+
+// ── Schedulers ───────────────────────────────────────────────────────────────
+
+const schedulerDuration = new client.Histogram({
+  name: `${PREFIX}scheduler_tick_duration_seconds`,
+  help: 'Scheduler tick duration',
+  labelNames: ['scheduler', 'outcome'],
+  // Bingo ticks span a whole round (minutes)
+  buckets: [0.1, 0.5, 1, 5, 15, 30, 60, 120, 300, 600, 1800],
+  registers: [register],
+});
+
+const schedulerLastTick = new client.Gauge({
+  name: `${PREFIX}scheduler_last_tick_timestamp_seconds`,
+  help: 'Unix time the scheduler last finished a tick',
+  labelNames: ['scheduler'],
+  registers: [register],
+});
+
+/**
+ * Start timing a scheduler tick. Returns end(outcome = 'ok'); extra calls are
+ * ignored so it is safe in both a catch and a finally.
+ */
+function startTimer(scheduler) {
+  const end = schedulerDuration.startTimer({ scheduler });
+  let done = false;
+  return (outcome = 'ok') => {
+    if (done) return;
+    done = true;
+    end({ outcome });
+    schedulerLastTick.set({ scheduler }, Date.now() / 1000);
+  };
+}
+
+// ── DB pool ──────────────────────────────────────────────────────────────────
+
+new client.Gauge({
+  name: `${PREFIX}db_pool_connections`,
+  help: 'PostgreSQL pool connections by state',
+  labelNames: ['state'],
+  registers: [register],
+  collect() {
+    const { pool } = database;
+    this.set({ state: 'total' }, pool.totalCount || 0);
+    this.set({ state: 'idle' }, pool.idleCount || 0);
+    this.set({ state: 'waiting' }, pool.waitingCount || 0);
+  },
+});
+
+new client.Gauge({
+  name: `${PREFIX}db_available`,
+  help: '1 when the database is reachable',
+  registers: [register],
+  collect() {
+    this.set(database.dbAvailable ? 1 : 0);
+  },
+});
+
+// ── Indexers ─────────────────────────────────────────────────────────────────
+
+const indexerLastBlock = new client.Gauge({
+  name: `${PREFIX}indexer_last_block`,
+  help: 'Last block processed by the indexer',
+  labelNames: ['indexer'],
+  registers: [register],
+});
+
+const indexerChainHead = new client.Gauge({
+  name: `${PREFIX}indexer_chain_head`,
+  help: 'Chain head seen by the indexer provider',
+  labelNames: ['indexer'],
+  registers: [register],
+});
+
+const indexerLag = new client.Gauge({
+  name: `${PREFIX}indexer_lag_blocks`,
+  help: 'Blocks between the chain head and the last processed block',
+  labelNames: ['indexer'],
+  registers: [register],
+});
+
+async function collectIndexers() {
+  indexerLastBlock.reset();
+  indexerChainHead.reset();
+  indexerLag.reset();
+
+  await Promise.all(getRunningIndexers().map(async (indexer) => {
+    const labels = { indexer: indexer.name };
+    indexerLastBlock.set(labels, indexer.lastBlockProcessed);
+    try {
+      const head = await indexer.provider.getBlockNumber();
+      indexerChainHead.set(labels, head);
+      indexerLag.set(labels, Math.max(0, head - indexer.lastBlockProcessed));
+    } catch (err) {
+      _logError(`${indexer.name} indexer head`, err);
+    }
+  }));
+}
+
+const indexerFailedEvents = new client.Gauge({
+  name: `${PREFIX}indexer_failed_events`,
+  help: 'Contract events the indexer gave up applying',
+  labelNames: ['indexer'],
+  registers: [register],
+});
+
+async function collectFailedEvents() {
+  indexerFailedEvents.reset();
+  try {
+    const result = await database.query(
+      `SELECT indexer, COUNT(*) AS count FROM indexer_events WHERE status = 'failed' GROUP BY indexer`
+    );
+    for (const row of result.rows) {
+      indexerFailedEvents.set({ indexer: row.indexer }, parseInt(row.count) || 0);
+    }
+  } catch (err) {
+    _logError('indexer failed events', err);
+  }
+}
+
+// ── VRF & pools (DB) ─────────────────────────────────────────────────────────
+
+const vrfPending = new client.Gauge({
+  name: `${PREFIX}vrf_pending_requests`,
+  help: 'VRF requests awaiting fulfillment',
+  labelNames: ['game'],
+  registers: [register],
+});
+
+const poolBalance = new client.Gauge({
+  name: `${PREFIX}pool_balance_usdt`,
+  help: 'Game pool and bankroll balances (USDT)',
+  labelNames: ['pool'],
+  registers: [register],
+});
+
+const VRF_PENDING_QUERIES = {
+  bolita: `SELECT COUNT(*) AS count FROM draws WHERE status = 'vrf_pending'`,
+  bingo: `SELECT COUNT(*) AS count FROM bingo_rounds WHERE status = 'vrf_requested'`,
+  keno: `SELECT COUNT(*) AS count FROM keno_vrf_batches WHERE status IN ('pending', 'requested')`,
+};
+
+async function collectVrfPending() {
+  vrfPending.reset();
+  await Promise.all(Object.entries(VRF_PENDING_QUERIES).map(async ([game, sql]) => {
+    try {
+      const result = await database.query(sql);
+      vrfPending.set({ game }, parseInt(result.rows[0]?.count) || 0);
+    } catch (err) {
+      _logError(`${game} VRF`, err);
+    }
+  }));
+}
+
+async function collectPoolBalances() {
+  poolBalance.reset();
+  const sources = [
+    ['SELECT balance FROM keno_pool WHERE id = 1', { keno: 'balance' }],
+    ['SELECT prize_reserve, bankroll_balance FROM bankroll_status LIMIT 1',
+      { bolita_reserve: 'prize_reserve', bolita_bankroll: 'bankroll_balance' }],
+    ['SELECT jackpot_balance FROM bingo_pool WHERE id = 1', { bingo_jackpot: 'jackpot_balance' }],
+  ];
+
+  await Promise.all(sources.map(async ([sql, columns]) => {
+    try {
+      const result = await database.query(sql);
+      const row = result.rows[0];
+      if (!row) return;
+      for (const [pool, column] of Object.entries(columns)) {
+        poolBalance.set({ pool }, parseFloat(row[column]) || 0);
+      }
+    } catch (err) {
+      _logError(Object.keys(columns).join('/'), err);
+    }
+  }));
+}
+
+// ── Scrape ───────────────────────────────────────────────────────────────────
+
+/**
+ * Refresh the on-demand gauges and render the registry
+ */
+async function getMetrics() {
+  const jobs = [collectIndexers()];
+  if (database.dbAvailable) {
+    jobs.push(collectFailedEvents(), collectVrfPending(), collectPoolBalances());
+  } else {
+    indexerFailedEvents.reset();
+    vrfPending.reset();
+    poolBalance.reset();
+  }
+  await Promise.all(jobs);
+  return register.metrics();
+}
+
+module.exports = {
+  register,
+  contentType: register.contentType,
+  httpMetricsMiddleware,
+  routeLabel,
+  startTimer,
+  getMetrics,
+};
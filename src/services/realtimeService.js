@@ -0,0 +1,207 @@
+/**
+ * Realtime Service
+ *
+ * Bus de eventos en memoria para el stream SSE (GET /api/stream):
+ * - Canales: bingo:<sala> (1-4), bolita y keno
+ * - Cada evento lleva un id creciente; se guardan los ultimos EVENT_BUFFER_SIZE
+ *   para que un cliente que reconecta con Last-Event-ID reciba lo que perdio
+ * - Los ids arrancan en Date.now() al iniciar el proceso, asi tras un reinicio
+ *   siguen creciendo y un id anterior al buffer provoca un evento 'reset'
+ *
+ * Es por proceso: con varias instancias cada cliente solo ve los eventos
+ * publicados por la instancia a la que esta conectado.
+ */
+
+const EVENT_BUFFER_SIZE = 1000;
+const BINGO_ROOMS = [1, 2, 3, 4];
+const CHANNELS = [...BINGO_ROOMS.map(room => `bingo:${room}`), 'bolita', 'keno'];
+
+// Tiempos de la animacion del sorteo (mismos que calcDrawDurationMs de los schedulers)
+const BALL_INTERVAL_MS = 4500;
+const LINE_PAUSE_MS = 5000;
+
+let lastId = Date.now();
+const buffer = [];
+const subscribers = new Set();
+
+/**
+ * Canal de una sala de Bingo
+ */
+function bingoChannel(roomNumber) {
+  return `bingo:${roomNumber}`;
+}
+
+function isValidChannel(channel) {
+  return CHANNELS.includes(channel);
+}
+
+/**
+ * Publicar un evento. Nunca lanza: un suscriptor roto no debe afectar
+ * al scheduler o servicio que publica.
+ * @returns {Object} evento { id, channel, type, data, timestamp }
+ */
+function publish(channel, type, data = {}) {
+  if (!isValidChannel(channel)) {
+    console.warn(`[Realtime] Canal desconocido: ${channel}`);
+    return null;
+  }
+
+  const event = {
+    id: ++lastId,
+    channel,
+    type,
+    data,
+    timestamp: new Date().toISOString()
+  };
+
+  buffer.push(event);
+  if (buffer.length > EVENT_BUFFER_SIZE) buffer.shift();
+
+  for (const sub of subscribers) {
+    if (!sub.channels.has(channel)) continue;
+    try {
+      sub.listener(event);
+    } catch (err) {
+      console.error(`[Realtime] Error en suscriptor de ${channel}:`, err.message);
+    }
+  }
+
+  return event;
+}
+
+/**
+ * Suscribirse a uno o varios canales
+ * @returns {Function} unsubscribe
+ */
+function subscribe(channels, listener) {
+  const sub = { channels: new Set(channels), listener };
+  subscribers.add(sub);
+  return () => subscribers.delete(sub);
+}
+
+/**
+ * Eventos posteriores a lastEventId en los canales pedidos.
+ * reset = true cuando el id ya salio del buffer (o es de otro proceso):
+ * el cliente debe recargar el estado por REST antes de seguir.
+ */
+function getEventsSince(lastEventId, channels) {
+  const since = Number(lastEventId);
+  if (!Number.isFinite(since) || since >= lastId) {
+    return { reset: since > lastId, events: [] };
+  }
+
+  const oldest = buffer.length > 0 ? buffer[0].id : lastId + 1;
+  const wanted = new Set(channels);
+  return {
+    reset: since < oldest - 1,
+    events: buffer.filter(e => e.id > since && wanted.has(e.channel))
+  };
+}
+
+function getSubscriberCount() {
+  return subscribers.size;
+}
+
+// =================================
+// BINGO: BOLAS EN TIEMPO REAL
+// =================================
+
+/**
+ * Emitir las bolas de un sorteo al ritmo de la animacion del frontend:
+ * una bola cada BALL_INTERVAL_MS, con la pausa de linea despues de la bola
+ * ganadora de linea. Los eventos line/bingo salen con su bola.
+ *
+ * @param {number} roomNumber
+ * @param {Object} draw - { roundId, drawnBalls, lineWinnerBall, lineWinners, bingoWinnerBall, bingoWinners }
+ * @returns {Function} cancel - detiene los timers pendientes
+ */
+function scheduleBingoDraw(roomNumber, draw) {
+  const channel = bingoChannel(roomNumber);
+  const balls = Array.isArray(draw.drawnBalls) ? draw.drawnBalls : [];
+  const lineBall = draw.lineWinnerBall || 0;
+  const bingoBall = draw.bingoWinnerBall || 0;
+  const ballsToDraw = bingoBall > 0 ? Math.min(bingoBall, balls.length) : balls.length;
+  const timers = [];
+
+  for (let i = 0; i < ballsToDraw; i++) {
+    const index = i + 1;
+    const delayMs = i * BALL_INTERVAL_MS + (lineBall > 0 && index > lineBall ? LINE_PAUSE_MS : 0);
+
+    timers.push(setTimeout(() => {
+      publish(channel, 'ball', { roundId: draw.roundId, index, ball: balls[i] });
+      if (index === lineBall) {
+        publish(channel, 'line', { roundId: draw.roundId, ball: index, winners: draw.lineWinners || [] });
+      }
+      if (index === bingoBall) {
+        publish(channel, 'bingo', { roundId: draw.roundId, ball: index, winners: draw.bingoWinners || [] });
+      }
+    }, delayMs));
+  }
+
+  return () => timers.forEach(clearTimeout);
+}
+
+/**
+ * Ganadores guardados en bingo_rounds: array JSON (off-chain) o una direccion (on-chain)
+ */
+function parseWinnerColumn(value) {
+  if (!value) return [];
+  if (Array.isArray(value)) return value;
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [String(parsed)];
+  } catch (_) {
+    return [value];
+  }
+}
+
+// =================================
+// KENO: RESULTADOS
+// =================================
+
+/**
+ * 0xabcdef...1234 -> 0xabcd...1234 (el canal keno es publico)
+ */
+function maskWallet(address) {
+  if (!address || address.length < 10) return address || null;
+  return `${address.slice(0, 6)}...${address.slice(-4)}`;
+}
+
+/**
+ * Publicar el resultado de una partida de Keno (off-chain o indexada on-chain)
+ */
+function publishKenoResult({ gameId, walletAddress, spots, hits, betAmount, payout, multiplier }) {
+  return publish('keno', 'result', {
+    gameId,
+    wallet: maskWallet(walletAddress),
+    spots,
+    hits,
+    betAmount,
+    payout,
+    multiplier
+  });
+}
+
+/**
+ * Solo para tests
+ */
+function _reset() {
+  buffer.length = 0;
+  subscribers.clear();
+}
+
+module.exports = {
+  CHANNELS,
+  EVENT_BUFFER_SIZE,
+  bingoChannel,
+  isValidChannel,
+  publish,
+  subscribe,
+  getEventsSince,
+  getSubscriberCount,
+  scheduleBingoDraw,
+  parseWinnerColumn,
+  maskWallet,
+  publishKenoResult,
+  _reset
+};
@@ -1,16 +1,21 @@
 const { query, getClient } = require('../config/database');
+const { TRANSACTION_TYPE } = require('../config/constants');
+const ledgerService = require('./ledgerService');
+const referralPlanService = require('./referralPlanService');
+const referralCampaignService = require('./referralCampaignService');
+const responsibleGamingService = require('./responsibleGamingService');
+const referralFraudService = require('./referralFraudService');
 
 // =================================
 // REFERRAL ADMIN SERVICE
 // Gestion administrativa de referidos
 // =================================
 
-const COMMISSION_RATE = 0.03; // 3% de comision
-
 /**
- * Obtener estadisticas generales de referidos
+ * Obtener estadisticas generales de referidos, con el embudo de conversion
+ * por campana (las de una wallet si se indica referrerWallet)
  */
-async function getReferralStats() {
+async function getReferralStats({ referrerWallet = null } = {}) {
     const result = await query(`
         SELECT
             COUNT(DISTINCT referrer_wallet) as total_referrers,
@@ -26,11 +31,15 @@ async function getReferralStats() {
             COUNT(*) as total_commissions,
             COUNT(*) FILTER (WHERE status = 'pending') as pending_commissions,
             COUNT(*) FILTER (WHERE status = 'paid') as paid_commissions,
+            COUNT(*) FILTER (WHERE status = 'held') as held_commissions,
             COALESCE(SUM(commission_amount) FILTER (WHERE status = 'pending'), 0) as pending_amount,
+            COALESCE(SUM(commission_amount) FILTER (WHERE status = 'held'), 0) as held_amount,
             COALESCE(SUM(commission_amount) FILTER (WHERE status = 'paid'), 0) as paid_amount
         FROM referral_commissions
     `);
 
+    const funnel = await referralCampaignService.getFunnel({ referrerWallet, limit: 50 });
+
     return {
         referrers: parseInt(result.rows[0].total_referrers) || 0,
         totalReferrals: parseInt(result.rows[0].total_referrals) || 0,
@@ -41,9 +50,13 @@ async function getReferralStats() {
             total: parseInt(commissions.rows[0].total_commissions) || 0,
             pending: parseInt(commissions.rows[0].pending_commissions) || 0,
             paid: parseInt(commissions.rows[0].paid_commissions) || 0,
+            held: parseInt(commissions.rows[0].held_commissions) || 0,
             pendingAmount: parseFloat(commissions.rows[0].pending_amount) || 0,
-            paidAmount: parseFloat(commissions.rows[0].paid_amount) || 0
-        }
+            paidAmount: parseFloat(commissions.rows[0].paid_amount) || 0,
+            heldAmount: parseFloat(commissions.rows[0].held_amount) || 0
+        },
+        funnel: funnel.totals,
+        campaigns: funnel.campaigns
     };
 }
 
@@ -81,9 +94,13 @@ async function listReferrals({ page = 1, limit = 50, status = null, search = nul
             r.referral_code,
             r.referred_wallet,
             r.registration_method,
+            r.campaign_id,
+            c.name as campaign_name,
             r.total_bets_amount,
             r.total_commissions_generated,
             r.status,
+            r.fraud_status,
+            r.fraud_score,
             r.registered_at,
             (
                 SELECT COUNT(*)
@@ -91,6 +108,7 @@ async function listReferrals({ page = 1, limit = 50, status = null, search = nul
                 WHERE rc.referrer_wallet = r.referrer_wallet
             ) as commission_count
         FROM referrals r
+        LEFT JOIN referral_campaigns c ON c.id = r.campaign_id
         ${whereClause}
         ORDER BY r.registered_at DESC
         LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
@@ -156,6 +174,12 @@ async function listCommissions({ page = 1, limit = 50, status = null, referrerWa
             rc.bet_amount,
             rc.commission_rate,
             rc.commission_amount,
+            rc.game,
+            rc.level,
+            rc.plan_id,
+            rc.basis,
+            rc.period_start,
+            rc.period_end,
             rc.status,
             rc.paid_at,
             rc.created_at
@@ -265,6 +289,15 @@ async function markCommissionsAsPaid(commissionIds, adminId) {
             RETURNING *
         `, [commissionIds]);
 
+        const totalPaid = result.rows.reduce((sum, row) => sum + parseFloat(row.commission_amount), 0);
+        await ledgerService.transfer(client, {
+            type: ledgerService.ENTRY_TYPES.REFERRAL_PAYOUT,
+            from: ledgerService.ACCOUNTS.REFERRAL_PAYABLE,
+            to: ledgerService.ACCOUNTS.EXTERNAL,
+            amount: totalPaid,
+            description: `Pago de ${result.rowCount} comision(es) por admin ${adminId}`
+        });
+
         await client.query('COMMIT');
 
         return {
@@ -334,39 +367,360 @@ async function createReferralCode(walletAddress) {
 }
 
 /**
- * Registrar un referido por codigo
+ * Referido activo de una wallet (quien la refirio), o null
+ */
+async function findActiveReferral(client, referredWallet) {
+    const result = await client.query(`
+        SELECT id, referrer_wallet, fraud_status
+        FROM referrals
+        WHERE referred_wallet = $1 AND status = 'active'
+    `, [referredWallet]);
+
+    return result.rows[0] || null;
+}
+
+/**
+ * Acreditar el bono de bienvenida al referido. No se paga a wallets
+ * autoexcluidas o en enfriamiento ni a wallets sin usuario.
+ */
+async function grantWelcomeBonus(client, referral, amount) {
+    const userResult = await client.query(
+        'SELECT id, balance FROM users WHERE wallet_address = $1 FOR UPDATE',
+        [referral.referred_wallet]
+    );
+    const user = userResult.rows[0];
+    if (!user) {
+        return null;
+    }
+
+    try {
+        await responsibleGamingService.checkDeposit(client, referral.referred_wallet, 0);
+    } catch (error) {
+        if (error.code === 'RESPONSIBLE_GAMING') {
+            return null;
+        }
+        throw error;
+    }
+
+    const balanceBefore = parseFloat(user.balance);
+    const balanceAfter = balanceBefore + amount;
+
+    await client.query(
+        'UPDATE users SET balance = $1, version = version + 1 WHERE id = $2',
+        [balanceAfter, user.id]
+    );
+
+    await client.query(`
+        INSERT INTO transactions (
+            user_id, transaction_type, amount, balance_before, balance_after,
+            reference_type, reference_id, description
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    `, [
+        user.id,
+        TRANSACTION_TYPE.ADJUSTMENT,
+        amount,
+        balanceBefore,
+        balanceAfter,
+        'referral',
+        referral.id,
+        `Bono de bienvenida por referido (${amount} USDT)`
+    ]);
+
+    await ledgerService.transfer(client, {
+        type: ledgerService.ENTRY_TYPES.WELCOME_BONUS,
+        from: ledgerService.ACCOUNTS.PROMOTIONS,
+        to: ledgerService.userAccount(user.id),
+        amount,
+        referenceType: 'referral',
+        referenceId: referral.id
+    });
+
+    await client.query(`
+        UPDATE referrals
+        SET welcome_bonus_amount = $1, welcome_bonus_paid_at = NOW()
+        WHERE id = $2
+    `, [amount, referral.id]);
+
+    return amount;
+}
+
+/**
+ * Pagar los bonos de bienvenida prometidos cuyo referido ya deposito o
+ * aposto, con una puntuacion antifraude limpia posterior a esa actividad.
+ * Asi una wallet nueva no cobra el bono solo por registrarse con un codigo.
+ */
+async function payWelcomeBonuses({ limit = 100 } = {}) {
+    const due = await query(`
+        SELECT r.id FROM referrals r
+        WHERE r.welcome_bonus_amount > 0
+        AND r.welcome_bonus_paid_at IS NULL
+        AND r.status = 'active'
+        AND r.fraud_status IN ('clear', 'cleared')
+        AND EXISTS (
+            SELECT 1 FROM responsible_gaming_activity a
+            WHERE a.wallet_address = r.referred_wallet
+            AND a.activity_type IN ('deposit', 'wager')
+            AND a.created_at >= r.registered_at
+            AND a.created_at <= r.fraud_checked_at
+        )
+        ORDER BY r.id
+        LIMIT $1
+    `, [limit]);
+
+    const summary = { paid: 0, skipped: 0, errors: 0 };
+    for (const { id } of due.rows) {
+        const client = await getClient();
+        try {
+            await client.query('BEGIN');
+
+            // Releer con lock: pudo pagarse o marcarse mientras tanto
+            const locked = await client.query(`
+                SELECT id, referred_wallet, welcome_bonus_amount
+                FROM referrals
+                WHERE id = $1 AND welcome_bonus_paid_at IS NULL
+                AND status = 'active' AND fraud_status IN ('clear', 'cleared')
+                FOR UPDATE
+            `, [id]);
+            const referral = locked.rows[0];
+            const bonus = referral
+                ? await grantWelcomeBonus(client, referral, parseFloat(referral.welcome_bonus_amount))
+                : null;
+
+            await client.query('COMMIT');
+            if (bonus) {
+                summary.paid++;
+            } else {
+                summary.skipped++;
+            }
+        } catch (error) {
+            await client.query('ROLLBACK');
+            summary.errors++;
+            console.error(`[Referral] Error pagando bono de bienvenida del referido ${id}:`, error.message);
+        } finally {
+            client.release();
+        }
+    }
+
+    if (summary.paid > 0) {
+        console.log(`[Referral] ${summary.paid} bono(s) de bienvenida pagados`);
+    }
+    return summary;
+}
+
+/**
+ * Registrar un referido por codigo. El bono de bienvenida del plan del
+ * referidor queda prometido y se paga con payWelcomeBonuses.
  */
 async function registerReferral(referralCode, referredWallet) {
     const normalizedWallet = referredWallet.toLowerCase();
+    const code = referralCode.toUpperCase();
+    const client = await getClient();
 
-    // Verificar que el codigo existe y no esta usado
-    const referral = await query(`
-        SELECT * FROM referrals
-        WHERE referral_code = $1 AND referred_wallet IS NULL
-    `, [referralCode.toUpperCase()]);
+    try {
+        await client.query('BEGIN');
+
+        // Codigo directo sin usar o codigo de campana activa
+        const referral = await client.query(`
+            SELECT * FROM referrals
+            WHERE referral_code = $1 AND referred_wallet IS NULL
+            FOR UPDATE
+        `, [code]);
+
+        const campaign = referral.rows.length === 0
+            ? await client.query(
+                'SELECT id, referrer_wallet FROM referral_campaigns WHERE code = $1 AND is_active',
+                [code]
+            )
+            : { rows: [] };
+
+        if (referral.rows.length === 0 && campaign.rows.length === 0) {
+            throw new Error('Codigo de referido invalido o ya utilizado');
+        }
 
-    if (referral.rows.length === 0) {
-        throw new Error('Codigo de referido invalido o ya utilizado');
+        const referrerWallet = (referral.rows[0] || campaign.rows[0]).referrer_wallet;
+
+        // No permitir auto-referido
+        if (referrerWallet === normalizedWallet) {
+            throw new Error('No puedes usar tu propio codigo de referido');
+        }
+
+        // Ni cerrar un ciclo con alguien a quien ya referiste
+        const circular = await client.query(`
+            SELECT id FROM referrals
+            WHERE referrer_wallet = $1 AND referred_wallet = $2
+        `, [normalizedWallet, referrerWallet]);
+
+        if (circular.rows.length > 0) {
+            throw new Error('No puedes usar el codigo de alguien a quien referiste');
+        }
+
+        // Registrar el referido: el codigo directo se consume, la campana
+        // crea una fila nueva cada vez
+        const result = referral.rows.length > 0
+            ? await client.query(`
+                UPDATE referrals
+                SET referred_wallet = $1, registration_method = 'code', registered_at = NOW(), updated_at = NOW()
+                WHERE id = $2
+                RETURNING *
+            `, [normalizedWallet, referral.rows[0].id])
+            : await client.query(`
+                INSERT INTO referrals (referrer_wallet, referred_wallet, registration_method, campaign_id)
+                VALUES ($1, $2, 'code', $3)
+                RETURNING *
+            `, [referrerWallet, normalizedWallet, campaign.rows[0].id]);
+
+        const registered = result.rows[0];
+
+        const plan = await referralPlanService.getPlanForReferrer(referrerWallet, client);
+        if (plan.welcome_bonus > 0) {
+            await client.query(
+                'UPDATE referrals SET welcome_bonus_amount = $1 WHERE id = $2',
+                [plan.welcome_bonus, registered.id]
+            );
+            registered.welcome_bonus_amount = plan.welcome_bonus;
+        }
+
+        await client.query('COMMIT');
+
+        // Puntuacion antifraude inicial (huellas y fondeo on-chain)
+        referralFraudService.scoreReferral(registered.id).catch(error => {
+            console.error(`[Referral] Error puntuando referido ${registered.id}:`, error.message);
+        });
+
+        return registered;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        if (error.code === '23505') {
+            throw new Error('Ya tienes un referidor registrado');
+        }
+        throw error;
+    } finally {
+        client.release();
     }
+}
 
-    // No permitir auto-referido
-    if (referral.rows[0].referrer_wallet === normalizedWallet) {
-        throw new Error('No puedes usar tu propio codigo de referido');
+/**
+ * Insertar una comision y moverla de los fees del operador a la cuenta por
+ * pagar de referidos. null si redondea a 0 o el periodo NGR ya estaba liquidado.
+ * Si el par esta marcado por fraude la comision queda retenida ('held').
+ */
+async function insertCommission(client, commission) {
+    const amount = Math.round(commission.baseAmount * commission.rate * 100) / 100;
+    if (!(amount > 0)) {
+        return null;
     }
 
-    // Registrar el referido
-    const result = await query(`
-        UPDATE referrals
-        SET referred_wallet = $1, registration_method = 'code', updated_at = NOW()
-        WHERE referral_code = $2 AND referred_wallet IS NULL
+    const result = await client.query(`
+        INSERT INTO referral_commissions
+        (referral_id, referrer_wallet, referred_wallet, bet_id, bet_amount, commission_rate, commission_amount,
+         game, level, plan_id, basis, period_start, period_end, status)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+        ON CONFLICT DO NOTHING
         RETURNING *
-    `, [normalizedWallet, referralCode.toUpperCase()]);
+    `, [
+        commission.referral.id,
+        commission.referral.referrer_wallet,
+        commission.referredWallet,
+        commission.betId == null ? null : String(commission.betId),
+        commission.baseAmount,
+        commission.rate,
+        amount,
+        commission.game || null,
+        commission.level,
+        commission.plan.id,
+        commission.basis || 'turnover',
+        commission.periodStart || null,
+        commission.periodEnd || null,
+        commission.referral.fraud_status === 'flagged' ? 'held' : 'pending'
+    ]);
+
+    if (result.rows.length === 0) {
+        return null;
+    }
+
+    await client.query(`
+        UPDATE referrals
+        SET total_commissions_generated = total_commissions_generated + $1, updated_at = NOW()
+        WHERE id = $2
+    `, [amount, commission.referral.id]);
+
+    // La comision sale de los fees del operador
+    await ledgerService.transfer(client, {
+        type: ledgerService.ENTRY_TYPES.REFERRAL_COMMISSION,
+        from: ledgerService.ACCOUNTS.OPERATOR_FEES,
+        to: ledgerService.ACCOUNTS.REFERRAL_PAYABLE,
+        amount,
+        referenceType: 'referral_commission',
+        referenceId: result.rows[0].id
+    });
 
     return result.rows[0];
 }
 
 /**
- * Calcular y registrar comision por una apuesta
+ * Registrar las comisiones de una apuesta: nivel 1 para quien refirio al
+ * jugador y nivel 2 para quien refirio a este, cada uno segun su plan.
+ * Con planes NGR aqui solo se suma el volumen; la comision se liquida por
+ * periodo en settleNgrCommissions.
+ */
+async function recordBetCommission(client, { betId, userWallet, betAmount, game }) {
+    const referral = await findActiveReferral(client, userWallet);
+    if (!referral) {
+        return null;
+    }
+
+    await client.query('BEGIN');
+
+    await client.query(`
+        UPDATE referrals
+        SET
+            total_bets_amount = total_bets_amount + $1,
+            first_bet_at = COALESCE(first_bet_at, NOW()),
+            last_bet_at = NOW(),
+            updated_at = NOW()
+        WHERE id = $2
+    `, [betAmount, referral.id]);
+
+    let commission = null;
+    const plan = await referralPlanService.getPlanForReferrer(referral.referrer_wallet, client);
+    if (plan.basis === 'turnover') {
+        const volume = await referralPlanService.getReferredVolume(referral.referrer_wallet, client);
+        commission = await insertCommission(client, {
+            referral,
+            referredWallet: userWallet,
+            betId,
+            baseAmount: betAmount,
+            game,
+            level: 1,
+            plan,
+            rate: referralPlanService.resolveRate(plan, game, volume)
+        });
+    }
+
+    const parent = await findActiveReferral(client, referral.referrer_wallet);
+    if (parent && parent.referrer_wallet !== userWallet) {
+        const parentPlan = await referralPlanService.getPlanForReferrer(parent.referrer_wallet, client);
+        if (parentPlan.basis === 'turnover' && parentPlan.second_level_rate > 0) {
+            await insertCommission(client, {
+                referral: parent,
+                referredWallet: userWallet,
+                betId,
+                baseAmount: betAmount,
+                game,
+                level: 2,
+                plan: parentPlan,
+                rate: parentPlan.second_level_rate
+            });
+        }
+    }
+
+    await client.query('COMMIT');
+
+    return commission;
+}
+
+/**
+ * Calcular y registrar comision por una apuesta de Bolita
  */
 async function calculateBetCommission(betId, userId, betAmount) {
     const client = await getClient();
@@ -382,103 +736,275 @@ async function calculateBetCommission(betId, userId, betAmount) {
             return null;
         }
 
-        const userWallet = userResult.rows[0].wallet_address.toLowerCase();
+        return await recordBetCommission(client, {
+            betId,
+            userWallet: userResult.rows[0].wallet_address.toLowerCase(),
+            betAmount,
+            game: 'bolita'
+        });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error calculando comision de referido:', error);
+        return null;
+    } finally {
+        client.release();
+    }
+}
 
-        // Buscar si este usuario fue referido
-        const referralResult = await client.query(`
-            SELECT id, referrer_wallet
-            FROM referrals
-            WHERE referred_wallet = $1 AND status = 'active'
-        `, [userWallet]);
+/**
+ * Calcular y registrar comision por apuesta (variante por wallet, para
+ * Keno, Bingo y La Fortuna)
+ */
+async function calculateBetCommissionByWallet(betId, walletAddress, betAmount, game) {
+    const client = await getClient();
 
-        if (referralResult.rows.length === 0) {
-            return null;
-        }
+    try {
+        return await recordBetCommission(client, {
+            betId,
+            userWallet: walletAddress.toLowerCase(),
+            betAmount,
+            game
+        });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error calculando comision de referido (wallet):', error);
+        return null;
+    } finally {
+        client.release();
+    }
+}
 
-        const referral = referralResult.rows[0];
-        const commissionAmount = betAmount * COMMISSION_RATE;
+/**
+ * Revertir la comision de una apuesta que desaparecio en un reorg
+ * Solo comisiones pendientes o retenidas; las pagadas quedan y se reportan
+ */
+async function reverseBetCommission(betId, game) {
+    const client = await getClient();
 
+    try {
         await client.query('BEGIN');
 
-        // Crear registro de comision
-        const commissionResult = await client.query(`
-            INSERT INTO referral_commissions
-            (referral_id, referrer_wallet, referred_wallet, bet_id, bet_amount, commission_rate, commission_amount)
-            VALUES ($1, $2, $3, $4, $5, $6, $7)
+        const result = await client.query(`
+            DELETE FROM referral_commissions
+            WHERE bet_id = $1 AND game = $2 AND status IN ('pending', 'held')
             RETURNING *
-        `, [referral.id, referral.referrer_wallet, userWallet, betId, betAmount, COMMISSION_RATE, commissionAmount]);
-
-        // Actualizar totales en referrals
-        await client.query(`
-            UPDATE referrals
-            SET
-                total_bets_amount = total_bets_amount + $1,
-                total_commissions_generated = total_commissions_generated + $2,
-                updated_at = NOW()
-            WHERE id = $3
-        `, [betAmount, commissionAmount, referral.id]);
+        `, [String(betId), game]);
+
+        for (const commission of result.rows) {
+            // El volumen solo se sumo en el referido directo (nivel 1)
+            await client.query(`
+                UPDATE referrals
+                SET
+                    total_bets_amount = GREATEST(total_bets_amount - $1, 0),
+                    total_commissions_generated = GREATEST(total_commissions_generated - $2, 0),
+                    updated_at = NOW()
+                WHERE id = $3
+            `, [commission.level === 1 ? commission.bet_amount : 0, commission.commission_amount, commission.referral_id]);
+
+            await ledgerService.transfer(client, {
+                type: ledgerService.ENTRY_TYPES.REFERRAL_COMMISSION,
+                from: ledgerService.ACCOUNTS.REFERRAL_PAYABLE,
+                to: ledgerService.ACCOUNTS.OPERATOR_FEES,
+                amount: parseFloat(commission.commission_amount),
+                referenceType: 'referral_commission',
+                referenceId: commission.id,
+                description: `Reverso de comision por apuesta ${betId}`
+            });
+        }
+
+        const paid = await client.query(
+            "SELECT id FROM referral_commissions WHERE bet_id = $1 AND game = $2 AND status = 'paid'",
+            [String(betId), game]
+        );
+        if (paid.rows.length > 0) {
+            console.warn(`[Referral] Comision ya pagada para apuesta revertida ${betId}: ${paid.rows.map(row => row.id).join(', ')}`);
+        }
 
         await client.query('COMMIT');
 
-        return commissionResult.rows[0];
+        return result.rowCount;
     } catch (error) {
         await client.query('ROLLBACK');
-        console.error('Error calculando comision de referido:', error);
-        return null;
+        throw error;
     } finally {
         client.release();
     }
 }
 
+// =================================
+// COMISIONES NGR
+// =================================
+
 /**
- * Calcular y registrar comision por apuesta (variante por wallet, para Keno y Bingo)
+ * Periodo [start, end) en fechas YYYY-MM-DD; por defecto el mes anterior
  */
-async function calculateBetCommissionByWallet(betId, walletAddress, betAmount) {
-    const userWallet = walletAddress.toLowerCase();
-    const client = await getClient();
+function resolvePeriod(periodStart, periodEnd) {
+    const now = new Date();
+    const start = periodStart || new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - 1, 1)).toISOString().slice(0, 10);
+    const end = periodEnd || new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)).toISOString().slice(0, 10);
+    const isDate = value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value));
+
+    if (!isDate(start) || !isDate(end)) {
+        throw new Error('Periodo invalido: usa fechas YYYY-MM-DD');
+    }
+    if (start >= end) {
+        throw new Error('Periodo invalido: period_start debe ser anterior a period_end');
+    }
+    if (end > now.toISOString().slice(0, 10)) {
+        throw new Error('Periodo invalido: el periodo aun no ha terminado');
+    }
+    return { start, end };
+}
 
-    try {
-        const referralResult = await client.query(`
-            SELECT id, referrer_wallet
-            FROM referrals
-            WHERE referred_wallet = $1 AND status = 'active'
-        `, [userWallet]);
+/**
+ * NGR del jugador por juego en el periodo: apuestas - reembolsos - premios
+ */
+async function getNgrByGame(client, wallet, period) {
+    const result = await client.query(`
+        SELECT game,
+            COALESCE(SUM(CASE WHEN activity_type = 'wager' THEN amount ELSE -amount END), 0) as ngr
+        FROM responsible_gaming_activity
+        WHERE wallet_address = $1
+        AND activity_type IN ('wager', 'payout', 'refund')
+        AND created_at >= $2 AND created_at < $3
+        GROUP BY game
+    `, [wallet, period.start, period.end]);
+
+    const byGame = {};
+    for (const row of result.rows) {
+        byGame[row.game] = parseFloat(row.ngr) || 0;
+    }
+    return byGame;
+}
 
-        if (referralResult.rows.length === 0) {
-            return null;
+/**
+ * Comisiones NGR de un referido (nivel 1 y 2) para el periodo
+ */
+async function settleReferralNgr(client, referral, period) {
+    const plan = await referralPlanService.getPlanForReferrer(referral.referrer_wallet, client);
+    const parent = await findActiveReferral(client, referral.referrer_wallet);
+    const parentPlan = parent && parent.referrer_wallet !== referral.referred_wallet
+        ? await referralPlanService.getPlanForReferrer(parent.referrer_wallet, client)
+        : null;
+    const levelTwo = parentPlan && parentPlan.basis === 'ngr' && parentPlan.second_level_rate > 0;
+
+    if (plan.basis !== 'ngr' && !levelTwo) {
+        return [];
+    }
+
+    const ngrByGame = await getNgrByGame(client, referral.referred_wallet, period);
+    const ngr = Math.round(Object.values(ngrByGame).reduce((sum, value) => sum + value, 0) * 100) / 100;
+
+    // NGR negativo: el periodo no genera comision (no se arrastra)
+    if (!(ngr > 0)) {
+        return [];
+    }
+
+    const base = {
+        referredWallet: referral.referred_wallet,
+        baseAmount: ngr,
+        basis: 'ngr',
+        periodStart: period.start,
+        periodEnd: period.end
+    };
+    const created = [];
+
+    if (plan.basis === 'ngr') {
+        const volume = await referralPlanService.getReferredVolume(referral.referrer_wallet, client);
+        let amount = 0;
+        for (const [game, value] of Object.entries(ngrByGame)) {
+            amount += value * referralPlanService.resolveRate(plan, game, volume);
+        }
+        // Con juegos en negativo la suma por juego no puede pasar la tasa maxima
+        amount = Math.min(amount, ngr * referralPlanService.MAX_RATE);
+
+        if (amount > 0) {
+            const row = await insertCommission(client, {
+                ...base,
+                referral,
+                level: 1,
+                plan,
+                rate: Math.round(amount / ngr * 10000) / 10000
+            });
+            if (row) created.push(row);
         }
+    }
 
-        const referral = referralResult.rows[0];
-        const commissionAmount = betAmount * COMMISSION_RATE;
+    if (levelTwo) {
+        const row = await insertCommission(client, {
+            ...base,
+            referral: parent,
+            level: 2,
+            plan: parentPlan,
+            rate: parentPlan.second_level_rate
+        });
+        if (row) created.push(row);
+    }
 
-        await client.query('BEGIN');
+    return created;
+}
 
-        const commissionResult = await client.query(`
-            INSERT INTO referral_commissions
-            (referral_id, referrer_wallet, referred_wallet, bet_id, bet_amount, commission_rate, commission_amount)
-            VALUES ($1, $2, $3, $4, $5, $6, $7)
-            RETURNING *
-        `, [referral.id, referral.referrer_wallet, userWallet, String(betId), betAmount, COMMISSION_RATE, commissionAmount]);
+/**
+ * Liquidar las comisiones de los planes NGR de un periodo [periodStart,
+ * periodEnd) (por defecto el mes anterior). El NGR sale del diario de juego
+ * responsable, asi que cubre el juego con saldo (no las apuestas on-chain).
+ * Cada referido se liquida una vez por periodo y nivel; repetir el mismo
+ * periodo solo agrega lo que faltara.
+ */
+async function settleNgrCommissions({ periodStart = null, periodEnd = null } = {}) {
+    const period = resolvePeriod(periodStart, periodEnd);
 
-        await client.query(`
-            UPDATE referrals
-            SET
-                total_bets_amount = total_bets_amount + $1,
-                total_commissions_generated = total_commissions_generated + $2,
-                updated_at = NOW()
-            WHERE id = $3
-        `, [betAmount, commissionAmount, referral.id]);
+    const overlap = await query(`
+        SELECT period_start, period_end FROM referral_commissions
+        WHERE basis = 'ngr' AND period_start < $2 AND period_end > $1
+        AND NOT (period_start = $1 AND period_end = $2)
+        LIMIT 1
+    `, [period.start, period.end]);
 
-        await client.query('COMMIT');
+    if (overlap.rows.length > 0) {
+        throw new Error('Periodo invalido: se solapa con un periodo NGR ya liquidado');
+    }
 
-        return commissionResult.rows[0];
-    } catch (error) {
-        await client.query('ROLLBACK');
-        console.error('Error calculando comision de referido (wallet):', error);
-        return null;
+    const referrals = await query(`
+        SELECT id, referrer_wallet, referred_wallet, fraud_status
+        FROM referrals
+        WHERE referred_wallet IS NOT NULL AND status = 'active'
+    `);
+
+    const summary = {
+        periodStart: period.start,
+        periodEnd: period.end,
+        referrals: referrals.rows.length,
+        commissions: 0,
+        totalAmount: 0,
+        errors: 0
+    };
+
+    const client = await getClient();
+
+    try {
+        for (const referral of referrals.rows) {
+            try {
+                await client.query('BEGIN');
+                const created = await settleReferralNgr(client, referral, period);
+                await client.query('COMMIT');
+
+                summary.commissions += created.length;
+                summary.totalAmount += created.reduce((sum, row) => sum + parseFloat(row.commission_amount), 0);
+            } catch (error) {
+                await client.query('ROLLBACK');
+                summary.errors++;
+                console.error(`[Referral] Error liquidando NGR de ${referral.referred_wallet}:`, error.message);
+            }
+        }
     } finally {
         client.release();
     }
+
+    summary.totalAmount = Math.round(summary.totalAmount * 100) / 100;
+    console.log(`[Referral] NGR ${period.start} a ${period.end}: ${summary.commissions} comision(es), $${summary.totalAmount}`);
+
+    return summary;
 }
 
 /**
@@ -513,8 +1039,10 @@ module.exports = {
     generateReferralCode,
     createReferralCode,
     registerReferral,
+    payWelcomeBonuses,
     calculateBetCommission,
     calculateBetCommissionByWallet,
-    updateReferralStatus,
-    COMMISSION_RATE
+    reverseBetCommission,
+    settleNgrCommissions,
+    updateReferralStatus
 };
@@ -0,0 +1,273 @@
+const { query } = require('../config/database');
+
+// =================================
+// REFERRAL CAMPAIGN SERVICE
+// Campanas de referidos y embudo de conversion
+// =================================
+//
+// Un referidor puede tener varias campanas ("twitter", "telegram-group"),
+// cada una con su codigo de 8 caracteres reutilizable. Los codigos de 6
+// caracteres de siempre (un uso) cuentan como trafico directo.
+//
+// Embudo por campana: visitantes (antes de conectar la wallet) ->
+// registros -> primera apuesta -> activos a los 30 dias (apostaron despues
+// del dia 30 desde el registro; solo cuentan los registrados hace 30 dias o
+// mas). Ingresos: volumen apostado, NGR (juego con saldo) y comisiones.
+
+const CAMPAIGN_CODE_LENGTH = 8;
+const MAX_CAMPAIGNS = 20;
+const CAMPAIGN_NAME = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+const VISITOR_ID = /^[A-Za-z0-9_-]{8,64}$/;
+const ACTIVE_AFTER_DAYS = 30;
+const FUNNEL_COUNTS = ['visitors', 'visits', 'registrations', 'firstBets', 'eligible30d', 'active30d'];
+const REVENUE_FIELDS = ['turnover', 'ngr', 'commissions'];
+
+function generateCampaignCode() {
+    const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+    let code = '';
+    for (let i = 0; i < CAMPAIGN_CODE_LENGTH; i++) {
+        code += chars.charAt(Math.floor(Math.random() * chars.length));
+    }
+    return code;
+}
+
+/**
+ * Crear una campana con codigo propio
+ */
+async function createCampaign(referrerWallet, name) {
+    const wallet = referrerWallet.toLowerCase();
+    const campaignName = typeof name === 'string' ? name.trim().toLowerCase() : '';
+    if (!CAMPAIGN_NAME.test(campaignName)) {
+        throw new Error('Nombre de campana invalido (letras, numeros, - y _; maximo 32)');
+    }
+
+    const count = await query('SELECT COUNT(*) FROM referral_campaigns WHERE referrer_wallet = $1', [wallet]);
+    if (parseInt(count.rows[0].count) >= MAX_CAMPAIGNS) {
+        throw new Error(`Maximo ${MAX_CAMPAIGNS} campanas por wallet`);
+    }
+
+    for (let attempts = 0; attempts < 10; attempts++) {
+        try {
+            const result = await query(`
+                INSERT INTO referral_campaigns (referrer_wallet, name, code)
+                VALUES ($1, $2, $3)
+                RETURNING *
+            `, [wallet, campaignName, generateCampaignCode()]);
+            return result.rows[0];
+        } catch (error) {
+            if (error.code !== '23505') {
+                throw error;
+            }
+            if (error.constraint !== 'referral_campaigns_code_key') {
+                throw new Error('Ya tienes una campana con ese nombre');
+            }
+        }
+    }
+
+    throw new Error('No se pudo generar codigo de campana unico');
+}
+
+/**
+ * Activar o pausar una campana propia. Una campana pausada no registra
+ * visitas ni referidos nuevos.
+ */
+async function setCampaignActive(referrerWallet, campaignId, isActive) {
+    const result = await query(`
+        UPDATE referral_campaigns
+        SET is_active = $3
+        WHERE id = $1 AND referrer_wallet = $2
+        RETURNING *
+    `, [campaignId, referrerWallet.toLowerCase(), isActive === true]);
+
+    if (result.rows.length === 0) {
+        throw new Error('Campana no encontrada');
+    }
+    return result.rows[0];
+}
+
+/**
+ * A quien pertenece un codigo: campana activa o codigo directo sin usar
+ * @returns {Object|null} { code, referrerWallet, campaignId }
+ */
+async function resolveCode(code) {
+    const normalized = typeof code === 'string' ? code.trim().toUpperCase() : '';
+    if (!normalized) {
+        return null;
+    }
+
+    const campaign = await query(
+        'SELECT id, referrer_wallet FROM referral_campaigns WHERE code = $1 AND is_active',
+        [normalized]
+    );
+    if (campaign.rows[0]) {
+        return { code: normalized, referrerWallet: campaign.rows[0].referrer_wallet, campaignId: campaign.rows[0].id };
+    }
+
+    const direct = await query(
+        'SELECT referrer_wallet FROM referrals WHERE referral_code = $1 AND referred_wallet IS NULL',
+        [normalized]
+    );
+    if (direct.rows[0]) {
+        return { code: normalized, referrerWallet: direct.rows[0].referrer_wallet, campaignId: null };
+    }
+
+    return null;
+}
+
+/**
+ * Registrar la visita de un enlace de referido (sin wallet). Un visitante
+ * cuenta una vez por codigo; las visitas repetidas suman hits.
+ */
+async function trackVisit({ code, visitorId, landingPage = null, source = null }) {
+    if (typeof visitorId !== 'string' || !VISITOR_ID.test(visitorId)) {
+        throw new Error('visitor_id invalido');
+    }
+
+    const target = await resolveCode(code);
+    if (!target) {
+        return { tracked: false };
+    }
+
+    await query(`
+        INSERT INTO referral_visits (code, referrer_wallet, campaign_id, visitor_id, landing_page, source)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        ON CONFLICT (code, visitor_id) DO UPDATE
+        SET hits = referral_visits.hits + 1, last_seen_at = NOW()
+    `, [
+        target.code,
+        target.referrerWallet,
+        target.campaignId,
+        visitorId,
+        landingPage ? String(landingPage).slice(0, 255) : null,
+        source ? String(source).slice(0, 255) : null
+    ]);
+
+    return { tracked: true, campaignId: target.campaignId };
+}
+
+function percent(part, whole) {
+    return whole > 0 ? Math.round(part / whole * 10000) / 100 : null;
+}
+
+/**
+ * Tasas de conversion de cada paso del embudo (en %, null sin base)
+ */
+function withRates(funnel) {
+    return {
+        ...funnel,
+        registrationRate: percent(funnel.registrations, funnel.visitors),
+        firstBetRate: percent(funnel.firstBets, funnel.registrations),
+        active30dRate: percent(funnel.active30d, funnel.eligible30d)
+    };
+}
+
+function formatFunnelRow(row) {
+    return {
+        campaignId: row.campaign_id,
+        name: row.campaign_id ? row.name : 'directo',
+        code: row.code || null,
+        isActive: row.campaign_id ? row.is_active : null,
+        referrerWallet: row.referrer_wallet,
+        funnel: withRates({
+            visitors: parseInt(row.visitors) || 0,
+            visits: parseInt(row.visits) || 0,
+            registrations: parseInt(row.registrations) || 0,
+            firstBets: parseInt(row.first_bets) || 0,
+            eligible30d: parseInt(row.eligible_30d) || 0,
+            active30d: parseInt(row.active_30d) || 0
+        }),
+        revenue: {
+            turnover: parseFloat(row.turnover) || 0,
+            ngr: Math.round((parseFloat(row.ngr) || 0) * 100) / 100,
+            commissions: parseFloat(row.commissions) || 0
+        }
+    };
+}
+
+function sumFunnel(rows) {
+    const funnel = {};
+    const revenue = {};
+    for (const key of FUNNEL_COUNTS) {
+        funnel[key] = rows.reduce((sum, row) => sum + row.funnel[key], 0);
+    }
+    for (const key of REVENUE_FIELDS) {
+        revenue[key] = Math.round(rows.reduce((sum, row) => sum + row.revenue[key], 0) * 100) / 100;
+    }
+    return { funnel: withRates(funnel), revenue };
+}
+
+/**
+ * Embudo e ingresos por campana (y trafico directo) de una wallet, o de
+ * todas si referrerWallet es null
+ * @returns {Object} { totals, campaigns }
+ */
+async function getFunnel({ referrerWallet = null, limit = null } = {}) {
+    const wallet = referrerWallet ? referrerWallet.toLowerCase() : null;
+
+    const result = await query(`
+        WITH visits AS (
+            SELECT referrer_wallet, campaign_id, COUNT(*) AS visitors, SUM(hits) AS visits
+            FROM referral_visits
+            WHERE ($1::text IS NULL OR referrer_wallet = $1)
+            GROUP BY referrer_wallet, campaign_id
+        ),
+        regs AS (
+            SELECT referrer_wallet, campaign_id,
+                COUNT(*) AS registrations,
+                COUNT(*) FILTER (WHERE first_bet_at IS NOT NULL) AS first_bets,
+                COUNT(*) FILTER (WHERE registered_at <= NOW() - make_interval(days => $2)) AS eligible_30d,
+                COUNT(*) FILTER (
+                    WHERE registered_at <= NOW() - make_interval(days => $2)
+                    AND last_bet_at >= registered_at + make_interval(days => $2)
+                ) AS active_30d,
+                SUM(total_bets_amount) AS turnover,
+                SUM(total_commissions_generated) AS commissions
+            FROM referrals
+            WHERE referred_wallet IS NOT NULL AND ($1::text IS NULL OR referrer_wallet = $1)
+            GROUP BY referrer_wallet, campaign_id
+        ),
+        ngr AS (
+            SELECT r.referrer_wallet, r.campaign_id,
+                SUM(CASE WHEN a.activity_type = 'wager' THEN a.amount ELSE -a.amount END) AS ngr
+            FROM referrals r
+            JOIN responsible_gaming_activity a
+                ON a.wallet_address = r.referred_wallet
+                AND a.activity_type IN ('wager', 'payout', 'refund')
+                AND a.created_at >= r.registered_at
+            WHERE r.referred_wallet IS NOT NULL AND ($1::text IS NULL OR r.referrer_wallet = $1)
+            GROUP BY r.referrer_wallet, r.campaign_id
+        ),
+        keys AS (
+            SELECT referrer_wallet, campaign_id FROM visits
+            UNION
+            SELECT referrer_wallet, campaign_id FROM regs
+            UNION
+            SELECT referrer_wallet, id FROM referral_campaigns WHERE ($1::text IS NULL OR referrer_wallet = $1)
+        )
+        SELECT k.referrer_wallet, k.campaign_id, c.name, c.code, c.is_active,
+            v.visitors, v.visits, g.registrations, g.first_bets, g.eligible_30d, g.active_30d,
+            g.turnover, g.commissions, n.ngr
+        FROM keys k
+        LEFT JOIN referral_campaigns c ON c.id = k.campaign_id
+        LEFT JOIN visits v ON v.referrer_wallet = k.referrer_wallet AND v.campaign_id IS NOT DISTINCT FROM k.campaign_id
+        LEFT JOIN regs g ON g.referrer_wallet = k.referrer_wallet AND g.campaign_id IS NOT DISTINCT FROM k.campaign_id
+        LEFT JOIN ngr n ON n.referrer_wallet = k.referrer_wallet AND n.campaign_id IS NOT DISTINCT FROM k.campaign_id
+        ORDER BY COALESCE(g.registrations, 0) DESC, COALESCE(v.visitors, 0) DESC, k.campaign_id NULLS LAST
+    `, [wallet, ACTIVE_AFTER_DAYS]);
+
+    const campaigns = result.rows.map(formatFunnelRow);
+
+    return {
+        totals: sumFunnel(campaigns),
+        campaigns: limit ? campaigns.slice(0, limit) : campaigns
+    };
+}
+
+module.exports = {
+    MAX_CAMPAIGNS,
+    createCampaign,
+    setCampaignActive,
+    resolveCode,
+    trackVisit,
+    getFunnel
+};
@@ -0,0 +1,263 @@
+const { query, getClient } = require('../config/database');
+const { TRANSACTION_TYPE } = require('../config/constants');
+const { toCents, fromCents } = require('../utils/money');
+const ledgerService = require('./ledgerService');
+const withdrawalService = require('./withdrawalService');
+
+// =================================
+// REFERRAL CLAIM SERVICE
+// Cobro de comisiones por el propio referidor
+// =================================
+//
+// El referidor cobra de una vez todas sus comisiones pendientes si suman al
+// menos REFERRAL_CLAIM_MIN_AMOUNT (10 por defecto). El monto se acredita a su
+// balance; con method 'withdrawal' despues se pide un retiro normal
+// (withdrawalService.requestWithdrawal) por ese monto. Si el retiro falla, el
+// dinero queda en el balance y el cobro guarda el error.
+//
+// Cada cobro queda en referral_commission_claims y las comisiones que cubre
+// apuntan a el con claim_id.
+
+const METHODS = ['balance', 'withdrawal'];
+
+function minClaimAmount() {
+    const amount = parseFloat(process.env.REFERRAL_CLAIM_MIN_AMOUNT);
+    return Number.isFinite(amount) && amount > 0 ? amount : 10;
+}
+
+function formatClaim(row) {
+    return {
+        ...row,
+        amount: parseFloat(row.amount)
+    };
+}
+
+/**
+ * Comisiones pendientes de una wallet y si ya puede cobrarlas. Las retenidas
+ * por revision antifraude se muestran aparte y no se pueden cobrar.
+ */
+async function getClaimable(referrerWallet) {
+    const wallet = referrerWallet.toLowerCase();
+    const result = await query(`
+        SELECT
+            COUNT(*) FILTER (WHERE status = 'pending') as count,
+            COALESCE(SUM(commission_amount) FILTER (WHERE status = 'pending'), 0) as amount,
+            COALESCE(SUM(commission_amount) FILTER (WHERE status = 'held'), 0) as held_amount
+        FROM referral_commissions
+        WHERE referrer_wallet = $1 AND status IN ('pending', 'held')
+    `, [wallet]);
+
+    const pendingAmount = parseFloat(result.rows[0].amount) || 0;
+    const minAmount = minClaimAmount();
+
+    return {
+        pendingAmount,
+        pendingCount: parseInt(result.rows[0].count) || 0,
+        heldAmount: parseFloat(result.rows[0].held_amount) || 0,
+        minAmount,
+        withdrawalMinAmount: withdrawalService.getWithdrawalLimits().min,
+        canClaim: toCents(pendingAmount) >= toCents(minAmount),
+        methods: METHODS
+    };
+}
+
+/**
+ * Cobrar todas las comisiones pendientes de una wallet
+ * @param {string} method - 'balance' (queda en el balance de juego) o 'withdrawal'
+ */
+async function claimCommissions(referrerWallet, { method = 'balance' } = {}) {
+    if (!METHODS.includes(method)) {
+        throw new Error(`Metodo de cobro invalido (${METHODS.join(', ')})`);
+    }
+    const wallet = referrerWallet.toLowerCase();
+    const client = await getClient();
+    let claim;
+
+    try {
+        await client.query('BEGIN');
+
+        const userResult = await client.query(
+            'SELECT id, balance FROM users WHERE wallet_address = $1 FOR UPDATE',
+            [wallet]
+        );
+        const user = userResult.rows[0];
+        if (!user) {
+            throw new Error('Usuario no encontrado');
+        }
+
+        // Bloquear las comisiones: un cobro simultaneo ya no las ve pendientes
+        const pending = await client.query(`
+            SELECT id, commission_amount
+            FROM referral_commissions
+            WHERE referrer_wallet = $1 AND status = 'pending'
+            ORDER BY id
+            FOR UPDATE
+        `, [wallet]);
+
+        const totalCents = pending.rows.reduce((sum, row) => sum + toCents(row.commission_amount), 0);
+        const amount = fromCents(totalCents);
+        const minAmount = minClaimAmount();
+        if (totalCents < toCents(minAmount)) {
+            throw new Error(`El minimo para cobrar comisiones es ${minAmount} USDT (tienes ${amount} USDT)`);
+        }
+        const withdrawalMin = withdrawalService.getWithdrawalLimits().min;
+        if (method === 'withdrawal' && totalCents < toCents(withdrawalMin)) {
+            throw new Error(`El monto minimo de retiro es ${withdrawalMin} USDT`);
+        }
+
+        const claimResult = await client.query(`
+            INSERT INTO referral_commission_claims (referrer_wallet, user_id, amount, commission_count, method)
+            VALUES ($1, $2, $3, $4, $5)
+            RETURNING *
+        `, [wallet, user.id, amount, pending.rows.length, method]);
+        claim = claimResult.rows[0];
+
+        await client.query(`
+            UPDATE referral_commissions
+            SET status = 'paid', paid_at = NOW(), claim_id = $1
+            WHERE id = ANY($2)
+        `, [claim.id, pending.rows.map(row => row.id)]);
+
+        const balanceAfter = fromCents(toCents(user.balance) + totalCents);
+        await client.query(
+            'UPDATE users SET balance = $1, version = version + 1 WHERE id = $2',
+            [balanceAfter, user.id]
+        );
+
+        const txResult = await client.query(`
+            INSERT INTO transactions (
+                user_id, transaction_type, amount, balance_before, balance_after,
+                reference_type, reference_id, description
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+            RETURNING id
+        `, [
+            user.id,
+            TRANSACTION_TYPE.ADJUSTMENT,
+            amount,
+            user.balance,
+            balanceAfter,
+            'referral_claim',
+            claim.id,
+            `Cobro de ${pending.rows.length} comision(es) de referidos`
+        ]);
+        claim.transaction_id = txResult.rows[0].id;
+
+        await client.query(
+            'UPDATE referral_commission_claims SET transaction_id = $1 WHERE id = $2',
+            [claim.transaction_id, claim.id]
+        );
+
+        await ledgerService.transfer(client, {
+            type: ledgerService.ENTRY_TYPES.REFERRAL_PAYOUT,
+            from: ledgerService.ACCOUNTS.REFERRAL_PAYABLE,
+            to: ledgerService.userAccount(user.id),
+            amount,
+            referenceType: 'referral_claim',
+            referenceId: claim.id
+        });
+
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+
+    console.log(`[Referral] Cobro ${claim.id} de ${wallet}: ${claim.amount} USDT (${claim.commission_count} comisiones, ${method})`);
+
+    if (method === 'withdrawal') {
+        try {
+            const withdrawal = await withdrawalService.requestWithdrawal(claim.user_id, parseFloat(claim.amount), 'usdt', wallet);
+            claim.withdrawal_id = withdrawal.id;
+            claim.withdrawal = withdrawal;
+            await query('UPDATE referral_commission_claims SET withdrawal_id = $1 WHERE id = $2', [withdrawal.id, claim.id]);
+        } catch (error) {
+            console.error(`[Referral] Retiro del cobro ${claim.id} fallido, el monto queda en el balance:`, error.message);
+            claim.withdrawal_error = error.message;
+            await query('UPDATE referral_commission_claims SET withdrawal_error = $1 WHERE id = $2', [error.message, claim.id]);
+        }
+    }
+
+    return formatClaim(claim);
+}
+
+/**
+ * Cobros de una wallet, del mas reciente al mas antiguo
+ */
+async function listClaims(referrerWallet, { limit = 20 } = {}) {
+    const result = await query(`
+        SELECT * FROM referral_commission_claims
+        WHERE referrer_wallet = $1
+        ORDER BY created_at DESC
+        LIMIT $2
+    `, [referrerWallet.toLowerCase(), Math.min(Math.max(parseInt(limit) || 20, 1), 100)]);
+
+    return result.rows.map(formatClaim);
+}
+
+/**
+ * Listar todos los cobros (admin)
+ */
+async function listAllClaims({ page = 1, limit = 50, referrerWallet = null } = {}) {
+    const offset = (page - 1) * limit;
+    const params = [];
+    let whereClause = '';
+
+    if (referrerWallet) {
+        params.push(referrerWallet.toLowerCase());
+        whereClause = 'WHERE referrer_wallet = $1';
+    }
+
+    const countResult = await query(`SELECT COUNT(*) FROM referral_commission_claims ${whereClause}`, params);
+    const result = await query(`
+        SELECT * FROM referral_commission_claims
+        ${whereClause}
+        ORDER BY created_at DESC
+        LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, offset]);
+
+    return {
+        claims: result.rows.map(formatClaim),
+        pagination: {
+            page,
+            limit,
+            total: parseInt(countResult.rows[0].count),
+            totalPages: Math.ceil(countResult.rows[0].count / limit)
+        }
+    };
+}
+
+/**
+ * Un cobro con las comisiones que cubre
+ * @param {string} [referrerWallet] - Si se indica, el cobro debe ser de esa wallet
+ */
+async function getClaim(claimId, referrerWallet = null) {
+    const result = await query('SELECT * FROM referral_commission_claims WHERE id = $1', [claimId]);
+    const claim = result.rows[0];
+    if (!claim || (referrerWallet && claim.referrer_wallet !== referrerWallet.toLowerCase())) {
+        throw new Error('Cobro no encontrado');
+    }
+
+    const commissions = await query(`
+        SELECT id, referred_wallet, bet_id, game, level, basis, period_start, period_end,
+            bet_amount, commission_rate, commission_amount, created_at
+        FROM referral_commissions
+        WHERE claim_id = $1
+        ORDER BY id
+    `, [claimId]);
+
+    return {
+        ...formatClaim(claim),
+        commissions: commissions.rows
+    };
+}
+
+module.exports = {
+    METHODS,
+    getClaimable,
+    claimCommissions,
+    listClaims,
+    listAllClaims,
+    getClaim
+};
@@ -0,0 +1,607 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const { query, getClient } = require('../config/database');
+const { TRANSACTION_TYPE } = require('../config/constants');
+const { getProvider } = require('../chain/provider');
+const ledgerService = require('./ledgerService');
+
+// =================================
+// REFERRAL FRAUD SERVICE
+// Deteccion de auto-referidos y granjas de wallets
+// =================================
+//
+// Cada par referidor/referido recibe una puntuacion (0-100) con estas senales:
+//   - direct_transfer: transferencias USDT on-chain entre las dos wallets
+//   - shared_funder: una misma wallet les envio USDT a las dos
+//   - shared_device / shared_ip: misma IP (y user agent) al autenticarse
+//   - mirrored_bets: el referido apuesta lo mismo, al mismo juego, a la vez
+//     que el referidor
+// Con REFERRAL_FRAUD_HOLD_SCORE (60 por defecto) o mas el par queda marcado:
+// sus comisiones nuevas y pendientes pasan a 'held' y su bono de bienvenida
+// sin pagar queda retenido hasta que un admin lo revise. Aprobar los libera;
+// rechazar cancela las comisiones, recupera el bono si ya se pago y banea
+// el referido.
+
+const SIGNAL_WEIGHTS = {
+    direct_transfer: 50,
+    shared_funder: 30,
+    shared_device: 40,
+    shared_ip: 25,
+    mirrored_bets: 30
+};
+const TRANSFER_TOPIC = ethers.id('Transfer(address,address,uint256)');
+const MIRROR_WINDOW_SECONDS = 120;
+const MIRROR_MIN_WAGERS = 5;
+const MIRROR_MIN_SHARE = 0.5;
+const FINGERPRINT_THROTTLE_MS = 10 * 60 * 1000;
+const REVIEW_DECISIONS = ['approve', 'reject'];
+
+// Ultima vez que se guardo cada huella (wallet|ip|ua) en este proceso
+const recentFingerprints = new Map();
+
+function holdScore() {
+    const score = parseInt(process.env.REFERRAL_FRAUD_HOLD_SCORE);
+    return Number.isInteger(score) && score > 0 ? score : 60;
+}
+
+function lookbackBlocks() {
+    const blocks = parseInt(process.env.REFERRAL_FRAUD_LOOKBACK_BLOCKS);
+    return Number.isInteger(blocks) && blocks > 0 ? blocks : 200000;
+}
+
+function hashValue(value) {
+    return crypto
+        .createHash('sha256')
+        .update(`${process.env.FINGERPRINT_SALT || ''}|${value || ''}`)
+        .digest('hex');
+}
+
+/**
+ * Wallets que envian USDT a mucha gente (contratos, operador, exchanges) y
+ * no cuentan como financiador comun
+ */
+function ignoredFunders() {
+    return new Set([
+        ethers.ZeroAddress,
+        process.env.OPERATOR_WALLET,
+        process.env.CONTRACT_ADDRESS,
+        process.env.BOLITA_CONTRACT_ADDRESS,
+        process.env.KENO_CONTRACT_ADDRESS,
+        process.env.BINGO_CONTRACT_ADDRESS,
+        ...(process.env.REFERRAL_FRAUD_IGNORED_FUNDERS || '').split(',')
+    ].filter(Boolean).map(address => address.trim().toLowerCase()));
+}
+
+// =================================
+// HUELLAS
+// =================================
+
+/**
+ * Guardar la huella (IP y user agent con hash) de una wallet autenticada.
+ * Se llama en cada request autenticado: repite como mucho una vez cada
+ * 10 minutos por wallet, IP y user agent.
+ */
+async function recordFingerprint(wallet, ip, userAgent) {
+    if (!wallet || !ip) {
+        return false;
+    }
+    const ipHash = hashValue(ip);
+    const uaHash = hashValue(userAgent);
+    const key = `${wallet.toLowerCase()}|${ipHash}|${uaHash}`;
+    const now = Date.now();
+
+    if (now - (recentFingerprints.get(key) || 0) < FINGERPRINT_THROTTLE_MS) {
+        return false;
+    }
+    if (recentFingerprints.size >= 10000) {
+        recentFingerprints.clear();
+    }
+    recentFingerprints.set(key, now);
+
+    await query(`
+        INSERT INTO wallet_fingerprints (wallet_address, ip_hash, ua_hash)
+        VALUES ($1, $2, $3)
+        ON CONFLICT (wallet_address, ip_hash, ua_hash) DO UPDATE
+        SET hits = wallet_fingerprints.hits + 1, last_seen_at = NOW()
+    `, [wallet.toLowerCase(), ipHash, uaHash]);
+
+    return true;
+}
+
+// =================================
+// SENALES
+// =================================
+
+async function fingerprintSignal(client, walletA, walletB) {
+    const result = await client.query(`
+        SELECT
+            COUNT(DISTINCT a.ip_hash) AS shared_ips,
+            COUNT(*) FILTER (WHERE a.ua_hash = b.ua_hash) AS shared_devices
+        FROM wallet_fingerprints a
+        JOIN wallet_fingerprints b ON b.ip_hash = a.ip_hash AND b.wallet_address = $2
+        WHERE a.wallet_address = $1
+    `, [walletA, walletB]);
+
+    const sharedIps = parseInt(result.rows[0].shared_ips) || 0;
+    const sharedDevices = parseInt(result.rows[0].shared_devices) || 0;
+
+    if (sharedDevices > 0) {
+        return { type: 'shared_device', weight: SIGNAL_WEIGHTS.shared_device, details: { sharedIps, sharedDevices } };
+    }
+    if (sharedIps > 0) {
+        return { type: 'shared_ip', weight: SIGNAL_WEIGHTS.shared_ip, details: { sharedIps } };
+    }
+    return null;
+}
+
+/**
+ * Remitentes de USDT a una wallet entre dos bloques
+ */
+async function incomingSenders(provider, token, wallet, fromBlock, toBlock) {
+    const logs = await provider.getLogs({
+        address: token,
+        topics: [TRANSFER_TOPIC, null, ethers.zeroPadValue(wallet, 32)],
+        fromBlock,
+        toBlock
+    });
+    return new Set(logs.map(log => ethers.getAddress(ethers.dataSlice(log.topics[1], 12)).toLowerCase()));
+}
+
+/**
+ * Remitentes de USDT a una wallet, cacheados en wallet_funders. Solo se
+ * piden al RPC los bloques posteriores al ultimo escaneo de la wallet (el
+ * primero cubre las ultimas lookbackBlocks()), asi el repaso diario no
+ * vuelve a leer el mismo rango.
+ */
+async function cachedSenders(provider, token, wallet, toBlock) {
+    const scan = await query(
+        'SELECT last_block FROM wallet_funding_scans WHERE token_address = $1 AND wallet_address = $2',
+        [token, wallet]
+    );
+    const lastBlock = scan.rows[0] ? Number(scan.rows[0].last_block) : null;
+
+    if (lastBlock === null || lastBlock < toBlock) {
+        const fromBlock = lastBlock === null ? Math.max(0, toBlock - lookbackBlocks()) : lastBlock + 1;
+        const fresh = await incomingSenders(provider, token, wallet, fromBlock, toBlock);
+
+        if (fresh.size > 0) {
+            await query(`
+                INSERT INTO wallet_funders (token_address, wallet_address, funder)
+                SELECT $1, $2, UNNEST($3::text[])
+                ON CONFLICT DO NOTHING
+            `, [token, wallet, [...fresh]]);
+        }
+        await query(`
+            INSERT INTO wallet_funding_scans (token_address, wallet_address, last_block)
+            VALUES ($1, $2, $3)
+            ON CONFLICT (token_address, wallet_address) DO UPDATE
+            SET last_block = GREATEST(wallet_funding_scans.last_block, $3), scanned_at = NOW()
+        `, [token, wallet, toBlock]);
+    }
+
+    const funders = await query(
+        'SELECT funder FROM wallet_funders WHERE token_address = $1 AND wallet_address = $2',
+        [token, wallet]
+    );
+    return new Set(funders.rows.map(row => row.funder));
+}
+
+/**
+ * Transferencias USDT entre las wallets o desde un mismo remitente.
+ * Sin RPC o token configurados devuelve [] (la senal no se evalua).
+ */
+async function fundingSignals(walletA, walletB) {
+    const token = (process.env.TOKEN_ADDRESS || process.env.PAYMENT_TOKEN_ADDRESS || '').toLowerCase();
+    if (!token) {
+        return [];
+    }
+
+    const provider = getProvider();
+    const toBlock = await provider.getBlockNumber();
+
+    const sendersA = await cachedSenders(provider, token, walletA, toBlock);
+    const sendersB = await cachedSenders(provider, token, walletB, toBlock);
+
+    const signals = [];
+    if (sendersA.has(walletB) || sendersB.has(walletA)) {
+        signals.push({ type: 'direct_transfer', weight: SIGNAL_WEIGHTS.direct_transfer, details: { toBlock } });
+    }
+
+    const ignored = ignoredFunders();
+    const shared = [...sendersA].filter(sender => sendersB.has(sender) && !ignored.has(sender)
+        && sender !== walletA && sender !== walletB);
+    if (shared.length > 0) {
+        signals.push({ type: 'shared_funder', weight: SIGNAL_WEIGHTS.shared_funder, details: { funders: shared.slice(0, 5), toBlock } });
+    }
+
+    return signals;
+}
+
+/**
+ * Apuestas del referido (30 dias) copiadas de una del referidor: mismo juego
+ * y monto con menos de MIRROR_WINDOW_SECONDS de diferencia
+ */
+async function bettingSignal(client, referredWallet, referrerWallet) {
+    const result = await client.query(`
+        SELECT
+            COUNT(*) AS wagers,
+            COUNT(*) FILTER (WHERE EXISTS (
+                SELECT 1 FROM responsible_gaming_activity o
+                WHERE o.wallet_address = $2
+                AND o.activity_type = 'wager'
+                AND o.game = a.game
+                AND o.amount = a.amount
+                AND o.created_at BETWEEN a.created_at - make_interval(secs => $3) AND a.created_at + make_interval(secs => $3)
+            )) AS mirrored
+        FROM responsible_gaming_activity a
+        WHERE a.wallet_address = $1
+        AND a.activity_type = 'wager'
+        AND a.created_at >= NOW() - INTERVAL '30 days'
+    `, [referredWallet, referrerWallet, MIRROR_WINDOW_SECONDS]);
+
+    const wagers = parseInt(result.rows[0].wagers) || 0;
+    const mirrored = parseInt(result.rows[0].mirrored) || 0;
+
+    if (wagers >= MIRROR_MIN_WAGERS && mirrored / wagers >= MIRROR_MIN_SHARE) {
+        return { type: 'mirrored_bets', weight: SIGNAL_WEIGHTS.mirrored_bets, details: { wagers, mirrored } };
+    }
+    return null;
+}
+
+// =================================
+// PUNTUACION
+// =================================
+
+/**
+ * Marcar el par y retener sus comisiones pendientes
+ */
+async function flagReferral(client, referral, score, signals) {
+    const flag = await client.query(`
+        INSERT INTO referral_fraud_flags (referral_id, referrer_wallet, referred_wallet, score, signals)
+        VALUES ($1, $2, $3, $4, $5)
+        ON CONFLICT (referral_id) WHERE status = 'pending' DO NOTHING
+        RETURNING *
+    `, [referral.id, referral.referrer_wallet, referral.referred_wallet, score, JSON.stringify(signals)]);
+
+    await client.query("UPDATE referrals SET fraud_status = 'flagged', updated_at = NOW() WHERE id = $1", [referral.id]);
+    const held = await client.query(
+        "UPDATE referral_commissions SET status = 'held' WHERE referral_id = $1 AND status = 'pending'",
+        [referral.id]
+    );
+
+    console.warn(`[ReferralFraud] Par marcado ${referral.referrer_wallet} -> ${referral.referred_wallet} (score ${score}, ${held.rowCount} comision(es) retenidas)`);
+
+    return flag.rows[0] || null;
+}
+
+/**
+ * Calcular la puntuacion de un referido y marcarlo si llega al umbral.
+ * Los referidos ya marcados o rechazados solo actualizan la puntuacion; los
+ * aprobados solo se vuelven a marcar con una puntuacion mayor.
+ */
+async function scoreReferral(referralId) {
+    const referralResult = await query(`
+        SELECT id, referrer_wallet, referred_wallet, fraud_status, fraud_cleared_score
+        FROM referrals
+        WHERE id = $1 AND referred_wallet IS NOT NULL
+    `, [referralId]);
+    const referral = referralResult.rows[0];
+    if (!referral) {
+        throw new Error('Referido no encontrado');
+    }
+
+    const signals = [];
+    try {
+        signals.push(...await fundingSignals(referral.referred_wallet, referral.referrer_wallet));
+    } catch (error) {
+        console.error(`[ReferralFraud] Senal on-chain no disponible para referido ${referral.id}:`, error.message);
+    }
+
+    const client = await getClient();
+    try {
+        await client.query('BEGIN');
+
+        // Bloquea el referido mientras se decide si se marca
+        const locked = await client.query(
+            'SELECT fraud_status, fraud_cleared_score FROM referrals WHERE id = $1 FOR UPDATE',
+            [referral.id]
+        );
+        Object.assign(referral, locked.rows[0]);
+
+        for (const signal of [
+            await fingerprintSignal(client, referral.referred_wallet, referral.referrer_wallet),
+            await bettingSignal(client, referral.referred_wallet, referral.referrer_wallet)
+        ]) {
+            if (signal) signals.push(signal);
+        }
+
+        const score = Math.min(100, signals.reduce((sum, signal) => sum + signal.weight, 0));
+        await client.query(
+            'UPDATE referrals SET fraud_score = $1, fraud_checked_at = NOW() WHERE id = $2',
+            [score, referral.id]
+        );
+
+        const canFlag = referral.fraud_status === 'clear'
+            || (referral.fraud_status === 'cleared' && score > (referral.fraud_cleared_score || 0));
+        const flag = score >= holdScore() && canFlag
+            ? await flagReferral(client, referral, score, signals)
+            : null;
+
+        await client.query('COMMIT');
+
+        return { referralId: referral.id, score, signals, flagged: !!flag, flag };
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Repasar referidos nunca puntuados, con apuestas desde la ultima
+ * puntuacion, con bono de bienvenida pendiente y un deposito o apuesta
+ * desde la ultima puntuacion, o puntuados hace mas de un dia
+ */
+async function scanReferrals({ limit = 100 } = {}) {
+    const result = await query(`
+        SELECT id FROM referrals r
+        WHERE referred_wallet IS NOT NULL
+        AND status = 'active'
+        AND fraud_status IN ('clear', 'cleared')
+        AND (
+            fraud_checked_at IS NULL
+            OR last_bet_at > fraud_checked_at
+            OR fraud_checked_at < NOW() - INTERVAL '1 day'
+            OR (
+                welcome_bonus_amount > 0 AND welcome_bonus_paid_at IS NULL
+                AND EXISTS (
+                    SELECT 1 FROM responsible_gaming_activity a
+                    WHERE a.wallet_address = r.referred_wallet
+                    AND a.activity_type IN ('deposit', 'wager')
+                    AND a.created_at > r.fraud_checked_at
+                )
+            )
+        )
+        ORDER BY fraud_checked_at NULLS FIRST
+        LIMIT $1
+    `, [limit]);
+
+    const summary = { scanned: 0, flagged: 0, errors: 0 };
+    for (const row of result.rows) {
+        try {
+            const scored = await scoreReferral(row.id);
+            summary.scanned++;
+            if (scored.flagged) summary.flagged++;
+        } catch (error) {
+            summary.errors++;
+            console.error(`[ReferralFraud] Error puntuando referido ${row.id}:`, error.message);
+        }
+    }
+    return summary;
+}
+
+// =================================
+// REVISION (ADMIN)
+// =================================
+
+/**
+ * Cola de revision con el monto retenido de cada par
+ */
+async function listFlags({ status = 'pending', page = 1, limit = 50 } = {}) {
+    if (!['pending', 'approved', 'rejected'].includes(status)) {
+        throw new Error('Estado de revision invalido');
+    }
+    const offset = (page - 1) * limit;
+
+    const countResult = await query('SELECT COUNT(*) FROM referral_fraud_flags WHERE status = $1', [status]);
+    const result = await query(`
+        SELECT f.*,
+            COALESCE(SUM(rc.commission_amount) FILTER (WHERE rc.status = 'held'), 0) AS held_amount,
+            COUNT(rc.id) FILTER (WHERE rc.status = 'held') AS held_count
+        FROM referral_fraud_flags f
+        LEFT JOIN referral_commissions rc ON rc.referral_id = f.referral_id
+        WHERE f.status = $1
+        GROUP BY f.id
+        ORDER BY f.score DESC, f.created_at
+        LIMIT $2 OFFSET $3
+    `, [status, limit, offset]);
+
+    return {
+        flags: result.rows.map(row => ({
+            ...row,
+            held_amount: parseFloat(row.held_amount) || 0,
+            held_count: parseInt(row.held_count) || 0
+        })),
+        pagination: {
+            page,
+            limit,
+            total: parseInt(countResult.rows[0].count),
+            totalPages: Math.ceil(countResult.rows[0].count / limit)
+        }
+    };
+}
+
+/**
+ * Un caso con sus comisiones retenidas y el bono de bienvenida del referido
+ */
+async function getFlag(flagId) {
+    const result = await query(`
+        SELECT f.*, r.welcome_bonus_amount, r.welcome_bonus_paid_at
+        FROM referral_fraud_flags f
+        JOIN referrals r ON r.id = f.referral_id
+        WHERE f.id = $1
+    `, [flagId]);
+    if (result.rows.length === 0) {
+        throw new Error('Caso no encontrado');
+    }
+
+    const commissions = await query(`
+        SELECT id, bet_id, game, level, basis, bet_amount, commission_amount, created_at
+        FROM referral_commissions
+        WHERE referral_id = $1 AND status = 'held'
+        ORDER BY id
+    `, [result.rows[0].referral_id]);
+
+    return { ...result.rows[0], commissions: commissions.rows };
+}
+
+/**
+ * Recuperar el bono de bienvenida ya pagado a un referido rechazado, hasta
+ * el saldo que le quede. Devuelve el monto recuperado.
+ */
+async function clawBackWelcomeBonus(client, referralId, flagId) {
+    const referral = await client.query(`
+        SELECT referred_wallet, welcome_bonus_amount FROM referrals
+        WHERE id = $1 AND welcome_bonus_paid_at IS NOT NULL
+    `, [referralId]);
+    if (referral.rows.length === 0) {
+        return 0;
+    }
+
+    const userResult = await client.query(
+        'SELECT id, balance FROM users WHERE wallet_address = $1 FOR UPDATE',
+        [referral.rows[0].referred_wallet]
+    );
+    const user = userResult.rows[0];
+    if (!user) {
+        return 0;
+    }
+
+    const balanceBefore = parseFloat(user.balance);
+    const amount = Math.min(parseFloat(referral.rows[0].welcome_bonus_amount), balanceBefore);
+    if (!(amount > 0)) {
+        return 0;
+    }
+    const balanceAfter = Math.round((balanceBefore - amount) * 100) / 100;
+
+    await client.query(
+        'UPDATE users SET balance = $1, version = version + 1 WHERE id = $2',
+        [balanceAfter, user.id]
+    );
+    await client.query(`
+        INSERT INTO transactions (
+            user_id, transaction_type, amount, balance_before, balance_after,
+            reference_type, reference_id, description
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    `, [
+        user.id,
+        TRANSACTION_TYPE.ADJUSTMENT,
+        -amount,
+        balanceBefore,
+        balanceAfter,
+        'referral',
+        referralId,
+        `Bono de bienvenida recuperado por fraude (caso ${flagId})`
+    ]);
+    await ledgerService.transfer(client, {
+        type: ledgerService.ENTRY_TYPES.WELCOME_BONUS,
+        from: ledgerService.userAccount(user.id),
+        to: ledgerService.ACCOUNTS.PROMOTIONS,
+        amount,
+        referenceType: 'referral_fraud_flag',
+        referenceId: flagId,
+        description: `Bono de bienvenida recuperado por fraude (caso ${flagId})`
+    });
+
+    return amount;
+}
+
+/**
+ * Resolver un caso. approve: las comisiones retenidas vuelven a pendientes
+ * y el bono de bienvenida retenido se paga en la siguiente pasada.
+ * reject: se cancelan (vuelven a los fees del operador), se recupera el
+ * bono si ya se pago y el referido queda baneado, sin comisiones ni bono.
+ */
+async function reviewFlag(flagId, { decision, notes = null }, adminAddress) {
+    if (!REVIEW_DECISIONS.includes(decision)) {
+        throw new Error(`Decision invalida (${REVIEW_DECISIONS.join(', ')})`);
+    }
+    const client = await getClient();
+
+    try {
+        await client.query('BEGIN');
+
+        const flagResult = await client.query('SELECT * FROM referral_fraud_flags WHERE id = $1 FOR UPDATE', [flagId]);
+        const flag = flagResult.rows[0];
+        if (!flag) {
+            throw new Error('Caso no encontrado');
+        }
+        if (flag.status !== 'pending') {
+            throw new Error('El caso ya fue revisado');
+        }
+
+        const status = decision === 'approve' ? 'approved' : 'rejected';
+        await client.query(`
+            UPDATE referral_fraud_flags
+            SET status = $1, reviewed_by = $2, reviewed_at = NOW(), review_notes = $3
+            WHERE id = $4
+        `, [status, adminAddress, notes, flag.id]);
+
+        let affected;
+        let bonusClawedBack = 0;
+        if (decision === 'approve') {
+            affected = await client.query(
+                "UPDATE referral_commissions SET status = 'pending' WHERE referral_id = $1 AND status = 'held' RETURNING commission_amount",
+                [flag.referral_id]
+            );
+            await client.query(`
+                UPDATE referrals
+                SET fraud_status = 'cleared', fraud_cleared_score = $1, updated_at = NOW()
+                WHERE id = $2
+            `, [flag.score, flag.referral_id]);
+        } else {
+            affected = await client.query(
+                "UPDATE referral_commissions SET status = 'cancelled' WHERE referral_id = $1 AND status = 'held' RETURNING commission_amount",
+                [flag.referral_id]
+            );
+            const cancelled = affected.rows.reduce((sum, row) => sum + parseFloat(row.commission_amount), 0);
+            await client.query(`
+                UPDATE referrals
+                SET fraud_status = 'rejected', status = 'banned',
+                    total_commissions_generated = GREATEST(total_commissions_generated - $1, 0),
+                    updated_at = NOW()
+                WHERE id = $2
+            `, [cancelled, flag.referral_id]);
+
+            await ledgerService.transfer(client, {
+                type: ledgerService.ENTRY_TYPES.REFERRAL_COMMISSION,
+                from: ledgerService.ACCOUNTS.REFERRAL_PAYABLE,
+                to: ledgerService.ACCOUNTS.OPERATOR_FEES,
+                amount: Math.round(cancelled * 100) / 100,
+                referenceType: 'referral_fraud_flag',
+                referenceId: flag.id,
+                description: `Comisiones canceladas por fraude (caso ${flag.id})`
+            });
+
+            bonusClawedBack = await clawBackWelcomeBonus(client, flag.referral_id, flag.id);
+        }
+
+        await client.query('COMMIT');
+
+        return {
+            ...flag,
+            status,
+            reviewed_by: adminAddress,
+            review_notes: notes,
+            commissions: affected.rowCount,
+            amount: Math.round(affected.rows.reduce((sum, row) => sum + parseFloat(row.commission_amount), 0) * 100) / 100,
+            bonusClawedBack
+        };
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+module.exports = {
+    SIGNAL_WEIGHTS,
+    recordFingerprint,
+    scoreReferral,
+    scanReferrals,
+    listFlags,
+    getFlag,
+    reviewFlag
+};
@@ -0,0 +1,288 @@
+const { query, getClient } = require('../config/database');
+
+// =================================
+// REFERRAL PLAN SERVICE
+// Planes de comision de referidos
+// =================================
+//
+// Cada referidor cobra segun el plan que le asigno un admin, o el plan por
+// defecto si no tiene. Un plan define:
+//   - basis: 'turnover' (comision por apuesta sobre el importe) o 'ngr'
+//     (apuestas - reembolsos - premios del referido, liquidada por periodo)
+//   - default_rate y game_rates { keno, bolita, bingo, fortuna }
+//   - tiers [{ min_volume, bonus_rate }]: con el volumen apostado por todos
+//     sus referidos se suma el bonus_rate del tramo mas alto alcanzado
+//   - second_level_rate: lo que cobra ademas por los referidos de sus referidos
+//   - welcome_bonus: saldo que recibe quien se registra con su codigo
+
+const GAMES = ['keno', 'bolita', 'bingo', 'fortuna'];
+const BASES = ['turnover', 'ngr'];
+const MAX_RATE = 0.5;
+const MAX_TIERS = 10;
+const MAX_WELCOME_BONUS = 100;
+
+// Si no hubiera plan por defecto en la base de datos: el 3% historico
+const FALLBACK_PLAN = {
+    id: null,
+    name: 'Estandar',
+    description: null,
+    basis: 'turnover',
+    default_rate: 0.03,
+    game_rates: {},
+    tiers: [],
+    second_level_rate: 0,
+    welcome_bonus: 0,
+    is_default: true
+};
+
+function formatPlan(row) {
+    return {
+        ...row,
+        default_rate: parseFloat(row.default_rate),
+        second_level_rate: parseFloat(row.second_level_rate),
+        welcome_bonus: parseFloat(row.welcome_bonus),
+        game_rates: row.game_rates || {},
+        tiers: row.tiers || [],
+        ...(row.referrers !== undefined && { referrers: parseInt(row.referrers) || 0 })
+    };
+}
+
+function parseRate(value, field) {
+    const rate = Number(value);
+    if (value === null || value === '' || !Number.isFinite(rate) || rate < 0 || rate > MAX_RATE) {
+        throw new Error(`${field} debe ser un numero entre 0 y ${MAX_RATE}`);
+    }
+    return Math.round(rate * 10000) / 10000;
+}
+
+/**
+ * Validar y normalizar los campos de un plan
+ */
+function validatePlan(input) {
+    const name = typeof input.name === 'string' ? input.name.trim() : '';
+    if (!name || name.length > 64) {
+        throw new Error('name requerido (maximo 64 caracteres)');
+    }
+    const basis = input.basis === undefined ? 'turnover' : input.basis;
+    if (!BASES.includes(basis)) {
+        throw new Error(`basis invalido (${BASES.join(', ')})`);
+    }
+
+    const gameRates = {};
+    if (input.game_rates != null && (typeof input.game_rates !== 'object' || Array.isArray(input.game_rates))) {
+        throw new Error('game_rates debe ser un objeto { juego: tasa }');
+    }
+    for (const [game, rate] of Object.entries(input.game_rates || {})) {
+        if (!GAMES.includes(game)) {
+            throw new Error(`Juego invalido en game_rates: ${game} (${GAMES.join(', ')})`);
+        }
+        gameRates[game] = parseRate(rate, `game_rates.${game}`);
+    }
+
+    if (!Array.isArray(input.tiers || []) || (input.tiers || []).length > MAX_TIERS) {
+        throw new Error(`tiers debe ser una lista de hasta ${MAX_TIERS} tramos`);
+    }
+    const tiers = (input.tiers || []).map((tier, i) => {
+        const minVolume = Number(tier && tier.min_volume);
+        if (!Number.isFinite(minVolume) || minVolume <= 0) {
+            throw new Error(`tiers[${i}].min_volume debe ser mayor que 0`);
+        }
+        return { min_volume: minVolume, bonus_rate: parseRate(tier.bonus_rate, `tiers[${i}].bonus_rate`) };
+    }).sort((a, b) => a.min_volume - b.min_volume);
+    if (new Set(tiers.map(tier => tier.min_volume)).size !== tiers.length) {
+        throw new Error('tiers no puede repetir min_volume');
+    }
+
+    const welcomeBonus = Number(input.welcome_bonus || 0);
+    if (!Number.isFinite(welcomeBonus) || welcomeBonus < 0 || welcomeBonus > MAX_WELCOME_BONUS) {
+        throw new Error(`welcome_bonus debe ser un monto entre 0 y ${MAX_WELCOME_BONUS}`);
+    }
+
+    return {
+        name,
+        description: input.description || null,
+        basis,
+        default_rate: parseRate(input.default_rate, 'default_rate'),
+        game_rates: gameRates,
+        tiers,
+        second_level_rate: parseRate(input.second_level_rate || 0, 'second_level_rate'),
+        welcome_bonus: Math.round(welcomeBonus * 100) / 100,
+        is_default: input.is_default === true
+    };
+}
+
+/**
+ * Listar planes con el numero de referidores asignados
+ */
+async function listPlans() {
+    const result = await query(`
+        SELECT p.*, COUNT(a.referrer_wallet) as referrers
+        FROM referral_commission_plans p
+        LEFT JOIN referral_plan_assignments a ON a.plan_id = p.id
+        GROUP BY p.id
+        ORDER BY p.is_default DESC, p.id
+    `);
+    return result.rows.map(formatPlan);
+}
+
+async function getPlan(planId) {
+    const result = await query('SELECT * FROM referral_commission_plans WHERE id = $1', [planId]);
+    if (result.rows.length === 0) {
+        throw new Error('Plan no encontrado');
+    }
+    return formatPlan(result.rows[0]);
+}
+
+/**
+ * Guardar un plan nuevo (planId null) o existente. Marcar un plan como
+ * defecto se lo quita al anterior.
+ */
+async function savePlan(planId, input) {
+    const client = await getClient();
+
+    try {
+        await client.query('BEGIN');
+
+        let current = null;
+        if (planId !== null) {
+            const existing = await client.query(
+                'SELECT * FROM referral_commission_plans WHERE id = $1 FOR UPDATE',
+                [planId]
+            );
+            if (existing.rows.length === 0) {
+                throw new Error('Plan no encontrado');
+            }
+            current = formatPlan(existing.rows[0]);
+        }
+
+        const plan = validatePlan(current ? { ...current, ...input } : input);
+        if (current && current.is_default && !plan.is_default) {
+            throw new Error('Debe haber un plan por defecto: marca otro plan como defecto');
+        }
+        if (plan.is_default && !(current && current.is_default)) {
+            await client.query('UPDATE referral_commission_plans SET is_default = false, updated_at = NOW() WHERE is_default');
+        }
+
+        const values = [
+            plan.name, plan.description, plan.basis, plan.default_rate,
+            JSON.stringify(plan.game_rates), JSON.stringify(plan.tiers),
+            plan.second_level_rate, plan.welcome_bonus, plan.is_default
+        ];
+        const result = current
+            ? await client.query(`
+                UPDATE referral_commission_plans
+                SET name = $1, description = $2, basis = $3, default_rate = $4, game_rates = $5,
+                    tiers = $6, second_level_rate = $7, welcome_bonus = $8, is_default = $9, updated_at = NOW()
+                WHERE id = $10
+                RETURNING *
+            `, [...values, planId])
+            : await client.query(`
+                INSERT INTO referral_commission_plans
+                (name, description, basis, default_rate, game_rates, tiers, second_level_rate, welcome_bonus, is_default)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+                RETURNING *
+            `, values);
+
+        await client.query('COMMIT');
+
+        return formatPlan(result.rows[0]);
+    } catch (error) {
+        await client.query('ROLLBACK');
+        if (error.code === '23505') {
+            throw new Error('Ya existe un plan con ese nombre');
+        }
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+function createPlan(input) {
+    return savePlan(null, input);
+}
+
+function updatePlan(planId, input) {
+    return savePlan(planId, input);
+}
+
+/**
+ * Plan de un referidor: el asignado o el plan por defecto
+ * @param {Object} [client] - Cliente de la transaccion en curso
+ */
+async function getPlanForReferrer(referrerWallet, client = null) {
+    const result = await (client || { query }).query(`
+        SELECT p.* FROM referral_commission_plans p
+        LEFT JOIN referral_plan_assignments a ON a.plan_id = p.id AND a.referrer_wallet = $1
+        WHERE a.referrer_wallet IS NOT NULL OR p.is_default
+        ORDER BY (a.referrer_wallet IS NOT NULL) DESC
+        LIMIT 1
+    `, [referrerWallet.toLowerCase()]);
+
+    return result.rows[0] ? formatPlan(result.rows[0]) : FALLBACK_PLAN;
+}
+
+/**
+ * Asignar un plan a un referidor (planId null vuelve al plan por defecto)
+ */
+async function assignPlan(referrerWallet, planId, assignedBy) {
+    if (typeof referrerWallet !== 'string' || !/^0x[a-fA-F0-9]{40}$/.test(referrerWallet)) {
+        throw new Error('Wallet invalida');
+    }
+    const wallet = referrerWallet.toLowerCase();
+
+    if (planId === null) {
+        await query('DELETE FROM referral_plan_assignments WHERE referrer_wallet = $1', [wallet]);
+    } else {
+        await getPlan(planId);
+        await query(`
+            INSERT INTO referral_plan_assignments (referrer_wallet, plan_id, assigned_by)
+            VALUES ($1, $2, $3)
+            ON CONFLICT (referrer_wallet) DO UPDATE
+            SET plan_id = $2, assigned_by = $3, assigned_at = NOW()
+        `, [wallet, planId, assignedBy || null]);
+    }
+
+    return {
+        referrer_wallet: wallet,
+        assigned: planId !== null,
+        plan: await getPlanForReferrer(wallet)
+    };
+}
+
+/**
+ * Volumen apostado por todos los referidos de una wallet
+ */
+async function getReferredVolume(referrerWallet, client = null) {
+    const result = await (client || { query }).query(`
+        SELECT COALESCE(SUM(total_bets_amount), 0) as volume
+        FROM referrals
+        WHERE referrer_wallet = $1 AND referred_wallet IS NOT NULL
+    `, [referrerWallet.toLowerCase()]);
+    return parseFloat(result.rows[0].volume) || 0;
+}
+
+/**
+ * Tasa de nivel 1 para un juego: la del juego (o default_rate) mas el
+ * bonus del tramo de volumen alcanzado
+ */
+function resolveRate(plan, game, volume = 0) {
+    const base = plan.game_rates[game] !== undefined ? plan.game_rates[game] : plan.default_rate;
+    const tier = plan.tiers
+        .filter(t => volume >= t.min_volume)
+        .reduce((best, t) => (!best || t.min_volume > best.min_volume ? t : best), null);
+    return Math.round((base + (tier ? tier.bonus_rate : 0)) * 10000) / 10000;
+}
+
+module.exports = {
+    GAMES,
+    BASES,
+    MAX_RATE,
+    listPlans,
+    getPlan,
+    createPlan,
+    updatePlan,
+    getPlanForReferrer,
+    assignPlan,
+    getReferredVolume,
+    resolveRate
+};
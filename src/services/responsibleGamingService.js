@@ -0,0 +1,546 @@
+/**
+ * Responsible Gaming Service
+ *
+ * Controles que cada jugador fija para su wallet y que aplican a todos los
+ * juegos (Keno, Bolita, Bingo, La Fortuna) y a las recargas:
+ *
+ *   - Limites de deposito, apuesta y perdida por dia, semana o mes
+ *     (periodos de calendario). Bajar un limite aplica al instante; subirlo
+ *     o quitarlo espera RG_LIMIT_INCREASE_HOURS (24 por defecto).
+ *   - Periodo de enfriamiento (24 h a 6 semanas) y autoexclusion (6 a 60
+ *     meses o permanente). Solo se pueden alargar, nunca acortar.
+ *
+ * Los juegos llaman a checkPlay/recordWager dentro de su transaccion y deben
+ * pasar el cliente de esa transaccion, no el pool: checkLimits toma un
+ * pg_advisory_xact_lock por wallet que dura hasta el COMMIT/ROLLBACK, asi dos
+ * jugadas simultaneas no pasan el mismo limite. Con el pool el lock se
+ * libera al terminar la sentencia y no protege nada.
+ *
+ * Premios y reembolsos (rondas/sorteos cancelados) se registran con
+ * recordPayout/recordRefund; un reembolso descuenta la apuesta y la perdida
+ * del periodo es apuestas - reembolsos - premios.
+ *
+ * Los limites globales de Keno (gameConfigService.getLossLimitConfig) siguen
+ * aplicando aparte. La sesion de juego y el aviso de realidad viven en
+ * playSessionService; checkPlay y record* los alimentan.
+ */
+
+const pool = require('../db');
+const { toCents, fromCents } = require('../utils/money');
+const playSessionService = require('./playSessionService');
+
+const LIMIT_TYPES = ['deposit', 'wager', 'loss'];
+const PERIODS = ['daily', 'weekly', 'monthly'];
+
+const PERIOD_UNITS = { daily: 'day', weekly: 'week', monthly: 'month' };
+const PERIOD_NAMES = { daily: 'diario', weekly: 'semanal', monthly: 'mensual' };
+const LIMIT_NAMES = { deposit: 'deposito', wager: 'apuesta', loss: 'perdida' };
+
+const COOLING_OFF_HOURS = { min: 24, max: 6 * 7 * 24 };
+const SELF_EXCLUSION_MONTHS = { min: 6, max: 60 };
+const MAX_LIMIT_AMOUNT = 1000000;
+
+function increaseDelayHours() {
+  const hours = parseInt(process.env.RG_LIMIT_INCREASE_HOURS);
+  return Number.isInteger(hours) && hours >= 0 ? hours : 24;
+}
+
+/**
+ * Error con code RESPONSIBLE_GAMING para que los llamadores (ej. autoplay)
+ * distingan un bloqueo del jugador de un fallo
+ */
+function rgError(message) {
+  const err = new Error(message);
+  err.code = 'RESPONSIBLE_GAMING';
+  return err;
+}
+
+function normalizeWallet(wallet) {
+  return wallet ? String(wallet).toLowerCase() : null;
+}
+
+function formatDate(date) {
+  return new Date(date).toISOString().replace('T', ' ').slice(0, 16) + ' UTC';
+}
+
+async function log(db, wallet, action, details) {
+  await db.query(
+    'INSERT INTO responsible_gaming_log (wallet_address, action, details) VALUES ($1, $2, $3)',
+    [wallet, action, JSON.stringify(details)]
+  );
+}
+
+// =================================
+// LIMITES
+// =================================
+
+/**
+ * Aplicar las subidas/eliminaciones pendientes cuyo plazo ya vencio.
+ * Los UPDATE/DELETE re-chequean el plazo, asi dos llamadas simultaneas no
+ * registran el cambio dos veces.
+ */
+async function applyDueChanges(db, wallet) {
+  const due = await db.query(
+    `SELECT id FROM responsible_gaming_limits
+     WHERE wallet_address = $1 AND pending_effective_at <= NOW()`,
+    [wallet]
+  );
+
+  for (const { id } of due.rows) {
+    const removed = await db.query(
+      `DELETE FROM responsible_gaming_limits
+       WHERE id = $1 AND pending_effective_at <= NOW() AND pending_amount IS NULL
+       RETURNING limit_type, period, amount`,
+      [id]
+    );
+    if (removed.rows.length > 0) {
+      const row = removed.rows[0];
+      await log(db, wallet, 'limit_removed', {
+        type: row.limit_type, period: row.period, previous: parseFloat(row.amount)
+      });
+      continue;
+    }
+
+    const raised = await db.query(
+      `UPDATE responsible_gaming_limits l
+       SET amount = l.pending_amount, pending_amount = NULL, pending_effective_at = NULL, updated_at = NOW()
+       FROM (SELECT id, amount FROM responsible_gaming_limits WHERE id = $1) old
+       WHERE l.id = old.id AND l.pending_effective_at <= NOW()
+       RETURNING l.limit_type, l.period, l.amount, old.amount AS previous`,
+      [id]
+    );
+    if (raised.rows.length > 0) {
+      const row = raised.rows[0];
+      await log(db, wallet, 'limit_increased', {
+        type: row.limit_type, period: row.period,
+        previous: parseFloat(row.previous), amount: parseFloat(row.amount)
+      });
+    }
+  }
+}
+
+/**
+ * Depositos, apuestas y perdida neta del periodo en curso
+ */
+async function getUsage(db, wallet, period) {
+  const result = await db.query(
+    `SELECT activity_type, COALESCE(SUM(amount), 0) AS total
+     FROM responsible_gaming_activity
+     WHERE wallet_address = $1 AND created_at >= date_trunc($2, NOW())
+     GROUP BY activity_type`,
+    [wallet, PERIOD_UNITS[period]]
+  );
+
+  const cents = { deposit: 0, wager: 0, payout: 0, refund: 0 };
+  for (const row of result.rows) {
+    cents[row.activity_type] = toCents(row.total);
+  }
+  const wagered = Math.max(0, cents.wager - cents.refund);
+
+  return {
+    deposit: fromCents(cents.deposit),
+    wager: fromCents(wagered),
+    loss: fromCents(Math.max(0, wagered - cents.payout))
+  };
+}
+
+async function getExclusion(db, wallet) {
+  const result = await db.query(
+    'SELECT * FROM responsible_gaming_exclusions WHERE wallet_address = $1',
+    [wallet]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Mensaje de bloqueo si hay autoexclusion o enfriamiento vigente
+ */
+function exclusionMessage(exclusion) {
+  if (!exclusion) return null;
+  const now = Date.now();
+
+  if (exclusion.self_excluded_permanent) {
+    return 'Autoexclusion permanente activa. No puedes jugar ni depositar.';
+  }
+  if (exclusion.self_excluded_until && new Date(exclusion.self_excluded_until).getTime() > now) {
+    return `Autoexclusion activa hasta ${formatDate(exclusion.self_excluded_until)}.`;
+  }
+  if (exclusion.cooling_off_until && new Date(exclusion.cooling_off_until).getTime() > now) {
+    return `Periodo de enfriamiento activo hasta ${formatDate(exclusion.cooling_off_until)}.`;
+  }
+  return null;
+}
+
+/**
+ * Rechazar si `amount` supera algun limite de los tipos dados.
+ * Toma un lock por wallet hasta el fin de la transaccion del caller, asi
+ * dos jugadas concurrentes no pasan el mismo limite leyendo el mismo uso.
+ */
+async function checkLimits(db, wallet, types, amount) {
+  await db.query('SELECT pg_advisory_xact_lock(hashtext($1))', [wallet]);
+  await applyDueChanges(db, wallet);
+
+  const limits = await db.query(
+    `SELECT limit_type, period, amount FROM responsible_gaming_limits
+     WHERE wallet_address = $1 AND limit_type = ANY($2)`,
+    [wallet, types]
+  );
+  if (limits.rows.length === 0) return;
+
+  const usageByPeriod = {};
+  for (const limit of limits.rows) {
+    if (!usageByPeriod[limit.period]) {
+      usageByPeriod[limit.period] = await getUsage(db, wallet, limit.period);
+    }
+    const used = usageByPeriod[limit.period][limit.limit_type];
+
+    // Para la perdida se asume el peor caso: que la apuesta se pierda entera
+    if (toCents(used) + toCents(amount) > toCents(limit.amount)) {
+      const remaining = fromCents(Math.max(0, toCents(limit.amount) - toCents(used)));
+      throw rgError(
+        `Limite de ${LIMIT_NAMES[limit.limit_type]} ${PERIOD_NAMES[limit.period]} alcanzado ` +
+        `($${used.toFixed(2)} / $${parseFloat(limit.amount).toFixed(2)}, disponible $${remaining.toFixed(2)}).`
+      );
+    }
+  }
+}
+
+/**
+ * Validar una jugada: autoexclusion, enfriamiento, aviso de realidad sin
+ * confirmar y limites de apuesta y perdida
+ * @param {Object} client - Cliente pg dentro de la transaccion de la jugada
+ * @param {string} wallet - Wallet del jugador (sin wallet no hay controles)
+ * @param {number} amount - Monto total apostado
+ * @param {Object} [options]
+ * @param {boolean} [options.realityCheck=true] - false para compras ya pagadas
+ *   por adelantado (suscripciones de Bingo), que no las inicia el jugador
+ * @throws {Error} code RESPONSIBLE_GAMING si la jugada no esta permitida,
+ *   REALITY_CHECK_REQUIRED si falta confirmar el aviso de sesion
+ */
+async function checkPlay(client, wallet, amount, { realityCheck = true } = {}) {
+  const addr = normalizeWallet(wallet);
+  if (!addr) return;
+
+  const blocked = exclusionMessage(await getExclusion(client, addr));
+  if (blocked) throw rgError(blocked);
+
+  if (realityCheck) await playSessionService.assertAcknowledged(client, addr);
+
+  await checkLimits(client, addr, ['wager', 'loss'], amount);
+}
+
+/**
+ * Validar una recarga: autoexclusion, enfriamiento y limites de deposito
+ */
+async function checkDeposit(client, wallet, amount) {
+  const addr = normalizeWallet(wallet);
+  if (!addr) return;
+
+  const blocked = exclusionMessage(await getExclusion(client, addr));
+  if (blocked) throw rgError(blocked);
+
+  await checkLimits(client, addr, ['deposit'], amount);
+}
+
+async function recordActivity(client, wallet, activityType, game, amount, reference = {}) {
+  const addr = normalizeWallet(wallet);
+  const cents = toCents(amount);
+  if (!addr || !(cents > 0)) return;
+
+  await client.query(
+    `INSERT INTO responsible_gaming_activity
+       (wallet_address, activity_type, game, amount, reference_type, reference_id)
+     VALUES ($1, $2, $3, $4, $5, $6)`,
+    [
+      addr, activityType, game, fromCents(cents),
+      reference.referenceType || null,
+      reference.referenceId == null ? null : String(reference.referenceId)
+    ]
+  );
+  await playSessionService.track(client, addr, activityType, fromCents(cents));
+}
+
+function recordWager(client, wallet, game, amount, reference) {
+  return recordActivity(client, wallet, 'wager', game, amount, reference);
+}
+
+function recordPayout(client, wallet, game, amount, reference) {
+  return recordActivity(client, wallet, 'payout', game, amount, reference);
+}
+
+function recordRefund(client, wallet, game, amount, reference) {
+  return recordActivity(client, wallet, 'refund', game, amount, reference);
+}
+
+function recordDeposit(client, wallet, amount, reference) {
+  return recordActivity(client, wallet, 'deposit', null, amount, reference);
+}
+
+// =================================
+// AJUSTES DEL JUGADOR
+// =================================
+
+function formatLimit(row, usage) {
+  const amount = parseFloat(row.amount);
+  const used = usage[row.limit_type];
+  return {
+    type: row.limit_type,
+    period: row.period,
+    amount,
+    used,
+    remaining: fromCents(Math.max(0, toCents(amount) - toCents(used))),
+    pending: row.pending_effective_at
+      ? {
+        amount: row.pending_amount === null ? null : parseFloat(row.pending_amount),
+        effectiveAt: row.pending_effective_at
+      }
+      : null
+  };
+}
+
+/**
+ * Limites con su consumo del periodo y estado de exclusion
+ */
+async function getSettings(wallet) {
+  const addr = normalizeWallet(wallet);
+  await applyDueChanges(pool, addr);
+
+  const limits = await pool.query(
+    `SELECT * FROM responsible_gaming_limits WHERE wallet_address = $1
+     ORDER BY array_position($2::text[], limit_type), array_position($3::text[], period)`,
+    [addr, LIMIT_TYPES, PERIODS]
+  );
+
+  const usageByPeriod = {};
+  for (const period of PERIODS) {
+    if (limits.rows.some(row => row.period === period)) {
+      usageByPeriod[period] = await getUsage(pool, addr, period);
+    }
+  }
+
+  const exclusion = await getExclusion(pool, addr);
+  const now = Date.now();
+  const active = date => (date && new Date(date).getTime() > now ? date : null);
+
+  return {
+    limits: limits.rows.map(row => formatLimit(row, usageByPeriod[row.period])),
+    coolingOffUntil: active(exclusion?.cooling_off_until),
+    selfExcludedUntil: active(exclusion?.self_excluded_until),
+    selfExcludedPermanent: Boolean(exclusion?.self_excluded_permanent),
+    blocked: Boolean(exclusionMessage(exclusion)),
+    limitIncreaseDelayHours: increaseDelayHours()
+  };
+}
+
+/**
+ * Fijar, bajar, subir o quitar (amount null/0) un limite
+ * @returns {Object} { limit, applied: 'now'|'pending'|'unchanged' }
+ */
+async function setLimit(wallet, { type, period, amount }) {
+  const addr = normalizeWallet(wallet);
+  if (!LIMIT_TYPES.includes(type)) {
+    throw new Error(`Tipo de limite invalido (${LIMIT_TYPES.join(', ')})`);
+  }
+  if (!PERIODS.includes(period)) {
+    throw new Error(`Periodo invalido (${PERIODS.join(', ')})`);
+  }
+
+  const removing = amount === null || amount === undefined || Number(amount) === 0;
+  const cents = removing ? null : toCents(amount);
+  if (!removing && (!Number.isFinite(cents) || cents <= 0 || cents > toCents(MAX_LIMIT_AMOUNT))) {
+    throw new Error(`El monto debe ser mayor que 0 y como maximo ${MAX_LIMIT_AMOUNT}`);
+  }
+  const value = removing ? null : fromCents(cents);
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await applyDueChanges(client, addr);
+
+    const existing = await client.query(
+      `SELECT * FROM responsible_gaming_limits
+       WHERE wallet_address = $1 AND limit_type = $2 AND period = $3
+       FOR UPDATE`,
+      [addr, type, period]
+    );
+    const current = existing.rows[0];
+    const details = { type, period, amount: value };
+    let row;
+    let applied;
+
+    if (!current) {
+      if (removing) throw new Error('No hay un limite que quitar');
+      const inserted = await client.query(
+        `INSERT INTO responsible_gaming_limits (wallet_address, limit_type, period, amount)
+         VALUES ($1, $2, $3, $4) RETURNING *`,
+        [addr, type, period, value]
+      );
+      row = inserted.rows[0];
+      applied = 'now';
+      await log(client, addr, 'limit_set', details);
+
+    } else if (!removing && cents < toCents(current.amount)) {
+      // Bajar: inmediato, y descarta cualquier subida pendiente
+      const updated = await client.query(
+        `UPDATE responsible_gaming_limits
+         SET amount = $2, pending_amount = NULL, pending_effective_at = NULL, updated_at = NOW()
+         WHERE id = $1 RETURNING *`,
+        [current.id, value]
+      );
+      row = updated.rows[0];
+      applied = 'now';
+      await log(client, addr, 'limit_decreased', { ...details, previous: parseFloat(current.amount) });
+
+    } else if (!removing && cents === toCents(current.amount)) {
+      // Mismo valor: solo cancela un cambio pendiente
+      row = current;
+      applied = 'unchanged';
+      if (current.pending_effective_at) {
+        const updated = await client.query(
+          `UPDATE responsible_gaming_limits
+           SET pending_amount = NULL, pending_effective_at = NULL, updated_at = NOW()
+           WHERE id = $1 RETURNING *`,
+          [current.id]
+        );
+        row = updated.rows[0];
+        await log(client, addr, 'limit_change_cancelled', details);
+      }
+
+    } else {
+      // Subir o quitar: queda pendiente
+      const updated = await client.query(
+        `UPDATE responsible_gaming_limits
+         SET pending_amount = $2,
+             pending_effective_at = NOW() + make_interval(hours => $3),
+             updated_at = NOW()
+         WHERE id = $1 RETURNING *`,
+        [current.id, value, increaseDelayHours()]
+      );
+      row = updated.rows[0];
+      applied = 'pending';
+      await log(client, addr, removing ? 'limit_removal_requested' : 'limit_increase_requested', {
+        ...details, previous: parseFloat(current.amount), effectiveAt: row.pending_effective_at
+      });
+    }
+
+    await client.query('COMMIT');
+
+    const usage = await getUsage(pool, addr, period);
+    return { limit: formatLimit(row, usage), applied };
+
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Upsert de la exclusion, sin acortar nunca lo vigente
+ */
+async function extendExclusion(wallet, { coolingOffHours = null, selfExclusionMonths = null, permanent = false }, action) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `INSERT INTO responsible_gaming_exclusions AS e
+         (wallet_address, cooling_off_until, self_excluded_until, self_excluded_permanent)
+       VALUES (
+         $1,
+         NOW() + make_interval(hours => $2::int),
+         NOW() + make_interval(months => $3::int),
+         $4
+       )
+       ON CONFLICT (wallet_address) DO UPDATE SET
+         cooling_off_until = GREATEST(e.cooling_off_until, EXCLUDED.cooling_off_until),
+         self_excluded_until = GREATEST(e.self_excluded_until, EXCLUDED.self_excluded_until),
+         self_excluded_permanent = e.self_excluded_permanent OR EXCLUDED.self_excluded_permanent,
+         updated_at = NOW()
+       RETURNING *`,
+      [wallet, coolingOffHours, selfExclusionMonths, permanent]
+    );
+    const row = result.rows[0];
+
+    await log(client, wallet, action, {
+      hours: coolingOffHours ?? undefined,
+      months: selfExclusionMonths ?? undefined,
+      permanent: permanent || undefined,
+      coolingOffUntil: row.cooling_off_until,
+      selfExcludedUntil: row.self_excluded_until
+    });
+
+    await client.query('COMMIT');
+    console.log(`[ResponsibleGaming] ${wallet} ${action}`);
+    return row;
+
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Pausa voluntaria de `hours` horas (24 h a 6 semanas)
+ */
+async function startCoolingOff(wallet, hours) {
+  const value = Number(hours);
+  if (!Number.isInteger(value) || value < COOLING_OFF_HOURS.min || value > COOLING_OFF_HOURS.max) {
+    throw new Error(`hours debe ser un entero entre ${COOLING_OFF_HOURS.min} y ${COOLING_OFF_HOURS.max}`);
+  }
+  await extendExclusion(normalizeWallet(wallet), { coolingOffHours: value }, 'cooling_off_started');
+  return getSettings(wallet);
+}
+
+/**
+ * Autoexclusion por `months` meses (6 a 60) o permanente
+ */
+async function selfExclude(wallet, { months, permanent = false } = {}) {
+  if (permanent !== true) {
+    const value = Number(months);
+    if (!Number.isInteger(value) || value < SELF_EXCLUSION_MONTHS.min || value > SELF_EXCLUSION_MONTHS.max) {
+      throw new Error(`months debe ser un entero entre ${SELF_EXCLUSION_MONTHS.min} y ${SELF_EXCLUSION_MONTHS.max}, o permanent: true`);
+    }
+    months = value;
+  }
+  await extendExclusion(
+    normalizeWallet(wallet),
+    { selfExclusionMonths: permanent === true ? null : months, permanent: permanent === true },
+    'self_excluded'
+  );
+  return getSettings(wallet);
+}
+
+/**
+ * Historial de cambios del jugador (mas recientes primero)
+ */
+async function getLog(wallet, limit = 50) {
+  const size = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+  const result = await pool.query(
+    `SELECT action, details, created_at FROM responsible_gaming_log
+     WHERE wallet_address = $1
+     ORDER BY created_at DESC, id DESC
+     LIMIT $2`,
+    [normalizeWallet(wallet), size]
+  );
+  return result.rows;
+}
+
+module.exports = {
+  LIMIT_TYPES,
+  PERIODS,
+  checkPlay,
+  checkDeposit,
+  recordWager,
+  recordPayout,
+  recordRefund,
+  recordDeposit,
+  getSettings,
+  setLimit,
+  startCoolingOff,
+  selfExclude,
+  getLog,
+};
@@ -3,7 +3,7 @@
  * Handles exposure tracking, payout cap calculations, and risk monitoring
  */
 
-const { pool } = require('../db');
+const pool = require('../db');
 const { RISK_CONFIG } = require('../config/constants');
 
 class RiskService {
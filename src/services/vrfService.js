@@ -3,6 +3,8 @@ const { VRF_CONFIG, AUDIT_ACTIONS } = require('../config/constants');
 const Draw = require('../models/Draw');
 const AuditLog = require('../models/AuditLog');
 const { query } = require('../config/database');
+const { getProvider } = require('../chain/provider');
+const { txManager } = require('../chain/txManager');
 
 // =================================
 // SERVICIO VRF (Chainlink)
@@ -43,7 +45,6 @@ class VRFService {
      */
     async initialize() {
         try {
-            const rpcUrl = process.env.POLYGON_RPC_URL || 'https://polygon-rpc.com';
             const privateKey = process.env.OPERATOR_PRIVATE_KEY;
 
             if (!privateKey) {
@@ -52,7 +53,7 @@ class VRFService {
                 return false;
             }
 
-            this.provider = new ethers.JsonRpcProvider(rpcUrl);
+            this.provider = getProvider();
             this.signer = new ethers.Wallet(privateKey, this.provider);
 
             const contractAddress = process.env.CONTRACT_ADDRESS;
@@ -92,7 +93,11 @@ class VRFService {
             }
 
             // Solicitar al contrato
-            const tx = await this.contract.requestDrawResult(drawId);
+            const tx = await txManager.sendContract(this.contract, 'requestDrawResult', [drawId], {
+                purpose: 'bolita.requestDrawResult',
+                referenceType: 'draw',
+                referenceId: drawId
+            });
             const receipt = await tx.wait();
 
             // Buscar el evento
@@ -2,6 +2,8 @@ const User = require('../models/User');
 const Transaction = require('../models/Transaction');
 const { getClient } = require('../config/database');
 const { TRANSACTION_TYPE, LIMITS, ERROR_MESSAGES } = require('../config/constants');
+const ledgerService = require('./ledgerService');
+const responsibleGamingService = require('./responsibleGamingService');
 
 // =================================
 // SERVICIO DE BILLETERA
@@ -27,7 +29,7 @@ async function recharge(userId, amount) {
 
         // Obtener balance actual
         const userResult = await client.query(
-            'SELECT id, balance, version FROM users WHERE id = $1 FOR UPDATE',
+            'SELECT id, balance, version, wallet_address FROM users WHERE id = $1 FOR UPDATE',
             [userId]
         );
 
@@ -44,6 +46,9 @@ async function recharge(userId, amount) {
             throw new Error(`El balance no puede exceder ${LIMITS.MAX_BALANCE} USDT`);
         }
 
+        // Juego responsable: limites de deposito, enfriamiento y autoexclusion
+        await responsibleGamingService.checkDeposit(client, user.wallet_address, amount);
+
         // Actualizar balance con verificacion de optimistic lock
         const updateResult = await client.query(
             'UPDATE users SET balance = $1, version = version + 1 WHERE id = $2 AND version = $3',
@@ -71,6 +76,19 @@ async function recharge(userId, amount) {
             ]
         );
 
+        await ledgerService.transfer(client, {
+            type: ledgerService.ENTRY_TYPES.DEPOSIT,
+            from: ledgerService.ACCOUNTS.EXTERNAL,
+            to: ledgerService.userAccount(userId),
+            amount: parseFloat(amount),
+            referenceType: 'transaction',
+            referenceId: transactionResult.rows[0].id
+        });
+        await responsibleGamingService.recordDeposit(client, user.wallet_address, amount, {
+            referenceType: 'transaction',
+            referenceId: transactionResult.rows[0].id
+        });
+
         await client.query('COMMIT');
 
         return {
@@ -187,6 +205,16 @@ async function adjustBalance(userId, amount, reason, adminId) {
             ]
         );
 
+        await ledgerService.transfer(client, {
+            type: ledgerService.ENTRY_TYPES.ADJUSTMENT,
+            from: ledgerService.ACCOUNTS.ADJUSTMENTS,
+            to: ledgerService.userAccount(userId),
+            amount: parseFloat(amount),
+            referenceType: 'transaction',
+            referenceId: transactionResult.rows[0].id,
+            description: reason
+        });
+
         await client.query('COMMIT');
 
         return {
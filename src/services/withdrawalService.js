@@ -4,6 +4,7 @@ const User = require('../models/User');
 const Transaction = require('../models/Transaction');
 const { toCents, fromCents } = require('../utils/money');
 const { sendUsdtTransfer, getSigner } = require('../chain/provider');
+const ledgerService = require('./ledgerService');
 const WITHDRAWAL_AUTO_LIMIT = parseFloat(process.env.WITHDRAWAL_AUTO_LIMIT) || 500;
 const WITHDRAWAL_MIN_AMOUNT = parseFloat(process.env.WITHDRAWAL_MIN_AMOUNT) || 5;
 
@@ -56,14 +57,28 @@ async function requestWithdrawal(userId, amount, cryptoCurrency, walletAddress)
 }
 
 /**
- * Restore a user's balance after a failed on-chain withdrawal.
- * Runs in its own DB connection (the original is already released).
+ * Restore a user's balance after a failed on-chain withdrawal and mark it
+ * 'failed'. Runs in its own DB connection (the original is already released).
+ * Only a withdrawal still in 'processing' is restored, so the immediate
+ * failure path and resolvePendingWithdrawals never credit it twice.
+ * Returns false if it was already resolved.
  */
 async function _restoreWithdrawalBalance(userId, amount, withdrawalId, failureReason) {
   const restoreClient = await pool.connect();
   try {
     await restoreClient.query('BEGIN');
 
+    const claimed = await restoreClient.query(
+      `UPDATE withdrawals SET status = 'failed'
+       WHERE id = $1 AND status = 'processing'
+       RETURNING id`,
+      [withdrawalId]
+    );
+    if (claimed.rows.length === 0) {
+      await restoreClient.query('ROLLBACK');
+      return false;
+    }
+
     // Read current (deducted) balance, apply lock
     const balanceResult = await restoreClient.query(
       'SELECT balance FROM users WHERE id = $1 FOR UPDATE',
@@ -93,8 +108,18 @@ async function _restoreWithdrawalBalance(userId, amount, withdrawalId, failureRe
       ]
     );
 
+    await ledgerService.transfer(restoreClient, {
+      type: ledgerService.ENTRY_TYPES.WITHDRAWAL_REVERSAL,
+      from: ledgerService.ACCOUNTS.EXTERNAL,
+      to: ledgerService.userAccount(userId),
+      amount: parseFloat(amount),
+      referenceType: 'withdrawal',
+      referenceId: withdrawalId
+    });
+
     await restoreClient.query('COMMIT');
     console.log(`[WithdrawalService] Balance restored for user ${userId}: +${amount} USDT (withdrawal ${withdrawalId})`);
+    return true;
   } catch (restoreError) {
     await restoreClient.query('ROLLBACK');
     // Log loudly — operator must reconcile manually
@@ -113,6 +138,8 @@ async function _restoreWithdrawalBalance(userId, amount, withdrawalId, failureRe
  *   Phase 1 (DB): deduct balance, create transaction record, mark 'processing'
  *   Phase 2 (on-chain): transfer USDT via operator wallet, verify receipt
  *   On phase-2 failure: restore balance and mark withdrawal 'failed'
+ *   If the transfer is still pending on-chain: leave it 'processing'; the
+ *   outcome is applied later by resolvePendingWithdrawals
  */
 async function processWithdrawal(withdrawalId, adminId = null) {
   // Fail fast if operator wallet is not configured — before touching DB
@@ -184,6 +211,15 @@ async function processWithdrawal(withdrawalId, adminId = null) {
       [adminId, withdrawalId]
     );
 
+    await ledgerService.transfer(client, {
+      type: ledgerService.ENTRY_TYPES.WITHDRAWAL,
+      from: ledgerService.userAccount(user.id),
+      to: ledgerService.ACCOUNTS.EXTERNAL,
+      amount: parseFloat(withdrawal.amount),
+      referenceType: 'withdrawal',
+      referenceId: withdrawal.id
+    });
+
     await client.query('COMMIT');
     withdrawalRow = withdrawal; // save for phase 2
 
@@ -196,9 +232,19 @@ async function processWithdrawal(withdrawalId, adminId = null) {
 
   // ── Phase 2: on-chain transfer ────────────────────────────────────────
   try {
-    const txHash = await sendUsdtTransfer(withdrawalRow.wallet_address, withdrawalRow.amount);
+    const txHash = await sendUsdtTransfer(withdrawalRow.wallet_address, withdrawalRow.amount, {
+      referenceType: 'withdrawal',
+      referenceId: withdrawalId,
+    });
     await Withdrawal.markCompleted(withdrawalId, txHash);
   } catch (payoutError) {
+    if (payoutError.code === 'TX_PENDING') {
+      // Sin restaurar: la transferencia todavia puede minarse
+      console.warn(`[WithdrawalService] Withdrawal ${withdrawalId} pending on-chain (tx #${payoutError.txId}):`, payoutError.message);
+      await Withdrawal.markProcessing(withdrawalId, payoutError.txHash);
+      return await Withdrawal.findById(withdrawalId);
+    }
+
     console.error('[WithdrawalService] On-chain transfer failed:', payoutError.message);
     // Balance was already deducted — restore it
     await _restoreWithdrawalBalance(
@@ -213,6 +259,49 @@ async function processWithdrawal(withdrawalId, adminId = null) {
   return await Withdrawal.findById(withdrawalId);
 }
 
+/**
+ * Resolver retiros en 'processing' cuya transferencia on-chain ya termino,
+ * segun el registro de operator_transactions: confirmada → 'completed';
+ * revertida, cancelada, perdida o fallida → balance restaurado y 'failed'.
+ */
+async function resolvePendingWithdrawals() {
+  const result = await pool.query(
+    `SELECT w.id, w.user_id, w.amount, t.status AS tx_status, t.tx_hash, t.error AS tx_error
+     FROM withdrawals w
+     JOIN LATERAL (
+       SELECT status, tx_hash, error FROM operator_transactions
+       WHERE reference_type = 'withdrawal' AND reference_id = w.id::text
+       ORDER BY id DESC
+       LIMIT 1
+     ) t ON true
+     WHERE w.status = 'processing'
+       AND t.status NOT IN ('queued', 'submitted')`
+  );
+
+  const resolved = { completed: 0, failed: 0 };
+  for (const row of result.rows) {
+    try {
+      if (row.tx_status === 'confirmed') {
+        await Withdrawal.markCompleted(row.id, row.tx_hash);
+        resolved.completed++;
+        console.log(`[WithdrawalService] Withdrawal ${row.id} confirmed on-chain: ${row.tx_hash}`);
+      } else {
+        const restored = await _restoreWithdrawalBalance(
+          row.user_id,
+          row.amount,
+          row.id,
+          `transferencia ${row.tx_status}${row.tx_error ? `: ${row.tx_error}` : ''}`
+        );
+        if (restored) resolved.failed++;
+      }
+    } catch (error) {
+      console.error(`[WithdrawalService] Error resolving withdrawal ${row.id}:`, error.message);
+    }
+  }
+
+  return resolved;
+}
+
 /**
  * Aprobar un retiro pendiente (admin)
  */
@@ -287,6 +376,7 @@ function getWithdrawalLimits() {
 module.exports = {
   requestWithdrawal,
   processWithdrawal,
+  resolvePendingWithdrawals,
   approveWithdrawal,
   rejectWithdrawal,
   getUserWithdrawals,
@@ -0,0 +1,162 @@
+// Tests for the per-game draw state machine (DB mocked)
+jest.mock('../../config/database', () => ({
+  query: jest.fn(),
+}));
+
+jest.mock('../../models/AuditLog', () => ({
+  logDrawAction: jest.fn(),
+}));
+
+const { query } = require('../../config/database');
+const DrawStateMachine = require('../drawStateMachine');
+
+const TX_HASH = '0x' + 'f'.repeat(64);
+
+describe('DrawStateMachine', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    console.warn.mockRestore();
+  });
+
+  describe('transition tables', () => {
+    it('keeps a separate set of transitions per game', () => {
+      expect(DrawStateMachine.isValidTransition('open', 'vrf_pending', 'bolita')).toBe(true);
+      expect(DrawStateMachine.isValidTransition('open', 'vrf_pending', 'lottery')).toBe(false);
+      expect(DrawStateMachine.isValidTransition('settled', 'roots_published', 'lottery')).toBe(true);
+      expect(DrawStateMachine.isValidTransition('vrf_fulfilled', 'resolving', 'bingo')).toBe(true);
+      expect(DrawStateMachine.isValidTransition('resolved', 'open', 'bingo')).toBe(false);
+    });
+
+    it('lists the states a target can be reached from', () => {
+      expect(DrawStateMachine.getPreviousStates('bingo', 'drawing')).toEqual(['closed', 'resolving']);
+    });
+  });
+
+  describe('apply', () => {
+    it('moves the status and records actor, reason and tx hash in the same statement', async () => {
+      query.mockResolvedValueOnce({ rows: [{ id: 7, status: 'open', previous_status: 'scheduled' }] });
+
+      const row = await DrawStateMachine.apply('bolita', 7, 'open', {
+        from: ['scheduled'],
+        actor: 'bolita-scheduler',
+        reason: 'Abierto on-chain',
+        txHash: TX_HASH,
+        details: { drawNumber: 'B-7' }
+      });
+
+      expect(row).toEqual({ id: 7, status: 'open' });
+      const [sql, params] = query.mock.calls[0];
+      expect(sql).toContain('UPDATE draws t');
+      expect(sql).toContain('INSERT INTO draw_state_transitions');
+      expect(params).toEqual([7, 'open', ['scheduled'], 'bolita', 'bolita-scheduler', 'Abierto on-chain', TX_HASH, '{"drawNumber":"B-7"}']);
+    });
+
+    it('writes extra columns next to the status', async () => {
+      query.mockResolvedValueOnce({ rows: [{ round_id: 3, status: 'vrf_fulfilled', previous_status: 'vrf_requested' }] });
+
+      await DrawStateMachine.apply('bingo', 3, 'vrf_fulfilled', { set: { vrf_random_word: '123' } });
+
+      const [sql, params] = query.mock.calls[0];
+      expect(sql).toContain('UPDATE bingo_rounds t SET status = $2, updated_at = NOW(), vrf_random_word = $9');
+      expect(sql).toContain("'bingo_round'");
+      expect(params[2]).toEqual(['vrf_requested', 'resolving']);
+      expect(params[8]).toBe('123');
+    });
+
+    it('is a no-op when the row is already in the target state', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ status: 'completed' }] });
+
+      await expect(DrawStateMachine.apply('bolita', 7, 'completed')).resolves.toBeNull();
+    });
+
+    it('rejects an illegal transition', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ status: 'cancelled' }] });
+
+      await expect(DrawStateMachine.apply('bolita', 7, 'completed')).rejects.toMatchObject({
+        code: 'INVALID_DRAW_TRANSITION',
+        message: expect.stringContaining('cancelled -> completed')
+      });
+    });
+
+    it('returns null when the row is no longer in one of the requested states', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ status: 'completed' }] });
+
+      await expect(DrawStateMachine.apply('bolita', 7, 'vrf_pending', { from: ['open'] })).resolves.toBeNull();
+    });
+
+    it('rejects an illegal from state before touching the database', async () => {
+      await expect(DrawStateMachine.apply('bingo', 3, 'drawing', { from: ['open'] })).rejects.toMatchObject({
+        code: 'INVALID_DRAW_TRANSITION'
+      });
+      expect(query).not.toHaveBeenCalled();
+    });
+
+    it('only reverts from explicit states', async () => {
+      await expect(DrawStateMachine.apply('bolita', 7, 'open', { revert: true })).rejects.toThrow('estados de origen');
+
+      query.mockResolvedValueOnce({ rows: [{ id: 7, status: 'open', previous_status: 'cancelled' }] });
+      await DrawStateMachine.apply('bolita', 7, 'open', { from: ['cancelled'], revert: true, reason: 'reorg' });
+      expect(query.mock.calls[0][1][2]).toEqual(['cancelled']);
+    });
+
+    it('rejects an unknown game', async () => {
+      await expect(DrawStateMachine.apply('keno', 1, 'open')).rejects.toThrow('Juego no reconocido');
+    });
+  });
+
+  describe('applyToDraw', () => {
+    it('uses the La Fortuna transitions for lottery draws', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [{ draw_type: 'lottery' }] })
+        .mockResolvedValueOnce({ rows: [{ id: 9, status: 'roots_published', previous_status: 'settled' }] });
+
+      await DrawStateMachine.applyToDraw(9, 'roots_published');
+
+      expect(query.mock.calls[1][1][3]).toBe('lottery');
+    });
+
+    it('returns null for an unknown draw', async () => {
+      query.mockResolvedValueOnce({ rows: [] });
+
+      await expect(DrawStateMachine.applyToDraw(9, 'open')).resolves.toBeNull();
+      expect(query).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('recordCreated', () => {
+    it('records the initial state once per entity', async () => {
+      query.mockResolvedValueOnce({ rows: [] });
+
+      await DrawStateMachine.recordCreated('bingo', 3, 'open', { actor: 'bingo-scheduler', txHash: TX_HASH });
+
+      const [sql, params] = query.mock.calls[0];
+      expect(sql).toContain('WHERE NOT EXISTS');
+      expect(params).toEqual(['bingo', 'bingo_round', 3, 'open', 'bingo-scheduler', null, TX_HASH, null]);
+    });
+  });
+
+  describe('getStateHistory', () => {
+    it('maps the persisted transitions of a draw', async () => {
+      query.mockResolvedValueOnce({
+        rows: [{ created_at: 't1', from_status: 'open', to_status: 'cancelled', actor: '0xadmin', reason: 'x', tx_hash: null }]
+      });
+
+      const history = await DrawStateMachine.getStateHistory(7);
+
+      expect(history).toEqual([{ timestamp: 't1', fromState: 'open', toState: 'cancelled', actor: '0xadmin', reason: 'x', txHash: null }]);
+      expect(query.mock.calls[0][1]).toEqual(['draw', 7]);
+    });
+  });
+});
@@ -1,45 +1,214 @@
-const Draw = require('../models/Draw');
+const database = require('../config/database');
 const AuditLog = require('../models/AuditLog');
 const { DRAW_STATE_MACHINE, AUDIT_ACTIONS } = require('../config/constants');
 
 // =================================
 // DRAW STATE MACHINE
-// Gestiona las transiciones de estado de los sorteos
+// Una maquina de estados por juego (La Bolita, La Fortuna, Bingo).
+// Todo cambio de estado de un sorteo o ronda pasa por apply(), que rechaza
+// las transiciones ilegales y guarda cada una en draw_state_transitions
 // =================================
 
+/**
+ * Tabla y tipo de entidad de cada juego (entity_type coincide con audit_logs)
+ */
+const GAMES = {
+    bolita: { table: 'draws', key: 'id', entityType: 'draw' },
+    lottery: { table: 'draws', key: 'id', entityType: 'draw' },
+    bingo: { table: 'bingo_rounds', key: 'round_id', entityType: 'bingo_round' }
+};
+
 class DrawStateMachine {
     /**
-     * Transiciones de estado permitidas
+     * Transiciones de estado permitidas por juego
      */
-    static TRANSITIONS = {
-        // La Bolita
-        scheduled: ['open'],
-        open: ['closed'],
-        closed: ['vrf_requested'],
-        vrf_requested: ['vrf_fulfilled'],
-        vrf_fulfilled: ['settled'],
-        settled: ['completed', 'roots_published'],
-        // La Fortuna (adicionales)
-        roots_published: ['claims_open'],
-        claims_open: ['completed']
-    };
+    static TRANSITIONS = DRAW_STATE_MACHINE.transitions;
+
+    /**
+     * Juego de un sorteo de la tabla draws
+     */
+    static gameOfDraw(draw) {
+        return draw.draw_type === 'lottery' ? 'lottery' : 'bolita';
+    }
 
     /**
      * Verificar si una transición es válida
      */
-    static isValidTransition(fromState, toState) {
-        const allowed = this.TRANSITIONS[fromState];
-        return allowed && allowed.includes(toState);
+    static isValidTransition(fromState, toState, game = 'bolita') {
+        const allowed = this.TRANSITIONS[game]?.[fromState];
+        return !!allowed && allowed.includes(toState);
+    }
+
+    /**
+     * Estados desde los que se puede llegar a toState
+     */
+    static getPreviousStates(game, toState) {
+        return Object.keys(this.TRANSITIONS[game])
+            .filter(state => this.TRANSITIONS[game][state].includes(toState));
+    }
+
+    /**
+     * Obtener siguientes estados posibles
+     */
+    static getNextStates(currentState, game = 'bolita') {
+        return this.TRANSITIONS[game]?.[currentState] || [];
+    }
+
+    static _invalidTransition(game, fromState, toState) {
+        const err = new Error(
+            `Transición inválida (${game}): ${fromState} -> ${toState}. ` +
+            `Transiciones permitidas: ${this.getNextStates(fromState, game).join(', ') || 'ninguna'}`
+        );
+        err.code = 'INVALID_DRAW_TRANSITION';
+        return err;
+    }
+
+    /**
+     * Cambiar el estado de un sorteo o ronda y registrar la transición.
+     * El UPDATE y el registro van en una sola sentencia y el estado anterior
+     * se bloquea, asi que dos escritores concurrentes no pueden saltarse la maquina.
+     *
+     * @param {string} game - 'bolita', 'lottery' o 'bingo'
+     * @param {number} id - ID del sorteo (draws.id) o de la ronda (bingo_rounds.round_id)
+     * @param {string} toState - Nuevo estado
+     * @param {Object} options
+     * @param {Object} options.db - Pool o cliente de una transacción en curso
+     * @param {string[]} options.from - Solo transicionar desde estos estados (si no, no-op)
+     * @param {string} options.actor - Dirección del actor o nombre del proceso
+     * @param {string} options.reason - Motivo legible
+     * @param {string} options.txHash - Transacción on-chain que provocó el cambio
+     * @param {Object} options.details - Metadatos adicionales
+     * @param {Object} options.set - Columnas extra a actualizar junto con el estado
+     * @param {boolean} options.revert - Deshacer una transición por un reorg (requiere from)
+     * @returns {Object|null} Fila actualizada, o null si no hubo cambio
+     */
+    static async apply(game, id, toState, {
+        db = database,
+        from = null,
+        actor = 'system',
+        reason = null,
+        txHash = null,
+        details = null,
+        set = {},
+        revert = false
+    } = {}) {
+        const target = GAMES[game];
+        if (!target) {
+            throw new Error(`Juego no reconocido: ${game}`);
+        }
+
+        let allowed;
+        if (revert) {
+            if (!from || from.length === 0) {
+                throw new Error('Revertir una transición requiere los estados de origen');
+            }
+            allowed = from;
+        } else {
+            const previous = this.getPreviousStates(game, toState);
+            for (const state of from || []) {
+                if (!previous.includes(state)) {
+                    throw this._invalidTransition(game, state, toState);
+                }
+            }
+            allowed = from || previous;
+        }
+
+        const params = [id, toState, allowed, game, actor, reason, txHash, details ? JSON.stringify(details) : null];
+        const assignments = ['status = $2', 'updated_at = NOW()'];
+        for (const [column, value] of Object.entries(set)) {
+            params.push(value);
+            assignments.push(`${column} = $${params.length}`);
+        }
+
+        const { table, key, entityType } = target;
+        const result = await db.query(`
+            WITH prev AS (
+                SELECT ${key}, status FROM ${table} WHERE ${key} = $1 FOR UPDATE
+            ), moved AS (
+                UPDATE ${table} t SET ${assignments.join(', ')}
+                FROM prev
+                WHERE t.${key} = prev.${key} AND prev.status = ANY($3)
+                RETURNING t.*, prev.status AS previous_status
+            ), logged AS (
+                INSERT INTO draw_state_transitions
+                    (game, entity_type, entity_id, from_status, to_status, actor, reason, tx_hash, details)
+                SELECT $4::varchar, '${entityType}', $1, previous_status, $2, $5::varchar, $6::text, $7::varchar, $8::jsonb
+                FROM moved
+            )
+            SELECT * FROM moved
+        `, params);
+
+        if (result.rows.length > 0) {
+            const { previous_status: previousStatus, ...row } = result.rows[0];
+            console.log(`[DrawStateMachine] ${game} #${id}: ${previousStatus} -> ${toState} (${actor})`);
+            return row;
+        }
+
+        const current = await db.query(`SELECT status FROM ${table} WHERE ${key} = $1`, [id]);
+        if (current.rows.length === 0) {
+            console.warn(`[DrawStateMachine] ${game} #${id} no existe, se ignora -> ${toState}`);
+            return null;
+        }
+
+        // Ya en el estado destino (evento repetido) o fuera de los estados pedidos
+        const currentState = current.rows[0].status;
+        if (currentState === toState || from) {
+            return null;
+        }
+
+        throw this._invalidTransition(game, currentState, toState);
+    }
+
+    /**
+     * apply() para la tabla draws, resolviendo el juego por draw_type
+     */
+    static async applyToDraw(drawId, toState, options = {}) {
+        const db = options.db || database;
+        const result = await db.query('SELECT draw_type FROM draws WHERE id = $1', [drawId]);
+        if (result.rows.length === 0) {
+            return null;
+        }
+        return this.apply(this.gameOfDraw(result.rows[0]), drawId, toState, options);
     }
 
     /**
-     * Ejecutar transición de estado
+     * Registrar el estado inicial de un sorteo o ronda recien creado (una sola vez)
+     */
+    static async recordCreated(game, id, status, { db = database, actor = 'system', reason = null, txHash = null, details = null } = {}) {
+        const { entityType } = GAMES[game];
+        await db.query(`
+            INSERT INTO draw_state_transitions
+                (game, entity_type, entity_id, from_status, to_status, actor, reason, tx_hash, details)
+            SELECT $1::varchar, $2::varchar, $3::bigint, NULL, $4::varchar, $5::varchar, $6::text, $7::varchar, $8::jsonb
+            WHERE NOT EXISTS (
+                SELECT 1 FROM draw_state_transitions
+                WHERE entity_type = $2::varchar AND entity_id = $3::bigint AND from_status IS NULL
+            )
+        `, [game, entityType, id, status, actor, reason, txHash, details ? JSON.stringify(details) : null]);
+    }
+
+    /**
+     * Ciclo de vida completo de un sorteo o ronda, en orden
+     */
+    static async getLifecycle(entityType, entityId) {
+        const result = await database.query(`
+            SELECT id, game, from_status, to_status, actor, reason, tx_hash, details, created_at
+            FROM draw_state_transitions
+            WHERE entity_type = $1 AND entity_id = $2
+            ORDER BY id ASC
+        `, [entityType, entityId]);
+        return result.rows;
+    }
+
+    /**
+     * Ejecutar transición de estado (flujo off-chain de la tabla draws)
      * @param {number} drawId - ID del sorteo
      * @param {string} newState - Nuevo estado
      * @param {string} actorAddress - Dirección del actor (o 'system')
      * @param {Object} metadata - Metadatos adicionales
      */
     static async transition(drawId, newState, actorAddress = 'system', metadata = {}) {
+        const Draw = require('../models/Draw');
         const draw = await Draw.findById(drawId);
 
         if (!draw) {
@@ -47,41 +216,43 @@ class DrawStateMachine {
         }
 
         const currentState = draw.status;
+        const game = this.gameOfDraw(draw);
 
         // Verificar transición válida
-        if (!this.isValidTransition(currentState, newState)) {
-            throw new Error(
-                `Transición inválida: ${currentState} -> ${newState}. ` +
-                `Transiciones permitidas: ${this.TRANSITIONS[currentState]?.join(', ') || 'ninguna'}`
-            );
+        if (!this.isValidTransition(currentState, newState, game)) {
+            throw this._invalidTransition(game, currentState, newState);
         }
 
         // Ejecutar transición según el nuevo estado
+        const options = { actor: actorAddress, details: metadata };
         let updatedDraw;
         switch (newState) {
             case 'open':
-                updatedDraw = await Draw.open(drawId);
+                updatedDraw = await Draw.open(drawId, options);
                 break;
             case 'closed':
-                updatedDraw = await Draw.close(drawId);
+                updatedDraw = await Draw.close(drawId, options);
                 break;
             case 'vrf_requested':
-                updatedDraw = await Draw.setVrfRequested(drawId, metadata.requestId);
+                updatedDraw = await Draw.setVrfRequested(drawId, metadata.requestId, options);
                 break;
             case 'vrf_fulfilled':
-                updatedDraw = await Draw.setVrfFulfilled(drawId, metadata.randomWord, metadata.winningNumber);
+                updatedDraw = await Draw.setVrfFulfilled(drawId, metadata.randomWord, metadata.winningNumber, options);
                 break;
             case 'settled':
-                updatedDraw = await Draw.setSettled(drawId, metadata.stats);
+                updatedDraw = await Draw.setSettled(drawId, metadata.stats, options);
                 break;
             case 'roots_published':
-                updatedDraw = await Draw.publishMerkleRoot(drawId, metadata.merkleRoot, metadata.claimsDeadline);
+                updatedDraw = await Draw.publishMerkleRoot(drawId, metadata.merkleRoot, metadata.claimsDeadline, options);
                 break;
             case 'claims_open':
-                updatedDraw = await Draw.openClaims(drawId);
+                updatedDraw = await Draw.openClaims(drawId, options);
                 break;
             case 'completed':
-                updatedDraw = await Draw.complete(drawId);
+                updatedDraw = await Draw.complete(drawId, options);
+                break;
+            case 'cancelled':
+                updatedDraw = await Draw.cancel(drawId, options);
                 break;
             default:
                 throw new Error(`Estado no reconocido: ${newState}`);
@@ -112,31 +283,24 @@ class DrawStateMachine {
             vrf_requested: AUDIT_ACTIONS.DRAW_VRF_REQUESTED,
             vrf_fulfilled: AUDIT_ACTIONS.DRAW_VRF_FULFILLED,
             settled: AUDIT_ACTIONS.DRAW_SETTLED,
-            completed: AUDIT_ACTIONS.DRAW_COMPLETED
+            completed: AUDIT_ACTIONS.DRAW_COMPLETED,
+            cancelled: AUDIT_ACTIONS.DRAW_CANCELLED
         };
         return actions[state] || null;
     }
 
-    /**
-     * Obtener siguiente estado posible
-     */
-    static getNextStates(currentState) {
-        return this.TRANSITIONS[currentState] || [];
-    }
-
     /**
      * Obtener historial de estados de un sorteo
      */
     static async getStateHistory(drawId) {
-        const logs = await AuditLog.findByEntity('draw', drawId);
-        return logs.filter(log =>
-            log.action.startsWith('draw_') &&
-            log.details?.fromState !== undefined
-        ).map(log => ({
-            timestamp: log.created_at,
-            fromState: log.details.fromState,
-            toState: log.details.toState,
-            actor: log.actor_address
+        const transitions = await this.getLifecycle('draw', drawId);
+        return transitions.map(row => ({
+            timestamp: row.created_at,
+            fromState: row.from_status,
+            toState: row.to_status,
+            actor: row.actor,
+            reason: row.reason,
+            txHash: row.tx_hash
         }));
     }
 